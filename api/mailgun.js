@@ -87,6 +87,40 @@ async function getSubscriberStatus(email) {
   }
 }
 
+/**
+ * Send a transactional email through the Mailgun domain
+ */
+async function sendMessage({ to, subject, html, text, headers = {}, attachments = [] }) {
+  try {
+    const message = {
+      from: process.env.MAILGUN_FROM || `FinACEverse <noreply@${DOMAIN}>`,
+      to,
+      subject,
+      html,
+      text,
+      attachment: attachments.map(a => ({ filename: a.filename, data: Buffer.from(a.content), contentType: a.contentType })),
+    };
+    
+    // Custom headers use Mailgun's h: prefix (e.g. List-Unsubscribe)
+    for (const [name, value] of Object.entries(headers)) {
+      message[`h:${name}`] = value;
+    }
+    
+    const result = await mg.messages.create(DOMAIN, message);
+    
+    return {
+      success: true,
+      id: result.id
+    };
+  } catch (error) {
+    console.error('Mailgun send error:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to send email'
+    };
+  }
+}
+
 // Serverless function handler for API routes
 module.exports = async (req, res) => {
   // Enable CORS
@@ -140,3 +174,4 @@ module.exports = async (req, res) => {
 module.exports.subscribe = subscribe;
 module.exports.unsubscribe = unsubscribe;
 module.exports.getSubscriberStatus = getSubscriberStatus;
+module.exports.sendMessage = sendMessage;
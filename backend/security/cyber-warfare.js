@@ -315,16 +315,52 @@ class HoneypotService {
       geoLocation: context.geo || 'unknown',
     };
 
-    // Store evidence - SECURITY: Limit size to prevent memory exhaustion
+    this.recordTrigger(evidence);
+
+    return true;
+  }
+
+  /**
+   * Check the trap fields of a public form - inputs hidden from people, so
+   * only bots fill them in
+   * @param {object} fields - Trap field name -> submitted value
+   * @param {object} context - Request context for evidence
+   * @returns {boolean} True if any trap field was filled in
+   */
+  checkForm(fields, context = {}) {
+    const filled = Object.keys(fields).filter(name => {
+      const value = fields[name];
+      return value !== undefined && value !== null && String(value).trim() !== '';
+    });
+    if (filled.length === 0) {
+      return false;
+    }
+
+    this.recordTrigger({
+      timestamp: new Date().toISOString(),
+      type: 'HONEYPOT_FORM_TRIGGERED',
+      honeypotType: 'form_field',
+      trapFields: filled,
+      ip: context.ip || 'unknown',
+      userAgent: context.userAgent || 'unknown',
+      requestPath: context.path || 'unknown',
+      requestBody: context.body ? this.sanitizeBody(context.body) : {},
+    });
+
+    return true;
+  }
+
+  /**
+   * Store evidence and fire the alert
+   */
+  recordTrigger(evidence) {
+    // SECURITY: Limit size to prevent memory exhaustion
     this.triggerLog.push(evidence);
     if (this.triggerLog.length > this.maxTriggerLog) {
       this.triggerLog = this.triggerLog.slice(-Math.floor(this.maxTriggerLog / 2));
     }
 
-    // Fire alert
     this.alertCallback(evidence);
-
-    return true;
   }
 
   /**
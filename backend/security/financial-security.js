@@ -468,26 +468,11 @@ class WorkflowStateIntegrity extends EventEmitter {
 
   /**
    * Transition workflow to a new state (with verification)
+   * @param {Object} [details] - Extra facts signed into the transition record
+   *   (e.g. a hash of the approved document)
    */
-  transition(workflowId, newState, userId, reason) {
-    const workflow = this.workflows.get(workflowId);
-    if (!workflow) {
-      throw new Error('Workflow not found');
-    }
-    
-    // Verify current state hasn't been tampered
-    const currentHash = this._hashState(workflow);
-    if (currentHash !== workflow.currentStateHash) {
-      this.emit('tampering', { workflowId, userId, reason: 'STATE_MODIFIED' });
-      throw new Error('Workflow state has been tampered with');
-    }
-    
-    // Verify user is authorized approver
-    const approver = workflow.approvers.find(a => a.userId === userId);
-    if (!approver && workflow.approvers.length > 0) {
-      this.emit('unauthorized', { workflowId, userId, reason: 'NOT_APPROVER' });
-      throw new Error('User is not an authorized approver');
-    }
+  transition(workflowId, newState, userId, reason, details) {
+    const workflow = this._authorize(workflowId, userId);
     
     // Record transition
     const transition = {
@@ -497,6 +482,7 @@ class WorkflowStateIntegrity extends EventEmitter {
       reason,
       timestamp: Date.now(),
       previousStateHash: workflow.currentStateHash,
+      ...(details && { details }),
     };
     
     workflow.state = newState;
@@ -514,6 +500,76 @@ class WorkflowStateIntegrity extends EventEmitter {
     };
   }
 
+  /**
+   * Replace the approvers; recorded as a transition that keeps the state
+   */
+  reassign(workflowId, approvers, userId, reason) {
+    const workflow = this._authorize(workflowId, userId);
+    
+    const nextApprovers = approvers.map(a => ({
+      userId: a.userId,
+      role: a.role,
+      required: a.required !== false,
+    }));
+    
+    workflow.transitions.push({
+      from: workflow.state,
+      to: workflow.state,
+      userId,
+      reason,
+      timestamp: Date.now(),
+      previousStateHash: workflow.currentStateHash,
+      details: { approvers: nextApprovers },
+    });
+    workflow.approvers = nextApprovers;
+    workflow.currentStateHash = this._hashState(workflow);
+    workflow.signature = this._signWorkflow(workflow);
+    
+    this.emit('transition', { workflowId, transition: workflow.transitions[workflow.transitions.length - 1] });
+    
+    return {
+      workflowId,
+      stateHash: workflow.currentStateHash,
+      transitionCount: workflow.transitions.length,
+    };
+  }
+
+  /**
+   * Serializable copy of a workflow, for storing outside this process
+   */
+  exportWorkflow(workflowId) {
+    const workflow = this.workflows.get(workflowId);
+    if (!workflow) {
+      throw new Error('Workflow not found');
+    }
+    return JSON.parse(JSON.stringify(workflow));
+  }
+
+  /**
+   * Load a stored workflow, refusing it unless its hash and signature
+   * still match (same signingKey required)
+   */
+  importWorkflow(record) {
+    const workflow = JSON.parse(JSON.stringify(record));
+    this.workflows.set(workflow.id, workflow);
+    
+    const result = this.verify(workflow.id);
+    if (!result.valid) {
+      this.workflows.delete(workflow.id);
+      this.emit('tampering', { workflowId: workflow.id, reason: result.reason });
+      throw new Error('Workflow state has been tampered with');
+    }
+    
+    return result;
+  }
+
+  /**
+   * Drop a workflow from memory (it stays valid wherever it was exported to)
+   */
+  release(workflowId) {
+    this.workflows.delete(workflowId);
+  }
+
   /**
    * Verify workflow integrity
    */
@@ -542,6 +598,29 @@ class WorkflowStateIntegrity extends EventEmitter {
     return { valid: true, transitions: workflow.transitions.length };
   }
 
+  _authorize(workflowId, userId) {
+    const workflow = this.workflows.get(workflowId);
+    if (!workflow) {
+      throw new Error('Workflow not found');
+    }
+    
+    // Verify current state hasn't been tampered
+    const currentHash = this._hashState(workflow);
+    if (currentHash !== workflow.currentStateHash) {
+      this.emit('tampering', { workflowId, userId, reason: 'STATE_MODIFIED' });
+      throw new Error('Workflow state has been tampered with');
+    }
+    
+    // Verify user is authorized approver
+    const approver = workflow.approvers.find(a => a.userId === userId);
+    if (!approver && workflow.approvers.length > 0) {
+      this.emit('unauthorized', { workflowId, userId, reason: 'NOT_APPROVER' });
+      throw new Error('User is not an authorized approver');
+    }
+    
+    return workflow;
+  }
+
   _hashState(workflow) {
     const data = JSON.stringify({
       id: workflow.id,
@@ -1090,6 +1090,75 @@ class AdvancedRateLimiter {
 }
 
 
+// ============================================================================
+// SIGNED TOKENS - Stateless HMAC tokens for email links
+// ============================================================================
+
+class SignedTokenService {
+  constructor(secret) {
+    if (!secret || secret.length < 32) {
+      throw new Error('SECURITY: Token secret must be at least 32 characters');
+    }
+    this.secret = secret;
+  }
+
+  /**
+   * Sign a payload into a URL-safe token
+   * @param {string} purpose - Token purpose (bound into the signature)
+   * @param {object} payload - Data to embed (must be JSON-serialisable)
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @returns {string} Token in the form body.signature (base64url)
+   */
+  sign(purpose, payload, ttlMs) {
+    const body = Buffer.from(JSON.stringify({
+      ...payload,
+      p: purpose,
+      exp: Date.now() + ttlMs,
+    })).toString('base64url');
+
+    return `${body}.${this.signature(body)}`;
+  }
+
+  /**
+   * Verify a token and return its payload
+   * @param {string} purpose - Expected token purpose
+   * @param {string} token - Token to verify
+   * @returns {object|null} Payload, or null if invalid, expired or for another purpose
+   */
+  verify(purpose, token) {
+    if (typeof token !== 'string' || !token.includes('.')) {
+      return null;
+    }
+
+    const [body, signature] = token.split('.');
+    const expected = this.signature(body);
+
+    // SECURITY: Constant-time comparison (signature length is public, so
+    // rejecting a length mismatch up front leaks nothing)
+    if (!signature || signature.length !== expected.length) {
+      return null;
+    }
+    if (!crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      if (payload.p !== purpose || typeof payload.exp !== 'number' || payload.exp < Date.now()) {
+        return null;
+      }
+      return payload;
+    } catch {
+      return null;
+    }
+  }
+
+  signature(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+}
+
+
 // ============================================================================
 // SECURITY HEADERS - Additional hardening
 // ============================================================================
@@ -1191,6 +1260,7 @@ module.exports = {
   AuditLogger,
   TenantIsolation,
   AdvancedRateLimiter,
+  SignedTokenService,
   securityHeaders,
   
   // Cyber Warfare Module - "They should cry blood"
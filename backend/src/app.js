@@ -34,6 +34,7 @@ const {
 // SEO Services
 const KeywordOptimizer = require('./modules/seo/keyword-optimizer.service');
 const LocalSEOManager = require('./modules/local-seo/local-seo-manager.service');
+const ExperimentService = require('./modules/experiments/experiment.service');
 
 // Route Factories
 const {
@@ -504,9 +505,11 @@ function createApp({ pool, redisClient = null }) {
 
   // Experiments routes (protected)
   app.use('/api/experiments', createExperimentsRoutes({
-    pool,
+    experimentService: new ExperimentService({ pool }),
     apiLimiter,
     authMiddleware,
+    requireRole,
+    handleValidationErrors,
   }));
 
   // Security routes (admin only)
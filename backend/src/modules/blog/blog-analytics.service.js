@@ -0,0 +1,282 @@
+/**
+ * Blog Analytics Service
+ *
+ * Per-article engagement from the page tracker (src/utils/performanceTracker.js).
+ * An article page opens a view with an 'article_view' event; the tracker's
+ * scroll_depth, engaged_time and cta_click events carry the same view id and
+ * update that view's row in blog_post_views:
+ * 1. Unique views - a visitor's first view of a post in 24 hours; only these
+ *    count towards blog_posts.view_count
+ * 2. Read-through rate - share of views that scrolled to the end of the
+ *    article body
+ * 3. Engaged time - seconds the page was visible and in use; reported as a
+ *    median, as a few tabs left open would skew an average
+ * 4. CTA clicks - per view, and by CTA in blog_post_cta_clicks
+ * Bots and headless browsers (including the prerenderer) aren't recorded.
+ */
+
+const PrerenderService = require('../prerender/prerender.service');
+
+const UNIQUE_WINDOW_HOURS = 24;
+
+// Depth (% of the article body seen) that counts as reading it through
+const READ_THROUGH_DEPTH = 100;
+const DEPTHS = [25, 50, 75, 100];
+
+// Engagement for a view is accepted this long after it opened
+const VIEW_UPDATE_WINDOW_HOURS = 6;
+const MAX_ENGAGED_SECONDS = 2 * 60 * 60;
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+
+const DEFAULT_TOP_LIMIT = 20;
+const MAX_TOP_LIMIT = 100;
+
+// Rates over fewer views than this sort after the rest in top content
+const MIN_VIEWS_FOR_RATES = 10;
+
+// Rankings for top content: sort key -> SQL over the report's columns
+const TOP_CONTENT_SORTS = {
+  unique_views: 'unique_views DESC',
+  read_through: `(views >= ${MIN_VIEWS_FOR_RATES}) DESC, read_through_rate DESC`,
+  engaged: `(views >= ${MIN_VIEWS_FOR_RATES}) DESC, median_engaged_seconds DESC NULLS LAST`,
+  cta_clicks: 'cta_clicks DESC',
+};
+
+// Automation the prerenderer's crawler list doesn't cover
+const AUTOMATED_AGENTS = /bot\b|bot\/|crawler|spider|headless|lighthouse|pagespeed|phantomjs|selenium|puppeteer|playwright/i;
+
+const isAutomated = (userAgent) => !userAgent
+  || PrerenderService.isBot(userAgent)
+  || AUTOMATED_AGENTS.test(userAgent);
+
+const referrerHost = (referrer) => {
+  try {
+    return referrer ? new URL(referrer).hostname.slice(0, 255) : null;
+  } catch {
+    return null;
+  }
+};
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : 0);
+
+const clampDays = (days) => Math.min(Math.max(parseInt(days, 10) || DEFAULT_DAYS, 1), MAX_DAYS);
+
+// Aggregates shared by the per-post summary and top content; v is blog_post_views
+const ENGAGEMENT_COLUMNS = `
+  COUNT(v.id)::int AS views,
+  COUNT(v.id) FILTER (WHERE v.is_unique)::int AS unique_views,
+  COUNT(v.id) FILTER (WHERE v.max_depth >= ${READ_THROUGH_DEPTH})::int AS read_throughs,
+  COALESCE(COUNT(v.id) FILTER (WHERE v.max_depth >= ${READ_THROUGH_DEPTH})::float / NULLIF(COUNT(v.id), 0), 0) AS read_through_rate,
+  percentile_cont(0.5) WITHIN GROUP (ORDER BY v.engaged_seconds) FILTER (WHERE v.engaged_seconds > 0) AS median_engaged_seconds,
+  COALESCE(SUM(v.cta_clicks), 0)::int AS cta_clicks,
+  COALESCE(COUNT(v.id) FILTER (WHERE v.cta_clicks > 0)::float / NULLIF(COUNT(v.id), 0), 0) AS cta_click_rate
+`;
+
+const formatEngagement = (row) => ({
+  views: row.views,
+  unique_views: row.unique_views,
+  read_throughs: row.read_throughs,
+  read_through_rate: rate(row.read_through_rate, 1),
+  median_engaged_seconds: row.median_engaged_seconds === null ? null : Math.round(row.median_engaged_seconds),
+  cta_clicks: row.cta_clicks,
+  cta_click_rate: rate(row.cta_click_rate, 1),
+});
+
+class BlogAnalyticsService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   */
+  constructor({ pool }) {
+    this.pool = pool;
+  }
+
+  // ============ TRACKING ============
+
+  /**
+   * Record a tracker event that carries a view id; others are ignored, as
+   * are depth and engaged time reports without a number to record
+   * @param {Object} event - { type, viewId, slug, visitorId, referrer, depth, seconds, cta }
+   * @param {string} userAgent
+   */
+  async record(event, userAgent) {
+    if (!event.viewId || isAutomated(userAgent)) return;
+
+    switch (event.type) {
+      case 'article_view':
+        return this.recordView(event);
+      case 'scroll_depth':
+        if (!Number.isFinite(event.depth)) return;
+        return this.updateView(event.viewId, 'max_depth = GREATEST(max_depth, $2)', Math.min(event.depth, 100));
+      case 'engaged_time':
+        if (!Number.isFinite(event.seconds)) return;
+        // Each report carries the view's running total
+        return this.updateView(
+          event.viewId,
+          'engaged_seconds = GREATEST(engaged_seconds, $2)',
+          Math.min(event.seconds, MAX_ENGAGED_SECONDS)
+        );
+      case 'cta_click':
+        return this.recordCtaClick(event.viewId, event.cta);
+      default:
+        return;
+    }
+  }
+
+  async recordView({ slug, viewId, visitorId, referrer }) {
+    if (!slug || !visitorId) return;
+
+    const result = await this.pool.query(`
+      INSERT INTO blog_post_views (post_id, view_id, visitor_id, is_unique, referrer_host)
+      SELECT p.id, $2, $3,
+        NOT EXISTS (
+          SELECT 1 FROM blog_post_views seen
+          WHERE seen.post_id = p.id AND seen.visitor_id = $3
+            AND seen.started_at > NOW() - make_interval(hours => $5)
+        ),
+        $4
+      FROM blog_posts p
+      WHERE p.slug = $1 AND p.status = 'published' AND p.deleted_at IS NULL
+      ON CONFLICT (view_id) DO NOTHING
+      RETURNING post_id, is_unique
+    `, [slug, viewId, visitorId, referrerHost(referrer), UNIQUE_WINDOW_HOURS]);
+
+    const view = result.rows[0];
+    if (view?.is_unique) {
+      await this.pool.query('UPDATE blog_posts SET view_count = view_count + 1 WHERE id = $1', [view.post_id]);
+    }
+  }
+
+  async updateView(viewId, assignment, value) {
+    await this.pool.query(`
+      UPDATE blog_post_views SET ${assignment}, last_seen_at = NOW()
+      WHERE view_id = $1 AND started_at > NOW() - make_interval(hours => $3)
+    `, [viewId, value, VIEW_UPDATE_WINDOW_HOURS]);
+  }
+
+  async recordCtaClick(viewId, cta) {
+    const result = await this.pool.query(`
+      UPDATE blog_post_views SET cta_clicks = cta_clicks + 1, last_seen_at = NOW()
+      WHERE view_id = $1 AND started_at > NOW() - make_interval(hours => $2)
+      RETURNING post_id
+    `, [viewId, VIEW_UPDATE_WINDOW_HOURS]);
+    if (result.rows.length === 0) return;
+
+    await this.pool.query(
+      'INSERT INTO blog_post_cta_clicks (post_id, view_id, cta) VALUES ($1, $2, $3)',
+      [result.rows[0].post_id, viewId, String(cta || 'unknown').slice(0, 100)]
+    );
+  }
+
+  // ============ REPORTS ============
+
+  /**
+   * Engagement for one post over the last `days` days
+   * @returns {Object} { days, summary, depth, daily, ctas, referrers }
+   */
+  async getPostAnalytics(postId, { days } = {}) {
+    const period = clampDays(days);
+    const params = [postId, period];
+    const inPeriod = 'v.post_id = $1 AND v.started_at >= NOW() - make_interval(days => $2)';
+
+    const [summary, depth, daily, ctas, referrers] = await Promise.all([
+      this.pool.query(`
+        SELECT ${ENGAGEMENT_COLUMNS}, COUNT(DISTINCT v.visitor_id)::int AS visitors
+        FROM blog_post_views v
+        WHERE ${inPeriod}
+      `, params),
+      this.pool.query(`
+        SELECT ${DEPTHS.map(d => `COUNT(*) FILTER (WHERE v.max_depth >= ${d})::int AS depth_${d}`).join(', ')}
+        FROM blog_post_views v
+        WHERE ${inPeriod}
+      `, params),
+      this.pool.query(`
+        SELECT to_char(date_trunc('day', v.started_at), 'YYYY-MM-DD') AS day, ${ENGAGEMENT_COLUMNS}
+        FROM blog_post_views v
+        WHERE ${inPeriod}
+        GROUP BY 1
+        ORDER BY 1
+      `, params),
+      this.pool.query(`
+        SELECT c.cta, COUNT(*)::int AS clicks
+        FROM blog_post_cta_clicks c
+        WHERE c.post_id = $1 AND c.clicked_at >= NOW() - make_interval(days => $2)
+        GROUP BY c.cta
+        ORDER BY clicks DESC
+        LIMIT 10
+      `, params),
+      this.pool.query(`
+        SELECT COALESCE(v.referrer_host, '(direct)') AS source, COUNT(*)::int AS views
+        FROM blog_post_views v
+        WHERE ${inPeriod}
+        GROUP BY 1
+        ORDER BY views DESC
+        LIMIT 10
+      `, params),
+    ]);
+
+    const totals = summary.rows[0];
+    return {
+      days: period,
+      summary: { ...formatEngagement(totals), visitors: totals.visitors },
+      depth: DEPTHS.map(d => ({
+        depth: d,
+        views: depth.rows[0][`depth_${d}`],
+        rate: rate(depth.rows[0][`depth_${d}`], totals.views),
+      })),
+      daily: daily.rows.map(row => ({ day: row.day, ...formatEngagement(row) })),
+      ctas: ctas.rows,
+      referrers: referrers.rows,
+    };
+  }
+
+  /**
+   * Posts ranked by engagement over the last `days` days, with site totals
+   * @param {Object} options - { days, limit, sort } (sort: a TOP_CONTENT_SORTS key)
+   * @returns {Object} { days, sort, totals, posts }
+   */
+  async getTopContent({ days, limit, sort } = {}) {
+    const period = clampDays(days);
+    const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_TOP_LIMIT, 1), MAX_TOP_LIMIT);
+    const order = TOP_CONTENT_SORTS[sort] ? sort : 'unique_views';
+
+    const [totals, posts] = await Promise.all([
+      this.pool.query(`
+        SELECT ${ENGAGEMENT_COLUMNS}
+        FROM blog_post_views v
+        WHERE v.started_at >= NOW() - make_interval(days => $1)
+      `, [period]),
+      this.pool.query(`
+        SELECT * FROM (
+          SELECT p.id, p.slug, p.title, p.category, p.published_at, ${ENGAGEMENT_COLUMNS}
+          FROM blog_posts p
+          JOIN blog_post_views v ON v.post_id = p.id AND v.started_at >= NOW() - make_interval(days => $1)
+          WHERE p.deleted_at IS NULL
+          GROUP BY p.id
+        ) ranked
+        ORDER BY ${TOP_CONTENT_SORTS[order]}, unique_views DESC
+        LIMIT $2
+      `, [period, size]),
+    ]);
+
+    return {
+      days: period,
+      sort: order,
+      totals: formatEngagement(totals.rows[0]),
+      posts: posts.rows.map(({ id, slug, title, category, published_at, ...row }) => ({
+        id, slug, title, category, published_at, ...formatEngagement(row),
+      })),
+    };
+  }
+}
+
+BlogAnalyticsService.DEFAULT_DAYS = DEFAULT_DAYS;
+BlogAnalyticsService.MAX_DAYS = MAX_DAYS;
+BlogAnalyticsService.MAX_TOP_LIMIT = MAX_TOP_LIMIT;
+BlogAnalyticsService.TOP_CONTENT_SORTS = Object.keys(TOP_CONTENT_SORTS);
+BlogAnalyticsService.DEPTHS = DEPTHS;
+BlogAnalyticsService.isAutomated = isAutomated;
+
+module.exports = BlogAnalyticsService;
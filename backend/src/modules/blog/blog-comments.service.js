@@ -0,0 +1,351 @@
+/**
+ * Blog Comments Service
+ *
+ * Comment and Q&A threads on published posts that have comments enabled:
+ * 1. submit() scores a reader's comment or question (comment-spam.js) and
+ *    stores it as 'pending', or as 'spam' at or above the threshold
+ * 2. Pending comments are emailed to the post's author (blog_authors.email),
+ *    or the editorial inbox when the author has none
+ * 3. The vault moderation queue approves, rejects or marks them as spam, and
+ *    replies as staff; a question with a staff reply counts as answered
+ * 4. getThreads() serves approved comments, replies nested one level under
+ *    the thread's first comment
+ * Comments are stored as plain text and HTML-escaped (XSSSanitizer) when
+ * rendered, both on the page and in notification emails.
+ */
+
+const crypto = require('crypto');
+const { scoreComment } = require('./comment-spam');
+
+const KINDS = ['comment', 'question'];
+const STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+
+// Name shown on replies written in the vault
+const STAFF_NAME = 'FinACEverse Team';
+
+const DUPLICATE_WINDOW_HOURS = 24;
+const FLOOD_WINDOW_HOURS = 1;
+
+const MODERATION_PAGE_SIZE = 50;
+
+const PUBLISHED = "p.status = 'published' AND p.deleted_at IS NULL";
+
+const hashIp = (ip) => (ip ? crypto.createHash('sha256').update(String(ip)).digest('hex') : null);
+
+/**
+ * Plain text as stored: Unix newlines, no control characters, at most one
+ * blank line between paragraphs
+ */
+const cleanText = (text) => String(text)
+  .replace(/\r\n?/g, '\n')
+  .replace(/(?![\n\t])\p{Cc}/gu, '')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+class BlogCommentsService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Object} deps.transport - Mail transport (see modules/mail/mail-transport)
+   * @param {Object} deps.sanitizer - XSSSanitizer instance
+   * @param {string} deps.editorInbox - Receives notifications for authors without an email
+   * @param {string} deps.siteUrl - Public site URL used in email links
+   */
+  constructor({ pool, transport, sanitizer, editorInbox, siteUrl }) {
+    this.pool = pool;
+    this.transport = transport;
+    this.sanitizer = sanitizer;
+    this.editorInbox = editorInbox;
+    this.siteUrl = siteUrl.replace(/\/$/, '');
+  }
+
+  // ============ PUBLIC ============
+
+  /**
+   * Approved threads for a published post
+   * @returns {Object|null} { enabled, comments }; null if the post isn't published
+   */
+  async getThreads(slug) {
+    const post = await this.pool.query(
+      `SELECT p.id, p.comments_enabled FROM blog_posts p WHERE p.slug = $1 AND ${PUBLISHED}`,
+      [slug]
+    );
+    if (post.rows.length === 0) return null;
+    if (!post.rows[0].comments_enabled) return { enabled: false, comments: [] };
+
+    const result = await this.pool.query(`
+      SELECT id, parent_id, kind, author_name, is_staff, body, created_at
+      FROM blog_comments
+      WHERE post_id = $1 AND status = 'approved'
+      ORDER BY created_at ASC
+    `, [post.rows[0].id]);
+
+    const threads = new Map();
+    for (const row of result.rows.filter(row => !row.parent_id)) {
+      threads.set(row.id, { ...this.formatPublic(row), replies: [] });
+    }
+    for (const row of result.rows.filter(row => row.parent_id)) {
+      const thread = threads.get(row.parent_id);
+      if (!thread) continue; // The thread's first comment isn't approved
+      thread.replies.push(this.formatPublic(row));
+      if (thread.kind === 'question' && row.is_staff) thread.answered = true;
+    }
+
+    return { enabled: true, comments: [...threads.values()] };
+  }
+
+  /**
+   * Store a reader's comment or question
+   * @param {string} slug - Post slug
+   * @param {Object} input - { name, email, body, kind, parentId, elapsedMs }
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Object|null} the stored comment (moderation fields), or null if
+   *   the post isn't published
+   */
+  async submit(slug, input, { ip, userAgent } = {}) {
+    const postResult = await this.pool.query(`
+      SELECT p.id, p.slug, p.title, p.comments_enabled, a.email AS author_email
+      FROM blog_posts p
+      LEFT JOIN blog_authors a ON a.id = p.author_id
+      WHERE p.slug = $1 AND ${PUBLISHED}
+    `, [slug]);
+    const post = postResult.rows[0];
+    if (!post) return null;
+    if (!post.comments_enabled) {
+      throw Object.assign(new Error('Comments are closed on this article'), { status: 403 });
+    }
+
+    let parentId = null;
+    if (input.parentId) {
+      const parent = await this.pool.query(
+        "SELECT id, parent_id FROM blog_comments WHERE id = $1 AND post_id = $2 AND status = 'approved'",
+        [input.parentId, post.id]
+      );
+      if (parent.rows.length === 0) {
+        throw Object.assign(new Error('The comment you are replying to is no longer available'), { status: 400 });
+      }
+      parentId = parent.rows[0].parent_id || parent.rows[0].id;
+    }
+
+    const name = cleanText(input.name).replace(/\s+/g, ' ');
+    const email = input.email ? input.email.trim().toLowerCase() : null;
+    const body = cleanText(input.body);
+    const ipHash = hashIp(ip);
+
+    const history = await this.pool.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE body = $1)::int AS duplicates,
+        COUNT(*) FILTER (WHERE ip_hash = $2 AND created_at > NOW() - make_interval(hours => $4))::int AS recent_from_sender
+      FROM blog_comments
+      WHERE created_at > NOW() - make_interval(hours => $3) AND NOT is_staff
+    `, [body, ipHash, DUPLICATE_WINDOW_HOURS, FLOOD_WINDOW_HOURS]);
+
+    const spam = scoreComment(
+      { name, email, body, elapsedMs: input.elapsedMs },
+      { duplicates: history.rows[0].duplicates, recentFromSender: history.rows[0].recent_from_sender }
+    );
+
+    const result = await this.pool.query(`
+      INSERT INTO blog_comments
+        (post_id, parent_id, kind, status, author_name, author_email, body, spam_score, spam_reasons, ip_hash, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [
+      post.id, parentId, parentId ? 'comment' : (input.kind || 'comment'), spam.isSpam ? 'spam' : 'pending',
+      name, email, body, spam.score, spam.reasons, ipHash, userAgent ? String(userAgent).slice(0, 500) : null,
+    ]);
+    const comment = result.rows[0];
+
+    if (!spam.isSpam) {
+      await this.notifyAuthor(comment, post);
+    }
+    return this.format(comment);
+  }
+
+  // ============ MODERATION ============
+
+  /**
+   * @param {Object} filters - { status, postId, limit, offset }
+   * @returns {Object} { comments, total }; pending comments oldest first
+   */
+  async listComments({ status = 'pending', postId, limit = MODERATION_PAGE_SIZE, offset = 0 } = {}) {
+    const params = [status];
+    let postFilter = '';
+    if (postId) {
+      params.push(postId);
+      postFilter = `AND c.post_id = $${params.length}`;
+    }
+
+    const [comments, total] = await Promise.all([
+      this.pool.query(`
+        SELECT c.*, p.title AS post_title, p.slug AS post_slug, p.comments_enabled,
+               parent.author_name AS parent_author_name
+        FROM blog_comments c
+        JOIN blog_posts p ON p.id = c.post_id
+        LEFT JOIN blog_comments parent ON parent.id = c.parent_id
+        WHERE c.status = $1 ${postFilter}
+        ORDER BY c.created_at ${status === 'pending' ? 'ASC' : 'DESC'}
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset]),
+      this.pool.query(`SELECT COUNT(*)::int AS total FROM blog_comments c WHERE c.status = $1 ${postFilter}`, params),
+    ]);
+
+    return { comments: comments.rows.map(row => this.format(row)), total: total.rows[0].total };
+  }
+
+  /**
+   * @returns {Object} status -> number of comments
+   */
+  async countByStatus() {
+    const result = await this.pool.query('SELECT status, COUNT(*)::int AS count FROM blog_comments GROUP BY status');
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    for (const row of result.rows) counts[row.status] = row.count;
+    return counts;
+  }
+
+  /**
+   * @returns {Object|null} updated comment, or null if missing
+   */
+  async setStatus(id, status, username) {
+    const result = await this.pool.query(`
+      UPDATE blog_comments SET status = $2, moderated_at = NOW(), moderated_by = $3
+      WHERE id = $1
+      RETURNING *
+    `, [id, status, username]);
+    return result.rows[0] ? this.format(result.rows[0]) : null;
+  }
+
+  /**
+   * Reply as staff; replying approves the comment replied to
+   * @returns {Object|null} the reply, or null if the comment is missing
+   */
+  async reply(id, body, username) {
+    const target = await this.setStatus(id, 'approved', username);
+    if (!target) return null;
+
+    const result = await this.pool.query(`
+      INSERT INTO blog_comments
+        (post_id, parent_id, kind, status, author_name, is_staff, body, created_by, moderated_at, moderated_by)
+      VALUES ($1, $2, 'comment', 'approved', $3, TRUE, $4, $5, NOW(), $5)
+      RETURNING *
+    `, [target.post_id, target.parent_id || target.id, STAFF_NAME, cleanText(body), username]);
+    return this.format(result.rows[0]);
+  }
+
+  /**
+   * Delete a comment with its replies
+   * @returns {boolean} false if missing
+   */
+  async deleteComment(id) {
+    const result = await this.pool.query('DELETE FROM blog_comments WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Open or close a post's comment thread (existing comments are kept)
+   * @returns {Object|null} { id, comments_enabled }, or null if the post is missing
+   */
+  async setCommentsEnabled(postId, enabled) {
+    const result = await this.pool.query(`
+      UPDATE blog_posts SET comments_enabled = $2
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING id, comments_enabled
+    `, [postId, enabled]);
+    return result.rows[0] || null;
+  }
+
+  // ============ NOTIFICATION ============
+
+  /**
+   * Email the post's author about a comment awaiting moderation and record
+   * the outcome. A failed notification never loses the comment.
+   */
+  async notifyAuthor(comment, post) {
+    const noun = comment.kind === 'question' ? 'question' : 'comment';
+    let result;
+    try {
+      result = await this.transport.send({
+        to: post.author_email || this.editorInbox,
+        subject: `New ${noun} on "${post.title}" from ${comment.author_name}`,
+        html: this.renderNotificationEmail(comment, post),
+        text: this.renderNotificationText(comment, post),
+        ...(comment.author_email && { headers: { 'Reply-To': comment.author_email } }),
+      });
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+
+    await this.pool.query(
+      `UPDATE blog_comments
+       SET notified_at = CASE WHEN $2 THEN NOW() ELSE notified_at END,
+           notify_error = $3
+       WHERE id = $1`,
+      [comment.id, result.success, result.success ? null : (result.message || 'Unknown error')]
+    );
+
+    if (!result.success) {
+      console.error(`Comment notification failed for comment #${comment.id}:`, result.message);
+    }
+    return result;
+  }
+
+  renderNotificationEmail(comment, post) {
+    const escape = (text) => this.sanitizer.sanitizeText(text);
+    return `
+      <h2>New ${comment.kind === 'question' ? 'question' : 'comment'} awaiting moderation</h2>
+      <p>
+        <strong>${escape(comment.author_name)}</strong>${comment.author_email ? ` (${escape(comment.author_email)})` : ''}
+        on <a href="${this.siteUrl}/blog/${encodeURIComponent(post.slug)}">${escape(post.title)}</a>:
+      </p>
+      <div style="padding: 12px 16px; border-left: 3px solid #00d4ff; background: #f6f8fa;">${this.renderBody(comment.body)}</div>
+      <p style="margin-top: 24px;">
+        <a href="${this.siteUrl}/vault-e9232b8eefbaa45e/blog">Open the moderation queue →</a>
+      </p>
+      <p style="color: #888; font-size: 12px;">Replying to this email answers the reader privately; approve the comment to publish it.</p>
+    `;
+  }
+
+  renderNotificationText(comment, post) {
+    return [
+      `${comment.author_name}${comment.author_email ? ` <${comment.author_email}>` : ''} on "${post.title}":`,
+      '',
+      comment.body,
+      '',
+      `Moderation queue: ${this.siteUrl}/vault-e9232b8eefbaa45e/blog`,
+    ].join('\n');
+  }
+
+  // ============ HELPERS ============
+
+  /**
+   * Plain text as escaped HTML paragraphs
+   */
+  renderBody(text) {
+    return text
+      .split(/\n{2,}/)
+      .map(paragraph => `<p>${paragraph.split('\n').map(line => this.sanitizer.sanitizeText(line)).join('<br>')}</p>`)
+      .join('');
+  }
+
+  formatPublic(row) {
+    return {
+      id: row.id,
+      kind: row.kind,
+      author_name: row.author_name,
+      is_staff: row.is_staff,
+      body_html: this.renderBody(row.body),
+      created_at: row.created_at,
+    };
+  }
+
+  format(row) {
+    const { ip_hash, ...comment } = row;
+    return { ...comment, spam_score: Number(comment.spam_score) };
+  }
+}
+
+BlogCommentsService.KINDS = KINDS;
+BlogCommentsService.STATUSES = STATUSES;
+BlogCommentsService.MODERATION_PAGE_SIZE = MODERATION_PAGE_SIZE;
+
+module.exports = BlogCommentsService;
@@ -0,0 +1,428 @@
+/**
+ * Blog Taxonomy Service
+ *
+ * Author profiles, tags and series (see migrations/016_blog_taxonomy.sql):
+ * 1. Blog Editor management of each; renaming an author also updates the
+ *    byline on their posts
+ * 2. Series order comes from blog_posts.series_position and can be
+ *    rearranged as a whole
+ * 3. Public collection pages (/blog/author/:slug, /blog/tag/:tag,
+ *    /blog/series/:slug) and the tags, author profile and series navigation
+ *    shown on an article
+ *
+ * Tags are attached to posts by BlogService when a post is saved.
+ */
+
+const { slugify } = require('./slug');
+const { CACHE_PREFIX } = require('./blog.service');
+
+// Profile links an author can carry, in display order
+const SOCIAL_NETWORKS = ['linkedin', 'twitter', 'github', 'website'];
+
+// Posts listed on a collection page
+const MAX_COLLECTION_POSTS = 100;
+
+const PUBLISHED = "p.status = 'published' AND p.deleted_at IS NULL";
+
+// Post fields the public listing cards use (same as GET /api/blog/posts)
+const POST_CARD_COLUMNS = `
+  p.id, p.slug, p.title, p.excerpt, p.category, p.author, p.image_url,
+  p.published_at, p.updated_at, p.view_count, p.featured,
+  (SELECT a.slug FROM blog_authors a WHERE a.id = p.author_id) AS author_slug
+`;
+
+const clientError = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * Slug from the given slug, else from the name or title
+ */
+const slugFor = (slug, fallback) => {
+  const result = slugify(slug || fallback);
+  if (!result) throw clientError('Slug must contain letters or numbers');
+  return result;
+};
+
+/**
+ * Only known networks with http(s) URLs are kept
+ */
+const cleanSocialLinks = (links) => Object.fromEntries(
+  SOCIAL_NETWORKS
+    .filter(network => typeof links?.[network] === 'string' && /^https?:\/\/\S+$/i.test(links[network].trim()))
+    .map(network => [network, links[network].trim()])
+);
+
+/**
+ * Duplicate slug errors become a 400 the editor can show
+ */
+const uniqueSlug = (label) => (error) => {
+  if (error.code === '23505') throw clientError(`A ${label} with this slug already exists`);
+  throw error;
+};
+
+class BlogTaxonomyService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Function} [deps.invalidateCache] - (prefix) => Promise, drops cached public blog content
+   */
+  constructor({ pool, invalidateCache }) {
+    this.pool = pool;
+    this.invalidateCache = invalidateCache;
+  }
+
+  // ============ AUTHORS ============
+
+  async listAuthors() {
+    const result = await this.pool.query(`
+      SELECT a.*,
+             COUNT(p.id) FILTER (WHERE p.deleted_at IS NULL) AS post_count,
+             COUNT(p.id) FILTER (WHERE ${PUBLISHED}) AS published_count
+      FROM blog_authors a
+      LEFT JOIN blog_posts p ON p.author_id = a.id
+      GROUP BY a.id
+      ORDER BY a.name
+    `);
+    return result.rows;
+  }
+
+  async createAuthor(data) {
+    const result = await this.pool.query(`
+      INSERT INTO blog_authors (slug, name, role, bio, avatar_url, social_links, email)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [
+      slugFor(data.slug, data.name), data.name.trim(), data.role || null, data.bio || null,
+      data.avatar_url || null, JSON.stringify(cleanSocialLinks(data.social_links)),
+      data.email?.trim().toLowerCase() || null,
+    ]).catch(uniqueSlug('author'));
+
+    await this.contentChanged();
+    return result.rows[0];
+  }
+
+  /**
+   * Partial update. A new name becomes the byline on every post linked to the author.
+   * @returns {Object|null} updated author, or null if missing
+   */
+  async updateAuthor(id, data) {
+    const author = await this.withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE blog_authors SET
+          slug = COALESCE($2, slug),
+          name = COALESCE($3, name),
+          role = COALESCE($4, role),
+          bio = COALESCE($5, bio),
+          avatar_url = COALESCE($6, avatar_url),
+          social_links = COALESCE($7::jsonb, social_links),
+          email = COALESCE($8, email)
+        WHERE id = $1
+        RETURNING *
+      `, [
+        id, data.slug ? slugFor(data.slug) : null, data.name?.trim() || null,
+        data.role, data.bio, data.avatar_url,
+        data.social_links !== undefined ? JSON.stringify(cleanSocialLinks(data.social_links)) : null,
+        data.email?.trim().toLowerCase(),
+      ]).catch(uniqueSlug('author'));
+      if (result.rows.length === 0) return null;
+
+      if (data.name) {
+        await client.query('UPDATE blog_posts SET author = $2 WHERE author_id = $1 AND author <> $2', [id, result.rows[0].name]);
+      }
+      return result.rows[0];
+    });
+
+    if (author) await this.contentChanged();
+    return author;
+  }
+
+  /**
+   * Posts keep their byline but lose the profile link
+   */
+  async deleteAuthor(id) {
+    const result = await this.pool.query('DELETE FROM blog_authors WHERE id = $1 RETURNING id, name', [id]);
+    if (result.rows[0]) await this.contentChanged();
+    return result.rows[0] || null;
+  }
+
+  // ============ TAGS ============
+
+  async listTags() {
+    const result = await this.pool.query(`
+      SELECT t.*,
+             COUNT(p.id) FILTER (WHERE p.deleted_at IS NULL) AS post_count,
+             COUNT(p.id) FILTER (WHERE ${PUBLISHED}) AS published_count
+      FROM blog_tags t
+      LEFT JOIN blog_post_tags pt ON pt.tag_id = t.id
+      LEFT JOIN blog_posts p ON p.id = pt.post_id
+      GROUP BY t.id
+      ORDER BY t.name
+    `);
+    return result.rows;
+  }
+
+  async createTag(data) {
+    const result = await this.pool.query(`
+      INSERT INTO blog_tags (slug, name, description)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [slugFor(data.slug, data.name), data.name.trim(), data.description || null]).catch(uniqueSlug('tag'));
+
+    await this.contentChanged();
+    return result.rows[0];
+  }
+
+  async updateTag(id, data) {
+    const result = await this.pool.query(`
+      UPDATE blog_tags SET
+        slug = COALESCE($2, slug),
+        name = COALESCE($3, name),
+        description = COALESCE($4, description)
+      WHERE id = $1
+      RETURNING *
+    `, [id, data.slug ? slugFor(data.slug) : null, data.name?.trim() || null, data.description]).catch(uniqueSlug('tag'));
+
+    if (result.rows[0]) await this.contentChanged();
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Removes the tag from every post
+   */
+  async deleteTag(id) {
+    const result = await this.pool.query('DELETE FROM blog_tags WHERE id = $1 RETURNING id, name', [id]);
+    if (result.rows[0]) await this.contentChanged();
+    return result.rows[0] || null;
+  }
+
+  // ============ SERIES ============
+
+  async listSeries() {
+    const result = await this.pool.query(`
+      SELECT s.*,
+             COALESCE(
+               json_agg(
+                 json_build_object('id', p.id, 'title', p.title, 'slug', p.slug, 'status', p.status, 'series_position', p.series_position)
+                 ORDER BY p.series_position NULLS LAST, p.published_at NULLS LAST, p.id
+               ) FILTER (WHERE p.id IS NOT NULL),
+               '[]'
+             ) AS posts
+      FROM blog_series s
+      LEFT JOIN blog_posts p ON p.series_id = s.id AND p.deleted_at IS NULL
+      GROUP BY s.id
+      ORDER BY s.title
+    `);
+    return result.rows;
+  }
+
+  async createSeries(data) {
+    const result = await this.pool.query(`
+      INSERT INTO blog_series (slug, title, description, image_url)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [slugFor(data.slug, data.title), data.title.trim(), data.description || null, data.image_url || null])
+      .catch(uniqueSlug('series'));
+
+    await this.contentChanged();
+    return result.rows[0];
+  }
+
+  async updateSeries(id, data) {
+    const result = await this.pool.query(`
+      UPDATE blog_series SET
+        slug = COALESCE($2, slug),
+        title = COALESCE($3, title),
+        description = COALESCE($4, description),
+        image_url = COALESCE($5, image_url)
+      WHERE id = $1
+      RETURNING *
+    `, [id, data.slug ? slugFor(data.slug) : null, data.title?.trim() || null, data.description, data.image_url])
+      .catch(uniqueSlug('series'));
+
+    if (result.rows[0]) await this.contentChanged();
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Posts leave the series but stay published
+   */
+  async deleteSeries(id) {
+    const series = await this.withTransaction(async (client) => {
+      await client.query('UPDATE blog_posts SET series_position = NULL WHERE series_id = $1', [id]);
+      const result = await client.query('DELETE FROM blog_series WHERE id = $1 RETURNING id, title', [id]);
+      return result.rows[0] || null;
+    });
+
+    if (series) await this.contentChanged();
+    return series;
+  }
+
+  /**
+   * Renumber a series' parts 1..n in the given order
+   * @param {number[]} postIds - every post in the series, first part first
+   * @returns {Object|null} series as listSeries returns it, or null if missing
+   */
+  async reorderSeries(id, postIds) {
+    const reordered = await this.withTransaction(async (client) => {
+      const series = await client.query('SELECT id FROM blog_series WHERE id = $1 FOR UPDATE', [id]);
+      if (series.rows.length === 0) return false;
+
+      const members = await client.query(
+        'SELECT id FROM blog_posts WHERE series_id = $1 AND deleted_at IS NULL',
+        [id]
+      );
+      const memberIds = members.rows.map(row => row.id).sort((a, b) => a - b);
+      const givenIds = [...new Set(postIds)].sort((a, b) => a - b);
+      if (givenIds.length !== postIds.length || givenIds.join() !== memberIds.join()) {
+        throw clientError('The new order must list every post in the series exactly once');
+      }
+
+      await client.query(`
+        UPDATE blog_posts p SET series_position = ordered.position
+        FROM unnest($1::int[]) WITH ORDINALITY AS ordered(id, position)
+        WHERE p.id = ordered.id
+      `, [postIds]);
+      return true;
+    });
+    if (!reordered) return null;
+
+    await this.contentChanged();
+    const all = await this.listSeries();
+    return all.find(series => series.id === id) || null;
+  }
+
+  // ============ PUBLIC PAGES ============
+
+  /**
+   * @returns {Object|null} { author, posts }
+   */
+  async getAuthorPage(slug) {
+    const author = await this.pool.query(
+      'SELECT id, slug, name, role, bio, avatar_url, social_links, updated_at FROM blog_authors WHERE slug = $1',
+      [slug]
+    );
+    if (author.rows.length === 0) return null;
+
+    const posts = await this.pool.query(`
+      SELECT ${POST_CARD_COLUMNS}
+      FROM blog_posts p
+      WHERE p.author_id = $1 AND ${PUBLISHED}
+      ORDER BY p.published_at DESC
+      LIMIT $2
+    `, [author.rows[0].id, MAX_COLLECTION_POSTS]);
+    return { author: author.rows[0], posts: posts.rows };
+  }
+
+  /**
+   * @returns {Object|null} { tag, posts }
+   */
+  async getTagPage(slug) {
+    const tag = await this.pool.query('SELECT id, slug, name, description FROM blog_tags WHERE slug = $1', [slug]);
+    if (tag.rows.length === 0) return null;
+
+    const posts = await this.pool.query(`
+      SELECT ${POST_CARD_COLUMNS}
+      FROM blog_posts p
+      JOIN blog_post_tags pt ON pt.post_id = p.id
+      WHERE pt.tag_id = $1 AND ${PUBLISHED}
+      ORDER BY p.published_at DESC
+      LIMIT $2
+    `, [tag.rows[0].id, MAX_COLLECTION_POSTS]);
+    return { tag: tag.rows[0], posts: posts.rows };
+  }
+
+  /**
+   * @returns {Object|null} { series, posts } with posts in reading order
+   */
+  async getSeriesPage(slug) {
+    const series = await this.pool.query(
+      'SELECT id, slug, title, description, image_url, updated_at FROM blog_series WHERE slug = $1',
+      [slug]
+    );
+    if (series.rows.length === 0) return null;
+
+    const posts = await this.pool.query(`
+      SELECT ${POST_CARD_COLUMNS}, p.series_position
+      FROM blog_posts p
+      WHERE p.series_id = $1 AND ${PUBLISHED}
+      ORDER BY p.series_position NULLS LAST, p.published_at
+      LIMIT $2
+    `, [series.rows[0].id, MAX_COLLECTION_POSTS]);
+    return { series: series.rows[0], posts: posts.rows };
+  }
+
+  /**
+   * What an article shows besides its own fields
+   * @param {Object} post - blog_posts row
+   * @returns {Object} { tags, author_profile, series }; series carries the
+   *   post's part number among published parts and its previous/next parts
+   */
+  async getPostTaxonomy(post) {
+    const [tags, author, series] = await Promise.all([
+      this.pool.query(`
+        SELECT t.slug, t.name
+        FROM blog_post_tags pt
+        JOIN blog_tags t ON t.id = pt.tag_id
+        WHERE pt.post_id = $1
+        ORDER BY t.name
+      `, [post.id]),
+      post.author_id
+        ? this.pool.query('SELECT slug, name, role, bio, avatar_url, social_links FROM blog_authors WHERE id = $1', [post.author_id])
+        : { rows: [] },
+      post.series_id
+        ? this.pool.query(`
+            SELECT s.slug, s.title, p.id, p.slug AS post_slug, p.title AS post_title
+            FROM blog_series s
+            JOIN blog_posts p ON p.series_id = s.id AND ${PUBLISHED}
+            WHERE s.id = $1
+            ORDER BY p.series_position NULLS LAST, p.published_at
+          `, [post.series_id])
+        : { rows: [] },
+    ]);
+
+    let seriesNav = null;
+    const index = series.rows.findIndex(row => row.id === post.id);
+    if (index !== -1) {
+      const part = (row) => (row ? { slug: row.post_slug, title: row.post_title } : null);
+      seriesNav = {
+        slug: series.rows[0].slug,
+        title: series.rows[0].title,
+        position: index + 1,
+        total: series.rows.length,
+        previous: part(series.rows[index - 1]),
+        next: part(series.rows[index + 1]),
+      };
+    }
+
+    return { tags: tags.rows, author_profile: author.rows[0] || null, series: seriesNav };
+  }
+
+  // ============ HELPERS ============
+
+  /**
+   * Bylines, tag lists and series pages are public blog content
+   */
+  async contentChanged() {
+    if (this.invalidateCache) {
+      await this.invalidateCache(CACHE_PREFIX);
+    }
+  }
+
+  async withTransaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+BlogTaxonomyService.SOCIAL_NETWORKS = SOCIAL_NETWORKS;
+
+module.exports = BlogTaxonomyService;
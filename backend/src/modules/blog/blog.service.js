@@ -0,0 +1,625 @@
+/**
+ * Blog Service
+ *
+ * Blog Editor (vault) post management:
+ * 1. Create / update run in a transaction that also snapshots the saved
+ *    post into blog_post_revisions, so every save can be diffed and restored
+ * 2. Deletes are soft: posts move to the trash (deleted_at) and can be
+ *    restored or purged from there. A restored post comes back as a draft
+ *    if it was live, so it goes public again only through review
+ * 3. Revision diffs are HTML-aware (see html-diff.js)
+ * 4. Scheduled posts carry a publish_at; publishDuePosts() (run by the
+ *    server's scheduler) publishes them once it has passed
+ * 5. Saves also set the post's tags (unknown tags are created), its author
+ *    profile (whose name becomes the byline) and its part in a series
+ *    (see blog-taxonomy.service.js)
+ * 6. Posts go live only through editorial review: saves that would publish
+ *    or schedule a post, or change a live post's wording, are refused unless
+ *    they come from an approved review (see modules/editorial)
+ * 7. Renaming a post that has been published redirects its old URL to the
+ *    new one (see modules/seo/redirect.service.js)
+ */
+
+const { diffHtml, diffText } = require('./html-diff');
+const { slugify } = require('./slug');
+
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// Public now, or automatically once publish_at passes
+const LIVE_STATUSES = ['published', 'scheduled'];
+
+// What a live post may change without review: when and where it shows, not what it says
+const UNREVIEWED_LIVE_FIELDS = ['featured', 'publish_at'];
+
+// Post fields an editorial review may carry: what the Blog Editor saves
+const REVIEWED_FIELDS = [
+  'title', 'slug', 'excerpt', 'content', 'category', 'author', 'author_id', 'image_url',
+  'meta_title', 'meta_description', 'meta_keywords', 'status', 'featured', 'publish_at',
+  'tags', 'series_id', 'series_position',
+];
+
+// Cache keys (server cacheWrapper) holding public blog content
+const CACHE_PREFIX = 'blog:';
+
+// Fields shown in a revision comparison, besides the content body
+const COMPARED_FIELDS = [
+  'title', 'slug', 'excerpt', 'category', 'author', 'image_url',
+  'meta_title', 'meta_description', 'meta_keywords', 'status', 'featured', 'publish_at',
+];
+
+// Fields a restore brings back. Slug, status, schedule and featured stay as they are
+// so restoring old wording never moves or (un)publishes a live post.
+const RESTORED_FIELDS = [
+  'title', 'excerpt', 'content', 'category', 'author', 'author_id', 'image_url',
+  'meta_title', 'meta_description', 'meta_keywords',
+];
+
+// Tag names, alphabetical, for a row selected FROM blog_posts
+const TAGS_COLUMN = `
+  COALESCE((
+    SELECT json_agg(t.name ORDER BY t.name)
+    FROM blog_post_tags pt
+    JOIN blog_tags t ON t.id = pt.tag_id
+    WHERE pt.post_id = blog_posts.id
+  ), '[]') AS tags
+`;
+
+const clientError = (message) => Object.assign(new Error(message), { status: 400 });
+const reviewRequired = (message) => Object.assign(new Error(message), { status: 409 });
+
+const comparable = (value) => (value instanceof Date ? value.toISOString() : value ?? '');
+
+/**
+ * Refuse a save that would put unreviewed wording live. Taking a post
+ * offline, (re)timing it and featuring it need no review.
+ */
+const assertReviewed = (currentStatus, data) => {
+  const live = LIVE_STATUSES.includes(currentStatus);
+  if (!live) {
+    if (LIVE_STATUSES.includes(data.status)) {
+      throw reviewRequired('Posts go live through editorial review: submit this post for approval');
+    }
+    return;
+  }
+
+  const goingOffline = data.status !== undefined && !LIVE_STATUSES.includes(data.status);
+  const rewording = Object.keys(data)
+    .some(field => data[field] !== undefined && field !== 'status' && !UNREVIEWED_LIVE_FIELDS.includes(field));
+  if (rewording && !goingOffline) {
+    throw reviewRequired('Changes to a live post go through editorial review: submit them for approval');
+  }
+};
+
+/**
+ * A review payload must be a save that takes the post live
+ */
+const assertReviewPayload = (payload) => {
+  const unknown = Object.keys(payload).filter(field => !REVIEWED_FIELDS.includes(field));
+  if (unknown.length > 0) throw clientError(`Unknown post fields: ${unknown.join(', ')}`);
+  if (typeof payload.title !== 'string' || !payload.title.trim()) throw clientError('The post needs a title');
+  if (!LIVE_STATUSES.includes(payload.status)) {
+    throw clientError(`A reviewed post goes live as one of: ${LIVE_STATUSES.join(', ')}`);
+  }
+  assertSchedulable(payload.status, payload.publish_at);
+};
+
+/**
+ * A post can only be (re)scheduled for a time that hasn't passed yet
+ */
+const assertSchedulable = (status, publishAt) => {
+  if (status !== 'scheduled') return;
+  if (!publishAt || new Date(publishAt) <= new Date()) {
+    throw clientError('Scheduled posts need a publish date in the future');
+  }
+};
+
+class BlogService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Function} [deps.invalidateCache] - (prefix) => Promise, drops cached public blog content
+   * @param {Object} [deps.redirects] - RedirectService, for slug changes
+   */
+  constructor({ pool, invalidateCache, redirects }) {
+    this.pool = pool;
+    this.invalidateCache = invalidateCache;
+    this.redirects = redirects;
+  }
+
+  // ============ POSTS ============
+
+  async listPosts() {
+    const result = await this.pool.query(`
+      SELECT *, ${TAGS_COLUMN} FROM blog_posts
+      WHERE deleted_at IS NULL
+      ORDER BY
+        CASE status WHEN 'draft' THEN 0 WHEN 'scheduled' THEN 1 WHEN 'published' THEN 2 ELSE 3 END,
+        updated_at DESC
+    `);
+    return result.rows;
+  }
+
+  async getPost(id) {
+    const result = await this.pool.query(
+      `SELECT *, ${TAGS_COLUMN} FROM blog_posts WHERE id = $1 AND deleted_at IS NULL`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.reviewed] - Applying an approved review
+   */
+  async createPost(data, username, { reviewed = false } = {}) {
+    if (!reviewed) assertReviewed(null, data);
+    assertSchedulable(data.status, data.publish_at);
+
+    const post = await this.withTransaction(async (client) => {
+      await this.assertSlugAvailable(client, data.slug);
+      const byline = data.author_id ? await this.authorName(client, data.author_id) : null;
+      const seriesPosition = data.series_id
+        ? await this.seriesPosition(client, data.series_id, data.series_position)
+        : null;
+
+      const result = await client.query(`
+        INSERT INTO blog_posts (
+          title, slug, excerpt, content, category, author,
+          image_url, meta_title, meta_description, meta_keywords,
+          status, featured, published_at, publish_at, created_by, updated_by,
+          author_id, series_id, series_position
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $15, $16, $17, $18)
+        RETURNING id
+      `, [
+        data.title, data.slug, data.excerpt || '', data.content || '',
+        data.category || 'Technology', byline || data.author || 'FinACEverse Team',
+        data.image_url || '', data.meta_title || data.title.substring(0, 70),
+        data.meta_description || data.excerpt?.substring(0, 160) || '',
+        data.meta_keywords || '',
+        data.status || 'draft', data.featured || false,
+        data.status === 'published' ? new Date() : null,
+        data.publish_at || null,
+        username,
+        data.author_id || null, data.series_id || null, seriesPosition,
+      ]);
+      const id = result.rows[0].id;
+
+      if (data.tags) await this.setTags(client, id, data.tags);
+      await this.snapshot(client, id, username);
+      return this.selectPost(client, id);
+    });
+
+    await this.contentChanged();
+    return post;
+  }
+
+  /**
+   * Partial update; fields left undefined keep their value, and
+   * publish_at, author_id or series_id: null clears them
+   * @param {Object} [options]
+   * @param {boolean} [options.reviewed] - Applying an approved review
+   * @param {Object} [options.client] - Run in the caller's transaction; the
+   *   caller calls contentChanged() once it commits
+   * @returns {Object|null} updated post, or null if missing / in the trash
+   */
+  async updatePost(id, data, username, { reviewed = false, client: transaction } = {}) {
+    const update = async (client) => {
+      const current = await client.query(
+        'SELECT slug, status, published_at, publish_at, series_id, series_position FROM blog_posts WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [id]
+      );
+      if (current.rows.length === 0) return null;
+
+      if (!reviewed) assertReviewed(current.rows[0].status, data);
+
+      const hasPublishAt = data.publish_at !== undefined;
+      if (data.status !== undefined || hasPublishAt) {
+        assertSchedulable(
+          data.status || current.rows[0].status,
+          hasPublishAt ? data.publish_at : current.rows[0].publish_at
+        );
+      }
+
+      if (data.slug && data.slug !== current.rows[0].slug) {
+        await this.assertSlugAvailable(client, data.slug, id);
+      }
+
+      // Set published_at if publishing for first time
+      const isPublishing = data.status === 'published' && current.rows[0].status !== 'published';
+
+      const hasAuthorId = data.author_id !== undefined;
+      const byline = data.author_id ? await this.authorName(client, data.author_id) : null;
+
+      // undefined keeps the post where it is in its series
+      let seriesPosition;
+      if (data.series_id !== undefined) {
+        const { series_id: currentSeries, series_position: currentPosition } = current.rows[0];
+        if (!data.series_id) {
+          seriesPosition = null;
+        } else if (data.series_id === currentSeries && currentPosition && !data.series_position) {
+          seriesPosition = currentPosition;
+        } else {
+          seriesPosition = await this.seriesPosition(client, data.series_id, data.series_position);
+        }
+      } else if (data.series_position && current.rows[0].series_id) {
+        seriesPosition = data.series_position;
+      }
+
+      const result = await client.query(`
+        UPDATE blog_posts SET
+          title = COALESCE($1, title),
+          slug = COALESCE($2, slug),
+          excerpt = COALESCE($3, excerpt),
+          content = COALESCE($4, content),
+          category = COALESCE($5, category),
+          author = COALESCE($6, author),
+          image_url = COALESCE($7, image_url),
+          meta_title = COALESCE($8, meta_title),
+          meta_description = COALESCE($9, meta_description),
+          meta_keywords = COALESCE($10, meta_keywords),
+          status = COALESCE($11, status),
+          featured = COALESCE($12, featured),
+          published_at = CASE
+            WHEN $13 = true THEN NOW()
+            ELSE published_at
+          END,
+          publish_at = CASE
+            WHEN $16 = true THEN $17::timestamptz
+            ELSE publish_at
+          END,
+          author_id = CASE
+            WHEN $18 = true THEN $19::int
+            ELSE author_id
+          END,
+          series_id = CASE
+            WHEN $20 = true THEN $21::int
+            ELSE series_id
+          END,
+          series_position = CASE
+            WHEN $22 = true THEN $23::int
+            ELSE series_position
+          END,
+          updated_by = $14
+        WHERE id = $15
+      `, [
+        data.title, data.slug, data.excerpt, data.content, data.category, byline || data.author,
+        data.image_url, data.meta_title, data.meta_description, data.meta_keywords,
+        data.status, data.featured, isPublishing, username, id,
+        hasPublishAt, data.publish_at || null,
+        hasAuthorId, data.author_id || null,
+        data.series_id !== undefined, data.series_id || null,
+        seriesPosition !== undefined, seriesPosition ?? null,
+      ]);
+
+      if (data.tags !== undefined) await this.setTags(client, id, data.tags || []);
+
+      // Links to the old URL keep working once it has been public
+      const { slug: oldSlug, published_at: publishedAt } = current.rows[0];
+      if (this.redirects && data.slug && data.slug !== oldSlug && publishedAt) {
+        await this.redirects.addSlugRedirect(client, {
+          fromPath: `/blog/${oldSlug}`,
+          toPath: `/blog/${data.slug}`,
+          contentId: id,
+          username,
+        });
+      }
+
+      await this.snapshot(client, id, username);
+      return this.selectPost(client, id);
+    };
+
+    if (transaction) return update(transaction);
+    const post = await this.withTransaction(update);
+    if (post) await this.contentChanged();
+    return post;
+  }
+
+  // ============ SCHEDULING ============
+
+  /**
+   * Publish scheduled posts whose publish_at has passed. Safe to run from
+   * several instances at once: rows another run holds are skipped.
+   * @returns {Array} published posts ({ id, slug, title })
+   */
+  async publishDuePosts() {
+    const published = await this.withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE blog_posts SET
+          status = 'published',
+          published_at = publish_at,
+          updated_by = 'scheduler'
+        WHERE id IN (
+          SELECT id FROM blog_posts
+          WHERE status = 'scheduled' AND publish_at <= NOW() AND deleted_at IS NULL
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id, slug, title
+      `);
+
+      for (const post of result.rows) {
+        await this.snapshot(client, post.id, 'scheduler');
+      }
+      return result.rows;
+    });
+
+    if (published.length > 0) await this.contentChanged();
+    return published;
+  }
+
+  // ============ TRASH ============
+
+  async trashPost(id, username) {
+    const result = await this.pool.query(`
+      UPDATE blog_posts SET deleted_at = NOW(), deleted_by = $2
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING id, title
+    `, [id, username]);
+    if (result.rows[0]) await this.contentChanged();
+    return result.rows[0] || null;
+  }
+
+  async listTrash() {
+    const result = await this.pool.query(`
+      SELECT id, slug, title, status, category, author, deleted_at, deleted_by, updated_at
+      FROM blog_posts
+      WHERE deleted_at IS NOT NULL
+      ORDER BY deleted_at DESC
+    `);
+    return result.rows;
+  }
+
+  async restorePost(id, username) {
+    const post = await this.withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE blog_posts SET
+          deleted_at = NULL,
+          deleted_by = NULL,
+          status = CASE WHEN status = ANY($2) THEN 'draft' ELSE status END,
+          publish_at = CASE WHEN status = ANY($2) THEN NULL ELSE publish_at END,
+          updated_by = $3
+        WHERE id = $1 AND deleted_at IS NOT NULL
+        RETURNING id
+      `, [id, LIVE_STATUSES, username]);
+      if (result.rows.length === 0) return null;
+
+      await this.snapshot(client, id, username);
+      return this.selectPost(client, id);
+    });
+
+    if (post) await this.contentChanged();
+    return post;
+  }
+
+  /**
+   * Permanently delete a trashed post and its revisions
+   */
+  async purgePost(id) {
+    const result = await this.pool.query(
+      'DELETE FROM blog_posts WHERE id = $1 AND deleted_at IS NOT NULL RETURNING id, title',
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // ============ REVISIONS ============
+
+  /**
+   * @returns {Array|null} newest first, or null if the post doesn't exist
+   */
+  async listRevisions(postId) {
+    const post = await this.getPost(postId);
+    if (!post) return null;
+
+    const result = await this.pool.query(`
+      SELECT id, revision_number, title, status, restored_from, created_by, created_at,
+             COALESCE(LENGTH(content), 0) AS content_length
+      FROM blog_post_revisions
+      WHERE post_id = $1
+      ORDER BY revision_number DESC
+    `, [postId]);
+    return result.rows;
+  }
+
+  async getRevision(postId, revisionId) {
+    const result = await this.pool.query(
+      'SELECT * FROM blog_post_revisions WHERE id = $1 AND post_id = $2',
+      [revisionId, postId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Field-by-field and content diff between two revisions of a post
+   * @returns {Object|null} { from, to, fields: [{ field, from, to, html }], content }
+   */
+  async compareRevisions(postId, fromId, toId) {
+    const [from, to] = await Promise.all([
+      this.getRevision(postId, fromId),
+      this.getRevision(postId, toId),
+    ]);
+    if (!from || !to) return null;
+
+    const fields = COMPARED_FIELDS
+      .filter(field => comparable(from[field]) !== comparable(to[field]))
+      .map(field => ({
+        field,
+        from: from[field],
+        to: to[field],
+        html: diffText(comparable(from[field]), comparable(to[field])).html,
+      }));
+
+    const describe = ({ id, revision_number, created_by, created_at }) => ({ id, revision_number, created_by, created_at });
+    return {
+      from: describe(from),
+      to: describe(to),
+      fields,
+      content: diffHtml(from.content, to.content),
+    };
+  }
+
+  /**
+   * Copy a revision's content back onto the post. The restore is itself
+   * saved as a new revision, so it can be undone the same way. Restoring
+   * onto a live post would skip review, so those are refused.
+   * @returns {Object|null} updated post
+   */
+  async restoreRevision(postId, revisionId, username) {
+    const post = await this.withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT id, status FROM blog_posts WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+        [postId]
+      );
+      if (current.rows.length === 0) return null;
+      if (LIVE_STATUSES.includes(current.rows[0].status)) {
+        throw reviewRequired('Live posts change through editorial review: load this revision into the editor and submit it');
+      }
+
+      const revision = await client.query(
+        'SELECT * FROM blog_post_revisions WHERE id = $1 AND post_id = $2',
+        [revisionId, postId]
+      );
+      if (revision.rows.length === 0) return null;
+      const source = revision.rows[0];
+
+      const assignments = RESTORED_FIELDS.map((field, i) => `${field} = $${i + 1}`).join(', ');
+      await client.query(
+        `UPDATE blog_posts SET ${assignments}, updated_by = $${RESTORED_FIELDS.length + 1}
+         WHERE id = $${RESTORED_FIELDS.length + 2}`,
+        [...RESTORED_FIELDS.map(field => source[field]), username, postId]
+      );
+
+      await this.snapshot(client, postId, username, { restoredFrom: source.revision_number });
+      return this.selectPost(client, postId);
+    });
+
+    if (post) await this.contentChanged();
+    return post;
+  }
+
+  // ============ CATEGORIES ============
+
+  async listCategories() {
+    const result = await this.pool.query('SELECT * FROM blog_categories ORDER BY name');
+    return result.rows;
+  }
+
+  // ============ HELPERS ============
+
+  /**
+   * Save the post's current state as its next revision
+   * @param {Object} client - transaction client holding the post row lock
+   */
+  async snapshot(client, postId, username, { restoredFrom = null } = {}) {
+    await client.query(`
+      INSERT INTO blog_post_revisions (
+        post_id, revision_number, title, slug, excerpt, content, category, author, author_id, image_url,
+        meta_title, meta_description, meta_keywords, status, featured, publish_at, restored_from, created_by
+      )
+      SELECT
+        p.id,
+        COALESCE((SELECT MAX(revision_number) FROM blog_post_revisions WHERE post_id = p.id), 0) + 1,
+        p.title, p.slug, p.excerpt, p.content, p.category, p.author, p.author_id, p.image_url,
+        p.meta_title, p.meta_description, p.meta_keywords, p.status, p.featured, p.publish_at, $2, $3
+      FROM blog_posts p
+      WHERE p.id = $1
+    `, [postId, restoredFrom, username]);
+  }
+
+  async selectPost(client, id) {
+    const result = await client.query(`SELECT *, ${TAGS_COLUMN} FROM blog_posts WHERE id = $1`, [id]);
+    return result.rows[0];
+  }
+
+  /**
+   * Replace the post's tags, creating tags that don't exist yet (matched by slug)
+   * @param {string[]} names
+   */
+  async setTags(client, postId, names) {
+    const tags = new Map();
+    names.map(name => name.trim()).filter(Boolean).forEach(name => {
+      const slug = slugify(name);
+      if (slug && !tags.has(slug)) tags.set(slug, name);
+    });
+
+    await client.query('DELETE FROM blog_post_tags WHERE post_id = $1', [postId]);
+    if (tags.size === 0) return;
+
+    await client.query(`
+      INSERT INTO blog_tags (slug, name)
+      SELECT * FROM unnest($1::text[], $2::text[])
+      ON CONFLICT (slug) DO NOTHING
+    `, [[...tags.keys()], [...tags.values()]]);
+    await client.query(`
+      INSERT INTO blog_post_tags (post_id, tag_id)
+      SELECT $1, id FROM blog_tags WHERE slug = ANY($2)
+    `, [postId, [...tags.keys()]]);
+  }
+
+  /**
+   * Byline for a linked author profile
+   */
+  async authorName(client, authorId) {
+    const result = await client.query('SELECT name FROM blog_authors WHERE id = $1', [authorId]);
+    if (result.rows.length === 0) throw clientError('Author profile not found');
+    return result.rows[0].name;
+  }
+
+  /**
+   * The requested part number, else the position after the series' last part
+   */
+  async seriesPosition(client, seriesId, requested) {
+    const result = await client.query(`
+      SELECT s.id, COALESCE(MAX(p.series_position), 0) + 1 AS position
+      FROM blog_series s
+      LEFT JOIN blog_posts p ON p.series_id = s.id AND p.deleted_at IS NULL
+      WHERE s.id = $1
+      GROUP BY s.id
+    `, [seriesId]);
+    if (result.rows.length === 0) throw clientError('Series not found');
+    return requested || result.rows[0].position;
+  }
+
+  /**
+   * Drop cached public blog content after a change readers can see
+   */
+  async contentChanged() {
+    if (this.invalidateCache) {
+      await this.invalidateCache(CACHE_PREFIX);
+    }
+  }
+
+  async assertSlugAvailable(client, slug, excludeId = null) {
+    const existing = await client.query(
+      'SELECT deleted_at FROM blog_posts WHERE slug = $1 AND ($2::int IS NULL OR id != $2)',
+      [slug, excludeId]
+    );
+    if (existing.rows.length > 0) {
+      throw clientError(existing.rows[0].deleted_at
+        ? 'A post with this slug is in the trash. Restore or permanently delete it first.'
+        : 'A post with this slug already exists');
+    }
+    if (this.redirects) await this.redirects.claimPath(client, `/blog/${slug}`, excludeId);
+  }
+
+  async withTransaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+BlogService.POST_STATUSES = POST_STATUSES;
+BlogService.LIVE_STATUSES = LIVE_STATUSES;
+BlogService.assertReviewPayload = assertReviewPayload;
+BlogService.CACHE_PREFIX = CACHE_PREFIX;
+
+module.exports = BlogService;
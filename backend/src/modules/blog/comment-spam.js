@@ -0,0 +1,64 @@
+/**
+ * Spam score for a blog comment, 0 (clean) to 1, with the reasons behind it.
+ * Each signal adds weight; comments at or above SPAM_THRESHOLD skip the
+ * moderation queue and land in 'spam' (moderators can still approve them).
+ * `history` carries what only the database knows: identical comments and the
+ * sender's other recent comments.
+ */
+
+const SPAM_THRESHOLD = 0.6;
+
+// People take longer than this to read a post and write a comment
+const MIN_COMPOSE_MS = 3000;
+
+const SPAM_PHRASES = /\b(viagra|cialis|casino|porn|escort|payday loans?|backlinks?|seo services|buy followers|click here|work from home|weight loss|guest post)\b/gi;
+
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  'mailinator.com', 'guerrillamail.com', '10minutemail.com', 'tempmail.com', 'temp-mail.org',
+  'yopmail.com', 'trashmail.com', 'sharklasers.com', 'getnada.com', 'dispostable.com',
+]);
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+/**
+ * @param {Object} comment - { name, email, body, elapsedMs }
+ * @param {Object} history - { duplicates, recentFromSender }
+ * @returns {Object} { score, reasons, isSpam }
+ */
+const scoreComment = ({ name, email, body, elapsedMs }, { duplicates = 0, recentFromSender = 0 } = {}) => {
+  const signals = [];
+
+  const links = (body.match(LINK_PATTERN) || []).length;
+  if (links >= 3) signals.push([0.6, `${links} links`]);
+  else if (links === 2) signals.push([0.35, '2 links']);
+  else if (links === 1) signals.push([0.15, 'link']);
+
+  if (/https?:\/\/|www\./i.test(name)) signals.push([0.5, 'link in name']);
+
+  const phrases = [...new Set((body.match(SPAM_PHRASES) || []).map(p => p.toLowerCase()))];
+  if (phrases.length > 0) signals.push([Math.min(0.3 * phrases.length, 0.6), `spam phrases: ${phrases.join(', ')}`]);
+
+  const domain = (email || '').split('@')[1]?.toLowerCase();
+  if (domain && DISPOSABLE_EMAIL_DOMAINS.has(domain)) signals.push([0.3, 'disposable email']);
+
+  if (typeof elapsedMs === 'number' && elapsedMs < MIN_COMPOSE_MS) signals.push([0.4, 'submitted too fast']);
+
+  const letters = body.replace(/[^a-zA-Z]/g, '');
+  if (letters.length > 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) {
+    signals.push([0.2, 'mostly capitals']);
+  }
+
+  if (/(.)\1{9,}/.test(body)) signals.push([0.1, 'repeated characters']);
+
+  if (duplicates > 0) signals.push([0.5, 'duplicate of a recent comment']);
+  if (recentFromSender >= 3) signals.push([0.2, `${recentFromSender} comments in the last hour`]);
+
+  const score = Math.min(signals.reduce((total, [weight]) => total + weight, 0), 1);
+  return {
+    score: Math.round(score * 1000) / 1000,
+    reasons: signals.map(([, reason]) => reason),
+    isSpam: score >= SPAM_THRESHOLD,
+  };
+};
+
+module.exports = { scoreComment, SPAM_THRESHOLD };
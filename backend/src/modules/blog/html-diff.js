@@ -0,0 +1,205 @@
+/**
+ * HTML-aware diff for blog revisions
+ *
+ * Content is split into tags, entities, words and whitespace, diffed with
+ * Myers' O(ND) algorithm, and rendered back as HTML:
+ * - Unchanged tokens pass through
+ * - Inserted text is wrapped in <ins>; inserted tags are kept so the
+ *   result has the new document's structure
+ * - Deleted text is wrapped in <del>; deleted tags are dropped so they
+ *   can't unbalance the markup
+ */
+
+const TOKEN_PATTERN = /<[^>]*>|&(?:[a-z]+|#\d+|#x[0-9a-f]+);|\s+|[\p{L}\p{N}_'’-]+|[^\s<]/giu;
+const TEXT_TOKEN_PATTERN = /\s+|[\p{L}\p{N}_'’-]+|\S/gu;
+
+// Past this many edits the diff is reported as a full replacement
+const MAX_EDIT_DISTANCE = 4000;
+
+const isTag = token => token.startsWith('<');
+
+const escapeHtml = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function tokenize(text, pattern = TOKEN_PATTERN) {
+  return (text || '').match(pattern) || [];
+}
+
+/**
+ * Myers shortest edit script between two token arrays
+ * @returns {Array} [{ type: 'equal' | 'insert' | 'delete', tokens }]
+ */
+function diffTokens(a, b) {
+  // Common prefix and suffix are cheap to strip and usually most of a post
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  if (start > 0) ops.push({ type: 'equal', tokens: a.slice(0, start) });
+  ops.push(...shortestEdit(a.slice(start, endA), b.slice(start, endB)));
+  if (endA < a.length) ops.push({ type: 'equal', tokens: a.slice(endA) });
+
+  // Merge neighbours of the same type
+  const merged = [];
+  ops.forEach(op => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      op.tokens.forEach(token => last.tokens.push(token));
+    } else if (op.tokens.length > 0) {
+      merged.push({ type: op.type, tokens: [...op.tokens] });
+    }
+  });
+  return merged;
+}
+
+function shortestEdit(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 && m === 0) return [];
+  if (n === 0) return [{ type: 'insert', tokens: b }];
+  if (m === 0) return [{ type: 'delete', tokens: a }];
+
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  let v = new Int32Array(3); // furthest x per diagonal k, indexed k + d
+  const trace = [];
+  let found = false;
+
+  for (let d = 0; d <= max && !found; d++) {
+    const next = new Int32Array(2 * d + 1);
+    for (let k = -d; k <= d; k += 2) {
+      // v holds the previous frontier, indexed k + (d - 1)
+      const down = d > 0 && k < d ? v[k + d] : -1;
+      const right = d > 0 && k > -d ? v[k + d - 2] : -1;
+      let x;
+      if (d === 0) {
+        x = 0;
+      } else if (k === -d || (k !== d && right < down)) {
+        x = down;
+      } else {
+        x = right + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      next[k + d] = x;
+      if (x >= n && y >= m) found = true;
+    }
+    trace.push(next);
+    v = next;
+  }
+
+  if (!found) {
+    return [{ type: 'delete', tokens: a }, { type: 'insert', tokens: b }];
+  }
+
+  // Walk back from (n, m) through the saved frontiers
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d > 0; d--) {
+    const frontier = trace[d - 1];
+    const at = (k) => frontier[k + d - 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', tokens: [a[x - 1]] });
+      x--;
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: 'insert', tokens: [b[y - 1]] });
+    } else {
+      ops.push({ type: 'delete', tokens: [a[x - 1]] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', tokens: [a[x - 1]] });
+    x--;
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Wrap runs of text tokens in <ins>/<del>; keep or drop tags in between
+ */
+function wrapChanged(tokens, tag, { keepTags, escape }) {
+  let html = '';
+  let run = '';
+  const flush = () => {
+    if (run) html += `<${tag}>${run}</${tag}>`;
+    run = '';
+  };
+  tokens.forEach(token => {
+    if (!escape && isTag(token)) {
+      flush();
+      if (keepTags) html += token;
+    } else {
+      run += escape ? escapeHtml(token) : token;
+    }
+  });
+  flush();
+  return html;
+}
+
+const countWords = (tokens, escape) => tokens.filter(token => (escape || !isTag(token)) && /[\p{L}\p{N}]/u.test(token)).length;
+
+function render(ops, { escape }) {
+  let html = '';
+  let inserted = 0;
+  let deleted = 0;
+
+  ops.forEach(({ type, tokens }) => {
+    if (type === 'equal') {
+      html += escape ? tokens.map(escapeHtml).join('') : tokens.join('');
+    } else if (type === 'insert') {
+      inserted += countWords(tokens, escape);
+      html += wrapChanged(tokens, 'ins', { keepTags: true, escape });
+    } else {
+      deleted += countWords(tokens, escape);
+      html += wrapChanged(tokens, 'del', { keepTags: false, escape });
+    }
+  });
+
+  return { html, inserted, deleted, changed: ops.some(op => op.type !== 'equal') };
+}
+
+/**
+ * Diff two HTML documents
+ * @returns {Object} { html, inserted, deleted, changed } - word counts
+ */
+function diffHtml(oldHtml, newHtml) {
+  return render(diffTokens(tokenize(oldHtml), tokenize(newHtml)), { escape: false });
+}
+
+/**
+ * Diff two plain-text values; the output is escaped HTML
+ */
+function diffText(oldText, newText) {
+  const tokens = value => tokenize(String(value ?? ''), TEXT_TOKEN_PATTERN);
+  return render(diffTokens(tokens(oldText), tokens(newText)), { escape: true });
+}
+
+module.exports = {
+  tokenize,
+  diffTokens,
+  diffHtml,
+  diffText,
+};
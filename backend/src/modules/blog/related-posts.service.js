@@ -0,0 +1,178 @@
+/**
+ * Related Posts Service
+ *
+ * Recommends articles for /api/blog/posts/:slug/related by blending three
+ * signals, each scaled to 0..1:
+ * 1. Taxonomy - shared tags (Jaccard overlap) and the same category
+ * 2. Content - TF-IDF cosine similarity over title, excerpt and body
+ * 3. Co-visitation - share of the article's readers (visits by IP) who also
+ *    read the candidate in the last 90 days
+ * Scoring runs over every published post, so results are cached by the caller.
+ */
+
+const WEIGHTS = { tags: 0.3, category: 0.1, content: 0.4, covisits: 0.2 };
+
+const DEFAULT_LIMIT = 3;
+const MAX_LIMIT = 12;
+
+// A weak match on one signal alone isn't worth recommending
+const MIN_SCORE = 0.05;
+
+const COVISIT_WINDOW_DAYS = 90;
+
+// Words too common in any English article to say what it is about
+const STOP_WORDS = new Set(`
+  about above after again against all also and any are because been before being below between both but
+  can could did does doing down during each few for from further had has have having her here hers him his
+  how into its itself just more most must not now off once only other our ours out over own same she should
+  some such than that the their theirs them then there these they this those through too under until very
+  was were what when where which while who whom why will with would you your yours
+`.trim().split(/\s+/));
+
+const PUBLISHED = "p.status = 'published' AND p.deleted_at IS NULL";
+
+/**
+ * Content words of an article body (HTML or Markdown), e.g. '<p>Tax AI</p>' -> ['tax']
+ */
+const tokenize = (text) => (String(text || '')
+  .replace(/<[^>]*>/g, ' ')
+  .toLowerCase()
+  .match(/[\p{L}\p{N}]{3,}/gu) || [])
+  .filter(word => !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+
+const termCounts = (words) => words.reduce((counts, word) => {
+  counts.set(word, (counts.get(word) || 0) + 1);
+  return counts;
+}, new Map());
+
+/**
+ * Unit-length TF-IDF vectors, one per document
+ * @param {Map[]} documents - term counts per document
+ */
+const tfidfVectors = (documents) => {
+  const documentFrequency = new Map();
+  for (const counts of documents) {
+    for (const term of counts.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return documents.map((counts) => {
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of counts) {
+      // Smoothed IDF keeps terms shared by every post slightly above zero
+      const weight = (1 + Math.log(count)) * Math.log(1 + documents.length / documentFrequency.get(term));
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+    return vector;
+  });
+};
+
+const cosine = (a, b) => {
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  }
+  return dot;
+};
+
+const jaccard = (a, b) => {
+  if (a.length === 0 || b.length === 0) return 0;
+  const shared = a.filter(id => b.includes(id)).length;
+  return shared / (a.length + b.length - shared);
+};
+
+class RelatedPostsService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   */
+  constructor({ pool }) {
+    this.pool = pool;
+  }
+
+  /**
+   * @param {string} slug - Published post to find neighbours for
+   * @param {Object} [options]
+   * @param {number} [options.limit=3]
+   * @returns {Object[]|null} post cards with score and reasons, best first;
+   *   null if the post doesn't exist
+   */
+  async getRelated(slug, { limit = DEFAULT_LIMIT } = {}) {
+    const result = await this.pool.query(`
+      SELECT p.id, p.slug, p.title, p.excerpt, p.category, p.author, p.image_url, p.published_at,
+             (SELECT a.slug FROM blog_authors a WHERE a.id = p.author_id) AS author_slug,
+             p.title || ' ' || COALESCE(p.excerpt, '') || ' ' || COALESCE(p.content, '') AS body,
+             COALESCE(ARRAY(SELECT pt.tag_id FROM blog_post_tags pt WHERE pt.post_id = p.id), '{}') AS tag_ids
+      FROM blog_posts p
+      WHERE ${PUBLISHED}
+    `);
+
+    const target = result.rows.find(post => post.slug === slug);
+    if (!target) return null;
+
+    const vectors = tfidfVectors(result.rows.map(post => termCounts(tokenize(post.body))));
+    const targetVector = vectors[result.rows.indexOf(target)];
+    const covisits = await this.getCovisits(target.slug);
+
+    return result.rows
+      .map((post, index) => {
+        if (post.id === target.id) return null;
+
+        const signals = {
+          tags: jaccard(target.tag_ids, post.tag_ids),
+          category: target.category && post.category === target.category ? 1 : 0,
+          content: cosine(targetVector, vectors[index]),
+          covisits: covisits.get(post.slug) || 0,
+        };
+        const score = Object.entries(WEIGHTS).reduce((sum, [signal, weight]) => sum + weight * signals[signal], 0);
+
+        const { body, tag_ids, ...card } = post;
+        return {
+          ...card,
+          score: Math.round(score * 1000) / 1000,
+          reasons: Object.keys(WEIGHTS).filter(signal => signals[signal] > 0),
+        };
+      })
+      .filter(post => post && post.score >= MIN_SCORE)
+      .sort((a, b) => b.score - a.score || new Date(b.published_at) - new Date(a.published_at))
+      .slice(0, Math.min(Math.max(limit, 1), MAX_LIMIT));
+  }
+
+  /**
+   * Readers of /blog/:slug who also read other articles, as a share of its readers
+   * @returns {Map<string, number>} other post slug -> 0..1
+   */
+  async getCovisits(slug) {
+    const result = await this.pool.query(`
+      WITH readers AS (
+        SELECT DISTINCT ip
+        FROM visits
+        WHERE page = $1 AND ip IS NOT NULL
+          AND timestamp >= NOW() - make_interval(days => $2)
+      )
+      SELECT substring(v.page FROM 7) AS slug,
+             COUNT(DISTINCT v.ip)::float / (SELECT NULLIF(COUNT(*), 0) FROM readers) AS share
+      FROM visits v
+      JOIN readers r ON r.ip = v.ip
+      WHERE v.page LIKE '/blog/%' AND v.page <> $1
+        AND v.timestamp >= NOW() - make_interval(days => $2)
+      GROUP BY v.page
+    `, [`/blog/${slug}`, COVISIT_WINDOW_DAYS]);
+
+    return new Map(result.rows.map(row => [row.slug, Number(row.share) || 0]));
+  }
+}
+
+RelatedPostsService.DEFAULT_LIMIT = DEFAULT_LIMIT;
+RelatedPostsService.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = RelatedPostsService;
@@ -0,0 +1,13 @@
+/**
+ * URL slugs for blog authors, tags and series, e.g. 'SOC 2 & Audits' -> 'soc-2-audits'.
+ * Matches the byline backfill in migrations/016_blog_taxonomy.sql for plain ASCII names.
+ */
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .substring(0, 120)
+  .replace(/^-+|-+$/g, '');
+
+module.exports = { slugify };
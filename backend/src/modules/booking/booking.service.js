@@ -0,0 +1,616 @@
+/**
+ * Booking Service
+ *
+ * Demo and consultation scheduling:
+ * 1. getAvailableSlots() expands weekly availability (team timezone) into
+ *    UTC slots, minus blackout dates, existing bookings and minimum notice
+ * 2. book() re-checks the slot under a transaction-scoped advisory lock so
+ *    two visitors can never take the same time
+ * 3. Confirmation, reschedule and cancel emails carry an in-house .ics file;
+ *    reschedule/cancel links use signed tokens bound to the booking revision
+ */
+
+const crypto = require('crypto');
+const { buildIcs } = require('./ics');
+const {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  weekdayOf,
+  timeToMinutes,
+  minutesToTime,
+} = require('./timezone');
+
+const MEETING_TYPES = {
+  demo: { label: 'FinACEverse Product Demo', duration: 30 },
+  consultation: { label: 'FinACEverse Expert Consultation', duration: 45 },
+};
+
+// pg_advisory_xact_lock key serialising all booking writes
+const BOOKING_LOCK_KEY = 4300401;
+
+const MANAGE_TOKEN_GRACE = 24 * 60 * 60 * 1000; // links stay valid a day past the meeting
+
+const DEFAULT_SETTINGS = {
+  timezone: 'UTC',
+  slot_interval_minutes: 15,
+  buffer_minutes: 15,
+  min_notice_hours: 12,
+  max_days_ahead: 30,
+  meeting_location: null,
+};
+
+class BookingService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Object} deps.transport - Mail transport (see modules/mail/mail-transport)
+   * @param {Object} deps.tokenService - SignedTokenService instance
+   * @param {string} deps.siteUrl - Public site URL used in email links
+   * @param {string} deps.organizerEmail - Team inbox that organises meetings
+   * @param {Object} [deps.leadsService] - LeadsService, to record bookings as leads
+   * @param {Object} [deps.pipelineService] - LeadPipelineService, to move booked leads
+   */
+  constructor({ pool, transport, tokenService, siteUrl, organizerEmail, leadsService = null, pipelineService = null }) {
+    this.pool = pool;
+    this.transport = transport;
+    this.tokens = tokenService;
+    this.siteUrl = siteUrl.replace(/\/$/, '');
+    this.organizerEmail = organizerEmail;
+    this.leadsService = leadsService;
+    this.pipelineService = pipelineService;
+  }
+
+  // ============ SETTINGS & AVAILABILITY ============
+
+  async getSettings(db = this.pool) {
+    const result = await db.query('SELECT * FROM booking_settings WHERE id = 1');
+    return { ...DEFAULT_SETTINGS, ...(result.rows[0] || {}) };
+  }
+
+  async updateSettings(changes) {
+    if (changes.timezone !== undefined && !isValidTimeZone(changes.timezone)) {
+      return { success: false, message: 'Unknown timezone' };
+    }
+
+    const columns = ['timezone', 'slot_interval_minutes', 'buffer_minutes', 'min_notice_hours', 'max_days_ahead', 'meeting_location'];
+    const sets = [];
+    const params = [];
+    for (const column of columns) {
+      if (changes[column] === undefined) continue;
+      params.push(changes[column]);
+      sets.push(`${column} = $${params.length}`);
+    }
+    if (sets.length === 0) {
+      return { success: true, settings: await this.getSettings() };
+    }
+
+    const result = await this.pool.query(
+      `UPDATE booking_settings SET ${sets.join(', ')}, updated_at = NOW() WHERE id = 1 RETURNING *`,
+      params
+    );
+    return { success: true, settings: { ...DEFAULT_SETTINGS, ...result.rows[0] } };
+  }
+
+  /**
+   * Settings, weekly rules and upcoming blackouts for the vault editor
+   */
+  async getAvailabilityConfig() {
+    const [settings, rules, blackouts] = await Promise.all([
+      this.getSettings(),
+      this.pool.query('SELECT id, weekday, start_time, end_time FROM booking_availability ORDER BY weekday, start_time'),
+      this.pool.query(`
+        SELECT id, start_date::text AS start_date, end_date::text AS end_date, reason
+        FROM booking_blackouts WHERE end_date >= CURRENT_DATE ORDER BY start_date
+      `),
+    ]);
+    return { settings, rules: rules.rows, blackouts: blackouts.rows };
+  }
+
+  /**
+   * Replace the weekly availability with a new set of windows
+   * @param {Array} rules - [{ weekday, start_time: 'HH:MM', end_time: 'HH:MM' }]
+   */
+  async replaceAvailability(rules) {
+    const sorted = [...rules].sort((a, b) =>
+      a.weekday - b.weekday || timeToMinutes(a.start_time) - timeToMinutes(b.start_time));
+
+    for (let i = 0; i < sorted.length; i++) {
+      const rule = sorted[i];
+      if (timeToMinutes(rule.end_time) <= timeToMinutes(rule.start_time)) {
+        return { success: false, message: 'Each window must end after it starts' };
+      }
+      const next = sorted[i + 1];
+      if (next && next.weekday === rule.weekday && timeToMinutes(next.start_time) < timeToMinutes(rule.end_time)) {
+        return { success: false, message: 'Availability windows on the same day overlap' };
+      }
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM booking_availability');
+      for (const rule of sorted) {
+        await client.query(
+          'INSERT INTO booking_availability (weekday, start_time, end_time) VALUES ($1, $2, $3)',
+          [rule.weekday, rule.start_time, rule.end_time]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return { success: true };
+  }
+
+  async addBlackout({ startDate, endDate, reason }) {
+    if (endDate < startDate) {
+      return { success: false, message: 'End date must be on or after start date' };
+    }
+    const result = await this.pool.query(
+      `INSERT INTO booking_blackouts (start_date, end_date, reason) VALUES ($1, $2, $3)
+       RETURNING id, start_date::text AS start_date, end_date::text AS end_date, reason`,
+      [startDate, endDate, reason || null]
+    );
+    return { success: true, blackout: result.rows[0] };
+  }
+
+  async deleteBlackout(id) {
+    const result = await this.pool.query('DELETE FROM booking_blackouts WHERE id = $1 RETURNING id', [id]);
+    return result.rows.length > 0;
+  }
+
+  // ============ SLOTS ============
+
+  /**
+   * Bookable slots for the next max_days_ahead days
+   * @returns {Object} { timezone, duration, slots: [{ start, end }] }
+   */
+  async getAvailableSlots(meetingType) {
+    const settings = await this.getSettings();
+    const today = getZonedParts(new Date(), settings.timezone).date;
+    const slots = await this.computeSlots(meetingType, today, addDays(today, settings.max_days_ahead), { settings });
+
+    return {
+      timezone: settings.timezone,
+      duration: MEETING_TYPES[meetingType].duration,
+      slots: slots.map(slot => ({ start: slot.start.toISOString(), end: slot.end.toISOString() })),
+    };
+  }
+
+  /**
+   * Expand availability into free slots between two team-timezone dates
+   * @param {Object} [options]
+   * @param {Object} [options.db] - pool or transaction client
+   * @param {number} [options.excludeBookingId] - ignore this booking (reschedules)
+   */
+  async computeSlots(meetingType, fromDate, toDate, { db = this.pool, settings, excludeBookingId = null } = {}) {
+    settings = settings || await this.getSettings(db);
+    const { timezone } = settings;
+    const duration = MEETING_TYPES[meetingType].duration;
+    const interval = settings.slot_interval_minutes;
+    const buffer = settings.buffer_minutes * 60000;
+
+    const rangeStart = zonedTimeToUtc(fromDate, '00:00', timezone);
+    const rangeEnd = zonedTimeToUtc(addDays(toDate, 1), '00:00', timezone);
+
+    const [rules, blackouts, booked] = await Promise.all([
+      db.query('SELECT weekday, start_time, end_time FROM booking_availability'),
+      db.query(
+        `SELECT start_date::text AS start_date, end_date::text AS end_date FROM booking_blackouts
+         WHERE end_date >= $1 AND start_date <= $2`,
+        [fromDate, toDate]
+      ),
+      db.query(
+        `SELECT id, starts_at, ends_at FROM bookings
+         WHERE status = 'confirmed' AND starts_at < $2 AND ends_at > $1 AND ($3::int IS NULL OR id <> $3)`,
+        [new Date(rangeStart.getTime() - buffer), new Date(rangeEnd.getTime() + buffer), excludeBookingId]
+      ),
+    ]);
+
+    const earliest = Date.now() + settings.min_notice_hours * 3600000;
+    const slots = [];
+
+    for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+      if (blackouts.rows.some(b => b.start_date <= date && b.end_date >= date)) continue;
+
+      const weekday = weekdayOf(date);
+      for (const rule of rules.rows.filter(r => r.weekday === weekday)) {
+        const windowEnd = timeToMinutes(rule.end_time);
+        for (let minute = timeToMinutes(rule.start_time); minute + duration <= windowEnd; minute += interval) {
+          const start = zonedTimeToUtc(date, minutesToTime(minute), timezone);
+          const end = new Date(start.getTime() + duration * 60000);
+          if (start.getTime() < earliest) continue;
+
+          const clash = booked.rows.some(b =>
+            new Date(b.starts_at).getTime() - buffer < end.getTime() &&
+            new Date(b.ends_at).getTime() + buffer > start.getTime());
+          if (!clash) slots.push({ start, end });
+        }
+      }
+    }
+
+    return slots.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find the slot starting at an instant if it is still free
+   */
+  async findSlot(meetingType, start, { db = this.pool, excludeBookingId = null } = {}) {
+    const settings = await this.getSettings(db);
+    const startDate = new Date(start);
+    if (Number.isNaN(startDate.getTime())) return null;
+
+    const date = getZonedParts(startDate, settings.timezone).date;
+    const today = getZonedParts(new Date(), settings.timezone).date;
+    if (date < today || date > addDays(today, settings.max_days_ahead)) return null;
+
+    const slots = await this.computeSlots(meetingType, date, date, { db, settings, excludeBookingId });
+    return slots.find(slot => slot.start.getTime() === startDate.getTime()) || null;
+  }
+
+  // ============ BOOK ============
+
+  /**
+   * Book a slot. Availability is re-checked while holding the booking
+   * lock, so concurrent requests for the same time get SLOT_TAKEN.
+   */
+  async book(input, { ip = null, userAgent = null } = {}) {
+    const client = await this.pool.connect();
+    let booking;
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [BOOKING_LOCK_KEY]);
+
+      const slot = await this.findSlot(input.meetingType, input.start, { db: client });
+      if (!slot) {
+        await client.query('ROLLBACK');
+        return { success: false, code: 'SLOT_TAKEN', message: 'That time is no longer available. Please pick another slot.' };
+      }
+
+      const result = await client.query(`
+        INSERT INTO bookings (uid, meeting_type, starts_at, ends_at, name, email, company, notes, visitor_timezone, ip, user_agent)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `, [
+        `${crypto.randomUUID()}@finaceverse.io`,
+        input.meetingType,
+        slot.start,
+        slot.end,
+        input.name,
+        input.email.trim().toLowerCase(),
+        input.company || null,
+        input.notes || null,
+        isValidTimeZone(input.timezone) ? input.timezone : null,
+        ip,
+        userAgent,
+      ]);
+      booking = result.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.recordLead(booking, input, { ip, userAgent });
+    await this.sendInvite(booking, 'confirmed');
+
+    return { success: true, booking: await this.describe(booking) };
+  }
+
+  /**
+   * Mirror the booking into the lead pipeline (best effort - a CRM hiccup
+   * must not lose a confirmed meeting)
+   */
+  async recordLead(booking, input, context) {
+    if (!this.leadsService) return;
+    try {
+      const { lead } = await this.leadsService.createLead({
+        formType: booking.meeting_type,
+        name: booking.name,
+        email: booking.email,
+        company: booking.company,
+        message: booking.notes,
+        details: { bookedSlot: `${booking.starts_at.toISOString()} (booking #${booking.id})` },
+        page: input.page,
+        attribution: input.attribution,
+      }, context);
+
+      await this.pool.query('UPDATE bookings SET lead_id = $1 WHERE id = $2', [lead.id, booking.id]);
+      booking.lead_id = lead.id;
+
+      if (this.pipelineService) {
+        await this.pipelineService.changeStage(lead.id, 'demo_scheduled', {});
+      }
+    } catch (error) {
+      console.error(`Booking #${booking.id} lead sync failed:`, error.message);
+    }
+  }
+
+  // ============ MANAGE (SIGNED LINKS) ============
+
+  /**
+   * Token bound to the booking's current revision: a reschedule bumps
+   * the sequence, so links from older emails stop working
+   */
+  manageToken(booking) {
+    const ttl = new Date(booking.ends_at).getTime() + MANAGE_TOKEN_GRACE - Date.now();
+    return this.tokens.sign('booking-manage', { b: booking.id, s: booking.sequence }, Math.max(ttl, 60000));
+  }
+
+  manageUrl(booking, action) {
+    return `${this.siteUrl}/manage-booking?token=${encodeURIComponent(this.manageToken(booking))}&action=${action}`;
+  }
+
+  async loadByToken(token, db = this.pool, { lock = false } = {}) {
+    const payload = this.tokens.verify('booking-manage', token);
+    if (!payload) return null;
+
+    const result = await db.query(
+      `SELECT * FROM bookings WHERE id = $1${lock ? ' FOR UPDATE' : ''}`,
+      [payload.b]
+    );
+    const booking = result.rows[0];
+    if (!booking || booking.sequence !== payload.s) return null;
+    return booking;
+  }
+
+  async getByToken(token) {
+    const booking = await this.loadByToken(token);
+    if (!booking) {
+      return { success: false, message: 'This link is invalid or has expired.' };
+    }
+    return { success: true, booking: await this.describe(booking) };
+  }
+
+  async cancelByToken(token) {
+    const booking = await this.loadByToken(token);
+    if (!booking) {
+      return { success: false, message: 'This link is invalid or has expired.' };
+    }
+    return this.cancel(booking.id, 'visitor');
+  }
+
+  async cancel(id, cancelledBy) {
+    const result = await this.pool.query(`
+      UPDATE bookings
+      SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = $2, sequence = sequence + 1
+      WHERE id = $1 AND status = 'confirmed'
+      RETURNING *
+    `, [id, cancelledBy]);
+
+    const booking = result.rows[0];
+    if (!booking) {
+      return { success: false, message: 'This booking is already cancelled.' };
+    }
+
+    await this.sendInvite(booking, 'cancelled');
+    return { success: true, booking: await this.describe(booking) };
+  }
+
+  async rescheduleByToken(token, newStart) {
+    const client = await this.pool.connect();
+    let booking;
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [BOOKING_LOCK_KEY]);
+
+      const current = await this.loadByToken(token, client, { lock: true });
+      if (!current || current.status !== 'confirmed') {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'This link is invalid or has expired.' };
+      }
+
+      const slot = await this.findSlot(current.meeting_type, newStart, { db: client, excludeBookingId: current.id });
+      if (!slot) {
+        await client.query('ROLLBACK');
+        return { success: false, code: 'SLOT_TAKEN', message: 'That time is no longer available. Please pick another slot.' };
+      }
+
+      const result = await client.query(`
+        UPDATE bookings SET starts_at = $2, ends_at = $3, sequence = sequence + 1
+        WHERE id = $1
+        RETURNING *
+      `, [current.id, slot.start, slot.end]);
+      booking = result.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await this.sendInvite(booking, 'rescheduled');
+    return { success: true, booking: await this.describe(booking) };
+  }
+
+  // ============ ADMIN ============
+
+  async listBookings({ status, upcoming = true, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (upcoming) {
+      conditions.push('ends_at > NOW()');
+    }
+    params.push(limit);
+
+    const result = await this.pool.query(`
+      SELECT id, meeting_type, status, starts_at, ends_at, name, email, company, notes,
+             visitor_timezone, lead_id, cancelled_at, cancelled_by, created_at
+      FROM bookings
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY starts_at ${upcoming ? 'ASC' : 'DESC'}
+      LIMIT $${params.length}
+    `, params);
+    return result.rows;
+  }
+
+  // ============ EMAILS ============
+
+  async describe(booking) {
+    const settings = await this.getSettings();
+    return {
+      id: booking.id,
+      meetingType: booking.meeting_type,
+      label: MEETING_TYPES[booking.meeting_type].label,
+      status: booking.status,
+      start: new Date(booking.starts_at).toISOString(),
+      end: new Date(booking.ends_at).toISOString(),
+      name: booking.name,
+      timezone: booking.visitor_timezone || settings.timezone,
+    };
+  }
+
+  formatWhen(booking, timeZone) {
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZoneName: 'short',
+    }).format(new Date(booking.starts_at));
+  }
+
+  /**
+   * Email the visitor and the team inbox with an .ics attachment
+   * @param {string} change - confirmed | rescheduled | cancelled
+   */
+  async sendInvite(booking, change) {
+    const settings = await this.getSettings();
+    const meeting = MEETING_TYPES[booking.meeting_type];
+    const visitorZone = booking.visitor_timezone || settings.timezone;
+    const cancelled = change === 'cancelled';
+
+    const ics = buildIcs({
+      uid: booking.uid,
+      sequence: booking.sequence,
+      method: cancelled ? 'CANCEL' : 'REQUEST',
+      start: booking.starts_at,
+      end: booking.ends_at,
+      summary: `${meeting.label} with ${booking.name}`,
+      description: [
+        `${meeting.duration}-minute ${booking.meeting_type === 'demo' ? 'demo' : 'consultation'} with the FinACEverse team.`,
+        booking.notes ? `Notes: ${booking.notes}` : null,
+        cancelled ? null : `Reschedule: ${this.manageUrl(booking, 'reschedule')}`,
+        cancelled ? null : `Cancel: ${this.manageUrl(booking, 'cancel')}`,
+      ].filter(Boolean).join('\n'),
+      location: settings.meeting_location || undefined,
+      organizer: { name: 'FinACEverse', email: this.organizerEmail },
+      attendee: { name: booking.name, email: booking.email },
+    });
+
+    const attachment = {
+      filename: cancelled ? 'cancel.ics' : 'invite.ics',
+      content: ics,
+      contentType: `text/calendar; charset=utf-8; method=${cancelled ? 'CANCEL' : 'REQUEST'}`,
+    };
+
+    const subjects = {
+      confirmed: `Confirmed: ${meeting.label}`,
+      rescheduled: `Updated: ${meeting.label}`,
+      cancelled: `Cancelled: ${meeting.label}`,
+    };
+
+    const results = await Promise.all([
+      this.safeSend({
+        to: booking.email,
+        subject: `${subjects[change]} — ${this.formatWhen(booking, visitorZone)}`,
+        html: this.renderVisitorEmail(booking, change, visitorZone, settings),
+        text: this.renderVisitorText(booking, change, visitorZone),
+        attachments: [attachment],
+      }),
+      this.safeSend({
+        to: this.organizerEmail,
+        subject: `${subjects[change]} with ${booking.name}${booking.company ? ` (${booking.company})` : ''}`,
+        html: `
+          <p><strong>${escapeHtml(booking.name)}</strong> &lt;${escapeHtml(booking.email)}&gt;${booking.company ? ` — ${escapeHtml(booking.company)}` : ''}</p>
+          <p>${escapeHtml(this.formatWhen(booking, settings.timezone))}</p>
+          ${booking.notes ? `<p style="white-space: pre-wrap;">${escapeHtml(booking.notes)}</p>` : ''}
+        `,
+        text: `${booking.name} <${booking.email}>\n${this.formatWhen(booking, settings.timezone)}\n\n${booking.notes || ''}`,
+        headers: { 'Reply-To': booking.email },
+        attachments: [attachment],
+      }),
+    ]);
+
+    return results[0];
+  }
+
+  async safeSend(message) {
+    try {
+      const result = await this.transport.send(message);
+      if (!result.success) {
+        console.error(`Booking email to ${message.to} failed:`, result.message);
+      }
+      return result;
+    } catch (error) {
+      console.error(`Booking email to ${message.to} failed:`, error.message);
+      return { success: false, message: error.message };
+    }
+  }
+
+  renderVisitorEmail(booking, change, timeZone, settings) {
+    const meeting = MEETING_TYPES[booking.meeting_type];
+    const headings = {
+      confirmed: 'Your meeting is booked',
+      rescheduled: 'Your meeting has been moved',
+      cancelled: 'Your meeting has been cancelled',
+    };
+
+    return `
+      <h1>${headings[change]}</h1>
+      <p>Hi ${escapeHtml(booking.name)},</p>
+      <p><strong>${meeting.label}</strong> (${meeting.duration} minutes)<br>
+      ${escapeHtml(this.formatWhen(booking, timeZone))}</p>
+      ${settings.meeting_location && change !== 'cancelled' ? `<p>Where: ${escapeHtml(settings.meeting_location)}</p>` : ''}
+      ${change === 'cancelled'
+        ? `<p>Want to pick another time? <a href="${this.siteUrl}/${booking.meeting_type === 'demo' ? 'request-demo' : 'expert-consultation'}">Book again</a>.</p>`
+        : `<p>The attached invite adds the meeting to your calendar.</p>
+      <p style="margin: 24px 0;">
+        <a href="${this.manageUrl(booking, 'reschedule')}" style="background: #00d4ff; color: #000; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reschedule</a>
+        &nbsp;
+        <a href="${this.manageUrl(booking, 'cancel')}" style="color: #888;">Cancel</a>
+      </p>`}
+    `;
+  }
+
+  renderVisitorText(booking, change, timeZone) {
+    const meeting = MEETING_TYPES[booking.meeting_type];
+    const lines = [`${meeting.label} (${meeting.duration} minutes)`, this.formatWhen(booking, timeZone)];
+    if (change !== 'cancelled') {
+      lines.push('', `Reschedule: ${this.manageUrl(booking, 'reschedule')}`, `Cancel: ${this.manageUrl(booking, 'cancel')}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+BookingService.MEETING_TYPES = MEETING_TYPES;
+
+module.exports = BookingService;
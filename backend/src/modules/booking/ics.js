@@ -0,0 +1,121 @@
+/**
+ * iCalendar (RFC 5545) builder for booking invites
+ *
+ * Generates single-event VCALENDAR files for confirmation (METHOD:REQUEST)
+ * and cancellation (METHOD:CANCEL). Reschedules reuse the event UID with
+ * a higher SEQUENCE so calendar clients update the existing entry.
+ */
+
+const PRODID = '-//FinACEverse//Booking//EN';
+
+/**
+ * Escape TEXT values (RFC 5545 §3.3.11)
+ */
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * UTC DATE-TIME form: 20260119T093000Z
+ */
+function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 §3.1)
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let start = 0;
+  let limit = 75;
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    // Don't split a multi-byte UTF-8 character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    chunks.push(bytes.slice(start, end).toString('utf8'));
+    start = end;
+    limit = 74; // continuation lines start with a space
+  }
+  return chunks.join('\r\n ');
+}
+
+function person(role, { name, email }, extra = '') {
+  const cn = name ? `;CN="${String(name).replace(/"/g, '\'')}"` : '';
+  return `${role}${cn}${extra}:mailto:${email}`;
+}
+
+/**
+ * Build an .ics file for a single event
+ * @param {Object} event
+ * @param {string} event.uid - Stable unique id (same across reschedules)
+ * @param {number} event.sequence - Revision number, incremented on every change
+ * @param {string} [event.method] - REQUEST or CANCEL
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {Object} event.organizer - { name, email }
+ * @param {Object} event.attendee - { name, email }
+ * @returns {string}
+ */
+function buildIcs(event) {
+  const method = event.method || 'REQUEST';
+  const cancelled = method === 'CANCEL';
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+
+  lines.push(
+    person('ORGANIZER', event.organizer),
+    person('ATTENDEE', event.attendee, `;ROLE=REQ-PARTICIPANT;PARTSTAT=${cancelled ? 'DECLINED' : 'ACCEPTED'};RSVP=FALSE`),
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE'
+  );
+
+  if (!cancelled) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'DESCRIPTION:Reminder',
+      'TRIGGER:-PT15M',
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT', 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildIcs,
+  escapeText,
+  formatDateTime,
+  foldLine,
+};
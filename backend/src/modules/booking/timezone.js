@@ -0,0 +1,127 @@
+/**
+ * Timezone helpers for the booking module
+ *
+ * Availability is defined as wall-clock times in the team's timezone
+ * ("Mon 09:00-17:00 Asia/Kolkata"); slots are stored and returned as
+ * UTC instants. Conversion uses Intl so no timezone database dependency
+ * is needed.
+ */
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check that a string is an IANA timezone Intl understands
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @returns {Object} { year, month, day, hour, minute, second, weekday, date: 'YYYY-MM-DD' }
+ */
+function getZonedParts(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in minutes
+ */
+function getOffsetMinutes(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock date/time in a timezone to a UTC Date.
+ * Times that don't exist locally (DST gap) shift by the gap length.
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:MM' (seconds ignored)
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Two passes settle the offset around DST transitions
+  let guess = new Date(wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000);
+  guess = new Date(wallClock - getOffsetMinutes(guess, timeZone) * 60000);
+  return guess;
+}
+
+/**
+ * 'YYYY-MM-DD' plus n calendar days
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Day of week (0 = Sunday) of a calendar date
+ */
+function weekdayOf(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * 'HH:MM' or 'HH:MM:SS' → minutes after midnight
+ */
+function timeToMinutes(time) {
+  const [hour, minute] = String(time).split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+function minutesToTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  weekdayOf,
+  timeToMinutes,
+  minutesToTime,
+};
@@ -0,0 +1,527 @@
+/**
+ * Editorial Workflow Service
+ *
+ * Review gate for blog posts, site (CMS) content and SEO auto-fixes, on top of
+ * WorkflowStateIntegrity (backend/security/financial-security.js):
+ * 1. A review holds the proposed content (payload) and moves
+ *    draft → in_review → approved → published; changes requested send it
+ *    back to draft, and the author can withdraw it
+ * 2. The author picks a reviewer, who can't be themselves; only the reviewer
+ *    approves or requests changes
+ * 3. Every state change and reviewer change is a signed transition. The
+ *    signed record is stored with the review and verified on every load, so
+ *    an edited trail is refused instead of acted on. Each operation loads it
+ *    into its own copy of the integrity checker, so concurrent requests on
+ *    one review can't release each other's record
+ * 4. Submissions and approvals sign the sha256 of the payload; publishing
+ *    checks the payload still hashes to what was approved
+ * 5. Inline comments are anchored to a payload field and a quoted passage
+ * Publishing itself is delegated to a publisher per content type, inside the
+ * review's transaction: if recording the transition fails, nothing goes live.
+ * Withdrawing tells the publisher too, so it can release what it held for the
+ * review.
+ */
+
+const crypto = require('crypto');
+const { diffHtml, diffText } = require('../blog/html-diff');
+
+const CONTENT_TYPES = ['blog_post', 'site_content', 'seo_fix'];
+
+const STATES = ['draft', 'in_review', 'approved', 'published', 'withdrawn'];
+const OPEN_STATES = ['draft', 'in_review', 'approved'];
+
+// Who may move a review from one state to the next
+const TRANSITIONS = {
+  draft: { in_review: ['author'], withdrawn: ['author'] },
+  in_review: { approved: ['reviewer'], draft: ['reviewer', 'author'], withdrawn: ['author'] },
+  approved: { published: ['author', 'reviewer'], draft: ['reviewer', 'author'], withdrawn: ['author'] },
+};
+
+// Requesting changes needs a reason the author can act on
+const REASON_REQUIRED = ['draft'];
+
+const REVIEW_SUMMARY_COLUMNS = `
+  r.id, r.content_type, r.content_id, r.title, r.state, r.author_id, r.author_name,
+  r.reviewer_id, r.reviewer_name, r.created_at, r.updated_at, r.published_at,
+  (SELECT COUNT(*)::int FROM content_review_comments c WHERE c.review_id = r.id AND NOT c.resolved) AS open_comments
+`;
+
+const clientError = (message) => Object.assign(new Error(message), { status: 400 });
+const forbidden = (message) => Object.assign(new Error(message), { status: 403 });
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+/**
+ * JSON with object keys sorted, so a payload hashes the same after a JSONB round trip
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashPayload = (payload) => crypto.createHash('sha256').update(canonicalJson(payload)).digest('hex');
+
+const workflowId = (reviewId) => `content-review:${reviewId}`;
+
+// Field values as comparable text for the change summary
+const asText = (value) => {
+  if (value === undefined || value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+};
+
+class EditorialWorkflowService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Object} deps.integrity - WorkflowStateIntegrity instance; its
+   *   signingKey must be stable across restarts
+   * @param {Object} deps.publishers - per content type:
+   *   { load(contentId) => current content or null,
+   *     validate(payload) => throws a 400 error if it can't be published,
+   *     publish(review, user, client) => applies review.payload on the
+   *       review's transaction client,
+   *     published(review) => optional, runs once that has committed,
+   *     withdraw(review, user, client) => optional, runs on the review's
+   *       transaction client when the author withdraws it }
+   * @param {Object} [deps.auditLogger] - AuditLogger instance (backend/security)
+   */
+  constructor({ pool, integrity, publishers, auditLogger }) {
+    this.pool = pool;
+    this.integrity = integrity;
+    this.publishers = publishers;
+    this.auditLogger = auditLogger;
+  }
+
+  // ============ QUERIES ============
+
+  /**
+   * @param {Object} [filters]
+   * @param {boolean} [filters.open] - Only draft / in_review / approved
+   * @param {string} [filters.contentType]
+   * @param {number} [filters.contentId]
+   * @param {number} [filters.reviewerId] - Assigned to this user
+   */
+  async listReviews({ open, contentType, contentId, reviewerId } = {}) {
+    const conditions = [];
+    const params = [];
+    if (open) {
+      params.push(OPEN_STATES);
+      conditions.push(`r.state = ANY($${params.length})`);
+    }
+    if (contentType) {
+      params.push(contentType);
+      conditions.push(`r.content_type = $${params.length}`);
+    }
+    if (contentId) {
+      params.push(contentId);
+      conditions.push(`r.content_id = $${params.length}`);
+    }
+    if (reviewerId) {
+      params.push(reviewerId);
+      conditions.push(`r.reviewer_id = $${params.length}`);
+    }
+
+    const result = await this.pool.query(`
+      SELECT ${REVIEW_SUMMARY_COLUMNS}
+      FROM content_reviews r
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY r.updated_at DESC
+      LIMIT 200
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * Vault users who can be assigned as reviewers
+   */
+  async listReviewers() {
+    const result = await this.pool.query(
+      `SELECT id, username FROM users WHERE role = 'superadmin' ORDER BY username`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Review with its proposed content, what it changes, comments, the signed
+   * trail, whether that trail verifies, and what `user` may do next
+   * @returns {Object|null}
+   */
+  async getReview(id, user) {
+    const result = await this.pool.query('SELECT * FROM content_reviews WHERE id = $1', [id]);
+    if (result.rows.length === 0) return null;
+    const { workflow, ...review } = result.rows[0];
+
+    const transitions = workflow.transitions || [];
+    const [comments, changes, users] = await Promise.all([
+      this.pool.query(
+        'SELECT * FROM content_review_comments WHERE review_id = $1 ORDER BY created_at',
+        [id]
+      ),
+      this.describeChanges(review),
+      this.pool.query('SELECT id, username FROM users WHERE id = ANY($1)', [
+        [...new Set(transitions.map(transition => transition.userId))],
+      ]),
+    ]);
+    const usernames = new Map(users.rows.map(row => [row.id, row.username]));
+
+    return {
+      review,
+      changes,
+      comments: comments.rows,
+      trail: transitions.map(transition => ({
+        from: transition.from,
+        to: transition.to,
+        user_id: transition.userId,
+        username: usernames.get(transition.userId) || null,
+        reason: transition.reason,
+        at: new Date(transition.timestamp).toISOString(),
+        content_hash: transition.details?.contentHash || null,
+        approvers: transition.details?.approvers || null,
+      })),
+      integrity: this.verifyRecord(review, workflow),
+      actions: this.allowedActions(review, user),
+    };
+  }
+
+  // ============ SUBMISSION ============
+
+  /**
+   * Open a review and send it to the reviewer
+   * @param {Object} input - { contentType, contentId, title, payload, reviewerId, note }
+   * @param {Object} user - { userId, username }
+   */
+  async submit(input, user) {
+    const publisher = this.publisherFor(input.contentType);
+    publisher.validate(input.payload);
+    if (input.contentType === 'blog_post' && !input.contentId) {
+      throw clientError('Save the post as a draft before submitting it for review');
+    }
+    if (input.contentId && !(await publisher.load(input.contentId))) {
+      throw clientError('The content under review no longer exists');
+    }
+
+    const reviewer = await this.findReviewer(input.reviewerId, user);
+    const payloadHash = hashPayload(input.payload);
+
+    const review = await this.withTransaction(async (client) => {
+      const inserted = await client.query(`
+        INSERT INTO content_reviews (
+          content_type, content_id, title, payload, payload_hash,
+          author_id, author_name, reviewer_id, reviewer_name, workflow
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, '{}'::json)
+        RETURNING id
+      `, [
+        input.contentType, input.contentId || null, input.title, JSON.stringify(input.payload), payloadHash,
+        user.userId, user.username, reviewer.id, reviewer.username,
+      ]).catch((error) => {
+        if (error.code === '23505') throw conflict('This content already has an open review');
+        throw error;
+      });
+      const id = inserted.rows[0].id;
+
+      const integrity = this.session();
+      integrity.createWorkflow(workflowId(id), 'platform', 'draft', [
+        { userId: user.userId, role: 'author' },
+        { userId: reviewer.id, role: 'reviewer' },
+      ]);
+      integrity.transition(workflowId(id), 'in_review', user.userId, input.note || 'Submitted for review', {
+        contentHash: payloadHash,
+      });
+      return this.saveWorkflow(client, integrity, id, { state: 'in_review' });
+    });
+
+    await this.audit('CONTENT_REVIEW_SUBMITTED', review, user);
+    return review;
+  }
+
+  /**
+   * Author revises the proposed content after changes were requested
+   */
+  async revise(id, { title, payload }, user) {
+    return this.withReview(id, user, async (client, review) => {
+      if (review.author_id !== user.userId) throw forbidden('Only the author can revise this review');
+      if (review.state !== 'draft') throw conflict('Only reviews sent back for changes can be revised');
+      if (payload) this.publisherFor(review.content_type).validate(payload);
+
+      const result = await client.query(`
+        UPDATE content_reviews SET
+          title = COALESCE($2, title),
+          payload = COALESCE($3::jsonb, payload),
+          payload_hash = COALESCE($4, payload_hash)
+        WHERE id = $1
+        RETURNING *
+      `, [id, title || null, payload ? JSON.stringify(payload) : null, payload ? hashPayload(payload) : null]);
+      return this.publicRow(result.rows[0]);
+    });
+  }
+
+  /**
+   * Author hands the review to another reviewer
+   */
+  async assignReviewer(id, reviewerId, user) {
+    const review = await this.withReview(id, user, async (client, current, integrity) => {
+      if (current.author_id !== user.userId) throw forbidden('Only the author can change the reviewer');
+      if (!['draft', 'in_review'].includes(current.state)) {
+        throw conflict('The reviewer can only change before approval');
+      }
+
+      const reviewer = await this.findReviewer(reviewerId, user);
+      integrity.reassign(workflowId(id), [
+        { userId: current.author_id, role: 'author' },
+        { userId: reviewer.id, role: 'reviewer' },
+      ], user.userId, `Reviewer changed to ${reviewer.username}`);
+
+      return this.saveWorkflow(client, integrity, id, { reviewer_id: reviewer.id, reviewer_name: reviewer.username });
+    });
+
+    await this.audit('CONTENT_REVIEW_REASSIGNED', review, user);
+    return review;
+  }
+
+  // ============ TRANSITIONS ============
+
+  /**
+   * Move a review to `state`. Publishing applies the approved payload
+   * through its publisher in the same transaction; if either fails, neither
+   * the content nor the review changes.
+   */
+  async transition(id, { state, reason }, user) {
+    const review = await this.withReview(id, user, async (client, current, integrity) => {
+      const roles = TRANSITIONS[current.state]?.[state];
+      if (!roles) throw conflict(`A review that is ${current.state.replace('_', ' ')} can't move to ${state.replace('_', ' ')}`);
+      if (!roles.some(role => this.hasRole(current, user, role))) {
+        throw forbidden(`Only the ${roles.join(' or ')} can do this`);
+      }
+      if (REASON_REQUIRED.includes(state) && !reason?.trim()) {
+        throw clientError('Say what needs to change');
+      }
+
+      const payloadHash = hashPayload(current.payload);
+      if (payloadHash !== current.payload_hash) {
+        throw conflict('The proposed content no longer matches its recorded hash');
+      }
+
+      let details;
+      if (state === 'in_review' || state === 'approved') {
+        details = { contentHash: payloadHash };
+      }
+      if (state === 'published') {
+        const approval = integrity.exportWorkflow(workflowId(id)).transitions
+          .filter(transition => transition.to === 'approved')
+          .pop();
+        if (approval?.details?.contentHash !== payloadHash) {
+          throw conflict('The content changed after it was approved');
+        }
+        await this.publisherFor(current.content_type).publish(current, user, client);
+        details = { contentHash: payloadHash };
+      }
+      if (state === 'withdrawn') {
+        await this.publisherFor(current.content_type).withdraw?.(current, user, client);
+      }
+
+      integrity.transition(workflowId(id), state, user.userId, reason?.trim() || null, details);
+      return this.saveWorkflow(client, integrity, id, {
+        state,
+        ...(state === 'published' && { published_at: new Date() }),
+      });
+    });
+
+    if (review?.state === 'published') {
+      await this.publisherFor(review.content_type).published?.(review);
+    }
+
+    await this.audit(`CONTENT_REVIEW_${state.toUpperCase()}`, review, user, { reason });
+    return review;
+  }
+
+  // ============ COMMENTS ============
+
+  async addComment(id, { field, quote, body }, user) {
+    const review = await this.pool.query('SELECT * FROM content_reviews WHERE id = $1', [id]);
+    if (review.rows.length === 0) return null;
+    if (!OPEN_STATES.includes(review.rows[0].state)) throw conflict('This review is closed');
+
+    const result = await this.pool.query(`
+      INSERT INTO content_review_comments (review_id, field, quote, body, author_id, author_name)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [id, field || null, quote || null, body, user.userId, user.username]);
+    return result.rows[0];
+  }
+
+  async resolveComment(id, commentId, resolved, user) {
+    const result = await this.pool.query(`
+      UPDATE content_review_comments SET
+        resolved = $3,
+        resolved_by = CASE WHEN $3 THEN $4 ELSE NULL END,
+        resolved_at = CASE WHEN $3 THEN NOW() ELSE NULL END
+      WHERE id = $2 AND review_id = $1
+      RETURNING *
+    `, [id, commentId, resolved, user.username]);
+    return result.rows[0] || null;
+  }
+
+  // ============ HELPERS ============
+
+  publisherFor(contentType) {
+    const publisher = this.publishers[contentType];
+    if (!publisher) throw clientError(`Unknown content type: ${contentType}`);
+    return publisher;
+  }
+
+  hasRole(review, user, role) {
+    if (role === 'author') return review.author_id === user.userId;
+    if (role === 'reviewer') return review.reviewer_id === user.userId;
+    return false;
+  }
+
+  /**
+   * Transitions and edits `user` may make on the review right now
+   */
+  allowedActions(review, user) {
+    const transitions = Object.entries(TRANSITIONS[review.state] || {})
+      .filter(([, roles]) => roles.some(role => this.hasRole(review, user, role)))
+      .map(([state]) => state);
+    const isAuthor = review.author_id === user.userId;
+    return {
+      transitions,
+      revise: isAuthor && review.state === 'draft',
+      reassign: isAuthor && ['draft', 'in_review'].includes(review.state),
+      comment: OPEN_STATES.includes(review.state),
+    };
+  }
+
+  async findReviewer(reviewerId, user) {
+    if (reviewerId === user.userId) throw clientError('Pick a reviewer other than yourself');
+    const result = await this.pool.query(
+      `SELECT id, username FROM users WHERE id = $1 AND role = 'superadmin'`,
+      [reviewerId]
+    );
+    if (result.rows.length === 0) throw clientError('Reviewer must be a vault superadmin');
+    return result.rows[0];
+  }
+
+  /**
+   * Field-by-field diff of the payload against the live content
+   * @returns {Object[]} [{ field, html }] for changed fields; html is escaped
+   *   text with <ins>/<del>, or an HTML diff for blog content
+   */
+  async describeChanges(review) {
+    const current = (review.content_id || review.content_type === 'site_content')
+      ? await this.publisherFor(review.content_type).load(review.content_id)
+      : null;
+
+    return Object.keys(review.payload)
+      .map((field) => {
+        const before = asText(current?.[field]);
+        const after = asText(review.payload[field]);
+        if (before === after) return null;
+        const diff = review.content_type === 'blog_post' && field === 'content'
+          ? diffHtml(before, after)
+          : diffText(before, after);
+        return { field, html: diff.html };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * The integrity checker with a workflow map of its own, for one operation.
+   * Shares the signing key; dropped when the operation ends.
+   */
+  session() {
+    return Object.assign(Object.create(this.integrity), { workflows: new Map() });
+  }
+
+  /**
+   * Check a stored record without keeping it loaded
+   */
+  verifyRecord(review, workflow) {
+    try {
+      this.session().importWorkflow(workflow);
+      if (workflow.state !== review.state) return { valid: false, reason: 'STATE_MISMATCH' };
+      return { valid: true, transitions: workflow.transitions.length };
+    } catch {
+      return { valid: false, reason: 'SIGNATURE_INVALID' };
+    }
+  }
+
+  /**
+   * Lock the review, load and verify its signed record, and run
+   * fn(client, review, integrity) with the record loaded into `integrity`
+   * @returns {*} fn's result, or null if the review doesn't exist
+   */
+  async withReview(id, user, fn) {
+    return this.withTransaction(async (client) => {
+      const result = await client.query('SELECT * FROM content_reviews WHERE id = $1 FOR UPDATE', [id]);
+      if (result.rows.length === 0) return null;
+      const review = result.rows[0];
+
+      const integrity = this.verifyRecord(review, review.workflow);
+      if (!integrity.valid) {
+        await this.audit('CONTENT_REVIEW_TAMPERED', review, user, { reason: integrity.reason });
+        throw conflict('This review\'s approval trail failed verification and is locked');
+      }
+
+      const session = this.session();
+      session.importWorkflow(review.workflow);
+      return fn(client, review, session);
+    });
+  }
+
+  /**
+   * Store the loaded workflow's signed record along with other column changes
+   */
+  async saveWorkflow(client, integrity, id, columns = {}) {
+    const entries = Object.entries(columns);
+    const result = await client.query(`
+      UPDATE content_reviews SET
+        workflow = $2
+        ${entries.map(([column], index) => `, ${column} = $${index + 3}`).join('')}
+      WHERE id = $1
+      RETURNING *
+    `, [id, JSON.stringify(integrity.exportWorkflow(workflowId(id))), ...entries.map(([, value]) => value)]);
+    return this.publicRow(result.rows[0]);
+  }
+
+  publicRow(row) {
+    const { workflow, payload, ...review } = row;
+    return review;
+  }
+
+  async audit(action, review, user, metadata = {}) {
+    if (!this.auditLogger || !review) return;
+    await this.auditLogger.log(action, {
+      userId: user.userId,
+      tenantId: user.tenantId,
+      ip: user.ip,
+      userAgent: user.userAgent,
+      resource: `content_reviews/${review.id}`,
+      metadata: { contentType: review.content_type, contentId: review.content_id, state: review.state, ...metadata },
+    });
+  }
+
+  async withTransaction(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+EditorialWorkflowService.CONTENT_TYPES = CONTENT_TYPES;
+EditorialWorkflowService.STATES = STATES;
+EditorialWorkflowService.OPEN_STATES = OPEN_STATES;
+
+module.exports = EditorialWorkflowService;
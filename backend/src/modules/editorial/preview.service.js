@@ -0,0 +1,216 @@
+/**
+ * Preview Service
+ *
+ * Shareable previews of unpublished content for people without a vault login:
+ * 1. createLink() stores a preview_links row and signs its token_id, with the
+ *    link's expiry, into a token (SignedTokenService, purpose 'preview')
+ * 2. The link opens the content at its real URL with ?preview=<token>; the
+ *    public post and page content endpoints pass the token to getPost() and
+ *    getPageContent()
+ * 3. A token is honoured only while its signature, expiry and row all agree,
+ *    so revoking the row ends a link before it expires
+ * 4. What a preview shows is the content's open editorial review proposal if
+ *    there is one (see editorial-workflow.service.js), else the saved post
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PURPOSE = 'preview';
+
+const DEFAULT_TTL_HOURS = 72;
+const MAX_TTL_HOURS = 30 * 24;
+
+const OPEN_REVIEW_STATES = ['draft', 'in_review', 'approved'];
+
+// Post columns a review proposal may replace in a preview; status stays the saved one
+const PREVIEWED_POST_FIELDS = [
+  'title', 'slug', 'excerpt', 'content', 'category', 'author', 'author_id', 'image_url',
+  'meta_title', 'meta_description', 'meta_keywords', 'featured', 'publish_at',
+];
+
+/**
+ * page_content rows ({ section: { key: value } }) a CMS-shaped proposal would
+ * store, the way saveSiteContent() writes them. Products (module_cards) aren't
+ * page content and are left out.
+ */
+const proposedSections = (payload) => {
+  const sections = {};
+  for (const [section, data] of Object.entries(payload || {})) {
+    if (section === 'module_cards' || !data || typeof data !== 'object') continue;
+
+    if (Array.isArray(data)) {
+      sections[section] = Object.fromEntries(data.map((item, index) => [`item_${index}`, JSON.stringify(item)]));
+      continue;
+    }
+    sections[section] = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined || value === null) continue;
+      sections[section][key] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+  }
+  return sections;
+};
+
+class PreviewService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Object} deps.tokenService - SignedTokenService instance
+   * @param {string} deps.siteUrl - Public site origin for share URLs
+   */
+  constructor({ pool, tokenService, siteUrl }) {
+    this.pool = pool;
+    this.tokenService = tokenService;
+    this.siteUrl = siteUrl.replace(/\/$/, '');
+  }
+
+  // ============ ADMIN ============
+
+  /**
+   * @param {Object} input - { contentType, contentId, ttlHours, label }
+   * @param {string} username
+   * @returns {Object|null} { link, url } - the url (with its token) is only
+   *   available now; null if the post doesn't exist
+   */
+  async createLink({ contentType, contentId, ttlHours = DEFAULT_TTL_HOURS, label }, username) {
+    let urlPath = '/';
+    if (contentType === 'blog_post') {
+      const post = await this.pool.query(
+        'SELECT id, slug FROM blog_posts WHERE id = $1 AND deleted_at IS NULL',
+        [contentId]
+      );
+      if (post.rows.length === 0) return null;
+      const proposal = await this.openProposal('blog_post', contentId);
+      urlPath = `/blog/${proposal?.slug || post.rows[0].slug}`;
+    }
+
+    const ttlMs = Math.min(ttlHours, MAX_TTL_HOURS) * 60 * 60 * 1000;
+    const tokenId = crypto.randomUUID();
+    const result = await this.pool.query(`
+      INSERT INTO preview_links (token_id, content_type, content_id, label, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6))
+      RETURNING *
+    `, [tokenId, contentType, contentType === 'blog_post' ? contentId : null, label || null, username, ttlMs / 1000]);
+
+    const token = this.tokenService.sign(TOKEN_PURPOSE, { l: tokenId }, ttlMs);
+    return {
+      link: this.format(result.rows[0]),
+      url: `${this.siteUrl}${urlPath}?preview=${encodeURIComponent(token)}`,
+    };
+  }
+
+  async listLinks({ contentType, contentId }) {
+    const result = await this.pool.query(`
+      SELECT * FROM preview_links
+      WHERE content_type = $1 AND COALESCE(content_id, 0) = COALESCE($2, 0)
+      ORDER BY created_at DESC
+      LIMIT 100
+    `, [contentType, contentType === 'blog_post' ? contentId : null]);
+    return result.rows.map(row => this.format(row));
+  }
+
+  /**
+   * @returns {Object|null} the link (already revoked links are returned as they are)
+   */
+  async revokeLink(id, username) {
+    const result = await this.pool.query(`
+      UPDATE preview_links SET
+        revoked_at = COALESCE(revoked_at, NOW()),
+        revoked_by = COALESCE(revoked_by, $2)
+      WHERE id = $1
+      RETURNING *
+    `, [id, username]);
+    return result.rows[0] ? this.format(result.rows[0]) : null;
+  }
+
+  // ============ PUBLIC ============
+
+  /**
+   * The post a preview token opens, as it would be published
+   * @returns {Object|null} { post, expiresAt }; null for a bad, expired or
+   *   revoked token, or one for another post
+   */
+  async getPost(slug, token) {
+    const link = await this.resolve(token, 'blog_post');
+    if (!link) return null;
+
+    const result = await this.pool.query(
+      'SELECT * FROM blog_posts WHERE id = $1 AND deleted_at IS NULL',
+      [link.content_id]
+    );
+    if (result.rows.length === 0) return null;
+
+    const saved = result.rows[0];
+    const proposal = await this.openProposal('blog_post', saved.id);
+    const post = { ...saved };
+    for (const field of PREVIEWED_POST_FIELDS) {
+      if (proposal && proposal[field] !== undefined) post[field] = proposal[field];
+    }
+    if (slug !== post.slug && slug !== saved.slug) return null;
+
+    return { post, expiresAt: link.expires_at };
+  }
+
+  /**
+   * A page's content with the pending site content proposal applied
+   * @param {Object} content - live { section: { key: value } } for the page
+   * @returns {Object|null} { content, expiresAt }; null for a bad token
+   */
+  async getPageContent(page, content, token) {
+    const link = await this.resolve(token, 'site_content');
+    if (!link) return null;
+
+    const proposal = await this.openProposal('site_content', null);
+    const preview = { ...content };
+    // The CMS edits sections across pages; a page shows the ones it has
+    for (const [section, values] of Object.entries(proposedSections(proposal))) {
+      if (!preview[section] && page !== 'global') continue;
+      // List sections replace all of their items, as saving does
+      const kept = Object.entries(preview[section] || {})
+        .filter(([key]) => !(Array.isArray(proposal[section]) && key.startsWith('item_')));
+      preview[section] = { ...Object.fromEntries(kept), ...values };
+    }
+
+    return { content: preview, expiresAt: link.expires_at };
+  }
+
+  // ============ HELPERS ============
+
+  /**
+   * Live link row for a token, counting the view
+   */
+  async resolve(token, contentType) {
+    const claims = this.tokenService.verify(TOKEN_PURPOSE, token);
+    if (!claims || typeof claims.l !== 'string') return null;
+
+    const result = await this.pool.query(`
+      UPDATE preview_links SET view_count = view_count + 1, last_viewed_at = NOW()
+      WHERE token_id = $1 AND content_type = $2 AND revoked_at IS NULL AND expires_at > NOW()
+      RETURNING *
+    `, [claims.l, contentType]);
+    return result.rows[0] || null;
+  }
+
+  async openProposal(contentType, contentId) {
+    const result = await this.pool.query(`
+      SELECT payload FROM content_reviews
+      WHERE content_type = $1 AND COALESCE(content_id, 0) = COALESCE($2, 0) AND state = ANY($3)
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `, [contentType, contentId, OPEN_REVIEW_STATES]);
+    return result.rows[0]?.payload || null;
+  }
+
+  format(row) {
+    const { token_id, ...link } = row;
+    return {
+      ...link,
+      active: !link.revoked_at && new Date(link.expires_at) > new Date(),
+    };
+  }
+}
+
+PreviewService.DEFAULT_TTL_HOURS = DEFAULT_TTL_HOURS;
+PreviewService.MAX_TTL_HOURS = MAX_TTL_HOURS;
+
+module.exports = PreviewService;
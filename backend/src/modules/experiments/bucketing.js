@@ -0,0 +1,200 @@
+/**
+ * Deterministic experiment bucketing
+ *
+ * Assignment is a pure function of (experiment, userId, context), so the
+ * server, an edge worker or the browser all arrive at the same variant
+ * without a database round-trip. This file deliberately has no Node or
+ * database dependencies; keep it that way so it can be shipped as-is.
+ *
+ * - MurmurHash3 (x86, 32-bit) of "<seed>:<purpose>:<userId>" → bucket 0-9999
+ * - Traffic allocation: users whose allocation bucket falls below the
+ *   allocated share enter the experiment. Raising the allocation only adds
+ *   users; nobody already in switches out.
+ * - Variant: an independent bucket walks the cumulative variant weights.
+ */
+
+const BUCKETS = 10000;
+
+/**
+ * MurmurHash3 x86_32 over the UTF-8 bytes of a string
+ * @returns {number} unsigned 32-bit hash
+ */
+function murmurhash3(key, seed = 0) {
+  const bytes = new TextEncoder().encode(key);
+  const c1 = 0xcc9e2d51;
+  const c2 = 0x1b873593;
+  const blocks = bytes.length >> 2;
+  let h = seed >>> 0;
+
+  for (let i = 0; i < blocks; i++) {
+    const o = i << 2;
+    let k = bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16) | (bytes[o + 3] << 24);
+    k = Math.imul(k, c1);
+    k = (k << 15) | (k >>> 17);
+    k = Math.imul(k, c2);
+    h ^= k;
+    h = (h << 13) | (h >>> 19);
+    h = (Math.imul(h, 5) + 0xe6546b64) | 0;
+  }
+
+  const tail = blocks << 2;
+  let k = 0;
+  switch (bytes.length & 3) {
+    case 3: k ^= bytes[tail + 2] << 16; // falls through
+    case 2: k ^= bytes[tail + 1] << 8; // falls through
+    case 1:
+      k ^= bytes[tail];
+      k = Math.imul(k, c1);
+      k = (k << 15) | (k >>> 17);
+      k = Math.imul(k, c2);
+      h ^= k;
+      break;
+    default:
+      break;
+  }
+
+  h ^= bytes.length;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Bucket 0-9999 for a user within an experiment
+ */
+function bucketOf(seed, purpose, userId) {
+  return murmurhash3(`${seed}:${purpose}:${userId}`) % BUCKETS;
+}
+
+/**
+ * Accept ['control', 'b'] or [{ name, weight }] and return
+ * [{ name, weight }] with non-negative weights (equal when omitted)
+ */
+function normalizeVariants(variants) {
+  if (!Array.isArray(variants) || variants.length === 0) {
+    throw new Error('An experiment needs at least one variant');
+  }
+
+  const normalized = variants.map(variant => (
+    typeof variant === 'string'
+      ? { name: variant, weight: 1 }
+      : { name: variant.name, weight: variant.weight === undefined ? 1 : Number(variant.weight) }
+  ));
+
+  const names = new Set();
+  for (const variant of normalized) {
+    if (!variant.name || typeof variant.name !== 'string') {
+      throw new Error('Every variant needs a name');
+    }
+    if (names.has(variant.name)) {
+      throw new Error(`Duplicate variant "${variant.name}"`);
+    }
+    if (!Number.isFinite(variant.weight) || variant.weight < 0) {
+      throw new Error(`Variant "${variant.name}" has an invalid weight`);
+    }
+    names.add(variant.name);
+  }
+
+  if (!normalized.some(variant => variant.weight > 0)) {
+    throw new Error('At least one variant needs a positive weight');
+  }
+
+  return normalized;
+}
+
+/**
+ * Pick a variant for a 0-9999 bucket from cumulative weights
+ */
+function pickVariant(variants, bucket) {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const point = (bucket / BUCKETS) * total;
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += variant.weight;
+    if (point < cumulative) return variant.name;
+  }
+  // Floating point edge: fall back to the last weighted variant
+  return [...variants].reverse().find(variant => variant.weight > 0).name;
+}
+
+/**
+ * Coarse device class from a user agent string
+ * @returns {string} mobile | tablet | desktop
+ */
+function detectDevice(userAgent = '') {
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobi)/i.test(userAgent)) return 'tablet';
+  if (/Mobi|iPhone|iPod|Android|BlackBerry|Opera Mini|IEMobile/i.test(userAgent)) return 'mobile';
+  return 'desktop';
+}
+
+/**
+ * '/pricing' matches exactly; '/blog/*' matches '/blog' and anything below it
+ */
+function matchesPage(pattern, page) {
+  if (pattern.endsWith('*')) {
+    const prefix = pattern.slice(0, -1).replace(/\/$/, '');
+    return page === prefix || page.startsWith(`${prefix}/`) || (prefix === '' && page.startsWith('/'));
+  }
+  return pattern.replace(/\/$/, '') === page.replace(/\/$/, '');
+}
+
+/**
+ * Check targeting rules. Each rule is an allow-list; an empty or missing
+ * list means "everyone". When a rule is set and the context lacks that
+ * attribute (e.g. unknown country) the user is not targeted.
+ * @param {Object} targeting - { countries: ['US', 'India'], devices: ['mobile'], pages: ['/blog/*'] }
+ * @param {Object} context - { country, countryCode, device, page }
+ */
+function matchesTargeting(targeting = {}, context = {}) {
+  const { countries = [], devices = [], pages = [] } = targeting || {};
+
+  if (countries.length > 0) {
+    const known = [context.countryCode, context.country].filter(Boolean).map(value => value.toLowerCase());
+    if (!countries.some(country => known.includes(String(country).toLowerCase()))) return false;
+  }
+
+  if (devices.length > 0 && !devices.includes(context.device)) return false;
+
+  if (pages.length > 0) {
+    if (!context.page) return false;
+    const page = context.page.split(/[?#]/)[0];
+    if (!pages.some(pattern => matchesPage(pattern, page))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Assign a user to an experiment
+ * @param {Object} experiment - { seed, variants, trafficAllocation (0-100), targeting }
+ * @param {string} userId - Stable (anonymous) user id
+ * @param {Object} [context] - Targeting context, see matchesTargeting()
+ * @returns {Object} { variant: string|null, reason: 'assigned' | 'not_targeted' | 'not_allocated' }
+ */
+function assignVariant(experiment, userId, context = {}) {
+  if (!matchesTargeting(experiment.targeting, context)) {
+    return { variant: null, reason: 'not_targeted' };
+  }
+
+  const allocation = experiment.trafficAllocation === undefined ? 100 : Number(experiment.trafficAllocation);
+  if (bucketOf(experiment.seed, 'traffic', userId) >= allocation * (BUCKETS / 100)) {
+    return { variant: null, reason: 'not_allocated' };
+  }
+
+  const variants = normalizeVariants(experiment.variants);
+  return { variant: pickVariant(variants, bucketOf(experiment.seed, 'variant', userId)), reason: 'assigned' };
+}
+
+module.exports = {
+  BUCKETS,
+  murmurhash3,
+  bucketOf,
+  normalizeVariants,
+  pickVariant,
+  detectDevice,
+  matchesTargeting,
+  assignVariant,
+};
@@ -0,0 +1,308 @@
+/**
+ * Experiment statistics
+ *
+ * Conversion-rate analysis for A/B tests, each treatment compared with
+ * the control (first variant):
+ * - Wilson confidence interval per variant
+ * - Two-proportion z-test and CI on the absolute difference
+ * - Bayesian probability to beat control (Beta(1, 1) priors)
+ * - Minimum detectable effect at the current sample, and the sample size
+ *   needed to detect the experiment's target lift
+ * - Sequential guard: significance is only declared once |z| clears an
+ *   O'Brien-Fleming boundary, z(α/2) / √t, where t is the fraction of the
+ *   planned sample collected. Early looks need overwhelming evidence;
+ *   at the planned sample the boundary is the usual one.
+ *
+ * Alpha is split across treatments (Bonferroni) when there are several.
+ */
+
+const DEFAULTS = {
+  alpha: 0.05,
+  power: 0.8,
+  targetLift: 0.2,          // relative lift the test is sized to detect
+  minVisitorsPerVariant: 100,
+  minConversionsPerVariant: 10,
+};
+
+// ============ DISTRIBUTIONS ============
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26 via erf)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t *
+    Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Inverse standard normal CDF (Acklam's rational approximation)
+ */
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * log Γ(x) (Lanczos approximation, g = 7)
+ */
+function logGamma(x) {
+  const g = 7;
+  const coef = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  x -= 1;
+  let sum = coef[0];
+  for (let i = 1; i < g + 2; i++) sum += coef[i] / (x + i);
+  const t = x + g + 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+function logBeta(a, b) {
+  return logGamma(a) + logGamma(b) - logGamma(a + b);
+}
+
+// ============ TESTS ============
+
+/**
+ * Wilson score interval for a single proportion
+ */
+function wilsonInterval(conversions, visitors, alpha = DEFAULTS.alpha) {
+  if (visitors === 0) return [0, 0];
+  const z = normalQuantile(1 - alpha / 2);
+  const p = conversions / visitors;
+  const denominator = 1 + (z * z) / visitors;
+  const centre = p + (z * z) / (2 * visitors);
+  const margin = z * Math.sqrt((p * (1 - p)) / visitors + (z * z) / (4 * visitors * visitors));
+  return [Math.max(0, (centre - margin) / denominator), Math.min(1, (centre + margin) / denominator)];
+}
+
+/**
+ * Two-proportion z-test, treatment (b) against control (a)
+ * @returns {Object} { z, pValue, absoluteDiff, relativeLift, ci: [low, high] }
+ */
+function twoProportionZTest(a, b, alpha = DEFAULTS.alpha) {
+  const pA = a.conversions / a.visitors;
+  const pB = b.conversions / b.visitors;
+  const pooled = (a.conversions + b.conversions) / (a.visitors + b.visitors);
+  const pooledSe = Math.sqrt(pooled * (1 - pooled) * (1 / a.visitors + 1 / b.visitors));
+  const z = pooledSe === 0 ? 0 : (pB - pA) / pooledSe;
+
+  // Unpooled SE for the interval on the difference
+  const se = Math.sqrt((pA * (1 - pA)) / a.visitors + (pB * (1 - pB)) / b.visitors);
+  const zCrit = normalQuantile(1 - alpha / 2);
+  const diff = pB - pA;
+
+  return {
+    z,
+    pValue: 2 * (1 - normalCdf(Math.abs(z))),
+    absoluteDiff: diff,
+    relativeLift: pA > 0 ? diff / pA : null,
+    ci: [diff - zCrit * se, diff + zCrit * se],
+  };
+}
+
+/**
+ * P(rate_b > rate_a) with Beta(1 + conversions, 1 + failures) posteriors.
+ * Exact closed form (Evan Miller) while the sum is short; normal
+ * approximation of the two posteriors for large samples.
+ */
+function probabilityToBeat(a, b) {
+  const alphaA = 1 + a.conversions;
+  const betaA = 1 + a.visitors - a.conversions;
+  const alphaB = 1 + b.conversions;
+  const betaB = 1 + b.visitors - b.conversions;
+
+  if (alphaB <= 5000) {
+    let total = 0;
+    for (let i = 0; i < alphaB; i++) {
+      total += Math.exp(
+        logBeta(alphaA + i, betaA + betaB) - Math.log(betaB + i) - logBeta(1 + i, betaB) - logBeta(alphaA, betaA)
+      );
+    }
+    return Math.min(1, Math.max(0, total));
+  }
+
+  const mean = (alpha, beta) => alpha / (alpha + beta);
+  const variance = (alpha, beta) => (alpha * beta) / ((alpha + beta) ** 2 * (alpha + beta + 1));
+  const z = (mean(alphaB, betaB) - mean(alphaA, betaA)) /
+    Math.sqrt(variance(alphaA, betaA) + variance(alphaB, betaB));
+  return normalCdf(z);
+}
+
+// ============ PLANNING ============
+
+/**
+ * Visitors per variant needed to detect a relative lift over a baseline rate
+ */
+function requiredSampleSize(baselineRate, relativeLift, { alpha = DEFAULTS.alpha, power = DEFAULTS.power } = {}) {
+  if (!(baselineRate > 0 && baselineRate < 1) || relativeLift <= 0) return null;
+  const p1 = baselineRate;
+  const p2 = Math.min(0.9999, baselineRate * (1 + relativeLift));
+  const pBar = (p1 + p2) / 2;
+  const zAlpha = normalQuantile(1 - alpha / 2);
+  const zBeta = normalQuantile(power);
+  const n = (zAlpha * Math.sqrt(2 * pBar * (1 - pBar)) + zBeta * Math.sqrt(p1 * (1 - p1) + p2 * (1 - p2))) ** 2 /
+    (p2 - p1) ** 2;
+  return Math.ceil(n);
+}
+
+/**
+ * Smallest absolute/relative difference detectable with the current sample
+ */
+function minimumDetectableEffect(baselineRate, visitorsPerVariant, { alpha = DEFAULTS.alpha, power = DEFAULTS.power } = {}) {
+  if (!(baselineRate > 0 && baselineRate < 1) || visitorsPerVariant <= 0) return null;
+  const absolute = (normalQuantile(1 - alpha / 2) + normalQuantile(power)) *
+    Math.sqrt((2 * baselineRate * (1 - baselineRate)) / visitorsPerVariant);
+  return { absolute, relative: absolute / baselineRate };
+}
+
+/**
+ * O'Brien-Fleming-style critical z for a look at information fraction t
+ */
+function sequentialBoundary(alpha, informationFraction) {
+  const t = Math.min(1, Math.max(informationFraction, 1e-6));
+  return normalQuantile(1 - alpha / 2) / Math.sqrt(t);
+}
+
+// ============ ANALYSIS ============
+
+/**
+ * Analyse an experiment
+ * @param {Array} variants - [{ name, visitors, conversions }] with control first
+ * @param {Object} [options] - { alpha, power, targetLift, ended }
+ * @returns {Object} per-variant results, planning figures and a verdict
+ */
+function analyzeExperiment(variants, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const [control, ...treatments] = variants;
+  const alpha = settings.alpha / Math.max(1, treatments.length);
+  const controlRate = control.visitors > 0 ? control.conversions / control.visitors : 0;
+
+  const perVariantTarget = requiredSampleSize(controlRate, settings.targetLift, { alpha, power: settings.power });
+  const smallestArm = Math.min(...variants.map(v => v.visitors));
+  const informationFraction = perVariantTarget ? Math.min(1, smallestArm / perVariantTarget) : 0;
+  const boundary = sequentialBoundary(alpha, informationFraction);
+  const enoughData = variants.every(v =>
+    v.visitors >= settings.minVisitorsPerVariant && v.conversions >= settings.minConversionsPerVariant);
+
+  const results = variants.map((variant, index) => {
+    const rate = variant.visitors > 0 ? variant.conversions / variant.visitors : 0;
+    const result = {
+      name: variant.name,
+      visitors: variant.visitors,
+      conversions: variant.conversions,
+      rate,
+      ci: wilsonInterval(variant.conversions, variant.visitors, settings.alpha),
+      isControl: index === 0,
+    };
+
+    if (index > 0 && control.visitors > 0 && variant.visitors > 0) {
+      const test = twoProportionZTest(control, variant, alpha);
+      result.vsControl = {
+        ...test,
+        probabilityToBeatControl: probabilityToBeat(control, variant),
+        significant: enoughData && Math.abs(test.z) >= boundary,
+      };
+    }
+    return result;
+  });
+
+  return {
+    control: control.name,
+    alpha: settings.alpha,
+    adjustedAlpha: alpha,
+    power: settings.power,
+    targetLift: settings.targetLift,
+    sampleSize: {
+      perVariant: perVariantTarget,
+      current: smallestArm,
+      informationFraction,
+    },
+    boundary,
+    mde: minimumDetectableEffect(controlRate, smallestArm, { alpha, power: settings.power }),
+    variants: results,
+    verdict: decideVerdict(results, { enoughData, informationFraction, ended: settings.ended }),
+  };
+}
+
+/**
+ * winner: a treatment significantly beats control, or every treatment
+ *         significantly loses to it (control wins)
+ * keep_running: no decision yet and the planned sample isn't reached
+ * inconclusive: planned sample reached (or experiment ended) with no decision
+ */
+function decideVerdict(results, { enoughData, informationFraction, ended }) {
+  const treatments = results.filter(r => r.vsControl);
+
+  const winners = treatments.filter(r => r.vsControl.significant && r.vsControl.absoluteDiff > 0);
+  if (winners.length > 0) {
+    const best = winners.reduce((top, r) => (r.rate > top.rate ? r : top));
+    return {
+      status: 'winner',
+      winner: best.name,
+      reason: `${best.name} converts ${(best.vsControl.relativeLift * 100).toFixed(1)}% better than ${results[0].name}`,
+    };
+  }
+
+  if (treatments.length > 0 && treatments.every(r => r.vsControl.significant && r.vsControl.absoluteDiff < 0)) {
+    return {
+      status: 'winner',
+      winner: results[0].name,
+      reason: `${results[0].name} (control) beats every variant`,
+    };
+  }
+
+  if (ended || informationFraction >= 1) {
+    return {
+      status: 'inconclusive',
+      winner: null,
+      reason: ended
+        ? 'Experiment ended before a significant difference was found'
+        : 'Planned sample reached without a significant difference',
+    };
+  }
+
+  return {
+    status: 'keep_running',
+    winner: null,
+    reason: enoughData
+      ? `${Math.round(informationFraction * 100)}% of the planned sample collected`
+      : 'Waiting for enough visitors and conversions in every variant',
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  normalCdf,
+  normalQuantile,
+  wilsonInterval,
+  twoProportionZTest,
+  probabilityToBeat,
+  requiredSampleSize,
+  minimumDetectableEffect,
+  sequentialBoundary,
+  analyzeExperiment,
+};
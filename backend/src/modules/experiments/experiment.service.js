@@ -0,0 +1,270 @@
+/**
+ * Experiment Service
+ *
+ * A/B test lifecycle on top of deterministic bucketing (see bucketing.js):
+ * 1. Experiments carry weighted variants, a traffic allocation (0-100%)
+ *    and targeting rules (country, device, page)
+ * 2. assign() resolves targeting context from the request and the visitor's
+ *    tracked visits, then hashes (experiment, userId) to a variant. The
+ *    result is recorded once per user as the exposure for results.
+ * 3. getClientConfig() exposes exactly what a client or edge worker needs
+ *    to compute the same assignment locally
+ * 4. getStats() adds significance analysis (see experiment-stats.js)
+ */
+
+const {
+  normalizeVariants,
+  assignVariant,
+  detectDevice,
+} = require('./bucketing');
+const { analyzeExperiment } = require('./experiment-stats');
+
+/**
+ * normalizeVariants() with its errors marked as client errors (400)
+ */
+function parseVariants(variants) {
+  try {
+    return normalizeVariants(variants);
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+}
+
+class ExperimentService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   */
+  constructor({ pool }) {
+    this.pool = pool;
+  }
+
+  // ============ LIFECYCLE ============
+
+  async createExperiment({ name, description, variants, trafficAllocation = 100, targeting = {}, targetLift = 0.2 }) {
+    const result = await this.pool.query(
+      `INSERT INTO experiments (name, description, variants, status, traffic_allocation, targeting, target_lift)
+       VALUES ($1, $2, $3, 'active', $4, $5, $6) RETURNING *`,
+      [name, description || null, JSON.stringify(parseVariants(variants)), trafficAllocation, JSON.stringify(targeting), targetLift]
+    );
+    return this.format(result.rows[0]);
+  }
+
+  async listExperiments() {
+    const result = await this.pool.query('SELECT * FROM experiments ORDER BY created_at DESC');
+    return result.rows.map(row => this.format(row));
+  }
+
+  async getExperiment(id) {
+    const result = await this.pool.query('SELECT * FROM experiments WHERE id = $1', [id]);
+    return result.rows[0] ? this.format(result.rows[0]) : null;
+  }
+
+  /**
+   * Update allocation, targeting or variant weights. Variant names are
+   * fixed once an experiment has started: renaming or adding variants
+   * would silently move users between arms.
+   */
+  async updateExperiment(id, changes) {
+    const experiment = await this.getExperiment(id);
+    if (!experiment) return null;
+
+    let variants;
+    if (changes.variants !== undefined) {
+      variants = parseVariants(changes.variants);
+      const before = experiment.variants.map(v => v.name).sort().join('\n');
+      const after = variants.map(v => v.name).sort().join('\n');
+      if (before !== after) {
+        throw Object.assign(new Error('Variant names cannot change once an experiment has started'), { status: 400 });
+      }
+      // Keep the original order: it determines which bucket range each variant owns
+      variants = experiment.variants.map(v => variants.find(n => n.name === v.name));
+    }
+
+    const result = await this.pool.query(`
+      UPDATE experiments SET
+        description = COALESCE($2, description),
+        variants = COALESCE($3, variants),
+        traffic_allocation = COALESCE($4, traffic_allocation),
+        targeting = COALESCE($5, targeting),
+        target_lift = COALESCE($6, target_lift)
+      WHERE id = $1
+      RETURNING *
+    `, [
+      id,
+      changes.description ?? null,
+      variants ? JSON.stringify(variants) : null,
+      changes.trafficAllocation ?? null,
+      changes.targeting ? JSON.stringify(changes.targeting) : null,
+      changes.targetLift ?? null,
+    ]);
+    return this.format(result.rows[0]);
+  }
+
+  async endExperiment(id) {
+    await this.pool.query(
+      'UPDATE experiments SET status = $1, ended_at = NOW() WHERE id = $2',
+      ['ended', id]
+    );
+  }
+
+  /**
+   * Per-variant assignment and conversion counts, plus the significance
+   * analysis. Analysis counts converting users, not conversion events,
+   * so repeat clicks don't inflate rates.
+   */
+  async getStats(experiment) {
+    const [assignments, conversions] = await Promise.all([
+      this.pool.query(
+        'SELECT variant, COUNT(*) as count FROM experiment_assignments WHERE experiment_id = $1 GROUP BY variant',
+        [experiment.id]
+      ),
+      this.pool.query(
+        `SELECT variant, COUNT(*) as count, COUNT(DISTINCT user_id) as converters, AVG(value) as avg_value
+         FROM experiment_conversions WHERE experiment_id = $1 GROUP BY variant`,
+        [experiment.id]
+      ),
+    ]);
+
+    const stats = {};
+    experiment.variants.forEach(({ name }) => {
+      const assignmentData = assignments.rows.find(a => a.variant === name);
+      const conversionData = conversions.rows.find(c => c.variant === name);
+
+      stats[name] = {
+        assignments: parseInt(assignmentData?.count || 0),
+        conversions: parseInt(conversionData?.count || 0),
+        converters: parseInt(conversionData?.converters || 0),
+        conversionRate: assignmentData ?
+          ((parseInt(conversionData?.count || 0) / parseInt(assignmentData.count)) * 100).toFixed(2) : 0,
+        avgValue: parseFloat(conversionData?.avg_value || 0),
+      };
+    });
+
+    const analysis = analyzeExperiment(
+      experiment.variants.map(({ name }) => ({
+        name,
+        visitors: stats[name].assignments,
+        conversions: Math.min(stats[name].converters, stats[name].assignments),
+      })),
+      { targetLift: experiment.target_lift, ended: experiment.status === 'ended' }
+    );
+
+    return { stats, analysis };
+  }
+
+  // ============ ASSIGNMENT ============
+
+  /**
+   * Targeting context for a request. Country comes from the visitor's most
+   * recent tracked visit (geo lookups happen in /api/track-visit); device
+   * from the reported value or the user agent.
+   */
+  async resolveContext({ ip, userAgent, page, device }) {
+    let country = null;
+    let countryCode = null;
+    if (ip) {
+      const result = await this.pool.query(
+        `SELECT country, country_code FROM visits
+         WHERE ip = $1 AND country IS NOT NULL
+         ORDER BY timestamp DESC LIMIT 1`,
+        [ip]
+      );
+      country = result.rows[0]?.country || null;
+      countryCode = result.rows[0]?.country_code || null;
+    }
+
+    return {
+      country,
+      countryCode,
+      device: device || detectDevice(userAgent),
+      page: page || null,
+    };
+  }
+
+  /**
+   * Assign a user to an active experiment and record the exposure
+   * @returns {Object|null} { variant, reason } or null if the experiment isn't active
+   */
+  async assign(id, userId, context) {
+    const result = await this.pool.query('SELECT * FROM experiments WHERE id = $1 AND status = $2', [id, 'active']);
+    if (result.rows.length === 0) return null;
+    const experiment = this.format(result.rows[0]);
+
+    // Users assigned before deterministic bucketing keep their variant
+    const existing = await this.pool.query(
+      'SELECT variant FROM experiment_assignments WHERE experiment_id = $1 AND user_id = $2 LIMIT 1',
+      [id, userId]
+    );
+    if (existing.rows.length > 0) {
+      return { variant: existing.rows[0].variant, reason: 'assigned' };
+    }
+
+    const assignment = assignVariant(this.getClientConfig(experiment), userId, context);
+    if (assignment.variant) {
+      await this.pool.query(`
+        INSERT INTO experiment_assignments (experiment_id, user_id, variant)
+        SELECT $1, $2, $3
+        WHERE NOT EXISTS (SELECT 1 FROM experiment_assignments WHERE experiment_id = $1 AND user_id = $2)
+      `, [id, userId, assignment.variant]);
+    }
+    return assignment;
+  }
+
+  /**
+   * Record a conversion against the user's recorded variant
+   * @returns {boolean} false if the user was never exposed
+   */
+  async convert(id, userId, { conversionType, value }) {
+    const assignment = await this.pool.query(
+      'SELECT variant FROM experiment_assignments WHERE experiment_id = $1 AND user_id = $2 LIMIT 1',
+      [id, userId]
+    );
+    if (assignment.rows.length === 0) return false;
+
+    await this.pool.query(
+      'INSERT INTO experiment_conversions (experiment_id, user_id, variant, conversion_type, value) VALUES ($1, $2, $3, $4, $5)',
+      [id, userId, assignment.rows[0].variant, conversionType || null, value || 1]
+    );
+    return true;
+  }
+
+  // ============ CLIENT CONFIG ============
+
+  /**
+   * Everything needed to run assignVariant() outside the server
+   */
+  getClientConfig(experiment) {
+    return {
+      id: experiment.id,
+      seed: `exp-${experiment.id}`,
+      variants: experiment.variants,
+      trafficAllocation: experiment.traffic_allocation,
+      targeting: experiment.targeting,
+    };
+  }
+
+  async listActiveConfigs() {
+    const result = await this.pool.query("SELECT * FROM experiments WHERE status = 'active' ORDER BY id");
+    return result.rows.map(row => this.getClientConfig(this.format(row)));
+  }
+
+  /**
+   * Normalise a DB row: legacy rows store variants as plain strings
+   * and predate the allocation/targeting columns
+   */
+  format(row) {
+    return {
+      ...row,
+      variants: normalizeVariants(row.variants),
+      traffic_allocation: row.traffic_allocation === null || row.traffic_allocation === undefined
+        ? 100
+        : Number(row.traffic_allocation),
+      targeting: row.targeting || {},
+      target_lift: row.target_lift === null || row.target_lift === undefined ? 0.2 : Number(row.target_lift),
+    };
+  }
+}
+
+module.exports = ExperimentService;
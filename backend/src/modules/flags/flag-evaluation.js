@@ -0,0 +1,58 @@
+/**
+ * Feature flag evaluation
+ *
+ * Pure function of (flag, userId, context) built on the experiment
+ * bucketing, so percentage rollouts behave like traffic allocation: a user
+ * inside a 10% rollout stays in when it grows to 50%. Like bucketing.js,
+ * this has no Node or database dependencies.
+ *
+ * Order of checks:
+ * 1. Kill switch - off everywhere, regardless of anything else
+ * 2. Enabled - the flag's release toggle
+ * 3. Environment - empty list means every environment
+ * 4. Targeting - same rules as experiments (country, device, page)
+ * 5. Rollout percentage - hashed on the flag key, not its id, so the same
+ *    user gets the same answer in every environment's database
+ */
+
+const { BUCKETS, bucketOf, matchesTargeting } = require('../experiments/bucketing');
+
+const FLAG_KEY_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,99}$/;
+
+/**
+ * Evaluate a flag for a user
+ * @param {Object} flag - { key, enabled, killSwitch, rolloutPercentage (0-100), environments, targeting }
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Stable (anonymous) user id; required for partial rollouts
+ * @param {string} [options.environment] - Environment being evaluated
+ * @param {Object} [options.context] - Targeting context, see matchesTargeting()
+ * @returns {Object} { enabled: boolean, reason: 'killed' | 'disabled' | 'environment' | 'not_targeted' | 'rollout' | 'enabled' }
+ */
+function evaluateFlag(flag, { userId, environment, context = {} } = {}) {
+  if (flag.killSwitch) return { enabled: false, reason: 'killed' };
+  if (!flag.enabled) return { enabled: false, reason: 'disabled' };
+
+  const environments = flag.environments || [];
+  if (environments.length > 0 && !environments.includes(environment)) {
+    return { enabled: false, reason: 'environment' };
+  }
+
+  if (!matchesTargeting(flag.targeting, context)) {
+    return { enabled: false, reason: 'not_targeted' };
+  }
+
+  const percentage = flag.rolloutPercentage === undefined ? 100 : Number(flag.rolloutPercentage);
+  if (percentage < 100) {
+    // Without an id there is nothing stable to bucket on
+    if (!userId || bucketOf(`flag-${flag.key}`, 'rollout', userId) >= percentage * (BUCKETS / 100)) {
+      return { enabled: false, reason: 'rollout' };
+    }
+  }
+
+  return { enabled: true, reason: 'enabled' };
+}
+
+module.exports = {
+  FLAG_KEY_PATTERN,
+  evaluateFlag,
+};
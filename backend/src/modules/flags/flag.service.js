@@ -0,0 +1,200 @@
+/**
+ * Feature Flag Service
+ *
+ * Flags for dark launches of page sections and product cards:
+ * 1. Admin CRUD with audit logging; the kill switch is a separate column
+ *    so flipping it back restores the previous rollout untouched
+ * 2. evaluateAll() answers the public /api/flags endpoint for one visitor,
+ *    which only names the flags that are on
+ * 3. enabledKeys() lets server code (e.g. /api/products) check flags
+ *
+ * Flags are read through a short in-memory cache. Writes on this instance
+ * clear it immediately; other instances pick changes up within CACHE_TTL.
+ */
+
+const { evaluateFlag } = require('./flag-evaluation');
+
+const CACHE_TTL = 15 * 1000;
+
+class FeatureFlagService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Object} deps.auditLogger - AuditLogger instance (backend/security)
+   * @param {string} deps.environment - Environment this server evaluates flags for
+   * @param {Object} deps.contextResolver - Provides resolveContext({ ip, userAgent, page, device }) (ExperimentService)
+   */
+  constructor({ pool, auditLogger, environment, contextResolver }) {
+    this.pool = pool;
+    this.auditLogger = auditLogger;
+    this.environment = environment;
+    this.contextResolver = contextResolver;
+    this.cache = null;
+  }
+
+  // ============ ADMIN CRUD ============
+
+  async listFlags() {
+    const result = await this.pool.query('SELECT * FROM feature_flags ORDER BY key');
+    return result.rows.map(row => this.format(row));
+  }
+
+  async getFlag(id) {
+    const result = await this.pool.query('SELECT * FROM feature_flags WHERE id = $1', [id]);
+    return result.rows[0] ? this.format(result.rows[0]) : null;
+  }
+
+  async createFlag({ key, description, enabled = false, rolloutPercentage = 100, environments = [], targeting = {} }, actor = {}) {
+    const result = await this.pool.query(
+      `INSERT INTO feature_flags (key, description, enabled, rollout_percentage, environments, targeting, created_by, updated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $7) RETURNING *`,
+      [key, description || null, enabled, rolloutPercentage, environments, JSON.stringify(targeting), actor.userId || null]
+    );
+    const flag = this.format(result.rows[0]);
+
+    this.cache = null;
+    await this.audit('FEATURE_FLAG_CREATED', flag, actor, { enabled, rolloutPercentage, environments });
+    return flag;
+  }
+
+  /**
+   * Partial update. Setting killSwitch records when the flag was killed.
+   */
+  async updateFlag(id, changes, actor = {}) {
+    const result = await this.pool.query(`
+      UPDATE feature_flags SET
+        description = COALESCE($2, description),
+        enabled = COALESCE($3, enabled),
+        rollout_percentage = COALESCE($4, rollout_percentage),
+        environments = COALESCE($5, environments),
+        targeting = COALESCE($6, targeting),
+        kill_switch = COALESCE($7, kill_switch),
+        killed_at = CASE
+          WHEN $7::boolean IS TRUE AND NOT kill_switch THEN NOW()
+          WHEN $7::boolean IS FALSE THEN NULL
+          ELSE killed_at
+        END,
+        updated_by = $8,
+        updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [
+      id,
+      changes.description ?? null,
+      changes.enabled ?? null,
+      changes.rolloutPercentage ?? null,
+      changes.environments ?? null,
+      changes.targeting ? JSON.stringify(changes.targeting) : null,
+      changes.killSwitch ?? null,
+      actor.userId || null,
+    ]);
+    if (result.rows.length === 0) return null;
+    const flag = this.format(result.rows[0]);
+
+    this.cache = null;
+    const action = changes.killSwitch === true
+      ? 'FEATURE_FLAG_KILLED'
+      : changes.killSwitch === false ? 'FEATURE_FLAG_RESTORED' : 'FEATURE_FLAG_UPDATED';
+    await this.audit(action, flag, actor, changes);
+    return flag;
+  }
+
+  async deleteFlag(id, actor = {}) {
+    const result = await this.pool.query('DELETE FROM feature_flags WHERE id = $1 RETURNING *', [id]);
+    if (result.rows.length === 0) return false;
+
+    this.cache = null;
+    await this.audit('FEATURE_FLAG_DELETED', this.format(result.rows[0]), actor);
+    return true;
+  }
+
+  // ============ EVALUATION ============
+
+  /**
+   * Evaluate every flag for one visitor
+   * @param {Object} request - { userId, ip, userAgent, page, device }
+   * @returns {Object} { flagKey: boolean }
+   */
+  async evaluateAll({ userId, ip, userAgent, page, device }) {
+    const flags = await this.loadFlags();
+    // Country lookup costs a query; skip it unless some flag targets countries
+    const needsCountry = flags.some(flag => flag.targeting.countries?.length > 0);
+    const context = await this.contextResolver.resolveContext({
+      ip: needsCountry ? ip : null,
+      userAgent,
+      page,
+      device,
+    });
+
+    const values = {};
+    flags.forEach(flag => {
+      values[flag.key] = evaluateFlag(this.toEvaluationConfig(flag), {
+        userId,
+        environment: this.environment,
+        context,
+      }).enabled;
+    });
+    return values;
+  }
+
+  /**
+   * Which of the given flag keys are on for a visitor. Unknown keys are
+   * off, and so is everything if flags can't be loaded: a dark launch
+   * should stay dark when in doubt.
+   * @returns {Set<string>}
+   */
+  async enabledKeys(keys, request) {
+    if (keys.length === 0) return new Set();
+    try {
+      const values = await this.evaluateAll(request);
+      return new Set(keys.filter(key => values[key]));
+    } catch (error) {
+      console.error('Feature flag evaluation error:', error);
+      return new Set();
+    }
+  }
+
+  async loadFlags() {
+    if (this.cache && Date.now() - this.cache.loadedAt < CACHE_TTL) {
+      return this.cache.flags;
+    }
+    const flags = await this.listFlags();
+    this.cache = { flags, loadedAt: Date.now() };
+    return flags;
+  }
+
+  // ============ HELPERS ============
+
+  toEvaluationConfig(flag) {
+    return {
+      key: flag.key,
+      enabled: flag.enabled,
+      killSwitch: flag.kill_switch,
+      rolloutPercentage: flag.rollout_percentage,
+      environments: flag.environments,
+      targeting: flag.targeting,
+    };
+  }
+
+  async audit(action, flag, actor, metadata = {}) {
+    await this.auditLogger.log(action, {
+      userId: actor.userId,
+      tenantId: actor.tenantId,
+      ip: actor.ip,
+      userAgent: actor.userAgent,
+      resource: `feature_flags/${flag.key}`,
+      metadata,
+    });
+  }
+
+  format(row) {
+    return {
+      ...row,
+      rollout_percentage: Number(row.rollout_percentage),
+      environments: row.environments || [],
+      targeting: row.targeting || {},
+    };
+  }
+}
+
+module.exports = FeatureFlagService;
@@ -0,0 +1,361 @@
+/**
+ * Lead Pipeline Service
+ *
+ * CRM-lite on top of the leads table:
+ * - Stages: new → contacted → demo_scheduled → pilot → won / lost
+ * - Owner assignment (vault users)
+ * - Notes and an activity history per lead
+ * - Every stage change is recorded in the security audit log
+ */
+
+const STAGES = [
+  { id: 'new', label: 'New' },
+  { id: 'contacted', label: 'Contacted' },
+  { id: 'demo_scheduled', label: 'Demo Scheduled' },
+  { id: 'pilot', label: 'Pilot' },
+  { id: 'won', label: 'Won' },
+  { id: 'lost', label: 'Lost' },
+];
+
+const STAGE_IDS = STAGES.map(stage => stage.id);
+
+// Closed stages only show recent cards on the board
+const CLOSED_STAGES = ['won', 'lost'];
+const CLOSED_BOARD_LIMIT = 50;
+
+// Fields sales can edit from the vault
+const EDITABLE_FIELDS = {
+  name: 'name',
+  email: 'email',
+  company: 'company',
+  jobTitle: 'job_title',
+  companySize: 'company_size',
+  phone: 'phone',
+  message: 'message',
+  lostReason: 'lost_reason',
+};
+
+const LEAD_COLUMNS = `
+  l.id, l.form_type, l.status, l.name, l.email, l.company, l.job_title, l.company_size,
+  l.phone, l.utm_source, l.utm_medium, l.utm_campaign, l.country, l.owner_id,
+  l.stage_changed_at, l.lost_reason, l.created_at, l.updated_at,
+  u.username AS owner_username
+`;
+
+class LeadPipelineService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Object} deps.auditLogger - AuditLogger instance (backend/security)
+   */
+  constructor({ pool, auditLogger }) {
+    this.pool = pool;
+    this.auditLogger = auditLogger;
+  }
+
+  // ============ BOARD ============
+
+  /**
+   * Leads grouped by stage for the kanban view
+   */
+  async getBoard({ ownerId } = {}) {
+    const params = [CLOSED_STAGES, CLOSED_BOARD_LIMIT];
+    let ownerFilter = '';
+    if (ownerId === 'unassigned') {
+      ownerFilter = 'AND l.owner_id IS NULL';
+    } else if (ownerId) {
+      params.push(ownerId);
+      ownerFilter = `AND l.owner_id = $${params.length}`;
+    }
+
+    const result = await this.pool.query(`
+      SELECT * FROM (
+        SELECT ${LEAD_COLUMNS},
+               (SELECT COUNT(*)::int FROM lead_notes n WHERE n.lead_id = l.id) AS note_count,
+               ROW_NUMBER() OVER (PARTITION BY l.status ORDER BY l.stage_changed_at DESC) AS stage_rank
+        FROM leads l
+        LEFT JOIN users u ON u.id = l.owner_id
+        WHERE TRUE ${ownerFilter}
+      ) ranked
+      WHERE NOT (status = ANY($1)) OR stage_rank <= $2
+      ORDER BY stage_changed_at DESC
+    `, params);
+
+    return {
+      stages: STAGES.map(stage => ({
+        ...stage,
+        leads: result.rows.filter(lead => lead.status === stage.id),
+      })),
+    };
+  }
+
+  /**
+   * Vault users leads can be assigned to
+   */
+  async listOwners() {
+    const result = await this.pool.query(
+      `SELECT id, username, role FROM users WHERE role IN ('admin', 'superadmin') ORDER BY username`
+    );
+    return result.rows;
+  }
+
+  // ============ LEAD DETAIL ============
+
+  async getLead(id) {
+    const lead = await this.pool.query(`
+      SELECT l.*, u.username AS owner_username
+      FROM leads l
+      LEFT JOIN users u ON u.id = l.owner_id
+      WHERE l.id = $1
+    `, [id]);
+
+    if (lead.rows.length === 0) return null;
+
+    const [notes, activities] = await Promise.all([
+      this.pool.query(`
+        SELECT n.id, n.body, n.created_at, n.author_id, u.username AS author_username
+        FROM lead_notes n
+        LEFT JOIN users u ON u.id = n.author_id
+        WHERE n.lead_id = $1
+        ORDER BY n.created_at DESC
+      `, [id]),
+      this.pool.query(`
+        SELECT a.id, a.type, a.from_value, a.to_value, a.metadata, a.created_at, u.username AS actor_username
+        FROM lead_activities a
+        LEFT JOIN users u ON u.id = a.actor_id
+        WHERE a.lead_id = $1
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT 200
+      `, [id]),
+    ]);
+
+    return { ...lead.rows[0], notes: notes.rows, activities: activities.rows };
+  }
+
+  // ============ CREATE / UPDATE / DELETE ============
+
+  /**
+   * Create a lead by hand (phone call, event, referral...)
+   */
+  async createLead(input, actor) {
+    const status = input.status || 'new';
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO leads (form_type, status, name, email, company, job_title, company_size, phone, message, owner_id)
+        VALUES ('manual', $1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *
+      `, [
+        status,
+        input.name,
+        input.email.trim().toLowerCase(),
+        input.company || null,
+        input.jobTitle || null,
+        input.companySize || null,
+        input.phone || null,
+        input.message || null,
+        input.ownerId || null,
+      ]);
+      const lead = result.rows[0];
+
+      await this.recordActivity(client, lead.id, actor, 'created', { to: status, metadata: { source: 'manual' } });
+      await client.query('COMMIT');
+
+      return lead;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update contact fields, owner and/or stage. Each kind of change lands
+   * in the activity history; stage changes are also audit logged.
+   * @returns {Object|null} updated lead, or null if it doesn't exist
+   */
+  async updateLead(id, changes, actor) {
+    const client = await this.pool.connect();
+    let previous;
+    let updated;
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query('SELECT * FROM leads WHERE id = $1 FOR UPDATE', [id]);
+      if (current.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      previous = current.rows[0];
+
+      const sets = [];
+      const params = [];
+      const editedFields = [];
+
+      for (const [key, column] of Object.entries(EDITABLE_FIELDS)) {
+        if (changes[key] === undefined) continue;
+        const value = changes[key] === '' ? null : changes[key];
+        if (value === previous[column]) continue;
+        params.push(key === 'email' ? value.trim().toLowerCase() : value);
+        sets.push(`${column} = $${params.length}`);
+        editedFields.push(column);
+      }
+
+      const ownerChanged = changes.ownerId !== undefined && (changes.ownerId || null) !== previous.owner_id;
+      if (ownerChanged) {
+        params.push(changes.ownerId || null);
+        sets.push(`owner_id = $${params.length}`);
+      }
+
+      const stageChanged = changes.status !== undefined && changes.status !== previous.status;
+      if (stageChanged) {
+        params.push(changes.status);
+        sets.push(`status = $${params.length}`, 'stage_changed_at = NOW()');
+      }
+
+      if (sets.length === 0) {
+        await client.query('ROLLBACK');
+        return previous;
+      }
+
+      params.push(id);
+      const result = await client.query(
+        `UPDATE leads SET ${sets.join(', ')} WHERE id = $${params.length} RETURNING *`,
+        params
+      );
+      updated = result.rows[0];
+
+      if (stageChanged) {
+        await this.recordActivity(client, id, actor, 'stage_changed', {
+          from: previous.status,
+          to: updated.status,
+          metadata: updated.status === 'lost' && updated.lost_reason ? { reason: updated.lost_reason } : {},
+        });
+      }
+      if (ownerChanged) {
+        const owners = await client.query(
+          'SELECT id, username FROM users WHERE id = ANY($1)',
+          [[previous.owner_id, updated.owner_id].filter(Boolean)]
+        );
+        const nameOf = (ownerId) => owners.rows.find(o => o.id === ownerId)?.username || null;
+        await this.recordActivity(client, id, actor, 'owner_changed', {
+          from: nameOf(previous.owner_id),
+          to: nameOf(updated.owner_id),
+        });
+      }
+      if (editedFields.length > 0) {
+        await this.recordActivity(client, id, actor, 'updated', { metadata: { fields: editedFields } });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (updated.status !== previous.status) {
+      await this.auditStageChange(id, previous.status, updated.status, actor);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Move a lead to another stage (kanban drag and drop)
+   */
+  async changeStage(id, status, actor, { lostReason } = {}) {
+    return this.updateLead(id, lostReason !== undefined ? { status, lostReason } : { status }, actor);
+  }
+
+  async deleteLead(id, actor) {
+    const result = await this.pool.query('DELETE FROM leads WHERE id = $1 RETURNING id, status', [id]);
+    if (result.rows.length === 0) return false;
+
+    await this.auditLogger.log('LEAD_DELETED', {
+      ...this.auditContext(actor),
+      resource: `leads/${id}`,
+      metadata: { stage: result.rows[0].status },
+    });
+    return true;
+  }
+
+  // ============ NOTES ============
+
+  async addNote(leadId, body, actor) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const exists = await client.query('SELECT id FROM leads WHERE id = $1', [leadId]);
+      if (exists.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const result = await client.query(
+        'INSERT INTO lead_notes (lead_id, author_id, body) VALUES ($1, $2, $3) RETURNING *',
+        [leadId, actor.userId || null, body]
+      );
+      const note = result.rows[0];
+
+      await this.recordActivity(client, leadId, actor, 'note_added', { metadata: { noteId: note.id } });
+      await client.query('COMMIT');
+
+      return { ...note, author_username: actor.username || null };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteNote(leadId, noteId) {
+    const result = await this.pool.query(
+      'DELETE FROM lead_notes WHERE id = $1 AND lead_id = $2 RETURNING id',
+      [noteId, leadId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // ============ HISTORY & AUDIT ============
+
+  /**
+   * Append to the lead's activity history
+   * @param {Object} db - pool or transaction client
+   */
+  async recordActivity(db, leadId, actor, type, { from = null, to = null, metadata = {} } = {}) {
+    await db.query(
+      `INSERT INTO lead_activities (lead_id, actor_id, type, from_value, to_value, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [leadId, actor?.userId || null, type, from, to, JSON.stringify(metadata)]
+    );
+  }
+
+  async auditStageChange(leadId, from, to, actor) {
+    await this.auditLogger.log('LEAD_STAGE_CHANGED', {
+      ...this.auditContext(actor),
+      resource: `leads/${leadId}`,
+      metadata: { from, to },
+    });
+  }
+
+  auditContext(actor = {}) {
+    return {
+      userId: actor.userId,
+      tenantId: actor.tenantId,
+      ip: actor.ip,
+      userAgent: actor.userAgent,
+    };
+  }
+}
+
+LeadPipelineService.STAGES = STAGES;
+LeadPipelineService.STAGE_IDS = STAGE_IDS;
+
+module.exports = LeadPipelineService;
@@ -0,0 +1,326 @@
+/**
+ * Leads Service
+ *
+ * Lead capture for the Request Demo, Expert Consultation and Tailored
+ * Pilots pages:
+ * 1. createLead() stores the submission with attribution from the visits table
+ * 2. notifySales() emails the sales inbox through the mail transport
+ * 3. listLeads() / getLead() back the vault Leads screen
+ *
+ * Stages, owners and notes live in lead-pipeline.service.js
+ */
+
+const ATTRIBUTION_WINDOW_DAYS = 30;
+
+const FORM_LABELS = {
+  demo: 'Demo Request',
+  consultation: 'Expert Consultation',
+  pilot: 'Tailored Pilot',
+};
+
+const DETAIL_LABELS = {
+  preferredTime: 'Preferred time',
+  bookedSlot: 'Booked slot',
+};
+
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+class LeadsService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Object} deps.transport - Mail transport (see modules/mail/mail-transport)
+   * @param {string} deps.salesInbox - Address that receives new lead notifications
+   * @param {string} deps.siteUrl - Public site URL used in email links
+   */
+  constructor({ pool, transport, salesInbox, siteUrl }) {
+    this.pool = pool;
+    this.transport = transport;
+    this.salesInbox = salesInbox;
+    this.siteUrl = siteUrl.replace(/\/$/, '');
+  }
+
+  // ============ ATTRIBUTION ============
+
+  /**
+   * Resolve marketing attribution for a visitor from their tracked visits.
+   * First touch wins for source/landing page; the client-reported UTM
+   * parameters only fill gaps (e.g. tracking blocked by an ad blocker).
+   */
+  async getAttribution(ip, reported = {}) {
+    let firstTouch = null;
+    let firstUtm = null;
+    let visitCount = 0;
+
+    if (ip) {
+      const result = await this.pool.query(`
+        SELECT page, referrer, country, city, timestamp,
+               utm_source, utm_medium, utm_campaign, utm_term, utm_content
+        FROM visits
+        WHERE ip = $1 AND timestamp > NOW() - INTERVAL '${ATTRIBUTION_WINDOW_DAYS} days'
+        ORDER BY timestamp ASC
+        LIMIT 200
+      `, [ip]);
+
+      visitCount = result.rows.length;
+      firstTouch = result.rows[0] || null;
+      firstUtm = result.rows.find(row => row.utm_source) || null;
+    }
+
+    const attribution = {
+      landing_page: firstTouch?.page || reported.landingPage || null,
+      referrer: firstTouch?.referrer || reported.referrer || null,
+      country: firstTouch?.country || null,
+      city: firstTouch?.city || null,
+      first_visit_at: firstTouch?.timestamp || null,
+      visit_count: visitCount,
+    };
+
+    for (const field of UTM_FIELDS) {
+      attribution[field] = firstUtm?.[field] || reported[field] || null;
+    }
+
+    return attribution;
+  }
+
+  // ============ CAPTURE ============
+
+  /**
+   * Store a lead and notify the sales inbox
+   * @returns {Object} { success, lead }
+   */
+  async createLead(input, { ip = null, userAgent = null } = {}) {
+    const attribution = await this.getAttribution(ip, input.attribution || {});
+
+    const result = await this.pool.query(`
+      INSERT INTO leads (
+        form_type, name, email, company, job_title, company_size, phone, message, details,
+        page, referrer, landing_page, utm_source, utm_medium, utm_campaign, utm_term, utm_content,
+        country, city, first_visit_at, visit_count, ip, user_agent
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
+      RETURNING *
+    `, [
+      input.formType,
+      input.name,
+      input.email.trim().toLowerCase(),
+      input.company || null,
+      input.jobTitle || null,
+      input.companySize || null,
+      input.phone || null,
+      input.message || null,
+      JSON.stringify(input.details || {}),
+      input.page || null,
+      attribution.referrer,
+      attribution.landing_page,
+      attribution.utm_source,
+      attribution.utm_medium,
+      attribution.utm_campaign,
+      attribution.utm_term,
+      attribution.utm_content,
+      attribution.country,
+      attribution.city,
+      attribution.first_visit_at,
+      attribution.visit_count,
+      ip,
+      userAgent,
+    ]);
+
+    const lead = result.rows[0];
+
+    // Start the pipeline history (see lead-pipeline.service)
+    await this.pool.query(
+      `INSERT INTO lead_activities (lead_id, type, to_value, metadata) VALUES ($1, 'created', $2, $3)`,
+      [lead.id, lead.status, JSON.stringify({ source: lead.form_type })]
+    );
+
+    await this.notifySales(lead);
+
+    return { success: true, lead };
+  }
+
+  // ============ NOTIFICATION ============
+
+  /**
+   * Email the sales inbox and record the outcome on the lead. A failed
+   * notification never loses the lead - it stays visible in the vault.
+   * Only a transport that delivers marks the lead notified; the local fake
+   * records why it wasn't, so retryFailedNotifications() picks it up.
+   */
+  async notifySales(lead) {
+    let result;
+    try {
+      result = await this.transport.send({
+        to: this.salesInbox,
+        subject: `New ${FORM_LABELS[lead.form_type]}: ${lead.name}${lead.company ? ` (${lead.company})` : ''}`,
+        html: this.renderSalesEmail(lead),
+        text: this.renderSalesText(lead),
+        headers: { 'Reply-To': lead.email },
+      });
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+    if (result.success && !this.transport.delivers) {
+      result = { success: false, message: `Not delivered by the ${this.transport.name} transport` };
+    }
+
+    await this.pool.query(
+      `UPDATE leads
+       SET notified_at = CASE WHEN $2 THEN NOW() ELSE notified_at END,
+           notify_error = $3
+       WHERE id = $1`,
+      [lead.id, result.success, result.success ? null : (result.message || 'Unknown error')]
+    );
+
+    if (!result.success) {
+      console.error(`Lead notification failed for lead #${lead.id}:`, result.message);
+    }
+    return result;
+  }
+
+  /**
+   * Retry sales notifications that failed earlier (e.g. Mailgun outage)
+   */
+  async retryFailedNotifications(limit = 50) {
+    const result = await this.pool.query(`
+      SELECT * FROM leads
+      WHERE notified_at IS NULL AND notify_error IS NOT NULL
+      ORDER BY created_at ASC
+      LIMIT $1
+    `, [limit]);
+
+    let fixed = 0;
+    for (const lead of result.rows) {
+      const outcome = await this.notifySales(lead);
+      if (outcome.success) fixed++;
+    }
+    return { attempted: result.rows.length, fixed };
+  }
+
+  // ============ ADMIN QUERIES ============
+
+  /**
+   * Paginated lead list for the vault
+   */
+  async listLeads({ formType, status, search, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (formType) {
+      params.push(formType);
+      conditions.push(`l.form_type = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`l.status = $${params.length}`);
+    }
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(l.name ILIKE $${params.length} OR l.email ILIKE $${params.length} OR l.company ILIKE $${params.length})`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await this.pool.query(`SELECT COUNT(*)::int AS total FROM leads l ${where}`, params);
+
+    params.push(limit, offset);
+    const result = await this.pool.query(`
+      SELECT l.id, l.form_type, l.status, l.name, l.email, l.company, l.job_title, l.company_size,
+             l.page, l.landing_page, l.utm_source, l.utm_medium, l.utm_campaign, l.country,
+             l.notified_at, l.notify_error, l.created_at, u.username AS owner_username
+      FROM leads l
+      LEFT JOIN users u ON u.id = l.owner_id
+      ${where}
+      ORDER BY l.created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return { leads: result.rows, total: countResult.rows[0].total };
+  }
+
+  /**
+   * Per-form and per-source counts for the vault summary cards
+   */
+  async getSummary() {
+    const result = await this.pool.query(`
+      SELECT
+        COUNT(*)::int AS total,
+        COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '7 days')::int AS last_7_days,
+        COUNT(*) FILTER (WHERE form_type = 'demo')::int AS demo,
+        COUNT(*) FILTER (WHERE form_type = 'consultation')::int AS consultation,
+        COUNT(*) FILTER (WHERE form_type = 'pilot')::int AS pilot,
+        COUNT(*) FILTER (WHERE form_type = 'manual')::int AS manual
+      FROM leads
+    `);
+    const sources = await this.pool.query(`
+      SELECT COALESCE(utm_source, 'direct') AS source, COUNT(*)::int AS count
+      FROM leads
+      GROUP BY 1
+      ORDER BY count DESC
+      LIMIT 10
+    `);
+    return { ...result.rows[0], sources: sources.rows };
+  }
+
+  async getLead(id) {
+    const result = await this.pool.query('SELECT * FROM leads WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  // ============ EMAILS ============
+
+  describeLead(lead) {
+    return [
+      ['Form', FORM_LABELS[lead.form_type]],
+      ['Name', lead.name],
+      ['Email', lead.email],
+      ['Company', lead.company],
+      ['Role', lead.job_title],
+      ['Company size', lead.company_size],
+      ['Phone', lead.phone],
+      ...Object.entries(lead.details || {}).map(([key, value]) => [DETAIL_LABELS[key] || key, Array.isArray(value) ? value.join(', ') : value]),
+      ['Submitted on', lead.page],
+      ['Landing page', lead.landing_page],
+      ['Referrer', lead.referrer],
+      ['UTM', UTM_FIELDS.map(f => lead[f] && `${f.replace('utm_', '')}=${lead[f]}`).filter(Boolean).join(' ')],
+      ['Location', [lead.city, lead.country].filter(Boolean).join(', ')],
+      ['Visits before converting', lead.visit_count],
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+  }
+
+  renderSalesEmail(lead) {
+    const rows = this.describeLead(lead)
+      .map(([label, value]) => `
+        <tr>
+          <td style="padding: 4px 12px 4px 0; color: #888; vertical-align: top;">${escapeHtml(label)}</td>
+          <td style="padding: 4px 0;">${escapeHtml(value)}</td>
+        </tr>`)
+      .join('');
+
+    return `
+      <h2>New ${FORM_LABELS[lead.form_type]}</h2>
+      <table style="border-collapse: collapse; font-size: 14px;">${rows}</table>
+      ${lead.message ? `<h3>Message</h3><p style="white-space: pre-wrap;">${escapeHtml(lead.message)}</p>` : ''}
+      <p style="margin-top: 24px;">
+        <a href="${this.siteUrl}/vault-e9232b8eefbaa45e/leads">Open in Leads →</a>
+      </p>
+    `;
+  }
+
+  renderSalesText(lead) {
+    const lines = this.describeLead(lead).map(([label, value]) => `${label}: ${value}`);
+    if (lead.message) lines.push('', lead.message);
+    return lines.join('\n');
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+LeadsService.FORM_LABELS = FORM_LABELS;
+
+module.exports = LeadsService;
@@ -0,0 +1,48 @@
+/**
+ * Local Pages Service
+ *
+ * Public reads of the local SEO country and city pages
+ * (migrations/029_local_seo_pages.sql):
+ * 1. The LocalSEOManager writes one row per page when a country is set up;
+ *    setting it up again adds rows, so the newest row for a page_url wins
+ * 2. getPage() returns a page with the other pages of its country, which the
+ *    app links between (src/views/local-page.js)
+ */
+
+class LocalPagesService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   */
+  constructor({ pool }) {
+    this.pool = pool;
+  }
+
+  /**
+   * @param {string} path - Page URL, e.g. '/us' or '/us/new-york'
+   * @returns {Promise<Object|null>} { page, related } or null when no page has that URL
+   */
+  async getPage(path) {
+    const result = await this.pool.query(`
+      SELECT id, country_code, country_name, city, page_url,
+             meta_title, meta_description, h1_title, created_at, updated_at
+      FROM local_seo_pages
+      WHERE page_url = $1
+      ORDER BY id DESC
+      LIMIT 1
+    `, [path]);
+    const page = result.rows[0];
+    if (!page) return null;
+
+    const related = await this.pool.query(`
+      SELECT DISTINCT ON (page_url) city, page_url
+      FROM local_seo_pages
+      WHERE country_code = $1 AND page_url != $2
+      ORDER BY page_url, id DESC
+    `, [page.country_code, page.page_url]);
+
+    return { page, related: related.rows };
+  }
+}
+
+module.exports = LocalPagesService;
@@ -0,0 +1,110 @@
+/**
+ * Mail Transport Module
+ *
+ * Thin interface over the email provider so services never talk to
+ * Mailgun directly:
+ * - MailgunTransport: production transport backed by api/mailgun.js
+ * - MemoryTransport: local fake that records messages and list members
+ *
+ * Every transport implements:
+ *   addMember(email, name)   -> { success, message }
+ *   removeMember(email)      -> { success, message }
+ *   getMember(email)         -> { success, subscribed }
+ *   send(message)            -> { success, id }
+ * and says whether sent messages reach anyone (delivers); callers that
+ * record a delivery check it, since the fake "sends" without delivering.
+ */
+
+// ============ MAILGUN TRANSPORT ============
+
+class MailgunTransport {
+  constructor(client = require('../../../../api/mailgun')) {
+    this.name = 'mailgun';
+    this.delivers = true;
+    this.client = client;
+  }
+
+  addMember(email, name = '') {
+    return this.client.subscribe(email, name);
+  }
+
+  removeMember(email) {
+    return this.client.unsubscribe(email);
+  }
+
+  getMember(email) {
+    return this.client.getSubscriberStatus(email);
+  }
+
+  send(message) {
+    return this.client.sendMessage(message);
+  }
+}
+
+// ============ MEMORY TRANSPORT (LOCAL FAKE) ============
+
+class MemoryTransport {
+  constructor({ log = false } = {}) {
+    this.name = 'memory';
+    this.delivers = false;
+    this.log = log;
+    this.members = new Map();
+    this.sent = [];
+  }
+
+  async addMember(email, name = '') {
+    this.members.set(email.toLowerCase(), { address: email, name, subscribed: 'yes' });
+    return { success: true, message: 'Successfully subscribed to newsletter' };
+  }
+
+  async removeMember(email) {
+    this.members.delete(email.toLowerCase());
+    return { success: true, message: 'Successfully unsubscribed from newsletter' };
+  }
+
+  async getMember(email) {
+    const member = this.members.get(email.toLowerCase());
+    return { success: true, subscribed: member?.subscribed === 'yes', data: member };
+  }
+
+  async send(message) {
+    const id = `<memory-${this.sent.length + 1}@localhost>`;
+    this.sent.push({ id, ...message });
+    if (this.log) {
+      console.log(`📧 [memory transport] ${message.subject} → ${message.to}`);
+    }
+    return { success: true, id };
+  }
+
+  /**
+   * Most recent message sent to an address (test helper)
+   */
+  lastMessageTo(address) {
+    return [...this.sent].reverse().find(m => m.to === address) || null;
+  }
+}
+
+// ============ FACTORY ============
+
+/**
+ * Pick a transport from the environment.
+ * MAIL_TRANSPORT=memory forces the local fake; without Mailgun
+ * credentials we also fall back to it so dev servers never send mail.
+ * Production never gets the fake: confirmations, booking emails and lead
+ * alerts would be dropped silently, so the server refuses to start instead.
+ */
+function createMailTransport(env = process.env) {
+  if (env.MAIL_TRANSPORT === 'memory' || !env.MAILGUN_API_KEY) {
+    if (env.NODE_ENV === 'production') {
+      throw new Error('Mailgun is not configured: set MAILGUN_API_KEY (MAIL_TRANSPORT=memory is for development and tests only)');
+    }
+    return new MemoryTransport({ log: true });
+  }
+  return new MailgunTransport();
+}
+
+module.exports = {
+  MailgunTransport,
+  MemoryTransport,
+  createMailTransport,
+};
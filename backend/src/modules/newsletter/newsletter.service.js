@@ -0,0 +1,372 @@
+/**
+ * Newsletter Service
+ *
+ * Double opt-in subscriptions mirrored between the local
+ * newsletter_subscribers table and the Mailgun mailing list:
+ * 1. requestSubscription() stores a pending row and emails a signed confirm link
+ * 2. confirm() verifies the token, adds the member to Mailgun, marks subscribed
+ * 3. unsubscribe() accepts a signed one-click token only; an address typed
+ *    into the form gets that link emailed (sendUnsubscribeLink()), so nobody
+ *    can unsubscribe someone else
+ */
+
+const CONFIRM_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000;        // 7 days
+const UNSUBSCRIBE_TOKEN_TTL = 365 * 24 * 60 * 60 * 1000;  // 1 year
+const RESEND_COOLDOWN = 5 * 60 * 1000;                    // 5 minutes
+
+class NewsletterService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Object} deps.transport - Mail transport (see modules/mail/mail-transport)
+   * @param {Object} deps.tokenService - SignedTokenService instance
+   * @param {string} deps.siteUrl - Public site URL used in email links
+   */
+  constructor({ pool, transport, tokenService, siteUrl }) {
+    this.pool = pool;
+    this.transport = transport;
+    this.tokens = tokenService;
+    this.siteUrl = siteUrl.replace(/\/$/, '');
+  }
+
+  normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  // ============ TOKENS & LINKS ============
+
+  confirmToken(email) {
+    return this.tokens.sign('newsletter-confirm', { e: email }, CONFIRM_TOKEN_TTL);
+  }
+
+  unsubscribeToken(email) {
+    return this.tokens.sign('newsletter-unsubscribe', { e: email }, UNSUBSCRIBE_TOKEN_TTL);
+  }
+
+  confirmUrl(email) {
+    return `${this.siteUrl}/api/mailgun/confirm?token=${encodeURIComponent(this.confirmToken(email))}`;
+  }
+
+  unsubscribeUrl(email) {
+    return `${this.siteUrl}/unsubscribe?token=${encodeURIComponent(this.unsubscribeToken(email))}`;
+  }
+
+  /**
+   * RFC 8058 one-click endpoint used in the List-Unsubscribe header
+   */
+  oneClickUnsubscribeUrl(email) {
+    return `${this.siteUrl}/api/mailgun/unsubscribe?token=${encodeURIComponent(this.unsubscribeToken(email))}`;
+  }
+
+  /**
+   * Resolve the email address behind an unsubscribe token
+   * @returns {string|null}
+   */
+  verifyUnsubscribeToken(token) {
+    const payload = this.tokens.verify('newsletter-unsubscribe', token);
+    return payload ? payload.e : null;
+  }
+
+  // ============ SUBSCRIBE (STEP 1) ============
+
+  /**
+   * Store a pending subscriber and send the confirmation email
+   */
+  async requestSubscription(rawEmail, { name = '', source = null, ip = null, userAgent = null } = {}) {
+    const email = this.normalizeEmail(rawEmail);
+
+    const existing = await this.pool.query(
+      'SELECT status, confirm_sent_at FROM newsletter_subscribers WHERE email = $1',
+      [email]
+    );
+    const current = existing.rows[0];
+
+    if (current?.status === 'subscribed') {
+      return { success: true, status: 'subscribed', message: 'You are already subscribed to our newsletter.' };
+    }
+
+    // Don't let the form be used to spam an inbox with confirmation emails
+    if (current?.status === 'pending' && current.confirm_sent_at &&
+        Date.now() - new Date(current.confirm_sent_at).getTime() < RESEND_COOLDOWN) {
+      return { success: true, status: 'pending', message: 'Please check your inbox to confirm your subscription.' };
+    }
+
+    await this.pool.query(`
+      INSERT INTO newsletter_subscribers (email, name, status, source, signup_ip, signup_user_agent, confirm_sent_at)
+      VALUES ($1, $2, 'pending', $3, $4, $5, NOW())
+      ON CONFLICT (email) DO UPDATE SET
+        name = COALESCE(NULLIF(EXCLUDED.name, ''), newsletter_subscribers.name),
+        status = 'pending',
+        source = COALESCE(EXCLUDED.source, newsletter_subscribers.source),
+        signup_ip = EXCLUDED.signup_ip,
+        signup_user_agent = EXCLUDED.signup_user_agent,
+        confirm_sent_at = NOW()
+    `, [email, name, source, ip, userAgent]);
+
+    const sent = await this.transport.send({
+      to: email,
+      subject: 'Confirm your FinACEverse newsletter subscription',
+      html: this.renderConfirmEmail(email, name),
+      text: `Confirm your subscription to Cognitive Insights: ${this.confirmUrl(email)}\n\nIf you didn't sign up, ignore this email.`,
+    });
+
+    if (!sent.success) {
+      return { success: false, message: 'Could not send confirmation email. Please try again later.' };
+    }
+
+    return { success: true, status: 'pending', message: 'Please check your inbox to confirm your subscription.' };
+  }
+
+  // ============ CONFIRM (STEP 2) ============
+
+  /**
+   * Confirm a subscription from the emailed link
+   * @returns {Object} { success, status, email }
+   */
+  async confirm(token) {
+    const payload = this.tokens.verify('newsletter-confirm', token);
+    if (!payload) {
+      return { success: false, message: 'This confirmation link is invalid or has expired.' };
+    }
+
+    const email = payload.e;
+    const result = await this.pool.query(
+      'SELECT name, status FROM newsletter_subscribers WHERE email = $1',
+      [email]
+    );
+    const subscriber = result.rows[0];
+
+    if (!subscriber) {
+      return { success: false, message: 'Subscription request not found.' };
+    }
+    if (subscriber.status === 'subscribed') {
+      return { success: true, status: 'subscribed', email };
+    }
+    // An unsubscribe after the confirm email went out wins over an old link
+    if (subscriber.status === 'unsubscribed') {
+      return { success: false, message: 'This address has unsubscribed. Please sign up again.' };
+    }
+
+    await this.pool.query(
+      `UPDATE newsletter_subscribers SET status = 'subscribed', confirmed_at = NOW() WHERE email = $1`,
+      [email]
+    );
+
+    await this.syncMember(email, () => this.transport.addMember(email, subscriber.name || ''));
+    await this.sendWelcome(email, subscriber.name);
+
+    return { success: true, status: 'subscribed', email };
+  }
+
+  // ============ UNSUBSCRIBE ============
+
+  /**
+   * Unsubscribe by the signed token from an email link
+   */
+  async unsubscribe({ token }) {
+    const email = token ? this.verifyUnsubscribeToken(token) : null;
+    if (!email) {
+      return { success: false, message: 'This unsubscribe link is invalid or has expired.' };
+    }
+
+    await this.pool.query(`
+      INSERT INTO newsletter_subscribers (email, status, unsubscribed_at)
+      VALUES ($1, 'unsubscribed', NOW())
+      ON CONFLICT (email) DO UPDATE SET status = 'unsubscribed', unsubscribed_at = NOW()
+    `, [email]);
+
+    await this.syncMember(email, () => this.transport.removeMember(email));
+
+    return { success: true, message: 'You have been successfully unsubscribed from our newsletter.' };
+  }
+
+  /**
+   * Email an unsubscribe link to an address entered on the Unsubscribe form.
+   * The answer is the same whether or not the address is on the list.
+   */
+  async sendUnsubscribeLink(rawEmail) {
+    const email = this.normalizeEmail(rawEmail);
+    const current = await this.getStatus(email);
+
+    if (current.success && ['subscribed', 'pending'].includes(current.status)) {
+      const unsubscribeUrl = this.unsubscribeUrl(email);
+      const sent = await this.transport.send({
+        to: email,
+        subject: 'Unsubscribe from Cognitive Insights',
+        html: this.renderUnsubscribeEmail(unsubscribeUrl),
+        text: `To stop receiving Cognitive Insights from FinACEverse, open this link: ${unsubscribeUrl}\n\nIf you didn't ask to unsubscribe, ignore this email.`,
+      });
+      if (!sent.success) {
+        return { success: false, message: 'Could not send the unsubscribe email. Please try again later.' };
+      }
+    }
+
+    return {
+      success: true,
+      status: 'link_sent',
+      message: 'If this address is subscribed, we have emailed it a link to unsubscribe.',
+    };
+  }
+
+  // ============ STATUS ============
+
+  /**
+   * Subscriber status from the local mirror, falling back to Mailgun
+   * for addresses that pre-date the table
+   */
+  async getStatus(rawEmail) {
+    const email = this.normalizeEmail(rawEmail);
+    const result = await this.pool.query(
+      'SELECT status FROM newsletter_subscribers WHERE email = $1',
+      [email]
+    );
+
+    if (result.rows.length > 0) {
+      const { status } = result.rows[0];
+      return { success: true, status, subscribed: status === 'subscribed' };
+    }
+
+    const remote = await this.transport.getMember(email);
+    if (!remote.success) {
+      return { success: false, message: remote.message };
+    }
+    return { success: true, status: remote.subscribed ? 'subscribed' : 'none', subscribed: remote.subscribed };
+  }
+
+  /**
+   * Describe an unsubscribe token for the Unsubscribe view
+   * (masked address so a forwarded link doesn't leak the full email)
+   */
+  async describeUnsubscribeToken(token) {
+    const email = this.verifyUnsubscribeToken(token);
+    if (!email) {
+      return { success: false, valid: false, message: 'This unsubscribe link is invalid or has expired.' };
+    }
+    const status = await this.getStatus(email);
+    return {
+      success: true,
+      valid: true,
+      email: this.maskEmail(email),
+      subscribed: status.subscribed === true,
+    };
+  }
+
+  maskEmail(email) {
+    const [local, domain] = email.split('@');
+    const visible = local.slice(0, Math.min(2, local.length));
+    return `${visible}${'*'.repeat(Math.max(local.length - visible.length, 1))}@${domain}`;
+  }
+
+  // ============ MAILGUN SYNC ============
+
+  /**
+   * Run a list operation against the transport and record the outcome
+   */
+  async syncMember(email, operation) {
+    let result;
+    try {
+      result = await operation();
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+
+    await this.pool.query(
+      `UPDATE newsletter_subscribers
+       SET mailgun_synced_at = CASE WHEN $2 THEN NOW() ELSE mailgun_synced_at END,
+           mailgun_error = $3
+       WHERE email = $1`,
+      [email, result.success, result.success ? null : (result.message || 'Unknown error')]
+    );
+
+    if (!result.success) {
+      console.error(`Newsletter sync failed for ${this.maskEmail(email)}:`, result.message);
+    }
+    return result;
+  }
+
+  /**
+   * Retry list operations that failed earlier (e.g. Mailgun outage)
+   */
+  async retryFailedSyncs(limit = 50) {
+    const result = await this.pool.query(`
+      SELECT email, name, status FROM newsletter_subscribers
+      WHERE mailgun_error IS NOT NULL AND status IN ('subscribed', 'unsubscribed')
+      ORDER BY updated_at ASC
+      LIMIT $1
+    `, [limit]);
+
+    let fixed = 0;
+    for (const row of result.rows) {
+      const outcome = await this.syncMember(row.email, () => (
+        row.status === 'subscribed'
+          ? this.transport.addMember(row.email, row.name || '')
+          : this.transport.removeMember(row.email)
+      ));
+      if (outcome.success) fixed++;
+    }
+    return { attempted: result.rows.length, fixed };
+  }
+
+  // ============ EMAILS ============
+
+  async sendWelcome(email, name) {
+    const unsubscribeUrl = this.unsubscribeUrl(email);
+    return this.transport.send({
+      to: email,
+      subject: 'Welcome to Cognitive Insights',
+      html: `
+        <h1>Welcome${name ? `, ${escapeHtml(name)}` : ''}!</h1>
+        <p>You're now subscribed to Cognitive Insights from FinACEverse.</p>
+        <p>Expect research on cognitive finance, AI automation and compliance — no spam.</p>
+        <p style="font-size: 12px; color: #888;">
+          <a href="${unsubscribeUrl}">Unsubscribe</a> at any time.
+        </p>
+      `,
+      text: `You're now subscribed to Cognitive Insights from FinACEverse.\n\nUnsubscribe: ${unsubscribeUrl}`,
+      headers: this.listUnsubscribeHeaders(email),
+    });
+  }
+
+  /**
+   * Headers for one-click unsubscribe in Gmail/Outlook (RFC 8058)
+   */
+  listUnsubscribeHeaders(email) {
+    return {
+      'List-Unsubscribe': `<${this.oneClickUnsubscribeUrl(email)}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    };
+  }
+
+  renderUnsubscribeEmail(unsubscribeUrl) {
+    return `
+      <h1>Unsubscribe from Cognitive Insights</h1>
+      <p>We received a request to unsubscribe this address from Cognitive Insights from FinACEverse.</p>
+      <p style="margin: 24px 0;">
+        <a href="${unsubscribeUrl}" style="background: #00d4ff; color: #000; padding: 12px 24px; text-decoration: none; border-radius: 5px;">Unsubscribe →</a>
+      </p>
+      <p style="font-size: 12px; color: #888;">If you didn't ask to unsubscribe, you can ignore this email and stay subscribed.</p>
+    `;
+  }
+
+  renderConfirmEmail(email, name) {
+    return `
+      <h1>Confirm your subscription</h1>
+      <p>Hi${name ? ` ${escapeHtml(name)}` : ''},</p>
+      <p>Please confirm that you want to receive Cognitive Insights from FinACEverse.</p>
+      <p style="margin: 24px 0;">
+        <a href="${this.confirmUrl(email)}" style="background: #00d4ff; color: #000; padding: 12px 24px; text-decoration: none; border-radius: 5px;">Confirm Subscription →</a>
+      </p>
+      <p style="font-size: 12px; color: #888;">This link expires in 7 days. If you didn't sign up, you can ignore this email.</p>
+    `;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = NewsletterService;
@@ -0,0 +1,267 @@
+/**
+ * Prerender Service
+ *
+ * Serves crawlers and link unfurlers a rendered snapshot of the React app,
+ * so titles, meta tags, JSON-LD and blog content are visible without JS:
+ * 1. Public paths (from the sitemaps: static pages, blog pages and the local
+ *    SEO country and city pages) are rendered with Puppeteer against this
+ *    server and stored as HTML files in cacheDir
+ * 2. middleware() answers bot user agents from those files, rendering on
+ *    first request and re-rendering in the background once a file is stale
+ * 3. refresh() re-renders pages after CMS changes and drops snapshots of
+ *    pages that no longer exist
+ *
+ * Renders run one at a time through a single browser that is closed again
+ * when the queue is empty.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Same-origin requests from the renderer carry this header: they skip the
+// prerender middleware and aren't counted as visits
+const PRERENDER_HEADER = 'x-prerender';
+
+const BOT_USER_AGENTS = /googlebot|google-inspectiontool|bingbot|yandex|baiduspider|duckduckbot|slurp|applebot|petalbot|facebookexternalhit|facebot|meta-externalagent|twitterbot|linkedinbot|slackbot|slack-imgproxy|discordbot|telegrambot|whatsapp|skypeuripreview|pinterest|redditbot|embedly|quora link preview|vkshare|tumblr|bitlybot|mastodon|w3c_validator|ia_archiver|semrushbot|ahrefsbot|finaceverse-seo-bot/i;
+
+// Analytics, tracking beacons and experiment assignment would count the renderer as a visitor
+const BLOCKED_REQUESTS = [
+  /google-analytics\.com|googletagmanager\.com|doubleclick\.net|clarity\.ms|hotjar\.com/,
+  /\/api\/(track-|predict-route|analytics)/,
+  /\/api\/experiments\/\d+\/(assign|convert)/,
+  /\/socket\.io\//,
+];
+
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const PATHS_TTL_MS = 5 * 60 * 1000;
+const RENDER_TIMEOUT_MS = 30000;
+// How long a bot request waits for a first render before getting the plain app
+const FIRST_RENDER_WAIT_MS = 20000;
+
+const isBot = (userAgent) => BOT_USER_AGENTS.test(userAgent || '');
+
+// '/blog/' style prefixes match every page below them; anything else is an exact path
+const matchesAny = (urlPath, prefixes) => !prefixes || prefixes.some(prefix => (
+  prefix.endsWith('/') ? urlPath.startsWith(prefix) : urlPath === prefix
+));
+
+const normalizePath = (urlPath) => (urlPath.length > 1 ? urlPath.replace(/\/+$/, '') : urlPath);
+
+class PrerenderService {
+  /**
+   * @param {Object} deps
+   * @param {string} deps.origin - Where the renderer loads pages from (this server)
+   * @param {string} deps.cacheDir - Directory holding the HTML snapshots
+   * @param {Function} deps.listPaths - () => Promise<string[]> of public paths to prerender
+   * @param {boolean} [deps.enabled=true] - Off: middleware passes through, refresh() does nothing
+   */
+  constructor({ origin, cacheDir, listPaths, enabled = true }) {
+    this.origin = origin.replace(/\/+$/, '');
+    this.cacheDir = cacheDir;
+    this.listPaths = listPaths;
+    this.enabled = enabled;
+
+    this.browser = null;
+    this.queue = Promise.resolve();
+    this.queued = new Map();
+    this.paths = null;
+  }
+
+  // ============ MIDDLEWARE ============
+
+  shouldPrerender(req) {
+    return this.enabled
+      && (req.method === 'GET' || req.method === 'HEAD')
+      && !req.get(PRERENDER_HEADER)
+      && !req.path.startsWith('/api/')
+      // Files (/logo.png, /sitemap.xml, /static/js/...) are served as they are
+      && !path.extname(req.path)
+      // Preview links show unpublished content, which snapshots never have
+      && !req.query.preview
+      && isBot(req.get('user-agent'));
+  }
+
+  middleware() {
+    return async (req, res, next) => {
+      if (!this.shouldPrerender(req)) return next();
+
+      try {
+        const urlPath = normalizePath(req.path);
+        const paths = await this.publicPaths();
+        if (!paths.has(urlPath)) return next();
+
+        let snapshot = await this.readSnapshot(urlPath);
+        if (!snapshot) {
+          snapshot = await Promise.race([
+            this.render(urlPath).catch(() => null),
+            new Promise(resolve => setTimeout(() => resolve(null), FIRST_RENDER_WAIT_MS)),
+          ]);
+        } else if (Date.now() - snapshot.renderedAt.getTime() > MAX_AGE_MS) {
+          this.render(urlPath).catch(() => {});
+        }
+        if (!snapshot) return next();
+
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        res.set('Vary', 'User-Agent');
+        res.set('X-Prerendered-At', snapshot.renderedAt.toISOString());
+        res.send(snapshot.html);
+      } catch (error) {
+        console.error('Prerender serve error:', error.message);
+        next();
+      }
+    };
+  }
+
+  async publicPaths() {
+    if (!this.paths || this.paths.expiresAt < Date.now()) {
+      const paths = await this.listPaths();
+      this.paths = { set: new Set(paths.map(normalizePath)), expiresAt: Date.now() + PATHS_TTL_MS };
+    }
+    return this.paths.set;
+  }
+
+  // ============ REFRESH ============
+
+  /**
+   * Re-render cached pages after content changed. Never rejects, so callers
+   * can fire and forget.
+   * @param {string[]} [prefixes] - Paths to refresh ('/blog/' covers every post); all when omitted
+   */
+  async refresh(prefixes = null) {
+    if (!this.enabled) return;
+    try {
+      this.paths = null;
+      const paths = [...await this.publicPaths()].filter(urlPath => matchesAny(urlPath, prefixes));
+
+      // Trashed posts, renamed slugs and removed city pages
+      const stale = (await this.listSnapshots())
+        .filter(urlPath => matchesAny(urlPath, prefixes) && !paths.includes(urlPath));
+      await Promise.all(stale.map(urlPath => fs.promises.rm(this.snapshotFile(urlPath), { force: true })));
+
+      await Promise.all(paths.map(urlPath => this.render(urlPath).catch(() => {})));
+    } catch (error) {
+      console.error('Prerender refresh error:', error.message);
+    }
+  }
+
+  // ============ RENDERING ============
+
+  /**
+   * Queue a render. A path already waiting in the queue isn't queued twice.
+   */
+  render(urlPath) {
+    if (this.queued.has(urlPath)) return this.queued.get(urlPath);
+
+    const job = this.queue.then(() => {
+      this.queued.delete(urlPath);
+      return this.renderNow(urlPath);
+    });
+    this.queued.set(urlPath, job);
+    this.queue = job
+      .catch(error => console.warn(`Prerender ${urlPath} failed:`, error.message))
+      .then(() => this.closeBrowserIfIdle());
+    return job;
+  }
+
+  async renderNow(urlPath) {
+    const browser = await this.getBrowser();
+    const page = await browser.newPage();
+    try {
+      await page.setViewport({ width: 1280, height: 900 });
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        const url = request.url();
+        if (BLOCKED_REQUESTS.some(pattern => pattern.test(url))) {
+          return request.abort();
+        }
+        if (url.startsWith(this.origin)) {
+          return request.continue({ headers: { ...request.headers(), [PRERENDER_HEADER]: '1' } });
+        }
+        return request.continue();
+      });
+
+      const response = await page.goto(`${this.origin}${urlPath}`, { waitUntil: 'networkidle0', timeout: RENDER_TIMEOUT_MS });
+      if (!response || !response.ok()) {
+        throw new Error(`HTTP ${response ? response.status() : 'no response'}`);
+      }
+
+      // Bots get markup only; JSON-LD is the one kind of script worth keeping
+      const html = await page.evaluate(() => {
+        document.querySelectorAll('script:not([type="application/ld+json"]), link[rel="modulepreload"], link[rel="preload"][as="script"]')
+          .forEach(node => node.remove());
+        return `<!DOCTYPE html>\n${document.documentElement.outerHTML}`;
+      });
+
+      await this.writeSnapshot(urlPath, html);
+      return { html, renderedAt: new Date() };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  async getBrowser() {
+    if (!this.browser) {
+      // Loaded on first render so servers that never prerender don't pay for it
+      const puppeteer = require('puppeteer');
+      this.browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+      });
+      this.browser.on('disconnected', () => {
+        this.browser = null;
+      });
+    }
+    return this.browser;
+  }
+
+  async closeBrowserIfIdle() {
+    if (this.queued.size === 0 && this.browser) {
+      const browser = this.browser;
+      this.browser = null;
+      await browser.close().catch(() => {});
+    }
+  }
+
+  // ============ SNAPSHOT FILES ============
+
+  snapshotFile(urlPath) {
+    return path.join(this.cacheDir, `${encodeURIComponent(urlPath)}.html`);
+  }
+
+  async readSnapshot(urlPath) {
+    try {
+      const file = this.snapshotFile(urlPath);
+      const [html, stats] = await Promise.all([fs.promises.readFile(file, 'utf8'), fs.promises.stat(file)]);
+      return { html, renderedAt: stats.mtime };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeSnapshot(urlPath, html) {
+    await fs.promises.mkdir(this.cacheDir, { recursive: true });
+    // Write then rename, so a bot never reads half a file
+    const file = this.snapshotFile(urlPath);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, html);
+    await fs.promises.rename(temp, file);
+  }
+
+  async listSnapshots() {
+    try {
+      const files = await fs.promises.readdir(this.cacheDir);
+      return files
+        .filter(file => file.endsWith('.html'))
+        .map(file => decodeURIComponent(file.slice(0, -'.html'.length)));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+PrerenderService.HEADER = PRERENDER_HEADER;
+PrerenderService.isBot = isBot;
+
+module.exports = PrerenderService;
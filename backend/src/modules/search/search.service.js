@@ -0,0 +1,314 @@
+/**
+ * Search Service
+ *
+ * Site search behind /api/search (see migrations/015_search.sql):
+ * 1. Blog posts, products and page content are matched with PostgreSQL
+ *    full-text search, prefix-matching every word so results show while typing
+ * 2. Results are ranked with ts_rank_cd and carry highlighted snippets
+ * 3. Facets count results per type and per category
+ * 4. Misspelled words get a "did you mean" suggestion from search_vocabulary
+ *    (trigram similarity)
+ * 5. Searches that find nothing are logged to search_misses as content gaps
+ */
+
+const RESULT_TYPES = ['post', 'product', 'page'];
+
+// Matches fetched per type before ranking, faceting and paging
+const MAX_MATCHES_PER_TYPE = 50;
+const MAX_QUERY_WORDS = 8;
+
+// page_content pages that are public, and where they live
+const PAGES = {
+  home: { path: '/', title: 'Home' },
+  global: { path: '/', title: 'Home' },
+  modules: { path: '/modules', title: 'Modules' },
+  'cognitive-finance': { path: '/cognitive-finance', title: 'Cognitive Finance' },
+  'tailored-pilots': { path: '/tailored-pilots', title: 'Pilot Programs' },
+  'expert-consultation': { path: '/expert-consultation', title: 'Expert Consultation' },
+  'request-demo': { path: '/request-demo', title: 'Request a Demo' },
+  'compliance-privacy': { path: '/compliance-privacy', title: 'Compliance & Privacy' },
+};
+
+// ts_headline wraps matches in these; they become <mark> once the snippet is escaped
+const MARK_START = '\u0002';
+const MARK_END = '\u0003';
+const HEADLINE_OPTIONS = `StartSel="${MARK_START}", StopSel="${MARK_END}", MaxWords=30, MinWords=12, ShortWord=2, MaxFragments=2, FragmentDelimiter=" … "`;
+
+const escapeHtml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const highlight = (snippet) => escapeHtml(snippet)
+  .split(MARK_START).join('<mark>')
+  .split(MARK_END).join('</mark>');
+
+/**
+ * Lowercase letter/digit words of a query, e.g. 'SOC-2 "audit"' -> ['soc', '2', 'audit']
+ */
+const parseQuery = (query) => (String(query || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .slice(0, MAX_QUERY_WORDS)
+  .map(word => word.slice(0, 40));
+
+// Words only contain letters and digits, so they're safe inside to_tsquery syntax
+const toPrefixQuery = (words) => words.map(word => `${word}:*`).join(' & ');
+
+const countBy = (items, key) => Object.entries(items.reduce((counts, item) => {
+  if (item[key]) counts[item[key]] = (counts[item[key]] || 0) + 1;
+  return counts;
+}, {}))
+  .map(([value, count]) => ({ [key]: value, count }))
+  .sort((a, b) => b.count - a.count);
+
+class SearchService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   */
+  constructor({ pool }) {
+    this.pool = pool;
+  }
+
+  // ============ SEARCH ============
+
+  /**
+   * @param {Object} params
+   * @param {string} params.q - What the visitor typed
+   * @param {string} [params.type] - 'post' | 'product' | 'page'
+   * @param {string} [params.category] - Post category or product tag
+   * @param {number} [params.limit=10]
+   * @param {number} [params.offset=0]
+   */
+  async search({ q, type = null, category = null, limit = 10, offset = 0 }) {
+    const words = parseQuery(q);
+    const query = words.join(' ');
+    if (words.length === 0) {
+      return { query, total: 0, results: [], facets: { types: [], categories: [] }, suggestions: [] };
+    }
+
+    const tsquery = toPrefixQuery(words);
+    const [posts, products, pages] = await Promise.all([
+      this.searchPosts(tsquery),
+      this.searchProducts(tsquery),
+      this.searchPages(tsquery),
+    ]);
+    const matches = [...posts, ...products, ...pages].sort((a, b) => b.rank - a.rank);
+
+    // Each facet is counted with the other filter applied
+    const inType = matches.filter(match => !type || match.type === type);
+    const inCategory = matches.filter(match => !category || match.category === category);
+    const filtered = inType.filter(match => !category || match.category === category);
+
+    const suggestions = matches.length < 3 ? await this.suggest(words) : [];
+    if (matches.length === 0) {
+      await this.logMiss(query, suggestions[0]);
+    }
+
+    return {
+      query,
+      total: filtered.length,
+      results: filtered.slice(offset, offset + limit).map(({ rank, ...result }) => result),
+      facets: {
+        types: countBy(inCategory, 'type'),
+        categories: countBy(inType, 'category'),
+      },
+      suggestions,
+    };
+  }
+
+  async searchPosts(tsquery) {
+    const result = await this.pool.query(`
+      WITH q AS (SELECT to_tsquery('english', $1) AS query)
+      SELECT p.id, p.slug, p.title, p.category, p.published_at, p.image_url,
+             ts_rank_cd(blog_post_search_vector(p.title, p.excerpt, p.category, p.meta_keywords, p.content), q.query) AS rank,
+             ts_headline(
+               'english',
+               coalesce(p.excerpt, '') || ' ' || regexp_replace(coalesce(p.content, ''), '<[^>]*>|[#*_\`>|]+', ' ', 'g'),
+               q.query,
+               $2
+             ) AS snippet
+      FROM blog_posts p, q
+      WHERE p.status = 'published' AND p.deleted_at IS NULL
+        AND blog_post_search_vector(p.title, p.excerpt, p.category, p.meta_keywords, p.content) @@ q.query
+      ORDER BY rank DESC, p.published_at DESC
+      LIMIT $3
+    `, [tsquery, HEADLINE_OPTIONS, MAX_MATCHES_PER_TYPE]);
+
+    return result.rows.map(row => ({
+      type: 'post',
+      id: row.id,
+      title: row.title,
+      url: `/blog/${row.slug}`,
+      snippet: highlight(row.snippet),
+      category: row.category || null,
+      date: row.published_at,
+      image: row.image_url || null,
+      rank: Number(row.rank),
+    }));
+  }
+
+  async searchProducts(tsquery) {
+    // Dark-launched products (behind a feature flag) stay out of search
+    const result = await this.pool.query(`
+      WITH q AS (SELECT to_tsquery('english', $1) AS query)
+      SELECT p.id, p.slug, p.name, p.tag, p.image_url,
+             ts_rank_cd(product_search_vector(p.name, p.tagline, p.tag, p.short_description, p.description, p.features), q.query) AS rank,
+             ts_headline(
+               'english',
+               regexp_replace(concat_ws(' ', p.tagline, p.short_description, p.description), '<[^>]*>', ' ', 'g'),
+               q.query,
+               $2
+             ) AS snippet
+      FROM products p, q
+      WHERE p.feature_flag IS NULL
+        AND product_search_vector(p.name, p.tagline, p.tag, p.short_description, p.description, p.features) @@ q.query
+      ORDER BY rank DESC, p.display_order ASC
+      LIMIT $3
+    `, [tsquery, HEADLINE_OPTIONS, MAX_MATCHES_PER_TYPE]);
+
+    // Products don't have pages of their own - they're listed on /modules
+    return result.rows.map(row => ({
+      type: 'product',
+      id: row.id,
+      title: row.name,
+      url: '/modules',
+      snippet: highlight(row.snippet),
+      category: row.tag || null,
+      date: null,
+      image: row.image_url || null,
+      rank: Number(row.rank),
+    }));
+  }
+
+  async searchPages(tsquery) {
+    // Best matching content row per page
+    const result = await this.pool.query(`
+      WITH q AS (SELECT to_tsquery('english', $1) AS query),
+      matches AS (
+        SELECT c.page,
+               ts_rank_cd(to_tsvector('english', coalesce(page_content_search_text(c.content_value, c.content_type), '')), q.query) AS rank,
+               ts_headline('english', coalesce(page_content_search_text(c.content_value, c.content_type), ''), q.query, $2) AS snippet
+        FROM page_content c, q
+        WHERE c.page = ANY($3)
+          AND to_tsvector('english', coalesce(page_content_search_text(c.content_value, c.content_type), '')) @@ q.query
+      )
+      SELECT DISTINCT ON (page) page, rank, snippet
+      FROM matches
+      ORDER BY page, rank DESC
+    `, [tsquery, HEADLINE_OPTIONS, Object.keys(PAGES)]);
+
+    // 'home' and 'global' are the same page
+    const byPath = new Map();
+    result.rows.forEach(row => {
+      const page = PAGES[row.page];
+      const match = {
+        type: 'page',
+        id: page.path,
+        title: page.title,
+        url: page.path,
+        snippet: highlight(row.snippet),
+        category: null,
+        date: null,
+        image: null,
+        rank: Number(row.rank),
+      };
+      if (!byPath.has(page.path) || byPath.get(page.path).rank < match.rank) {
+        byPath.set(page.path, match);
+      }
+    });
+    return [...byPath.values()];
+  }
+
+  // ============ SUGGESTIONS ============
+
+  /**
+   * "Did you mean" for words no indexed content starts with
+   * @returns {Promise<string[]>} Zero or one corrected query
+   */
+  async suggest(words) {
+    try {
+      const result = await this.pool.query(`
+        SELECT term,
+               EXISTS (SELECT 1 FROM search_vocabulary v WHERE v.word LIKE term || '%') AS known,
+               (
+                 SELECT v.word FROM search_vocabulary v
+                 WHERE v.word % term
+                 ORDER BY similarity(v.word, term) DESC, v.ndoc DESC
+                 LIMIT 1
+               ) AS closest
+        FROM unnest($1::text[]) AS term
+      `, [words]);
+
+      const corrections = new Map(result.rows
+        .filter(row => !row.known && row.closest && row.term.length >= 3)
+        .map(row => [row.term, row.closest]));
+      if (corrections.size === 0) return [];
+      return [words.map(word => corrections.get(word) || word).join(' ')];
+    } catch (error) {
+      // Vocabulary not built yet (migration pending): no suggestions
+      if (error.code === '42P01') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild the suggestion vocabulary after content changes. Never rejects,
+   * so callers can fire and forget.
+   */
+  async refreshVocabulary() {
+    try {
+      await this.pool.query('REFRESH MATERIALIZED VIEW CONCURRENTLY search_vocabulary');
+    } catch (error) {
+      console.warn('Search vocabulary refresh skipped:', error.message);
+    }
+  }
+
+  // ============ CONTENT GAPS ============
+
+  async logMiss(query, suggestion = null) {
+    if (query.length < 2) return;
+    try {
+      await this.pool.query(`
+        INSERT INTO search_misses (query, suggestion)
+        VALUES ($1, $2)
+        ON CONFLICT (query) DO UPDATE SET
+          searches = search_misses.searches + 1,
+          suggestion = EXCLUDED.suggestion,
+          last_searched_at = NOW()
+      `, [query.slice(0, 200), suggestion ? suggestion.slice(0, 200) : null]);
+    } catch (error) {
+      console.warn('Search miss not logged:', error.message);
+    }
+  }
+
+  /**
+   * Zero-result searches, most searched first
+   * @param {Object} params
+   * @param {number} [params.days=90] - Only searches made within this many days
+   * @param {number} [params.limit=100]
+   */
+  async listMisses({ days = 90, limit = 100 } = {}) {
+    const result = await this.pool.query(`
+      SELECT query, searches, suggestion, first_searched_at, last_searched_at
+      FROM search_misses
+      WHERE last_searched_at >= NOW() - make_interval(days => $1)
+      ORDER BY searches DESC, last_searched_at DESC
+      LIMIT $2
+    `, [days, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Dismiss a gap once content covers it
+   */
+  async deleteMiss(query) {
+    const result = await this.pool.query('DELETE FROM search_misses WHERE query = $1 RETURNING query', [query]);
+    return result.rows[0] || null;
+  }
+}
+
+SearchService.RESULT_TYPES = RESULT_TYPES;
+SearchService.parseQuery = parseQuery;
+
+module.exports = SearchService;
@@ -0,0 +1,494 @@
+/**
+ * Redirect Service
+ *
+ * Redirect rules for the public site (see migrations/024_redirects.sql):
+ * 1. middleware() answers page requests that match a rule with a 301/302
+ *    before prerendering or the app shell see them, counting hits
+ * 2. Exact rules match one path; pattern rules use * wildcards that the
+ *    target references as $1, $2...
+ * 3. Rules never chain or loop: a new rule pointing at another rule's source
+ *    is pointed at the final target instead, rules pointing at the new rule's
+ *    source are moved on to its target, and a rule that would lead back to
+ *    its own source is refused. Serving follows exact rules to the end
+ *    anyway, and gives up on a loop, in case edits race.
+ * 4. Renaming a published post or a product adds a rule from its old URL
+ *    (blog.service.js; product saves in server.js). A product's URL is
+ *    /modules/:slug, which shows /modules scrolled to its card
+ * 5. Paths visitors hit that don't exist are logged (POST /api/track-404 from
+ *    the 404 page) with redirect suggestions: the public paths whose slug is
+ *    closest (trigram similarity)
+ *
+ * Rules are read through a short in-memory cache. Writes on this instance
+ * clear it immediately; other instances pick changes up within CACHE_TTL.
+ */
+
+const CACHE_TTL = 15 * 1000;
+
+const STATUS_CODES = [301, 302];
+const MATCH_TYPES = ['exact', 'pattern'];
+
+// Redirects followed when serving one request
+const MAX_HOPS = 5;
+
+// Suggestions per logged path, and how close a slug must be to be one
+const MAX_SUGGESTIONS = 3;
+const MIN_SIMILARITY = 0.3;
+
+// Rules added when content is renamed, and the note they carry
+const SLUG_ORIGINS = {
+  blog_slug: 'Post slug changed',
+  product_slug: 'Product slug changed',
+};
+
+// Requests that are never pages
+const SKIPPED_PATHS = /^\/(api|static|socket\.io)(\/|$)/;
+
+const clientError = (message) => Object.assign(new Error(message), { status: 400 });
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+const isAbsolute = (target) => /^https?:\/\//i.test(target);
+
+/**
+ * '/Blog/post/' -> '/Blog/post': no query, fragment or trailing slash
+ */
+const normalizePath = (value) => {
+  const pathOnly = String(value || '').trim().split(/[?#]/)[0];
+  const withSlash = pathOnly.startsWith('/') ? pathOnly : `/${pathOnly}`;
+  return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') || '/' : withSlash;
+};
+
+const escapeRegex = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// '/news/*' -> ^/news/(.*)$ - also valid as a PostgreSQL regex
+const patternSource = (pattern) => `^${pattern.split('*').map(escapeRegex).join('(.*)')}$`;
+
+const applyTarget = (target, captures) => target.replace(/\$(\d)/g, (_, n) => captures[n - 1] ?? '');
+
+class RedirectService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Function} deps.listPaths - Resolves to the site's public paths (SitemapService.listPublicPaths)
+   */
+  constructor({ pool, listPaths }) {
+    this.pool = pool;
+    this.listPaths = listPaths;
+    this.cache = null;
+  }
+
+  // ============ SERVING ============
+
+  middleware() {
+    return async (req, res, next) => {
+      if (!['GET', 'HEAD'].includes(req.method) || SKIPPED_PATHS.test(req.path)) return next();
+
+      let found;
+      try {
+        found = await this.resolve(req.path);
+      } catch (error) {
+        // A redirect lookup must never take the site down
+        console.error('Redirect lookup error:', error.message);
+        return next();
+      }
+      if (!found) return next();
+
+      this.countHits(found.ruleIds);
+
+      const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+      const target = query && !found.target.includes('?') ? found.target + query : found.target;
+      res.redirect(found.statusCode, target);
+    };
+  }
+
+  /**
+   * Where a path redirects to, following exact rules to the final target
+   * @returns {Object|null} { target, statusCode, ruleIds }, null if no rule
+   *   matches or the rules loop
+   */
+  async resolve(requestPath) {
+    const rules = await this.loadRules();
+    if (rules.exact.size === 0 && rules.patterns.length === 0) return null;
+
+    const seen = new Set();
+    const ruleIds = [];
+    let current = normalizePath(requestPath);
+    let statusCode = null;
+
+    while (ruleIds.length < MAX_HOPS) {
+      const hop = this.match(rules, current);
+      if (!hop) break;
+
+      seen.add(current);
+      ruleIds.push(hop.rule.id);
+      // Any temporary hop makes the whole redirect temporary
+      statusCode = statusCode === 302 ? 302 : hop.rule.status_code;
+      if (isAbsolute(hop.target)) return { target: hop.target, statusCode, ruleIds };
+
+      current = normalizePath(hop.target);
+      if (seen.has(current)) {
+        console.warn(`⚠️ Redirect loop at ${requestPath} (rules ${ruleIds.join(', ')}), not redirecting`);
+        return null;
+      }
+    }
+
+    return ruleIds.length > 0 ? { target: current, statusCode, ruleIds } : null;
+  }
+
+  match(rules, urlPath) {
+    const exact = rules.exact.get(urlPath);
+    if (exact) return { rule: exact, target: exact.target_path };
+
+    for (const rule of rules.patterns) {
+      const captures = urlPath.match(rule.regex);
+      if (captures) return { rule, target: applyTarget(rule.target_path, captures.slice(1)) };
+    }
+    return null;
+  }
+
+  async loadRules() {
+    if (this.cache && Date.now() - this.cache.loadedAt < CACHE_TTL) {
+      return this.cache.rules;
+    }
+
+    const result = await this.pool.query(
+      'SELECT id, source_path, target_path, match_type, status_code FROM redirects WHERE enabled ORDER BY id'
+    );
+    const rules = { exact: new Map(), patterns: [] };
+    for (const row of result.rows) {
+      if (row.match_type === 'exact') {
+        rules.exact.set(row.source_path, row);
+      } else {
+        // More specific (longer) patterns first
+        rules.patterns.push({ ...row, regex: new RegExp(patternSource(row.source_path)) });
+      }
+    }
+    rules.patterns.sort((a, b) => b.source_path.length - a.source_path.length);
+
+    this.cache = { rules, loadedAt: Date.now() };
+    return rules;
+  }
+
+  countHits(ruleIds) {
+    this.pool.query(
+      'UPDATE redirects SET hits = hits + 1, last_hit_at = NOW() WHERE id = ANY($1)',
+      [ruleIds]
+    ).catch(error => console.error('Redirect hit count error:', error.message));
+  }
+
+  // ============ ADMIN ============
+
+  async listRedirects({ search, origin } = {}) {
+    const conditions = [];
+    const params = [];
+    if (search) {
+      params.push(`%${search}%`);
+      conditions.push(`(source_path ILIKE $${params.length} OR target_path ILIKE $${params.length})`);
+    }
+    if (origin) {
+      params.push(origin);
+      conditions.push(`origin = $${params.length}`);
+    }
+
+    const result = await this.pool.query(`
+      SELECT * FROM redirects
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+    `, params);
+    return result.rows;
+  }
+
+  /**
+   * @param {Object} input - { sourcePath, targetPath, matchType, statusCode, note, enabled, origin }
+   * @returns {Object} { redirect, flattened } - flattened when the target was
+   *   itself redirected and the rule now points at its final target
+   */
+  async createRedirect(input, username) {
+    const rule = this.validate(input);
+
+    return this.withTransaction(async (client) => {
+      const { target, flattened } = await this.checkRule(client, rule);
+
+      const result = await client.query(`
+        INSERT INTO redirects (source_path, target_path, match_type, status_code, note, enabled, origin, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (source_path) DO NOTHING
+        RETURNING *
+      `, [
+        rule.sourcePath, target, rule.matchType, rule.statusCode, rule.note,
+        rule.enabled, input.origin || 'manual', username,
+      ]);
+      if (result.rows.length === 0) {
+        throw conflict(`${rule.sourcePath} already redirects; edit that rule instead`);
+      }
+
+      await this.afterWrite(client, result.rows[0]);
+      return { redirect: result.rows[0], flattened };
+    });
+  }
+
+  /**
+   * @returns {Object|null} { redirect, flattened }; null if the rule doesn't exist
+   */
+  async updateRedirect(id, input) {
+    return this.withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM redirects WHERE id = $1 FOR UPDATE', [id]);
+      if (current.rows.length === 0) return null;
+
+      const existing = current.rows[0];
+      const rule = this.validate({
+        sourcePath: input.sourcePath ?? existing.source_path,
+        targetPath: input.targetPath ?? existing.target_path,
+        matchType: input.matchType ?? existing.match_type,
+        statusCode: input.statusCode ?? existing.status_code,
+        note: input.note !== undefined ? input.note : existing.note,
+        enabled: input.enabled ?? existing.enabled,
+      });
+      const { target, flattened } = await this.checkRule(client, rule, id);
+
+      const taken = await client.query(
+        'SELECT id FROM redirects WHERE source_path = $1 AND id <> $2',
+        [rule.sourcePath, id]
+      );
+      if (taken.rows.length > 0) {
+        throw conflict(`${rule.sourcePath} already redirects; edit that rule instead`);
+      }
+
+      const result = await client.query(`
+        UPDATE redirects SET
+          source_path = $1, target_path = $2, match_type = $3, status_code = $4,
+          note = $5, enabled = $6, updated_at = NOW()
+        WHERE id = $7
+        RETURNING *
+      `, [rule.sourcePath, target, rule.matchType, rule.statusCode, rule.note, rule.enabled, id]);
+
+      await this.afterWrite(client, result.rows[0]);
+      return { redirect: result.rows[0], flattened };
+    });
+  }
+
+  async deleteRedirect(id) {
+    const result = await this.pool.query('DELETE FROM redirects WHERE id = $1 RETURNING *', [id]);
+    this.cache = null;
+    return result.rows[0] || null;
+  }
+
+  validate({ sourcePath, targetPath, matchType = 'exact', statusCode = 301, note = null, enabled = true }) {
+    if (!MATCH_TYPES.includes(matchType)) throw clientError(`Match type must be one of: ${MATCH_TYPES.join(', ')}`);
+    if (!STATUS_CODES.includes(Number(statusCode))) throw clientError(`Status code must be one of: ${STATUS_CODES.join(', ')}`);
+
+    const source = normalizePath(sourcePath);
+    if (source === '/' && matchType === 'exact') throw clientError('The homepage cannot be redirected');
+    if (SKIPPED_PATHS.test(source)) throw clientError('API and asset paths cannot be redirected');
+
+    const rawTarget = String(targetPath || '').trim();
+    if (!rawTarget) throw clientError('Target is required');
+    const target = isAbsolute(rawTarget) ? rawTarget : normalizePath(rawTarget);
+
+    if (matchType === 'pattern') {
+      if (!source.includes('*')) throw clientError('Pattern rules need at least one * in the source');
+      const wildcards = source.split('*').length - 1;
+      const references = [...target.matchAll(/\$(\d)/g)].map(m => Number(m[1]));
+      if (references.some(n => n < 1 || n > wildcards)) {
+        throw clientError(`The target can only use $1${wildcards > 1 ? `-$${wildcards}` : ''}: the source has ${wildcards} wildcard${wildcards === 1 ? '' : 's'}`);
+      }
+    } else if (source.includes('*') || /\$\d/.test(target)) {
+      throw clientError('Wildcards and $n references need a pattern rule');
+    }
+
+    return {
+      sourcePath: source,
+      targetPath: target,
+      matchType,
+      statusCode: Number(statusCode),
+      note: note ? String(note).slice(0, 300) : null,
+      enabled: enabled !== false,
+    };
+  }
+
+  /**
+   * Loop and chain checks for a rule about to be saved
+   * @returns {Object} { target, flattened } - the target to store
+   */
+  async checkRule(client, rule, ruleId = null) {
+    if (rule.matchType === 'pattern') {
+      // The target with sample captures must not match the pattern again
+      const sample = applyTarget(rule.targetPath, ['x', 'x', 'x', 'x', 'x', 'x', 'x', 'x', 'x']);
+      if (!isAbsolute(sample) && new RegExp(patternSource(rule.sourcePath)).test(normalizePath(sample))) {
+        throw conflict(`${rule.targetPath} matches ${rule.sourcePath} again: the rule would loop`);
+      }
+      return { target: rule.targetPath, flattened: false };
+    }
+
+    if (rule.targetPath === rule.sourcePath) {
+      throw conflict('A redirect cannot point at itself');
+    }
+
+    // Follow the target through the other exact rules to where it ends up
+    let target = rule.targetPath;
+    const visited = new Set([rule.sourcePath]);
+    while (!isAbsolute(target)) {
+      const next = await client.query(
+        "SELECT target_path FROM redirects WHERE source_path = $1 AND match_type = 'exact' AND enabled AND id IS DISTINCT FROM $2",
+        [target, ruleId]
+      );
+      if (next.rows.length === 0) break;
+
+      visited.add(target);
+      target = isAbsolute(next.rows[0].target_path) ? next.rows[0].target_path : normalizePath(next.rows[0].target_path);
+      if (visited.has(target)) {
+        throw conflict(`${rule.targetPath} already redirects back to ${rule.sourcePath}: the rules would loop`);
+      }
+    }
+
+    return { target, flattened: target !== rule.targetPath };
+  }
+
+  /**
+   * After saving a rule: point rules that led to its source straight at its
+   * target, and clear the 404s it now answers
+   */
+  async afterWrite(client, redirect) {
+    if (redirect.enabled && redirect.match_type === 'exact') {
+      await client.query(`
+        UPDATE redirects SET target_path = $1, updated_at = NOW()
+        WHERE target_path = $2 AND match_type = 'exact' AND id <> $3 AND source_path <> $1
+      `, [redirect.target_path, redirect.source_path, redirect.id]);
+      await client.query('DELETE FROM not_found_log WHERE path = $1', [redirect.source_path]);
+    } else if (redirect.enabled) {
+      await client.query('DELETE FROM not_found_log WHERE path ~ $1', [patternSource(redirect.source_path)]);
+    }
+    this.cache = null;
+  }
+
+  // ============ SLUG CHANGES ============
+
+  /**
+   * A post or product is about to live at urlPath: drop its own old rules
+   * from there (a rename undone), and refuse if another rule would hide it
+   * @param {Object} client - Transaction client of the save
+   * @param {number} [contentId] - The post or product, if it exists already
+   * @param {string} [origin] - One of SLUG_ORIGINS
+   */
+  async claimPath(client, urlPath, contentId, origin = 'blog_slug') {
+    if (contentId) {
+      await client.query(
+        'DELETE FROM redirects WHERE source_path = $1 AND origin = $2 AND content_id = $3',
+        [urlPath, origin, contentId]
+      );
+    }
+
+    const existing = await client.query(
+      "SELECT target_path FROM redirects WHERE source_path = $1 AND match_type = 'exact' AND enabled",
+      [urlPath]
+    );
+    if (existing.rows.length > 0) {
+      throw conflict(`${urlPath} redirects to ${existing.rows[0].target_path}. Remove that redirect in the SEO dashboard first, or choose another slug`);
+    }
+    this.cache = null;
+  }
+
+  /**
+   * Redirect a renamed post's or product's old URL to its new one
+   * @param {Object} client - Transaction client of the save
+   * @param {Object} rename - { fromPath, toPath, contentId, origin (one of SLUG_ORIGINS), username }
+   */
+  async addSlugRedirect(client, { fromPath, toPath, contentId, origin = 'blog_slug', username }) {
+    const result = await client.query(`
+      INSERT INTO redirects (source_path, target_path, origin, content_id, note, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (source_path) DO UPDATE SET
+        target_path = EXCLUDED.target_path, origin = EXCLUDED.origin, content_id = EXCLUDED.content_id,
+        enabled = TRUE, updated_at = NOW()
+      RETURNING *
+    `, [fromPath, toPath, origin, contentId, SLUG_ORIGINS[origin], username]);
+
+    await this.afterWrite(client, result.rows[0]);
+    return result.rows[0];
+  }
+
+  // ============ 404 LOG ============
+
+  /**
+   * Log a page path that doesn't exist, unless a rule redirects it (a
+   * client-side navigation the server never saw)
+   * @returns {string|null} where the path redirects to, if anywhere
+   */
+  async logNotFound(urlPath, referrer) {
+    const path = normalizePath(urlPath).slice(0, 500);
+    if (SKIPPED_PATHS.test(path)) return null;
+
+    const found = await this.resolve(path);
+    if (found) return found.target;
+
+    await this.pool.query(`
+      INSERT INTO not_found_log (path, referrer) VALUES ($1, $2)
+      ON CONFLICT (path) DO UPDATE SET
+        hits = not_found_log.hits + 1,
+        last_seen_at = NOW(),
+        referrer = COALESCE(EXCLUDED.referrer, not_found_log.referrer)
+    `, [path, referrer ? String(referrer).slice(0, 1000) : null]);
+    return null;
+  }
+
+  /**
+   * Most-hit missing paths, with redirect suggestions and the backlinks
+   * (backlink_monitor) pointing at them
+   */
+  async listNotFound({ limit = 50 } = {}) {
+    const paths = await this.listPaths();
+
+    const result = await this.pool.query(`
+      SELECT n.*,
+        COALESCE(s.suggestions, '[]') AS suggestions,
+        (
+          SELECT COUNT(*)::int FROM backlink_monitor b
+          WHERE regexp_replace(regexp_replace(b.target_url, '^https?://[^/]+', ''), '/+$', '') = n.path
+        ) AS backlinks
+      FROM not_found_log n
+      LEFT JOIN LATERAL (
+        SELECT json_agg(json_build_object('path', c.path, 'score', ROUND(c.score::numeric, 2)) ORDER BY c.score DESC) AS suggestions
+        FROM (
+          SELECT p AS path,
+            similarity(regexp_replace(p, '^.*/', ''), regexp_replace(n.path, '^.*/', '')) AS score
+          FROM unnest($1::text[]) p
+          ORDER BY score DESC, similarity(p, n.path) DESC
+          LIMIT $3
+        ) c
+        WHERE c.score >= $4
+      ) s ON TRUE
+      ORDER BY n.hits DESC, n.last_seen_at DESC
+      LIMIT $2
+    `, [paths, limit, MAX_SUGGESTIONS, MIN_SIMILARITY]);
+
+    return result.rows;
+  }
+
+  async dismissNotFound(urlPath) {
+    const result = await this.pool.query('DELETE FROM not_found_log WHERE path = $1 RETURNING path', [normalizePath(urlPath)]);
+    return result.rows.length > 0;
+  }
+
+  // ============ HELPERS ============
+
+  async withTransaction(work) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+RedirectService.STATUS_CODES = STATUS_CODES;
+RedirectService.MATCH_TYPES = MATCH_TYPES;
+RedirectService.SLUG_ORIGINS = SLUG_ORIGINS;
+RedirectService.normalizePath = normalizePath;
+
+module.exports = RedirectService;
@@ -0,0 +1,416 @@
+/**
+ * Sitemap Service
+ *
+ * Builds the public XML documents from live data:
+ * 1. /sitemap.xml - sitemap index pointing at the child sitemaps below
+ * 2. /sitemap-pages.xml - static routes (src/index.js) plus the products
+ *    shown on /modules as image entries
+ * 3. /blog-sitemap.xml - published posts with image and Google News entries,
+ *    plus the author, tag and series pages that list them
+ * 4. /sitemap-locations.xml - local SEO country and city pages
+ *    (local_seo_pages), rendered by src/views/local-page.js
+ * 5. /blog/rss.xml and /blog/atom.xml - blog feeds
+ *
+ * Documents are returned as strings; callers cache them under CACHE_PREFIX
+ * and drop the cache when posts or products change.
+ */
+
+const SITE_URL = 'https://www.finaceverse.io';
+
+// Cache keys (server cacheWrapper) holding generated sitemaps and feeds
+const CACHE_PREFIX = 'sitemap:';
+
+const BLOG_TITLE = 'FinACEverse Blog';
+const BLOG_DESCRIPTION = 'Insights on cognitive finance, AI-powered accounting, tax automation and financial intelligence from FinACEverse.';
+
+const FEED_LIMIT = 50;
+
+// Google News only accepts articles published in the last two days
+const NEWS_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Public routes from src/index.js. Utility, dashboard and vault routes are left out.
+const STATIC_PAGES = [
+  {
+    path: '/',
+    changefreq: 'weekly',
+    priority: '1.0',
+    images: [{ loc: '/logo.png', title: 'FinACEverse - Cognitive Operating System for Finance' }],
+  },
+  {
+    path: '/modules',
+    changefreq: 'weekly',
+    priority: '0.95',
+    images: [{ loc: '/images/cognitive-cycle.png', title: 'FinACEverse Cognitive Cycle - EPI-Q, Fin(Ai)d Hub, Luca' }],
+  },
+  { path: '/cognitive-finance', changefreq: 'monthly', priority: '0.9' },
+  { path: '/request-demo', changefreq: 'monthly', priority: '0.9' },
+  { path: '/expert-consultation', changefreq: 'monthly', priority: '0.85' },
+  { path: '/tailored-pilots', changefreq: 'monthly', priority: '0.85' },
+  { path: '/blog', changefreq: 'daily', priority: '0.8' },
+  { path: '/compliance-privacy', changefreq: 'yearly', priority: '0.4' },
+];
+
+const CHILD_SITEMAPS = ['/sitemap-pages.xml', '/blog-sitemap.xml', '/sitemap-locations.xml'];
+
+// ============ XML HELPERS ============
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// CDATA can hold anything except its own terminator
+const cdata = (value) => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const latest = (...values) => values
+  .map(toDate)
+  .filter(Boolean)
+  .reduce((max, date) => (!max || date > max ? date : max), null);
+
+const stripTags = (text) => String(text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const element = (name, value) => (value === null || value === undefined || value === ''
+  ? ''
+  : `<${name}>${escapeXml(value)}</${name}>`);
+
+// RSS enclosures need a MIME type
+const imageType = (url) => {
+  const extension = (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+  return {
+    png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml', avif: 'image/avif',
+  }[extension] || 'image/jpeg';
+};
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+
+class SitemapService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {string} [deps.siteUrl] - Canonical origin used in every <loc>
+   */
+  constructor({ pool, siteUrl = SITE_URL }) {
+    this.pool = pool;
+    this.siteUrl = siteUrl.replace(/\/+$/, '');
+  }
+
+  absoluteUrl(pathOrUrl) {
+    if (/^https?:\/\//i.test(pathOrUrl)) return pathOrUrl;
+    const path = pathOrUrl.startsWith('/') ? pathOrUrl : `/${pathOrUrl}`;
+    // Spaces show up in some image file names under /public/images
+    return `${this.siteUrl}${/%[0-9a-f]{2}/i.test(path) ? path : encodeURI(path)}`;
+  }
+
+  // ============ DATA ============
+
+  async getPublishedPosts(limit = null) {
+    const result = await this.pool.query(`
+      SELECT slug, title, excerpt, category, author, image_url, meta_keywords,
+             published_at, updated_at
+      FROM blog_posts
+      WHERE status = 'published' AND deleted_at IS NULL
+      ORDER BY published_at DESC NULLS LAST, id DESC
+      ${limit ? 'LIMIT $1' : ''}
+    `, limit ? [limit] : []);
+    return result.rows;
+  }
+
+  /**
+   * Author, tag and series pages with at least one published post
+   * @returns {Promise<Array>} [{ path, lastmod }]
+   */
+  async getCollectionPages() {
+    try {
+      const result = await this.pool.query(`
+        WITH published AS (
+          SELECT id, author_id, series_id, GREATEST(updated_at, published_at) AS lastmod
+          FROM blog_posts
+          WHERE status = 'published' AND deleted_at IS NULL
+        )
+        SELECT '/blog/author/' || a.slug AS path, MAX(p.lastmod) AS lastmod
+        FROM blog_authors a JOIN published p ON p.author_id = a.id
+        GROUP BY a.slug
+        UNION ALL
+        SELECT '/blog/tag/' || t.slug, MAX(p.lastmod)
+        FROM blog_tags t JOIN blog_post_tags pt ON pt.tag_id = t.id JOIN published p ON p.id = pt.post_id
+        GROUP BY t.slug
+        UNION ALL
+        SELECT '/blog/series/' || s.slug, MAX(p.lastmod)
+        FROM blog_series s JOIN published p ON p.series_id = s.id
+        GROUP BY s.slug
+        ORDER BY path
+      `);
+      return result.rows;
+    } catch (error) {
+      // Tables arrive with migrations/016_blog_taxonomy.sql
+      if (error.code === '42P01') return [];
+      throw error;
+    }
+  }
+
+  async getProducts() {
+    const result = await this.pool.query(`
+      SELECT slug, name, tagline, image_url, updated_at
+      FROM products
+      WHERE feature_flag IS NULL
+      ORDER BY phase ASC, display_order ASC, created_at ASC
+    `);
+    return result.rows;
+  }
+
+  async getLocationPages() {
+    try {
+      const result = await this.pool.query(`
+        SELECT DISTINCT ON (page_url) *
+        FROM local_seo_pages
+        WHERE page_url IS NOT NULL AND page_url != ''
+        ORDER BY page_url, id DESC
+      `);
+      return result.rows;
+    } catch (error) {
+      // Databases that predate migration 029 have no local pages
+      if (error.code === '42P01') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Every public path the sitemaps list (static pages, posts, blog collections, location pages)
+   */
+  async listPublicPaths() {
+    const [posts, collections, locations] = await Promise.all([
+      this.getPublishedPosts(),
+      this.getCollectionPages(),
+      this.getLocationPages(),
+    ]);
+    return [
+      ...STATIC_PAGES.map(page => page.path),
+      ...posts.map(post => `/blog/${post.slug}`),
+      ...collections.map(page => page.path),
+      ...locations.map(page => page.page_url),
+    ];
+  }
+
+  // ============ SITEMAPS ============
+
+  urlEntry({ loc, lastmod, changefreq, priority, images = [], news = null }) {
+    const lastmodDate = toDate(lastmod);
+    return [
+      '  <url>',
+      `    <loc>${escapeXml(this.absoluteUrl(loc))}</loc>`,
+      lastmodDate ? `    <lastmod>${lastmodDate.toISOString()}</lastmod>` : null,
+      changefreq ? `    <changefreq>${changefreq}</changefreq>` : null,
+      priority ? `    <priority>${priority}</priority>` : null,
+      news ? [
+        '    <news:news>',
+        '      <news:publication>',
+        `        <news:name>${escapeXml(BLOG_TITLE)}</news:name>`,
+        '        <news:language>en</news:language>',
+        '      </news:publication>',
+        `      <news:publication_date>${toDate(news.publishedAt).toISOString()}</news:publication_date>`,
+        `      <news:title>${escapeXml(news.title)}</news:title>`,
+        news.keywords ? `      <news:keywords>${escapeXml(news.keywords)}</news:keywords>` : null,
+        '    </news:news>',
+      ].filter(Boolean).join('\n') : null,
+      ...images.map(image => [
+        '    <image:image>',
+        `      <image:loc>${escapeXml(this.absoluteUrl(image.loc))}</image:loc>`,
+        image.title ? `      <image:title>${escapeXml(image.title)}</image:title>` : null,
+        '    </image:image>',
+      ].filter(Boolean).join('\n')),
+      '  </url>',
+    ].filter(Boolean).join('\n');
+  }
+
+  urlset(entries, { news = false } = {}) {
+    return [
+      XML_DECLARATION,
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"',
+      news ? '        xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"' : null,
+      '        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+      ...entries,
+      '</urlset>',
+      '',
+    ].filter(line => line !== null).join('\n');
+  }
+
+  async buildPagesSitemap() {
+    const [posts, products] = await Promise.all([this.getPublishedPosts(), this.getProducts()]);
+    const blogUpdated = latest(...posts.map(post => post.updated_at || post.published_at));
+    const productsUpdated = latest(...products.map(product => product.updated_at));
+
+    const entries = STATIC_PAGES.map(page => {
+      if (page.path === '/blog') {
+        return this.urlEntry({ ...page, loc: page.path, lastmod: blogUpdated });
+      }
+      if (page.path === '/modules') {
+        // Products don't have pages of their own - they're listed on /modules
+        const productImages = products
+          .filter(product => product.image_url)
+          .map(product => ({ loc: product.image_url, title: [product.name, product.tagline].filter(Boolean).join(' - ') }));
+        return this.urlEntry({ ...page, loc: page.path, lastmod: productsUpdated, images: [...page.images, ...productImages] });
+      }
+      return this.urlEntry({ ...page, loc: page.path });
+    });
+
+    return this.urlset(entries);
+  }
+
+  async buildBlogSitemap() {
+    const [posts, collections] = await Promise.all([this.getPublishedPosts(), this.getCollectionPages()]);
+    const newsCutoff = Date.now() - NEWS_WINDOW_MS;
+
+    const entries = posts.map(post => {
+      const publishedAt = toDate(post.published_at);
+      return this.urlEntry({
+        loc: `/blog/${post.slug}`,
+        lastmod: latest(post.updated_at, post.published_at),
+        changefreq: 'monthly',
+        priority: '0.75',
+        images: post.image_url ? [{ loc: post.image_url, title: post.title }] : [],
+        news: publishedAt && publishedAt.getTime() >= newsCutoff
+          ? { publishedAt, title: post.title, keywords: post.meta_keywords }
+          : null,
+      });
+    });
+
+    collections.forEach(page => entries.push(this.urlEntry({
+      loc: page.path,
+      lastmod: page.lastmod,
+      changefreq: 'weekly',
+      priority: '0.5',
+    })));
+
+    return this.urlset(entries, { news: true });
+  }
+
+  async buildLocationsSitemap() {
+    const pages = await this.getLocationPages();
+    const entries = pages.map(page => this.urlEntry({
+      loc: page.page_url,
+      lastmod: latest(page.updated_at, page.created_at),
+      changefreq: 'monthly',
+      // Country landing pages rank above their cities
+      priority: page.page_url.split('/').filter(Boolean).length === 1 ? '0.7' : '0.6',
+    }));
+    return this.urlset(entries);
+  }
+
+  async buildSitemapIndex() {
+    const [posts, products, locations] = await Promise.all([
+      this.getPublishedPosts(),
+      this.getProducts(),
+      this.getLocationPages(),
+    ]);
+    const lastmods = {
+      '/sitemap-pages.xml': latest(...posts.map(post => post.updated_at), ...products.map(product => product.updated_at)),
+      '/blog-sitemap.xml': latest(...posts.map(post => post.updated_at || post.published_at)),
+      '/sitemap-locations.xml': latest(...locations.map(page => page.updated_at || page.created_at)),
+    };
+
+    return [
+      XML_DECLARATION,
+      '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...CHILD_SITEMAPS.map(path => [
+        '  <sitemap>',
+        `    <loc>${escapeXml(this.absoluteUrl(path))}</loc>`,
+        lastmods[path] ? `    <lastmod>${lastmods[path].toISOString()}</lastmod>` : null,
+        '  </sitemap>',
+      ].filter(Boolean).join('\n')),
+      '</sitemapindex>',
+      '',
+    ].join('\n');
+  }
+
+  // ============ FEEDS ============
+
+  async buildRssFeed() {
+    const posts = await this.getPublishedPosts(FEED_LIMIT);
+    const blogUrl = this.absoluteUrl('/blog');
+    const lastBuild = latest(...posts.map(post => post.updated_at || post.published_at)) || new Date();
+
+    const items = posts.map(post => {
+      const link = this.absoluteUrl(`/blog/${post.slug}`);
+      const publishedAt = toDate(post.published_at);
+      return [
+        '    <item>',
+        `      ${element('title', post.title)}`,
+        `      ${element('link', link)}`,
+        `      <guid isPermaLink="true">${escapeXml(link)}</guid>`,
+        publishedAt ? `      <pubDate>${publishedAt.toUTCString()}</pubDate>` : null,
+        post.author ? `      ${element('dc:creator', post.author)}` : null,
+        post.category ? `      ${element('category', post.category)}` : null,
+        `      <description>${cdata(stripTags(post.excerpt))}</description>`,
+        post.image_url ? `      <enclosure url="${escapeXml(this.absoluteUrl(post.image_url))}" type="${imageType(post.image_url)}" length="0" />` : null,
+        '    </item>',
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      XML_DECLARATION,
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+      '  <channel>',
+      `    ${element('title', BLOG_TITLE)}`,
+      `    ${element('link', blogUrl)}`,
+      `    ${element('description', BLOG_DESCRIPTION)}`,
+      '    <language>en</language>',
+      `    <lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>`,
+      `    <atom:link href="${escapeXml(this.absoluteUrl('/blog/rss.xml'))}" rel="self" type="application/rss+xml" />`,
+      ...items,
+      '  </channel>',
+      '</rss>',
+      '',
+    ].join('\n');
+  }
+
+  async buildAtomFeed() {
+    const posts = await this.getPublishedPosts(FEED_LIMIT);
+    const feedUrl = this.absoluteUrl('/blog/atom.xml');
+    const updated = latest(...posts.map(post => post.updated_at || post.published_at)) || new Date();
+
+    const entries = posts.map(post => {
+      const link = this.absoluteUrl(`/blog/${post.slug}`);
+      const publishedAt = toDate(post.published_at);
+      return [
+        '  <entry>',
+        `    <title type="text">${escapeXml(post.title)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(link)}" />`,
+        `    ${element('id', link)}`,
+        publishedAt ? `    <published>${publishedAt.toISOString()}</published>` : null,
+        `    <updated>${(latest(post.updated_at, post.published_at) || updated).toISOString()}</updated>`,
+        `    <author><name>${escapeXml(post.author || 'FinACEverse Team')}</name></author>`,
+        post.category ? `    <category term="${escapeXml(post.category)}" />` : null,
+        `    <summary type="text">${escapeXml(stripTags(post.excerpt))}</summary>`,
+        '  </entry>',
+      ].filter(Boolean).join('\n');
+    });
+
+    return [
+      XML_DECLARATION,
+      '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+      `  <title type="text">${escapeXml(BLOG_TITLE)}</title>`,
+      `  <subtitle type="text">${escapeXml(BLOG_DESCRIPTION)}</subtitle>`,
+      `  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}" />`,
+      `  <link rel="alternate" type="text/html" href="${escapeXml(this.absoluteUrl('/blog'))}" />`,
+      `  ${element('id', feedUrl)}`,
+      `  <updated>${updated.toISOString()}</updated>`,
+      '  <author><name>FinACEverse</name></author>',
+      ...entries,
+      '</feed>',
+      '',
+    ].join('\n');
+  }
+}
+
+SitemapService.CACHE_PREFIX = CACHE_PREFIX;
+SitemapService.SITE_URL = SITE_URL;
+
+module.exports = SitemapService;
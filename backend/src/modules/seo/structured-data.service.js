@@ -0,0 +1,514 @@
+/**
+ * Structured Data Service
+ *
+ * schema.org JSON-LD for the public site, built from live data, plus the
+ * validator SEO scans run over it:
+ * 1. SoftwareApplication - one per product shown on /modules
+ * 2. BlogPosting and BreadcrumbList - published posts at /blog/:slug
+ * 3. LocalBusiness - local SEO country and city pages at /:country/:city?,
+ *    from the LocalSEOManager country configs, for pages in local_seo_pages
+ *
+ * forPath() returns the markup a page should carry; pages render it with the
+ * StructuredData component (GET /api/structured-data?path=). Fixed markup -
+ * the home page's Organization and WebSite - and markup for content the
+ * components hold - FAQPage and page breadcrumbs - is built in the browser
+ * (src/utils/structuredData.js).
+ *
+ * validate() checks one JSON-LD object, nested entities included, against
+ * the properties Google's rich results need (required) and use when present
+ * (recommended). auditPage() runs it over every ld+json block in a page's
+ * HTML and also reports blocks that don't parse, types the page should carry
+ * (from forPath() and STATIC_TYPES) but lacks, and types that may only
+ * appear once. KeywordOptimizer scans store what it finds as seo_issues.
+ */
+
+const cheerio = require('cheerio');
+
+const SITE_URL = 'https://www.finaceverse.io';
+const SCHEMA_CONTEXT = /^https?:\/\/schema\.org\/?$/;
+
+const ORGANIZATION_NAME = 'FinACEverse';
+
+// Types pages render from constants in src/utils/structuredData.js, by path
+const STATIC_TYPES = {
+  '/': ['Organization', 'WebSite'],
+};
+
+/**
+ * Properties each type must have (required) and should have (recommended),
+ * after Google's rich result guidelines. Nested entities are checked too.
+ */
+const SCHEMA_RULES = {
+  Organization: { required: ['name', 'url'], recommended: ['logo', 'description', 'sameAs', 'contactPoint'] },
+  WebSite: { required: ['name', 'url'], recommended: ['publisher'] },
+  SoftwareApplication: { required: ['name', 'applicationCategory', 'operatingSystem', 'offers'], recommended: ['description', 'url', 'image'] },
+  BlogPosting: { required: ['headline', 'datePublished', 'author'], recommended: ['image', 'dateModified', 'description', 'publisher', 'mainEntityOfPage'] },
+  LocalBusiness: { required: ['name', 'address'], recommended: ['url', 'telephone', 'image', 'geo', 'openingHoursSpecification'] },
+  FAQPage: { required: ['mainEntity'], recommended: [] },
+  Question: { required: ['name', 'acceptedAnswer'], recommended: [] },
+  Answer: { required: ['text'], recommended: [] },
+  BreadcrumbList: { required: ['itemListElement'], recommended: [] },
+  ListItem: { required: ['position'], recommended: ['name'] },
+  Person: { required: ['name'], recommended: [] },
+  ImageObject: { required: ['url'], recommended: [] },
+  PostalAddress: { required: ['addressCountry'], recommended: ['streetAddress', 'addressLocality', 'postalCode'] },
+  Offer: { required: ['price', 'priceCurrency'], recommended: [] },
+};
+
+// An organization named inside another entity (publisher, worksFor...) only needs a name
+const NESTED_RULES = {
+  Organization: { required: ['name'], recommended: [] },
+};
+
+// Subtypes checked with their parent's rules
+const RULE_ALIASES = {
+  Article: 'BlogPosting',
+  NewsArticle: 'BlogPosting',
+  Corporation: 'Organization',
+  ProfessionalService: 'LocalBusiness',
+};
+
+// Types a page may only carry once at the top level
+const SINGLE_TYPES = ['Organization', 'WebSite', 'FAQPage'];
+
+const WORDS_PER_MINUTE = 200;
+
+/**
+ * '/modules/' -> '/modules': no query, fragment or trailing slash
+ */
+const normalizePath = (value) => {
+  const pathOnly = String(value || '').trim().split(/[?#]/)[0];
+  const withSlash = pathOnly.startsWith('/') ? pathOnly : `/${pathOnly}`;
+  return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') || '/' : withSlash;
+};
+
+const isPresent = (value) => {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim().length > 0;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+};
+
+const typesOf = (node) => [].concat(node['@type'] || []);
+
+const rulesFor = (node, nested) => {
+  for (const type of typesOf(node)) {
+    const name = SCHEMA_RULES[type] ? type : RULE_ALIASES[type];
+    if (name) return { name, rules: (nested && NESTED_RULES[name]) || SCHEMA_RULES[name] };
+  }
+  return null;
+};
+
+// A bare { "@id": ... } points at an entity described elsewhere
+const isReference = (node) => Object.keys(node).length === 1 && '@id' in node;
+
+const contentWords = (content) => (content || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/[#>*_`|[\]()-]/g, ' ')
+  .split(/\s+/)
+  .filter(word => /\w/.test(word))
+  .length;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+class StructuredDataService {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.pool - PostgreSQL connection pool
+   * @param {Function} [deps.countryConfigs] - Returns the LocalSEOManager country configs, which become LocalBusiness markup
+   * @param {string} [deps.siteUrl] - Canonical origin used in every URL
+   */
+  constructor({ pool, countryConfigs = () => ({}), siteUrl = SITE_URL }) {
+    this.pool = pool;
+    this.countryConfigs = countryConfigs;
+    this.siteUrl = siteUrl.replace(/\/+$/, '');
+  }
+
+  absoluteUrl(pathOrUrl) {
+    if (/^https?:\/\//i.test(pathOrUrl)) return pathOrUrl;
+    return `${this.siteUrl}${pathOrUrl.startsWith('/') ? '' : '/'}${pathOrUrl}`;
+  }
+
+  get organizationId() {
+    return `${this.siteUrl}/#organization`;
+  }
+
+  // ============ GENERATORS ============
+
+  /**
+   * @param {Object} product - products row
+   */
+  softwareApplication(product) {
+    const features = Array.isArray(product.features) ? product.features.filter(Boolean) : [];
+    const description = product.short_description || product.tagline || product.description;
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'SoftwareApplication',
+      '@id': `${this.siteUrl}/modules#${product.slug}`,
+      name: product.name,
+      ...(description && { description }),
+      url: product.website_url || product.external_url || `${this.siteUrl}/modules`,
+      ...(product.image_url && { image: this.absoluteUrl(product.image_url) }),
+      applicationCategory: 'BusinessApplication',
+      applicationSubCategory: 'FinanceApplication',
+      operatingSystem: 'Web-based',
+      ...(features.length > 0 && { featureList: features }),
+      offers: {
+        '@type': 'Offer',
+        price: '0',
+        priceCurrency: 'USD',
+        description: 'Free consultation and demo available',
+      },
+      publisher: { '@id': this.organizationId },
+    };
+  }
+
+  /**
+   * @param {Object} post - blog_posts row with author_profile ({ slug, name, role, bio,
+   *   avatar_url, social_links }), series ({ slug, title, position }) and tag_names
+   */
+  blogPosting(post) {
+    const url = `${this.siteUrl}/blog/${post.slug}`;
+    const words = contentWords(post.content);
+    const keywords = post.meta_keywords
+      || [post.category, ...(post.tag_names || []), 'cognitive finance, AI accounting, financial automation, FinACEverse']
+        .filter(Boolean)
+        .join(', ');
+    const author = post.author_profile;
+
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'BlogPosting',
+      '@id': `${url}#article`,
+      mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+      headline: post.title,
+      description: post.meta_description || post.excerpt,
+      ...(post.image_url && {
+        image: { '@type': 'ImageObject', url: this.absoluteUrl(post.image_url), width: 1500, height: 1000 },
+      }),
+      datePublished: post.published_at,
+      dateModified: post.updated_at || post.published_at,
+      author: author ? this.person(author) : { '@type': 'Person', name: post.author },
+      publisher: {
+        '@type': 'Organization',
+        '@id': this.organizationId,
+        name: ORGANIZATION_NAME,
+        logo: { '@type': 'ImageObject', url: this.absoluteUrl('/logo.png') },
+      },
+      ...(post.category && { articleSection: post.category }),
+      keywords,
+      ...(post.series && {
+        isPartOf: {
+          '@type': 'CreativeWorkSeries',
+          name: post.series.title,
+          url: `${this.siteUrl}/blog/series/${post.series.slug}`,
+        },
+        position: post.series.position,
+      }),
+      wordCount: words,
+      timeRequired: `PT${Math.max(1, Math.round(words / WORDS_PER_MINUTE))}M`,
+      inLanguage: 'en-US',
+    };
+  }
+
+  // Same shape as personSchema() in src/components/blog-author-card.js
+  person(author) {
+    const url = `${this.siteUrl}/blog/author/${author.slug}`;
+    const sameAs = Object.values(author.social_links || {}).filter(Boolean);
+    return {
+      '@type': 'Person',
+      '@id': `${url}#person`,
+      name: author.name,
+      url,
+      ...(author.role && { jobTitle: author.role }),
+      ...(author.bio && { description: author.bio }),
+      ...(author.avatar_url && { image: author.avatar_url }),
+      ...(sameAs.length > 0 && { sameAs }),
+      worksFor: { '@type': 'Organization', name: ORGANIZATION_NAME, url: this.siteUrl },
+    };
+  }
+
+  /**
+   * @param {Object} country - LocalSEOManager country config
+   * @param {Object} [location] - One of its locationPages; the country page when omitted
+   * @param {Object} [page] - The local_seo_pages row shown at that URL
+   */
+  localBusiness(country, location = null, page = null) {
+    const url = `${this.siteUrl}${location ? location.slug : country.landingPage}`;
+    const place = location ? `${location.city}, ${country.name}` : country.name;
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'LocalBusiness',
+      '@id': `${url}#business`,
+      name: `${ORGANIZATION_NAME} ${location ? location.city : country.name}`,
+      description: page?.meta_description
+        || `AI-powered accounting software and financial automation for businesses in ${place}.`,
+      url,
+      image: this.absoluteUrl('/logo.png'),
+      address: {
+        '@type': 'PostalAddress',
+        ...(location && { addressLocality: location.city }),
+        addressCountry: country.countryCode,
+      },
+      areaServed: location
+        ? { '@type': 'City', name: location.city }
+        : { '@type': 'Country', name: country.name },
+      knowsLanguage: country.language,
+      parentOrganization: { '@id': this.organizationId },
+    };
+  }
+
+  /**
+   * @param {Array<{name: string, path: string}>} items - Trail from the home page down
+   */
+  breadcrumbList(items) {
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'BreadcrumbList',
+      itemListElement: items.map((item, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: item.name,
+        item: this.absoluteUrl(item.path),
+      })),
+    };
+  }
+
+  // ============ PAGES ============
+
+  /**
+   * The markup a public page should carry; empty for pages without any
+   * @param {string} pagePath - e.g. '/blog/my-post'
+   * @returns {Promise<Array<Object>>}
+   */
+  async forPath(pagePath) {
+    const path = normalizePath(pagePath);
+
+    if (path === '/modules') {
+      const products = await this.getProducts();
+      return products.map(product => this.softwareApplication(product));
+    }
+
+    const blogSlug = path.match(/^\/blog\/([^/]+)$/);
+    if (blogSlug) {
+      const post = await this.getPublishedPost(decodeURIComponent(blogSlug[1]));
+      if (!post) return [];
+      return [
+        this.blogPosting(post),
+        this.breadcrumbList([
+          { name: 'Home', path: '/' },
+          { name: 'Blog', path: '/blog' },
+          { name: post.title, path },
+        ]),
+      ];
+    }
+
+    const local = this.findLocation(path);
+    if (local) {
+      // Only pages the LocalSEOManager has written are routed; others are 404s
+      const page = await this.getLocalPage(path);
+      return page ? [this.localBusiness(local.country, local.location, page)] : [];
+    }
+
+    return [];
+  }
+
+  findLocation(path) {
+    const countries = Object.values(this.countryConfigs() || {});
+    for (const country of countries) {
+      // Singapore's one city page is its country page
+      const location = (country.locationPages || []).find(page => page.slug === path);
+      if (location) return { country, location };
+    }
+    const country = countries.find(config => config.landingPage === path);
+    return country ? { country, location: null } : null;
+  }
+
+  async getProducts() {
+    const result = await this.pool.query(`
+      SELECT slug, name, tagline, short_description, description, image_url,
+             website_url, external_url, features
+      FROM products
+      WHERE feature_flag IS NULL
+      ORDER BY phase ASC, display_order ASC, created_at ASC
+    `);
+    return result.rows;
+  }
+
+  async getLocalPage(pagePath) {
+    const result = await this.pool.query(`
+      SELECT page_url, meta_title, meta_description
+      FROM local_seo_pages
+      WHERE page_url = $1
+      ORDER BY id DESC
+      LIMIT 1
+    `, [pagePath]);
+    return result.rows[0] || null;
+  }
+
+  async getPublishedPost(slug) {
+    const result = await this.pool.query(`
+      SELECT p.slug, p.title, p.excerpt, p.meta_description, p.meta_keywords, p.category,
+             p.author, p.image_url, p.content, p.published_at, p.updated_at,
+             to_jsonb(a) AS author_profile,
+             s.slug AS series_slug, s.title AS series_title,
+             (SELECT ranked.position FROM (
+                SELECT o.id, ROW_NUMBER() OVER (ORDER BY o.series_position NULLS LAST, o.published_at) AS position
+                FROM blog_posts o
+                WHERE o.series_id = p.series_id AND o.status = 'published' AND o.deleted_at IS NULL
+              ) ranked WHERE ranked.id = p.id) AS series_position,
+             ARRAY(
+               SELECT t.name FROM blog_post_tags pt JOIN blog_tags t ON t.id = pt.tag_id
+               WHERE pt.post_id = p.id ORDER BY t.name
+             ) AS tag_names
+      FROM blog_posts p
+      LEFT JOIN LATERAL (
+        SELECT slug, name, role, bio, avatar_url, social_links FROM blog_authors WHERE id = p.author_id
+      ) a ON TRUE
+      LEFT JOIN blog_series s ON s.id = p.series_id
+      WHERE p.slug = $1 AND p.status = 'published' AND p.deleted_at IS NULL
+    `, [slug]);
+
+    const row = result.rows[0];
+    if (!row) return null;
+    const { series_slug: seriesSlug, series_title: seriesTitle, series_position: position, ...post } = row;
+    return {
+      ...post,
+      author_profile: post.author_profile?.slug ? post.author_profile : null,
+      series: seriesSlug ? { slug: seriesSlug, title: seriesTitle, position: Number(position) } : null,
+    };
+  }
+
+  // ============ VALIDATION ============
+
+  /**
+   * Check one JSON-LD object (or array, or @graph) and every entity nested in it
+   * @param {Object|Array} schema
+   * @returns {Array<Object>} Gaps: { type, path, property, level: 'required'|'recommended' }
+   */
+  validate(schema) {
+    const gaps = [];
+    for (const node of this.topLevelNodes(schema)) {
+      const type = typesOf(node)[0] || 'Thing';
+      if (!SCHEMA_CONTEXT.test(String(node['@context'] || ''))) {
+        gaps.push({ type, path: type, property: '@context', level: 'required' });
+      }
+      if (!isPresent(node['@type'])) {
+        gaps.push({ type, path: type, property: '@type', level: 'required' });
+        continue;
+      }
+      this.checkNode(node, type, gaps);
+    }
+    return gaps;
+  }
+
+  topLevelNodes(schema) {
+    const nodes = Array.isArray(schema) ? schema : [schema];
+    return nodes
+      .filter(node => node && typeof node === 'object')
+      .flatMap(node => (Array.isArray(node['@graph'])
+        ? node['@graph'].map(member => ({ '@context': node['@context'], ...member }))
+        : [node]));
+  }
+
+  checkNode(node, path, gaps) {
+    const match = rulesFor(node, path.includes('.'));
+    if (match) {
+      for (const level of ['required', 'recommended']) {
+        for (const property of match.rules[level]) {
+          if (!isPresent(node[property])) {
+            gaps.push({ type: match.name, path, property, level });
+          }
+        }
+      }
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key.startsWith('@')) continue;
+      for (const child of [].concat(value)) {
+        if (child && typeof child === 'object' && !Array.isArray(child) && !isReference(child)) {
+          this.checkNode(child, `${path}.${key}`, gaps);
+        }
+      }
+    }
+  }
+
+  /**
+   * Validate the structured data in a page's HTML
+   * @param {string} html - Rendered page
+   * @param {string} pageUrl - Its URL; decides which types the page should carry
+   * @returns {Promise<Object>} { passed, score, types, blocks, issues: [{ severity, message }] }
+   */
+  async auditPage(html, pageUrl) {
+    const $ = cheerio.load(html || '');
+    const issues = [];
+    const schemas = [];
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      try {
+        schemas.push(JSON.parse($(el).text()));
+      } catch (error) {
+        issues.push({ severity: 'high', message: `JSON-LD block ${i + 1} is not valid JSON: ${error.message}` });
+      }
+    });
+
+    const nodes = this.topLevelNodes(schemas.flat());
+    const counts = {};
+    nodes.forEach(node => typesOf(node).forEach(type => { counts[type] = (counts[type] || 0) + 1; }));
+
+    // An empty app shell means the page wasn't rendered, so nothing can be missing yet
+    const rendered = $('#app').length === 0 || $('#app').children().length > 0;
+    if (rendered) {
+      const path = normalizePath(new URL(pageUrl, this.siteUrl).pathname);
+      let expected = [];
+      try {
+        expected = await this.forPath(path);
+      } catch (error) {
+        console.warn(`Structured data: expected types for ${pageUrl} unavailable:`, error.message);
+      }
+      [...new Set([...expected.flatMap(typesOf), ...(STATIC_TYPES[path] || [])])]
+        .filter(type => !counts[type])
+        .forEach(type => issues.push({ severity: 'high', message: `Missing ${type} structured data` }));
+    }
+
+    SINGLE_TYPES
+      .filter(type => counts[type] > 1)
+      .forEach(type => issues.push({
+        severity: 'medium',
+        message: `${type} structured data appears ${counts[type]} times; keep one`,
+      }));
+
+    issues.push(...this.summarizeGaps(schemas.flatMap(schema => this.validate(schema))));
+
+    const weights = { high: 25, medium: 10, low: 2 };
+    return {
+      passed: !issues.some(issue => issue.severity !== 'low'),
+      score: Math.max(0, 100 - issues.reduce((sum, issue) => sum + weights[issue.severity], 0)),
+      types: Object.keys(counts),
+      blocks: schemas.length,
+      issues,
+    };
+  }
+
+  // One issue per missing property, however many entities lack it
+  summarizeGaps(gaps) {
+    const grouped = new Map();
+    for (const gap of gaps) {
+      const key = `${gap.path}|${gap.property}|${gap.level}`;
+      grouped.set(key, { ...gap, count: (grouped.get(key)?.count || 0) + 1 });
+    }
+    return [...grouped.values()].map(gap => {
+      const where = gap.path === gap.type ? gap.type : `${gap.path} (${gap.type})`;
+      const times = gap.count > 1 ? ` in ${plural(gap.count, 'item')}` : '';
+      return {
+        severity: gap.level === 'required' ? 'high' : 'low',
+        message: `${where} is missing ${gap.level} property "${gap.property}"${times}`,
+      };
+    });
+  }
+}
+
+StructuredDataService.SCHEMA_RULES = SCHEMA_RULES;
+StructuredDataService.normalizePath = normalizePath;
+
+module.exports = StructuredDataService;
@@ -0,0 +1,543 @@
+/**
+ * Admin Blog Routes Module
+ *
+ * Blog Editor endpoints behind /api/admin/blog:
+ * - Create, update and list posts (every save is kept as a revision)
+ * - Scheduling: status 'scheduled' with a future publish_at
+ * - Publishing and edits to live posts go through /api/admin/reviews (409 here)
+ * - Revision history, diffs between revisions and restore
+ * - Per-post engagement analytics (views, read-through, engaged time, CTA clicks)
+ * - Trash: soft-deleted posts can be restored or purged
+ * - Categories
+ * - Author profiles, tags and series (posts link to them on save)
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const BlogService = require('../modules/blog/blog.service');
+const BlogTaxonomyService = require('../modules/blog/blog-taxonomy.service');
+const BlogAnalyticsService = require('../modules/blog/blog-analytics.service');
+
+// ============ VALIDATORS ============
+
+const idValidator = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid post id').toInt(),
+];
+
+const revisionIdValidator = [
+  ...idValidator,
+  param('revisionId').isInt({ min: 1 }).withMessage('Invalid revision id').toInt(),
+];
+
+const compareValidator = [
+  ...idValidator,
+  query('from').isInt({ min: 1 }).withMessage('from must be a revision id').toInt(),
+  query('to').isInt({ min: 1 }).withMessage('to must be a revision id').toInt(),
+];
+
+const optionalString = (field, max) => body(field)
+  .optional({ values: 'null' })
+  .isString()
+  .withMessage(`${field} must be text`)
+  .bail()
+  .isLength({ max })
+  .withMessage(`${field} must be at most ${max} characters`);
+
+const postFieldsValidator = [
+  optionalString('excerpt', 5000),
+  optionalString('content', 2000000),
+  optionalString('category', 100),
+  optionalString('author', 200),
+  optionalString('image_url', 2000),
+  optionalString('meta_title', 70),
+  optionalString('meta_description', 160),
+  optionalString('meta_keywords', 1000),
+  body('status')
+    .optional({ values: 'null' })
+    .isIn(BlogService.POST_STATUSES)
+    .withMessage(`Status must be one of: ${BlogService.POST_STATUSES.join(', ')}`),
+  body('featured').optional({ values: 'null' }).isBoolean({ strict: true }).withMessage('featured must be true or false'),
+  body('publish_at')
+    .optional({ values: 'null' })
+    .isISO8601({ strict: true })
+    .withMessage('publish_at must be an ISO 8601 date'),
+  body('author_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('author_id must be an author id').toInt(),
+  body('series_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('series_id must be a series id').toInt(),
+  body('series_position').optional({ values: 'null' }).isInt({ min: 1, max: 1000 }).withMessage('series_position must be 1-1000').toInt(),
+  body('tags').optional({ values: 'null' }).isArray({ max: 20 }).withMessage('tags must be a list of at most 20 tags'),
+  body('tags.*').isString().withMessage('Tags must be text').bail().trim().isLength({ min: 1, max: 100 }).withMessage('Tags must be 1-100 characters'),
+];
+
+const requiredString = (field, max, label) => body(field)
+  .isString()
+  .withMessage(`${label} is required`)
+  .bail()
+  .trim()
+  .isLength({ min: 1, max })
+  .withMessage(`${label} is required (at most ${max} characters)`);
+
+const createValidator = [
+  requiredString('title', 500, 'Title'),
+  requiredString('slug', 255, 'Slug'),
+  ...postFieldsValidator,
+];
+
+const updateValidator = [
+  ...idValidator,
+  optionalString('title', 500).trim().notEmpty().withMessage('Title cannot be empty'),
+  optionalString('slug', 255).trim().notEmpty().withMessage('Slug cannot be empty'),
+  ...postFieldsValidator,
+];
+
+const authorValidator = (required) => [
+  required
+    ? requiredString('name', 200, 'Name')
+    : optionalString('name', 200).trim().notEmpty().withMessage('Name cannot be empty'),
+  optionalString('slug', 120),
+  optionalString('role', 200),
+  optionalString('bio', 5000),
+  optionalString('avatar_url', 2000),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Email must be a valid address'),
+  body('social_links').optional({ values: 'null' }).isObject().withMessage('social_links must be an object'),
+  ...BlogTaxonomyService.SOCIAL_NETWORKS.map(network => body(`social_links.${network}`)
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage(`${network} must be a full http(s) URL`)),
+];
+
+const tagValidator = (required) => [
+  required
+    ? requiredString('name', 100, 'Name')
+    : optionalString('name', 100).trim().notEmpty().withMessage('Name cannot be empty'),
+  optionalString('slug', 120),
+  optionalString('description', 2000),
+];
+
+const seriesValidator = (required) => [
+  required
+    ? requiredString('title', 300, 'Title')
+    : optionalString('title', 300).trim().notEmpty().withMessage('Title cannot be empty'),
+  optionalString('slug', 120),
+  optionalString('description', 5000),
+  optionalString('image_url', 2000),
+];
+
+const analyticsValidator = [
+  ...idValidator,
+  query('days').optional()
+    .isInt({ min: 1, max: BlogAnalyticsService.MAX_DAYS })
+    .withMessage(`days must be 1-${BlogAnalyticsService.MAX_DAYS}`)
+    .toInt(),
+];
+
+const reorderValidator = [
+  ...idValidator,
+  body('post_ids').isArray({ min: 1, max: 1000 }).withMessage('post_ids must list the series posts in order'),
+  body('post_ids.*').isInt({ min: 1 }).withMessage('post_ids must be post ids').toInt(),
+];
+
+const DEFAULT_CATEGORIES = [
+  { name: 'Technology', slug: 'technology', color: '#00d4ff' },
+  { name: 'Industry Insights', slug: 'industry-insights', color: '#8b5cf6' },
+  { name: 'Case Studies', slug: 'case-studies', color: '#10b981' },
+  { name: 'Compliance', slug: 'compliance', color: '#f59e0b' },
+  { name: 'Product Updates', slug: 'product-updates', color: '#ec4899' },
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getUsername = (req) => req.username || 'superadmin';
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates admin blog routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.blogService - BlogService instance
+ * @param {Object} deps.taxonomyService - BlogTaxonomyService instance
+ * @param {Object} deps.analyticsService - BlogAnalyticsService instance
+ * @param {Function} deps.authMiddleware - Authentication middleware
+ * @param {Function} deps.requireRole - Role guard factory
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createAdminBlogRoutes({ blogService, taxonomyService, analyticsService, authMiddleware, requireRole, handleValidationErrors }) {
+  const router = express.Router();
+
+  // Per route rather than router.use: /api/admin/blog also has inline routes in server.js
+  const adminOnly = [authMiddleware, requireRole('superadmin')];
+
+  // ============ POSTS ============
+  router.get('/posts', adminOnly, async (req, res) => {
+    try {
+      const posts = await blogService.listPosts();
+      res.json({ posts });
+    } catch (error) {
+      console.error('Admin get blog posts error:', error);
+      res.status(500).json({ error: 'Failed to fetch posts' });
+    }
+  });
+
+  router.get('/posts/:id', adminOnly, idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const post = await blogService.getPost(req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      res.json({ post });
+    } catch (error) {
+      console.error('Admin get blog post error:', error);
+      res.status(500).json({ error: 'Failed to fetch post' });
+    }
+  });
+
+  router.post('/posts', adminOnly, createValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const post = await blogService.createPost(req.body, getUsername(req));
+      res.json({ success: true, post });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      if (error.status === 400 || error.code === '23505') {
+        return res.status(400).json({ error: error.status === 400 ? error.message : 'A post with this slug already exists' });
+      }
+      console.error('Create blog post error:', error);
+      res.status(500).json({ error: 'Failed to create post' });
+    }
+  });
+
+  router.put('/posts/:id', adminOnly, updateValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const post = await blogService.updatePost(req.params.id, req.body, getUsername(req));
+      if (!post) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      res.json({ success: true, post });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      if (error.status === 400 || error.code === '23505') {
+        return res.status(400).json({ error: error.status === 400 ? error.message : 'A post with this slug already exists' });
+      }
+      console.error('Update blog post error:', error);
+      res.status(500).json({ error: 'Failed to update post' });
+    }
+  });
+
+  // Moves the post to the trash
+  router.delete('/posts/:id', adminOnly, idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const deleted = await blogService.trashPost(req.params.id, getUsername(req));
+      if (!deleted) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      res.json({ success: true, deleted });
+    } catch (error) {
+      console.error('Delete blog post error:', error);
+      res.status(500).json({ error: 'Failed to delete post' });
+    }
+  });
+
+  // ============ ANALYTICS ============
+  router.get('/posts/:id/analytics', adminOnly, analyticsValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const post = await blogService.getPost(req.params.id);
+      if (!post) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      const analytics = await analyticsService.getPostAnalytics(post.id, { days: req.query.days });
+      res.json({ analytics });
+    } catch (error) {
+      console.error('Blog post analytics error:', error);
+      res.status(500).json({ error: 'Failed to fetch post analytics' });
+    }
+  });
+
+  // ============ REVISIONS ============
+  router.get('/posts/:id/revisions', adminOnly, idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const revisions = await blogService.listRevisions(req.params.id);
+      if (!revisions) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      res.json({ revisions });
+    } catch (error) {
+      console.error('Blog revisions list error:', error);
+      res.status(500).json({ error: 'Failed to fetch revisions' });
+    }
+  });
+
+  router.get('/posts/:id/revisions/compare', adminOnly, compareValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const diff = await blogService.compareRevisions(req.params.id, req.query.from, req.query.to);
+      if (!diff) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      res.json({ diff });
+    } catch (error) {
+      console.error('Blog revision compare error:', error);
+      res.status(500).json({ error: 'Failed to compare revisions' });
+    }
+  });
+
+  router.get('/posts/:id/revisions/:revisionId', adminOnly, revisionIdValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const revision = await blogService.getRevision(req.params.id, req.params.revisionId);
+      if (!revision) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      res.json({ revision });
+    } catch (error) {
+      console.error('Blog revision fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch revision' });
+    }
+  });
+
+  router.post('/posts/:id/revisions/:revisionId/restore', adminOnly, revisionIdValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const post = await blogService.restoreRevision(req.params.id, req.params.revisionId, getUsername(req));
+      if (!post) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      res.json({ success: true, post });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Blog revision restore error:', error);
+      res.status(500).json({ error: 'Failed to restore revision' });
+    }
+  });
+
+  // ============ TRASH ============
+  router.get('/trash', adminOnly, async (req, res) => {
+    try {
+      const posts = await blogService.listTrash();
+      res.json({ posts });
+    } catch (error) {
+      console.error('Blog trash list error:', error);
+      res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+  });
+
+  router.post('/trash/:id/restore', adminOnly, idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const post = await blogService.restorePost(req.params.id, getUsername(req));
+      if (!post) {
+        return res.status(404).json({ error: 'Post not found in trash' });
+      }
+      res.json({ success: true, post });
+    } catch (error) {
+      console.error('Blog trash restore error:', error);
+      res.status(500).json({ error: 'Failed to restore post' });
+    }
+  });
+
+  router.delete('/trash/:id', adminOnly, idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const deleted = await blogService.purgePost(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Post not found in trash' });
+      }
+      res.json({ success: true, deleted });
+    } catch (error) {
+      console.error('Blog trash purge error:', error);
+      res.status(500).json({ error: 'Failed to permanently delete post' });
+    }
+  });
+
+  // ============ CATEGORIES ============
+  router.get('/categories', adminOnly, async (req, res) => {
+    try {
+      const categories = await blogService.listCategories();
+      res.json({ categories });
+    } catch (error) {
+      console.error('Get categories error:', error);
+      // Return default categories if table doesn't exist
+      res.json({ categories: DEFAULT_CATEGORIES });
+    }
+  });
+
+  // ============ AUTHORS ============
+  router.get('/authors', adminOnly, async (req, res) => {
+    try {
+      const authors = await taxonomyService.listAuthors();
+      res.json({ authors });
+    } catch (error) {
+      console.error('Blog author list error:', error);
+      res.status(500).json({ error: 'Failed to fetch authors' });
+    }
+  });
+
+  router.post('/authors', adminOnly, authorValidator(true), handleValidationErrors, async (req, res) => {
+    try {
+      const author = await taxonomyService.createAuthor(req.body);
+      res.json({ success: true, author });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Create blog author error:', error);
+      res.status(500).json({ error: 'Failed to create author' });
+    }
+  });
+
+  router.put('/authors/:id', adminOnly, idValidator, authorValidator(false), handleValidationErrors, async (req, res) => {
+    try {
+      const author = await taxonomyService.updateAuthor(req.params.id, req.body);
+      if (!author) {
+        return res.status(404).json({ error: 'Author not found' });
+      }
+      res.json({ success: true, author });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Update blog author error:', error);
+      res.status(500).json({ error: 'Failed to update author' });
+    }
+  });
+
+  // Posts keep the byline, without a profile link
+  router.delete('/authors/:id', adminOnly, idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const deleted = await taxonomyService.deleteAuthor(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Author not found' });
+      }
+      res.json({ success: true, deleted });
+    } catch (error) {
+      console.error('Delete blog author error:', error);
+      res.status(500).json({ error: 'Failed to delete author' });
+    }
+  });
+
+  // ============ TAGS ============
+  router.get('/tags', adminOnly, async (req, res) => {
+    try {
+      const tags = await taxonomyService.listTags();
+      res.json({ tags });
+    } catch (error) {
+      console.error('Blog tag list error:', error);
+      res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+  });
+
+  router.post('/tags', adminOnly, tagValidator(true), handleValidationErrors, async (req, res) => {
+    try {
+      const tag = await taxonomyService.createTag(req.body);
+      res.json({ success: true, tag });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Create blog tag error:', error);
+      res.status(500).json({ error: 'Failed to create tag' });
+    }
+  });
+
+  router.put('/tags/:id', adminOnly, idValidator, tagValidator(false), handleValidationErrors, async (req, res) => {
+    try {
+      const tag = await taxonomyService.updateTag(req.params.id, req.body);
+      if (!tag) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+      res.json({ success: true, tag });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Update blog tag error:', error);
+      res.status(500).json({ error: 'Failed to update tag' });
+    }
+  });
+
+  // Removes the tag from every post
+  router.delete('/tags/:id', adminOnly, idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const deleted = await taxonomyService.deleteTag(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Tag not found' });
+      }
+      res.json({ success: true, deleted });
+    } catch (error) {
+      console.error('Delete blog tag error:', error);
+      res.status(500).json({ error: 'Failed to delete tag' });
+    }
+  });
+
+  // ============ SERIES ============
+  router.get('/series', adminOnly, async (req, res) => {
+    try {
+      const series = await taxonomyService.listSeries();
+      res.json({ series });
+    } catch (error) {
+      console.error('Blog series list error:', error);
+      res.status(500).json({ error: 'Failed to fetch series' });
+    }
+  });
+
+  router.post('/series', adminOnly, seriesValidator(true), handleValidationErrors, async (req, res) => {
+    try {
+      const series = await taxonomyService.createSeries(req.body);
+      res.json({ success: true, series });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Create blog series error:', error);
+      res.status(500).json({ error: 'Failed to create series' });
+    }
+  });
+
+  router.put('/series/:id', adminOnly, idValidator, seriesValidator(false), handleValidationErrors, async (req, res) => {
+    try {
+      const series = await taxonomyService.updateSeries(req.params.id, req.body);
+      if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
+      }
+      res.json({ success: true, series });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Update blog series error:', error);
+      res.status(500).json({ error: 'Failed to update series' });
+    }
+  });
+
+  // Posts leave the series but stay published
+  router.delete('/series/:id', adminOnly, idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const deleted = await taxonomyService.deleteSeries(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Series not found' });
+      }
+      res.json({ success: true, deleted });
+    } catch (error) {
+      console.error('Delete blog series error:', error);
+      res.status(500).json({ error: 'Failed to delete series' });
+    }
+  });
+
+  router.put('/series/:id/order', adminOnly, reorderValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const series = await taxonomyService.reorderSeries(req.params.id, req.body.post_ids);
+      if (!series) {
+        return res.status(404).json({ error: 'Series not found' });
+      }
+      res.json({ success: true, series });
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Reorder blog series error:', error);
+      res.status(500).json({ error: 'Failed to reorder series' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminBlogRoutes;
@@ -0,0 +1,154 @@
+/**
+ * Admin Bookings Routes Module
+ *
+ * Superadmin endpoints behind /api/admin/bookings backing the vault
+ * Bookings screen:
+ * - Upcoming / past bookings and cancellation
+ * - Scheduling settings and weekly availability
+ * - Blackout dates
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+
+// ============ VALIDATORS ============
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const listValidator = [
+  query('status').optional().isIn(['confirmed', 'cancelled']).withMessage('Invalid status'),
+  query('upcoming').optional().isBoolean().toBoolean(),
+];
+
+const idValidator = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid id').toInt(),
+];
+
+const availabilityValidator = [
+  body('settings').optional().isObject().withMessage('Invalid settings'),
+  body('settings.timezone').optional().isString().isLength({ min: 1, max: 64 }).withMessage('Invalid timezone'),
+  body('settings.slot_interval_minutes').optional().isInt({ min: 5, max: 120 }).withMessage('Slot interval must be 5-120 minutes').toInt(),
+  body('settings.buffer_minutes').optional().isInt({ min: 0, max: 120 }).withMessage('Buffer must be 0-120 minutes').toInt(),
+  body('settings.min_notice_hours').optional().isInt({ min: 0, max: 336 }).withMessage('Minimum notice must be 0-336 hours').toInt(),
+  body('settings.max_days_ahead').optional().isInt({ min: 1, max: 180 }).withMessage('Booking horizon must be 1-180 days').toInt(),
+  body('settings.meeting_location')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Location must be at most 500 characters'),
+  body('rules').optional().isArray({ max: 50 }).withMessage('Invalid availability'),
+  body('rules.*.weekday').isInt({ min: 0, max: 6 }).withMessage('Invalid weekday').toInt(),
+  body('rules.*.start_time').matches(TIME_PATTERN).withMessage('Times must be HH:MM'),
+  body('rules.*.end_time').matches(TIME_PATTERN).withMessage('Times must be HH:MM'),
+];
+
+const blackoutValidator = [
+  body('startDate').isISO8601({ strict: true }).withMessage('Valid start date is required'),
+  body('endDate').isISO8601({ strict: true }).withMessage('Valid end date is required'),
+  body('reason').optional({ values: 'falsy' }).trim().isLength({ max: 200 }).withMessage('Reason must be at most 200 characters'),
+];
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates admin booking routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.bookingService - BookingService instance
+ * @param {Function} deps.authMiddleware - Authentication middleware
+ * @param {Function} deps.requireRole - Role guard factory
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createAdminBookingsRoutes({ bookingService, authMiddleware, requireRole, handleValidationErrors }) {
+  const router = express.Router();
+
+  router.use(authMiddleware, requireRole('superadmin'));
+
+  // ============ LIST BOOKINGS ============
+  router.get('/', listValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const { status, upcoming = true } = req.query;
+      const bookings = await bookingService.listBookings({ status, upcoming });
+      res.json({ bookings });
+    } catch (error) {
+      console.error('Bookings list error:', error);
+      res.status(500).json({ error: 'Failed to fetch bookings' });
+    }
+  });
+
+  // ============ AVAILABILITY ============
+  router.get('/availability', async (req, res) => {
+    try {
+      res.json(await bookingService.getAvailabilityConfig());
+    } catch (error) {
+      console.error('Booking availability error:', error);
+      res.status(500).json({ error: 'Failed to fetch availability' });
+    }
+  });
+
+  router.put('/availability', availabilityValidator, handleValidationErrors, async (req, res) => {
+    try {
+      if (req.body.settings) {
+        const result = await bookingService.updateSettings(req.body.settings);
+        if (!result.success) {
+          return res.status(400).json({ error: result.message });
+        }
+      }
+      if (req.body.rules) {
+        const result = await bookingService.replaceAvailability(req.body.rules);
+        if (!result.success) {
+          return res.status(400).json({ error: result.message });
+        }
+      }
+      res.json(await bookingService.getAvailabilityConfig());
+    } catch (error) {
+      console.error('Booking availability update error:', error);
+      res.status(500).json({ error: 'Failed to update availability' });
+    }
+  });
+
+  // ============ BLACKOUT DATES ============
+  router.post('/blackouts', blackoutValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const result = await bookingService.addBlackout(req.body);
+      if (!result.success) {
+        return res.status(400).json({ error: result.message });
+      }
+      res.status(201).json({ blackout: result.blackout });
+    } catch (error) {
+      console.error('Booking blackout create error:', error);
+      res.status(500).json({ error: 'Failed to add blackout' });
+    }
+  });
+
+  router.delete('/blackouts/:id', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const deleted = await bookingService.deleteBlackout(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Blackout not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Booking blackout delete error:', error);
+      res.status(500).json({ error: 'Failed to delete blackout' });
+    }
+  });
+
+  // ============ CANCEL BOOKING ============
+  router.post('/:id/cancel', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const result = await bookingService.cancel(req.params.id, 'admin');
+      if (!result.success) {
+        return res.status(400).json({ error: result.message });
+      }
+      res.json(result);
+    } catch (error) {
+      console.error('Booking cancel error:', error);
+      res.status(500).json({ error: 'Failed to cancel booking' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminBookingsRoutes;
@@ -0,0 +1,148 @@
+/**
+ * Admin Blog Comments Routes Module
+ *
+ * Comment moderation behind /api/admin/comments, used by the Blog Editor
+ * (see modules/blog/blog-comments.service.js):
+ * - Moderation queue by status, with counts per status
+ * - Approve, reject or mark as spam; reply as staff; delete
+ * - Open or close comments on a post
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const BlogCommentsService = require('../modules/blog/blog-comments.service');
+
+const { STATUSES } = BlogCommentsService;
+
+// ============ VALIDATORS ============
+
+const idValidator = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid id').toInt(),
+];
+
+const listValidator = [
+  query('status').optional().isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`),
+  query('post_id').optional().isInt({ min: 1 }).withMessage('Invalid post_id').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Invalid offset').toInt(),
+];
+
+const statusValidator = [
+  ...idValidator,
+  body('status').isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`),
+];
+
+const replyValidator = [
+  ...idValidator,
+  body('body')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Reply must be between 1 and 5000 characters'),
+];
+
+const settingsValidator = [
+  ...idValidator,
+  body('comments_enabled').isBoolean().withMessage('comments_enabled must be true or false').toBoolean(),
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getUsername = (req) => req.username || 'superadmin';
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates admin comment moderation routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.commentsService - BlogCommentsService instance
+ * @param {Function} deps.authMiddleware - Authentication middleware
+ * @param {Function} deps.requireRole - Role guard factory
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createAdminCommentsRoutes({ commentsService, authMiddleware, requireRole, handleValidationErrors }) {
+  const router = express.Router();
+
+  router.use(authMiddleware, requireRole('superadmin'));
+
+  router.get('/', listValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const result = await commentsService.listComments({
+        status: req.query.status,
+        postId: req.query.post_id,
+        limit: req.query.limit,
+        offset: req.query.offset,
+      });
+      res.json(result);
+    } catch (error) {
+      console.error('Comments list error:', error);
+      res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+  });
+
+  router.get('/counts', async (req, res) => {
+    try {
+      const counts = await commentsService.countByStatus();
+      res.json({ counts });
+    } catch (error) {
+      console.error('Comment counts error:', error);
+      res.status(500).json({ error: 'Failed to fetch comment counts' });
+    }
+  });
+
+  router.put('/:id/status', statusValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const comment = await commentsService.setStatus(req.params.id, req.body.status, getUsername(req));
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+      res.json({ success: true, comment });
+    } catch (error) {
+      console.error('Comment moderation error:', error);
+      res.status(500).json({ error: 'Failed to update comment' });
+    }
+  });
+
+  router.post('/:id/reply', replyValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const reply = await commentsService.reply(req.params.id, req.body.body, getUsername(req));
+      if (!reply) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+      res.status(201).json({ success: true, comment: reply });
+    } catch (error) {
+      console.error('Comment reply error:', error);
+      res.status(500).json({ error: 'Failed to post reply' });
+    }
+  });
+
+  router.delete('/:id', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const deleted = await commentsService.deleteComment(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Comment delete error:', error);
+      res.status(500).json({ error: 'Failed to delete comment' });
+    }
+  });
+
+  router.put('/posts/:id/settings', settingsValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const post = await commentsService.setCommentsEnabled(req.params.id, req.body.comments_enabled);
+      if (!post) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      res.json({ success: true, post });
+    } catch (error) {
+      console.error('Comment settings error:', error);
+      res.status(500).json({ error: 'Failed to update comment settings' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminCommentsRoutes;
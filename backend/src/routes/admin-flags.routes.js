@@ -0,0 +1,185 @@
+/**
+ * Admin Feature Flags Routes Module
+ *
+ * Superadmin endpoints behind /api/admin/flags:
+ * - List, create, update and delete flags
+ * - Kill switch and restore
+ */
+
+const express = require('express');
+const { body, param } = require('express-validator');
+const { FLAG_KEY_PATTERN } = require('../modules/flags/flag-evaluation');
+
+// ============ VALIDATORS ============
+
+const DEVICES = ['desktop', 'mobile', 'tablet'];
+
+const idValidator = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid flag id').toInt(),
+];
+
+const stringList = (field, max, label) => body(field)
+  .optional()
+  .isArray({ max })
+  .withMessage(`${label} must be a list of at most ${max} entries`)
+  .custom(values => values.every(value => typeof value === 'string' && value.length > 0 && value.length <= 200))
+  .withMessage(`${label} must be non-empty strings`);
+
+const flagFieldsValidator = [
+  body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 2000 }),
+  body('enabled').optional().isBoolean({ strict: true }).withMessage('enabled must be true or false'),
+  body('killSwitch').optional().isBoolean({ strict: true }).withMessage('killSwitch must be true or false'),
+  body('rolloutPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Rollout must be between 0 and 100')
+    .toFloat(),
+  stringList('environments', 20, 'Environments'),
+  body('targeting').optional().isObject().withMessage('Invalid targeting'),
+  stringList('targeting.countries', 100, 'Countries'),
+  stringList('targeting.pages', 50, 'Pages'),
+  body('targeting.devices')
+    .optional()
+    .isArray()
+    .custom(values => values.every(value => DEVICES.includes(value)))
+    .withMessage(`Devices must be any of: ${DEVICES.join(', ')}`),
+];
+
+const createValidator = [
+  body('key')
+    .isString()
+    .withMessage('Key is required')
+    .bail()
+    .trim()
+    .matches(FLAG_KEY_PATTERN)
+    .withMessage('Key must be lowercase letters, digits, dots, dashes or underscores'),
+  ...flagFieldsValidator,
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getClientIP = (req) => {
+  return req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || req.ip;
+};
+
+// Who is acting, for the audit log
+const getActor = (req) => ({
+  userId: req.userId,
+  tenantId: req.tenantId,
+  ip: getClientIP(req),
+  userAgent: req.headers['user-agent'],
+});
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates admin feature flag routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.flagService - FeatureFlagService instance
+ * @param {Function} deps.authMiddleware - Authentication middleware
+ * @param {Function} deps.requireRole - Role guard factory
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createAdminFlagsRoutes({ flagService, authMiddleware, requireRole, handleValidationErrors }) {
+  const router = express.Router();
+
+  router.use(authMiddleware, requireRole('superadmin'));
+
+  // ============ LIST FLAGS ============
+  router.get('/', async (req, res) => {
+    try {
+      const flags = await flagService.listFlags();
+      res.json({ flags, environment: flagService.environment });
+    } catch (error) {
+      console.error('Feature flags list error:', error);
+      res.status(500).json({ error: 'Failed to fetch feature flags' });
+    }
+  });
+
+  // ============ CREATE FLAG ============
+  router.post('/', createValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const flag = await flagService.createFlag(req.body, getActor(req));
+      res.status(201).json({ flag });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({ error: 'A flag with this key already exists' });
+      }
+      console.error('Feature flag create error:', error);
+      res.status(500).json({ error: 'Failed to create feature flag' });
+    }
+  });
+
+  // ============ FLAG DETAIL ============
+  router.get('/:id', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const flag = await flagService.getFlag(req.params.id);
+      if (!flag) {
+        return res.status(404).json({ error: 'Feature flag not found' });
+      }
+      res.json({ flag });
+    } catch (error) {
+      console.error('Feature flag fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch feature flag' });
+    }
+  });
+
+  // ============ UPDATE FLAG ============
+  router.patch('/:id', idValidator, flagFieldsValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const flag = await flagService.updateFlag(req.params.id, req.body, getActor(req));
+      if (!flag) {
+        return res.status(404).json({ error: 'Feature flag not found' });
+      }
+      res.json({ flag });
+    } catch (error) {
+      console.error('Feature flag update error:', error);
+      res.status(500).json({ error: 'Failed to update feature flag' });
+    }
+  });
+
+  // ============ KILL SWITCH ============
+  router.post('/:id/kill', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const flag = await flagService.updateFlag(req.params.id, { killSwitch: true }, getActor(req));
+      if (!flag) {
+        return res.status(404).json({ error: 'Feature flag not found' });
+      }
+      res.json({ flag });
+    } catch (error) {
+      console.error('Feature flag kill error:', error);
+      res.status(500).json({ error: 'Failed to kill feature flag' });
+    }
+  });
+
+  router.post('/:id/restore', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const flag = await flagService.updateFlag(req.params.id, { killSwitch: false }, getActor(req));
+      if (!flag) {
+        return res.status(404).json({ error: 'Feature flag not found' });
+      }
+      res.json({ flag });
+    } catch (error) {
+      console.error('Feature flag restore error:', error);
+      res.status(500).json({ error: 'Failed to restore feature flag' });
+    }
+  });
+
+  // ============ DELETE FLAG ============
+  router.delete('/:id', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const deleted = await flagService.deleteFlag(req.params.id, getActor(req));
+      if (!deleted) {
+        return res.status(404).json({ error: 'Feature flag not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Feature flag delete error:', error);
+      res.status(500).json({ error: 'Failed to delete feature flag' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminFlagsRoutes;
@@ -0,0 +1,254 @@
+/**
+ * Admin Leads Routes Module
+ *
+ * Superadmin endpoints behind /api/admin/leads backing the vault Leads
+ * and Pipeline screens:
+ * - Lead list, detail, manual create, update, delete
+ * - Kanban board and stage changes
+ * - Owners, notes and sales re-notification
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const LeadPipelineService = require('../modules/leads/lead-pipeline.service');
+
+const { STAGE_IDS } = LeadPipelineService;
+
+// ============ VALIDATORS ============
+
+const listValidator = [
+  query('formType').optional().isIn(['demo', 'consultation', 'pilot', 'manual']).withMessage('Invalid form type'),
+  query('status').optional().isIn(STAGE_IDS).withMessage('Invalid stage'),
+  query('search').optional().trim().isLength({ max: 200 }).withMessage('Search too long'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+];
+
+const boardValidator = [
+  query('owner')
+    .optional()
+    .custom(value => value === 'unassigned' || /^\d+$/.test(value))
+    .withMessage('Invalid owner'),
+];
+
+const idValidator = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid lead id').toInt(),
+];
+
+const text = (field, max, label) => body(field)
+  .optional({ values: 'null' })
+  .isString()
+  .trim()
+  .isLength({ max })
+  .withMessage(`${label} must be at most ${max} characters`);
+
+const leadFieldsValidator = [
+  text('company', 200, 'Company'),
+  text('jobTitle', 200, 'Role'),
+  text('companySize', 50, 'Company size'),
+  text('phone', 50, 'Phone'),
+  text('message', 5000, 'Message'),
+  text('lostReason', 500, 'Lost reason'),
+  body('ownerId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Invalid owner')
+    .toInt(),
+  body('status')
+    .optional()
+    .isIn(STAGE_IDS)
+    .withMessage(`Stage must be one of: ${STAGE_IDS.join(', ')}`),
+];
+
+const createValidator = [
+  body('name').trim().isLength({ min: 1, max: 200 }).withMessage('Name is required'),
+  body('email').trim().isEmail().withMessage('Valid email is required').isLength({ max: 320 }),
+  ...leadFieldsValidator,
+];
+
+const updateValidator = [
+  ...idValidator,
+  body('name').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Name cannot be empty'),
+  body('email').optional().trim().isEmail().withMessage('Valid email is required').isLength({ max: 320 }),
+  ...leadFieldsValidator,
+];
+
+const noteValidator = [
+  ...idValidator,
+  body('body').trim().isLength({ min: 1, max: 5000 }).withMessage('Note must be 1-5000 characters'),
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getClientIP = (req) => {
+  return req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || req.ip;
+};
+
+// Who is acting, for activity history and the audit log
+const getActor = (req) => ({
+  userId: req.userId,
+  username: req.username,
+  tenantId: req.tenantId,
+  ip: getClientIP(req),
+  userAgent: req.headers['user-agent'],
+});
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates admin lead routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.leadsService - LeadsService instance
+ * @param {Object} deps.pipelineService - LeadPipelineService instance
+ * @param {Function} deps.authMiddleware - Authentication middleware
+ * @param {Function} deps.requireRole - Role guard factory
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createAdminLeadsRoutes({ leadsService, pipelineService, authMiddleware, requireRole, handleValidationErrors }) {
+  const router = express.Router();
+
+  router.use(authMiddleware, requireRole('superadmin'));
+
+  // ============ LIST LEADS ============
+  router.get('/', listValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const { formType, status, search, limit = 50, offset = 0 } = req.query;
+      const [list, summary] = await Promise.all([
+        leadsService.listLeads({ formType, status, search, limit, offset }),
+        leadsService.getSummary(),
+      ]);
+      res.json({ ...list, summary });
+    } catch (error) {
+      console.error('Leads list error:', error);
+      res.status(500).json({ error: 'Failed to fetch leads' });
+    }
+  });
+
+  // ============ KANBAN BOARD ============
+  router.get('/board', boardValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const board = await pipelineService.getBoard({ ownerId: req.query.owner });
+      res.json(board);
+    } catch (error) {
+      console.error('Lead board error:', error);
+      res.status(500).json({ error: 'Failed to fetch pipeline' });
+    }
+  });
+
+  // ============ OWNERS ============
+  router.get('/owners', async (req, res) => {
+    try {
+      const owners = await pipelineService.listOwners();
+      res.json({ owners });
+    } catch (error) {
+      console.error('Lead owners error:', error);
+      res.status(500).json({ error: 'Failed to fetch owners' });
+    }
+  });
+
+  // ============ CREATE LEAD ============
+  router.post('/', createValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const lead = await pipelineService.createLead(req.body, getActor(req));
+      res.status(201).json({ lead });
+    } catch (error) {
+      console.error('Lead create error:', error);
+      res.status(500).json({ error: 'Failed to create lead' });
+    }
+  });
+
+  // ============ LEAD DETAIL ============
+  router.get('/:id', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const lead = await pipelineService.getLead(req.params.id);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      res.json({ lead });
+    } catch (error) {
+      console.error('Lead fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch lead' });
+    }
+  });
+
+  // ============ UPDATE LEAD (fields, owner, stage) ============
+  router.patch('/:id', updateValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const lead = await pipelineService.updateLead(req.params.id, req.body, getActor(req));
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      res.json({ lead });
+    } catch (error) {
+      if (error.code === '23503') {
+        return res.status(400).json({ error: 'Owner does not exist' });
+      }
+      console.error('Lead update error:', error);
+      res.status(500).json({ error: 'Failed to update lead' });
+    }
+  });
+
+  // ============ DELETE LEAD ============
+  router.delete('/:id', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const deleted = await pipelineService.deleteLead(req.params.id, getActor(req));
+      if (!deleted) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Lead delete error:', error);
+      res.status(500).json({ error: 'Failed to delete lead' });
+    }
+  });
+
+  // ============ NOTES ============
+  router.post('/:id/notes', noteValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const note = await pipelineService.addNote(req.params.id, req.body.body, getActor(req));
+      if (!note) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      res.status(201).json({ note });
+    } catch (error) {
+      console.error('Lead note error:', error);
+      res.status(500).json({ error: 'Failed to add note' });
+    }
+  });
+
+  router.delete('/:id/notes/:noteId',
+    [...idValidator, param('noteId').isInt({ min: 1 }).withMessage('Invalid note id').toInt()],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const deleted = await pipelineService.deleteNote(req.params.id, req.params.noteId);
+        if (!deleted) {
+          return res.status(404).json({ error: 'Note not found' });
+        }
+        res.json({ success: true });
+      } catch (error) {
+        console.error('Lead note delete error:', error);
+        res.status(500).json({ error: 'Failed to delete note' });
+      }
+    }
+  );
+
+  // ============ RESEND NOTIFICATION ============
+  router.post('/:id/notify', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const lead = await leadsService.getLead(req.params.id);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      const result = await leadsService.notifySales(lead);
+      res.status(result.success ? 200 : 502).json(result);
+    } catch (error) {
+      console.error('Lead notify error:', error);
+      res.status(500).json({ error: 'Failed to notify sales' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminLeadsRoutes;
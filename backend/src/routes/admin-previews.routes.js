@@ -0,0 +1,110 @@
+/**
+ * Admin Preview Links Routes Module
+ *
+ * "Share preview" endpoints behind /api/admin/previews, used by the Blog
+ * Editor and the Content Editor (see modules/editorial/preview.service.js):
+ * - Create an expiring preview link for a post or the pending site content
+ * - List a post's (or the site content's) links with their views
+ * - Revoke a link
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const PreviewService = require('../modules/editorial/preview.service');
+
+const CONTENT_TYPES = ['blog_post', 'site_content'];
+
+// ============ VALIDATORS ============
+
+// Posts are named by id; site content is one thing and has none
+const contentIdValidator = (location) => location('content_id')
+  .if(location('content_type').equals('blog_post'))
+  .isInt({ min: 1 }).withMessage('content_id is required for blog posts')
+  .toInt();
+
+const listValidator = [
+  query('content_type').isIn(CONTENT_TYPES).withMessage(`content_type must be one of: ${CONTENT_TYPES.join(', ')}`),
+  contentIdValidator(query),
+];
+
+const createValidator = [
+  body('content_type').isIn(CONTENT_TYPES).withMessage(`content_type must be one of: ${CONTENT_TYPES.join(', ')}`),
+  contentIdValidator(body),
+  body('ttl_hours').optional()
+    .isInt({ min: 1, max: PreviewService.MAX_TTL_HOURS })
+    .withMessage(`ttl_hours must be between 1 and ${PreviewService.MAX_TTL_HOURS}`)
+    .toInt(),
+  body('label').optional({ values: 'null' }).isString().trim().isLength({ max: 200 }).withMessage('Label must be at most 200 characters'),
+];
+
+const idValidator = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid link id').toInt(),
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getUsername = (req) => req.username || 'superadmin';
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates admin preview link routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.previewService - PreviewService instance
+ * @param {Function} deps.authMiddleware - Authentication middleware
+ * @param {Function} deps.requireRole - Role guard factory
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createAdminPreviewsRoutes({ previewService, authMiddleware, requireRole, handleValidationErrors }) {
+  const router = express.Router();
+
+  router.use(authMiddleware, requireRole('superadmin'));
+
+  router.get('/', listValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const links = await previewService.listLinks({
+        contentType: req.query.content_type,
+        contentId: req.query.content_id,
+      });
+      res.json({ links });
+    } catch (error) {
+      console.error('Preview links list error:', error);
+      res.status(500).json({ error: 'Failed to fetch preview links' });
+    }
+  });
+
+  router.post('/', createValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const created = await previewService.createLink({
+        contentType: req.body.content_type,
+        contentId: req.body.content_id,
+        ttlHours: req.body.ttl_hours,
+        label: req.body.label,
+      }, getUsername(req));
+      if (!created) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      res.status(201).json(created);
+    } catch (error) {
+      console.error('Preview link create error:', error);
+      res.status(500).json({ error: 'Failed to create preview link' });
+    }
+  });
+
+  router.delete('/:id', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const link = await previewService.revokeLink(req.params.id, getUsername(req));
+      if (!link) {
+        return res.status(404).json({ error: 'Preview link not found' });
+      }
+      res.json({ link });
+    } catch (error) {
+      console.error('Preview link revoke error:', error);
+      res.status(500).json({ error: 'Failed to revoke preview link' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminPreviewsRoutes;
@@ -0,0 +1,168 @@
+/**
+ * Admin Redirects Routes Module
+ *
+ * Redirect manager endpoints behind /api/admin/redirects, used by the SEO
+ * dashboard (see modules/seo/redirect.service.js):
+ * - List, create, edit and delete exact and pattern redirect rules
+ * - List the missing pages visitors hit, with redirect suggestions, and
+ *   dismiss them
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const RedirectService = require('../modules/seo/redirect.service');
+
+const ORIGINS = ['manual', ...Object.keys(RedirectService.SLUG_ORIGINS), 'not_found'];
+
+// ============ VALIDATORS ============
+
+const ruleFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('source_path').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Source path is required (max 500 characters)'),
+    field('target_path').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Target is required (max 1000 characters)'),
+    body('match_type').optional().isIn(RedirectService.MATCH_TYPES).withMessage(`match_type must be one of: ${RedirectService.MATCH_TYPES.join(', ')}`),
+    body('status_code').optional().isIn(RedirectService.STATUS_CODES).withMessage(`status_code must be one of: ${RedirectService.STATUS_CODES.join(', ')}`).toInt(),
+    body('note').optional({ values: 'null' }).isString().trim().isLength({ max: 300 }).withMessage('Note must be at most 300 characters'),
+    body('enabled').optional().isBoolean().withMessage('enabled must be true or false').toBoolean(),
+  ];
+};
+
+const listValidator = [
+  query('search').optional().isString().trim().isLength({ max: 200 }),
+  query('origin').optional().isIn(ORIGINS).withMessage(`origin must be one of: ${ORIGINS.join(', ')}`),
+];
+
+const createValidator = [
+  ...ruleFields(false),
+  body('origin').optional().isIn(['manual', 'not_found']).withMessage('origin must be manual or not_found'),
+];
+
+const updateValidator = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid redirect id').toInt(),
+  ...ruleFields(true),
+];
+
+const idValidator = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid redirect id').toInt(),
+];
+
+const notFoundListValidator = [
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200').toInt(),
+];
+
+const dismissValidator = [
+  query('path').isString().isLength({ min: 1, max: 500 }).withMessage('path is required'),
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getUsername = (req) => req.username || 'superadmin';
+
+const toInput = (reqBody) => ({
+  sourcePath: reqBody.source_path,
+  targetPath: reqBody.target_path,
+  matchType: reqBody.match_type,
+  statusCode: reqBody.status_code,
+  note: reqBody.note,
+  enabled: reqBody.enabled,
+  origin: reqBody.origin,
+});
+
+const sendError = (res, label, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: `Failed to ${label.toLowerCase()}` });
+};
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates admin redirect routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.redirectService - RedirectService instance
+ * @param {Function} deps.authMiddleware - Authentication middleware
+ * @param {Function} deps.requireRole - Role guard factory
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createAdminRedirectsRoutes({ redirectService, authMiddleware, requireRole, handleValidationErrors }) {
+  const router = express.Router();
+
+  router.use(authMiddleware, requireRole('superadmin'));
+
+  // ============ 404 LOG ============
+
+  router.get('/not-found', notFoundListValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const paths = await redirectService.listNotFound({ limit: req.query.limit });
+      res.json({ paths });
+    } catch (error) {
+      sendError(res, 'Load missing pages', error);
+    }
+  });
+
+  router.delete('/not-found', dismissValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const dismissed = await redirectService.dismissNotFound(req.query.path);
+      if (!dismissed) {
+        return res.status(404).json({ error: 'Path not in the 404 log' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      sendError(res, 'Dismiss missing page', error);
+    }
+  });
+
+  // ============ RULES ============
+
+  router.get('/', listValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const redirects = await redirectService.listRedirects({
+        search: req.query.search,
+        origin: req.query.origin,
+      });
+      res.json({ redirects });
+    } catch (error) {
+      sendError(res, 'Load redirects', error);
+    }
+  });
+
+  router.post('/', createValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const result = await redirectService.createRedirect(toInput(req.body), getUsername(req));
+      res.status(201).json(result);
+    } catch (error) {
+      sendError(res, 'Create redirect', error);
+    }
+  });
+
+  router.put('/:id', updateValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const result = await redirectService.updateRedirect(req.params.id, toInput(req.body));
+      if (!result) {
+        return res.status(404).json({ error: 'Redirect not found' });
+      }
+      res.json(result);
+    } catch (error) {
+      sendError(res, 'Update redirect', error);
+    }
+  });
+
+  router.delete('/:id', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const redirect = await redirectService.deleteRedirect(req.params.id);
+      if (!redirect) {
+        return res.status(404).json({ error: 'Redirect not found' });
+      }
+      res.json({ redirect });
+    } catch (error) {
+      sendError(res, 'Delete redirect', error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminRedirectsRoutes;
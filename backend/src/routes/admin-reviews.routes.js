@@ -0,0 +1,251 @@
+/**
+ * Admin Reviews Routes Module
+ *
+ * Editorial review endpoints behind /api/admin/reviews, used by the Blog
+ * Editor and the Content Editor (see modules/editorial):
+ * - Review queue, detail (changes, comments, signed trail) and reviewers
+ * - Submit, revise and reassign
+ * - Transitions: in_review, approved, draft (changes requested),
+ *   published, withdrawn
+ * - Inline comments and resolving them
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const EditorialWorkflowService = require('../modules/editorial/editorial-workflow.service');
+
+const { CONTENT_TYPES, STATES } = EditorialWorkflowService;
+
+// ============ VALIDATORS ============
+
+const idValidator = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid review id').toInt(),
+];
+
+const listValidator = [
+  query('open').optional().isBoolean().toBoolean(),
+  query('mine').optional().isBoolean().toBoolean(),
+  query('content_type').optional().isIn(CONTENT_TYPES).withMessage('Invalid content type'),
+  query('content_id').optional().isInt({ min: 1 }).withMessage('Invalid content id').toInt(),
+];
+
+// What a payload holds is checked by its content type's publisher
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const submitValidator = [
+  body('content_type').isIn(CONTENT_TYPES).withMessage(`content_type must be one of: ${CONTENT_TYPES.join(', ')}`),
+  body('content_id').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Invalid content id').toInt(),
+  body('title').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Title is required (max 500 characters)'),
+  body('payload').custom(isObject).withMessage('payload must be an object'),
+  body('reviewer_id').isInt({ min: 1 }).withMessage('Pick a reviewer').toInt(),
+  body('note').optional({ values: 'null' }).isString().trim().isLength({ max: 2000 }).withMessage('Note must be at most 2000 characters'),
+];
+
+const reviseValidator = [
+  ...idValidator,
+  body('title').optional({ values: 'null' }).isString().trim().isLength({ min: 1, max: 500 }).withMessage('Title must be 1-500 characters'),
+  body('payload').optional({ values: 'null' }).custom(isObject).withMessage('payload must be an object'),
+];
+
+const reviewerValidator = [
+  ...idValidator,
+  body('reviewer_id').isInt({ min: 1 }).withMessage('Pick a reviewer').toInt(),
+];
+
+const transitionValidator = [
+  ...idValidator,
+  body('state').isIn(STATES).withMessage(`state must be one of: ${STATES.join(', ')}`),
+  body('reason').optional({ values: 'null' }).isString().trim().isLength({ max: 2000 }).withMessage('Reason must be at most 2000 characters'),
+];
+
+const commentValidator = [
+  ...idValidator,
+  body('field').optional({ values: 'null' }).isString().trim().isLength({ max: 200 }).withMessage('Field must be at most 200 characters'),
+  body('quote').optional({ values: 'null' }).isString().trim().isLength({ max: 2000 }).withMessage('Quote must be at most 2000 characters'),
+  body('body').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Comment must be 1-5000 characters'),
+];
+
+const resolveValidator = [
+  ...idValidator,
+  param('commentId').isInt({ min: 1 }).withMessage('Invalid comment id').toInt(),
+  body('resolved').isBoolean({ strict: true }).withMessage('resolved must be true or false'),
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getClientIP = (req) => {
+  return req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || req.ip;
+};
+
+// Who is acting, for permissions, the signed trail and the audit log
+const getActor = (req) => ({
+  userId: req.userId,
+  username: req.username,
+  tenantId: req.tenantId,
+  ip: getClientIP(req),
+  userAgent: req.headers['user-agent'],
+});
+
+// Workflow refusals (bad input, wrong role, wrong state) carry their status
+const sendWorkflowError = (res, error) => {
+  if ([400, 403, 409].includes(error.status)) {
+    res.status(error.status).json({ error: error.message });
+    return true;
+  }
+  return false;
+};
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates admin review routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.workflowService - EditorialWorkflowService instance
+ * @param {Function} deps.authMiddleware - Authentication middleware
+ * @param {Function} deps.requireRole - Role guard factory
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createAdminReviewsRoutes({ workflowService, authMiddleware, requireRole, handleValidationErrors }) {
+  const router = express.Router();
+
+  router.use(authMiddleware, requireRole('superadmin'));
+
+  // ============ REVIEW QUEUE ============
+  router.get('/', listValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const reviews = await workflowService.listReviews({
+        open: req.query.open,
+        contentType: req.query.content_type,
+        contentId: req.query.content_id,
+        reviewerId: req.query.mine ? req.userId : undefined,
+      });
+      res.json({ reviews });
+    } catch (error) {
+      console.error('Review list error:', error);
+      res.status(500).json({ error: 'Failed to fetch reviews' });
+    }
+  });
+
+  // ============ REVIEWERS ============
+  router.get('/reviewers', async (req, res) => {
+    try {
+      const reviewers = await workflowService.listReviewers();
+      res.json({ reviewers: reviewers.filter(reviewer => reviewer.id !== req.userId) });
+    } catch (error) {
+      console.error('Reviewers error:', error);
+      res.status(500).json({ error: 'Failed to fetch reviewers' });
+    }
+  });
+
+  // ============ SUBMIT ============
+  router.post('/', submitValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const review = await workflowService.submit({
+        contentType: req.body.content_type,
+        contentId: req.body.content_id,
+        title: req.body.title,
+        payload: req.body.payload,
+        reviewerId: req.body.reviewer_id,
+        note: req.body.note,
+      }, getActor(req));
+      res.status(201).json({ review });
+    } catch (error) {
+      if (sendWorkflowError(res, error)) return;
+      console.error('Review submit error:', error);
+      res.status(500).json({ error: 'Failed to submit for review' });
+    }
+  });
+
+  // ============ REVIEW DETAIL ============
+  router.get('/:id', idValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const detail = await workflowService.getReview(req.params.id, getActor(req));
+      if (!detail) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+      res.json(detail);
+    } catch (error) {
+      console.error('Review fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch review' });
+    }
+  });
+
+  // ============ REVISE (after changes were requested) ============
+  router.put('/:id', reviseValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const review = await workflowService.revise(req.params.id, req.body, getActor(req));
+      if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+      res.json({ review });
+    } catch (error) {
+      if (sendWorkflowError(res, error)) return;
+      console.error('Review revise error:', error);
+      res.status(500).json({ error: 'Failed to revise review' });
+    }
+  });
+
+  // ============ REASSIGN ============
+  router.put('/:id/reviewer', reviewerValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const review = await workflowService.assignReviewer(req.params.id, req.body.reviewer_id, getActor(req));
+      if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+      res.json({ review });
+    } catch (error) {
+      if (sendWorkflowError(res, error)) return;
+      console.error('Review reassign error:', error);
+      res.status(500).json({ error: 'Failed to change reviewer' });
+    }
+  });
+
+  // ============ TRANSITION ============
+  router.post('/:id/transition', transitionValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const review = await workflowService.transition(req.params.id, req.body, getActor(req));
+      if (!review) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+      res.json({ review });
+    } catch (error) {
+      if (sendWorkflowError(res, error)) return;
+      console.error('Review transition error:', error);
+      res.status(500).json({ error: 'Failed to update review' });
+    }
+  });
+
+  // ============ COMMENTS ============
+  router.post('/:id/comments', commentValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const comment = await workflowService.addComment(req.params.id, req.body, getActor(req));
+      if (!comment) {
+        return res.status(404).json({ error: 'Review not found' });
+      }
+      res.status(201).json({ comment });
+    } catch (error) {
+      if (sendWorkflowError(res, error)) return;
+      console.error('Review comment error:', error);
+      res.status(500).json({ error: 'Failed to add comment' });
+    }
+  });
+
+  router.put('/:id/comments/:commentId', resolveValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const comment = await workflowService.resolveComment(
+        req.params.id, req.params.commentId, req.body.resolved, getActor(req)
+      );
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+      res.json({ comment });
+    } catch (error) {
+      console.error('Review comment resolve error:', error);
+      res.status(500).json({ error: 'Failed to update comment' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminReviewsRoutes;
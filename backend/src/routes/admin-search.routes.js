@@ -0,0 +1,67 @@
+/**
+ * Admin Search Routes Module
+ *
+ * Superadmin endpoints behind /api/admin/search:
+ * - Content gaps: searches that found nothing, and dismissing them
+ */
+
+const express = require('express');
+const { param, query } = require('express-validator');
+
+// ============ VALIDATORS ============
+
+const missesValidator = [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be 1-365').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be 1-500').toInt(),
+];
+
+const missValidator = [
+  param('query').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Invalid query'),
+];
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates admin search routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.searchService - SearchService instance
+ * @param {Function} deps.authMiddleware - Authentication middleware
+ * @param {Function} deps.requireRole - Role guard factory
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createAdminSearchRoutes({ searchService, authMiddleware, requireRole, handleValidationErrors }) {
+  const router = express.Router();
+
+  router.use(authMiddleware, requireRole('superadmin'));
+
+  // ============ CONTENT GAPS ============
+  router.get('/misses', missesValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const misses = await searchService.listMisses({
+        days: req.query.days || 90,
+        limit: req.query.limit || 100,
+      });
+      res.json({ misses });
+    } catch (error) {
+      console.error('Search misses list error:', error);
+      res.status(500).json({ error: 'Failed to fetch zero-result searches' });
+    }
+  });
+
+  router.delete('/misses/:query', missValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const deleted = await searchService.deleteMiss(req.params.query);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Search not found' });
+      }
+      res.json({ success: true, deleted });
+    } catch (error) {
+      console.error('Search miss delete error:', error);
+      res.status(500).json({ error: 'Failed to dismiss search' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminSearchRoutes;
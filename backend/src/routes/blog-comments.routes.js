@@ -0,0 +1,166 @@
+/**
+ * Blog Comments Routes Module
+ *
+ * Public comment and Q&A threads behind /api/blog/posts/:slug/comments
+ * (see modules/blog/blog-comments.service.js):
+ * - Approved threads for an article
+ * - Submit a comment, question or reply for moderation
+ *
+ * Both answer 404 while the 'blog.comments' feature flag is off for the
+ * visitor, so its kill switch closes every thread, not just the UI.
+ */
+
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const BlogCommentsService = require('../modules/blog/blog-comments.service');
+
+// Hidden fields on the comment form that only bots fill in
+const TRAP_FIELDS = ['website'];
+
+// Feature flag that switches comment threads on and off
+const COMMENTS_FLAG = 'blog.comments';
+
+// Same answer for held, spam and trapped submissions
+const RECEIVED_MESSAGE = 'Thanks! Your comment will appear once it has been reviewed.';
+
+// ============ VALIDATORS ============
+
+const slugValidator = [
+  param('slug').isLength({ max: 120 }).withMessage('Invalid slug')
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Invalid slug'),
+  query('userId').optional().isString().trim().isLength({ max: 255 }).withMessage('Invalid userId'),
+];
+
+const commentValidator = [
+  ...slugValidator,
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail()
+    .withMessage('Email must be a valid address')
+    .isLength({ max: 255 })
+    .withMessage('Email too long'),
+  body('body')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 5000 })
+    .withMessage('Comment must be between 2 and 5000 characters'),
+  body('kind')
+    .optional()
+    .isIn(BlogCommentsService.KINDS)
+    .withMessage(`kind must be one of: ${BlogCommentsService.KINDS.join(', ')}`),
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Invalid parent comment')
+    .toInt(),
+  body('elapsed_ms')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Invalid elapsed_ms')
+    .toInt(),
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getClientIP = (req) => {
+  return req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || req.ip;
+};
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates public blog comment routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.commentsService - BlogCommentsService instance
+ * @param {Object} deps.flagService - FeatureFlagService instance
+ * @param {Object} deps.honeypotService - HoneypotService instance (form traps)
+ * @param {Object} deps.commentLimiter - Rate limiter for comment submissions
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createBlogCommentsRoutes({ commentsService, flagService, honeypotService, commentLimiter, handleValidationErrors }) {
+  const router = express.Router();
+
+  // Evaluated like the article page's useFlag(): same visitor id and page
+  const requireCommentsFlag = async (req, res, next) => {
+    const enabled = await flagService.enabledKeys([COMMENTS_FLAG], {
+      userId: req.query.userId,
+      ip: getClientIP(req),
+      userAgent: req.headers['user-agent'],
+      page: `/blog/${req.params.slug}`,
+    });
+    if (!enabled.has(COMMENTS_FLAG)) {
+      return res.status(404).json({ success: false, message: 'Comments are not available' });
+    }
+    next();
+  };
+
+  router.get('/posts/:slug/comments', slugValidator, handleValidationErrors, requireCommentsFlag, async (req, res) => {
+    try {
+      const threads = await commentsService.getThreads(req.params.slug);
+      if (!threads) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      res.json(threads);
+    } catch (error) {
+      console.error('Blog comments fetch error:', error);
+      res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+  });
+
+  router.post('/posts/:slug/comments',
+    commentLimiter,
+    // Before validation, so a bot gets the same answer whatever else it sent
+    (req, res, next) => {
+      const trapped = honeypotService.checkForm(
+        Object.fromEntries(TRAP_FIELDS.map(field => [field, req.body?.[field]])),
+        {
+          ip: getClientIP(req),
+          userAgent: req.headers['user-agent'],
+          path: req.originalUrl,
+          body: req.body,
+        }
+      );
+      if (trapped) {
+        return res.status(201).json({ success: true, message: RECEIVED_MESSAGE });
+      }
+      next();
+    },
+    commentValidator,
+    handleValidationErrors,
+    requireCommentsFlag,
+    async (req, res) => {
+      try {
+        const comment = await commentsService.submit(req.params.slug, {
+          name: req.body.name,
+          email: req.body.email,
+          body: req.body.body,
+          kind: req.body.kind,
+          parentId: req.body.parent_id,
+          elapsedMs: req.body.elapsed_ms,
+        }, {
+          ip: getClientIP(req),
+          userAgent: req.headers['user-agent'],
+        });
+        if (!comment) {
+          return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+        res.status(201).json({ success: true, message: RECEIVED_MESSAGE });
+      } catch (error) {
+        if (error.status === 400 || error.status === 403) {
+          return res.status(error.status).json({ success: false, message: error.message });
+        }
+        console.error('Blog comment submit error:', error);
+        res.status(500).json({ success: false, message: 'Could not post your comment. Please try again later.' });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createBlogCommentsRoutes;
@@ -0,0 +1,95 @@
+/**
+ * Blog Routes Module
+ *
+ * Public collection pages behind /api/blog (posts themselves are served by
+ * /api/blog/posts in server.js):
+ * - GET /authors/:slug - author profile and their published posts
+ * - GET /tags/:slug - tag and its published posts
+ * - GET /series/:slug - series and its published parts in reading order
+ * - GET /posts/:slug/related - recommended articles for a post
+ */
+
+const express = require('express');
+const { param, query } = require('express-validator');
+const BlogService = require('../modules/blog/blog.service');
+const RelatedPostsService = require('../modules/blog/related-posts.service');
+
+// ============ VALIDATORS ============
+
+const slugValidator = [
+  param('slug').isLength({ max: 120 }).withMessage('Invalid slug')
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Invalid slug'),
+];
+
+const relatedValidator = [
+  ...slugValidator,
+  query('limit').optional().isInt({ min: 1, max: RelatedPostsService.MAX_LIMIT }).withMessage('Invalid limit').toInt(),
+];
+
+// Cached with the rest of the public blog content; blogService clears it on change
+const CACHE_TTL = 300;
+
+// Recommendations scan every post; co-visits drift slowly enough for an hour
+const RELATED_CACHE_TTL = 3600;
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates public blog routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.taxonomyService - BlogTaxonomyService instance
+ * @param {Object} deps.relatedPostsService - RelatedPostsService instance
+ * @param {Function} deps.cacheWrapper - (key, ttl, fn) => cached result of fn
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createBlogRoutes({ taxonomyService, relatedPostsService, cacheWrapper, handleValidationErrors }) {
+  const router = express.Router();
+
+  const collection = (kind, load, notFoundMessage) => async (req, res) => {
+    try {
+      const page = await cacheWrapper(
+        `${BlogService.CACHE_PREFIX}${kind}:${req.params.slug}`,
+        CACHE_TTL,
+        () => load(req.params.slug)
+      );
+      if (!page) {
+        return res.status(404).json({ error: notFoundMessage });
+      }
+      res.json(page);
+    } catch (error) {
+      console.error(`Get blog ${kind} error:`, error);
+      res.status(500).json({ error: `Failed to fetch ${kind}` });
+    }
+  };
+
+  router.get('/authors/:slug', slugValidator, handleValidationErrors,
+    collection('author', slug => taxonomyService.getAuthorPage(slug), 'Author not found'));
+
+  router.get('/tags/:slug', slugValidator, handleValidationErrors,
+    collection('tag', slug => taxonomyService.getTagPage(slug), 'Tag not found'));
+
+  router.get('/series/:slug', slugValidator, handleValidationErrors,
+    collection('series', slug => taxonomyService.getSeriesPage(slug), 'Series not found'));
+
+  router.get('/posts/:slug/related', relatedValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const limit = req.query.limit || RelatedPostsService.DEFAULT_LIMIT;
+      const posts = await cacheWrapper(
+        `${BlogService.CACHE_PREFIX}related:${req.params.slug}:${limit}`,
+        RELATED_CACHE_TTL,
+        () => relatedPostsService.getRelated(req.params.slug, { limit })
+      );
+      if (!posts) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+      res.json({ posts });
+    } catch (error) {
+      console.error('Get related posts error:', error);
+      res.status(500).json({ error: 'Failed to fetch related posts' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createBlogRoutes;
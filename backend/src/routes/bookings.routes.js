@@ -0,0 +1,166 @@
+/**
+ * Bookings Routes Module
+ *
+ * Public scheduling behind /api/bookings, used by the booking widget on
+ * /request-demo and /expert-consultation and the /manage-booking page
+ * linked from confirmation emails.
+ */
+
+const express = require('express');
+const { body, query } = require('express-validator');
+
+// ============ VALIDATORS ============
+
+const MEETING_TYPES = ['demo', 'consultation'];
+
+const optionalText = (field, max, label) => body(field)
+  .optional({ values: 'falsy' })
+  .trim()
+  .isString()
+  .isLength({ max })
+  .withMessage(`${label} must be at most ${max} characters`);
+
+const tokenValidator = (location) => location('token')
+  .isString()
+  .isLength({ min: 10, max: 1000 })
+  .withMessage('Invalid link');
+
+const startValidator = body('start')
+  .isISO8601({ strict: true })
+  .withMessage('Pick a time slot');
+
+const slotsValidator = [
+  query('type')
+    .isIn(MEETING_TYPES)
+    .withMessage('Invalid meeting type'),
+];
+
+const bookValidator = [
+  body('meetingType')
+    .isIn(MEETING_TYPES)
+    .withMessage('Invalid meeting type'),
+  startValidator,
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Name is required'),
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Valid email is required')
+    .isLength({ max: 320 })
+    .withMessage('Email too long'),
+  optionalText('company', 200, 'Company'),
+  optionalText('notes', 2000, 'Notes'),
+  optionalText('timezone', 64, 'Timezone'),
+  optionalText('page', 500, 'Page'),
+  body('attribution')
+    .optional()
+    .isObject()
+    .withMessage('Invalid attribution'),
+  ...['landingPage', 'referrer', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content']
+    .map(field => optionalText(`attribution.${field}`, field === 'referrer' ? 1000 : 200, field)),
+  // Honeypot: hidden field real visitors never fill in
+  body('website')
+    .isEmpty()
+    .withMessage('Invalid submission'),
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getClientIP = (req) => {
+  return req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || req.ip;
+};
+
+const sendResult = (res, result) => {
+  if (result.success) return res.json(result);
+  res.status(result.code === 'SLOT_TAKEN' ? 409 : 400).json(result);
+};
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates public booking routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.bookingService - BookingService instance
+ * @param {Object} deps.publicFormLimiter - Rate limiter for public forms
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createBookingsRoutes({ bookingService, publicFormLimiter, handleValidationErrors }) {
+  const router = express.Router();
+
+  // ============ AVAILABLE SLOTS ============
+  router.get('/slots', slotsValidator, handleValidationErrors, async (req, res) => {
+    try {
+      res.json(await bookingService.getAvailableSlots(req.query.type));
+    } catch (error) {
+      console.error('Booking slots error:', error);
+      res.status(500).json({ error: 'Failed to load available times' });
+    }
+  });
+
+  // ============ BOOK ============
+  router.post('/',
+    publicFormLimiter,
+    bookValidator,
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await bookingService.book(req.body, {
+          ip: getClientIP(req),
+          userAgent: req.headers['user-agent'],
+        });
+        if (result.success) return res.status(201).json(result);
+        sendResult(res, result);
+      } catch (error) {
+        console.error('Booking error:', error);
+        res.status(500).json({ success: false, message: 'Could not book this time. Please try again later.' });
+      }
+    }
+  );
+
+  // ============ MANAGE (SIGNED LINK) ============
+  router.get('/manage', tokenValidator(query), handleValidationErrors, async (req, res) => {
+    try {
+      const result = await bookingService.getByToken(req.query.token);
+      if (!result.success) return res.status(404).json(result);
+      res.json(result);
+    } catch (error) {
+      console.error('Booking lookup error:', error);
+      res.status(500).json({ success: false, message: 'Could not load this booking.' });
+    }
+  });
+
+  router.post('/cancel',
+    publicFormLimiter,
+    tokenValidator(body),
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        sendResult(res, await bookingService.cancelByToken(req.body.token));
+      } catch (error) {
+        console.error('Booking cancel error:', error);
+        res.status(500).json({ success: false, message: 'Could not cancel this booking. Please try again later.' });
+      }
+    }
+  );
+
+  router.post('/reschedule',
+    publicFormLimiter,
+    tokenValidator(body),
+    startValidator,
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        sendResult(res, await bookingService.rescheduleByToken(req.body.token, req.body.start));
+      } catch (error) {
+        console.error('Booking reschedule error:', error);
+        res.status(500).json({ success: false, message: 'Could not reschedule this booking. Please try again later.' });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createBookingsRoutes;
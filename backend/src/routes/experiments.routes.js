@@ -1,97 +1,157 @@
 /**
  * Experiments Routes Module
- * 
+ *
  * A/B Testing endpoints:
- * - Create experiments
- * - List experiments
- * - Get experiment details with stats
- * - Assign users to variants
+ * - Create, update and list experiments
+ * - Get experiment details with stats and significance analysis
+ * - Assign users to variants (deterministic, weighted, targeted)
+ * - Client/edge bucketing config
  * - Track conversions
  * - End experiments
  */
 
 const express = require('express');
-const router = express.Router();
+const { body, param } = require('express-validator');
+
+// ============ VALIDATORS ============
+
+const DEVICES = ['desktop', 'mobile', 'tablet'];
+
+const idValidator = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid experiment id').toInt(),
+];
+
+const userIdValidator = body('userId')
+  .isString()
+  .withMessage('userId is required')
+  .bail()
+  .trim()
+  .isLength({ min: 1, max: 255 })
+  .withMessage('userId is required');
+
+const stringList = (field, max, label) => body(field)
+  .optional()
+  .isArray({ max })
+  .withMessage(`${label} must be a list of at most ${max} entries`)
+  .custom(values => values.every(value => typeof value === 'string' && value.length > 0 && value.length <= 200))
+  .withMessage(`${label} must be non-empty strings`);
+
+const experimentFieldsValidator = [
+  body('description').optional({ values: 'null' }).isString().trim().isLength({ max: 2000 }),
+  body('trafficAllocation')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Traffic allocation must be between 0 and 100')
+    .toFloat(),
+  body('targetLift')
+    .optional()
+    .isFloat({ min: 0.01, max: 5 })
+    .withMessage('Target lift must be between 1% and 500%')
+    .toFloat(),
+  body('targeting').optional().isObject().withMessage('Invalid targeting'),
+  stringList('targeting.countries', 100, 'Countries'),
+  stringList('targeting.pages', 50, 'Pages'),
+  body('targeting.devices')
+    .optional()
+    .isArray()
+    .custom(values => values.every(value => DEVICES.includes(value)))
+    .withMessage(`Devices must be any of: ${DEVICES.join(', ')}`),
+  body('variants')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Provide 1-10 variants'),
+];
+
+const createValidator = [
+  body('name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Name is required'),
+  body('variants').exists().withMessage('Variants are required'),
+  ...experimentFieldsValidator,
+];
+
+const assignValidator = [
+  ...idValidator,
+  userIdValidator,
+  body('page').optional().isString().isLength({ max: 500 }),
+  body('device').optional().isIn(DEVICES).withMessage('Invalid device'),
+];
+
+const convertValidator = [
+  ...idValidator,
+  userIdValidator,
+  body('conversionType').optional().isString().trim().isLength({ max: 100 }),
+  body('value').optional().isFloat().toFloat(),
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getClientIP = (req) => {
+  return req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || req.ip;
+};
 
 // ============ ROUTE FACTORY ============
 
 /**
  * Creates experiment routes with injected dependencies
  * @param {Object} deps - Dependencies
- * @param {Object} deps.pool - PostgreSQL connection pool
+ * @param {Object} deps.experimentService - ExperimentService instance
  * @param {Object} deps.apiLimiter - API rate limiter
  * @param {Function} deps.authMiddleware - Authentication middleware
+ * @param {Function} deps.requireRole - Role guard factory
+ * @param {Function} deps.handleValidationErrors - Validation error handler
  */
-function createExperimentsRoutes({ pool, apiLimiter, authMiddleware }) {
+function createExperimentsRoutes({ experimentService, apiLimiter, authMiddleware, requireRole, handleValidationErrors }) {
+  const router = express.Router();
+  const adminOnly = [authMiddleware, requireRole('superadmin')];
 
   // ============ CREATE EXPERIMENT ============
-  router.post('/', authMiddleware, apiLimiter, async (req, res) => {
+  router.post('/', adminOnly, apiLimiter, createValidator, handleValidationErrors, async (req, res) => {
     try {
-      const { name, description, variants } = req.body;
-      
-      const result = await pool.query(
-        'INSERT INTO experiments (name, description, variants, status) VALUES ($1, $2, $3, $4) RETURNING *',
-        [name, description, JSON.stringify(variants), 'active']
-      );
-      
-      res.json(result.rows[0]);
+      const experiment = await experimentService.createExperiment(req.body);
+      res.json(experiment);
     } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
       console.error('Create experiment error:', error);
       res.status(500).json({ error: 'Failed to create experiment' });
     }
   });
 
   // ============ LIST EXPERIMENTS ============
-  router.get('/', authMiddleware, apiLimiter, async (req, res) => {
+  router.get('/', adminOnly, apiLimiter, async (req, res) => {
     try {
-      const result = await pool.query(
-        'SELECT * FROM experiments ORDER BY created_at DESC'
-      );
-      res.json(result.rows);
+      res.json(await experimentService.listExperiments());
     } catch (error) {
       console.error('Get experiments error:', error);
       res.status(500).json({ error: 'Failed to fetch experiments' });
     }
   });
 
+  // ============ CLIENT / EDGE CONFIG (public) ============
+  // Active experiments with everything needed to bucket users locally
+  router.get('/config', apiLimiter, async (req, res) => {
+    try {
+      res.set('Cache-Control', 'public, max-age=60');
+      res.json({ experiments: await experimentService.listActiveConfigs() });
+    } catch (error) {
+      console.error('Experiment config error:', error);
+      res.status(500).json({ error: 'Failed to fetch experiment config' });
+    }
+  });
+
   // ============ GET EXPERIMENT WITH STATS ============
-  router.get('/:id', authMiddleware, apiLimiter, async (req, res) => {
+  router.get('/:id', adminOnly, apiLimiter, idValidator, handleValidationErrors, async (req, res) => {
     try {
-      const { id } = req.params;
-      
-      const [experiment, assignments, conversions] = await Promise.all([
-        pool.query('SELECT * FROM experiments WHERE id = $1', [id]),
-        pool.query(
-          'SELECT variant, COUNT(*) as count FROM experiment_assignments WHERE experiment_id = $1 GROUP BY variant',
-          [id]
-        ),
-        pool.query(
-          'SELECT variant, COUNT(*) as count, AVG(value) as avg_value FROM experiment_conversions WHERE experiment_id = $1 GROUP BY variant',
-          [id]
-        )
-      ]);
-      
-      if (experiment.rows.length === 0) {
+      const experiment = await experimentService.getExperiment(req.params.id);
+      if (!experiment) {
         return res.status(404).json({ error: 'Experiment not found' });
       }
-      
-      const stats = {};
-      experiment.rows[0].variants.forEach(variant => {
-        const assignmentData = assignments.rows.find(a => a.variant === variant);
-        const conversionData = conversions.rows.find(c => c.variant === variant);
-        
-        stats[variant] = {
-          assignments: parseInt(assignmentData?.count || 0),
-          conversions: parseInt(conversionData?.count || 0),
-          conversionRate: assignmentData ? 
-            ((parseInt(conversionData?.count || 0) / parseInt(assignmentData.count)) * 100).toFixed(2) : 0,
-          avgValue: parseFloat(conversionData?.avg_value || 0)
-        };
-      });
-      
+
+      const { stats, analysis } = await experimentService.getStats(experiment);
       res.json({
-        ...experiment.rows[0],
-        stats
+        ...experiment,
+        stats,
+        analysis,
       });
     } catch (error) {
       console.error('Get experiment error:', error);
@@ -99,43 +159,43 @@ function createExperimentsRoutes({ pool, apiLimiter, authMiddleware }) {
     }
   });
 
-  // ============ ASSIGN USER TO VARIANT ============
-  router.post('/:id/assign', async (req, res) => {
+  // ============ UPDATE ALLOCATION / TARGETING / WEIGHTS ============
+  router.patch('/:id', adminOnly, apiLimiter, idValidator, experimentFieldsValidator, handleValidationErrors, async (req, res) => {
     try {
-      const { id } = req.params;
-      const { userId } = req.body;
-      
-      // Check if user already assigned
-      const existing = await pool.query(
-        'SELECT variant FROM experiment_assignments WHERE experiment_id = $1 AND user_id = $2',
-        [id, userId]
-      );
-      
-      if (existing.rows.length > 0) {
-        return res.json({ variant: existing.rows[0].variant });
+      const experiment = await experimentService.updateExperiment(req.params.id, req.body);
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found' });
       }
-      
-      // Get experiment variants
-      const experiment = await pool.query(
-        'SELECT variants FROM experiments WHERE id = $1 AND status = $2', 
-        [id, 'active']
-      );
-      
-      if (experiment.rows.length === 0) {
+      res.json(experiment);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Update experiment error:', error);
+      res.status(500).json({ error: 'Failed to update experiment' });
+    }
+  });
+
+  // ============ ASSIGN USER TO VARIANT ============
+  router.post('/:id/assign', assignValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const context = await experimentService.resolveContext({
+        ip: getClientIP(req),
+        userAgent: req.headers['user-agent'],
+        page: req.body.page,
+        device: req.body.device,
+      });
+
+      const assignment = await experimentService.assign(req.params.id, req.body.userId, context);
+      if (!assignment) {
         return res.status(404).json({ error: 'Active experiment not found' });
       }
-      
-      // Random assignment
-      const variants = experiment.rows[0].variants;
-      const variant = variants[Math.floor(Math.random() * variants.length)];
-      
-      // Save assignment
-      await pool.query(
-        'INSERT INTO experiment_assignments (experiment_id, user_id, variant) VALUES ($1, $2, $3)',
-        [id, userId, variant]
-      );
-      
-      res.json({ variant });
+
+      res.json({
+        variant: assignment.variant,
+        inExperiment: assignment.variant !== null,
+        reason: assignment.reason,
+      });
     } catch (error) {
       console.error('Assign variant error:', error);
       res.status(500).json({ error: 'Failed to assign variant' });
@@ -143,29 +203,12 @@ function createExperimentsRoutes({ pool, apiLimiter, authMiddleware }) {
   });
 
   // ============ TRACK CONVERSION ============
-  router.post('/:id/convert', async (req, res) => {
+  router.post('/:id/convert', convertValidator, handleValidationErrors, async (req, res) => {
     try {
-      const { id } = req.params;
-      const { userId, conversionType, value } = req.body;
-      
-      // Get user's assigned variant
-      const assignment = await pool.query(
-        'SELECT variant FROM experiment_assignments WHERE experiment_id = $1 AND user_id = $2',
-        [id, userId]
-      );
-      
-      if (assignment.rows.length === 0) {
+      const recorded = await experimentService.convert(req.params.id, req.body.userId, req.body);
+      if (!recorded) {
         return res.status(404).json({ error: 'User not assigned to experiment' });
       }
-      
-      const variant = assignment.rows[0].variant;
-      
-      // Record conversion
-      await pool.query(
-        'INSERT INTO experiment_conversions (experiment_id, user_id, variant, conversion_type, value) VALUES ($1, $2, $3, $4, $5)',
-        [id, userId, variant, conversionType, value || 1]
-      );
-      
       res.json({ success: true });
     } catch (error) {
       console.error('Track conversion error:', error);
@@ -174,15 +217,9 @@ function createExperimentsRoutes({ pool, apiLimiter, authMiddleware }) {
   });
 
   // ============ END EXPERIMENT ============
-  router.post('/:id/end', authMiddleware, async (req, res) => {
+  router.post('/:id/end', adminOnly, idValidator, handleValidationErrors, async (req, res) => {
     try {
-      const { id } = req.params;
-      
-      await pool.query(
-        'UPDATE experiments SET status = $1, ended_at = NOW() WHERE id = $2',
-        ['ended', id]
-      );
-      
+      await experimentService.endExperiment(req.params.id);
       res.json({ success: true });
     } catch (error) {
       console.error('End experiment error:', error);
@@ -0,0 +1,64 @@
+/**
+ * Feature Flags Routes Module
+ *
+ * Public evaluation endpoint behind /api/flags:
+ * - GET / lists the flags that are on for one visitor in this server's
+ *   environment. Flags that are off aren't named, so dark launches stay dark.
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+
+// ============ VALIDATORS ============
+
+const evaluateValidator = [
+  query('userId').optional().isString().trim().isLength({ max: 255 }).withMessage('Invalid userId'),
+  query('page').optional().isString().isLength({ max: 500 }),
+  query('device').optional().isIn(['desktop', 'mobile', 'tablet']).withMessage('Invalid device'),
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getClientIP = (req) => {
+  return req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || req.ip;
+};
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates public feature flag routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.flagService - FeatureFlagService instance
+ * @param {Object} deps.apiLimiter - API rate limiter
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createFlagsRoutes({ flagService, apiLimiter, handleValidationErrors }) {
+  const router = express.Router();
+
+  // ============ EVALUATE FLAGS ============
+  router.get('/', apiLimiter, evaluateValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const values = await flagService.evaluateAll({
+        userId: req.query.userId,
+        ip: getClientIP(req),
+        userAgent: req.headers['user-agent'],
+        page: req.query.page,
+        device: req.query.device,
+      });
+
+      // Per visitor, and short-lived so kill switches take effect quickly
+      res.set('Cache-Control', 'private, max-age=30');
+      res.json({
+        environment: flagService.environment,
+        flags: Object.keys(values).filter(key => values[key]),
+      });
+    } catch (error) {
+      console.error('Feature flag evaluation error:', error);
+      res.status(500).json({ error: 'Failed to evaluate feature flags' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createFlagsRoutes;
@@ -11,6 +11,25 @@ const createAnalyticsRoutes = require('./analytics.routes');
 const createSEORoutes = require('./seo.routes');
 const createExperimentsRoutes = require('./experiments.routes');
 const createSecurityRoutes = require('./security.routes');
+const createNewsletterRoutes = require('./newsletter.routes');
+const createLeadsRoutes = require('./leads.routes');
+const createAdminLeadsRoutes = require('./admin-leads.routes');
+const createBookingsRoutes = require('./bookings.routes');
+const createAdminBookingsRoutes = require('./admin-bookings.routes');
+const createFlagsRoutes = require('./flags.routes');
+const createAdminFlagsRoutes = require('./admin-flags.routes');
+const createBlogRoutes = require('./blog.routes');
+const createAdminBlogRoutes = require('./admin-blog.routes');
+const createSitemapRoutes = require('./sitemap.routes');
+const createSearchRoutes = require('./search.routes');
+const createAdminSearchRoutes = require('./admin-search.routes');
+const createAdminReviewsRoutes = require('./admin-reviews.routes');
+const createAdminPreviewsRoutes = require('./admin-previews.routes');
+const createBlogCommentsRoutes = require('./blog-comments.routes');
+const createAdminCommentsRoutes = require('./admin-comments.routes');
+const createAdminRedirectsRoutes = require('./admin-redirects.routes');
+const createStructuredDataRoutes = require('./structured-data.routes');
+const createLocalPagesRoutes = require('./local-pages.routes');
 
 module.exports = {
   createAuthRoutes,
@@ -19,4 +38,23 @@ module.exports = {
   createSEORoutes,
   createExperimentsRoutes,
   createSecurityRoutes,
+  createNewsletterRoutes,
+  createLeadsRoutes,
+  createAdminLeadsRoutes,
+  createBookingsRoutes,
+  createAdminBookingsRoutes,
+  createFlagsRoutes,
+  createAdminFlagsRoutes,
+  createBlogRoutes,
+  createAdminBlogRoutes,
+  createSitemapRoutes,
+  createSearchRoutes,
+  createAdminSearchRoutes,
+  createAdminReviewsRoutes,
+  createAdminPreviewsRoutes,
+  createBlogCommentsRoutes,
+  createAdminCommentsRoutes,
+  createAdminRedirectsRoutes,
+  createStructuredDataRoutes,
+  createLocalPagesRoutes,
 };
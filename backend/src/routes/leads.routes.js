@@ -0,0 +1,117 @@
+/**
+ * Leads Routes Module
+ *
+ * Public lead capture behind /api/leads, used by the Request Demo,
+ * Expert Consultation and Tailored Pilots forms.
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+
+// ============ VALIDATORS ============
+
+const optionalText = (field, max, label) => body(field)
+  .optional({ values: 'falsy' })
+  .trim()
+  .isString()
+  .isLength({ max })
+  .withMessage(`${label} must be at most ${max} characters`);
+
+const leadValidator = [
+  body('formType')
+    .isIn(['demo', 'consultation', 'pilot'])
+    .withMessage('Invalid form type'),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Name is required'),
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Valid email is required')
+    .isLength({ max: 320 })
+    .withMessage('Email too long'),
+  body('company')
+    .if(body('formType').isIn(['demo', 'pilot']))
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Company is required'),
+  optionalText('company', 200, 'Company'),
+  optionalText('jobTitle', 200, 'Role'),
+  optionalText('companySize', 50, 'Company size'),
+  body('phone')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[+\d\s().-]{5,50}$/)
+    .withMessage('Invalid phone number'),
+  optionalText('message', 5000, 'Message'),
+  optionalText('page', 500, 'Page'),
+  body('details')
+    .optional()
+    .isObject()
+    .withMessage('Invalid details')
+    .custom(details => Object.keys(details).length <= 20 &&
+      Object.values(details).every(value => (
+        Array.isArray(value)
+          ? value.length <= 20 && value.every(v => typeof v === 'string' && v.length <= 200)
+          : typeof value === 'string' && value.length <= 1000
+      )))
+    .withMessage('Invalid details'),
+  body('attribution')
+    .optional()
+    .isObject()
+    .withMessage('Invalid attribution'),
+  ...['landingPage', 'referrer', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content']
+    .map(field => optionalText(`attribution.${field}`, field === 'referrer' ? 1000 : 200, field)),
+  // Honeypot: hidden field real visitors never fill in
+  body('website')
+    .isEmpty()
+    .withMessage('Invalid submission'),
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getClientIP = (req) => {
+  return req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || req.ip;
+};
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates public lead capture routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.leadsService - LeadsService instance
+ * @param {Object} deps.publicFormLimiter - Rate limiter for public forms
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createLeadsRoutes({ leadsService, publicFormLimiter, handleValidationErrors }) {
+  const router = express.Router();
+
+  // ============ SUBMIT LEAD ============
+  router.post('/',
+    publicFormLimiter,
+    leadValidator,
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { lead } = await leadsService.createLead(req.body, {
+          ip: getClientIP(req),
+          userAgent: req.headers['user-agent'],
+        });
+
+        res.status(201).json({
+          success: true,
+          id: lead.id,
+          message: 'Thanks! Our team will be in touch within one business day.',
+        });
+      } catch (error) {
+        console.error('Lead capture error:', error);
+        res.status(500).json({ success: false, message: 'Could not submit your request. Please try again later.' });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createLeadsRoutes;
@@ -0,0 +1,49 @@
+/**
+ * Local Pages Routes Module
+ *
+ * Public local SEO country and city pages behind /api/local-pages, rendered
+ * at /:country/:city? (see modules/local-seo/local-pages.service.js):
+ * - GET /?path= One page and the other pages of its country
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+
+// ============ VALIDATORS ============
+
+const pathValidator = [
+  query('path').isString().withMessage('path is required').bail()
+    .matches(/^\/[^\s]*$/).withMessage('path must start with /')
+    .isLength({ max: 500 }).withMessage('path must be at most 500 characters'),
+];
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates public local page routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.localPagesService - LocalPagesService instance
+ * @param {Object} deps.apiLimiter - API rate limiter
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createLocalPagesRoutes({ localPagesService, apiLimiter, handleValidationErrors }) {
+  const router = express.Router();
+
+  router.get('/', apiLimiter, pathValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const result = await localPagesService.getPage(req.query.path);
+      if (!result) {
+        return res.status(404).json({ error: 'Page not found' });
+      }
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json(result);
+    } catch (error) {
+      console.error('Local page error:', error);
+      res.status(500).json({ error: 'Failed to load page' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createLocalPagesRoutes;
@@ -0,0 +1,143 @@
+/**
+ * Newsletter Routes Module
+ *
+ * Public endpoints behind /api/mailgun (used by the footer, blog and
+ * Unsubscribe view):
+ * - Subscribe (double opt-in)
+ * - Confirm subscription from email link
+ * - Unsubscribe (signed link, RFC 8058 one-click); the form emails a signed link
+ * - Unsubscribe token status
+ *
+ * Only holders of a signed token can unsubscribe an address or see its status.
+ */
+
+const express = require('express');
+const { body, query } = require('express-validator');
+
+// ============ VALIDATORS ============
+
+const actionValidator = [
+  body('action')
+    .isIn(['subscribe', 'unsubscribe', 'status'])
+    .withMessage('Invalid action. Use: subscribe, unsubscribe, or status'),
+  body('token')
+    .if((value, { req }) => req.body.action === 'status')
+    .isString()
+    .withMessage('A signed token is required'),
+  body('token')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Invalid token'),
+  body('email')
+    .if((value, { req }) => req.body.action === 'subscribe' || (req.body.action === 'unsubscribe' && !req.body.token))
+    .trim()
+    .isEmail()
+    .withMessage('Valid email is required')
+    .isLength({ max: 320 })
+    .withMessage('Email too long'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Name too long'),
+  body('source')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Source too long'),
+];
+
+// ============ UTILITY FUNCTIONS ============
+
+const getClientIP = (req) => {
+  return req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || req.ip;
+};
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates newsletter routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.newsletterService - NewsletterService instance
+ * @param {Object} deps.publicFormLimiter - Rate limiter for public forms
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createNewsletterRoutes({ newsletterService, publicFormLimiter, handleValidationErrors }) {
+  const router = express.Router();
+
+  // ============ SUBSCRIBE / UNSUBSCRIBE / STATUS ============
+  router.post('/',
+    publicFormLimiter,
+    actionValidator,
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const { action, email, name, source, token } = req.body;
+        let result;
+
+        switch (action) {
+          case 'subscribe':
+            result = await newsletterService.requestSubscription(email, {
+              name,
+              source,
+              ip: getClientIP(req),
+              userAgent: req.headers['user-agent'],
+            });
+            break;
+
+          case 'unsubscribe':
+            // Without a token, the address gets a signed link to follow instead
+            result = token
+              ? await newsletterService.unsubscribe({ token })
+              : await newsletterService.sendUnsubscribeLink(email);
+            break;
+
+          case 'status':
+            result = await newsletterService.describeUnsubscribeToken(token);
+            break;
+        }
+
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        console.error('Newsletter error:', error);
+        res.status(500).json({ success: false, message: 'An error occurred. Please try again later.' });
+      }
+    }
+  );
+
+  // ============ CONFIRM (EMAIL LINK) ============
+  router.get('/confirm',
+    publicFormLimiter,
+    async (req, res) => {
+      try {
+        const result = await newsletterService.confirm(req.query.token);
+        res.redirect(302, `/blog?newsletter=${result.success ? 'confirmed' : 'invalid'}`);
+      } catch (error) {
+        console.error('Newsletter confirm error:', error);
+        res.redirect(302, '/blog?newsletter=error');
+      }
+    }
+  );
+
+  // ============ ONE-CLICK UNSUBSCRIBE (RFC 8058) ============
+  // Mail clients POST "List-Unsubscribe=One-Click" to the header URL
+  router.post('/unsubscribe',
+    publicFormLimiter,
+    [query('token').isString().isLength({ min: 1, max: 1000 })],
+    handleValidationErrors,
+    async (req, res) => {
+      try {
+        const result = await newsletterService.unsubscribe({ token: req.query.token });
+        res.status(result.success ? 200 : 400).json(result);
+      } catch (error) {
+        console.error('One-click unsubscribe error:', error);
+        res.status(500).json({ success: false, message: 'Failed to unsubscribe' });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createNewsletterRoutes;
@@ -0,0 +1,53 @@
+/**
+ * Search Routes Module
+ *
+ * Public site search behind /api/search:
+ * - GET / ranked results with highlighted snippets, facets and suggestions
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+const SearchService = require('../modules/search/search.service');
+
+// ============ VALIDATORS ============
+
+const searchValidator = [
+  query('q').isString().withMessage('q is required').bail().trim().isLength({ min: 1, max: 200 }).withMessage('q must be 1-200 characters'),
+  query('type').optional().isIn(SearchService.RESULT_TYPES).withMessage(`type must be one of: ${SearchService.RESULT_TYPES.join(', ')}`),
+  query('category').optional().isString().trim().isLength({ max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be 1-50').toInt(),
+  query('offset').optional().isInt({ min: 0, max: 500 }).withMessage('offset must be 0-500').toInt(),
+];
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates public search routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.searchService - SearchService instance
+ * @param {Object} deps.apiLimiter - API rate limiter
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createSearchRoutes({ searchService, apiLimiter, handleValidationErrors }) {
+  const router = express.Router();
+
+  router.get('/', apiLimiter, searchValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const results = await searchService.search({
+        q: req.query.q,
+        type: req.query.type || null,
+        category: req.query.category || null,
+        limit: req.query.limit || 10,
+        offset: req.query.offset || 0,
+      });
+      res.json(results);
+    } catch (error) {
+      console.error('Search error:', error);
+      res.status(500).json({ error: 'Search failed' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSearchRoutes;
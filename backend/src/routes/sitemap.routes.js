@@ -0,0 +1,60 @@
+/**
+ * Sitemap Routes Module
+ *
+ * Public XML generated from live data (see modules/seo/sitemap.service.js):
+ * - /sitemap.xml index and its child sitemaps
+ * - /blog/rss.xml and /blog/atom.xml feeds
+ *
+ * Responses are cached in Redis under SitemapService.CACHE_PREFIX; the
+ * server drops that prefix whenever posts or products change.
+ */
+
+const express = require('express');
+const SitemapService = require('../modules/seo/sitemap.service');
+
+// Cached until content changes, so the TTL only bounds staleness of the
+// local SEO pages, which are written outside this server
+const CACHE_TTL = 3600;
+
+const DOCUMENTS = [
+  { path: '/sitemap.xml', key: 'index', build: 'buildSitemapIndex', type: 'application/xml' },
+  { path: '/sitemap-pages.xml', key: 'pages', build: 'buildPagesSitemap', type: 'application/xml' },
+  { path: '/blog-sitemap.xml', key: 'blog', build: 'buildBlogSitemap', type: 'application/xml' },
+  { path: '/sitemap-locations.xml', key: 'locations', build: 'buildLocationsSitemap', type: 'application/xml' },
+  { path: '/blog/rss.xml', key: 'feed:rss', build: 'buildRssFeed', type: 'application/rss+xml' },
+  { path: '/blog/atom.xml', key: 'feed:atom', build: 'buildAtomFeed', type: 'application/atom+xml' },
+];
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates sitemap and feed routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.sitemapService - SitemapService instance
+ * @param {Function} deps.cacheWrapper - (key, ttl, fn) => cached result
+ */
+function createSitemapRoutes({ sitemapService, cacheWrapper }) {
+  const router = express.Router();
+
+  DOCUMENTS.forEach(({ path, key, build, type }) => {
+    router.get(path, async (req, res) => {
+      try {
+        const xml = await cacheWrapper(
+          `${SitemapService.CACHE_PREFIX}${key}`,
+          CACHE_TTL,
+          () => sitemapService[build]()
+        );
+        res.set('Content-Type', `${type}; charset=utf-8`);
+        res.set('Cache-Control', 'public, max-age=900');
+        res.send(xml);
+      } catch (error) {
+        console.error(`Generate ${path} error:`, error);
+        res.status(500).type('text/plain').send('Failed to generate document');
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = createSitemapRoutes;
@@ -0,0 +1,46 @@
+/**
+ * Structured Data Routes Module
+ *
+ * Public schema.org markup behind /api/structured-data, rendered by the
+ * StructuredData component (see modules/seo/structured-data.service.js):
+ * - GET /?path= JSON-LD objects for one page of the site
+ */
+
+const express = require('express');
+const { query } = require('express-validator');
+
+// ============ VALIDATORS ============
+
+const pathValidator = [
+  query('path').isString().withMessage('path is required').bail()
+    .matches(/^\/[^\s]*$/).withMessage('path must start with /')
+    .isLength({ max: 500 }).withMessage('path must be at most 500 characters'),
+];
+
+// ============ ROUTE FACTORY ============
+
+/**
+ * Creates public structured data routes with injected dependencies
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.structuredDataService - StructuredDataService instance
+ * @param {Object} deps.apiLimiter - API rate limiter
+ * @param {Function} deps.handleValidationErrors - Validation error handler
+ */
+function createStructuredDataRoutes({ structuredDataService, apiLimiter, handleValidationErrors }) {
+  const router = express.Router();
+
+  router.get('/', apiLimiter, pathValidator, handleValidationErrors, async (req, res) => {
+    try {
+      const schemas = await structuredDataService.forPath(req.query.path);
+      res.set('Cache-Control', 'public, max-age=300');
+      res.json({ schemas });
+    } catch (error) {
+      console.error('Structured data error:', error);
+      res.status(500).json({ error: 'Failed to build structured data' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createStructuredDataRoutes;
@@ -38,6 +38,15 @@ const visitValidator = [
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Referrer too long'),
+  body('utm')
+    .optional()
+    .isObject()
+    .withMessage('Invalid UTM parameters'),
+  body('utm.*')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('UTM parameter too long'),
 ];
 
 // ============ UTILITY FUNCTIONS ============
@@ -101,18 +110,20 @@ function createTrackingRoutes({ pool, publicTrackingLimiter, handleValidationErr
           console.error('Geo lookup failed:', err);
         }
         
-        const { page, referrer, userAgent, screenResolution, viewport, language } = req.body;
+        const { page, referrer, userAgent, screenResolution, viewport, language, utm = {} } = req.body;
         
         await pool.query(
           `INSERT INTO visits (page, referrer, user_agent, screen_resolution, viewport, language, ip, 
-           country, country_code, region, city, timezone, isp, latitude, longitude) 
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+           country, country_code, region, city, timezone, isp, latitude, longitude,
+           utm_source, utm_medium, utm_campaign, utm_term, utm_content) 
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)`,
           [
             page, referrer, userAgent, screenResolution, viewport, language,
             ip.replace(/:\d+\$/, ''), // Anonymize
             geoData.country_name, geoData.country_code, geoData.region,
             geoData.city, geoData.timezone, geoData.org,
-            geoData.latitude, geoData.longitude
+            geoData.latitude, geoData.longitude,
+            utm.source || null, utm.medium || null, utm.campaign || null, utm.term || null, utm.content || null
           ]
         );
         
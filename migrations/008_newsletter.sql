@@ -0,0 +1,46 @@
+-- ============================================================================
+-- NEWSLETTER SUBSCRIBERS TABLE
+-- Local mirror of the Mailgun mailing list with double opt-in state
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS newsletter_subscribers (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(320) NOT NULL UNIQUE,
+    name VARCHAR(200),
+
+    -- pending: confirmation email sent, subscribed: confirmed, unsubscribed: opted out
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'subscribed', 'unsubscribed')),
+    source VARCHAR(100),               -- footer, blog, etc.
+
+    -- Consent evidence
+    signup_ip VARCHAR(45),
+    signup_user_agent TEXT,
+    confirm_sent_at TIMESTAMPTZ,
+    confirmed_at TIMESTAMPTZ,
+    unsubscribed_at TIMESTAMPTZ,
+
+    -- Mailgun sync state
+    mailgun_synced_at TIMESTAMPTZ,
+    mailgun_error TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_newsletter_subscribers_status ON newsletter_subscribers(status);
+CREATE INDEX IF NOT EXISTS idx_newsletter_subscribers_created ON newsletter_subscribers(created_at DESC);
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_newsletter_subscribers_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_newsletter_subscribers_updated_at ON newsletter_subscribers;
+CREATE TRIGGER trigger_newsletter_subscribers_updated_at
+    BEFORE UPDATE ON newsletter_subscribers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_newsletter_subscribers_updated_at();
@@ -0,0 +1,70 @@
+-- ============================================================================
+-- LEADS TABLE
+-- Submissions from the Request Demo, Expert Consultation and Tailored Pilots
+-- forms, with marketing attribution resolved from the visits table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS leads (
+    id SERIAL PRIMARY KEY,
+
+    -- demo: /request-demo, consultation: /expert-consultation, pilot: /tailored-pilots
+    form_type VARCHAR(20) NOT NULL CHECK (form_type IN ('demo', 'consultation', 'pilot')),
+    status VARCHAR(30) NOT NULL DEFAULT 'new',
+
+    -- Contact details
+    name VARCHAR(200) NOT NULL,
+    email VARCHAR(320) NOT NULL,
+    company VARCHAR(200),
+    job_title VARCHAR(200),
+    company_size VARCHAR(50),
+    phone VARCHAR(50),
+    message TEXT,
+    details JSONB DEFAULT '{}',        -- form-specific fields (pilot scope, interests...)
+
+    -- Attribution (first touch from visits, falling back to the submitting page)
+    page VARCHAR(500),
+    referrer TEXT,
+    landing_page VARCHAR(500),
+    utm_source VARCHAR(200),
+    utm_medium VARCHAR(200),
+    utm_campaign VARCHAR(200),
+    utm_term VARCHAR(200),
+    utm_content VARCHAR(200),
+    country VARCHAR(100),
+    city VARCHAR(100),
+    first_visit_at TIMESTAMP,
+    visit_count INTEGER DEFAULT 0,
+
+    ip VARCHAR(45),
+    user_agent TEXT,
+
+    -- Sales inbox notification
+    notified_at TIMESTAMPTZ,
+    notify_error TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_leads_created ON leads(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_leads_status ON leads(status);
+CREATE INDEX IF NOT EXISTS idx_leads_form_type ON leads(form_type);
+CREATE INDEX IF NOT EXISTS idx_leads_email ON leads(LOWER(email));
+
+-- Visits are looked up by IP when a lead is attributed
+CREATE INDEX IF NOT EXISTS idx_visits_ip_timestamp ON visits(ip, timestamp);
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_leads_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_leads_updated_at ON leads;
+CREATE TRIGGER trigger_leads_updated_at
+    BEFORE UPDATE ON leads
+    FOR EACH ROW
+    EXECUTE FUNCTION update_leads_updated_at();
@@ -0,0 +1,47 @@
+-- ============================================================================
+-- LEAD PIPELINE
+-- Stages, owners, notes and activity history for leads (CRM-lite)
+-- ============================================================================
+
+-- Manual leads are entered by sales from the vault
+ALTER TABLE leads DROP CONSTRAINT IF EXISTS leads_form_type_check;
+ALTER TABLE leads ADD CONSTRAINT leads_form_type_check
+    CHECK (form_type IN ('demo', 'consultation', 'pilot', 'manual'));
+
+-- Pipeline stage lives in leads.status
+UPDATE leads SET status = 'new'
+    WHERE status NOT IN ('new', 'contacted', 'demo_scheduled', 'pilot', 'won', 'lost');
+ALTER TABLE leads DROP CONSTRAINT IF EXISTS leads_status_check;
+ALTER TABLE leads ADD CONSTRAINT leads_status_check
+    CHECK (status IN ('new', 'contacted', 'demo_scheduled', 'pilot', 'won', 'lost'));
+
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS stage_changed_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS lost_reason VARCHAR(500);
+
+CREATE INDEX IF NOT EXISTS idx_leads_owner ON leads(owner_id);
+
+-- Free-form notes from the sales team
+CREATE TABLE IF NOT EXISTS lead_notes (
+    id SERIAL PRIMARY KEY,
+    lead_id INTEGER NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+    author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_notes_lead ON lead_notes(lead_id, created_at DESC);
+
+-- Activity history (created, stage changes, owner changes, notes, edits)
+CREATE TABLE IF NOT EXISTS lead_activities (
+    id SERIAL PRIMARY KEY,
+    lead_id INTEGER NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    type VARCHAR(30) NOT NULL,          -- created, stage_changed, owner_changed, note_added, updated, notified
+    from_value VARCHAR(200),
+    to_value VARCHAR(200),
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_activities_lead ON lead_activities(lead_id, created_at DESC);
@@ -0,0 +1,93 @@
+-- ============================================================================
+-- BOOKINGS
+-- Demo / consultation scheduling: weekly availability, blackout dates and
+-- booked meetings. Double-booking is prevented in BookingService with a
+-- transaction-scoped advisory lock.
+-- ============================================================================
+
+-- Single-row scheduling settings
+CREATE TABLE IF NOT EXISTS booking_settings (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',     -- team timezone availability is defined in
+    slot_interval_minutes INTEGER NOT NULL DEFAULT 15 CHECK (slot_interval_minutes BETWEEN 5 AND 120),
+    buffer_minutes INTEGER NOT NULL DEFAULT 15 CHECK (buffer_minutes BETWEEN 0 AND 120),
+    min_notice_hours INTEGER NOT NULL DEFAULT 12 CHECK (min_notice_hours BETWEEN 0 AND 336),
+    max_days_ahead INTEGER NOT NULL DEFAULT 30 CHECK (max_days_ahead BETWEEN 1 AND 180),
+    meeting_location TEXT,                            -- video link or address included in invites
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO booking_settings (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
+
+-- Weekly availability windows (wall-clock times in booking_settings.timezone)
+CREATE TABLE IF NOT EXISTS booking_availability (
+    id SERIAL PRIMARY KEY,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),   -- 0 = Sunday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_availability_weekday ON booking_availability(weekday);
+
+-- Default: weekdays 09:00-17:00
+INSERT INTO booking_availability (weekday, start_time, end_time)
+SELECT d, '09:00', '17:00' FROM generate_series(1, 5) AS d
+WHERE NOT EXISTS (SELECT 1 FROM booking_availability);
+
+-- Days off (holidays, offsites); inclusive date range
+CREATE TABLE IF NOT EXISTS booking_blackouts (
+    id SERIAL PRIMARY KEY,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    reason VARCHAR(200),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_blackouts_range ON booking_blackouts(start_date, end_date);
+
+-- Booked meetings
+CREATE TABLE IF NOT EXISTS bookings (
+    id SERIAL PRIMARY KEY,
+    uid VARCHAR(100) NOT NULL UNIQUE,                 -- iCalendar UID, stable across reschedules
+    meeting_type VARCHAR(20) NOT NULL CHECK (meeting_type IN ('demo', 'consultation')),
+    status VARCHAR(20) NOT NULL DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'cancelled')),
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+    sequence INTEGER NOT NULL DEFAULT 0,              -- iCalendar SEQUENCE, bumped on every change
+
+    name VARCHAR(200) NOT NULL,
+    email VARCHAR(320) NOT NULL,
+    company VARCHAR(200),
+    notes TEXT,
+    visitor_timezone VARCHAR(64),
+
+    lead_id INTEGER REFERENCES leads(id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMPTZ,
+    cancelled_by VARCHAR(20),                          -- visitor or admin
+    ip VARCHAR(45),
+    user_agent TEXT,
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bookings_starts ON bookings(starts_at) WHERE status = 'confirmed';
+CREATE INDEX IF NOT EXISTS idx_bookings_email ON bookings(LOWER(email));
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_bookings_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_bookings_updated_at ON bookings;
+CREATE TRIGGER trigger_bookings_updated_at
+    BEFORE UPDATE ON bookings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_bookings_updated_at();
@@ -0,0 +1,22 @@
+-- ============================================================================
+-- FEATURE FLAGS
+-- Dark launches and gradual rollouts. Evaluation lives in
+-- backend/src/modules/flags/flag-evaluation.js and reuses the experiment
+-- bucketing for percentage rollouts.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS feature_flags (
+    id SERIAL PRIMARY KEY,
+    key VARCHAR(100) UNIQUE NOT NULL,                 -- referenced from code, e.g. 'home.new-hero'
+    description TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT false,           -- release toggle
+    kill_switch BOOLEAN NOT NULL DEFAULT false,       -- emergency off, overrides everything else
+    rollout_percentage NUMERIC(5,2) NOT NULL DEFAULT 100 CHECK (rollout_percentage BETWEEN 0 AND 100),
+    environments TEXT[] NOT NULL DEFAULT '{}',        -- empty = every environment
+    targeting JSONB NOT NULL DEFAULT '{}',            -- { countries, devices, pages } as for experiments
+    killed_at TIMESTAMPTZ,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,48 @@
+-- ============================================================================
+-- BLOG POST REVISIONS & TRASH
+-- Every save in the Blog Editor snapshots the post into blog_post_revisions,
+-- and deleting a post moves it to the trash (deleted_at) instead of
+-- removing the row.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS blog_post_revisions (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    title VARCHAR(500) NOT NULL,
+    slug VARCHAR(255) NOT NULL,
+    excerpt TEXT,
+    content TEXT,
+    category VARCHAR(100),
+    author VARCHAR(200),
+    image_url TEXT,
+    meta_title VARCHAR(70),
+    meta_description VARCHAR(160),
+    meta_keywords TEXT,
+    status VARCHAR(20),
+    featured BOOLEAN,
+    restored_from INTEGER,                       -- revision_number this save restored
+    created_by VARCHAR(100),                     -- matches blog_posts.updated_by
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (post_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_revisions_post ON blog_post_revisions(post_id, revision_number DESC);
+
+-- Soft delete
+ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_blog_posts_deleted_at ON blog_posts(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- Baseline revision for posts written before revisions existed
+INSERT INTO blog_post_revisions (
+    post_id, revision_number, title, slug, excerpt, content, category, author, image_url,
+    meta_title, meta_description, meta_keywords, status, featured, created_by, created_at
+)
+SELECT
+    p.id, 1, p.title, p.slug, p.excerpt, p.content, p.category, p.author, p.image_url,
+    p.meta_title, p.meta_description, p.meta_keywords, p.status, p.featured,
+    COALESCE(p.updated_by, p.created_by), COALESCE(p.updated_at, p.created_at, NOW())
+FROM blog_posts p
+WHERE NOT EXISTS (SELECT 1 FROM blog_post_revisions r WHERE r.post_id = p.id);
@@ -0,0 +1,21 @@
+-- ============================================================================
+-- BLOG SCHEDULED PUBLISHING
+-- Posts can be scheduled for a future publish_at; the server's scheduler
+-- flips due posts to published. Drafts may carry a planned publish_at for
+-- the editorial calendar.
+-- ============================================================================
+
+ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+
+ALTER TABLE blog_posts DROP CONSTRAINT IF EXISTS blog_posts_status_check;
+ALTER TABLE blog_posts ADD CONSTRAINT blog_posts_status_check
+    CHECK (status IN ('draft', 'scheduled', 'published', 'archived'));
+
+ALTER TABLE blog_posts DROP CONSTRAINT IF EXISTS blog_posts_scheduled_publish_at_check;
+ALTER TABLE blog_posts ADD CONSTRAINT blog_posts_scheduled_publish_at_check
+    CHECK (status <> 'scheduled' OR publish_at IS NOT NULL);
+
+-- Scheduler lookup: due posts
+CREATE INDEX IF NOT EXISTS idx_blog_posts_publish_at ON blog_posts(publish_at) WHERE status = 'scheduled';
+
+ALTER TABLE blog_post_revisions ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
@@ -0,0 +1,92 @@
+-- ============================================================================
+-- SITE SEARCH
+-- Full-text search over blog_posts, products and page_content for /api/search
+-- (backend/src/modules/search/search.service.js).
+--
+-- Documents are built by the immutable functions below and indexed as
+-- expressions, so there are no extra columns to keep in sync and SELECT *
+-- results don't grow. Queries must call the same functions to use the indexes.
+-- ============================================================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Blog posts: title > excerpt/keywords/category > body
+CREATE OR REPLACE FUNCTION blog_post_search_vector(title TEXT, excerpt TEXT, category TEXT, meta_keywords TEXT, content TEXT)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english', coalesce(title, '')), 'A')
+        || setweight(to_tsvector('english', coalesce(excerpt, '') || ' ' || coalesce(meta_keywords, '') || ' ' || coalesce(category, '')), 'B')
+        || setweight(to_tsvector('english', coalesce(content, '')), 'C')
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Replaces 006's plain title/excerpt/content index of the same name
+DROP INDEX IF EXISTS idx_blog_posts_search;
+CREATE INDEX IF NOT EXISTS idx_blog_posts_search_vector
+    ON blog_posts USING GIN (blog_post_search_vector(title, excerpt, category, meta_keywords, content));
+
+-- Products: name > tagline/tags > descriptions and feature list
+CREATE OR REPLACE FUNCTION product_search_vector(name TEXT, tagline TEXT, tag TEXT, short_description TEXT, description TEXT, features JSONB)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english', coalesce(name, '')), 'A')
+        || setweight(to_tsvector('english', coalesce(tagline, '') || ' ' || coalesce(tag, '')), 'B')
+        || setweight(to_tsvector('english', coalesce(short_description, '') || ' ' || coalesce(description, '')), 'C')
+        || setweight(to_tsvector('english', coalesce(features, '[]'::jsonb)), 'C')
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_products_search
+    ON products USING GIN (product_search_vector(name, tagline, tag, short_description, description, features));
+
+-- Page content: 'json' rows (testimonials, cards...) contribute their string
+-- values only, minus URLs and inline SVG
+CREATE OR REPLACE FUNCTION page_content_search_text(content_value TEXT, content_type TEXT)
+RETURNS TEXT AS $$
+BEGIN
+    IF content_type = 'json' THEN
+        RETURN (
+            SELECT string_agg(item #>> '{}', ' ')
+            FROM jsonb_path_query(content_value::jsonb, 'strict $.**') AS item
+            WHERE jsonb_typeof(item) = 'string'
+              AND item #>> '{}' !~* '^\s*(https?://|/|<svg)'
+        );
+    END IF;
+    RETURN content_value;
+EXCEPTION WHEN others THEN
+    -- Not valid JSON after all: search it as text
+    RETURN content_value;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_page_content_search
+    ON page_content USING GIN (to_tsvector('english', coalesce(page_content_search_text(content_value, content_type), '')));
+
+-- Every word visitors can find, for "did you mean" suggestions (trigram
+-- similarity). Refreshed by the server when content changes.
+CREATE MATERIALIZED VIEW IF NOT EXISTS search_vocabulary AS
+SELECT word, ndoc
+FROM ts_stat($$
+    SELECT to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(excerpt, '') || ' ' || coalesce(content, ''))
+    FROM blog_posts
+    WHERE status = 'published' AND deleted_at IS NULL
+    UNION ALL
+    SELECT to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(tagline, '') || ' ' || coalesce(short_description, '') || ' ' || coalesce(description, ''))
+    FROM products
+    WHERE feature_flag IS NULL
+    UNION ALL
+    SELECT to_tsvector('simple', coalesce(page_content_search_text(content_value, content_type), ''))
+    FROM page_content
+$$)
+WHERE length(word) BETWEEN 3 AND 40 AND word ~ '^[a-z][a-z0-9-]*$';
+
+-- Unique index lets the view refresh CONCURRENTLY
+CREATE UNIQUE INDEX IF NOT EXISTS idx_search_vocabulary_word ON search_vocabulary (word);
+CREATE INDEX IF NOT EXISTS idx_search_vocabulary_trgm ON search_vocabulary USING GIN (word gin_trgm_ops);
+
+-- Searches that found nothing: content gaps for the SEO team
+CREATE TABLE IF NOT EXISTS search_misses (
+    query VARCHAR(200) PRIMARY KEY,                   -- normalized: lowercase words joined by spaces
+    searches INTEGER NOT NULL DEFAULT 1,
+    suggestion VARCHAR(200),                          -- what "did you mean" offered, if anything
+    first_searched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_searched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_misses_last ON search_misses (last_searched_at DESC);
@@ -0,0 +1,97 @@
+-- ============================================================================
+-- BLOG TAGS, SERIES & AUTHOR PROFILES
+-- Posts get many-to-many tags, an optional place in an ordered series and a
+-- link to an author profile (/blog/tag/:tag, /blog/series/:slug,
+-- /blog/author/:slug). blog_posts.author stays as the byline and is kept in
+-- sync with the linked profile's name.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS blog_authors (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(120) NOT NULL UNIQUE,
+    name VARCHAR(200) NOT NULL,
+    role VARCHAR(200),                                -- e.g. 'Founder & CEO'
+    bio TEXT,
+    avatar_url TEXT,
+    social_links JSONB NOT NULL DEFAULT '{}'::jsonb,  -- { linkedin, twitter, github, website }: profile URLs
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS blog_tags (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(120) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS blog_post_tags (
+    post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    tag_id INTEGER NOT NULL REFERENCES blog_tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (post_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_tags_tag ON blog_post_tags(tag_id);
+
+CREATE TABLE IF NOT EXISTS blog_series (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(120) NOT NULL UNIQUE,
+    title VARCHAR(300) NOT NULL,
+    description TEXT,
+    image_url TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS author_id INTEGER REFERENCES blog_authors(id) ON DELETE SET NULL;
+ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES blog_series(id) ON DELETE SET NULL;
+ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS series_position INTEGER;
+
+ALTER TABLE blog_posts DROP CONSTRAINT IF EXISTS blog_posts_series_position_check;
+ALTER TABLE blog_posts ADD CONSTRAINT blog_posts_series_position_check
+    CHECK (series_position IS NULL OR series_position > 0);
+
+CREATE INDEX IF NOT EXISTS idx_blog_posts_author_id ON blog_posts(author_id);
+CREATE INDEX IF NOT EXISTS idx_blog_posts_series ON blog_posts(series_id, series_position) WHERE series_id IS NOT NULL;
+
+-- Restoring a revision brings back the linked profile along with the byline
+ALTER TABLE blog_post_revisions ADD COLUMN IF NOT EXISTS author_id INTEGER REFERENCES blog_authors(id) ON DELETE SET NULL;
+
+-- Profiles for the bylines already in use
+INSERT INTO blog_authors (slug, name)
+SELECT DISTINCT ON (slug) slug, name
+FROM (
+    SELECT trim(both '-' from regexp_replace(lower(author), '[^a-z0-9]+', '-', 'g')) AS slug, trim(author) AS name
+    FROM blog_posts
+    WHERE author IS NOT NULL AND trim(author) <> ''
+) bylines
+WHERE slug <> ''
+ORDER BY slug, name
+ON CONFLICT (slug) DO NOTHING;
+
+UPDATE blog_posts p SET author_id = a.id
+FROM blog_authors a
+WHERE p.author_id IS NULL
+  AND a.slug = trim(both '-' from regexp_replace(lower(p.author), '[^a-z0-9]+', '-', 'g'));
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_blog_taxonomy_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_blog_authors_updated_at ON blog_authors;
+CREATE TRIGGER trigger_blog_authors_updated_at
+    BEFORE UPDATE ON blog_authors
+    FOR EACH ROW
+    EXECUTE FUNCTION update_blog_taxonomy_updated_at();
+
+DROP TRIGGER IF EXISTS trigger_blog_series_updated_at ON blog_series;
+CREATE TRIGGER trigger_blog_series_updated_at
+    BEFORE UPDATE ON blog_series
+    FOR EACH ROW
+    EXECUTE FUNCTION update_blog_taxonomy_updated_at();
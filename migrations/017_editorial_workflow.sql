@@ -0,0 +1,68 @@
+-- ============================================================================
+-- EDITORIAL WORKFLOW
+-- Blog posts and site (CMS) content go live only through review:
+-- draft -> in_review -> approved -> published. A review holds the proposed
+-- content (payload) and the signed workflow record from
+-- WorkflowStateIntegrity (backend/security/financial-security.js): who moved
+-- it between states, when, and the hash of the content they approved.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS content_reviews (
+    id SERIAL PRIMARY KEY,
+    content_type VARCHAR(30) NOT NULL CHECK (content_type IN ('blog_post', 'site_content')),
+    content_id INTEGER,                               -- blog_posts.id; NULL for site content
+    title VARCHAR(500) NOT NULL,
+    payload JSONB NOT NULL,                           -- the content to publish once approved
+    payload_hash CHAR(64) NOT NULL,                   -- sha256 of payload, as signed at approval
+    state VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (state IN ('draft', 'in_review', 'approved', 'published', 'withdrawn')),
+    author_id INTEGER NOT NULL,                       -- users.id of whoever submitted it
+    author_name VARCHAR(255) NOT NULL,
+    reviewer_id INTEGER,
+    reviewer_name VARCHAR(255),
+    -- Signed state, approvers and transitions. JSON rather than JSONB: JSONB
+    -- reorders keys, and the signature covers the record as serialized
+    workflow JSON NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    published_at TIMESTAMPTZ
+);
+
+-- One open review per post, and one for site content
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_reviews_open
+    ON content_reviews(content_type, COALESCE(content_id, 0))
+    WHERE state IN ('draft', 'in_review', 'approved');
+
+CREATE INDEX IF NOT EXISTS idx_content_reviews_reviewer ON content_reviews(reviewer_id, state);
+CREATE INDEX IF NOT EXISTS idx_content_reviews_content ON content_reviews(content_type, content_id, created_at DESC);
+
+-- Inline review comments, anchored to a payload field and optionally a quoted passage
+CREATE TABLE IF NOT EXISTS content_review_comments (
+    id SERIAL PRIMARY KEY,
+    review_id INTEGER NOT NULL REFERENCES content_reviews(id) ON DELETE CASCADE,
+    field VARCHAR(200),                               -- e.g. 'content', 'title', 'hero'
+    quote TEXT,
+    body TEXT NOT NULL,
+    author_id INTEGER NOT NULL,
+    author_name VARCHAR(255) NOT NULL,
+    resolved BOOLEAN NOT NULL DEFAULT false,
+    resolved_by VARCHAR(255),
+    resolved_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_review_comments_review ON content_review_comments(review_id, created_at);
+
+CREATE OR REPLACE FUNCTION update_content_reviews_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_content_reviews_updated_at ON content_reviews;
+CREATE TRIGGER trigger_content_reviews_updated_at
+    BEFORE UPDATE ON content_reviews
+    FOR EACH ROW
+    EXECUTE FUNCTION update_content_reviews_updated_at();
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- PREVIEW LINKS
+-- Expiring, revocable links that show an unpublished blog post or pending
+-- site content change at its real URL to people without a vault login.
+-- The link carries a signed token naming a row here; the row is what makes
+-- it revocable and records who shared it and how often it was opened.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS preview_links (
+    id SERIAL PRIMARY KEY,
+    token_id UUID NOT NULL UNIQUE,                    -- signed into the link's token
+    content_type VARCHAR(30) NOT NULL CHECK (content_type IN ('blog_post', 'site_content')),
+    content_id INTEGER,                               -- blog_posts.id; NULL for site content
+    label VARCHAR(200),                               -- who it was shared with, e.g. 'Compliance - Jane'
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_by VARCHAR(255),
+    view_count INTEGER NOT NULL DEFAULT 0,
+    last_viewed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_preview_links_content ON preview_links(content_type, content_id, created_at DESC);
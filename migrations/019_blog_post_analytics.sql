@@ -0,0 +1,35 @@
+-- ============================================================================
+-- BLOG POST ANALYTICS
+-- One row per article page view, fed by the tracker's events (article_view,
+-- scroll_depth, engaged_time, cta_click) carrying the view's id. A view is
+-- unique when the visitor hadn't viewed the post in the previous 24 hours;
+-- blog_posts.view_count counts unique views only. Bots aren't recorded.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS blog_post_views (
+    id BIGSERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    view_id UUID NOT NULL UNIQUE,                     -- generated by the page for this view
+    visitor_id VARCHAR(64) NOT NULL,                  -- anonymous id kept in the browser
+    is_unique BOOLEAN NOT NULL DEFAULT TRUE,
+    referrer_host VARCHAR(255),
+    max_depth SMALLINT NOT NULL DEFAULT 0,            -- % of the article body scrolled into view
+    engaged_seconds INTEGER NOT NULL DEFAULT 0,       -- visible and in use
+    cta_clicks INTEGER NOT NULL DEFAULT 0,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_views_post ON blog_post_views(post_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_blog_post_views_visitor ON blog_post_views(post_id, visitor_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_blog_post_views_started ON blog_post_views(started_at);
+
+CREATE TABLE IF NOT EXISTS blog_post_cta_clicks (
+    id BIGSERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    view_id UUID NOT NULL,
+    cta VARCHAR(100) NOT NULL,                        -- e.g. 'article-footer:request-demo'
+    clicked_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_post_cta_clicks_post ON blog_post_cta_clicks(post_id, clicked_at DESC);
@@ -0,0 +1,39 @@
+-- ============================================================================
+-- BLOG COMMENTS & Q&A
+-- Optional comment threads on /blog/:slug. Readers post comments or questions
+-- that wait in the vault moderation queue; replies nest one level under the
+-- thread's first comment. Spam-scored submissions go straight to 'spam'.
+-- The post's author (blog_authors.email, never shown publicly) is emailed
+-- about each comment awaiting moderation.
+-- ============================================================================
+
+ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS comments_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE blog_authors ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS blog_comments (
+    id SERIAL PRIMARY KEY,
+    post_id INTEGER NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    parent_id INTEGER REFERENCES blog_comments(id) ON DELETE CASCADE,  -- thread's first comment
+    kind VARCHAR(20) NOT NULL DEFAULT 'comment' CHECK (kind IN ('comment', 'question')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'spam')),
+    author_name VARCHAR(100) NOT NULL,
+    author_email VARCHAR(255),                        -- readers only; never shown publicly
+    is_staff BOOLEAN NOT NULL DEFAULT FALSE,          -- reply written in the vault
+    body TEXT NOT NULL,                               -- plain text, escaped when rendered
+    spam_score NUMERIC(4, 3) NOT NULL DEFAULT 0,      -- 0..1, see comment-spam.js
+    spam_reasons TEXT[] NOT NULL DEFAULT '{}',
+    ip_hash VARCHAR(64),                              -- sha256 of the IP, for duplicate and flood checks
+    user_agent TEXT,
+    created_by VARCHAR(255),                          -- vault user, for staff replies
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    moderated_at TIMESTAMPTZ,
+    moderated_by VARCHAR(255),
+    notified_at TIMESTAMPTZ,
+    notify_error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_blog_comments_post ON blog_comments(post_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_blog_comments_status ON blog_comments(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_blog_comments_parent ON blog_comments(parent_id);
+CREATE INDEX IF NOT EXISTS idx_blog_comments_ip ON blog_comments(ip_hash, created_at DESC);
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- SEO AUTO-FIX PROPOSALS
+-- AutoFixer (src/seo-ai/auto-fixer.js) proposes changes to the content an
+-- SEO issue points at - blog_posts meta fields and body, products and
+-- page_content - instead of applying them. An admin approves or rejects each
+-- one from the SEO dashboard. Approved changes are applied with the field's
+-- value before and after kept here, so they can be rolled back.
+-- ============================================================================
+
+-- The SEO endpoints and AutoFixer select issues by status, which the original
+-- seo_issues table never had
+ALTER TABLE seo_issues ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'open';
+CREATE INDEX IF NOT EXISTS idx_seo_issues_status ON seo_issues(status, auto_fixable);
+
+CREATE TABLE IF NOT EXISTS seo_fix_proposals (
+    id SERIAL PRIMARY KEY,
+    issue_id INTEGER REFERENCES seo_issues(id) ON DELETE SET NULL,
+    fix_type VARCHAR(50) NOT NULL,                    -- alt_texts, meta_description, meta_title
+    page_url VARCHAR(500),
+    target_type VARCHAR(30) NOT NULL CHECK (target_type IN ('blog_post', 'product', 'page_content')),
+    target_ref VARCHAR(300) NOT NULL,                 -- blog_posts.id, products.id, or page:section:content_key
+    target_field VARCHAR(100) NOT NULL,
+    target_label TEXT,                                -- e.g. the post title, for the dashboard
+    before_value TEXT,                                -- the field when proposed; NULL if it was unset
+    after_value TEXT NOT NULL,
+    summary TEXT,                                     -- what changes, e.g. '3 images get alt text'
+    status VARCHAR(20) NOT NULL DEFAULT 'proposed'
+        CHECK (status IN ('proposed', 'applied', 'rejected', 'stale', 'rolled_back')),
+    proposed_at TIMESTAMPTZ DEFAULT NOW(),
+    decided_at TIMESTAMPTZ,
+    decided_by VARCHAR(255),
+    applied_at TIMESTAMPTZ,
+    rolled_back_at TIMESTAMPTZ,
+    rolled_back_by VARCHAR(255),
+    error TEXT                                        -- why it went stale
+);
+
+-- One open proposal per field
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seo_fix_proposals_open
+    ON seo_fix_proposals(target_type, target_ref, target_field) WHERE status = 'proposed';
+CREATE INDEX IF NOT EXISTS idx_seo_fix_proposals_status ON seo_fix_proposals(status, proposed_at DESC);
+CREATE INDEX IF NOT EXISTS idx_seo_fix_proposals_applied ON seo_fix_proposals(applied_at DESC) WHERE applied_at IS NOT NULL;
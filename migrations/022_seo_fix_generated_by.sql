@@ -0,0 +1,9 @@
+-- ============================================================================
+-- AI-WRITTEN SEO FIXES
+-- AutoFixer can have alt text, meta descriptions and titles written by an LLM
+-- provider (src/seo-ai/fix-writer.js). Each proposal records who wrote it so
+-- the admin approving it knows whether the copy is generated.
+-- ============================================================================
+
+-- Provider name ('azure-openai', 'local-stub') or 'heuristic'
+ALTER TABLE seo_fix_proposals ADD COLUMN IF NOT EXISTS generated_by VARCHAR(50) NOT NULL DEFAULT 'heuristic';
@@ -0,0 +1,64 @@
+-- ============================================================================
+-- SITE CRAWLER
+-- SiteCrawler (src/seo-ai/site-crawler.js) crawls the public site from the
+-- homepage and the sitemap, within robots.txt, and keeps the internal link
+-- graph of each crawl here. What it finds - broken links, redirect chains,
+-- links to non-canonical URLs and orphan pages - goes to seo_issues.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS seo_crawls (
+  id SERIAL PRIMARY KEY,
+  status VARCHAR(20) NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'completed', 'failed')),
+  start_url VARCHAR(1000) NOT NULL,
+  pages_crawled INTEGER NOT NULL DEFAULT 0,
+  links_found INTEGER NOT NULL DEFAULT 0,
+  issues_found INTEGER NOT NULL DEFAULT 0,
+  -- Issue counts by type, sitemap and robots.txt figures
+  summary JSONB,
+  error TEXT,
+  triggered_by VARCHAR(100),
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_seo_crawls_started ON seo_crawls(started_at DESC);
+
+-- Every URL the crawl reached, linked to or found in the sitemap
+CREATE TABLE IF NOT EXISTS seo_crawl_pages (
+  id SERIAL PRIMARY KEY,
+  crawl_id INTEGER NOT NULL REFERENCES seo_crawls(id) ON DELETE CASCADE,
+  url VARCHAR(1000) NOT NULL,
+  -- NULL when not fetched: disallowed by robots.txt, past the page limit or a network error
+  status_code INTEGER,
+  redirect_url VARCHAR(1000),
+  canonical_url VARCHAR(1000),
+  title TEXT,
+  -- Clicks from the homepage; NULL when only the sitemap leads here
+  depth INTEGER,
+  in_links INTEGER NOT NULL DEFAULT 0,
+  out_links INTEGER NOT NULL DEFAULT 0,
+  in_sitemap BOOLEAN NOT NULL DEFAULT FALSE,
+  robots_blocked BOOLEAN NOT NULL DEFAULT FALSE,
+  noindex BOOLEAN NOT NULL DEFAULT FALSE,
+  -- Served the empty app shell with 200 for a path the site doesn't have
+  soft_404 BOOLEAN NOT NULL DEFAULT FALSE,
+  error TEXT,
+  UNIQUE (crawl_id, url)
+);
+
+CREATE TABLE IF NOT EXISTS seo_crawl_links (
+  id SERIAL PRIMARY KEY,
+  crawl_id INTEGER NOT NULL REFERENCES seo_crawls(id) ON DELETE CASCADE,
+  source_url VARCHAR(1000) NOT NULL,
+  target_url VARCHAR(1000) NOT NULL,
+  anchor_text VARCHAR(300),
+  internal BOOLEAN NOT NULL,
+  nofollow BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE INDEX IF NOT EXISTS idx_seo_crawl_links_source ON seo_crawl_links(crawl_id, source_url);
+CREATE INDEX IF NOT EXISTS idx_seo_crawl_links_target ON seo_crawl_links(crawl_id, target_url);
+
+-- Crawler issues are matched to open ones by page and type on every crawl
+CREATE INDEX IF NOT EXISTS idx_seo_issues_page_type ON seo_issues(page_url, issue_type);
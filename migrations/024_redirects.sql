@@ -0,0 +1,55 @@
+-- ============================================================================
+-- REDIRECTS
+-- Redirect rules served by RedirectService (backend/src/modules/seo/
+-- redirect.service.js) before anything else answers a page request. Exact
+-- rules match one path; pattern rules use * wildcards that the target can
+-- reference as $1, $2... Renaming a published post's slug adds an exact rule
+-- from the old URL automatically (origin 'blog_slug').
+-- Page paths visitors hit that don't exist are counted in not_found_log so
+-- they can be redirected from the SEO dashboard.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS redirects (
+    id SERIAL PRIMARY KEY,
+    source_path VARCHAR(500) NOT NULL UNIQUE,         -- '/blog/old-slug', or '/news/*' for patterns
+    target_path VARCHAR(1000) NOT NULL,               -- site path, or an absolute URL elsewhere
+    match_type VARCHAR(10) NOT NULL DEFAULT 'exact' CHECK (match_type IN ('exact', 'pattern')),
+    status_code SMALLINT NOT NULL DEFAULT 301 CHECK (status_code IN (301, 302)),
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    origin VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (origin IN ('manual', 'blog_slug', 'not_found')),
+    content_id INTEGER,                               -- blog_posts.id for 'blog_slug' rules
+    note VARCHAR(300),
+    hits INTEGER NOT NULL DEFAULT 0,
+    last_hit_at TIMESTAMPTZ,
+    created_by VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_redirects_target ON redirects(target_path);
+CREATE INDEX IF NOT EXISTS idx_redirects_content ON redirects(content_id) WHERE origin = 'blog_slug';
+
+CREATE TABLE IF NOT EXISTS not_found_log (
+    path VARCHAR(500) PRIMARY KEY,
+    hits INTEGER NOT NULL DEFAULT 1,
+    referrer VARCHAR(1000),                           -- most recent one
+    first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_not_found_log_hits ON not_found_log(hits DESC, last_seen_at DESC);
+
+-- Slugs published posts had before a rename, from their revision history,
+-- unless another post uses the slug now
+INSERT INTO redirects (source_path, target_path, origin, content_id, note, created_by)
+SELECT DISTINCT ON (r.slug)
+    '/blog/' || r.slug, '/blog/' || p.slug, 'blog_slug', p.id, 'Earlier slug of this post', 'migration'
+FROM blog_post_revisions r
+JOIN blog_posts p ON p.id = r.post_id
+WHERE r.slug <> p.slug
+  AND r.status = 'published'
+  AND p.deleted_at IS NULL
+  AND p.published_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM blog_posts other WHERE other.slug = r.slug)
+ORDER BY r.slug, r.created_at DESC
+ON CONFLICT (source_path) DO NOTHING;
@@ -0,0 +1,10 @@
+-- ============================================================================
+-- SEO AUTO-FIX CLAIMS
+-- Approving a fix proposal claims it first by moving it to 'applying', so two
+-- approvals of the same proposal at once apply it once (see AutoFixer
+-- approveProposal in src/seo-ai/auto-fixer.js).
+-- ============================================================================
+
+ALTER TABLE seo_fix_proposals DROP CONSTRAINT IF EXISTS seo_fix_proposals_status_check;
+ALTER TABLE seo_fix_proposals ADD CONSTRAINT seo_fix_proposals_status_check
+    CHECK (status IN ('proposed', 'applying', 'applied', 'rejected', 'stale', 'rolled_back'));
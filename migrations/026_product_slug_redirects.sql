@@ -0,0 +1,13 @@
+-- ============================================================================
+-- PRODUCT SLUG REDIRECTS
+-- Products live at /modules/:slug (the modules page scrolled to the product's
+-- card). Renaming a product's slug adds a rule from its old URL, as renaming
+-- a post does (origin 'product_slug', content_id = products.id).
+-- ============================================================================
+
+ALTER TABLE redirects DROP CONSTRAINT IF EXISTS redirects_origin_check;
+ALTER TABLE redirects ADD CONSTRAINT redirects_origin_check
+    CHECK (origin IN ('manual', 'blog_slug', 'product_slug', 'not_found'));
+
+DROP INDEX IF EXISTS idx_redirects_content;
+CREATE INDEX IF NOT EXISTS idx_redirects_content ON redirects(origin, content_id) WHERE content_id IS NOT NULL;
@@ -0,0 +1,11 @@
+-- ============================================================================
+-- BLOG COMMENTS FLAG
+-- Comment threads on blog posts show, and accept submissions, while the
+-- 'blog.comments' feature flag is on (src/views/blog-article.js and
+-- backend/src/routes/blog-comments.routes.js). It starts on; turn it off, or
+-- use its kill switch, to close every thread at once.
+-- ============================================================================
+
+INSERT INTO feature_flags (key, description, enabled)
+VALUES ('blog.comments', 'Comment and Q&A threads under blog posts', true)
+ON CONFLICT (key) DO NOTHING;
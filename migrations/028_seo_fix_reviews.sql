@@ -0,0 +1,21 @@
+-- ============================================================================
+-- SEO AUTO-FIX REVIEWS
+-- Approved SEO fixes and their rollbacks go live through editorial review,
+-- like any other content change: approving one submits an 'seo_fix' review
+-- (content_id = seo_fix_proposals.id) and the fix is applied when that
+-- review is published (see AutoFixer in src/seo-ai/auto-fixer.js).
+--   proposed -> in_review -> applied -> rolling_back -> rolled_back
+-- Withdrawing the review hands the fix back: in_review returns to proposed,
+-- rolling_back to applied.
+-- ============================================================================
+
+ALTER TABLE content_reviews DROP CONSTRAINT IF EXISTS content_reviews_content_type_check;
+ALTER TABLE content_reviews ADD CONSTRAINT content_reviews_content_type_check
+    CHECK (content_type IN ('blog_post', 'site_content', 'seo_fix'));
+
+-- 'applying' only lasted for the length of one approval request
+UPDATE seo_fix_proposals SET status = 'proposed' WHERE status = 'applying';
+
+ALTER TABLE seo_fix_proposals DROP CONSTRAINT IF EXISTS seo_fix_proposals_status_check;
+ALTER TABLE seo_fix_proposals ADD CONSTRAINT seo_fix_proposals_status_check
+    CHECK (status IN ('proposed', 'in_review', 'applied', 'rejected', 'stale', 'rolling_back', 'rolled_back'));
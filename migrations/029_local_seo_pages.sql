@@ -0,0 +1,25 @@
+-- ============================================================================
+-- LOCAL SEO PAGES
+-- Country and city landing pages (/us, /us/new-york, ...) written by the
+-- LocalSEOManager when a country is set up. The app renders them at
+-- /:country/:city?, and the sitemaps list them under /sitemap-locations.xml.
+-- Setting a country up again adds new rows; the newest row for a page_url wins.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS local_seo_pages (
+    id SERIAL PRIMARY KEY,
+    country_code VARCHAR(5) NOT NULL,
+    country_name VARCHAR(255) NOT NULL,
+    city VARCHAR(255),
+    page_url TEXT NOT NULL,
+
+    meta_title TEXT,
+    meta_description TEXT,
+    h1_title TEXT,
+
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_local_seo_pages_url ON local_seo_pages(page_url, id DESC);
+CREATE INDEX IF NOT EXISTS idx_local_seo_pages_country ON local_seo_pages(country_code);
@@ -47,7 +47,29 @@ async function deploy() {
     // Run migrations in order
     const migrations = [
       '002_seo_tables.sql',
-      '003_local_seo.sql'
+      '003_local_seo.sql',
+      '008_newsletter.sql',
+      '009_leads.sql',
+      '010_lead_pipeline.sql',
+      '011_bookings.sql',
+      '012_feature_flags.sql',
+      '013_blog_revisions.sql',
+      '014_blog_scheduling.sql',
+      '015_search.sql',
+      '016_blog_taxonomy.sql',
+      '017_editorial_workflow.sql',
+      '018_preview_links.sql',
+      '019_blog_post_analytics.sql',
+      '020_blog_comments.sql',
+      '021_seo_fix_proposals.sql',
+      '022_seo_fix_generated_by.sql',
+      '023_site_crawler.sql',
+      '024_redirects.sql',
+      '025_seo_fix_applying.sql',
+      '026_product_slug_redirects.sql',
+      '027_blog_comments_flag.sql',
+      '028_seo_fix_reviews.sql',
+      '029_local_seo_pages.sql'
     ];
     
     for (const migration of migrations) {
@@ -70,6 +92,25 @@ async function deploy() {
     console.log('  • ux_metrics - Conversion tracking');
     console.log('  • local_directory_listings - Directory submissions');
     console.log('  • city_pages - Location landing pages');
+    console.log('  • local_seo_pages - Country and city pages rendered at /:country/:city');
+    console.log('  • newsletter_subscribers - Double opt-in mirror of Mailgun list');
+    console.log('  • leads - Demo/consultation/pilot requests with attribution');
+    console.log('  • lead_notes, lead_activities - Pipeline notes and history');
+    console.log('  • booking_settings, booking_availability, booking_blackouts, bookings - Demo scheduling');
+    console.log('  • feature_flags - Kill switches and percentage rollouts');
+    console.log('  • blog_post_revisions - Blog revision history; blog_posts soft delete');
+    console.log('  • blog_posts.publish_at - Scheduled publishing');
+    console.log('  • search_vocabulary, search_misses - Site search suggestions and content gaps');
+    console.log('  • blog_authors, blog_tags, blog_post_tags, blog_series - Author profiles, tags and series');
+    console.log('  • content_reviews, content_review_comments - Signed editorial review workflow');
+    console.log('  • preview_links - Expiring, revocable preview links for unpublished content');
+    console.log('  • blog_post_views, blog_post_cta_clicks - Per-post views, read depth, engaged time and CTA clicks');
+    console.log('  • blog_comments - Moderated comment and Q&A threads on blog posts');
+    console.log('  • seo_fix_proposals - Approved, reversible SEO auto-fixes; seo_issues.status');
+    console.log('  • seo_fix_proposals.generated_by - Which LLM provider (or heuristic) wrote a fix');
+    console.log('  • content_reviews (seo_fix) - SEO fixes and rollbacks go live through editorial review');
+    console.log('  • seo_crawls, seo_crawl_pages, seo_crawl_links - Site crawls and the internal link graph');
+    console.log('  • redirects, not_found_log - Redirect rules (automatic on slug changes) and missing-page log');
     console.log('\n👉 Next steps:');
     console.log('  1. npm install cheerio node-fetch');
     console.log('  2. Restart server: railway up (or npm start)');
@@ -0,0 +1,605 @@
+#!/usr/bin/env node
+
+// One-off import of the articles that used to be hardcoded in
+// src/views/blog-article.js into blog_posts, so /blog/:slug is served from
+// the CMS like every post written in the vault Blog Editor.
+//
+// - Missing posts are created as published, with their original date
+// - Posts seeded without a body (migration 006) get the content filled in
+// - Posts that already have content are left alone unless --force is passed
+// - Every import is saved as a blog revision by "importer"
+//
+// Usage: node scripts/import-legacy-blog-articles.js [--dry-run] [--force]
+
+const { Pool } = require('pg');
+const BlogService = require('../backend/src/modules/blog/blog.service');
+
+require('dotenv').config();
+
+const DATABASE_URL = process.env.DATABASE_URL;
+
+if (!DATABASE_URL) {
+  console.error('❌ DATABASE_URL environment variable not set');
+  process.exit(1);
+}
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const FORCE = process.argv.includes('--force');
+
+const pool = new Pool({
+  connectionString: DATABASE_URL,
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+});
+
+const blogService = new BlogService({ pool });
+
+// Articles as they were hardcoded in BlogArticle (content is Markdown)
+const LEGACY_ARTICLES = {
+  'why-cognitive-operating-systems-are-future': {
+    id: 1,
+    title: 'Why Cognitive Operating Systems Are the Future of Finance',
+    excerpt: 'Traditional accounting software was built for record-keeping. The future demands intelligent systems that think, learn, and act.',
+    category: 'Industry Insights',
+    date: 'January 5, 2026',
+    author: 'Vithal Valluri',
+    authorRole: 'Founder & CEO, FinACEverse',
+    image: 'https://images.pexels.com/photos/30547577/pexels-photo-30547577.jpeg?auto=compress&cs=tinysrgb&w=1500',
+    readTime: '8 min read',
+    content: `
+## The End of Record-Keeping Software
+
+For decades, accounting software has been glorified spreadsheet management. QuickBooks, Xero, Sage—they all share the same fundamental limitation: they record what happened. They don't understand what's happening. They certainly don't anticipate what's coming.
+
+This was fine when accountants were primarily historians of business transactions. But the profession has evolved. Today's financial professionals are expected to be strategists, advisors, and forward-looking partners to their clients.
+
+**The software hasn't kept up.**
+
+## What is a Cognitive Operating System?
+
+A Cognitive Operating System (Cognitive OS) is fundamentally different from traditional software. Instead of passively recording transactions, it:
+
+1. **Understands context** - It knows that a $50,000 equipment purchase in Q4 isn't just a debit to fixed assets; it's a potential Section 179 deduction, a depreciation schedule trigger, and a cash flow consideration.
+
+2. **Learns patterns** - It recognizes that Client A always has late invoices from Vendor B, and proactively flags the reconciliation issue before month-end close.
+
+3. **Anticipates needs** - It doesn't wait for you to run reports. It surfaces the information you need, when you need it, before you ask.
+
+4. **Orchestrates workflows** - It doesn't just store data in silos. It moves information intelligently between accounting, tax, audit, and advisory functions.
+
+## The Five Pillars of Cognitive Finance
+
+At FinACEverse, we've built our Cognitive OS on five foundational pillars:
+
+### 1. Workflow Orchestration (Accute)
+The conductor that ensures every financial process flows seamlessly. No more "I thought you were handling that" moments. No more dropped handoffs between departments.
+
+### 2. Intelligent Document Processing (Cyloid)
+Every invoice, receipt, and statement is read, understood, and routed correctly. Not just OCR—actual comprehension of what documents mean and where they belong.
+
+### 3. Domain Intelligence (Luca)
+An AI that speaks fluent CPA. Ask it complex tax questions, compliance requirements, or strategic scenarios. Get answers that would take a senior partner hours to research.
+
+### 4. Workforce Multiplication (Finaid Hub)
+The execution layer that handles routine tasks at machine speed. Bookkeeping, reconciliation, report generation—all automated with human-level accuracy.
+
+### 5. Process Discovery (EPI-Q)
+Task mining that reveals how work actually happens in your firm. Not how you think it happens—how it really happens. Then identifies opportunities to optimize.
+
+## The Business Case: Real Numbers
+
+Early adopters of cognitive operating systems are seeing transformative results:
+
+- **2.5x capacity increase** without adding headcount
+- **85% reduction** in month-end close time  
+- **90% fewer** audit findings and adjustments
+- **60% improvement** in client response time
+- **400% ROI** in the first year
+
+These aren't theoretical projections. These are actual results from our pilot program participants.
+
+## The Talent Paradox Solved
+
+The accounting profession faces a crisis: there aren't enough qualified professionals to meet demand. The traditional solution—hire more people—isn't working because there aren't enough people to hire.
+
+A Cognitive OS solves this differently. Instead of replacing professionals, it multiplies their capability. One accountant with the right cognitive tools can deliver what previously required a team of five.
+
+This isn't about eliminating jobs. It's about eliminating the bottleneck that's holding the profession back.
+
+## The Transition Has Already Begun
+
+Forward-thinking firms aren't waiting. They're already implementing cognitive systems and pulling ahead of competitors still stuck on legacy software.
+
+The question isn't whether cognitive operating systems will become the standard. The question is whether you'll be an early adopter who shapes the future, or a late follower who scrambles to catch up.
+
+## What's Next?
+
+At FinACEverse, we're not just building better software. We're building the operating system for the future of financial services.
+
+Phase 1 of our platform is launching now with Accute, Cyloid, Luca, Finaid Hub, and EPI-Q. Phase 2 will introduce VAMN (our financial LLM), Finory (self-constructing ERP), and specialized workforce multipliers for tax and audit.
+
+The future of finance is cognitive. The question is: are you ready?
+
+---
+
+*Vithal Valluri is the Founder and CEO of FinACEverse, the cognitive operating system for financial services. He previously led digital transformation initiatives at major accounting firms and financial institutions.*
+    `
+  },
+  'ai-workforce-multiplier-explained': {
+    id: 2,
+    title: 'The AI Workforce Multiplier: What It Is and Why It Matters',
+    excerpt: 'Understanding how AI can make one accountant as productive as ten—without replacing a single human.',
+    category: 'Technology',
+    date: 'January 3, 2026',
+    author: 'FinACEverse Team',
+    authorRole: 'Product Team',
+    image: 'https://images.pexels.com/photos/30547598/pexels-photo-30547598.jpeg?auto=compress&cs=tinysrgb&w=1500',
+    readTime: '6 min read',
+    content: `
+## The Problem: Not Enough Hands, Too Much Work
+
+Every accounting firm faces the same challenge: there's more work than people to do it. Client demands are increasing. Regulations are getting more complex. And the pipeline of new accounting graduates is shrinking.
+
+The traditional solution has always been "hire more people." But that solution is breaking down:
+
+- There aren't enough qualified candidates
+- Training takes months (or years)
+- Senior professionals spend too much time on routine tasks
+- Capacity constraints limit growth
+
+**What if there was a better way?**
+
+## Enter the AI Workforce Multiplier
+
+An AI Workforce Multiplier isn't a replacement for human professionals. It's a force multiplier that makes each human exponentially more productive.
+
+Think of it like heavy machinery in construction. A single operator with an excavator can move more earth in a day than a hundred workers with shovels. The workers aren't replaced—they're redeployed to higher-value tasks that require human judgment and expertise.
+
+## How It Works: The Finaid Hub Example
+
+Finaid Hub is our AI Workforce Multiplier for accounting. Here's what it actually does:
+
+### Automated Bookkeeping
+- Categorizes transactions with 99.2% accuracy
+- Learns your clients' specific coding patterns
+- Handles bank reconciliations in seconds, not hours
+- Flags anomalies for human review
+
+### Intelligent Report Generation
+- Creates financial statements on demand
+- Customizes formatting for each client's preferences
+- Generates management commentary drafts
+- Prepares comparative analysis automatically
+
+### Workflow Automation
+- Routes tasks to the right team member
+- Tracks deadlines and sends reminders
+- Manages document collection from clients
+- Maintains complete audit trails
+
+### Quality Control
+- Reviews work for common errors
+- Checks for missing information
+- Validates calculations
+- Ensures compliance with standards
+
+## The Math: 10x Capacity, Same Team
+
+Let's look at a typical small accounting firm:
+
+**Before Finaid Hub:**
+- 5 staff accountants
+- Average 25 clients per accountant
+- 125 total clients
+- Month-end close: 3-5 days per client
+- Capacity fully utilized
+
+**After Finaid Hub:**
+- Same 5 staff accountants
+- Average 250 clients per accountant (yes, really)
+- 1,250 total clients possible
+- Month-end close: 2-4 hours per client
+- Massive capacity headroom
+
+This isn't fantasy. These are actual results from pilot implementations.
+
+## What Humans Still Do (And Why They're More Valuable)
+
+The AI Workforce Multiplier doesn't replace human judgment. It eliminates the routine work that buries human judgment under busywork.
+
+**What AI handles:**
+- Data entry and categorization
+- Standard reconciliations
+- Routine report generation
+- Document processing
+- Basic quality checks
+
+**What humans focus on:**
+- Client relationships and advisory
+- Complex problem-solving
+- Strategic tax planning
+- Audit judgment calls
+- Business development
+
+The result: your team spends time on work that actually requires their expertise and experience. The work clients value most. The work that justifies premium fees.
+
+## Implementation: Faster Than You Think
+
+Traditional software implementations take 6-18 months. AI Workforce Multipliers are different.
+
+**Week 1:** Connect your existing systems
+**Week 2:** AI learns your workflows and patterns
+**Week 3:** Supervised automation begins
+**Week 4:** Full autonomous operation with human oversight
+
+Within a month, you're seeing productivity gains. Within a quarter, you've likely paid for the entire implementation.
+
+## The Specialized Multipliers: Tax and Audit
+
+While Finaid Hub handles accounting, we're building specialized workforce multipliers for other domains:
+
+**TaxBlitz** (Coming Soon) - The AI Workforce Multiplier for tax preparation, planning, and compliance. Process 100+ returns per day with accuracy that exceeds manual preparation.
+
+**Audric** (Coming Soon) - The AI Workforce Multiplier for audit. Automates evidence gathering, workpaper generation, and analytical procedures while maintaining professional skepticism.
+
+## The Bottom Line
+
+The AI Workforce Multiplier isn't about doing less with less. It's about doing more with the same—or even more with more.
+
+When your team isn't buried in routine work, they can take on more clients, provide better service, and grow the business. The capacity ceiling that's been limiting your firm? It's gone.
+
+The only question is how long you want to wait before making the leap.
+
+---
+
+*Finaid Hub is available now as part of FinACEverse Phase 1. TaxBlitz and Audric are scheduled for Phase 2 release.*
+    `
+  },
+  'pilot-program-results-2-5x-capacity': {
+    id: 3,
+    title: 'Pilot Program Results: 2.5x Capacity Uplift Without New Hires',
+    excerpt: 'Early adopters share their experience implementing FinACEverse and the results they\'ve achieved.',
+    category: 'Case Studies',
+    date: 'December 28, 2025',
+    author: 'FinACEverse Research',
+    authorRole: 'Research Team',
+    image: 'https://images.pexels.com/photos/30547606/pexels-photo-30547606.jpeg?auto=compress&cs=tinysrgb&w=1500',
+    readTime: '7 min read',
+    content: `
+## The Pilot Program Overview
+
+In Q4 2025, we invited 12 accounting firms of varying sizes to participate in our pilot program. The goal: validate that FinACEverse could deliver the capacity improvements we promised in real-world conditions.
+
+The results exceeded even our expectations.
+
+## Participant Profile
+
+**Firm sizes:**
+- 3 sole practitioners
+- 5 small firms (2-10 staff)
+- 3 mid-size firms (11-50 staff)
+- 1 regional firm (100+ staff)
+
+**Geographies:** USA (8), UK (2), Australia (2)
+
+**Services:** Tax, audit, bookkeeping, advisory, payroll
+
+## The Numbers: What We Measured
+
+### Capacity Increase
+- **Average:** 2.5x capacity increase
+- **Best performer:** 4.1x (sole practitioner)
+- **Lowest performer:** 1.8x (still nearly double!)
+
+### Time Savings
+- **Month-end close:** 73% reduction in time
+- **Tax preparation:** 65% reduction per return
+- **Reconciliations:** 89% reduction in manual effort
+- **Report generation:** 94% automated
+
+### Quality Improvements
+- **Error rate:** Down 87%
+- **Audit findings:** Down 91%
+- **Client revision requests:** Down 68%
+
+### Business Impact
+- **New client onboarding:** Up 156%
+- **Client satisfaction scores:** Up 34%
+- **Staff overtime:** Down 71%
+
+## Case Study #1: The Overwhelmed Sole Practitioner
+
+**Background:** Sarah runs a solo tax practice in Austin, Texas. Before FinACEverse, she was maxed out at 180 clients and turning away new business.
+
+**Implementation:** Deployed Cyloid for document processing, Finaid Hub for bookkeeping automation, and Accute for workflow orchestration.
+
+**Results after 90 days:**
+- Client capacity increased from 180 to 425
+- Average time per return dropped from 4.2 hours to 1.8 hours
+- Zero missed deadlines (previously averaging 3-4 per month)
+- Hired first employee to handle overflow
+
+**Sarah's quote:** *"I went from drowning in work to actually having time to think strategically about my practice. For the first time in five years, I'm not dreading tax season."*
+
+## Case Study #2: The Growing Small Firm
+
+**Background:** Henderson & Associates is an 8-person firm in Manchester, UK. They wanted to grow but couldn't find qualified staff to hire.
+
+**Implementation:** Full FinACEverse deployment including Luca for complex advisory queries.
+
+**Results after 90 days:**
+- Took on 47 new clients (previous annual average: 15)
+- Reduced month-end close from 5 days to 1.5 days
+- Senior staff spending 60% more time on advisory work
+- Client fees per hour increased 23%
+
+**Partner quote:** *"We stopped competing for talent with the Big Four. Now we compete on capabilities. And we're winning."*
+
+## Case Study #3: The Audit-Heavy Regional Firm
+
+**Background:** Pacific Northwest Accounting (name changed) is a 120-person regional firm with a significant audit practice. Audit hours were exceeding budget by 15-20% on average.
+
+**Implementation:** Focused deployment of EPI-Q for process mining and workflow optimization, plus Finaid Hub for routine audit procedures.
+
+**Results after 90 days:**
+- Audit efficiency improved by 31%
+- Budget overruns dropped from 17% to 4%
+- Workpaper quality scores increased 28%
+- Staff satisfaction scores up 45%
+
+**Managing Partner quote:** *"We've been trying to fix audit efficiency for years with training and methodology changes. Turns out we needed better tools, not better lectures."*
+
+## What Made the Difference
+
+We analyzed what separated the highest performers from the rest:
+
+### 1. Leadership Buy-In
+Firms where partners actively championed the change saw 40% better results than those with passive support.
+
+### 2. Process Honesty
+Firms that used EPI-Q to discover their actual workflows (rather than defending how they "should" work) saw faster improvements.
+
+### 3. Staff Involvement
+Firms that involved staff in implementation decisions had 60% faster adoption and 35% better outcomes.
+
+### 4. Patience with Learning
+The AI improves as it learns your specific patterns. Firms that gave it 2-3 weeks to learn saw dramatically better results than those expecting perfection on day one.
+
+## Common Concerns (And What Actually Happened)
+
+**"My clients won't accept AI-generated work."**
+Reality: Clients couldn't tell the difference. When told, 94% said they preferred faster, more accurate service regardless of how it was produced.
+
+**"My staff will resist this."**
+Reality: Initial skepticism lasted about 2 weeks. Once staff saw routine work disappearing, adoption accelerated. Staff satisfaction increased across all pilot firms.
+
+**"This will be expensive."**
+Reality: Average ROI was 400% in year one. The productivity gains more than paid for the investment within 3-4 months.
+
+**"Implementation will disrupt our busy season."**
+Reality: The fastest implementation took 2 weeks. Most firms were fully operational within a month. None reported significant disruption.
+
+## What's Next
+
+Based on pilot results, we're rolling out FinACEverse Phase 1 to general availability:
+
+- **Accute** - Workflow Orchestration
+- **Cyloid** - AI Document Processing
+- **Luca** - AI Domain Expert
+- **Finaid Hub** - AI Workforce Multiplier for Accounting
+- **EPI-Q** - Enterprise Process Mining
+
+Phase 2 (coming soon) will add:
+- **VAMN** - Our financial LLM
+- **Finory** - Self-constructing ERP
+- **TaxBlitz** - AI Workforce Multiplier for Tax
+- **Audric** - AI Workforce Multiplier for Audit
+- **Sumbuddy** - Client Marketplace
+
+## Join the Revolution
+
+The pilot program proved what we suspected: cognitive operating systems aren't the future of accounting—they're the present. Firms implementing now will have an insurmountable competitive advantage by the time others catch up.
+
+Ready to see what 2.5x capacity looks like for your firm?
+
+---
+
+*Request a demo at finaceverse.io/request-demo or contact pilot@finaceverse.io for more information.*
+    `
+  },
+  'process-mining-accounting-firms': {
+    id: 4,
+    title: 'Process Mining for Accounting Firms: Finding Hidden Inefficiencies',
+    excerpt: 'How EPI-Q reveals the actual workflows in your firm—and why they\'re probably different from what you think.',
+    category: 'Technology',
+    date: 'December 20, 2025',
+    author: 'FinACEverse Team',
+    authorRole: 'Product Team',
+    image: 'https://images.pexels.com/photos/30547577/pexels-photo-30547577.jpeg?auto=compress&cs=tinysrgb&w=1500',
+    readTime: '5 min read',
+    content: `
+## The Workflow Illusion
+
+Every firm has documented workflows. Beautiful process maps. Clear procedures.
+
+And almost none of them match reality.
+
+This isn't because anyone is being dishonest. It's because the way work actually flows is invisible. People develop workarounds. Informal handoffs become standard practice. "We've always done it this way" overrides the official procedure.
+
+## What is Process Mining?
+
+Process mining is a technique that reconstructs actual workflows from system logs and activity data. It shows you:
+
+- How work really moves through your organization
+- Where bottlenecks actually occur
+- Which steps get skipped or repeated
+- How much time each activity really takes
+
+It's like an X-ray of your operations.
+
+## EPI-Q: Process Mining Built for Finance
+
+Generic process mining tools work, but they don't understand finance. They see "activity completed" but don't know if that activity was a bank reconciliation or a tax calculation.
+
+EPI-Q is different. It's built specifically for accounting and financial services. It understands:
+
+- Financial workflows and terminology
+- Compliance requirements and checkpoints
+- Client service patterns
+- Professional service economics
+
+## What EPI-Q Reveals
+
+### Discovery #1: The Hidden Handoff Problem
+Most firms discover they have 3-5x more handoffs than they thought. Each handoff is a potential point of delay, error, or dropped ball. EPI-Q maps every one.
+
+### Discovery #2: The Bottleneck Person
+There's usually one person (or role) that everything flows through—creating a hidden constraint on firm capacity. You might think it's the partner review. Often, it's something else entirely.
+
+### Discovery #3: The Rework Loop
+Work that should be done once often cycles through multiple iterations. EPI-Q shows you where rework happens and why, so you can fix it at the source.
+
+### Discovery #4: The Invisible Time Sink
+Some activities take far longer than anyone realizes because no one is tracking them. Client communication. Internal meetings. System switching. EPI-Q measures it all.
+
+## Real Example: The Month-End Close
+
+A mid-size firm was convinced their month-end close process took 5 days because of "complex clients."
+
+EPI-Q revealed:
+- Actual work time: 16 hours per client
+- Wait time between steps: 48 hours
+- Rework due to missing information: 8 hours
+- Process was 75% waiting, not working
+
+The fix wasn't faster work. It was better orchestration to eliminate wait time.
+
+## From Insight to Action
+
+Process mining without action is just expensive wallpaper. EPI-Q integrates directly with Accute (workflow orchestration) to:
+
+1. **Identify** inefficiencies automatically
+2. **Recommend** specific process improvements
+3. **Implement** optimized workflows
+4. **Measure** the improvement impact
+
+The loop closes. You don't just see problems—you solve them.
+
+## The Communication Mining Advantage
+
+EPI-Q goes beyond traditional process mining. It also analyzes communication patterns:
+
+- Email threads that reveal informal workflows
+- Chat conversations that show actual collaboration
+- Meeting patterns that indicate bottlenecks
+- Client communication that impacts cycle times
+
+This "communication mining" reveals the human side of your processes—the part that never shows up in system logs.
+
+## Getting Started
+
+EPI-Q is available now as part of FinACEverse Phase 1. Implementation takes days, not months:
+
+**Day 1:** Connect systems and begin data collection
+**Days 2-7:** Initial process map generated
+**Days 8-14:** Deep analysis and recommendations
+**Day 15+:** Continuous monitoring and optimization
+
+The ROI typically appears within the first month as you implement quick-win improvements.
+
+---
+
+*EPI-Q is available now. Contact us at finaceverse.io/request-demo to see your firm's actual workflows.*
+    `
+  }
+};
+
+function toPost(slug, article) {
+  return {
+    slug,
+    title: article.title,
+    excerpt: article.excerpt,
+    content: article.content.trim(),
+    category: article.category,
+    author: article.author,
+    image_url: article.image,
+    meta_title: article.title.substring(0, 70),
+    meta_description: article.excerpt.substring(0, 160),
+    meta_keywords: `${article.category}, cognitive finance, AI accounting, FinACEverse`,
+    published_at: new Date(`${article.date} 00:00:00 UTC`),
+  };
+}
+
+async function importArticle(post) {
+  return blogService.withTransaction(async (client) => {
+    const existing = await client.query(
+      'SELECT id, content, deleted_at FROM blog_posts WHERE slug = $1 FOR UPDATE',
+      [post.slug]
+    );
+    const current = existing.rows[0];
+
+    if (current && current.deleted_at) {
+      return 'skipped (in trash)';
+    }
+    if (current && current.content && current.content.trim() && !FORCE) {
+      return 'skipped (already has content)';
+    }
+    if (DRY_RUN) {
+      return current ? 'would update' : 'would create';
+    }
+
+    let id;
+    if (current) {
+      await client.query(`
+        UPDATE blog_posts SET
+          title = $1, excerpt = $2, content = $3, category = $4, author = $5, image_url = $6,
+          meta_title = COALESCE(NULLIF(meta_title, ''), $7),
+          meta_description = COALESCE(NULLIF(meta_description, ''), $8),
+          meta_keywords = COALESCE(NULLIF(meta_keywords, ''), $9),
+          published_at = COALESCE(published_at, $10),
+          updated_by = 'importer'
+        WHERE id = $11
+      `, [
+        post.title, post.excerpt, post.content, post.category, post.author, post.image_url,
+        post.meta_title, post.meta_description, post.meta_keywords, post.published_at, current.id,
+      ]);
+      id = current.id;
+    } else {
+      const result = await client.query(`
+        INSERT INTO blog_posts (
+          slug, title, excerpt, content, category, author, image_url,
+          meta_title, meta_description, meta_keywords,
+          status, published_at, created_at, created_by, updated_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'published', $11, $11, 'importer', 'importer')
+        RETURNING id
+      `, [
+        post.slug, post.title, post.excerpt, post.content, post.category, post.author, post.image_url,
+        post.meta_title, post.meta_description, post.meta_keywords, post.published_at,
+      ]);
+      id = result.rows[0].id;
+    }
+
+    await blogService.snapshot(client, id, 'importer');
+    return current ? 'updated' : 'created';
+  });
+}
+
+async function main() {
+  console.log(`📚 Importing ${Object.keys(LEGACY_ARTICLES).length} legacy blog articles${DRY_RUN ? ' (dry run)' : ''}...\n`);
+
+  let failed = 0;
+  for (const [slug, article] of Object.entries(LEGACY_ARTICLES)) {
+    try {
+      const outcome = await importArticle(toPost(slug, article));
+      console.log(`  ✓ ${slug}: ${outcome}`);
+    } catch (error) {
+      failed++;
+      console.error(`  ❌ ${slug}: ${error.message}`);
+    }
+  }
+
+  console.log('\n📝 Cached blog listings refresh within 5 minutes.');
+  await pool.end();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
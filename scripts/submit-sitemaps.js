@@ -15,9 +15,9 @@ const readline = require('readline');
 
 // Configuration
 const SITE_URL = 'https://www.finaceverse.io/';
+// sitemap.xml is an index - Search Console picks up the child sitemaps from it
 const SITEMAPS = [
-  'https://www.finaceverse.io/sitemap.xml',
-  'https://www.finaceverse.io/blog-sitemap.xml'
+  'https://www.finaceverse.io/sitemap.xml'
 ];
 
 // OAuth credentials
@@ -24,20 +24,69 @@ const {
   AuditLogger,
   TenantIsolation,
   AdvancedRateLimiter,
+  SignedTokenService,
+  HoneypotService,
   securityHeaders,
   // SuperAdmin Module
   SuperAdminAuthService,
   createSuperAdminMiddleware,
   createSuperAdminRoutes,
 } = require('./backend/security');
+const { WorkflowStateIntegrity, PromptInjectionPrevention } = require('./backend/security/financial-security');
 
 // SEO AI Services
 const KeywordOptimizer = require('./src/seo-ai/keyword-optimizer');
 const LocalSEOManager = require('./src/seo-ai/local-seo-manager');
 const AutoScanner = require('./src/seo-ai/auto-scanner');
+const SiteCrawler = require('./src/seo-ai/site-crawler');
 const BacklinkCrawler = require('./src/seo-ai/backlink-crawler');
 const GSCIntegration = require('./src/seo-ai/gsc-integration');
 const AutoFixer = require('./src/seo-ai/auto-fixer');
+const { SeoFixWriter, AzureOpenAIProvider, LocalStubProvider } = require('./src/seo-ai/fix-writer');
+
+// Newsletter & Mail
+const { createMailTransport } = require('./backend/src/modules/mail/mail-transport');
+const NewsletterService = require('./backend/src/modules/newsletter/newsletter.service');
+const LeadsService = require('./backend/src/modules/leads/leads.service');
+const LeadPipelineService = require('./backend/src/modules/leads/lead-pipeline.service');
+const BookingService = require('./backend/src/modules/booking/booking.service');
+const ExperimentService = require('./backend/src/modules/experiments/experiment.service');
+const FeatureFlagService = require('./backend/src/modules/flags/flag.service');
+const BlogService = require('./backend/src/modules/blog/blog.service');
+const BlogTaxonomyService = require('./backend/src/modules/blog/blog-taxonomy.service');
+const RelatedPostsService = require('./backend/src/modules/blog/related-posts.service');
+const BlogAnalyticsService = require('./backend/src/modules/blog/blog-analytics.service');
+const BlogCommentsService = require('./backend/src/modules/blog/blog-comments.service');
+const SitemapService = require('./backend/src/modules/seo/sitemap.service');
+const RedirectService = require('./backend/src/modules/seo/redirect.service');
+const StructuredDataService = require('./backend/src/modules/seo/structured-data.service');
+const LocalPagesService = require('./backend/src/modules/local-seo/local-pages.service');
+const PrerenderService = require('./backend/src/modules/prerender/prerender.service');
+const SearchService = require('./backend/src/modules/search/search.service');
+const EditorialWorkflowService = require('./backend/src/modules/editorial/editorial-workflow.service');
+const PreviewService = require('./backend/src/modules/editorial/preview.service');
+const {
+  createNewsletterRoutes,
+  createLeadsRoutes,
+  createAdminLeadsRoutes,
+  createBookingsRoutes,
+  createAdminBookingsRoutes,
+  createExperimentsRoutes,
+  createFlagsRoutes,
+  createAdminFlagsRoutes,
+  createBlogRoutes,
+  createAdminBlogRoutes,
+  createSitemapRoutes,
+  createSearchRoutes,
+  createAdminSearchRoutes,
+  createAdminReviewsRoutes,
+  createAdminPreviewsRoutes,
+  createBlogCommentsRoutes,
+  createAdminCommentsRoutes,
+  createAdminRedirectsRoutes,
+  createStructuredDataRoutes,
+  createLocalPagesRoutes,
+} = require('./backend/src/routes');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -63,6 +112,9 @@ const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY || '';
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || '';
 const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET || '';
 const GOOGLE_REFRESH_TOKEN = process.env.GOOGLE_REFRESH_TOKEN || '';
+const SITE_URL = process.env.SITE_URL || 'https://finaceverse.io';
+const LINK_TOKEN_SECRET = process.env.LINK_TOKEN_SECRET || JWT_SECRET;
+const WORKFLOW_SIGNING_KEY = process.env.WORKFLOW_SIGNING_KEY || JWT_SECRET;
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000', 'https://www.finaceverse.io', 'https://finaceverse.io'];
 
 // ============ INITIALIZE SECURITY SERVICES ============
@@ -101,6 +153,10 @@ console.log('✓ XSS Sanitizer initialized');
 const tenantIsolation = new TenantIsolation();
 console.log('✓ Multi-tenant isolation initialized');
 
+// Signed tokens for email links (confirm, unsubscribe, etc.)
+const linkTokenService = new SignedTokenService(LINK_TOKEN_SECRET);
+console.log('✓ Signed link tokens initialized');
+
 // ============ SECURITY MIDDLEWARE ============
 
 // Helmet - Security headers
@@ -203,6 +259,26 @@ const seoLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Public forms - STRICT (newsletter, lead capture; each hit can send email)
+const publicFormLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 submissions per IP
+  message: { success: false, message: 'Too many requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false, xForwardedForHeader: false },
+});
+
+// Blog comments - STRICT (each comment can email the post's author)
+const commentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 comments per IP
+  message: { success: false, message: 'Too many comments, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false, xForwardedForHeader: false },
+});
+
 // Burst limiter for sudden spikes (optional, applies globally)
 const burstLimiter = rateLimit({
   windowMs: 1000, // 1 second
@@ -364,10 +440,37 @@ app.use((req, res, next) => {
   if (req.path === '/api/superadmin/login' && req.method === 'POST') {
     return next();
   }
+  // Skip CSRF for public, cookie-less forms (newsletter signup, one-click unsubscribe, lead capture, booking,
+  // blog comments) and anonymous experiment exposure/conversion beacons
+  if (
+    req.path.startsWith('/api/mailgun') ||
+    (req.method === 'POST' && (
+      req.path === '/api/leads' ||
+      req.path.startsWith('/api/bookings') ||
+      /^\/api\/blog\/posts\/[a-z0-9-]+\/comments$/.test(req.path) ||
+      /^\/api\/experiments\/\d+\/(assign|convert)$/.test(req.path)
+    ))
+  ) {
+    return next();
+  }
   // Apply CSRF protection to everything else
   csrfProtection.middleware()(req, res, next);
 });
 
+// Redirect rules answer before prerendering and the app shell, so crawlers get
+// the 301 too (redirectMiddleware is set up with the sitemap service below)
+app.use((req, res, next) => redirectMiddleware(req, res, next));
+
+// Crawlers and link unfurlers get prerendered snapshots of public pages
+// (before express.static, which would otherwise answer / with the bare app shell)
+const prerenderService = new PrerenderService({
+  origin: `http://127.0.0.1:${PORT}`,
+  cacheDir: process.env.PRERENDER_CACHE_DIR || path.join(__dirname, '.cache', 'prerender'),
+  listPaths: () => sitemapService.listPublicPaths(),
+  enabled: process.env.PRERENDER_ENABLED !== 'false' && require('fs').existsSync(path.join(__dirname, 'build', 'index.html')),
+});
+app.use(prerenderService.middleware());
+
 // Serve static files from React build
 app.use(express.static(path.join(__dirname, 'build')));
 
@@ -395,6 +498,7 @@ const pool = new Pool(dbConfig);
 let keywordOptimizer;
 let localSEOManager;
 let autoScanner;
+let siteCrawler;
 let backlinkCrawler;
 let gscIntegration;
 let autoFixer;
@@ -402,19 +506,44 @@ let auditLogger;
 let advancedRateLimiter;
 let superAdminAuth;
 
+// schema.org markup for public pages, checked by keyword scans
+const structuredDataService = new StructuredDataService({
+  pool,
+  countryConfigs: () => localSEOManager?.countries,
+});
+
 try {
   // Pass SSRF protection and XSS sanitizer to SEO services
-  keywordOptimizer = new KeywordOptimizer(pool, { ssrfProtection, xssSanitizer });
-  localSEOManager = new LocalSEOManager(pool);
-  autoScanner = new AutoScanner({ pool, ssrfProtection, xssSanitizer });
+  keywordOptimizer = new KeywordOptimizer(pool, { ssrfProtection, xssSanitizer, structuredData: structuredDataService });
+  localSEOManager = new LocalSEOManager({ pool });
+  siteCrawler = new SiteCrawler(pool, { ssrfProtection });
+  autoScanner = new AutoScanner({ pool, ssrfProtection, xssSanitizer, siteCrawler, structuredData: structuredDataService });
   backlinkCrawler = new BacklinkCrawler(pool);
   gscIntegration = new GSCIntegration(pool);
-  autoFixer = new AutoFixer(pool);
   console.log('✓ SEO AI services initialized (with security wrappers)');
 } catch (error) {
   console.warn('⚠️  SEO AI services not available:', error.message);
 }
 
+// Initialize security audit logger (writes to security_audit_log)
+auditLogger = new AuditLogger(pool);
+
+// Honeypots: decoy login credentials and hidden form fields only bots fill in
+const honeypotService = new HoneypotService((event) => {
+  console.warn(`🍯 Honeypot triggered (${event.honeypotType}) from ${event.ip} on ${event.requestPath}`);
+  auditLogger.log(event.type, {
+    ip: event.ip,
+    userAgent: event.userAgent,
+    resource: event.requestPath,
+    status: 'blocked',
+    metadata: {
+      honeypotType: event.honeypotType,
+      ...(event.attemptedCredential && { attemptedCredential: event.attemptedCredential }),
+      ...(event.trapFields && { trapFields: event.trapFields }),
+    },
+  }).catch(error => console.error('Honeypot audit log error:', error.message));
+});
+
 // Initialize SuperAdmin Service
 try {
   superAdminAuth = new SuperAdminAuthService(pool, jwtService, encryptionService);
@@ -569,6 +698,7 @@ async function initializeDatabase() {
       CREATE INDEX IF NOT EXISTS idx_errors_timestamp ON errors(timestamp);
       CREATE INDEX IF NOT EXISTS idx_pagespeed_timestamp ON pagespeed_results(timestamp);
       CREATE INDEX IF NOT EXISTS idx_experiment_assignments_user ON experiment_assignments(user_id);
+      CREATE INDEX IF NOT EXISTS idx_experiment_assignments_experiment_user ON experiment_assignments(experiment_id, user_id);
       CREATE INDEX IF NOT EXISTS idx_experiment_conversions_user ON experiment_conversions(user_id);
       CREATE INDEX IF NOT EXISTS idx_products_status ON products(status);
       CREATE INDEX IF NOT EXISTS idx_products_display_order ON products(display_order);
@@ -582,6 +712,15 @@ async function initializeDatabase() {
         ALTER TABLE products ADD COLUMN IF NOT EXISTS tag VARCHAR(100);
         ALTER TABLE products ADD COLUMN IF NOT EXISTS website_url VARCHAR(500);
         ALTER TABLE products ADD COLUMN IF NOT EXISTS short_description VARCHAR(500);
+        ALTER TABLE products ADD COLUMN IF NOT EXISTS feature_flag VARCHAR(100);
+        ALTER TABLE visits ADD COLUMN IF NOT EXISTS utm_source VARCHAR(200);
+        ALTER TABLE visits ADD COLUMN IF NOT EXISTS utm_medium VARCHAR(200);
+        ALTER TABLE visits ADD COLUMN IF NOT EXISTS utm_campaign VARCHAR(200);
+        ALTER TABLE visits ADD COLUMN IF NOT EXISTS utm_term VARCHAR(200);
+        ALTER TABLE visits ADD COLUMN IF NOT EXISTS utm_content VARCHAR(200);
+        ALTER TABLE experiments ADD COLUMN IF NOT EXISTS traffic_allocation NUMERIC DEFAULT 100;
+        ALTER TABLE experiments ADD COLUMN IF NOT EXISTS targeting JSONB DEFAULT '{}';
+        ALTER TABLE experiments ADD COLUMN IF NOT EXISTS target_lift NUMERIC DEFAULT 0.2;
       `);
     } catch (migrationErr) {
       console.log('Note: Some columns may already exist');
@@ -648,6 +787,31 @@ const cacheWrapper = async (key, ttl, fn) => {
   return result;
 };
 
+// Helper: Drop every cached entry whose key starts with prefix
+const invalidateCache = async (prefix) => {
+  if (!redisClient) return;
+  try {
+    for await (const keys of redisClient.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+      if (keys.length > 0) await redisClient.del(keys);
+    }
+  } catch (err) {
+    console.warn('Redis invalidate failed:', err.message);
+  }
+};
+
+// Products show on the home page and /modules, and in the sitemaps and search
+const productsChanged = async () => {
+  await invalidateCache(SitemapService.CACHE_PREFIX);
+  prerenderService.refresh(['/', '/modules']);
+  searchService.refreshVocabulary();
+};
+
+// page_content feeds every public page and search
+const pageContentChanged = () => {
+  prerenderService.refresh();
+  searchService.refreshVocabulary();
+};
+
 // Google PageSpeed Insights integration
 const runPageSpeedTest = async (url, strategy = 'mobile') => {
   if (!GOOGLE_API_KEY) {
@@ -741,6 +905,49 @@ const startScheduledJobs = () => {
       console.log('✓ Scheduled PageSpeed test completed');
     }
   }, 6 * 60 * 60 * 1000); // Every 6 hours
+  
+  // Retry newsletter list syncs that failed (e.g. Mailgun outage)
+  setInterval(async () => {
+    try {
+      const { attempted, fixed } = await newsletterService.retryFailedSyncs();
+      if (attempted > 0) {
+        console.log(`✓ Newsletter sync retry: ${fixed}/${attempted} fixed`);
+      }
+    } catch (error) {
+      console.warn('Newsletter sync retry skipped:', error.message);
+    }
+  }, 60 * 60 * 1000); // Every hour
+
+  // Retry sales notifications for leads that failed to email
+  setInterval(async () => {
+    try {
+      const { attempted, fixed } = await leadsService.retryFailedNotifications();
+      if (attempted > 0) {
+        console.log(`✓ Lead notification retry: ${fixed}/${attempted} sent`);
+      }
+    } catch (error) {
+      console.warn('Lead notification retry skipped:', error.message);
+    }
+  }, 60 * 60 * 1000); // Every hour
+
+  // Publish blog posts whose scheduled time has passed
+  setInterval(async () => {
+    try {
+      const published = await blogService.publishDuePosts();
+      if (published.length > 0) {
+        console.log(`✓ Published ${published.length} scheduled blog post(s): ${published.map(post => post.slug).join(', ')}`);
+      }
+    } catch (error) {
+      console.warn('Scheduled blog publishing skipped:', error.message);
+    }
+  }, 60 * 1000); // Every minute
+
+  // Prerender snapshots: render everything once the server is listening (a deploy
+  // brings a new build), then re-render daily
+  if (prerenderService.enabled) {
+    setTimeout(() => prerenderService.refresh(), 30 * 1000);
+    setInterval(() => prerenderService.refresh(), 24 * 60 * 60 * 1000);
+  }
 };
 
 // ============ UTILITY FUNCTIONS ============
@@ -849,6 +1056,7 @@ if (superAdminAuth) {
 // Login with validation and rate limiting
 app.post('/api/auth/login', 
   authLimiter,
+  honeypotService.middleware(),
   [
     body('username')
       .trim()
@@ -1110,6 +1318,8 @@ app.post('/api/track-visit',
   [
     body('page').trim().isLength({ max: 500 }).withMessage('Page URL too long'),
     body('referrer').optional().trim().isLength({ max: 1000 }).withMessage('Referrer too long'),
+    body('utm').optional().isObject().withMessage('Invalid UTM parameters'),
+    body('utm.*').optional().trim().isLength({ max: 200 }).withMessage('UTM parameter too long'),
   ],
   handleValidationErrors,
   async (req, res) => {
@@ -1128,18 +1338,20 @@ app.post('/api/track-visit',
       console.error('Geo lookup failed:', err);
     }
     
-    const { page, referrer, userAgent, screenResolution, viewport, language } = req.body;
+    const { page, referrer, userAgent, screenResolution, viewport, language, utm = {} } = req.body;
     
     await pool.query(
       `INSERT INTO visits (page, referrer, user_agent, screen_resolution, viewport, language, ip, 
-       country, country_code, region, city, timezone, isp, latitude, longitude) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+       country, country_code, region, city, timezone, isp, latitude, longitude,
+       utm_source, utm_medium, utm_campaign, utm_term, utm_content) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)`,
       [
         page, referrer, userAgent, screenResolution, viewport, language,
         ip.replace(/:\d+\$/, ''), // Anonymize (remove port)
         geoData.country_name, geoData.country_code, geoData.region,
         geoData.city, geoData.timezone, geoData.org,
-        geoData.latitude, geoData.longitude
+        geoData.latitude, geoData.longitude,
+        utm.source || null, utm.medium || null, utm.campaign || null, utm.term || null, utm.content || null
       ]
     );
     
@@ -1159,22 +1371,41 @@ app.post('/api/track-visit',
   }
 });
 
-// Track events
-app.post('/api/track-event', async (req, res) => {
-  try {
-    const { type, depth, page, timestamp } = req.body;
-    
-    await pool.query(
-      'INSERT INTO events (type, depth, page, timestamp) VALUES (\$1, \$2, \$3, \$4)',
-      [type, depth, page, timestamp]
-    );
-    
-    res.json({ success: true });
-  } catch (err) {
-    console.error('Track event error:', err);
-    res.status(500).json({ error: 'Failed to track event' });
+// Per-article views, read depth, engaged time and CTA clicks (see modules/blog/blog-analytics.service.js)
+const blogAnalyticsService = new BlogAnalyticsService({ pool });
+
+// Track events; those with a viewId also feed article analytics
+app.post('/api/track-event',
+  publicTrackingLimiter,
+  [
+    body('type').trim().isLength({ min: 1, max: 100 }).withMessage('Event type is required'),
+    body('page').optional().trim().isLength({ max: 500 }).withMessage('Page URL too long'),
+    body('depth').optional({ values: 'null' }).isInt({ min: 0, max: 100 }).withMessage('Depth must be 0-100').toInt(),
+    body('viewId').optional().isUUID().withMessage('Invalid view id'),
+    body('visitorId').optional().isString().matches(/^[\w-]{8,64}$/).withMessage('Invalid visitor id'),
+    body('slug').optional().isString().isLength({ max: 255 }).withMessage('Slug too long'),
+    body('referrer').optional().isString().isLength({ max: 1000 }).withMessage('Referrer too long'),
+    body('seconds').optional().isInt({ min: 0 }).withMessage('Seconds must be a positive number').toInt(),
+    body('cta').optional().isString().trim().isLength({ max: 100 }).withMessage('CTA name too long'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { type, depth, page, timestamp } = req.body;
+      
+      await pool.query(
+        'INSERT INTO events (type, depth, page, timestamp) VALUES (\$1, \$2, \$3, \$4)',
+        [type, depth, page, timestamp]
+      );
+      await blogAnalyticsService.record(req.body, req.get('user-agent'));
+      
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Track event error:', err);
+      res.status(500).json({ error: 'Failed to track event' });
+    }
   }
-});
+);
 
 // Track errors
 app.post('/api/track-error', async (req, res) => {
@@ -1193,6 +1424,26 @@ app.post('/api/track-error', async (req, res) => {
   }
 });
 
+// Log a page that doesn't exist (sent by the 404 page). A path some rule
+// redirects came from a client-side link the server never saw: send it on.
+app.post('/api/track-404',
+  publicTrackingLimiter,
+  [
+    body('path').isString().trim().matches(/^\//).withMessage('Path must start with /').isLength({ max: 500 }).withMessage('Path too long'),
+    body('referrer').optional({ values: 'falsy' }).isString().isLength({ max: 1000 }).withMessage('Referrer too long'),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const redirect = await redirectService.logNotFound(req.body.path, req.body.referrer);
+      res.json(redirect ? { redirect } : { success: true });
+    } catch (err) {
+      console.error('Track 404 error:', err);
+      res.status(500).json({ error: 'Failed to track 404' });
+    }
+  }
+);
+
 // ============ ANALYTICS ROUTES (SuperAdmin Only) ============
 // Note: Full analytics dashboard available at secret SuperAdmin path
 
@@ -1365,6 +1616,28 @@ app.get('/api/analytics/summary', apiLimiter, authMiddleware, requireRole('super
   }
 });
 
+// Get top blog content by unique views, read-through, engaged time or CTA clicks
+app.get('/api/analytics/top-content',
+  apiLimiter,
+  authMiddleware,
+  requireRole('superadmin'),
+  [
+    query('days').optional().isInt({ min: 1, max: BlogAnalyticsService.MAX_DAYS }).withMessage(`days must be 1-${BlogAnalyticsService.MAX_DAYS}`).toInt(),
+    query('limit').optional().isInt({ min: 1, max: BlogAnalyticsService.MAX_TOP_LIMIT }).withMessage(`limit must be 1-${BlogAnalyticsService.MAX_TOP_LIMIT}`).toInt(),
+    query('sort').optional().isIn(BlogAnalyticsService.TOP_CONTENT_SORTS).withMessage(`sort must be one of: ${BlogAnalyticsService.TOP_CONTENT_SORTS.join(', ')}`),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { days, limit, sort } = req.query;
+      res.json(await blogAnalyticsService.getTopContent({ days, limit, sort }));
+    } catch (err) {
+      console.error('Get top content error:', err);
+      res.status(500).json({ error: 'Failed to get top content' });
+    }
+  }
+);
+
 // Get PageSpeed Insights results
 app.get('/api/analytics/pagespeed', apiLimiter, authMiddleware, requireRole('superadmin'), async (req, res) => {
   try {
@@ -1695,168 +1968,39 @@ app.post('/api/predict-route', async (req, res) => {
 
 // ========== A/B Testing Endpoints ==========
 
-// Create new A/B test experiment
-app.post('/api/experiments', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  try {
-    const { name, description, variants } = req.body;
-    
-    const result = await pool.query(
-      'INSERT INTO experiments (name, description, variants, status) VALUES ($1, $2, $3, $4) RETURNING *',
-      [name, description, JSON.stringify(variants), 'active']
-    );
-    
-    res.json(result.rows[0]);
-  } catch (error) {
-    console.error('Create experiment error:', error);
-    res.status(500).json({ error: 'Failed to create experiment' });
-  }
-});
+// Deterministic, weighted and targeted assignment (see modules/experiments)
+const experimentService = new ExperimentService({ pool });
 
-// Get all experiments
-app.get('/api/experiments', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT * FROM experiments ORDER BY created_at DESC'
-    );
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Get experiments error:', error);
-    res.status(500).json({ error: 'Failed to fetch experiments' });
-  }
-});
+app.use('/api/experiments', createExperimentsRoutes({
+  experimentService,
+  apiLimiter,
+  authMiddleware,
+  requireRole,
+  handleValidationErrors,
+}));
 
-// Get experiment by ID with statistics
-app.get('/api/experiments/:id', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const [experiment, assignments, conversions] = await Promise.all([
-      pool.query('SELECT * FROM experiments WHERE id = $1', [id]),
-      pool.query(
-        'SELECT variant, COUNT(*) as count FROM experiment_assignments WHERE experiment_id = $1 GROUP BY variant',
-        [id]
-      ),
-      pool.query(
-        'SELECT variant, COUNT(*) as count, AVG(value) as avg_value FROM experiment_conversions WHERE experiment_id = $1 GROUP BY variant',
-        [id]
-      )
-    ]);
-    
-    if (experiment.rows.length === 0) {
-      return res.status(404).json({ error: 'Experiment not found' });
-    }
-    
-    const stats = {};
-    experiment.rows[0].variants.forEach(variant => {
-      const assignmentData = assignments.rows.find(a => a.variant === variant);
-      const conversionData = conversions.rows.find(c => c.variant === variant);
-      
-      stats[variant] = {
-        assignments: parseInt(assignmentData?.count || 0),
-        conversions: parseInt(conversionData?.count || 0),
-        conversionRate: assignmentData ? 
-          ((parseInt(conversionData?.count || 0) / parseInt(assignmentData.count)) * 100).toFixed(2) : 0,
-        avgValue: parseFloat(conversionData?.avg_value || 0)
-      };
-    });
-    
-    res.json({
-      ...experiment.rows[0],
-      stats
-    });
-  } catch (error) {
-    console.error('Get experiment error:', error);
-    res.status(500).json({ error: 'Failed to fetch experiment' });
-  }
-});
+// ========== Feature Flags ==========
 
-// Assign user to variant (used by frontend)
-app.post('/api/experiments/:id/assign', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { userId } = req.body;
-    
-    // Check if user already assigned
-    const existing = await pool.query(
-      'SELECT variant FROM experiment_assignments WHERE experiment_id = $1 AND user_id = $2',
-      [id, userId]
-    );
-    
-    if (existing.rows.length > 0) {
-      return res.json({ variant: existing.rows[0].variant });
-    }
-    
-    // Get experiment variants
-    const experiment = await pool.query('SELECT variants FROM experiments WHERE id = $1 AND status = $2', [id, 'active']);
-    
-    if (experiment.rows.length === 0) {
-      return res.status(404).json({ error: 'Active experiment not found' });
-    }
-    
-    // Random assignment (50/50 split for 2 variants)
-    const variants = experiment.rows[0].variants;
-    const variant = variants[Math.floor(Math.random() * variants.length)];
-    
-    // Save assignment
-    await pool.query(
-      'INSERT INTO experiment_assignments (experiment_id, user_id, variant) VALUES ($1, $2, $3)',
-      [id, userId, variant]
-    );
-    
-    res.json({ variant });
-  } catch (error) {
-    console.error('Assign variant error:', error);
-    res.status(500).json({ error: 'Failed to assign variant' });
-  }
+// Kill switches, environment scoping and percentage rollouts (see modules/flags)
+const flagService = new FeatureFlagService({
+  pool,
+  auditLogger,
+  environment: process.env.FLAG_ENVIRONMENT || process.env.NODE_ENV || 'development',
+  contextResolver: experimentService,
 });
 
-// Track conversion
-app.post('/api/experiments/:id/convert', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { userId, conversionType, value } = req.body;
-    
-    // Get user's assigned variant
-    const assignment = await pool.query(
-      'SELECT variant FROM experiment_assignments WHERE experiment_id = $1 AND user_id = $2',
-      [id, userId]
-    );
-    
-    if (assignment.rows.length === 0) {
-      return res.status(404).json({ error: 'User not assigned to experiment' });
-    }
-    
-    const variant = assignment.rows[0].variant;
-    
-    // Record conversion
-    await pool.query(
-      'INSERT INTO experiment_conversions (experiment_id, user_id, variant, conversion_type, value) VALUES ($1, $2, $3, $4, $5)',
-      [id, userId, variant, conversionType, value || 1]
-    );
-    
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Track conversion error:', error);
-    res.status(500).json({ error: 'Failed to track conversion' });
-  }
-});
+app.use('/api/flags', createFlagsRoutes({
+  flagService,
+  apiLimiter,
+  handleValidationErrors,
+}));
 
-// End experiment
-app.post('/api/experiments/:id/end', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    await pool.query(
-      'UPDATE experiments SET status = $1, ended_at = NOW() WHERE id = $2',
-      ['ended', id]
-    );
-    
-    res.json({ success: true });
-  } catch (error) {
-    console.error('End experiment error:', error);
-    res.status(500).json({ error: 'Failed to end experiment' });
-  }
-});
+app.use('/api/admin/flags', createAdminFlagsRoutes({
+  flagService,
+  authMiddleware,
+  requireRole,
+  handleValidationErrors,
+}));
 
 // ========== Google Search Console Integration ==========
 
@@ -2195,7 +2339,7 @@ app.get('/api/seo/issues', authMiddleware, requireRole('superadmin'), async (req
       query += ` AND auto_fixable = true`;
     }
     
-    query += ' ORDER BY CASE severity WHEN \'critical\' THEN 1 WHEN \'high\' THEN 2 WHEN \'medium\' THEN 3 ELSE 4 END, detected_at DESC';
+    query += ' ORDER BY CASE severity WHEN \'critical\' THEN 1 WHEN \'high\' THEN 2 WHEN \'medium\' THEN 3 ELSE 4 END, created_at DESC';
     
     const result = await pool.query(query, params);
     
@@ -2227,6 +2371,71 @@ app.post('/api/seo/auto-scan', authMiddleware, requireRole('superadmin'), seoLim
   }
 });
 
+// Site crawler: internal link graph, orphan pages and broken links
+const crawlerUnavailable = (res) => res.status(503).json({ error: 'Site crawler not available' });
+const crawlerError = (res, label, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: error.message });
+};
+
+// Crawls take minutes, so this only starts one
+app.post('/api/seo/crawl', authMiddleware, requireRole('superadmin'), seoLimiter, async (req, res) => {
+  try {
+    if (!siteCrawler) return crawlerUnavailable(res);
+    
+    const crawl = await siteCrawler.start({ triggeredBy: req.username });
+    res.status(202).json({ message: 'Site crawl started', crawl });
+  } catch (error) {
+    crawlerError(res, 'Crawl trigger', error);
+  }
+});
+
+app.get('/api/seo/crawl/latest', authMiddleware, requireRole('superadmin'), async (req, res) => {
+  try {
+    if (!siteCrawler) return crawlerUnavailable(res);
+    
+    const crawl = await siteCrawler.getLatestCrawl();
+    res.json({ crawl, running: !!siteCrawler.running });
+  } catch (error) {
+    crawlerError(res, 'Latest crawl', error);
+  }
+});
+
+app.get('/api/seo/crawl/:id/pages', authMiddleware, requireRole('superadmin'), [
+  param('id').isInt({ min: 1 }).toInt(),
+  query('problem').optional().isIn(['orphans', 'errors', 'redirects']),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (!siteCrawler) return crawlerUnavailable(res);
+    
+    const crawl = await siteCrawler.getCrawl(req.params.id);
+    if (!crawl) return res.status(404).json({ error: 'Crawl not found' });
+    
+    const pages = await siteCrawler.getPages(crawl.id, { problem: req.query.problem, limit: req.query.limit });
+    res.json({ crawl, pages });
+  } catch (error) {
+    crawlerError(res, 'Crawl pages', error);
+  }
+});
+
+app.get('/api/seo/crawl/:id/links', authMiddleware, requireRole('superadmin'), [
+  param('id').isInt({ min: 1 }).toInt(),
+  query('url').isURL({ require_protocol: true }).withMessage('url must be an absolute URL')
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (!siteCrawler) return crawlerUnavailable(res);
+    
+    const links = await siteCrawler.getPageLinks(req.params.id, req.query.url);
+    res.json({ url: req.query.url, ...links });
+  } catch (error) {
+    crawlerError(res, 'Crawl links', error);
+  }
+});
+
 // Backlink crawler endpoints
 app.post('/api/seo/backlinks/crawl', authMiddleware, requireRole('superadmin'), seoLimiter, async (req, res) => {
   try {
@@ -2330,47 +2539,127 @@ app.get('/api/seo/gsc/opportunities', authMiddleware, requireRole('superadmin'),
   }
 });
 
-// Auto-fix endpoints
+// Auto-fix endpoints - fixes are proposed, then approved one by one, and can be rolled back
+const autoFixUnavailable = (res) => res.status(503).json({ error: 'Auto-fixer not available' });
+
+const autoFixError = (res, label, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`${label} error:`, error);
+  res.status(500).json({ error: error.message });
+};
+
 app.post('/api/seo/auto-fix', authMiddleware, requireRole('superadmin'), seoLimiter, async (req, res) => {
   try {
-    if (!autoFixer) {
-      return res.status(503).json({ error: 'Auto-fixer not available' });
-    }
+    if (!autoFixer) return autoFixUnavailable(res);
     
-    const result = await autoFixer.fixAllIssues();
+    const result = await autoFixer.proposeFixes();
     res.json(result);
   } catch (error) {
-    console.error('Auto-fix error:', error);
-    res.status(500).json({ error: error.message });
+    autoFixError(res, 'Auto-fix', error);
   }
 });
 
-app.get('/api/seo/auto-fix/history', authMiddleware, requireRole('superadmin'), async (req, res) => {
+app.get('/api/seo/auto-fix/proposals', authMiddleware, requireRole('superadmin'), [
+  query('status').optional().isIn(['proposed', 'in_review', 'applied', 'rejected', 'stale', 'rolling_back', 'rolled_back']),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (!autoFixer) return autoFixUnavailable(res);
+    
+    const proposals = await autoFixer.listProposals({ status: req.query.status, limit: req.query.limit });
+    res.json({ proposals, count: proposals.length });
+  } catch (error) {
+    autoFixError(res, 'Fix proposals', error);
+  }
+});
+
+// Approving a fix, or rolling one back, submits it for editorial review
+const fixReviewValidator = [
+  param('id').isInt({ min: 1 }).toInt(),
+  body('reviewer_id').isInt({ min: 1 }).withMessage('Pick a reviewer').toInt(),
+  body('note').optional({ values: 'null' }).isString().trim().isLength({ max: 2000 }).withMessage('Note must be at most 2000 characters')
+];
+
+const fixReviewer = (req) => ({
+  userId: req.userId,
+  username: req.username || 'superadmin',
+  tenantId: req.tenantId,
+  ip: req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || req.ip,
+  userAgent: req.headers['user-agent']
+});
+
+app.post('/api/seo/auto-fix/proposals/:id/approve', authMiddleware, requireRole('superadmin'), fixReviewValidator, handleValidationErrors, async (req, res) => {
+  try {
+    if (!autoFixer) return autoFixUnavailable(res);
+    
+    const submitted = await autoFixer.approveProposal(req.params.id, fixReviewer(req), {
+      reviewerId: req.body.reviewer_id,
+      note: req.body.note
+    });
+    if (!submitted) {
+      return res.status(404).json({ error: 'Fix proposal not found' });
+    }
+    res.json(submitted);
+  } catch (error) {
+    autoFixError(res, 'Fix approval', error);
+  }
+});
+
+app.post('/api/seo/auto-fix/proposals/:id/reject', authMiddleware, requireRole('superadmin'), [
+  param('id').isInt({ min: 1 }).toInt()
+], handleValidationErrors, async (req, res) => {
   try {
-    if (!autoFixer) {
-      return res.status(503).json({ error: 'Auto-fixer not available' });
+    if (!autoFixer) return autoFixUnavailable(res);
+    
+    const proposal = await autoFixer.rejectProposal(req.params.id, req.username || 'superadmin');
+    if (!proposal) {
+      return res.status(404).json({ error: 'Fix proposal not found' });
     }
+    res.json({ proposal });
+  } catch (error) {
+    autoFixError(res, 'Fix rejection', error);
+  }
+});
+
+app.get('/api/seo/auto-fix/history', authMiddleware, requireRole('superadmin'), async (req, res) => {
+  try {
+    if (!autoFixer) return autoFixUnavailable(res);
     
-    const limit = parseInt(req.query.limit) || 20;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
     const history = await autoFixer.getFixHistory(limit);
     res.json({ history, count: history.length });
   } catch (error) {
-    console.error('Fix history error:', error);
-    res.status(500).json({ error: error.message });
+    autoFixError(res, 'Fix history', error);
   }
 });
 
-app.get('/api/seo/auto-fix/stats', authMiddleware, requireRole('superadmin'), async (req, res) => {
+app.post('/api/seo/auto-fix/history/:id/rollback', authMiddleware, requireRole('superadmin'), fixReviewValidator, handleValidationErrors, async (req, res) => {
   try {
-    if (!autoFixer) {
-      return res.status(503).json({ error: 'Auto-fixer not available' });
+    if (!autoFixer) return autoFixUnavailable(res);
+    
+    const submitted = await autoFixer.rollbackFix(req.params.id, fixReviewer(req), {
+      reviewerId: req.body.reviewer_id,
+      note: req.body.note
+    });
+    if (!submitted) {
+      return res.status(404).json({ error: 'Fix not found' });
     }
+    res.json(submitted);
+  } catch (error) {
+    autoFixError(res, 'Fix rollback', error);
+  }
+});
+
+app.get('/api/seo/auto-fix/stats', authMiddleware, requireRole('superadmin'), async (req, res) => {
+  try {
+    if (!autoFixer) return autoFixUnavailable(res);
     
     const stats = await autoFixer.getFixStats();
     res.json(stats);
   } catch (error) {
-    console.error('Fix stats error:', error);
-    res.status(500).json({ error: error.message });
+    autoFixError(res, 'Fix stats', error);
   }
 });
 
@@ -2579,7 +2868,7 @@ app.get('/api/products', async (req, res) => {
     let query = `
       SELECT id, slug, name, tagline, description, status, icon_svg, image_url, 
              external_url, display_order, features, cell_size, cell_tag, is_hero,
-             phase, tag, website_url, short_description
+             phase, tag, website_url, short_description, feature_flag
       FROM products 
     `;
     
@@ -2591,7 +2880,21 @@ app.get('/api/products', async (req, res) => {
     query += ` ORDER BY phase ASC, display_order ASC, created_at ASC`;
     
     const result = await pool.query(query);
-    res.json({ products: result.rows });
+
+    // Dark-launched cards only show when their feature flag is on for this visitor
+    const flagKeys = [...new Set(result.rows.map(p => p.feature_flag).filter(Boolean))];
+    const enabledFlags = await flagService.enabledKeys(flagKeys, {
+      userId: typeof req.query.userId === 'string' ? req.query.userId.slice(0, 255) : undefined,
+      ip: req.headers['x-forwarded-for']?.split(',')[0] || req.socket.remoteAddress || req.ip,
+      userAgent: req.headers['user-agent'],
+      page: typeof req.query.page === 'string' ? req.query.page.slice(0, 500) : undefined,
+    });
+    const products = result.rows
+      .filter(p => !p.feature_flag || enabledFlags.has(p.feature_flag))
+      .map(({ feature_flag, ...product }) => product);
+
+    if (flagKeys.length > 0) res.set('Cache-Control', 'private, no-cache');
+    res.json({ products });
   } catch (error) {
     console.error('Get products error:', error);
     res.status(500).json({ error: 'Failed to fetch products' });
@@ -2617,7 +2920,7 @@ app.post('/api/admin/products', authMiddleware, requireRole('superadmin'), async
     const { 
       slug, name, tagline, description, status, icon_svg, 
       image_url, external_url, display_order, features, cell_size, cell_tag, is_hero,
-      phase, tag, website_url, short_description
+      phase, tag, website_url, short_description, feature_flag
     } = req.body;
     
     if (!slug || !name) {
@@ -2625,10 +2928,11 @@ app.post('/api/admin/products', authMiddleware, requireRole('superadmin'), async
     }
     
     const result = await pool.query(`
-      INSERT INTO products (slug, name, tagline, description, status, icon_svg, image_url, external_url, display_order, features, cell_size, cell_tag, is_hero, phase, tag, website_url, short_description)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      INSERT INTO products (slug, name, tagline, description, status, icon_svg, image_url, external_url, display_order, features, cell_size, cell_tag, is_hero, phase, tag, website_url, short_description, feature_flag)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
       RETURNING *
-    `, [slug, name, tagline, description, status || 'planned', icon_svg, image_url, external_url, display_order || 0, JSON.stringify(features || []), cell_size || 'medium', cell_tag, is_hero || false, phase || 1, tag, website_url, short_description]);
+    `, [slug, name, tagline, description, status || 'planned', icon_svg, image_url, external_url, display_order || 0, JSON.stringify(features || []), cell_size || 'medium', cell_tag, is_hero || false, phase || 1, tag, website_url, short_description, feature_flag || null]);
+    await productsChanged();
     
     res.json({ product: result.rows[0], message: 'Product created successfully' });
   } catch (error) {
@@ -2640,19 +2944,44 @@ app.post('/api/admin/products', authMiddleware, requireRole('superadmin'), async
   }
 });
 
+/**
+ * A product's URL (/modules/:slug) keeps working after its slug changes:
+ * the new path is claimed and the old one redirects to it. Runs in the
+ * transaction of the product save.
+ */
+const renameProductPath = async (client, productId, oldSlug, newSlug, username) => {
+  if (!newSlug || newSlug === oldSlug) return;
+  await redirectService.claimPath(client, `/modules/${newSlug}`, productId, 'product_slug');
+  await redirectService.addSlugRedirect(client, {
+    fromPath: `/modules/${oldSlug}`,
+    toPath: `/modules/${newSlug}`,
+    contentId: productId,
+    origin: 'product_slug',
+    username,
+  });
+};
+
 // Admin - Update product
 app.put('/api/admin/products/:id', authMiddleware, requireRole('superadmin'), async (req, res) => {
+  const client = await pool.connect();
   try {
     const { id } = req.params;
     const { 
       slug, name, tagline, description, status, icon_svg, 
       image_url, external_url, display_order, features, cell_size, cell_tag, is_hero,
-      phase, tag, website_url, short_description
+      phase, tag, website_url, short_description, feature_flag
     } = req.body;
     
-    const result = await pool.query(`
-      UPDATE products SET 
-        slug = COALESCE($1, slug),
+    await client.query('BEGIN');
+    const current = await client.query('SELECT slug FROM products WHERE id = $1 FOR UPDATE', [id]);
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    
+    const result = await client.query(`
+      UPDATE products SET 
+        slug = COALESCE($1, slug),
         name = COALESCE($2, name),
         tagline = COALESCE($3, tagline),
         description = COALESCE($4, description),
@@ -2669,19 +2998,26 @@ app.put('/api/admin/products/:id', authMiddleware, requireRole('superadmin'), as
         tag = COALESCE($15, tag),
         website_url = COALESCE($16, website_url),
         short_description = COALESCE($17, short_description),
+        feature_flag = CASE WHEN $19::text IS NULL THEN feature_flag ELSE NULLIF($19, '') END,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = $18
       RETURNING *
-    `, [slug, name, tagline, description, status, icon_svg, image_url, external_url, display_order, features ? JSON.stringify(features) : null, cell_size, cell_tag, is_hero, phase, tag, website_url, short_description, id]);
+    `, [slug, name, tagline, description, status, icon_svg, image_url, external_url, display_order, features ? JSON.stringify(features) : null, cell_size, cell_tag, is_hero, phase, tag, website_url, short_description, id, feature_flag ?? null]);
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
+    await renameProductPath(client, result.rows[0].id, current.rows[0].slug, result.rows[0].slug, req.username);
+    await client.query('COMMIT');
+    await productsChanged();
     
     res.json({ product: result.rows[0], message: 'Product updated successfully' });
   } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Update product error:', error);
     res.status(500).json({ error: 'Failed to update product' });
+  } finally {
+    client.release();
   }
 });
 
@@ -2695,6 +3031,7 @@ app.delete('/api/admin/products/:id', authMiddleware, requireRole('superadmin'),
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Product not found' });
     }
+    await productsChanged();
     
     res.json({ message: 'Product deleted successfully', product: result.rows[0] });
   } catch (error) {
@@ -2721,6 +3058,7 @@ app.post('/api/admin/products/reorder', authMiddleware, requireRole('superadmin'
       }
       
       await client.query('COMMIT');
+      await productsChanged();
       res.json({ message: 'Products reordered successfully' });
     } catch (err) {
       await client.query('ROLLBACK');
@@ -2935,6 +3273,7 @@ app.post('/api/admin/products/seed', authMiddleware, requireRole('superadmin'),
       }
       
       await client.query('COMMIT');
+      await productsChanged();
       res.json({ message: `Products seeded: ${created} created, ${updated} updated` });
     } catch (err) {
       await client.query('ROLLBACK');
@@ -3209,6 +3548,15 @@ app.get('/api/admin/ai/status', authMiddleware, requireRole('superadmin'), async
 // PAGE CONTENT CMS - Editable text content
 // =====================================================================
 
+// Shareable previews of unpublished posts and pending site content (?preview=<token>)
+const previewService = new PreviewService({ pool, tokenService: linkTokenService, siteUrl: SITE_URL });
+
+// Preview responses are per-link: never cached or indexed
+const setPreviewHeaders = (res) => {
+  res.set('Cache-Control', 'no-store');
+  res.set('X-Robots-Tag', 'noindex, nofollow');
+};
+
 // Public - Get all content for a page
 app.get('/api/content/:page', async (req, res) => {
   try {
@@ -3225,6 +3573,15 @@ app.get('/api/content/:page', async (req, res) => {
       content[row.section][row.content_key] = row.content_value;
     }
     
+    if (req.query.preview) {
+      setPreviewHeaders(res);
+      const preview = await previewService.getPageContent(page, content, String(req.query.preview));
+      if (!preview) {
+        return res.status(404).json({ error: 'This preview link is invalid, has expired or was revoked' });
+      }
+      return res.json({ page, content: preview.content, preview: { expires_at: preview.expiresAt } });
+    }
+    
     res.json({ page, content });
   } catch (error) {
     console.error('Get content error:', error);
@@ -3247,197 +3604,207 @@ app.get('/api/admin/content', authMiddleware, requireRole('superadmin'), async (
 
 // ============ COMPREHENSIVE CMS CONTENT API ============
 
-// Get all content structured for CMS editor
-app.get('/api/admin/content/all', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  try {
-    // Get page content
-    const pageContent = await pool.query(
-      'SELECT * FROM page_content ORDER BY page, section, content_key'
-    );
-    
-    // Get products (module_cards)
-    const products = await pool.query(
-      'SELECT * FROM products ORDER BY display_order NULLS LAST, created_at'
-    );
-    
-    // Transform page content into structured format
-    const content = {};
+// Site content as the CMS editor edits it: page_content sections keyed by
+// section, plus products as module_cards
+async function loadSiteContent() {
+  // Get page content
+  const pageContent = await pool.query(
+    'SELECT * FROM page_content ORDER BY page, section, content_key'
+  );
+  
+  // Get products (module_cards)
+  const products = await pool.query(
+    'SELECT * FROM products ORDER BY display_order NULLS LAST, created_at'
+  );
+  
+  // Transform page content into structured format
+  const content = {};
+  
+  for (const row of pageContent.rows) {
+    const sectionKey = row.section;
     
-    for (const row of pageContent.rows) {
-      const sectionKey = row.section;
-      
-      if (!content[sectionKey]) {
-        content[sectionKey] = {};
-      }
-      
-      // Store value with metadata
-      content[sectionKey][row.content_key] = row.content_value;
+    if (!content[sectionKey]) {
+      content[sectionKey] = {};
     }
     
-    // Map products to module_cards format
-    content.module_cards = products.rows.map((p, idx) => ({
-      id: p.id,
-      name: p.name,
-      slug: p.slug,
-      tagline: p.tagline,
-      short_description: p.short_description || '',
-      description: p.description,
-      tag: p.tag || p.cell_tag || '',
-      tag_label: p.cell_tag || '',
-      icon_svg: p.icon_svg || '',
-      image_url: p.image_url || '',
-      website_url: p.website_url || p.external_url || '',
-      external_url: p.external_url || '',
-      category: p.category || 'core_automation',
-      features: p.features || [],
-      status: p.status || 'active',
-      phase: p.phase || 1,
-      is_featured: p.is_featured || p.is_hero || false,
-      card_size: p.cell_size || 'medium',
-      display_order: p.display_order || idx
-    }));
-    
-    res.json({ 
-      success: true, 
-      content,
-      lastUpdated: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('CMS get all content error:', error);
-    res.status(500).json({ error: 'Failed to fetch content' });
+    // Store value with metadata
+    content[sectionKey][row.content_key] = row.content_value;
   }
-});
+  
+  // Map products to module_cards format
+  content.module_cards = products.rows.map((p, idx) => ({
+    id: p.id,
+    name: p.name,
+    slug: p.slug,
+    tagline: p.tagline,
+    short_description: p.short_description || '',
+    description: p.description,
+    tag: p.tag || p.cell_tag || '',
+    tag_label: p.cell_tag || '',
+    icon_svg: p.icon_svg || '',
+    image_url: p.image_url || '',
+    website_url: p.website_url || p.external_url || '',
+    external_url: p.external_url || '',
+    category: p.category || 'core_automation',
+    features: p.features || [],
+    status: p.status || 'active',
+    phase: p.phase || 1,
+    is_featured: p.is_featured || p.is_hero || false,
+    card_size: p.cell_size || 'medium',
+    display_order: p.display_order || idx
+  }));
+  
+  return content;
+}
 
-// Save all content from CMS editor
-app.put('/api/admin/content/all', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  const client = await pool.connect();
+/**
+ * Save site content in the CMS editor's shape, on `client` inside the
+ * caller's transaction. Only called for approved editorial reviews (see
+ * siteContentPublisher), which drop the content caches once it commits.
+ * @returns {Object} { pageContentUpdates, productUpdates }
+ */
+async function saveSiteContent(client, content, username) {
+  let pageContentUpdates = 0;
+  let productUpdates = 0;
   
-  try {
-    const { content } = req.body;
-    
-    if (!content || typeof content !== 'object') {
-      return res.status(400).json({ error: 'Invalid content format' });
-    }
-    
-    await client.query('BEGIN');
-    
-    let pageContentUpdates = 0;
-    let productUpdates = 0;
-    
-    for (const [sectionKey, sectionData] of Object.entries(content)) {
+  for (const [sectionKey, sectionData] of Object.entries(content)) {
+    
+    // Handle module_cards separately (products table)
+    if (sectionKey === 'module_cards' && Array.isArray(sectionData)) {
+      // Sync products
+      const existingProducts = await client.query('SELECT id, slug FROM products');
+      const existingSlugs = new Map(existingProducts.rows.map(p => [p.id, p.slug]));
+      const existingIds = new Set(existingSlugs.keys());
+      const incomingIds = new Set(sectionData.filter(p => p.id).map(p => p.id));
       
-      // Handle module_cards separately (products table)
-      if (sectionKey === 'module_cards' && Array.isArray(sectionData)) {
-        // Sync products
-        const existingProducts = await client.query('SELECT id FROM products');
-        const existingIds = new Set(existingProducts.rows.map(p => p.id));
-        const incomingIds = new Set(sectionData.filter(p => p.id).map(p => p.id));
-        
-        // Delete products that are no longer in the list
-        for (const existingId of existingIds) {
-          if (!incomingIds.has(existingId)) {
-            await client.query('DELETE FROM products WHERE id = $1', [existingId]);
-          }
+      // Delete products that are no longer in the list
+      for (const existingId of existingIds) {
+        if (!incomingIds.has(existingId)) {
+          await client.query('DELETE FROM products WHERE id = $1', [existingId]);
         }
-        
-        // Update or insert products
-        for (let i = 0; i < sectionData.length; i++) {
-          const product = sectionData[i];
-          
-          if (product.id && existingIds.has(product.id)) {
-            // Update existing product
-            await client.query(`
-              UPDATE products SET 
-                name = $1, slug = $2, tagline = $3, description = $4,
-                icon_svg = $5, image_url = $6, cell_tag = $7, 
-                features = $8, status = $9, phase = $10,
-                is_hero = $11, display_order = $12, 
-                short_description = $13, tag = $14, website_url = $15, cell_size = $16,
-                updated_at = CURRENT_TIMESTAMP
-              WHERE id = $17
-            `, [
-              product.name, product.slug || product.name.toLowerCase().replace(/\s+/g, '-'),
-              product.tagline, product.description,
-              product.icon_svg || '', product.image_url || '', product.tag_label || product.tag || '',
-              JSON.stringify(product.features || []), product.status || 'active', product.phase || 1,
-              product.is_featured || false, i,
-              product.short_description || '', product.tag || '', product.website_url || product.external_url || '',
-              product.card_size || 'medium', product.id
-            ]);
-          } else {
-            // Insert new product
-            await client.query(`
-              INSERT INTO products (name, slug, tagline, description, icon_svg, image_url, cell_tag, features, status, phase, is_hero, display_order, short_description, tag, website_url, cell_size)
-              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-            `, [
-              product.name, product.slug || product.name.toLowerCase().replace(/\s+/g, '-'),
-              product.tagline || '', product.description || '',
-              product.icon_svg || '', product.image_url || '', product.tag_label || product.tag || '',
-              JSON.stringify(product.features || []), product.status || 'active', product.phase || 1,
-              product.is_featured || false, i,
-              product.short_description || '', product.tag || '', product.website_url || product.external_url || '',
-              product.card_size || 'medium'
-            ]);
-          }
-          productUpdates++;
-        }
-        continue;
       }
       
-      // Handle single section (non-array)
-      if (typeof sectionData === 'object' && !Array.isArray(sectionData)) {
-        for (const [key, value] of Object.entries(sectionData)) {
-          // Skip if value is undefined/null or is a complex object
-          if (value === undefined || value === null) continue;
-          
-          const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
-          
+      // Update or insert products
+      for (let i = 0; i < sectionData.length; i++) {
+        const product = sectionData[i];
+        
+        if (product.id && existingIds.has(product.id)) {
+          // Update existing product
+          const productSlug = product.slug || product.name.toLowerCase().replace(/\s+/g, '-');
           await client.query(`
-            INSERT INTO page_content (page, section, content_key, content_value, content_type)
-            VALUES ('global', $1, $2, $3, 'text')
-            ON CONFLICT (page, section, content_key) 
-            DO UPDATE SET content_value = EXCLUDED.content_value, updated_at = CURRENT_TIMESTAMP
-          `, [sectionKey, key, stringValue]);
-          
-          pageContentUpdates++;
+            UPDATE products SET 
+              name = $1, slug = $2, tagline = $3, description = $4,
+              icon_svg = $5, image_url = $6, cell_tag = $7, 
+              features = $8, status = $9, phase = $10,
+              is_hero = $11, display_order = $12, 
+              short_description = $13, tag = $14, website_url = $15, cell_size = $16,
+              updated_at = CURRENT_TIMESTAMP
+            WHERE id = $17
+          `, [
+            product.name, productSlug,
+            product.tagline, product.description,
+            product.icon_svg || '', product.image_url || '', product.tag_label || product.tag || '',
+            JSON.stringify(product.features || []), product.status || 'active', product.phase || 1,
+            product.is_featured || false, i,
+            product.short_description || '', product.tag || '', product.website_url || product.external_url || '',
+            product.card_size || 'medium', product.id
+          ]);
+          await renameProductPath(client, product.id, existingSlugs.get(product.id), productSlug, username);
+        } else {
+          // Insert new product
+          await client.query(`
+            INSERT INTO products (name, slug, tagline, description, icon_svg, image_url, cell_tag, features, status, phase, is_hero, display_order, short_description, tag, website_url, cell_size)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          `, [
+            product.name, product.slug || product.name.toLowerCase().replace(/\s+/g, '-'),
+            product.tagline || '', product.description || '',
+            product.icon_svg || '', product.image_url || '', product.tag_label || product.tag || '',
+            JSON.stringify(product.features || []), product.status || 'active', product.phase || 1,
+            product.is_featured || false, i,
+            product.short_description || '', product.tag || '', product.website_url || product.external_url || '',
+            product.card_size || 'medium'
+          ]);
         }
+        productUpdates++;
       }
-      
-      // Handle array sections (like testimonials, crisis_cards, etc.)
-      if (Array.isArray(sectionData)) {
-        // Clear existing array items for this section
-        await client.query(
-          "DELETE FROM page_content WHERE section = $1 AND content_key LIKE 'item_%'",
-          [sectionKey]
-        );
+      continue;
+    }
+    
+    // Handle single section (non-array)
+    if (typeof sectionData === 'object' && !Array.isArray(sectionData)) {
+      for (const [key, value] of Object.entries(sectionData)) {
+        // Skip if value is undefined/null or is a complex object
+        if (value === undefined || value === null) continue;
         
-        // Insert each item as JSON
-        for (let i = 0; i < sectionData.length; i++) {
-          await client.query(`
-            INSERT INTO page_content (page, section, content_key, content_value, content_type)
-            VALUES ('global', $1, $2, $3, 'json')
-          `, [sectionKey, `item_${i}`, JSON.stringify(sectionData[i])]);
-          pageContentUpdates++;
-        }
+        const stringValue = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        
+        await client.query(`
+          INSERT INTO page_content (page, section, content_key, content_value, content_type)
+          VALUES ('global', $1, $2, $3, 'text')
+          ON CONFLICT (page, section, content_key) 
+          DO UPDATE SET content_value = EXCLUDED.content_value, updated_at = CURRENT_TIMESTAMP
+        `, [sectionKey, key, stringValue]);
+        
+        pageContentUpdates++;
       }
     }
     
-    await client.query('COMMIT');
+    // Handle array sections (like testimonials, crisis_cards, etc.)
+    if (Array.isArray(sectionData)) {
+      // Clear existing array items for this section
+      await client.query(
+        "DELETE FROM page_content WHERE section = $1 AND content_key LIKE 'item_%'",
+        [sectionKey]
+      );
+      
+      // Insert each item as JSON
+      for (let i = 0; i < sectionData.length; i++) {
+        await client.query(`
+          INSERT INTO page_content (page, section, content_key, content_value, content_type)
+          VALUES ('global', $1, $2, $3, 'json')
+        `, [sectionKey, `item_${i}`, JSON.stringify(sectionData[i])]);
+        pageContentUpdates++;
+      }
+    }
+  }
+  
+  return { pageContentUpdates, productUpdates };
+}
+
+// Site content as an editorial review content type (see modules/editorial)
+const siteContentPublisher = {
+  load: () => loadSiteContent(),
+  // Sections are free-form; saveSiteContent skips what it doesn't recognise
+  validate: () => {},
+  publish: (review, user, client) => saveSiteContent(client, review.payload, user.username),
+  published: async () => {
+    await productsChanged();
+    pageContentChanged();
+  },
+};
+
+// Get all content structured for CMS editor
+app.get('/api/admin/content/all', authMiddleware, requireRole('superadmin'), async (req, res) => {
+  try {
+    const content = await loadSiteContent();
     
     res.json({ 
       success: true, 
-      message: `Content saved: ${pageContentUpdates} page content items, ${productUpdates} products`,
-      timestamp: new Date().toISOString()
+      content,
+      lastUpdated: new Date().toISOString()
     });
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('CMS save content error:', error);
-    res.status(500).json({ error: 'Failed to save content' });
-  } finally {
-    client.release();
+    console.error('CMS get all content error:', error);
+    res.status(500).json({ error: 'Failed to fetch content' });
   }
 });
 
+// Site content goes live through editorial review (POST /api/admin/reviews),
+// not by saving it directly
+app.put('/api/admin/content/all', authMiddleware, requireRole('superadmin'), (req, res) => {
+  res.status(409).json({ error: 'Site content changes go live through editorial review: submit them for approval' });
+});
+
 // Admin - Image upload for CMS
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
@@ -3503,41 +3870,48 @@ app.use('/uploads', express.static(path.join(__dirname, 'public', 'uploads')));
 app.get('/api/blog/posts', async (req, res) => {
   try {
     const { category, limit = 20, offset = 0 } = req.query;
-    
-    let query = `
-      SELECT id, slug, title, excerpt, category, author, image_url, 
-             published_at, view_count, featured
-      FROM blog_posts 
-      WHERE status = 'published'
-    `;
-    const params = [];
-    
-    if (category && category !== 'all') {
-      params.push(category);
-      query += ` AND category = $${params.length}`;
-    }
-    
-    query += ` ORDER BY featured DESC, published_at DESC`;
-    params.push(parseInt(limit));
-    query += ` LIMIT $${params.length}`;
-    params.push(parseInt(offset));
-    query += ` OFFSET $${params.length}`;
-    
-    const result = await pool.query(query, params);
-    
-    // Get categories with counts
-    const categoriesResult = await pool.query(`
-      SELECT category, COUNT(*) as count 
-      FROM blog_posts 
-      WHERE status = 'published' 
-      GROUP BY category
-    `);
-    
-    res.json({ 
-      posts: result.rows,
-      categories: categoriesResult.rows,
-      total: result.rowCount
+    const cacheKey = `${BlogService.CACHE_PREFIX}posts:${category || 'all'}:${parseInt(limit)}:${parseInt(offset)}`;
+    
+    // Cleared by blogService on every change, including scheduled publishes
+    const response = await cacheWrapper(cacheKey, 300, async () => {
+      let query = `
+        SELECT id, slug, title, excerpt, category, author, image_url, 
+               published_at, view_count, featured,
+               (SELECT a.slug FROM blog_authors a WHERE a.id = blog_posts.author_id) AS author_slug
+        FROM blog_posts 
+        WHERE status = 'published' AND deleted_at IS NULL
+      `;
+      const params = [];
+      
+      if (category && category !== 'all') {
+        params.push(category);
+        query += ` AND category = $${params.length}`;
+      }
+      
+      query += ` ORDER BY featured DESC, published_at DESC`;
+      params.push(parseInt(limit));
+      query += ` LIMIT $${params.length}`;
+      params.push(parseInt(offset));
+      query += ` OFFSET $${params.length}`;
+      
+      const result = await pool.query(query, params);
+      
+      // Get categories with counts
+      const categoriesResult = await pool.query(`
+        SELECT category, COUNT(*) as count 
+        FROM blog_posts 
+        WHERE status = 'published' AND deleted_at IS NULL
+        GROUP BY category
+      `);
+      
+      return { 
+        posts: result.rows,
+        categories: categoriesResult.rows,
+        total: result.rowCount
+      };
     });
+    
+    res.json(response);
   } catch (error) {
     console.error('Get blog posts error:', error);
     res.status(500).json({ error: 'Failed to fetch posts' });
@@ -3549,8 +3923,18 @@ app.get('/api/blog/posts/:slug', async (req, res) => {
   try {
     const { slug } = req.params;
     
+    if (req.query.preview) {
+      setPreviewHeaders(res);
+      const preview = await previewService.getPost(slug, String(req.query.preview));
+      if (!preview) {
+        return res.status(404).json({ error: 'This preview link is invalid, has expired or was revoked' });
+      }
+      const taxonomy = await taxonomyService.getPostTaxonomy(preview.post);
+      return res.json({ post: { ...preview.post, ...taxonomy }, preview: { expires_at: preview.expiresAt } });
+    }
+    
     const result = await pool.query(
-      `SELECT * FROM blog_posts WHERE slug = $1 AND status = 'published'`,
+      `SELECT * FROM blog_posts WHERE slug = $1 AND status = 'published' AND deleted_at IS NULL`,
       [slug]
     );
     
@@ -3558,200 +3942,208 @@ app.get('/api/blog/posts/:slug', async (req, res) => {
       return res.status(404).json({ error: 'Post not found' });
     }
     
-    // Increment view count
-    await pool.query(
-      'UPDATE blog_posts SET view_count = view_count + 1 WHERE slug = $1',
-      [slug]
-    );
+    // view_count is counted from the page's article_view event (unique views, no bots)
     
-    res.json({ post: result.rows[0] });
+    // Tags, author profile and series navigation
+    const taxonomy = await taxonomyService.getPostTaxonomy(result.rows[0]);
+    res.json({ post: { ...result.rows[0], ...taxonomy } });
   } catch (error) {
     console.error('Get blog post error:', error);
     res.status(500).json({ error: 'Failed to fetch post' });
   }
 });
 
-// Admin - Get all blog posts (including drafts)
-app.get('/api/admin/blog/posts', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  try {
-    const result = await pool.query(`
-      SELECT * FROM blog_posts 
-      ORDER BY 
-        CASE status WHEN 'draft' THEN 0 WHEN 'published' THEN 1 ELSE 2 END,
-        updated_at DESC
-    `);
-    
-    res.json({ posts: result.rows });
-  } catch (error) {
-    console.error('Admin get blog posts error:', error);
-    res.status(500).json({ error: 'Failed to fetch posts' });
-  }
-});
+// Public - Site search over posts, products and page content (see modules/search)
+const searchService = new SearchService({ pool });
 
-// Admin - Get single blog post for editing
-app.get('/api/admin/blog/posts/:id', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query('SELECT * FROM blog_posts WHERE id = $1', [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
-    
-    res.json({ post: result.rows[0] });
-  } catch (error) {
-    console.error('Admin get blog post error:', error);
-    res.status(500).json({ error: 'Failed to fetch post' });
-  }
-});
+app.use('/api/search', createSearchRoutes({
+  searchService,
+  apiLimiter,
+  handleValidationErrors,
+}));
 
-// Admin - Create new blog post
-app.post('/api/admin/blog/posts', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  try {
-    const { 
-      title, slug, excerpt, content, category, author, 
-      image_url, meta_title, meta_description, meta_keywords,
-      status, featured 
-    } = req.body;
-    
-    if (!title || !slug) {
-      return res.status(400).json({ error: 'Title and slug are required' });
-    }
-    
-    // Check if slug already exists
-    const existing = await pool.query('SELECT id FROM blog_posts WHERE slug = $1', [slug]);
-    if (existing.rows.length > 0) {
-      return res.status(400).json({ error: 'A post with this slug already exists' });
-    }
-    
-    const result = await pool.query(`
-      INSERT INTO blog_posts (
-        title, slug, excerpt, content, category, author, 
-        image_url, meta_title, meta_description, meta_keywords,
-        status, featured, published_at, created_by
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-      RETURNING *
-    `, [
-      title, slug, excerpt || '', content || '', 
-      category || 'Technology', author || 'FinACEverse Team',
-      image_url || '', meta_title || title.substring(0, 70), 
-      meta_description || excerpt?.substring(0, 160) || '',
-      meta_keywords || '',
-      status || 'draft', featured || false,
-      status === 'published' ? new Date() : null,
-      req.username || 'superadmin'
-    ]);
-    
-    res.json({ success: true, post: result.rows[0] });
-  } catch (error) {
-    console.error('Create blog post error:', error);
-    res.status(500).json({ error: 'Failed to create post' });
-  }
-});
+// Admin - Zero-result searches (content gaps)
+app.use('/api/admin/search', createAdminSearchRoutes({
+  searchService,
+  authMiddleware,
+  requireRole,
+  handleValidationErrors,
+}));
 
-// Admin - Update blog post
-app.put('/api/admin/blog/posts/:id', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { 
-      title, slug, excerpt, content, category, author, 
-      image_url, meta_title, meta_description, meta_keywords,
-      status, featured 
-    } = req.body;
-    
-    // Get current post to check status change
-    const current = await pool.query('SELECT status FROM blog_posts WHERE id = $1', [id]);
-    if (current.rows.length === 0) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
-    
-    // Check if slug is unique (excluding current post)
-    if (slug) {
-      const existing = await pool.query(
-        'SELECT id FROM blog_posts WHERE slug = $1 AND id != $2', 
-        [slug, id]
-      );
-      if (existing.rows.length > 0) {
-        return res.status(400).json({ error: 'A post with this slug already exists' });
-      }
-    }
-    
-    // Set published_at if publishing for first time
-    const wasPublished = current.rows[0].status === 'published';
-    const isPublishing = status === 'published' && !wasPublished;
-    
-    const result = await pool.query(`
-      UPDATE blog_posts SET
-        title = COALESCE($1, title),
-        slug = COALESCE($2, slug),
-        excerpt = COALESCE($3, excerpt),
-        content = COALESCE($4, content),
-        category = COALESCE($5, category),
-        author = COALESCE($6, author),
-        image_url = COALESCE($7, image_url),
-        meta_title = COALESCE($8, meta_title),
-        meta_description = COALESCE($9, meta_description),
-        meta_keywords = COALESCE($10, meta_keywords),
-        status = COALESCE($11, status),
-        featured = COALESCE($12, featured),
-        published_at = CASE 
-          WHEN $13 = true THEN NOW() 
-          ELSE published_at 
-        END,
-        updated_by = $14
-      WHERE id = $15
-      RETURNING *
-    `, [
-      title, slug, excerpt, content, category, author,
-      image_url, meta_title, meta_description, meta_keywords,
-      status, featured, isPublishing, req.username || 'superadmin', id
-    ]);
-    
-    res.json({ success: true, post: result.rows[0] });
-  } catch (error) {
-    console.error('Update blog post error:', error);
-    res.status(500).json({ error: 'Failed to update post' });
-  }
+// Public - Sitemap index, child sitemaps and RSS/Atom feeds from live data
+const sitemapService = new SitemapService({ pool });
+
+app.use(createSitemapRoutes({
+  sitemapService,
+  cacheWrapper,
+}));
+
+// Public - schema.org JSON-LD for a page (see modules/seo/structured-data.service.js)
+app.use('/api/structured-data', createStructuredDataRoutes({
+  structuredDataService,
+  apiLimiter,
+  handleValidationErrors,
+}));
+
+// Public - local SEO country and city pages, rendered at /:country/:city?
+app.use('/api/local-pages', createLocalPagesRoutes({
+  localPagesService: new LocalPagesService({ pool }),
+  apiLimiter,
+  handleValidationErrors,
+}));
+
+// Posts also appear in the sitemaps, feeds, prerendered blog pages and search
+const blogContentChanged = async (prefix) => {
+  await invalidateCache(prefix);
+  await invalidateCache(SitemapService.CACHE_PREFIX);
+  prerenderService.refresh(['/blog', '/blog/']);
+  searchService.refreshVocabulary();
+};
+
+// Redirect rules, automatic ones for renamed posts, and the 404 log (see modules/seo)
+const redirectService = new RedirectService({
+  pool,
+  listPaths: () => sitemapService.listPublicPaths(),
 });
+const redirectMiddleware = redirectService.middleware();
 
-// Admin - Delete blog post
-app.delete('/api/admin/blog/posts/:id', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const result = await pool.query('DELETE FROM blog_posts WHERE id = $1 RETURNING id, title', [id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
-    
-    res.json({ success: true, deleted: result.rows[0] });
-  } catch (error) {
-    console.error('Delete blog post error:', error);
-    res.status(500).json({ error: 'Failed to delete post' });
-  }
+app.use('/api/admin/redirects', createAdminRedirectsRoutes({
+  redirectService,
+  authMiddleware,
+  requireRole,
+  handleValidationErrors,
+}));
+
+// Admin - Posts, revision history, trash and categories (see modules/blog)
+const blogService = new BlogService({ pool, invalidateCache: blogContentChanged, redirects: redirectService });
+
+// Author profiles, tags and series
+const taxonomyService = new BlogTaxonomyService({ pool, invalidateCache: blogContentChanged });
+
+// Related-article recommendations (tags, content similarity and co-visits)
+const relatedPostsService = new RelatedPostsService({ pool });
+
+// Public - Author, tag and series pages, and related articles
+app.use('/api/blog', createBlogRoutes({
+  taxonomyService,
+  relatedPostsService,
+  cacheWrapper,
+  handleValidationErrors,
+}));
+
+app.use('/api/admin/blog', createAdminBlogRoutes({
+  blogService,
+  taxonomyService,
+  analyticsService: blogAnalyticsService,
+  authMiddleware,
+  requireRole,
+  handleValidationErrors,
+}));
+
+// Admin - Editorial review: blog posts and site content go live once approved
+const editorialWorkflowService = new EditorialWorkflowService({
+  pool,
+  integrity: new WorkflowStateIntegrity({ signingKey: WORKFLOW_SIGNING_KEY }),
+  auditLogger,
+  publishers: {
+    blog_post: {
+      load: (id) => blogService.getPost(id),
+      validate: BlogService.assertReviewPayload,
+      publish: async (review, user, client) => {
+        const post = await blogService.updatePost(review.content_id, review.payload, user.username, { reviewed: true, client });
+        if (!post) {
+          throw Object.assign(new Error('The post was deleted after it was submitted for review'), { status: 409 });
+        }
+      },
+      published: () => blogService.contentChanged(),
+    },
+    site_content: siteContentPublisher,
+    // Approved SEO fixes and rollbacks (see src/seo-ai/auto-fixer.js)
+    seo_fix: {
+      load: (id) => autoFixer.loadReviewContent(id),
+      validate: (payload) => autoFixer.validateReviewPayload(payload),
+      publish: (review, user, client) => autoFixer.publishReview(review, user, client),
+      published: (review) => autoFixer.reviewPublished(review),
+      withdraw: (review, user, client) => autoFixer.withdrawReview(review, user, client),
+    },
+  },
 });
 
-// Admin - Get blog categories
-app.get('/api/admin/blog/categories', authMiddleware, requireRole('superadmin'), async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM blog_categories ORDER BY name');
-    res.json({ categories: result.rows });
-  } catch (error) {
-    console.error('Get categories error:', error);
-    // Return default categories if table doesn't exist
-    res.json({ 
-      categories: [
-        { name: 'Technology', slug: 'technology', color: '#00d4ff' },
-        { name: 'Industry Insights', slug: 'industry-insights', color: '#8b5cf6' },
-        { name: 'Case Studies', slug: 'case-studies', color: '#10b981' },
-        { name: 'Compliance', slug: 'compliance', color: '#f59e0b' },
-        { name: 'Product Updates', slug: 'product-updates', color: '#ec4899' }
-      ]
-    });
-  }
+// Who writes SEO fix copy: SEO_FIX_PROVIDER=azure-openai (the default when
+// Azure OpenAI is configured), local-stub, or none for heuristics only
+const SEO_FIX_PROVIDERS = {
+  'azure-openai': () => new AzureOpenAIProvider(generateWithAI),
+  'local-stub': () => new LocalStubProvider(),
+};
+const seoFixProviderName = process.env.SEO_FIX_PROVIDER || (AZURE_OPENAI_CONFIG.isConfigured() ? 'azure-openai' : 'none');
+if (seoFixProviderName !== 'none' && !SEO_FIX_PROVIDERS[seoFixProviderName]) {
+  console.warn(`⚠️  Unknown SEO_FIX_PROVIDER "${seoFixProviderName}"; SEO fixes use heuristics only`);
+}
+const seoFixWriter = SEO_FIX_PROVIDERS[seoFixProviderName]
+  ? new SeoFixWriter({ provider: SEO_FIX_PROVIDERS[seoFixProviderName](), responseGuard: new PromptInjectionPrevention() })
+  : null;
+
+// SEO auto-fixes change CMS content through editorial review: approving one
+// in the SEO dashboard submits it, and it is applied, on the review's
+// transaction, when that is published. `field` is one of AutoFixer.TARGET_FIELDS
+autoFixer = new AutoFixer(pool, {
+  writer: seoFixWriter,
+  reviews: editorialWorkflowService,
+  targets: {
+    blog_post: {
+      load: (id) => blogService.getPost(id),
+      // Goes through the post's revision history; COALESCE keeps NULL, so unset restores as ''
+      apply: async (id, field, value, username, client) => {
+        const post = await blogService.updatePost(id, { [field]: value ?? '' }, username, { reviewed: true, client });
+        if (!post) {
+          throw Object.assign(new Error('The post was deleted after this fix was submitted'), { status: 409 });
+        }
+      },
+      changed: () => blogService.contentChanged(),
+    },
+    product: {
+      load: async (id, db = pool) => (await db.query('SELECT * FROM products WHERE id = $1', [id])).rows[0] || null,
+      apply: async (id, field, value, username, client) => {
+        await client.query(`UPDATE products SET ${field} = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1`, [id, value]);
+      },
+      changed: () => productsChanged(),
+    },
+    page_content: {
+      load: async (ref, db = pool) => {
+        const [page, section, contentKey] = ref.split(':');
+        const result = await db.query(
+          'SELECT * FROM page_content WHERE page = $1 AND section = $2 AND content_key = $3',
+          [page, section, contentKey]
+        );
+        return result.rows[0] || null;
+      },
+      apply: async (ref, field, value, username, client) => {
+        const [page, section, contentKey] = ref.split(':');
+        await client.query(
+          `UPDATE page_content SET ${field} = $4, updated_at = CURRENT_TIMESTAMP WHERE page = $1 AND section = $2 AND content_key = $3`,
+          [page, section, contentKey, value]
+        );
+      },
+      changed: () => pageContentChanged(),
+    },
+  },
 });
 
+app.use('/api/admin/reviews', createAdminReviewsRoutes({
+  workflowService: editorialWorkflowService,
+  authMiddleware,
+  requireRole,
+  handleValidationErrors,
+}));
+
+// Admin - "Share preview" links for posts and site content
+app.use('/api/admin/previews', createAdminPreviewsRoutes({
+  previewService,
+  authMiddleware,
+  requireRole,
+  handleValidationErrors,
+}));
+
 // Admin - AI Generate blog content
 app.post('/api/admin/blog/ai-generate', authMiddleware, requireRole('superadmin'), async (req, res) => {
   try {
@@ -3833,6 +4225,7 @@ app.post('/api/admin/content', authMiddleware, requireRole('superadmin'), async
       DO UPDATE SET content_value = EXCLUDED.content_value, content_type = EXCLUDED.content_type, updated_at = CURRENT_TIMESTAMP
       RETURNING *
     `, [page, section, content_key, content_value, content_type || 'text']);
+    pageContentChanged();
     
     res.json({ content: result.rows[0], message: 'Content saved' });
   } catch (error) {
@@ -3864,6 +4257,7 @@ app.post('/api/admin/content/bulk', authMiddleware, requireRole('superadmin'), a
       }
       
       await client.query('COMMIT');
+      pageContentChanged();
       res.json({ message: `${items.length} content items saved` });
     } catch (err) {
       await client.query('ROLLBACK');
@@ -3882,6 +4276,7 @@ app.delete('/api/admin/content/:id', authMiddleware, requireRole('superadmin'),
   try {
     const { id } = req.params;
     await pool.query('DELETE FROM page_content WHERE id = $1', [id]);
+    pageContentChanged();
     res.json({ message: 'Content deleted' });
   } catch (error) {
     console.error('Delete content error:', error);
@@ -3955,6 +4350,7 @@ app.post('/api/admin/content/seed-modules', authMiddleware, requireRole('superad
       }
       
       await client.query('COMMIT');
+      pageContentChanged();
       res.json({ message: `Content seeded: ${created} created, ${updated} updated` });
     } catch (err) {
       await client.query('ROLLBACK');
@@ -3972,6 +4368,16 @@ app.post('/api/admin/content/seed-modules', authMiddleware, requireRole('superad
 // LOCAL SEO - 9 COUNTRIES
 // =====================================================================
 
+// Setting a country up writes its local_seo_pages, which the sitemaps list
+// and crawlers get prerendered
+const localPagesChanged = async (countryCodes) => {
+  await invalidateCache(SitemapService.CACHE_PREFIX);
+  const landingPages = countryCodes
+    .map(code => localSEOManager.countries[code]?.landingPage)
+    .filter(Boolean);
+  prerenderService.refresh(landingPages.flatMap(page => [page, `${page}/`]));
+};
+
 // Get local SEO status for all countries
 app.get('/api/local-seo/status', authMiddleware, requireRole('superadmin'), async (req, res) => {
   try {
@@ -4001,6 +4407,7 @@ app.post('/api/local-seo/setup/:countryCode', authMiddleware, requireRole('super
     console.log(`🌍 Setting up local SEO for ${countryCode}...`);
     
     const result = await localSEOManager.setupLocalPresence(countryCode.toUpperCase());
+    await localPagesChanged([countryCode.toUpperCase()]);
     res.json(result);
   } catch (error) {
     console.error('Local SEO setup error:', error);
@@ -4017,6 +4424,7 @@ app.post('/api/local-seo/setup-all', authMiddleware, requireRole('superadmin'),
     
     console.log('🌍 Setting up local SEO for all 9 countries...');
     const results = await localSEOManager.setupAllCountries();
+    await localPagesChanged(Object.keys(localSEOManager.countries));
     
     const successful = results.filter(r => r.success).length;
     const failed = results.filter(r => !r.success).length;
@@ -4071,6 +4479,106 @@ app.get('/api/local-seo/cities/:countryCode', authMiddleware, requireRole('super
   }
 });
 
+// =====================================================================
+// NEWSLETTER - Double opt-in subscriptions mirrored to Mailgun
+// =====================================================================
+
+const mailTransport = createMailTransport();
+const newsletterService = new NewsletterService({
+  pool,
+  transport: mailTransport,
+  tokenService: linkTokenService,
+  siteUrl: SITE_URL,
+});
+console.log(`✓ Newsletter service initialized (${mailTransport.name} transport)`);
+
+app.use('/api/mailgun', createNewsletterRoutes({
+  newsletterService,
+  publicFormLimiter,
+  handleValidationErrors,
+}));
+
+// =====================================================================
+// LEADS - Demo, consultation and pilot requests + sales pipeline
+// =====================================================================
+
+const leadsService = new LeadsService({
+  pool,
+  transport: mailTransport,
+  salesInbox: process.env.SALES_EMAIL || 'info@finacegroup.com',
+  siteUrl: SITE_URL,
+});
+
+app.use('/api/leads', createLeadsRoutes({
+  leadsService,
+  publicFormLimiter,
+  handleValidationErrors,
+}));
+
+const leadPipelineService = new LeadPipelineService({ pool, auditLogger });
+
+app.use('/api/admin/leads', createAdminLeadsRoutes({
+  leadsService,
+  pipelineService: leadPipelineService,
+  authMiddleware,
+  requireRole,
+  handleValidationErrors,
+}));
+
+// =====================================================================
+// BOOKINGS - Demo / consultation scheduling with .ics invites
+// =====================================================================
+
+const bookingService = new BookingService({
+  pool,
+  transport: mailTransport,
+  tokenService: linkTokenService,
+  siteUrl: SITE_URL,
+  organizerEmail: process.env.SALES_EMAIL || 'info@finacegroup.com',
+  leadsService,
+  pipelineService: leadPipelineService,
+});
+
+app.use('/api/bookings', createBookingsRoutes({
+  bookingService,
+  publicFormLimiter,
+  handleValidationErrors,
+}));
+
+app.use('/api/admin/bookings', createAdminBookingsRoutes({
+  bookingService,
+  authMiddleware,
+  requireRole,
+  handleValidationErrors,
+}));
+
+// =====================================================================
+// BLOG COMMENTS - Moderated comment and Q&A threads on articles
+// =====================================================================
+
+const commentsService = new BlogCommentsService({
+  pool,
+  transport: mailTransport,
+  sanitizer: xssSanitizer,
+  editorInbox: process.env.BLOG_COMMENTS_EMAIL || process.env.SALES_EMAIL || 'info@finacegroup.com',
+  siteUrl: SITE_URL,
+});
+
+app.use('/api/blog', createBlogCommentsRoutes({
+  commentsService,
+  flagService,
+  honeypotService,
+  commentLimiter,
+  handleValidationErrors,
+}));
+
+app.use('/api/admin/comments', createAdminCommentsRoutes({
+  commentsService,
+  authMiddleware,
+  requireRole,
+  handleValidationErrors,
+}));
+
 // Health check endpoint for Railway
 app.get('/api/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -0,0 +1,174 @@
+/**
+ * @jest-environment node
+ */
+
+const {
+  BUCKETS,
+  murmurhash3,
+  bucketOf,
+  normalizeVariants,
+  pickVariant,
+  detectDevice,
+  matchesTargeting,
+  assignVariant,
+} = require('../../backend/src/modules/experiments/bucketing');
+
+const experiment = {
+  seed: 'hero-copy',
+  variants: ['control', 'b'],
+  trafficAllocation: 100,
+};
+
+const userIds = Array.from({ length: 2000 }, (_, i) => `visitor-${i}`);
+
+describe('murmurhash3', () => {
+  it('matches the reference implementation', () => {
+    expect(murmurhash3('')).toBe(0);
+    expect(murmurhash3('', 1)).toBe(0x514e28b7);
+    expect(murmurhash3('hello')).toBe(0x248bfa47);
+    expect(murmurhash3('The quick brown fox jumps over the lazy dog')).toBe(0x2e4ff723);
+  });
+
+  it('hashes the UTF-8 bytes', () => {
+    expect(murmurhash3('é')).not.toBe(murmurhash3('e'));
+  });
+});
+
+describe('bucketOf', () => {
+  it('is stable and within range', () => {
+    const bucket = bucketOf('seed', 'variant', 'visitor-1');
+    expect(bucketOf('seed', 'variant', 'visitor-1')).toBe(bucket);
+    expect(bucket).toBeGreaterThanOrEqual(0);
+    expect(bucket).toBeLessThan(BUCKETS);
+  });
+
+  it('buckets traffic and variants independently', () => {
+    const same = userIds.filter(id => bucketOf('seed', 'traffic', id) === bucketOf('seed', 'variant', id));
+    expect(same.length).toBeLessThan(5);
+  });
+});
+
+describe('normalizeVariants', () => {
+  it('accepts names or weighted variants', () => {
+    expect(normalizeVariants(['control', 'b'])).toEqual([
+      { name: 'control', weight: 1 },
+      { name: 'b', weight: 1 },
+    ]);
+    expect(normalizeVariants([{ name: 'control', weight: '3' }, { name: 'b' }])).toEqual([
+      { name: 'control', weight: 3 },
+      { name: 'b', weight: 1 },
+    ]);
+  });
+
+  it('rejects invalid variant lists', () => {
+    expect(() => normalizeVariants([])).toThrow('at least one variant');
+    expect(() => normalizeVariants([{ weight: 1 }])).toThrow('Every variant needs a name');
+    expect(() => normalizeVariants(['a', 'a'])).toThrow('Duplicate variant "a"');
+    expect(() => normalizeVariants([{ name: 'a', weight: -1 }])).toThrow('invalid weight');
+    expect(() => normalizeVariants([{ name: 'a', weight: 0 }])).toThrow('positive weight');
+  });
+});
+
+describe('pickVariant', () => {
+  const variants = [
+    { name: 'control', weight: 3 },
+    { name: 'off', weight: 0 },
+    { name: 'b', weight: 1 },
+  ];
+
+  it('walks the cumulative weights', () => {
+    expect(pickVariant(variants, 0)).toBe('control');
+    expect(pickVariant(variants, 7499)).toBe('control');
+    expect(pickVariant(variants, 7500)).toBe('b');
+    expect(pickVariant(variants, BUCKETS - 1)).toBe('b');
+  });
+
+  it('never picks a variant without weight', () => {
+    expect(pickVariant([{ name: 'a', weight: 1 }, { name: 'off', weight: 0 }], BUCKETS)).toBe('a');
+  });
+});
+
+describe('detectDevice', () => {
+  it('classifies user agents', () => {
+    expect(detectDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148')).toBe('mobile');
+    expect(detectDevice('Mozilla/5.0 (Linux; Android 14; Pixel 8) Mobile Safari/537.36')).toBe('mobile');
+    expect(detectDevice('Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X)')).toBe('tablet');
+    expect(detectDevice('Mozilla/5.0 (Linux; Android 13; SM-X700) Safari/537.36')).toBe('tablet');
+    expect(detectDevice('Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0')).toBe('desktop');
+    expect(detectDevice()).toBe('desktop');
+  });
+});
+
+describe('matchesTargeting', () => {
+  it('targets everyone without rules', () => {
+    expect(matchesTargeting(undefined, {})).toBe(true);
+    expect(matchesTargeting({ countries: [], devices: [], pages: [] }, {})).toBe(true);
+  });
+
+  it('matches countries by code or name, case-insensitively', () => {
+    const targeting = { countries: ['us', 'India'] };
+    expect(matchesTargeting(targeting, { countryCode: 'US' })).toBe(true);
+    expect(matchesTargeting(targeting, { country: 'india' })).toBe(true);
+    expect(matchesTargeting(targeting, { countryCode: 'CA' })).toBe(false);
+    expect(matchesTargeting(targeting, {})).toBe(false);
+  });
+
+  it('matches devices', () => {
+    expect(matchesTargeting({ devices: ['mobile'] }, { device: 'mobile' })).toBe(true);
+    expect(matchesTargeting({ devices: ['mobile'] }, { device: 'desktop' })).toBe(false);
+  });
+
+  it('matches exact pages and wildcard sections', () => {
+    const targeting = { pages: ['/pricing/', '/blog/*'] };
+    expect(matchesTargeting(targeting, { page: '/pricing' })).toBe(true);
+    expect(matchesTargeting(targeting, { page: '/blog' })).toBe(true);
+    expect(matchesTargeting(targeting, { page: '/blog/close-faster?utm_source=x' })).toBe(true);
+    expect(matchesTargeting(targeting, { page: '/blogroll' })).toBe(false);
+    expect(matchesTargeting(targeting, { page: '/pricing/enterprise' })).toBe(false);
+    expect(matchesTargeting(targeting, {})).toBe(false);
+    expect(matchesTargeting({ pages: ['/*'] }, { page: '/anything' })).toBe(true);
+  });
+});
+
+describe('assignVariant', () => {
+  it('gives a user the same variant every time', () => {
+    const first = assignVariant(experiment, 'visitor-42');
+    expect(first.reason).toBe('assigned');
+    expect(assignVariant(experiment, 'visitor-42')).toEqual(first);
+  });
+
+  it('splits traffic roughly by weight', () => {
+    const weighted = { ...experiment, variants: [{ name: 'control', weight: 3 }, { name: 'b', weight: 1 }] };
+    const control = userIds.filter(id => assignVariant(weighted, id).variant === 'control').length;
+    expect(control / userIds.length).toBeGreaterThan(0.7);
+    expect(control / userIds.length).toBeLessThan(0.8);
+  });
+
+  it('only lets the allocated share in, and raising it keeps everyone already in', () => {
+    const inAt = (allocation) => userIds.filter(id => (
+      assignVariant({ ...experiment, trafficAllocation: allocation }, id).variant !== null
+    ));
+    const ten = inAt(10);
+    const fifty = inAt(50);
+
+    expect(ten.length / userIds.length).toBeGreaterThan(0.07);
+    expect(ten.length / userIds.length).toBeLessThan(0.13);
+    expect(ten.every(id => fifty.includes(id))).toBe(true);
+    ten.forEach(id => {
+      expect(assignVariant({ ...experiment, trafficAllocation: 50 }, id).variant)
+        .toBe(assignVariant({ ...experiment, trafficAllocation: 10 }, id).variant);
+    });
+    expect(assignVariant({ ...experiment, trafficAllocation: 0 }, 'visitor-1')).toEqual({
+      variant: null,
+      reason: 'not_allocated',
+    });
+  });
+
+  it('leaves untargeted users out', () => {
+    const targeted = { ...experiment, targeting: { devices: ['mobile'] } };
+    expect(assignVariant(targeted, 'visitor-1', { device: 'desktop' })).toEqual({
+      variant: null,
+      reason: 'not_targeted',
+    });
+  });
+});
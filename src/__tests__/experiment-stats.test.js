@@ -0,0 +1,154 @@
+const {
+  DEFAULTS,
+  normalCdf,
+  normalQuantile,
+  wilsonInterval,
+  twoProportionZTest,
+  probabilityToBeat,
+  requiredSampleSize,
+  minimumDetectableEffect,
+  sequentialBoundary,
+  analyzeExperiment,
+} = require('../../backend/src/modules/experiments/experiment-stats');
+
+const arm = (name, visitors, conversions) => ({ name, visitors, conversions });
+
+describe('normal distribution', () => {
+  it('approximates the CDF', () => {
+    expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(normalCdf(1.96)).toBeCloseTo(0.975, 4);
+    expect(normalCdf(-1.96)).toBeCloseTo(0.025, 4);
+  });
+
+  it('inverts the CDF', () => {
+    expect(normalQuantile(0.5)).toBeCloseTo(0, 8);
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+    expect(normalQuantile(0.01)).toBeCloseTo(-2.326348, 5);
+    expect(normalQuantile(0)).toBe(-Infinity);
+    expect(normalQuantile(1)).toBe(Infinity);
+  });
+});
+
+describe('wilsonInterval', () => {
+  it('brackets the observed rate', () => {
+    const [low, high] = wilsonInterval(50, 100);
+    expect(low).toBeCloseTo(0.4038, 4);
+    expect(high).toBeCloseTo(0.5962, 4);
+  });
+
+  it('stays within 0-1 at the edges', () => {
+    const [low, high] = wilsonInterval(0, 10);
+    expect(low).toBe(0);
+    expect(high).toBeCloseTo(0.2775, 4);
+    expect(wilsonInterval(0, 0)).toEqual([0, 0]);
+  });
+});
+
+describe('twoProportionZTest', () => {
+  it('compares the treatment with the control', () => {
+    const test = twoProportionZTest(arm('control', 1000, 100), arm('b', 1000, 130));
+
+    expect(test.z).toBeCloseTo(2.1027, 4);
+    expect(test.pValue).toBeCloseTo(0.0355, 4);
+    expect(test.absoluteDiff).toBeCloseTo(0.03, 10);
+    expect(test.relativeLift).toBeCloseTo(0.3, 10);
+    expect(test.ci[0]).toBeCloseTo(0.0021, 4);
+    expect(test.ci[1]).toBeCloseTo(0.0579, 4);
+  });
+
+  it('handles a control without conversions', () => {
+    const test = twoProportionZTest(arm('control', 100, 0), arm('b', 100, 0));
+    expect(test.z).toBe(0);
+    expect(test.pValue).toBeCloseTo(1, 6);
+    expect(test.relativeLift).toBeNull();
+  });
+});
+
+describe('probabilityToBeat', () => {
+  it('is a coin flip for identical results', () => {
+    expect(probabilityToBeat(arm('a', 100, 10), arm('b', 100, 10))).toBeCloseTo(0.5, 6);
+  });
+
+  it('favours the better treatment, exactly and in the normal approximation', () => {
+    expect(probabilityToBeat(arm('a', 1000, 100), arm('b', 1000, 130))).toBeCloseTo(0.9822, 4);
+    expect(probabilityToBeat(arm('a', 100000, 10000), arm('b', 100000, 10300))).toBeCloseTo(0.9868, 4);
+  });
+});
+
+describe('planning', () => {
+  it('sizes a test for the target lift', () => {
+    expect(requiredSampleSize(0.1, 0.2)).toBe(3841);
+    expect(requiredSampleSize(0, 0.2)).toBeNull();
+    expect(requiredSampleSize(0.1, 0)).toBeNull();
+  });
+
+  it('reports the detectable effect at a sample size', () => {
+    const mde = minimumDetectableEffect(0.1, 3841);
+    expect(mde.absolute).toBeCloseTo(0.0192, 4);
+    expect(mde.relative).toBeCloseTo(0.1918, 4);
+    expect(minimumDetectableEffect(0.1, 0)).toBeNull();
+  });
+
+  it('demands more evidence at early looks', () => {
+    expect(sequentialBoundary(0.05, 1)).toBeCloseTo(1.96, 2);
+    expect(sequentialBoundary(0.05, 0.25)).toBeCloseTo(3.92, 2);
+    expect(sequentialBoundary(0.05, 2)).toBeCloseTo(1.96, 2);
+  });
+});
+
+describe('analyzeExperiment', () => {
+  it('declares a treatment that clearly beats control the winner', () => {
+    const analysis = analyzeExperiment([arm('control', 5000, 500), arm('b', 5000, 650)]);
+
+    expect(analysis.sampleSize).toEqual({ perVariant: 3841, current: 5000, informationFraction: 1 });
+    expect(analysis.variants[0].isControl).toBe(true);
+    expect(analysis.variants[1].vsControl.significant).toBe(true);
+    expect(analysis.verdict).toEqual({
+      status: 'winner',
+      winner: 'b',
+      reason: 'b converts 30.0% better than control',
+    });
+  });
+
+  it('keeps running when an early look is only nominally significant', () => {
+    const analysis = analyzeExperiment([arm('control', 1000, 100), arm('b', 1000, 130)]);
+
+    expect(analysis.variants[1].vsControl.pValue).toBeLessThan(DEFAULTS.alpha);
+    expect(analysis.variants[1].vsControl.significant).toBe(false);
+    expect(analysis.verdict).toEqual({
+      status: 'keep_running',
+      winner: null,
+      reason: '26% of the planned sample collected',
+    });
+  });
+
+  it('waits for enough visitors and conversions', () => {
+    const analysis = analyzeExperiment([arm('control', 50, 5), arm('b', 50, 9)]);
+    expect(analysis.verdict.status).toBe('keep_running');
+    expect(analysis.verdict.reason).toBe('Waiting for enough visitors and conversions in every variant');
+  });
+
+  it('calls an ended experiment without a difference inconclusive', () => {
+    const analysis = analyzeExperiment([arm('control', 5000, 500), arm('b', 5000, 505)], { ended: true });
+    expect(analysis.verdict).toEqual({
+      status: 'inconclusive',
+      winner: null,
+      reason: 'Experiment ended before a significant difference was found',
+    });
+  });
+
+  it('splits alpha across treatments and lets control win when every treatment loses', () => {
+    const analysis = analyzeExperiment([
+      arm('control', 5000, 650),
+      arm('b', 5000, 500),
+      arm('c', 5000, 480),
+    ]);
+
+    expect(analysis.adjustedAlpha).toBeCloseTo(0.025, 10);
+    expect(analysis.verdict).toEqual({
+      status: 'winner',
+      winner: 'control',
+      reason: 'control (control) beats every variant',
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const { SeoFixWriter, AzureOpenAIProvider, LocalStubProvider } = require('../seo-ai/fix-writer');
+const { PromptInjectionPrevention } = require('../../backend/security/financial-security');
+
+const facts = {
+  subject: 'Cognitive Finance Platform',
+  context: 'Automate close, reconciliation and reporting.',
+  src: '/images/platform.png',
+  keywords: ['AI accounting', 'financial automation']
+};
+
+const writerWith = (provider) => new SeoFixWriter({ provider, responseGuard: new PromptInjectionPrevention() });
+
+// Provider that answers with fixed text
+const replying = (text) => ({ name: 'fixed', complete: jest.fn().mockResolvedValue(text) });
+
+describe('LocalStubProvider', () => {
+  const provider = new LocalStubProvider();
+
+  it('builds copy from the facts', async () => {
+    expect(await provider.complete({ task: 'alt_text', facts })).toBe('Cognitive Finance Platform - AI accounting');
+    expect(await provider.complete({ task: 'meta_description', facts }))
+      .toBe('Cognitive Finance Platform. How FinACEverse helps with AI accounting.');
+    expect(await provider.complete({ task: 'meta_title', facts })).toBe('Cognitive Finance Platform | FinACEverse');
+  });
+
+  it('works without keywords', async () => {
+    const plain = { ...facts, keywords: [] };
+    expect(await provider.complete({ task: 'alt_text', facts: plain })).toBe('Cognitive Finance Platform');
+    expect(await provider.complete({ task: 'meta_description', facts: plain }))
+      .toBe('Cognitive Finance Platform. Read more on FinACEverse.');
+  });
+
+  it('rejects unknown tasks', async () => {
+    await expect(provider.complete({ task: 'h1', facts })).rejects.toThrow('Unknown task: h1');
+  });
+});
+
+describe('AzureOpenAIProvider', () => {
+  it('passes the prompt and system prompt to generate', async () => {
+    const generate = jest.fn().mockResolvedValue('Alt text');
+    const provider = new AzureOpenAIProvider(generate);
+
+    expect(await provider.complete({ task: 'alt_text', prompt: 'p', systemPrompt: 's', facts })).toBe('Alt text');
+    expect(generate).toHaveBeenCalledWith('p', 's');
+  });
+});
+
+describe('SeoFixWriter', () => {
+  let warn;
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  it('needs a provider and a response guard', () => {
+    expect(() => new SeoFixWriter({ provider: new LocalStubProvider() })).toThrow('needs a provider and a response guard');
+  });
+
+  it('writes with the local stub', async () => {
+    const writer = writerWith(new LocalStubProvider());
+
+    expect(await writer.write('meta_title', facts)).toEqual({
+      text: 'Cognitive Finance Platform | FinACEverse',
+      generatedBy: 'local-stub'
+    });
+  });
+
+  it('sends the task, prompt and filled-in facts to the provider', async () => {
+    const provider = replying('Title');
+    await writerWith(provider).write('meta_title', { subject: 'Pricing' });
+
+    const request = provider.complete.mock.calls[0][0];
+    expect(request.task).toBe('meta_title');
+    expect(request.systemPrompt).toBe(SeoFixWriter.TASKS.meta_title.systemPrompt);
+    expect(request.prompt).toContain('Current title: Pricing');
+    expect(request.prompt).toContain('Target keywords: none');
+    expect(request.facts).toEqual({ subject: 'Pricing', context: '', keywords: [] });
+  });
+
+  it('keeps the first line without labels or quotes', async () => {
+    const writer = writerWith(replying('\n  Alt text: "A dashboard of cash flow"\nSecond line'));
+
+    expect((await writer.write('alt_text', facts)).text).toBe('A dashboard of cash flow');
+  });
+
+  it('cuts long answers at a word boundary', async () => {
+    const long = 'Close the books faster with reconciliation that runs itself and reports that write themselves';
+    const { text } = await writerWith(replying(long)).write('meta_title', facts);
+
+    expect(text.length).toBeLessThanOrEqual(SeoFixWriter.TASKS.meta_title.maxLength);
+    expect(text).toBe('Close the books faster with reconciliation that runs…');
+  });
+
+  it('returns null when the provider fails or answers with nothing', async () => {
+    const failing = { name: 'down', complete: jest.fn().mockRejectedValue(new Error('timeout')) };
+
+    expect(await writerWith(failing).write('alt_text', facts)).toBeNull();
+    expect(await writerWith(replying('  \n ')).write('alt_text', facts)).toBeNull();
+  });
+
+  it('discards answers the response guard rejects', async () => {
+    const writer = writerWith(replying('Call 4111 1111 1111 1111 for a demo'));
+
+    expect(await writer.write('meta_description', facts)).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('SENSITIVE_DATA_LEAK'));
+  });
+
+  it('rejects unknown tasks', async () => {
+    await expect(writerWith(new LocalStubProvider()).write('h1', facts)).rejects.toThrow('Unknown task: h1');
+  });
+});
@@ -0,0 +1,82 @@
+const { tokenize, diffTokens, diffHtml, diffText } = require('../../backend/src/modules/blog/html-diff');
+
+describe('tokenize', () => {
+  it('splits tags, entities, words, whitespace and punctuation', () => {
+    expect(tokenize('<p>Close &amp; report, faster’s</p>')).toEqual([
+      '<p>', 'Close', ' ', '&amp;', ' ', 'report', ',', ' ', 'faster’s', '</p>',
+    ]);
+  });
+
+  it('treats missing content as empty', () => {
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('diffTokens', () => {
+  it('keeps the common prefix and suffix and merges runs', () => {
+    expect(diffTokens(['a', ' ', 'b', ' ', 'c'], ['a', ' ', 'x', ' ', 'c'])).toEqual([
+      { type: 'equal', tokens: ['a', ' '] },
+      { type: 'delete', tokens: ['b'] },
+      { type: 'insert', tokens: ['x'] },
+      { type: 'equal', tokens: [' ', 'c'] },
+    ]);
+  });
+
+  it('finds the shortest edit between partly shared sequences', () => {
+    const ops = diffTokens(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+    const edits = ops.filter(op => op.type !== 'equal').reduce((sum, op) => sum + op.tokens.length, 0);
+
+    expect(edits).toBe(5);
+    expect(ops.filter(op => op.type !== 'insert').flatMap(op => op.tokens)).toEqual(['a', 'b', 'c', 'a', 'b', 'b', 'a']);
+    expect(ops.filter(op => op.type !== 'delete').flatMap(op => op.tokens)).toEqual(['c', 'b', 'a', 'b', 'a', 'c']);
+  });
+
+  it('reports a full replacement past the edit limit', () => {
+    const before = Array.from({ length: 2500 }, (_, i) => `a${i}`);
+    const after = Array.from({ length: 2500 }, (_, i) => `b${i}`);
+
+    expect(diffTokens(before, after)).toEqual([
+      { type: 'delete', tokens: before },
+      { type: 'insert', tokens: after },
+    ]);
+  });
+});
+
+describe('diffHtml', () => {
+  it('marks changed words and keeps inserted tags', () => {
+    expect(diffHtml('<p>Close the books fast.</p>', '<p>Close the books <strong>faster</strong>.</p>')).toEqual({
+      html: '<p>Close the books <del>fast</del><strong><ins>faster</ins></strong>.</p>',
+      inserted: 1,
+      deleted: 1,
+      changed: true,
+    });
+  });
+
+  it('drops deleted tags so the markup stays balanced', () => {
+    expect(diffHtml('<p>One</p><p>Two</p>', '<p>One</p>').html).toBe('<p>One</p><del>Two</del>');
+  });
+
+  it('reports unchanged content', () => {
+    expect(diffHtml('<p>Same</p>', '<p>Same</p>')).toEqual({
+      html: '<p>Same</p>',
+      inserted: 0,
+      deleted: 0,
+      changed: false,
+    });
+  });
+});
+
+describe('diffText', () => {
+  it('escapes plain text', () => {
+    expect(diffText('Price < $5', 'Price < $10 & up')).toEqual({
+      html: 'Price &lt; $<del>5</del><ins>10 &amp; up</ins>',
+      inserted: 2,
+      deleted: 1,
+      changed: true,
+    });
+  });
+
+  it('diffs against missing values', () => {
+    expect(diffText(null, 'New').html).toBe('<ins>New</ins>');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+
+const { buildIcs, escapeText, formatDateTime, foldLine } = require('../../backend/src/modules/booking/ics');
+
+const event = {
+  uid: 'booking-42@finaceverse.io',
+  sequence: 2,
+  start: new Date('2026-01-19T09:30:00Z'),
+  end: new Date('2026-01-19T10:00:00Z'),
+  summary: 'Demo; FinACEverse, Inc.',
+  description: 'Agenda:\nClose\\Consolidate',
+  location: 'Google Meet',
+  url: 'https://meet.example.com/abc',
+  organizer: { name: 'FinACEverse', email: 'demo@finaceverse.io' },
+  attendee: { name: 'Ada "AL" Lovelace', email: 'ada@example.com' },
+};
+
+describe('escapeText', () => {
+  it('escapes TEXT special characters', () => {
+    expect(escapeText('a\\b;c,d\r\ne\nf')).toBe('a\\\\b\\;c\\,d\\ne\\nf');
+    expect(escapeText(null)).toBe('');
+  });
+});
+
+describe('formatDateTime', () => {
+  it('uses the UTC basic format', () => {
+    expect(formatDateTime(new Date('2026-01-19T09:30:00.123Z'))).toBe('20260119T093000Z');
+    expect(formatDateTime('2026-07-01T23:05:09Z')).toBe('20260701T230509Z');
+  });
+});
+
+describe('foldLine', () => {
+  it('leaves short lines alone', () => {
+    const line = 'x'.repeat(75);
+    expect(foldLine(line)).toBe(line);
+  });
+
+  it('folds at 75 octets with space-led continuations', () => {
+    const folded = foldLine('x'.repeat(160));
+    const lines = folded.split('\r\n');
+
+    expect(lines.map(line => line.length)).toEqual([75, 75, 12]);
+    expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    expect(folded.replace(/\r\n /g, '')).toBe('x'.repeat(160));
+  });
+
+  it('never splits a multi-byte character', () => {
+    const line = 'x' + 'é'.repeat(60);
+    const lines = foldLine(line).split('\r\n');
+
+    lines.forEach(part => expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75));
+    expect(lines.join('').replace(/^ /gm, '')).not.toContain('�');
+    expect(foldLine(line).replace(/\r\n /g, '')).toBe(line);
+  });
+});
+
+describe('buildIcs', () => {
+  it('builds a confirmed request with a reminder', () => {
+    const ics = buildIcs(event);
+    const lines = ics.split('\r\n');
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines).toEqual(expect.arrayContaining([
+      'BEGIN:VCALENDAR',
+      'METHOD:REQUEST',
+      'UID:booking-42@finaceverse.io',
+      'SEQUENCE:2',
+      'DTSTART:20260119T093000Z',
+      'DTEND:20260119T100000Z',
+      'SUMMARY:Demo\\; FinACEverse\\, Inc.',
+      'DESCRIPTION:Agenda:\\nClose\\\\Consolidate',
+      'LOCATION:Google Meet',
+      'URL:https://meet.example.com/abc',
+      'ORGANIZER;CN="FinACEverse":mailto:demo@finaceverse.io',
+      'STATUS:CONFIRMED',
+      'BEGIN:VALARM',
+      'TRIGGER:-PT15M',
+    ]));
+    expect(ics.replace(/\r\n /g, '')).toContain(
+      'ATTENDEE;CN="Ada \'AL\' Lovelace";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:ada@example.com'
+    );
+  });
+
+  it('builds a cancellation without a reminder', () => {
+    const ics = buildIcs({ ...event, method: 'CANCEL', description: undefined, location: undefined, url: undefined });
+
+    expect(ics).toContain('METHOD:CANCEL');
+    expect(ics).toContain('STATUS:CANCELLED');
+    expect(ics.replace(/\r\n /g, '')).toContain('PARTSTAT=DECLINED');
+    expect(ics).not.toContain('VALARM');
+    expect(ics).not.toContain('DESCRIPTION:Agenda');
+    expect(ics).not.toContain('LOCATION:');
+  });
+
+  it('starts new events at sequence 0', () => {
+    expect(buildIcs({ ...event, sequence: undefined })).toContain('SEQUENCE:0');
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  MailgunTransport,
+  MemoryTransport,
+  createMailTransport,
+} = require('../../backend/src/modules/mail/mail-transport');
+
+describe('MemoryTransport', () => {
+  it('tracks list members case-insensitively', async () => {
+    const transport = new MemoryTransport();
+
+    expect(await transport.addMember('Ada@Example.com', 'Ada')).toEqual({
+      success: true,
+      message: 'Successfully subscribed to newsletter',
+    });
+    const member = await transport.getMember('ada@example.com');
+    expect(member.subscribed).toBe(true);
+    expect(member.data).toEqual({ address: 'Ada@Example.com', name: 'Ada', subscribed: 'yes' });
+
+    await transport.removeMember('ADA@example.com');
+    expect(await transport.getMember('ada@example.com')).toEqual({
+      success: true,
+      subscribed: false,
+      data: undefined,
+    });
+  });
+
+  it('records sent messages with sequential ids', async () => {
+    const transport = new MemoryTransport();
+
+    const first = await transport.send({ to: 'a@example.com', subject: 'Confirm', text: 'one' });
+    const second = await transport.send({ to: 'b@example.com', subject: 'Welcome', text: 'two' });
+
+    expect(first).toEqual({ success: true, id: '<memory-1@localhost>' });
+    expect(second.id).toBe('<memory-2@localhost>');
+    expect(transport.sent).toHaveLength(2);
+    expect(transport.delivers).toBe(false);
+    expect(transport.sent[0]).toEqual({
+      id: '<memory-1@localhost>',
+      to: 'a@example.com',
+      subject: 'Confirm',
+      text: 'one',
+    });
+  });
+
+  it('finds the most recent message to an address', async () => {
+    const transport = new MemoryTransport();
+
+    await transport.send({ to: 'a@example.com', subject: 'First' });
+    await transport.send({ to: 'b@example.com', subject: 'Other' });
+    await transport.send({ to: 'a@example.com', subject: 'Second' });
+
+    expect(transport.lastMessageTo('a@example.com').subject).toBe('Second');
+    expect(transport.lastMessageTo('nobody@example.com')).toBeNull();
+  });
+});
+
+describe('MailgunTransport', () => {
+  it('delegates to the Mailgun client', async () => {
+    const client = {
+      subscribe: jest.fn().mockResolvedValue({ success: true }),
+      unsubscribe: jest.fn().mockResolvedValue({ success: true }),
+      getSubscriberStatus: jest.fn().mockResolvedValue({ success: true, subscribed: true }),
+      sendMessage: jest.fn().mockResolvedValue({ success: true, id: 'mg-1' }),
+    };
+    const transport = new MailgunTransport(client);
+    const message = { to: 'a@example.com', subject: 'Hi' };
+
+    await transport.addMember('a@example.com');
+    await transport.removeMember('a@example.com');
+    await transport.getMember('a@example.com');
+    expect(await transport.send(message)).toEqual({ success: true, id: 'mg-1' });
+
+    expect(client.subscribe).toHaveBeenCalledWith('a@example.com', '');
+    expect(client.unsubscribe).toHaveBeenCalledWith('a@example.com');
+    expect(client.getSubscriberStatus).toHaveBeenCalledWith('a@example.com');
+    expect(client.sendMessage).toHaveBeenCalledWith(message);
+    expect(transport.delivers).toBe(true);
+  });
+});
+
+describe('createMailTransport', () => {
+  it('uses the local fake without Mailgun credentials', () => {
+    expect(createMailTransport({}).name).toBe('memory');
+  });
+
+  it('uses the local fake when MAIL_TRANSPORT=memory', () => {
+    const env = { MAIL_TRANSPORT: 'memory', MAILGUN_API_KEY: 'key' };
+    expect(createMailTransport(env)).toBeInstanceOf(MemoryTransport);
+  });
+
+  it('refuses to fall back to the fake in production', () => {
+    expect(() => createMailTransport({ NODE_ENV: 'production' })).toThrow('Mailgun is not configured');
+    expect(() => createMailTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'memory', MAILGUN_API_KEY: 'key' }))
+      .toThrow('Mailgun is not configured');
+  });
+});
@@ -0,0 +1,142 @@
+const RedirectService = require('../../backend/src/modules/seo/redirect.service');
+
+const rule = (id, source_path, target_path, extra = {}) => ({
+  id,
+  source_path,
+  target_path,
+  match_type: source_path.includes('*') ? 'pattern' : 'exact',
+  status_code: 301,
+  ...extra,
+});
+
+const serviceWith = (rows) => new RedirectService({
+  pool: { query: jest.fn().mockResolvedValue({ rows }) },
+});
+
+describe('RedirectService.normalizePath', () => {
+  it('drops queries, fragments and trailing slashes', () => {
+    expect(RedirectService.normalizePath('/blog/post/?utm_source=x#top')).toBe('/blog/post');
+    expect(RedirectService.normalizePath('blog//')).toBe('/blog');
+    expect(RedirectService.normalizePath('/')).toBe('/');
+    expect(RedirectService.normalizePath('')).toBe('/');
+  });
+});
+
+describe('RedirectService.resolve', () => {
+  it('matches exact rules after normalizing the request', async () => {
+    const service = serviceWith([rule(1, '/old', '/new')]);
+
+    await expect(service.resolve('/old/?ref=x')).resolves.toEqual({ target: '/new', statusCode: 301, ruleIds: [1] });
+    await expect(service.resolve('/other')).resolves.toBeNull();
+  });
+
+  it('reads the rules once per cache period', async () => {
+    const service = serviceWith([rule(1, '/old', '/new')]);
+
+    await service.resolve('/old');
+    await service.resolve('/old');
+    expect(service.pool.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('follows chains to the end, temporary if any hop is', async () => {
+    const service = serviceWith([
+      rule(1, '/a', '/b'),
+      rule(2, '/b', '/c', { status_code: 302 }),
+      rule(3, '/c', '/d'),
+    ]);
+
+    await expect(service.resolve('/a')).resolves.toEqual({ target: '/d', statusCode: 302, ruleIds: [1, 2, 3] });
+  });
+
+  it('stops following after five hops', async () => {
+    const rows = Array.from({ length: 7 }, (_, i) => rule(i + 1, `/p${i}`, `/p${i + 1}`));
+    const found = await serviceWith(rows).resolve('/p0');
+
+    expect(found.target).toBe('/p5');
+    expect(found.ruleIds).toHaveLength(5);
+  });
+
+  it('gives up on a loop', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const service = serviceWith([rule(1, '/a', '/b'), rule(2, '/b', '/a')]);
+
+    await expect(service.resolve('/a')).resolves.toBeNull();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('ends at an absolute target', async () => {
+    const service = serviceWith([rule(1, '/a', 'https://example.com/a'), rule(2, '/ignored', '/x')]);
+
+    await expect(service.resolve('/a')).resolves.toEqual({
+      target: 'https://example.com/a',
+      statusCode: 301,
+      ruleIds: [1],
+    });
+  });
+
+  it('fills pattern captures into the target, longest pattern first', async () => {
+    const service = serviceWith([
+      rule(1, '/news/*', '/blog/$1'),
+      rule(2, '/news/archive/*/*', '/blog/$2?year=$1'),
+    ]);
+
+    await expect(service.resolve('/news/close-faster')).resolves.toMatchObject({ target: '/blog/close-faster' });
+    await expect(service.resolve('/news/archive/2024/recap')).resolves.toMatchObject({ target: '/blog/recap', ruleIds: [2] });
+  });
+
+  it('prefers an exact rule over a pattern', async () => {
+    const service = serviceWith([rule(1, '/news/*', '/blog/$1'), rule(2, '/news/launch', '/launch')]);
+
+    await expect(service.resolve('/news/launch')).resolves.toMatchObject({ target: '/launch', ruleIds: [2] });
+  });
+
+  it('escapes regex characters in patterns', async () => {
+    const service = serviceWith([rule(1, '/docs/v1.0/*', '/docs/$1')]);
+
+    await expect(service.resolve('/docs/v1x0/setup')).resolves.toBeNull();
+    await expect(service.resolve('/docs/v1.0/setup')).resolves.toMatchObject({ target: '/docs/setup' });
+  });
+});
+
+describe('RedirectService.validate', () => {
+  const service = serviceWith([]);
+
+  it('normalizes a valid rule', () => {
+    expect(service.validate({ sourcePath: 'old-page/', targetPath: '/new-page?x=1', statusCode: '302' })).toEqual({
+      sourcePath: '/old-page',
+      targetPath: '/new-page',
+      matchType: 'exact',
+      statusCode: 302,
+      note: null,
+      enabled: true,
+    });
+    expect(service.validate({ sourcePath: '/a', targetPath: 'https://example.com/b?x=1' }).targetPath)
+      .toBe('https://example.com/b?x=1');
+  });
+
+  it('rejects rules that cannot be served', () => {
+    expect(() => service.validate({ sourcePath: '/', targetPath: '/home' })).toThrow('homepage');
+    expect(() => service.validate({ sourcePath: '/api/users', targetPath: '/x' })).toThrow('API and asset paths');
+    expect(() => service.validate({ sourcePath: '/a', targetPath: ' ' })).toThrow('Target is required');
+    expect(() => service.validate({ sourcePath: '/a', targetPath: '/b', statusCode: 307 })).toThrow('Status code');
+    expect(() => service.validate({ sourcePath: '/a/*', targetPath: '/b' })).toThrow('need a pattern rule');
+  });
+
+  it('checks pattern references against the wildcards', () => {
+    expect(() => service.validate({ sourcePath: '/a', targetPath: '/b', matchType: 'pattern' })).toThrow('at least one *');
+    expect(() => service.validate({ sourcePath: '/a/*', targetPath: '/b/$2', matchType: 'pattern' }))
+      .toThrow('The target can only use $1: the source has 1 wildcard');
+    expect(service.validate({ sourcePath: '/a/*/*', targetPath: '/b/$2/$1', matchType: 'pattern' }).targetPath)
+      .toBe('/b/$2/$1');
+  });
+
+  it('marks validation errors as client errors', () => {
+    try {
+      service.validate({ sourcePath: '/', targetPath: '/home' });
+    } catch (error) {
+      expect(error.status).toBe(400);
+    }
+    expect.assertions(1);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+
+// cheerio pulls in undici, which needs web streams the jest environment lacks;
+// robots.txt handling never parses HTML
+jest.mock('cheerio', () => ({}));
+
+const SiteCrawler = require('../seo-ai/site-crawler');
+
+const { parseRobots, robotsRulesFor, isAllowedByRobots } = SiteCrawler;
+
+const ROBOTS = `
+# Our site
+User-agent: *
+Disallow: /admin
+Disallow: /search$
+Allow: /admin/public
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: Googlebot
+User-agent: Bingbot
+Disallow: /
+
+User-agent: finaceverse-seo-bot
+Disallow: /drafts/   # not ready
+Disallow:
+Crawl-delay: 1
+
+User-agent: finaceverse
+Crawl-delay: 5
+
+Sitemap: https://www.finaceverse.io/sitemap.xml
+`;
+
+describe('parseRobots', () => {
+  it('groups consecutive user agents and reads rules, delays and sitemaps', () => {
+    const robots = parseRobots(ROBOTS);
+
+    expect(robots.sitemaps).toEqual(['https://www.finaceverse.io/sitemap.xml']);
+    expect(robots.groups.map(group => group.agents)).toEqual([
+      ['*'],
+      ['googlebot', 'bingbot'],
+      ['finaceverse-seo-bot'],
+      ['finaceverse'],
+    ]);
+    expect(robots.groups[0].crawlDelay).toBe(2);
+  });
+
+  it('ignores comments and empty Disallow lines', () => {
+    expect(parseRobots(ROBOTS).groups[2].rules).toEqual([{ allow: false, pattern: '/drafts/' }]);
+  });
+
+  it('treats a missing file as no rules', () => {
+    expect(parseRobots(undefined)).toEqual({ groups: [], sitemaps: [] });
+  });
+});
+
+describe('robotsRulesFor', () => {
+  it('uses our own groups over *, with the longest delay', () => {
+    expect(robotsRulesFor(parseRobots(ROBOTS))).toEqual({
+      rules: [{ allow: false, pattern: '/drafts/' }],
+      crawlDelay: 5,
+    });
+  });
+
+  it('falls back to *', () => {
+    const { rules, crawlDelay } = robotsRulesFor(parseRobots(ROBOTS), 'some-other-bot');
+    expect(rules).toHaveLength(4);
+    expect(crawlDelay).toBe(2);
+  });
+
+  it('allows everything without a matching group', () => {
+    expect(robotsRulesFor(parseRobots('User-agent: googlebot\nDisallow: /'))).toEqual({ rules: [], crawlDelay: null });
+  });
+});
+
+describe('isAllowedByRobots', () => {
+  const { rules } = robotsRulesFor(parseRobots(ROBOTS), 'some-other-bot');
+
+  it('lets the longest matching rule win', () => {
+    expect(isAllowedByRobots(rules, '/admin/settings')).toBe(false);
+    expect(isAllowedByRobots(rules, '/admin/public/pricing')).toBe(true);
+    expect(isAllowedByRobots(rules, '/blog')).toBe(true);
+  });
+
+  it('supports * wildcards and the $ anchor', () => {
+    expect(isAllowedByRobots(rules, '/files/guide.pdf')).toBe(false);
+    expect(isAllowedByRobots(rules, '/files/guide.pdf?download=1')).toBe(true);
+    expect(isAllowedByRobots(rules, '/search')).toBe(false);
+    expect(isAllowedByRobots(rules, '/search/results')).toBe(true);
+  });
+
+  it('lets Allow win a tie', () => {
+    const tied = [{ allow: false, pattern: '/page' }, { allow: true, pattern: '/page' }];
+    expect(isAllowedByRobots(tied, '/page')).toBe(true);
+  });
+
+  it('matches special characters literally', () => {
+    const literal = [{ allow: false, pattern: '/a.b(c)' }];
+    expect(isAllowedByRobots(literal, '/a.b(c)')).toBe(false);
+    expect(isAllowedByRobots(literal, '/axb(c)')).toBe(true);
+  });
+});
@@ -0,0 +1,74 @@
+const {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  weekdayOf,
+  timeToMinutes,
+  minutesToTime,
+} = require('../../backend/src/modules/booking/timezone');
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA zones only', () => {
+    expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+    expect(isValidTimeZone(42)).toBe(false);
+  });
+});
+
+describe('getZonedParts', () => {
+  it('reads the wall clock in a zone', () => {
+    expect(getZonedParts(new Date('2026-01-18T20:15:30Z'), 'Asia/Kolkata')).toEqual({
+      year: 2026,
+      month: 1,
+      day: 19,
+      hour: 1,
+      minute: 45,
+      second: 30,
+      weekday: 1,
+      date: '2026-01-19',
+    });
+  });
+
+  it('reports midnight as hour 0', () => {
+    expect(getZonedParts(new Date('2026-03-02T00:00:00Z'), 'UTC').hour).toBe(0);
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  it('converts fixed-offset zones', () => {
+    expect(zonedTimeToUtc('2026-01-19', '09:00', 'Asia/Kolkata').toISOString()).toBe('2026-01-19T03:30:00.000Z');
+    expect(zonedTimeToUtc('2026-01-19', '09:00', 'UTC').toISOString()).toBe('2026-01-19T09:00:00.000Z');
+  });
+
+  it('follows daylight saving time', () => {
+    expect(zonedTimeToUtc('2026-01-15', '09:00', 'America/New_York').toISOString()).toBe('2026-01-15T14:00:00.000Z');
+    expect(zonedTimeToUtc('2026-07-15', '09:00', 'America/New_York').toISOString()).toBe('2026-07-15T13:00:00.000Z');
+  });
+
+  it('moves times in the spring-forward gap by the gap length', () => {
+    expect(zonedTimeToUtc('2026-03-08', '02:30', 'America/New_York').toISOString()).toBe('2026-03-08T06:30:00.000Z');
+  });
+});
+
+describe('calendar helpers', () => {
+  it('adds days across month and year ends', () => {
+    expect(addDays('2026-01-31', 1)).toBe('2026-02-01');
+    expect(addDays('2026-12-31', 1)).toBe('2027-01-01');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+  });
+
+  it('finds the day of week', () => {
+    expect(weekdayOf('2026-01-18')).toBe(0);
+    expect(weekdayOf('2026-01-19')).toBe(1);
+  });
+
+  it('converts between times and minutes', () => {
+    expect(timeToMinutes('09:30')).toBe(570);
+    expect(timeToMinutes('17:00:00')).toBe(1020);
+    expect(minutesToTime(570)).toBe('09:30');
+    expect(minutesToTime(5)).toBe('00:05');
+  });
+});
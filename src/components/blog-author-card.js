@@ -0,0 +1,92 @@
+import React from 'react'
+
+/**
+ * Author profile box (avatar, name, role, bio and social links) for articles
+ * and author pages, plus the matching schema.org Person. Styled by views/blog.css.
+ */
+
+const SITE_URL = 'https://www.finaceverse.io'
+
+const SOCIAL_LABELS = {
+  linkedin: 'LinkedIn',
+  twitter: 'X (Twitter)',
+  github: 'GitHub',
+  website: 'Website'
+}
+
+export const authorUrl = (author) => `${SITE_URL}/blog/author/${author.slug}`
+
+const initials = (name) => (name || '')
+  .split(' ')
+  .filter(Boolean)
+  .map(part => part[0])
+  .join('')
+  .substring(0, 3)
+
+export const AuthorAvatar = ({ author, size = 48 }) => (
+  author.avatar_url ? (
+    <img
+      className="author-avatar"
+      src={author.avatar_url}
+      alt={author.name}
+      width={size}
+      height={size}
+      style={{ width: size, height: size, objectFit: 'cover' }}
+    />
+  ) : (
+    <div className="author-avatar" style={{ width: size, height: size }} aria-hidden="true">
+      {initials(author.name)}
+    </div>
+  )
+)
+
+/**
+ * schema.org Person for an author profile
+ */
+export const personSchema = (author) => {
+  const sameAs = Object.values(author.social_links || {}).filter(Boolean)
+  return {
+    "@type": "Person",
+    "@id": `${authorUrl(author)}#person`,
+    "name": author.name,
+    "url": authorUrl(author),
+    ...(author.role && { "jobTitle": author.role }),
+    ...(author.bio && { "description": author.bio }),
+    ...(author.avatar_url && { "image": author.avatar_url }),
+    ...(sameAs.length > 0 && { "sameAs": sameAs }),
+    "worksFor": {
+      "@type": "Organization",
+      "name": "FinACEverse",
+      "url": SITE_URL
+    }
+  }
+}
+
+const BlogAuthorCard = ({ author, linkName = true, headingLevel = 3 }) => {
+  const Heading = `h${headingLevel}`
+  const links = Object.entries(author.social_links || {}).filter(([network, url]) => SOCIAL_LABELS[network] && url)
+
+  return (
+    <div className="blog-author-card">
+      <AuthorAvatar author={author} size={72} />
+      <div className="blog-author-card-body">
+        <Heading className="author-name">
+          {linkName ? <a href={`/blog/author/${author.slug}`}>{author.name}</a> : author.name}
+        </Heading>
+        {author.role && <span className="author-role">{author.role}</span>}
+        {author.bio && <p className="blog-author-bio">{author.bio}</p>}
+        {links.length > 0 && (
+          <ul className="blog-author-social">
+            {links.map(([network, url]) => (
+              <li key={network}>
+                <a href={url} target="_blank" rel="noopener noreferrer me">{SOCIAL_LABELS[network]}</a>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BlogAuthorCard
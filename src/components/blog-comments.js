@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { getAnonymousId } from '../utils/experiments';
+import './blog-comments.css';
+
+/**
+ * Comment and Q&A thread for a blog article. Renders nothing unless the post
+ * has comments enabled. Submissions are held for moderation in the vault;
+ * bodies arrive from /api/blog/posts/:slug/comments already HTML-escaped.
+ */
+
+// The API checks the blog.comments flag for the same visitor as useFlag()
+const commentsUrl = (slug) => `/api/blog/posts/${encodeURIComponent(slug)}/comments?${new URLSearchParams({ userId: getAnonymousId() })}`;
+
+const EMPTY_FORM = {
+  name: '',
+  email: '',
+  kind: 'comment',
+  body: '',
+  website: '',
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+});
+
+const CommentForm = ({ slug, parentId, onCancel }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [status, setStatus] = useState('idle'); // idle | submitting | success | error
+  const [feedback, setFeedback] = useState('');
+  // Time spent on the form is one of the spam signals
+  const openedAt = useRef(Date.now());
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setStatus('submitting');
+    setFeedback('');
+
+    try {
+      const response = await fetch(commentsUrl(slug), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: form.name,
+          email: form.email,
+          kind: parentId ? 'comment' : form.kind,
+          body: form.body,
+          parent_id: parentId || null,
+          website: form.website,
+          elapsed_ms: Date.now() - openedAt.current,
+        }),
+      });
+
+      const result = await response.json();
+
+      if (response.ok && result.success) {
+        setStatus('success');
+        setFeedback(result.message);
+        setForm(EMPTY_FORM);
+      } else {
+        setStatus('error');
+        setFeedback(result.details?.[0]?.message || result.message || 'Could not post your comment. Please try again.');
+      }
+    } catch (error) {
+      console.error('Comment submission error:', error);
+      setStatus('error');
+      setFeedback('An error occurred. Please try again later.');
+    }
+  };
+
+  if (status === 'success') {
+    return (
+      <div className="comment-form-success" role="status">
+        <p>{feedback}</p>
+        {onCancel && (
+          <button type="button" className="comment-link-btn" onClick={onCancel}>Close</button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <form className={`comment-form ${parentId ? 'reply' : ''}`} onSubmit={handleSubmit}>
+      {!parentId && (
+        <div className="comment-kind" role="radiogroup" aria-label="Post as">
+          {[['comment', 'Comment'], ['question', 'Ask a question']].map(([kind, label]) => (
+            <label key={kind} className={form.kind === kind ? 'active' : ''}>
+              <input
+                type="radio"
+                name="kind"
+                value={kind}
+                checked={form.kind === kind}
+                onChange={handleChange}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+      <textarea
+        name="body"
+        placeholder={parentId ? 'Write a reply' : form.kind === 'question' ? 'What would you like to know?' : 'Share your thoughts'}
+        value={form.body}
+        onChange={handleChange}
+        required
+        minLength={2}
+        maxLength={5000}
+        className="comment-form-textarea"
+        rows={parentId ? 3 : 5}
+        aria-label={parentId ? 'Reply' : 'Comment'}
+      ></textarea>
+      <div className="comment-form-row">
+        <input
+          type="text"
+          name="name"
+          placeholder="Name"
+          value={form.name}
+          onChange={handleChange}
+          required
+          minLength={2}
+          maxLength={100}
+          className="comment-form-input"
+          aria-label="Name"
+        />
+        <input
+          type="email"
+          name="email"
+          placeholder="Email (optional, never published)"
+          value={form.email}
+          onChange={handleChange}
+          maxLength={255}
+          className="comment-form-input"
+          aria-label="Email"
+        />
+      </div>
+
+      {/* Honeypot - hidden from people, filled in by bots */}
+      <input
+        type="text"
+        name="website"
+        value={form.website}
+        onChange={handleChange}
+        className="comment-form-honeypot"
+        tabIndex="-1"
+        autoComplete="off"
+        aria-hidden="true"
+      />
+
+      {status === 'error' && (
+        <p className="comment-form-error" role="alert">{feedback}</p>
+      )}
+
+      <div className="comment-form-actions">
+        <span className="comment-form-note">Comments are reviewed before they appear.</span>
+        {onCancel && (
+          <button type="button" className="comment-link-btn" onClick={onCancel}>Cancel</button>
+        )}
+        <button type="submit" className="btn btn-primary" disabled={status === 'submitting'}>
+          {status === 'submitting' ? 'Sending...' : parentId ? 'Reply' : form.kind === 'question' ? 'Ask' : 'Post comment'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const Comment = ({ comment }) => (
+  <div className={`comment ${comment.is_staff ? 'staff' : ''}`}>
+    <div className="comment-meta">
+      <span className="comment-author">{comment.author_name}</span>
+      {comment.is_staff && <span className="comment-badge staff">Team</span>}
+      <time dateTime={comment.created_at}>{formatDate(comment.created_at)}</time>
+    </div>
+    <div className="comment-body" dangerouslySetInnerHTML={{ __html: comment.body_html }} />
+  </div>
+);
+
+const BlogComments = ({ slug }) => {
+  const [thread, setThread] = useState(null); // { enabled, comments }
+  const [replyTo, setReplyTo] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setThread(null);
+    setReplyTo(null);
+
+    fetch(commentsUrl(slug))
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => { if (!cancelled) setThread(data); })
+      .catch(error => console.error('Failed to load comments:', error));
+
+    return () => { cancelled = true; };
+  }, [slug]);
+
+  if (!thread?.enabled) return null;
+
+  const { comments } = thread;
+  const questions = comments.filter(comment => comment.kind === 'question').length;
+
+  return (
+    <section className="blog-comments" aria-labelledby="blog-comments-title">
+      <h2 id="blog-comments-title">
+        {comments.length === 0
+          ? 'Comments & questions'
+          : `${comments.length} ${comments.length === 1 ? 'thread' : 'threads'}${questions ? ` · ${questions} ${questions === 1 ? 'question' : 'questions'}` : ''}`}
+      </h2>
+
+      {comments.length > 0 && (
+        <ol className="comment-threads">
+          {comments.map(comment => (
+            <li key={comment.id} className="comment-thread">
+              {comment.kind === 'question' && (
+                <span className={`comment-badge ${comment.answered ? 'answered' : 'question'}`}>
+                  {comment.answered ? 'Answered' : 'Question'}
+                </span>
+              )}
+              <Comment comment={comment} />
+              {comment.replies.length > 0 && (
+                <ol className="comment-replies">
+                  {comment.replies.map(reply => (
+                    <li key={reply.id}><Comment comment={reply} /></li>
+                  ))}
+                </ol>
+              )}
+              {replyTo === comment.id ? (
+                <CommentForm slug={slug} parentId={comment.id} onCancel={() => setReplyTo(null)} />
+              ) : (
+                <button type="button" className="comment-link-btn" onClick={() => setReplyTo(comment.id)}>
+                  Reply
+                </button>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <h3 className="comment-form-title">{comments.length === 0 ? 'Start the conversation' : 'Join the conversation'}</h3>
+      <CommentForm slug={slug} />
+    </section>
+  );
+};
+
+export default BlogComments;
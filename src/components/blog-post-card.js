@@ -0,0 +1,47 @@
+import React from 'react'
+
+/**
+ * Post card for the blog listing, author, tag and series pages.
+ * Styled by views/blog.css, which every page using it already imports.
+ */
+
+// Format date for display
+export const formatDate = (dateStr) => {
+  if (!dateStr) return ''
+  const date = new Date(dateStr)
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  })
+}
+
+const BlogPostCard = ({ post, label }) => (
+  <article className="blog-card">
+    <div className="blog-card-image">
+      <img src={post.image_url || post.image} alt={post.title} loading="lazy" />
+      <span className="blog-category-badge">{label || post.category}</span>
+      {post.featured && <span className="blog-featured-badge">⭐ Featured</span>}
+    </div>
+    <div className="blog-card-content">
+      <div className="blog-meta">
+        <span className="blog-date">{formatDate(post.published_at) || post.date}</span>
+        {post.author_slug ? (
+          <a href={`/blog/author/${post.author_slug}`} className="blog-author">By {post.author}</a>
+        ) : (
+          <span className="blog-author">By {post.author}</span>
+        )}
+      </div>
+      <h3 className="blog-card-title">{post.title}</h3>
+      <p className="blog-excerpt">{post.excerpt}</p>
+      <a href={`/blog/${post.slug}`} className="blog-read-more">
+        Read Article
+        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24">
+          <path fill="none" stroke="currentColor" strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 12h14m-7-7l7 7l-7 7"/>
+        </svg>
+      </a>
+    </div>
+  </article>
+)
+
+export default BlogPostCard
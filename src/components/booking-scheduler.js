@@ -0,0 +1,337 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { getSessionAttribution } from '../utils/performanceTracker';
+import './booking-scheduler.css';
+
+/**
+ * Self-serve scheduler for the demo and consultation pages.
+ * Slots come from /api/bookings/slots as UTC instants and are shown in
+ * the visitor's timezone; the server re-checks availability on submit
+ * and answers 409 if someone else took the time first.
+ */
+
+const detectTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+const COMMON_TIME_ZONES = [
+  'America/Los_Angeles',
+  'America/Denver',
+  'America/Chicago',
+  'America/New_York',
+  'America/Sao_Paulo',
+  'Europe/London',
+  'Europe/Berlin',
+  'Africa/Johannesburg',
+  'Asia/Dubai',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+  'UTC',
+];
+
+// Calendar date of an instant in a timezone, as YYYY-MM-DD
+const dateKey = (iso, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+}).format(new Date(iso));
+
+export const formatSlot = (iso, timeZone, options = {}) => new Intl.DateTimeFormat('en-US', {
+  timeZone,
+  weekday: 'long',
+  month: 'long',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short',
+  ...options,
+}).format(new Date(iso));
+
+/**
+ * Load bookable slots for a meeting type
+ */
+export const useBookingSlots = (meetingType) => {
+  const [slots, setSlots] = useState([]);
+  const [duration, setDuration] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await fetch(`/api/bookings/slots?type=${meetingType}`);
+      if (!response.ok) throw new Error('Failed to load available times');
+      const data = await response.json();
+      setSlots(data.slots);
+      setDuration(data.duration);
+    } catch (err) {
+      console.error('Booking slots error:', err);
+      setError('We could not load available times right now.');
+    } finally {
+      setLoading(false);
+    }
+  }, [meetingType]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { slots, duration, loading, error, refresh };
+};
+
+/**
+ * Timezone selector, day pills and time buttons
+ */
+export const SlotPicker = ({ slots, selected, onSelect, timeZone, onTimeZoneChange }) => {
+  const days = useMemo(() => {
+    const grouped = new Map();
+    for (const slot of slots) {
+      const key = dateKey(slot.start, timeZone);
+      if (!grouped.has(key)) grouped.set(key, []);
+      grouped.get(key).push(slot);
+    }
+    return Array.from(grouped.entries());
+  }, [slots, timeZone]);
+
+  const [activeDay, setActiveDay] = useState(null);
+  const currentDay = days.find(([key]) => key === activeDay) || days[0];
+
+  const zoneOptions = COMMON_TIME_ZONES.includes(timeZone)
+    ? COMMON_TIME_ZONES
+    : [timeZone, ...COMMON_TIME_ZONES];
+
+  if (days.length === 0) {
+    return <p className="scheduler-empty">No times are available in the next few weeks.</p>;
+  }
+
+  return (
+    <div className="scheduler-picker">
+      <label className="scheduler-timezone">
+        Times shown in
+        <select value={timeZone} onChange={(e) => onTimeZoneChange(e.target.value)}>
+          {zoneOptions.map(zone => (
+            <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="scheduler-days" role="tablist" aria-label="Choose a day">
+        {days.map(([key, daySlots]) => (
+          <button
+            key={key}
+            type="button"
+            role="tab"
+            aria-selected={currentDay[0] === key}
+            className={`scheduler-day ${currentDay[0] === key ? 'active' : ''}`}
+            onClick={() => setActiveDay(key)}
+          >
+            <span className="scheduler-day-name">
+              {formatSlot(daySlots[0].start, timeZone, { weekday: 'short', month: undefined, day: undefined, hour: undefined, minute: undefined, timeZoneName: undefined })}
+            </span>
+            <span className="scheduler-day-date">
+              {formatSlot(daySlots[0].start, timeZone, { weekday: undefined, month: 'short', day: 'numeric', hour: undefined, minute: undefined, timeZoneName: undefined })}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      <div className="scheduler-times" aria-label="Choose a time">
+        {currentDay[1].map(slot => (
+          <button
+            key={slot.start}
+            type="button"
+            className={`scheduler-time ${selected === slot.start ? 'active' : ''}`}
+            onClick={() => onSelect(slot.start)}
+          >
+            {formatSlot(slot.start, timeZone, { weekday: undefined, month: undefined, day: undefined, timeZoneName: undefined })}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const EMPTY_FORM = {
+  name: '',
+  email: '',
+  company: '',
+  notes: '',
+  website: '',
+};
+
+const BookingScheduler = ({ meetingType }) => {
+  const { slots, duration, loading, error, refresh } = useBookingSlots(meetingType);
+  const [timeZone, setTimeZone] = useState(detectTimeZone);
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [status, setStatus] = useState('idle'); // idle | submitting | success | error
+  const [feedback, setFeedback] = useState('');
+  const [booking, setBooking] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setStatus('submitting');
+    setFeedback('');
+
+    try {
+      const response = await fetch('/api/bookings', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          meetingType,
+          start: selected,
+          ...form,
+          timezone: timeZone,
+          page: window.location.pathname,
+          attribution: getSessionAttribution(),
+        }),
+      });
+
+      const result = await response.json();
+
+      if (response.ok && result.success) {
+        setBooking(result.booking);
+        setStatus('success');
+        return;
+      }
+
+      setStatus('error');
+      setFeedback(result.details?.[0]?.message || result.message || 'Could not book this time. Please try again.');
+      if (response.status === 409) {
+        setSelected(null);
+        refresh();
+      }
+    } catch (err) {
+      console.error('Booking error:', err);
+      setStatus('error');
+      setFeedback('An error occurred. Please try again later.');
+    }
+  };
+
+  if (status === 'success') {
+    return (
+      <div className="scheduler-success" role="status">
+        <h3>You're booked</h3>
+        <p className="scheduler-success-time">{formatSlot(booking.start, timeZone)}</p>
+        <p>
+          A calendar invite is on its way to your inbox. Use the links in that
+          email if you need to reschedule or cancel.
+        </p>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return <div className="scheduler scheduler-loading">Loading available times...</div>;
+  }
+
+  if (error) {
+    return (
+      <div className="scheduler">
+        <p className="scheduler-error" role="alert">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="scheduler">
+      <div className="scheduler-header">
+        <h3>Pick a time</h3>
+        {duration && <span className="scheduler-duration">{duration} min · video call</span>}
+      </div>
+
+      <SlotPicker
+        slots={slots}
+        selected={selected}
+        onSelect={setSelected}
+        timeZone={timeZone}
+        onTimeZoneChange={setTimeZone}
+      />
+
+      {selected && (
+        <form className="scheduler-form" onSubmit={handleSubmit}>
+          <p className="scheduler-selected">{formatSlot(selected, timeZone)}</p>
+          <div className="scheduler-form-row">
+            <input
+              type="text"
+              name="name"
+              placeholder="Full Name"
+              value={form.name}
+              onChange={handleChange}
+              required
+              maxLength={200}
+              className="scheduler-input"
+              aria-label="Full Name"
+            />
+            <input
+              type="email"
+              name="email"
+              placeholder="Business Email"
+              value={form.email}
+              onChange={handleChange}
+              required
+              maxLength={320}
+              className="scheduler-input"
+              aria-label="Business Email"
+            />
+          </div>
+          <input
+            type="text"
+            name="company"
+            placeholder="Company Name (optional)"
+            value={form.company}
+            onChange={handleChange}
+            maxLength={200}
+            className="scheduler-input"
+            aria-label="Company Name"
+          />
+          <textarea
+            name="notes"
+            placeholder="Anything we should prepare? (optional)"
+            value={form.notes}
+            onChange={handleChange}
+            maxLength={2000}
+            rows="3"
+            className="scheduler-input"
+            aria-label="Notes"
+          ></textarea>
+
+          {/* Honeypot - hidden from people, filled in by bots */}
+          <input
+            type="text"
+            name="website"
+            value={form.website}
+            onChange={handleChange}
+            className="scheduler-honeypot"
+            tabIndex="-1"
+            autoComplete="off"
+            aria-hidden="true"
+          />
+
+          {status === 'error' && (
+            <p className="scheduler-error" role="alert">{feedback}</p>
+          )}
+
+          <button type="submit" className="btn btn-primary btn-lg" disabled={status === 'submitting'}>
+            {status === 'submitting' ? 'Booking...' : 'Confirm Booking'}
+          </button>
+        </form>
+      )}
+
+      {!selected && status === 'error' && (
+        <p className="scheduler-error" role="alert">{feedback}</p>
+      )}
+    </div>
+  );
+};
+
+export default BookingScheduler;
@@ -1,6 +1,7 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { Helmet } from 'react-helmet';
+import StructuredData from './structured-data';
+import { breadcrumbListSchema } from '../utils/structuredData';
 import './breadcrumb.css';
 
 /**
@@ -35,7 +36,6 @@ const Breadcrumb = ({ customItems, showHome = true }) => {
   if (showHome) {
     breadcrumbItems.push({
       name: 'Home',
-      url: 'https://finaceverse.io/',
       path: '/',
     });
   }
@@ -51,32 +51,15 @@ const Breadcrumb = ({ customItems, showHome = true }) => {
       const name = ROUTE_NAMES[segment] || segment.replace(/-/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase());
       breadcrumbItems.push({
         name,
-        url: `https://finaceverse.io${currentPath}`,
         path: currentPath,
         isLast: index === pathnames.length - 1,
       });
     });
   }
 
-  // Generate JSON-LD structured data
-  const jsonLd = {
-    '@context': 'https://schema.org',
-    '@type': 'BreadcrumbList',
-    itemListElement: breadcrumbItems.map((item, index) => ({
-      '@type': 'ListItem',
-      position: index + 1,
-      name: item.name,
-      item: item.url,
-    })),
-  };
-
   return (
     <>
-      <Helmet>
-        <script type="application/ld+json">
-          {JSON.stringify(jsonLd)}
-        </script>
-      </Helmet>
+      <StructuredData schemas={[breadcrumbListSchema(breadcrumbItems)]} />
       <nav className="breadcrumb" aria-label="Breadcrumb navigation">
         <ol className="breadcrumb-list" itemScope itemType="https://schema.org/BreadcrumbList">
           {breadcrumbItems.map((item, index) => (
@@ -0,0 +1,242 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './comment-moderation.css';
+
+/**
+ * Comment moderation queue for the Blog Editor: reader comments and questions
+ * by status, with their spam score, and actions to approve, reject, mark as
+ * spam, reply as staff or delete. Talks to /api/admin/comments.
+ */
+
+const STATUS_TABS = [
+  { status: 'pending', label: 'Pending' },
+  { status: 'approved', label: 'Approved' },
+  { status: 'spam', label: 'Spam' },
+  { status: 'rejected', label: 'Rejected' }
+];
+
+// Moves offered for a comment, by its current status
+const ACTIONS = {
+  pending: [['approved', '✓ Approve'], ['rejected', 'Reject'], ['spam', 'Spam']],
+  approved: [['rejected', 'Unpublish'], ['spam', 'Spam']],
+  spam: [['approved', 'Not spam, approve'], ['rejected', 'Reject']],
+  rejected: [['approved', 'Approve'], ['spam', 'Spam']]
+};
+
+const PAGE_SIZE = 50;
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+export const commentsRequest = async (path, { method = 'GET', body } = {}) => {
+  const token = localStorage.getItem('superadmin_token');
+  const res = await fetch(`/api/admin/comments${path}`, {
+    method,
+    headers: {
+      ...(body && { 'Content-Type': 'application/json' }),
+      Authorization: `Bearer ${token}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || `Request failed (HTTP ${res.status})`);
+  }
+  return data;
+};
+
+const ModerationItem = ({ comment, onModerate, onReply, onDelete, busy }) => {
+  const [replying, setReplying] = useState(false);
+  const [reply, setReply] = useState('');
+
+  const sendReply = async () => {
+    if (await onReply(comment, reply.trim())) {
+      setReplying(false);
+      setReply('');
+    }
+  };
+
+  return (
+    <li className={`moderation-item ${comment.is_staff ? 'staff' : ''}`}>
+      <div className="moderation-item-header">
+        <div>
+          <strong>{comment.author_name}</strong>
+          {comment.author_email && <a href={`mailto:${comment.author_email}`} className="moderation-email">{comment.author_email}</a>}
+          {comment.is_staff && <span className="moderation-badge staff">Staff</span>}
+          {comment.kind === 'question' && <span className="moderation-badge question">Question</span>}
+        </div>
+        <span className="moderation-date">{formatDateTime(comment.created_at)}</span>
+      </div>
+      <div className="moderation-context">
+        on <a href={`/blog/${comment.post_slug}`} target="_blank" rel="noopener noreferrer">{comment.post_title}</a>
+        {comment.parent_author_name && <> · reply to {comment.parent_author_name}</>}
+        {!comment.comments_enabled && <> · <em>comments closed on this post</em></>}
+      </div>
+
+      <p className="moderation-body">{comment.body}</p>
+
+      {!comment.is_staff && (
+        <div className={`moderation-spam ${comment.spam_score >= 0.6 ? 'high' : comment.spam_score > 0 ? 'some' : ''}`}>
+          Spam score {comment.spam_score.toFixed(2)}
+          {comment.spam_reasons?.length > 0 && <> · {comment.spam_reasons.join(', ')}</>}
+        </div>
+      )}
+      {comment.notify_error && (
+        <div className="moderation-notify-error">Author notification failed: {comment.notify_error}</div>
+      )}
+
+      <div className="moderation-actions">
+        {ACTIONS[comment.status].map(([status, label]) => (
+          <button
+            key={status}
+            className={status === 'approved' ? 'moderation-approve' : 'cancel-btn'}
+            onClick={() => onModerate(comment, status)}
+            disabled={busy}
+          >
+            {label}
+          </button>
+        ))}
+        {!comment.is_staff && (
+          <button className="cancel-btn" onClick={() => setReplying(!replying)} disabled={busy}>
+            💬 Reply
+          </button>
+        )}
+        <button className="moderation-delete" onClick={() => onDelete(comment)} disabled={busy}>Delete</button>
+      </div>
+
+      {replying && (
+        <div className="moderation-reply">
+          <textarea
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            rows={3}
+            maxLength={5000}
+            placeholder={comment.status === 'approved' ? 'Reply as FinACEverse Team' : 'Reply as FinACEverse Team (also approves this comment)'}
+          />
+          <button className="moderation-approve" onClick={sendReply} disabled={busy || !reply.trim()}>
+            Publish reply
+          </button>
+        </div>
+      )}
+    </li>
+  );
+};
+
+const CommentModeration = () => {
+  const [status, setStatus] = useState('pending');
+  const [comments, setComments] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchCounts = useCallback(async () => {
+    try {
+      const data = await commentsRequest('/counts');
+      setCounts(data.counts);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const fetchComments = useCallback(async (offset = 0) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ status, limit: PAGE_SIZE, offset });
+      const data = await commentsRequest(`?${params}`);
+      setComments(prev => (offset ? [...prev, ...data.comments] : data.comments));
+      setTotal(data.total);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchComments();
+    fetchCounts();
+  }, [fetchComments, fetchCounts]);
+
+  // Run an action, then reload the current tab and the counts
+  const act = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await Promise.all([fetchComments(), fetchCounts()]);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const moderate = (comment, nextStatus) => act(() => commentsRequest(`/${comment.id}/status`, {
+    method: 'PUT',
+    body: { status: nextStatus }
+  }));
+
+  const reply = (comment, body) => act(() => commentsRequest(`/${comment.id}/reply`, {
+    method: 'POST',
+    body: { body }
+  }));
+
+  const remove = (comment) => {
+    const replies = comment.parent_id ? '' : ' and its replies';
+    if (!window.confirm(`Delete this comment by ${comment.author_name}${replies}? This cannot be undone.`)) return;
+    act(() => commentsRequest(`/${comment.id}`, { method: 'DELETE' }));
+  };
+
+  return (
+    <div className="comment-moderation">
+      <div className="moderation-header">
+        <h2>💬 Comments</h2>
+        <div className="panel-tabs">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.status}
+              className={status === tab.status ? 'active' : ''}
+              onClick={() => setStatus(tab.status)}
+            >
+              {tab.label} ({counts[tab.status] || 0})
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <div className="moderation-error">{error}</div>}
+
+      {loading && comments.length === 0 ? (
+        <div className="loading">Loading comments...</div>
+      ) : comments.length === 0 ? (
+        <div className="empty-state">
+          {status === 'pending' ? 'No comments waiting for moderation' : `No ${status} comments`}
+        </div>
+      ) : (
+        <ul className="moderation-list">
+          {comments.map(comment => (
+            <ModerationItem
+              key={comment.id}
+              comment={comment}
+              onModerate={moderate}
+              onReply={reply}
+              onDelete={remove}
+              busy={busy}
+            />
+          ))}
+        </ul>
+      )}
+
+      {comments.length < total && (
+        <button className="cancel-btn moderation-more" onClick={() => fetchComments(comments.length)} disabled={loading}>
+          Load more ({total - comments.length} more)
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CommentModeration;
@@ -0,0 +1,505 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './editorial-review.css';
+
+/**
+ * Editorial review UI shared by the Blog Editor and the Content Editor:
+ * submitting content for approval, the review queue, and a review's detail
+ * (proposed changes, inline comments, signed approval trail and actions).
+ * Talks to /api/admin/reviews.
+ */
+
+export const STATE_LABELS = {
+  draft: 'Changes requested',
+  in_review: 'In review',
+  approved: 'Approved',
+  published: 'Published',
+  withdrawn: 'Withdrawn'
+};
+
+const CONTENT_TYPE_LABELS = {
+  blog_post: 'Blog post',
+  site_content: 'Site content',
+  seo_fix: 'SEO fix'
+};
+
+const TRANSITION_BUTTONS = {
+  in_review: { label: '📤 Resubmit for review', className: 'er-btn-primary' },
+  approved: { label: '✔ Approve', className: 'er-btn-approve' },
+  draft: { label: '↩ Request changes', className: 'er-btn-secondary' },
+  published: { label: '🚀 Publish', className: 'er-btn-primary' },
+  withdrawn: { label: 'Withdraw', className: 'er-btn-danger' }
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString();
+
+const reviewRequest = async (path, { method = 'GET', body } = {}) => {
+  const token = localStorage.getItem('superadmin_token');
+  const res = await fetch(`/api/admin/reviews${path}`, {
+    method,
+    headers: {
+      ...(body && { 'Content-Type': 'application/json' }),
+      Authorization: `Bearer ${token}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || `Request failed (HTTP ${res.status})`);
+  }
+  return data;
+};
+
+/**
+ * Open review of one piece of content, or null
+ */
+export const fetchOpenReview = async (contentType, contentId) => {
+  const params = new URLSearchParams({ open: 'true', content_type: contentType });
+  if (contentId) params.set('content_id', contentId);
+  const data = await reviewRequest(`?${params}`);
+  return data.reviews[0] || null;
+};
+
+/**
+ * @param {Object} submission - { contentType, contentId, title, payload, reviewerId, note }
+ */
+export const submitForReview = async ({ contentType, contentId, title, payload, reviewerId, note }) => {
+  const data = await reviewRequest('', {
+    method: 'POST',
+    body: {
+      content_type: contentType,
+      content_id: contentId || null,
+      title,
+      payload,
+      reviewer_id: Number(reviewerId),
+      note: note || null
+    }
+  });
+  return data.review;
+};
+
+export const ReviewStateBadge = ({ state }) => (
+  <span className={`er-state er-state-${state}`}>{STATE_LABELS[state] || state}</span>
+);
+
+const useReviewers = (active) => {
+  const [reviewers, setReviewers] = useState([]);
+
+  useEffect(() => {
+    if (!active) return;
+    reviewRequest('/reviewers')
+      .then(data => setReviewers(data.reviewers))
+      .catch(err => console.error('Failed to fetch reviewers:', err));
+  }, [active]);
+
+  return reviewers;
+};
+
+/**
+ * Pick a reviewer and add a note; onSubmit({ reviewerId, note }) does the submitting
+ */
+export const ReviewSubmitModal = ({ isOpen, heading, description, onClose, onSubmit }) => {
+  const reviewers = useReviewers(isOpen);
+  const [reviewerId, setReviewerId] = useState('');
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setNote('');
+      setError(null);
+    }
+  }, [isOpen]);
+
+  const submit = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onSubmit({ reviewerId, note: note.trim() });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="er-overlay" onClick={onClose}>
+      <div className="er-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="er-modal-header">
+          <h3>{heading}</h3>
+          <button className="er-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+        {description && <p className="er-muted">{description}</p>}
+
+        {error && <div className="er-error">{error}</div>}
+
+        <label className="er-label" htmlFor="er-reviewer">Reviewer</label>
+        {reviewers.length === 0 ? (
+          <p className="er-muted">No other superadmins can review yet. Add a vault user to approve content.</p>
+        ) : (
+          <select id="er-reviewer" value={reviewerId} onChange={(e) => setReviewerId(e.target.value)}>
+            <option value="">— Pick a reviewer —</option>
+            {reviewers.map(reviewer => (
+              <option key={reviewer.id} value={reviewer.id}>{reviewer.username}</option>
+            ))}
+          </select>
+        )}
+
+        <label className="er-label" htmlFor="er-note">Note for the reviewer</label>
+        <textarea
+          id="er-note"
+          rows={3}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="What changed and anything to look at closely..."
+        />
+
+        <div className="er-modal-actions">
+          <button className="er-btn-secondary" onClick={onClose}>Cancel</button>
+          <button className="er-btn-primary" onClick={submit} disabled={!reviewerId || submitting}>
+            {submitting ? 'Submitting...' : '📤 Submit for review'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Open reviews, assigned to the current user or everyone's
+ */
+export const ReviewQueue = ({ selectedId, onOpen, refreshKey }) => {
+  const [mine, setMine] = useState(true);
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    setError(null);
+    reviewRequest(`?open=true${mine ? '&mine=true' : ''}`)
+      .then(data => active && setReviews(data.reviews))
+      .catch(err => active && setError(err.message))
+      .finally(() => active && setLoading(false));
+    return () => {
+      active = false;
+    };
+  }, [mine, refreshKey]);
+
+  return (
+    <div className="er-queue">
+      <div className="er-tabs">
+        <button className={mine ? 'active' : ''} onClick={() => setMine(true)}>Assigned to me</button>
+        <button className={!mine ? 'active' : ''} onClick={() => setMine(false)}>All open</button>
+      </div>
+
+      {error && <div className="er-error">{error}</div>}
+
+      {loading ? (
+        <div className="er-muted">Loading reviews...</div>
+      ) : reviews.length === 0 ? (
+        <div className="er-muted">{mine ? 'Nothing waiting on you' : 'No open reviews'}</div>
+      ) : (
+        <ul className="er-queue-list">
+          {reviews.map(review => (
+            <li key={review.id}>
+              <button
+                className={`er-queue-item ${selectedId === review.id ? 'active' : ''}`}
+                onClick={() => onOpen(review)}
+              >
+                <span className="er-queue-title">{review.title}</span>
+                <span className="er-queue-meta">
+                  <ReviewStateBadge state={review.state} />
+                  {CONTENT_TYPE_LABELS[review.content_type]} · {review.author_name} → {review.reviewer_name}
+                  {review.open_comments > 0 && ` · 💬 ${review.open_comments}`}
+                </span>
+                <span className="er-queue-meta">Updated {formatDateTime(review.updated_at)}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const shortHash = (hash) => (hash ? hash.substring(0, 12) : null);
+
+/**
+ * One review: what it changes, comments, the signed trail and what the
+ * current user may do next.
+ * @param {Function} [getRevision] - () => { title, payload } from the editor,
+ *   sent when the author resubmits after changes were requested
+ * @param {Function} [onLoadPayload] - (review) => load the proposal into the editor
+ * @param {Function} [onChanged] - (review) after any change of state or reviewer
+ * @param {Object} [fieldLabels] - payload field -> label
+ */
+export const ReviewPanel = ({ reviewId, getRevision, onLoadPayload, onChanged, fieldLabels = {} }) => {
+  const [detail, setDetail] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [reason, setReason] = useState('');
+  const [nextReviewer, setNextReviewer] = useState('');
+  const [comment, setComment] = useState({ field: '', quote: '', body: '' });
+  const reviewers = useReviewers(Boolean(detail?.actions.reassign));
+
+  const load = useCallback(async () => {
+    try {
+      setDetail(await reviewRequest(`/${reviewId}`));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [reviewId]);
+
+  useEffect(() => {
+    setDetail(null);
+    setReason('');
+    setComment({ field: '', quote: '', body: '' });
+    load();
+  }, [load]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await action();
+      await load();
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const transition = (state) => run(async () => {
+    if (state === 'draft' && !reason.trim()) {
+      throw new Error('Say what needs to change in the note');
+    }
+    if (state === 'published' && !window.confirm('Publish the approved content now? It goes live immediately.')) {
+      return;
+    }
+    // Resubmitting sends the editor's current version
+    if (state === 'in_review' && getRevision) {
+      await reviewRequest(`/${reviewId}`, { method: 'PUT', body: getRevision() });
+    }
+    const data = await reviewRequest(`/${reviewId}/transition`, {
+      method: 'POST',
+      body: { state, reason: reason.trim() || null }
+    });
+    setReason('');
+    if (onChanged) onChanged(data.review);
+  });
+
+  const reassign = () => run(async () => {
+    const data = await reviewRequest(`/${reviewId}/reviewer`, {
+      method: 'PUT',
+      body: { reviewer_id: Number(nextReviewer) }
+    });
+    setNextReviewer('');
+    if (onChanged) onChanged(data.review);
+  });
+
+  // Anchor a comment to a field, quoting whatever is selected in its diff
+  const commentOn = (field) => {
+    const quote = window.getSelection().toString().trim().substring(0, 2000);
+    setComment(prev => ({ ...prev, field, quote }));
+    document.getElementById(`er-comment-${reviewId}`)?.focus();
+  };
+
+  const addComment = () => run(async () => {
+    await reviewRequest(`/${reviewId}/comments`, {
+      method: 'POST',
+      body: { field: comment.field || null, quote: comment.quote || null, body: comment.body }
+    });
+    setComment({ field: '', quote: '', body: '' });
+  });
+
+  const setResolved = (item, resolved) => run(() => (
+    reviewRequest(`/${reviewId}/comments/${item.id}`, { method: 'PUT', body: { resolved } })
+  ));
+
+  if (!detail) {
+    return (
+      <section className="er-panel">
+        {error ? <div className="er-error">{error}</div> : <div className="er-muted">Loading review...</div>}
+      </section>
+    );
+  }
+
+  const { review, changes, comments, trail, integrity, actions } = detail;
+  const label = (field) => fieldLabels[field] || field;
+
+  return (
+    <section className="er-panel">
+      <div className="er-panel-header">
+        <div>
+          <h3>{review.title}</h3>
+          <p className="er-muted">
+            <ReviewStateBadge state={review.state} />
+            {' '}Submitted by <strong>{review.author_name}</strong>
+            {review.reviewer_name && <> · reviewer <strong>{review.reviewer_name}</strong></>}
+          </p>
+        </div>
+        {integrity.valid ? (
+          <span className="er-integrity er-integrity-ok" title="Every step below is signed and the record verifies">
+            🔒 Trail verified ({integrity.transitions} signed steps)
+          </span>
+        ) : (
+          <span className="er-integrity er-integrity-bad" title={integrity.reason}>
+            ⚠ Trail failed verification: review locked
+          </span>
+        )}
+      </div>
+
+      {error && <div className="er-error">{error}</div>}
+
+      {/* Proposed changes */}
+      <div className="er-section">
+        <h4>Proposed changes</h4>
+        {changes.length === 0 ? (
+          <p className="er-muted">No differences from the live content</p>
+        ) : (
+          changes.map(change => (
+            <div key={change.field} className="er-change">
+              <div className="er-change-header">
+                <label>{label(change.field)}</label>
+                {actions.comment && (
+                  <button
+                    className="er-link"
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => commentOn(change.field)}
+                    title="Select text in this change to quote it"
+                  >
+                    💬 Comment
+                  </button>
+                )}
+              </div>
+              <div className="er-diff" dangerouslySetInnerHTML={{ __html: change.html }} />
+            </div>
+          ))
+        )}
+        {onLoadPayload && (
+          <button className="er-btn-secondary" onClick={() => onLoadPayload(review)}>
+            Open proposal in editor
+          </button>
+        )}
+      </div>
+
+      {/* Comments */}
+      <div className="er-section">
+        <h4>Comments ({comments.filter(item => !item.resolved).length} open)</h4>
+        {comments.map(item => (
+          <div key={item.id} className={`er-comment ${item.resolved ? 'resolved' : ''}`}>
+            <div className="er-comment-meta">
+              {item.field && <span className="er-field-tag">{label(item.field)}</span>}
+              <strong>{item.author_name}</strong> · {formatDateTime(item.created_at)}
+              {item.resolved && <span> · resolved by {item.resolved_by}</span>}
+            </div>
+            {item.quote && <blockquote>{item.quote}</blockquote>}
+            <p>{item.body}</p>
+            {actions.comment && (
+              <button className="er-link" onClick={() => setResolved(item, !item.resolved)} disabled={busy}>
+                {item.resolved ? 'Reopen' : 'Resolve'}
+              </button>
+            )}
+          </div>
+        ))}
+        {actions.comment && (
+          <div className="er-comment-form">
+            {(comment.field || comment.quote) && (
+              <div className="er-comment-anchor">
+                {comment.field && <span className="er-field-tag">{label(comment.field)}</span>}
+                {comment.quote && <blockquote>{comment.quote}</blockquote>}
+                <button className="er-link" onClick={() => setComment(prev => ({ ...prev, field: '', quote: '' }))}>
+                  Clear
+                </button>
+              </div>
+            )}
+            <textarea
+              id={`er-comment-${reviewId}`}
+              rows={2}
+              value={comment.body}
+              onChange={(e) => setComment(prev => ({ ...prev, body: e.target.value }))}
+              placeholder="Add a comment..."
+            />
+            <button className="er-btn-secondary" onClick={addComment} disabled={busy || !comment.body.trim()}>
+              Add comment
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Actions */}
+      {(actions.transitions.length > 0 || actions.reassign) && integrity.valid && (
+        <div className="er-section er-actions">
+          {actions.transitions.length > 0 && (
+            <>
+              <textarea
+                rows={2}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Note for the trail (required when requesting changes)"
+              />
+              <div className="er-action-buttons">
+                {actions.transitions.map(state => (
+                  <button
+                    key={state}
+                    className={TRANSITION_BUTTONS[state].className}
+                    onClick={() => transition(state)}
+                    disabled={busy}
+                  >
+                    {TRANSITION_BUTTONS[state].label}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+          {actions.reassign && (
+            <div className="er-reassign">
+              <select value={nextReviewer} onChange={(e) => setNextReviewer(e.target.value)}>
+                <option value="">— Change reviewer —</option>
+                {reviewers
+                  .filter(reviewer => reviewer.id !== review.reviewer_id)
+                  .map(reviewer => (
+                    <option key={reviewer.id} value={reviewer.id}>{reviewer.username}</option>
+                  ))}
+              </select>
+              <button className="er-btn-secondary" onClick={reassign} disabled={busy || !nextReviewer}>
+                Reassign
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Signed trail */}
+      <div className="er-section">
+        <h4>Approval trail</h4>
+        <ol className="er-trail">
+          {trail.map((step, index) => (
+            <li key={index}>
+              <span className="er-trail-when">{formatDateTime(step.at)}</span>
+              <span>
+                <strong>{step.username || `user #${step.user_id}`}</strong>{' '}
+                {step.from === step.to
+                  ? 'changed the reviewer'
+                  : <>moved it from {STATE_LABELS[step.from] || step.from} to <ReviewStateBadge state={step.to} /></>}
+              </span>
+              {step.reason && <span className="er-trail-reason">“{step.reason}”</span>}
+              {step.content_hash && (
+                <code title={`sha256 ${step.content_hash}`}>content {shortHash(step.content_hash)}</code>
+              )}
+            </li>
+          ))}
+        </ol>
+      </div>
+    </section>
+  );
+};
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
-import { Helmet } from 'react-helmet';
+import StructuredData from './structured-data';
+import { faqPageSchema } from '../utils/structuredData';
 import './faq-section.css';
 
 /**
@@ -49,27 +50,9 @@ const FAQSection = ({ faqs = DEFAULT_FAQS, title = "Frequently Asked Questions",
     setOpenIndex(openIndex === index ? null : index);
   };
 
-  // Generate JSON-LD structured data for FAQPage schema
-  const jsonLd = {
-    '@context': 'https://schema.org',
-    '@type': 'FAQPage',
-    mainEntity: faqs.map((faq) => ({
-      '@type': 'Question',
-      name: faq.question,
-      acceptedAnswer: {
-        '@type': 'Answer',
-        text: faq.answer,
-      },
-    })),
-  };
-
   return (
     <>
-      <Helmet>
-        <script type="application/ld+json">
-          {JSON.stringify(jsonLd)}
-        </script>
-      </Helmet>
+      <StructuredData schemas={[faqPageSchema(faqs)]} />
       <section className="faq-section" id="faq">
         <div className="container-wrapper">
           <div className="section-header centered">
@@ -125,13 +125,13 @@ const Footer = (props) => {
                     const response = await fetch('/api/mailgun', {
                       method: 'POST',
                       headers: { 'Content-Type': 'application/json' },
-                      body: JSON.stringify({ action: 'subscribe', email })
+                      body: JSON.stringify({ action: 'subscribe', email, source: 'footer' })
                     });
                     
                     const result = await response.json();
                     
                     if (result.success) {
-                      alert('Successfully subscribed to our newsletter!');
+                      alert(result.message || 'Please check your inbox to confirm your subscription.');
                       e.target.reset();
                     } else {
                       alert(result.message || 'Subscription failed. Please try again.');
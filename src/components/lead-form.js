@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { getSessionAttribution } from '../utils/performanceTracker';
+import './lead-form.css';
+
+/**
+ * Lead capture form for the demo, consultation and pilot pages.
+ * Posts to /api/leads; attribution (UTM, referrer) is resolved server-side
+ * from tracked visits, with the session's first touch sent as a fallback.
+ */
+
+const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-1000', '1000+'];
+
+const FORM_CONFIG = {
+  demo: {
+    companyRequired: true,
+    showCompanySize: true,
+    showPreferredTime: true,
+    messagePlaceholder: 'Specific areas of interest (modules, workflows, integrations)',
+    messageRequired: false,
+    submitLabel: 'Request Demo',
+  },
+  consultation: {
+    companyRequired: false,
+    showCompanySize: false,
+    showPreferredTime: true,
+    messagePlaceholder: 'Topics you would like to discuss',
+    messageRequired: false,
+    submitLabel: 'Request Consultation',
+  },
+  pilot: {
+    companyRequired: true,
+    showCompanySize: true,
+    showPreferredTime: false,
+    messagePlaceholder: 'Tell us about your current challenges and objectives',
+    messageRequired: true,
+    submitLabel: 'Request Pilot Program',
+  },
+};
+
+const EMPTY_FORM = {
+  name: '',
+  email: '',
+  company: '',
+  jobTitle: '',
+  companySize: '',
+  phone: '',
+  preferredTime: '',
+  message: '',
+  website: '',
+};
+
+const LeadForm = ({ formType }) => {
+  const config = FORM_CONFIG[formType];
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [status, setStatus] = useState('idle'); // idle | submitting | success | error
+  const [feedback, setFeedback] = useState('');
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setStatus('submitting');
+    setFeedback('');
+
+    const details = {};
+    if (form.preferredTime) details.preferredTime = form.preferredTime;
+
+    try {
+      const response = await fetch('/api/leads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          formType,
+          name: form.name,
+          email: form.email,
+          company: form.company,
+          jobTitle: form.jobTitle,
+          companySize: form.companySize,
+          phone: form.phone,
+          message: form.message,
+          website: form.website,
+          details,
+          page: window.location.pathname,
+          attribution: getSessionAttribution(),
+        }),
+      });
+
+      const result = await response.json();
+
+      if (response.ok && result.success) {
+        setStatus('success');
+        setFeedback(result.message);
+        setForm(EMPTY_FORM);
+      } else {
+        setStatus('error');
+        setFeedback(result.details?.[0]?.message || result.message || 'Could not submit your request. Please try again.');
+      }
+    } catch (error) {
+      console.error('Lead submission error:', error);
+      setStatus('error');
+      setFeedback('An error occurred. Please try again later.');
+    }
+  };
+
+  if (status === 'success') {
+    return (
+      <div className="lead-form-success" role="status">
+        <h3>Request received</h3>
+        <p>{feedback}</p>
+      </div>
+    );
+  }
+
+  return (
+    <form className="lead-form" onSubmit={handleSubmit}>
+      <div className="lead-form-row">
+        <input
+          type="text"
+          name="name"
+          placeholder="Full Name"
+          value={form.name}
+          onChange={handleChange}
+          required
+          maxLength={200}
+          className="lead-form-input"
+          aria-label="Full Name"
+        />
+        <input
+          type="email"
+          name="email"
+          placeholder="Business Email"
+          value={form.email}
+          onChange={handleChange}
+          required
+          maxLength={320}
+          className="lead-form-input"
+          aria-label="Business Email"
+        />
+      </div>
+      <div className="lead-form-row">
+        <input
+          type="text"
+          name="company"
+          placeholder={config.companyRequired ? 'Company Name' : 'Company Name (optional)'}
+          value={form.company}
+          onChange={handleChange}
+          required={config.companyRequired}
+          maxLength={200}
+          className="lead-form-input"
+          aria-label="Company Name"
+        />
+        <input
+          type="text"
+          name="jobTitle"
+          placeholder="Your Role"
+          value={form.jobTitle}
+          onChange={handleChange}
+          maxLength={200}
+          className="lead-form-input"
+          aria-label="Your Role"
+        />
+      </div>
+      <div className="lead-form-row">
+        {config.showCompanySize && (
+          <select
+            name="companySize"
+            value={form.companySize}
+            onChange={handleChange}
+            required={formType === 'pilot'}
+            className="lead-form-input"
+            aria-label="Company Size"
+          >
+            <option value="">Company Size</option>
+            {COMPANY_SIZES.map(size => (
+              <option key={size} value={size}>{size} employees</option>
+            ))}
+          </select>
+        )}
+        <input
+          type="tel"
+          name="phone"
+          placeholder="Phone (optional)"
+          value={form.phone}
+          onChange={handleChange}
+          maxLength={50}
+          className="lead-form-input"
+          aria-label="Phone"
+        />
+        {config.showPreferredTime && (
+          <input
+            type="text"
+            name="preferredTime"
+            placeholder="Preferred date/time & timezone"
+            value={form.preferredTime}
+            onChange={handleChange}
+            maxLength={200}
+            className="lead-form-input"
+            aria-label="Preferred date and time"
+          />
+        )}
+      </div>
+      <textarea
+        name="message"
+        placeholder={config.messagePlaceholder}
+        value={form.message}
+        onChange={handleChange}
+        required={config.messageRequired}
+        maxLength={5000}
+        className="lead-form-textarea"
+        rows="4"
+        aria-label="Message"
+      ></textarea>
+
+      {/* Honeypot - hidden from people, filled in by bots */}
+      <input
+        type="text"
+        name="website"
+        value={form.website}
+        onChange={handleChange}
+        className="lead-form-honeypot"
+        tabIndex="-1"
+        autoComplete="off"
+        aria-hidden="true"
+      />
+
+      {status === 'error' && (
+        <p className="lead-form-error" role="alert">{feedback}</p>
+      )}
+
+      <button
+        type="submit"
+        className="btn btn-primary btn-lg"
+        disabled={status === 'submitting'}
+      >
+        {status === 'submitting' ? 'Sending...' : config.submitLabel}
+      </button>
+    </form>
+  );
+};
+
+export default LeadForm;
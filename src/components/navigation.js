@@ -2,10 +2,12 @@ import React from 'react'
 
 import Script from 'dangerous-html/react'
 
+import SearchOverlay from './search-overlay'
 import './navigation.css'
 
 const Navigation = (props) => {
   const [mobileMenuOpen, setMobileMenuOpen] = React.useState(false);
+  const [searchOpen, setSearchOpen] = React.useState(false);
 
   const toggleTheme = () => {
     const currentTheme = document.documentElement.getAttribute('data-theme');
@@ -27,6 +29,20 @@ const Navigation = (props) => {
     document.documentElement.setAttribute('data-theme', savedTheme);
   }, []);
 
+  // Ctrl/Cmd+K anywhere, or "/" outside form fields, opens search
+  React.useEffect(() => {
+    const handleShortcut = (e) => {
+      const target = e.target;
+      const typing = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+      if ((e.key === 'k' && (e.metaKey || e.ctrlKey)) || (e.key === '/' && !typing)) {
+        e.preventDefault();
+        setSearchOpen(true);
+      }
+    };
+    document.addEventListener('keydown', handleShortcut);
+    return () => document.removeEventListener('keydown', handleShortcut);
+  }, []);
+
   return (
     <header className="navigation-container1" role="banner">
       <nav className="navigation-wrapper" aria-label="Main navigation">
@@ -80,6 +96,16 @@ const Navigation = (props) => {
               </li>
             </ul>
             <div className="navigation-actions">
+              <button
+                onClick={() => setSearchOpen(true)}
+                className="theme-toggle-btn"
+                aria-label="Search"
+                title="Search (Ctrl+K)"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24">
+                  <path fill="currentColor" d="M9.5 16q-2.725 0-4.612-1.888T3 9.5t1.888-4.612T9.5 3t4.613 1.888T16 9.5q0 1.1-.35 2.075T14.7 13.3l5.6 5.6q.275.275.275.7t-.275.7t-.7.275t-.7-.275l-5.6-5.6q-.75.6-1.725.95T9.5 16m0-2q1.875 0 3.188-1.312T14 9.5t-1.312-3.187T9.5 5T6.313 6.313T5 9.5t1.313 3.188T9.5 14"/>
+                </svg>
+              </button>
               <button 
                 onClick={toggleTheme}
                 className="theme-toggle-btn"
@@ -98,6 +124,16 @@ const Navigation = (props) => {
             </div>
           </div>
           <div className="navigation-mobile-actions">
+            <button
+              onClick={() => setSearchOpen(true)}
+              className="theme-toggle-btn mobile-theme-toggle"
+              aria-label="Search"
+              title="Search"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24">
+                <path fill="currentColor" d="M9.5 16q-2.725 0-4.612-1.888T3 9.5t1.888-4.612T9.5 3t4.613 1.888T16 9.5q0 1.1-.35 2.075T14.7 13.3l5.6 5.6q.275.275.275.7t-.275.7t-.7.275t-.7-.275l-5.6-5.6q-.75.6-1.725.95T9.5 16m0-2q1.875 0 3.188-1.312T14 9.5t-1.312-3.187T9.5 5T6.313 6.313T5 9.5t1.313 3.188T9.5 14"/>
+              </svg>
+            </button>
             <button 
               onClick={toggleTheme}
               className="theme-toggle-btn mobile-theme-toggle"
@@ -168,6 +204,7 @@ const Navigation = (props) => {
           </div>
         </div>
       </nav>
+      <SearchOverlay isOpen={searchOpen} onClose={() => setSearchOpen(false)} />
       <div id="mobileOverlay" className="navigation-mobile-overlay">
         <div className="navigation-overlay-header">
           <a href="/">
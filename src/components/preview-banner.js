@@ -0,0 +1,30 @@
+import React from 'react'
+import { Helmet } from 'react-helmet'
+import { useLocation } from 'react-router-dom'
+import './preview-banner.css'
+
+/**
+ * Shared preview links open unpublished content at its real URL with
+ * ?preview=<token>. Pages pass the token to their API request and show this
+ * banner while a preview is on screen.
+ */
+
+export const usePreviewToken = () => {
+  const { search } = useLocation()
+  return new URLSearchParams(search).get('preview')
+}
+
+const PreviewBanner = ({ expiresAt }) => (
+  <div className="preview-banner" role="status">
+    <Helmet>
+      <meta name="robots" content="noindex, nofollow" />
+    </Helmet>
+    <strong>Preview</strong>
+    <span>
+      This content isn't published yet and may still change.
+      {expiresAt && ` This link expires ${new Date(expiresAt).toLocaleString()}.`}
+    </span>
+  </div>
+)
+
+export default PreviewBanner
@@ -0,0 +1,337 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './redirect-manager.css';
+
+/**
+ * Redirect manager for the SEO dashboard: exact and pattern redirect rules
+ * with their hit counts, and the missing pages visitors hit, with suggested
+ * targets to redirect them to. Talks to /api/admin/redirects.
+ */
+
+const ORIGIN_LABELS = {
+  manual: 'Manual',
+  blog_slug: 'Post slug change',
+  product_slug: 'Product slug change',
+  not_found: 'From 404 log'
+};
+
+const EMPTY_FORM = {
+  source_path: '',
+  target_path: '',
+  match_type: 'exact',
+  status_code: 301,
+  note: ''
+};
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+export const redirectsRequest = async (path, { method = 'GET', body } = {}) => {
+  const token = localStorage.getItem('superadmin_token');
+  const res = await fetch(`/api/admin/redirects${path}`, {
+    method,
+    headers: {
+      ...(body && { 'Content-Type': 'application/json' }),
+      Authorization: `Bearer ${token}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || `Request failed (HTTP ${res.status})`);
+  }
+  return data;
+};
+
+const savedMessage = (result, verb) => (result.flattened
+  ? `Redirect ${verb}. Its target already redirected, so it now points straight at ${result.redirect.target_path}.`
+  : `Redirect ${verb}.`);
+
+const NotFoundItem = ({ entry, onRedirect, onDismiss, busy }) => {
+  const [target, setTarget] = useState(entry.suggestions[0]?.path || '');
+
+  return (
+    <li className="not-found-item">
+      <div className="not-found-header">
+        <code>{entry.path}</code>
+        <span className="not-found-hits">{entry.hits} hit{entry.hits === 1 ? '' : 's'}</span>
+      </div>
+      <div className="not-found-meta">
+        Last seen {formatDateTime(entry.last_seen_at)}
+        {entry.referrer && <> · from <span className="not-found-referrer">{entry.referrer}</span></>}
+        {entry.backlinks > 0 && <> · <strong>{entry.backlinks} tracked backlink{entry.backlinks === 1 ? '' : 's'}</strong></>}
+      </div>
+
+      {entry.suggestions.length > 0 && (
+        <div className="not-found-suggestions">
+          Closest pages:
+          {entry.suggestions.map(suggestion => (
+            <button
+              key={suggestion.path}
+              className={`suggestion-chip ${target === suggestion.path ? 'selected' : ''}`}
+              onClick={() => setTarget(suggestion.path)}
+              title={`Slug similarity ${suggestion.score}`}
+            >
+              {suggestion.path}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="not-found-actions">
+        <input
+          type="text"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          placeholder="/path-to-redirect-to"
+          maxLength={1000}
+        />
+        <button className="redirect-save" onClick={() => onRedirect(entry, target.trim())} disabled={busy || !target.trim()}>
+          301 Redirect
+        </button>
+        <button className="redirect-secondary" onClick={() => onDismiss(entry)} disabled={busy}>Dismiss</button>
+      </div>
+    </li>
+  );
+};
+
+const RedirectManager = () => {
+  const [redirects, setRedirects] = useState([]);
+  const [notFound, setNotFound] = useState([]);
+  const [search, setSearch] = useState('');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const fetchRedirects = useCallback(async () => {
+    const params = new URLSearchParams(search ? { search } : {});
+    const data = await redirectsRequest(`?${params}`);
+    setRedirects(data.redirects);
+  }, [search]);
+
+  const fetchNotFound = useCallback(async () => {
+    const data = await redirectsRequest('/not-found?limit=100');
+    setNotFound(data.paths);
+  }, []);
+
+  useEffect(() => {
+    fetchRedirects()
+      .catch(err => setMessage({ type: 'error', text: err.message }))
+      .finally(() => setLoading(false));
+  }, [fetchRedirects]);
+
+  useEffect(() => {
+    fetchNotFound().catch(err => setMessage({ type: 'error', text: err.message }));
+  }, [fetchNotFound]);
+
+  // Run an action, then reload both lists
+  const act = async (action) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const text = await action();
+      await Promise.all([fetchRedirects(), fetchNotFound()]);
+      if (text) setMessage({ type: 'success', text });
+      return true;
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const saveForm = async (e) => {
+    e.preventDefault();
+    const body = { ...form, status_code: Number(form.status_code), note: form.note || null };
+    const saved = await act(async () => {
+      if (editingId) {
+        return savedMessage(await redirectsRequest(`/${editingId}`, { method: 'PUT', body }), 'updated');
+      }
+      return savedMessage(await redirectsRequest('', { method: 'POST', body }), 'added');
+    });
+    if (saved) resetForm();
+  };
+
+  const edit = (redirect) => {
+    setEditingId(redirect.id);
+    setForm({
+      source_path: redirect.source_path,
+      target_path: redirect.target_path,
+      match_type: redirect.match_type,
+      status_code: redirect.status_code,
+      note: redirect.note || ''
+    });
+  };
+
+  const toggle = (redirect) => act(async () => {
+    await redirectsRequest(`/${redirect.id}`, { method: 'PUT', body: { enabled: !redirect.enabled } });
+    return redirect.enabled ? `Disabled the redirect from ${redirect.source_path}.` : `Enabled the redirect from ${redirect.source_path}.`;
+  });
+
+  const remove = (redirect) => {
+    if (!window.confirm(`Delete the redirect from ${redirect.source_path}? Links to it will 404.`)) return;
+    act(async () => {
+      await redirectsRequest(`/${redirect.id}`, { method: 'DELETE' });
+      if (editingId === redirect.id) resetForm();
+      return `Deleted the redirect from ${redirect.source_path}.`;
+    });
+  };
+
+  const redirectMissing = (entry, target) => act(async () => savedMessage(
+    await redirectsRequest('', {
+      method: 'POST',
+      body: { source_path: entry.path, target_path: target, origin: 'not_found' }
+    }),
+    'added'
+  ));
+
+  const dismiss = (entry) => act(async () => {
+    await redirectsRequest(`/not-found?${new URLSearchParams({ path: entry.path })}`, { method: 'DELETE' });
+    return null;
+  });
+
+  const updateForm = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  return (
+    <div className="redirect-manager">
+      {message && (
+        <div className={`fix-message ${message.type}`}>
+          {message.text}
+          <button onClick={() => setMessage(null)} aria-label="Dismiss">×</button>
+        </div>
+      )}
+
+      <div className="seo-section">
+        <h2>{editingId ? 'Edit Redirect' : 'Add Redirect'}</h2>
+        <p className="section-description">
+          Renamed blog posts get a redirect automatically. Pattern rules use * wildcards, which the target can use as $1, $2…
+          (e.g. /news/* → /blog/$1). A target that already redirects is followed to its end, and rules that would loop are refused.
+        </p>
+        <form className="redirect-form" onSubmit={saveForm}>
+          <input
+            type="text"
+            value={form.source_path}
+            onChange={updateForm('source_path')}
+            placeholder={form.match_type === 'pattern' ? '/old-section/*' : '/old-path'}
+            maxLength={500}
+            required
+          />
+          <span className="redirect-arrow">→</span>
+          <input
+            type="text"
+            value={form.target_path}
+            onChange={updateForm('target_path')}
+            placeholder={form.match_type === 'pattern' ? '/new-section/$1' : '/new-path or https://…'}
+            maxLength={1000}
+            required
+          />
+          <select value={form.match_type} onChange={updateForm('match_type')}>
+            <option value="exact">Exact</option>
+            <option value="pattern">Pattern</option>
+          </select>
+          <select value={form.status_code} onChange={updateForm('status_code')}>
+            <option value={301}>301 Permanent</option>
+            <option value={302}>302 Temporary</option>
+          </select>
+          <input
+            type="text"
+            value={form.note}
+            onChange={updateForm('note')}
+            placeholder="Note (optional)"
+            maxLength={300}
+          />
+          <button type="submit" className="redirect-save" disabled={busy}>
+            {editingId ? 'Save' : 'Add'}
+          </button>
+          {editingId && <button type="button" className="redirect-secondary" onClick={resetForm}>Cancel</button>}
+        </form>
+      </div>
+
+      <div className="seo-section">
+        <div className="section-header">
+          <h2>Redirects ({redirects.length})</h2>
+          <input
+            type="search"
+            className="redirect-search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Filter by path"
+          />
+        </div>
+        {loading && redirects.length === 0 ? (
+          <p className="section-description">Loading redirects...</p>
+        ) : redirects.length === 0 ? (
+          <p className="section-description">No redirects yet.</p>
+        ) : (
+          <div className="table-container">
+            <table className="seo-table redirect-table">
+              <thead>
+                <tr>
+                  <th>From</th>
+                  <th>To</th>
+                  <th>Type</th>
+                  <th>Origin</th>
+                  <th>Hits</th>
+                  <th>Last Hit</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {redirects.map(redirect => (
+                  <tr key={redirect.id} className={redirect.enabled ? '' : 'redirect-disabled'}>
+                    <td className="page-url">
+                      {redirect.source_path}
+                      {redirect.note && <div className="redirect-note">{redirect.note}</div>}
+                    </td>
+                    <td className="page-url">{redirect.target_path}</td>
+                    <td>{redirect.status_code} {redirect.match_type === 'pattern' ? 'pattern' : ''}</td>
+                    <td>{ORIGIN_LABELS[redirect.origin] || redirect.origin}</td>
+                    <td>{redirect.hits}</td>
+                    <td>{formatDateTime(redirect.last_hit_at)}</td>
+                    <td className="redirect-actions">
+                      <button className="redirect-secondary" onClick={() => edit(redirect)} disabled={busy}>Edit</button>
+                      <button className="redirect-secondary" onClick={() => toggle(redirect)} disabled={busy}>
+                        {redirect.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button className="fix-reject" onClick={() => remove(redirect)} disabled={busy}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="seo-section">
+        <h2>Missing Pages ({notFound.length})</h2>
+        <p className="section-description">
+          Pages visitors asked for that don't exist, most hit first. Suggestions are the live pages with the closest slug.
+        </p>
+        {notFound.length === 0 ? (
+          <p className="section-description">No missing pages logged.</p>
+        ) : (
+          <ul className="not-found-list">
+            {notFound.map(entry => (
+              <NotFoundItem
+                key={entry.path}
+                entry={entry}
+                onRedirect={redirectMissing}
+                onDismiss={dismiss}
+                busy={busy}
+              />
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RedirectManager;
@@ -1,10 +1,12 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import './related-links.css';
 
 /**
  * Related Links component for internal linking SEO
- * Displays contextual links to related content on the site
+ * Displays contextual links to related content on the site. In 'related' mode
+ * it recommends articles similar to the blog post `slug` instead, falling back
+ * to the static links for `category` when there are none.
  */
 
 const LINK_CATEGORIES = {
@@ -44,8 +46,32 @@ const LINK_CATEGORIES = {
   ],
 };
 
-const RelatedLinks = ({ category = 'demo', title = 'Explore More' }) => {
-  const links = LINK_CATEGORIES[category] || LINK_CATEGORIES.demo;
+const RelatedLinks = ({ category = 'demo', title = 'Explore More', mode = 'static', slug, limit = 3 }) => {
+  const dynamic = mode === 'related' && Boolean(slug);
+  // null while recommendations load; [] when there are none
+  const [related, setRelated] = useState(dynamic ? null : []);
+
+  useEffect(() => {
+    if (!dynamic) return undefined;
+    const controller = new AbortController();
+    setRelated(null);
+
+    fetch(`/api/blog/posts/${encodeURIComponent(slug)}/related?limit=${limit}`, { signal: controller.signal })
+      .then(res => (res.ok ? res.json() : { posts: [] }))
+      .then(data => setRelated(data.posts || []))
+      .catch(err => {
+        if (err.name !== 'AbortError') setRelated([]);
+      });
+
+    return () => controller.abort();
+  }, [dynamic, slug, limit]);
+
+  // Don't flash the static links before recommendations arrive
+  if (related === null) return null;
+
+  const links = related.length > 0
+    ? related.map(post => ({ path: `/blog/${post.slug}`, title: post.title, description: post.excerpt }))
+    : LINK_CATEGORIES[category] || LINK_CATEGORIES.demo;
 
   return (
     <section className="related-links-section">
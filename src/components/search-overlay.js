@@ -0,0 +1,243 @@
+import React, { useEffect, useRef, useState } from 'react';
+import './search-overlay.css';
+
+/**
+ * Site search dialog opened from the navigation (button, Ctrl/Cmd+K or "/").
+ * Queries /api/search while typing; arrow keys move through results, Enter
+ * opens the active one and Escape closes the dialog.
+ *
+ * Snippets come from the server already HTML-escaped, with matches wrapped
+ * in <mark>, so they are rendered as HTML.
+ */
+
+const DEBOUNCE_MS = 250;
+const RESULT_LIMIT = 20;
+
+const TYPE_LABELS = {
+  post: 'Articles',
+  product: 'Modules',
+  page: 'Pages',
+};
+
+const EMPTY_RESULTS = { total: 0, results: [], facets: { types: [], categories: [] }, suggestions: [] };
+
+const SearchOverlay = ({ isOpen, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('');
+  const [category, setCategory] = useState('');
+  const [data, setData] = useState(EMPTY_RESULTS);
+  const [status, setStatus] = useState('idle'); // idle | loading | done | error
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const inputRef = useRef(null);
+  const listRef = useRef(null);
+
+  // Focus the input and lock page scroll while open
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    if (inputRef.current) inputRef.current.focus();
+    return () => {
+      document.body.style.overflow = previousOverflow;
+    };
+  }, [isOpen]);
+
+  // Debounced search; a newer query aborts the request in flight
+  useEffect(() => {
+    const q = query.trim();
+    if (!isOpen || !q) {
+      setData(EMPTY_RESULTS);
+      setStatus('idle');
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setStatus('loading');
+      try {
+        const params = new URLSearchParams({ q, limit: RESULT_LIMIT });
+        if (type) params.set('type', type);
+        if (category) params.set('category', category);
+        const response = await fetch(`/api/search?${params}`, { signal: controller.signal });
+        if (!response.ok) throw new Error(`Search failed (${response.status})`);
+        setData(await response.json());
+        setActiveIndex(-1);
+        setStatus('done');
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Search error:', error);
+        setStatus('error');
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [isOpen, query, type, category]);
+
+  // Keep the active result in view
+  useEffect(() => {
+    if (activeIndex < 0 || !listRef.current) return;
+    const item = listRef.current.children[activeIndex];
+    if (item && item.scrollIntoView) item.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  if (!isOpen) return null;
+
+  const { results, facets, suggestions } = data;
+
+  // A new query starts unfiltered
+  const changeQuery = (value) => {
+    setQuery(value);
+    setType('');
+    setCategory('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? results.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && activeIndex >= 0 && results[activeIndex]) {
+      e.preventDefault();
+      window.location.assign(results[activeIndex].url);
+    }
+  };
+
+  const toggleFilter = (setter, current, value) => () => {
+    setter(current === value ? '' : value);
+  };
+
+  const q = query.trim();
+
+  return (
+    <div className="search-overlay" onMouseDown={onClose}>
+      <div
+        className="search-overlay-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Search the site"
+        onMouseDown={(e) => e.stopPropagation()}
+      >
+        <div className="search-overlay-input-row">
+          <svg className="search-overlay-icon" xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" aria-hidden="true">
+            <path fill="currentColor" d="M9.5 16q-2.725 0-4.612-1.888T3 9.5t1.888-4.612T9.5 3t4.613 1.888T16 9.5q0 1.1-.35 2.075T14.7 13.3l5.6 5.6q.275.275.275.7t-.275.7t-.7.275t-.7-.275l-5.6-5.6q-.75.6-1.725.95T9.5 16m0-2q1.875 0 3.188-1.312T14 9.5t-1.312-3.187T9.5 5T6.313 6.313T5 9.5t1.313 3.188T9.5 14"/>
+          </svg>
+          <input
+            ref={inputRef}
+            type="search"
+            className="search-overlay-input"
+            placeholder="Search articles, modules and pages"
+            value={query}
+            onChange={(e) => changeQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            role="combobox"
+            aria-expanded={results.length > 0}
+            aria-controls="search-overlay-results"
+            aria-activedescendant={activeIndex >= 0 ? `search-result-${activeIndex}` : undefined}
+            aria-autocomplete="list"
+            maxLength={200}
+          />
+          <button type="button" className="search-overlay-close" onClick={onClose} aria-label="Close search">
+            Esc
+          </button>
+        </div>
+
+        {q && (facets.types.length > 1 || facets.categories.length > 0) && (
+          <div className="search-overlay-facets">
+            {facets.types.map(facet => (
+              <button
+                key={facet.type}
+                type="button"
+                className={`search-overlay-chip ${type === facet.type ? 'active' : ''}`}
+                onClick={toggleFilter(setType, type, facet.type)}
+                aria-pressed={type === facet.type}
+              >
+                {TYPE_LABELS[facet.type] || facet.type} <span>{facet.count}</span>
+              </button>
+            ))}
+            {facets.categories.map(facet => (
+              <button
+                key={facet.category}
+                type="button"
+                className={`search-overlay-chip search-overlay-chip-category ${category === facet.category ? 'active' : ''}`}
+                onClick={toggleFilter(setCategory, category, facet.category)}
+                aria-pressed={category === facet.category}
+              >
+                {facet.category} <span>{facet.count}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="search-overlay-body">
+          {suggestions.length > 0 && (
+            <p className="search-overlay-suggestion">
+              Did you mean{' '}
+              <button type="button" onClick={() => changeQuery(suggestions[0])}>
+                {suggestions[0]}
+              </button>
+              ?
+            </p>
+          )}
+
+          {results.length > 0 && (
+            <ul id="search-overlay-results" className="search-overlay-results" role="listbox" ref={listRef}>
+              {results.map((result, index) => (
+                <li
+                  key={`${result.type}-${result.id}`}
+                  id={`search-result-${index}`}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  className={`search-overlay-result ${index === activeIndex ? 'active' : ''}`}
+                  onMouseEnter={() => setActiveIndex(index)}
+                >
+                  <a href={result.url}>
+                    <span className="search-overlay-result-meta">
+                      {TYPE_LABELS[result.type] || result.type}
+                      {result.category && ` · ${result.category}`}
+                    </span>
+                    <span className="search-overlay-result-title">{result.title}</span>
+                    {result.snippet && (
+                      <span
+                        className="search-overlay-result-snippet"
+                        dangerouslySetInnerHTML={{ __html: result.snippet }}
+                      />
+                    )}
+                  </a>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {status === 'done' && q && results.length === 0 && (
+            <div className="search-overlay-empty">
+              <p>No results for “{q}”.</p>
+              <p>Try fewer or different words, or <a href="/expert-consultation">ask our experts</a>.</p>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="search-overlay-empty">
+              <p>Search is unavailable right now. Please try again.</p>
+            </div>
+          )}
+
+          {!q && (
+            <p className="search-overlay-hint">
+              Use <kbd>↑</kbd> <kbd>↓</kbd> to move, <kbd>Enter</kbd> to open and <kbd>Esc</kbd> to close.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchOverlay;
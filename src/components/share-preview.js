@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './share-preview.css';
+
+/**
+ * "Share preview" dialog for the Blog Editor and the Content Editor: creates
+ * expiring preview links that show unpublished content to people without a
+ * vault login, and lists and revokes them. Talks to /api/admin/previews.
+ */
+
+const EXPIRY_OPTIONS = [
+  { hours: 24, label: '1 day' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '1 week' },
+  { hours: 720, label: '30 days' }
+];
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const previewRequest = async (path, { method = 'GET', body } = {}) => {
+  const token = localStorage.getItem('superadmin_token');
+  const res = await fetch(`/api/admin/previews${path}`, {
+    method,
+    headers: {
+      ...(body && { 'Content-Type': 'application/json' }),
+      Authorization: `Bearer ${token}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.details?.[0]?.message || data.error || `Request failed (HTTP ${res.status})`);
+  }
+  return data;
+};
+
+/**
+ * @param {string} contentType - 'blog_post' | 'site_content'
+ * @param {number} [contentId] - Post id (blog posts)
+ */
+const SharePreviewModal = ({ isOpen, contentType, contentId, heading, onClose }) => {
+  const [links, setLinks] = useState([]);
+  const [hours, setHours] = useState(72);
+  const [label, setLabel] = useState('');
+  const [created, setCreated] = useState(null); // { url, link } - the url is only shown once
+  const [copied, setCopied] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchLinks = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({ content_type: contentType });
+      if (contentId) params.set('content_id', contentId);
+      const data = await previewRequest(`?${params}`);
+      setLinks(data.links);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [contentType, contentId]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setCreated(null);
+      setError(null);
+      setLabel('');
+      fetchLinks();
+    }
+  }, [isOpen, fetchLinks]);
+
+  const createLink = async () => {
+    setBusy(true);
+    setError(null);
+    setCopied(false);
+    try {
+      const data = await previewRequest('', {
+        method: 'POST',
+        body: {
+          content_type: contentType,
+          content_id: contentId || null,
+          ttl_hours: Number(hours),
+          label: label.trim() || null
+        }
+      });
+      setCreated(data);
+      setLabel('');
+      await fetchLinks();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(created.url);
+      setCopied(true);
+    } catch {
+      // Clipboard blocked (e.g. not HTTPS): the field is selectable instead
+      document.getElementById('sp-url')?.select();
+    }
+  };
+
+  const revokeLink = async (link) => {
+    if (!window.confirm(`Revoke this preview link${link.label ? ` (${link.label})` : ''}? It stops working immediately.`)) {
+      return;
+    }
+    try {
+      await previewRequest(`/${link.id}`, { method: 'DELETE' });
+      if (created?.link.id === link.id) setCreated(null);
+      await fetchLinks();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="sp-overlay" onClick={onClose}>
+      <div className="sp-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="sp-header">
+          <h3>🔗 {heading || 'Share preview'}</h3>
+          <button className="sp-close" onClick={onClose} aria-label="Close">×</button>
+        </div>
+        <p className="sp-muted">
+          Anyone with the link can view the unpublished version until it expires or is revoked.
+          It shows the version under review if there is one, otherwise the last saved draft.
+        </p>
+
+        {error && <div className="sp-error">{error}</div>}
+
+        <div className="sp-create">
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Shared with (e.g. Compliance team)"
+            maxLength={200}
+          />
+          <select value={hours} onChange={(e) => setHours(e.target.value)}>
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.hours} value={option.hours}>Expires in {option.label}</option>
+            ))}
+          </select>
+          <button className="sp-btn-primary" onClick={createLink} disabled={busy}>
+            {busy ? 'Creating...' : 'Create link'}
+          </button>
+        </div>
+
+        {created && (
+          <div className="sp-created">
+            <label htmlFor="sp-url">Copy this link now; it isn't shown again</label>
+            <div className="sp-url-row">
+              <input id="sp-url" type="text" readOnly value={created.url} onFocus={(e) => e.target.select()} />
+              <button className="sp-btn-secondary" onClick={copyLink}>{copied ? '✓ Copied' : 'Copy'}</button>
+            </div>
+          </div>
+        )}
+
+        <h4>Links</h4>
+        {links.length === 0 ? (
+          <p className="sp-muted">No preview links yet</p>
+        ) : (
+          <table className="sp-links">
+            <thead>
+              <tr>
+                <th>Shared with</th>
+                <th>Created</th>
+                <th>Expires</th>
+                <th>Views</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {links.map(link => (
+                <tr key={link.id} className={link.active ? '' : 'inactive'}>
+                  <td>{link.label || '—'}<span className="sp-muted"> by {link.created_by}</span></td>
+                  <td>{formatDateTime(link.created_at)}</td>
+                  <td>
+                    {link.revoked_at ? `Revoked ${formatDateTime(link.revoked_at)}` : formatDateTime(link.expires_at)}
+                  </td>
+                  <td title={link.last_viewed_at ? `Last opened ${formatDateTime(link.last_viewed_at)}` : 'Not opened yet'}>
+                    {link.view_count}
+                  </td>
+                  <td>
+                    {link.active && (
+                      <button className="sp-link-btn" onClick={() => revokeLink(link)}>Revoke</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharePreviewModal;
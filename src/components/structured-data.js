@@ -0,0 +1,28 @@
+import React from 'react';
+import { Helmet } from 'react-helmet';
+import { useServedSchemas } from '../utils/structuredData';
+
+/**
+ * Renders schema.org JSON-LD into the page head: what the server builds for
+ * `path` from stored data, plus any `schemas` built by the caller
+ */
+const StructuredData = ({ path, schemas = [] }) => {
+  const served = useServedSchemas(path);
+  const all = [...served, ...schemas];
+
+  if (all.length === 0) {
+    return null;
+  }
+
+  return (
+    <Helmet>
+      {all.map((schema, index) => (
+        <script key={index} type="application/ld+json">
+          {JSON.stringify(schema)}
+        </script>
+      ))}
+    </Helmet>
+  );
+};
+
+export default StructuredData;
@@ -23,7 +23,9 @@ const ExpertConsultation = lazy(() => import('./views/expert-consultation'))
 const RequestDemo = lazy(() => import('./views/request-demo'))
 const Blog = lazy(() => import('./views/blog'))
 const BlogArticle = lazy(() => import('./views/blog-article'))
+const BlogCollection = lazy(() => import('./views/blog-collection'))
 const Unsubscribe = lazy(() => import('./views/unsubscribe'))
+const ManageBooking = lazy(() => import('./views/manage-booking'))
 const AnalyticsDashboard = lazy(() => import('./views/analytics-dashboard'))
 const SEODashboard = lazy(() => import('./views/seo-dashboard'))
 const SuperAdminLogin = lazy(() => import('./views/superadmin-login'))
@@ -31,7 +33,11 @@ const SuperAdminDashboard = lazy(() => import('./views/superadmin-dashboard'))
 const ProductManager = lazy(() => import('./views/product-manager'))
 const ContentEditor = lazy(() => import('./views/content-editor'))
 const BlogEditor = lazy(() => import('./views/blog-editor'))
+const LeadsManager = lazy(() => import('./views/leads-manager'))
+const LeadPipeline = lazy(() => import('./views/lead-pipeline'))
+const BookingManager = lazy(() => import('./views/booking-manager'))
 const CognitiveFinance = lazy(() => import('./views/cognitive-finance'))
+const LocalPage = lazy(() => import('./views/local-page'))
 const NotFound = lazy(() => import('./views/not-found'))
 
 import { initGA, trackPageView } from './utils/analytics'
@@ -93,14 +99,16 @@ const App = () => {
       <Suspense fallback={<LoadingFallback />}>
         <Switch>
           <Route component={Home} exact path="/" />
-          <Route component={Modules} exact path="/modules" />
+          <Route component={Modules} exact path="/modules/:slug?" />
           <Route component={CompliancePrivacy} exact path="/compliance-privacy" />
           <Route component={TailoredPilots} exact path="/tailored-pilots" />
           <Route component={ExpertConsultation} exact path="/expert-consultation" />
           <Route component={RequestDemo} exact path="/request-demo" />
           <Route component={Blog} exact path="/blog" />
+          <Route component={BlogCollection} exact path="/blog/:kind(author|tag|series)/:slug" />
           <Route component={BlogArticle} path="/blog/:slug" />
           <Route component={Unsubscribe} exact path="/unsubscribe" />
+          <Route component={ManageBooking} exact path="/manage-booking" />
           <Route component={AnalyticsDashboard} exact path="/analytics/dashboard" />
           <Route component={SEODashboard} exact path="/seo-dashboard" />
           <Route component={SuperAdminLogin} exact path="/vault-e9232b8eefbaa45e" />
@@ -108,7 +116,11 @@ const App = () => {
           <Route component={ProductManager} exact path="/vault-e9232b8eefbaa45e/products" />
           <Route component={ContentEditor} exact path="/vault-e9232b8eefbaa45e/content" />
           <Route component={BlogEditor} exact path="/vault-e9232b8eefbaa45e/blog" />
+          <Route component={LeadsManager} exact path="/vault-e9232b8eefbaa45e/leads" />
+          <Route component={LeadPipeline} exact path="/vault-e9232b8eefbaa45e/pipeline" />
+          <Route component={BookingManager} exact path="/vault-e9232b8eefbaa45e/bookings" />
           <Route component={CognitiveFinance} exact path="/cognitive-finance" />
+          <Route component={LocalPage} exact path="/:country(us|ca|ae|sg|sa|tr|in|id|ph)/:city?" />
           <Route component={NotFound} path="**" />
           <Redirect to="**" />
         </Switch>
@@ -1,41 +1,194 @@
-// Auto-Fix Engine - Automatically fix common SEO issues
+// Auto-Fix Engine - Fix common SEO issues in the content they come from
 // File: src/seo-ai/auto-fixer.js
+//
+// Fixes are never applied straight away. proposeFixes() turns open
+// auto-fixable issues into proposed changes (seo_fix_proposals) against the
+// content the page is built from:
+//   /blog/:slug      -> blog_posts meta_description, meta_title and body images
+//   other pages      -> page_content HTML values of that page and, on the home
+//                       and modules pages, images in products descriptions
+// Approving a proposal in the SEO dashboard doesn't change the site either:
+// it submits the fix for editorial review (content type 'seo_fix', see
+// modules/editorial), like any other change to posts, pages and products.
+// The fix is applied through the `targets` passed in (see server.js) when
+// that review is published, keeping the field's value before and after; a
+// rollback goes through review the same way. Approvals and rollbacks claim
+// the proposal first, so doing either twice at once submits one review.
+//
+// With a `writer` (SeoFixWriter, see fix-writer.js) the alt text, meta
+// descriptions and titles are written by an LLM with the page's target
+// keywords as context; without one, or when it has nothing usable, they are
+// built from filenames, excerpts and titles.
 
 const cheerio = require('cheerio');
 const { Pool } = require('pg');
-const fs = require('fs').promises;
 const path = require('path');
 
+// Issue type -> proposer; the keyword optimizer's check names are aliases
+const PROPOSERS = {
+  missing_alt_texts: 'proposeAltTexts',
+  altText: 'proposeAltTexts',
+  missing_meta_description: 'proposeMetaDescription',
+  missing_meta_title: 'proposeMetaTitle'
+};
+
+// Issue types that only get recommendations for a person to act on
+const MANUAL_FIXERS = {
+  low_keyword_density: 'fixLowKeywordDensity',
+  density: 'fixLowKeywordDensity',
+  missing_h1: 'fixMissingH1',
+  duplicate_meta_description: 'fixDuplicateMetaDescription'
+};
+
+// Fields a fix may write, by target
+const TARGET_FIELDS = {
+  blog_post: ['meta_title', 'meta_description', 'content'],
+  product: ['description'],
+  page_content: ['content_value']
+};
+
+// Pages whose product cards come from the products table
+const PRODUCT_PAGES = ['home', 'modules'];
+
+const META_DESCRIPTION_LENGTH = 155;
+const META_TITLE_LENGTH = 60;
+const SITE_NAME = 'FinACEverse';
+const DEFAULT_ALT = 'FinACE Group financial technology solution';
+
+// Keywords given to the writer, and page text around an image it sees
+const MAX_KEYWORDS = 5;
+const CONTEXT_CHARS = 400;
+const HEURISTIC = 'heuristic';
+
+const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+// Path of an issue's page_url ('https://www.finaceverse.io/blog/x/' -> '/blog/x')
+const pagePath = (pageUrl) => {
+  try {
+    return new URL(pageUrl, 'https://www.finaceverse.io').pathname.replace(/\/+$/, '') || '/';
+  } catch {
+    return null;
+  }
+};
+
+// page_content.page for a path ('/' -> 'home', '/modules' -> 'modules')
+const pageName = (pagePath) => (pagePath === '/' ? 'home' : pagePath.slice(1).split('/')[0]);
+
+const blogSlug = (pagePath) => {
+  const match = /^\/blog\/([a-z0-9]+(?:-[a-z0-9]+)*)$/.exec(pagePath || '');
+  return match ? match[1] : null;
+};
+
+// Unset and empty count as the same value
+const sameValue = (a, b) => (a ?? '') === (b ?? '');
+
+const escapeAttribute = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const plainText = (html) => cheerio.load(`<div>${html || ''}</div>`, null, false).root().text().replace(/\s+/g, ' ').trim();
+
+// Cut at a word boundary to fit `max` characters
+const truncate = (text, max) => {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > max / 2 ? cut.slice(0, space) : cut).replace(/[\s,.;:-]+$/, '')}…`;
+};
+
+// Camera and placeholder names that say nothing about the image
+const GENERIC_FILENAMES = /^(img|image|photo|pic|picture|screenshot|dsc|untitled)$/i;
+
+// Alt text from an image's filename ('/img/cash-flow_chart2.png' -> 'cash flow chart')
+const altFromFilename = (src) => {
+  const file = (src || '').split(/[?#]/)[0];
+  const words = path.basename(file, path.extname(file))
+    .replace(/[-_.]/g, ' ')
+    .replace(/\d+/g, '')
+    .trim()
+    .replace(/\s+/g, ' ');
+  return words.length >= 3 && !GENERIC_FILENAMES.test(words) ? words : null;
+};
+
+const EMPTY_ALT = /\salt\s*=\s*(""|''|(?=[\s/>]))/i;
+
+/**
+ * Give every <img> without (or with an empty) alt attribute one. Only the
+ * image tags change; the rest of the HTML is left byte for byte.
+ * @param {Function} describe - ({ src, context }) => Promise<{ alt, generatedBy }>,
+ *   context being the text around the image
+ * @returns {Object} { html, images: [{ src, alt, generatedBy }] }
+ */
+const addAltTexts = async (html, describe) => {
+  const source = html || '';
+  const images = [];
+
+  for (const match of source.matchAll(/<img\b[^>]*>/gi)) {
+    const $img = cheerio.load(match[0], null, false)('img');
+    if (($img.attr('alt') || '').trim()) continue;
+
+    const src = $img.attr('src') || '';
+    const context = plainText(source.slice(Math.max(0, match.index - CONTEXT_CHARS), match.index + match[0].length + CONTEXT_CHARS));
+    images.push({ index: match.index, tag: match[0], src, ...(await describe({ src, context })) });
+  }
+
+  // Splice from the end so earlier offsets stay valid
+  let fixed = source;
+  for (const image of [...images].reverse()) {
+    const attribute = `alt="${escapeAttribute(image.alt)}"`;
+    const tag = EMPTY_ALT.test(image.tag)
+      ? image.tag.replace(EMPTY_ALT, ` ${attribute}`)
+      : image.tag.replace(/^<img\b/i, `<img ${attribute}`);
+    fixed = fixed.slice(0, image.index) + tag + fixed.slice(image.index + image.tag.length);
+  }
+
+  return { html: fixed, images: images.map(({ src, alt, generatedBy }) => ({ src, alt, generatedBy })) };
+};
+
+const imagesSummary = (images) => `${images.length} image${images.length === 1 ? '' : 's'} get alt text: ${images
+  .map(image => `"${image.alt}"`).join(', ')}`;
+
+// Who wrote a change made of several pieces: the writer if it wrote any of them
+const writtenBy = (pieces) => (pieces.find(piece => piece.generatedBy !== HEURISTIC) || pieces[0]).generatedBy;
+
 class AutoFixer {
+  /**
+   * @param {Object} pool - PostgreSQL connection pool
+   * @param {Object} options
+   * @param {Object} options.targets - target type -> { load(ref), apply(ref, field, value, username, client),
+   *   changed() }; apply runs on the review's transaction client, changed() once it commits.
+   *   Needed to approve and roll back fixes, not to propose them
+   * @param {Object} [options.reviews] - EditorialWorkflowService fixes are submitted to
+   * @param {Object} [options.writer] - SeoFixWriter for LLM-written copy
+   */
   constructor(pool, options = {}) {
     this.pool = pool || new Pool({
       connectionString: process.env.DATABASE_URL,
       ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
     });
-    
-    this.dryRun = options.dryRun || false;
-    this.autoApprove = options.autoApprove || false;
+
+    this.targets = options.targets || {};
+    this.reviews = options.reviews || null;
+    this.writer = options.writer || null;
   }
 
-  async fixAllIssues() {
-    console.log('🔧 Starting auto-fix process...');
-    
+  // ============ PROPOSING ============
+
+  async proposeFixes() {
+    console.log('🔧 Proposing fixes for auto-fixable issues...');
+
     const issues = await this.getAutoFixableIssues();
     console.log(`Found ${issues.length} auto-fixable issues`);
-    
+
     const results = [];
-    
+
     for (const issue of issues) {
       try {
-        const result = await this.fixIssue(issue);
-        results.push(result);
-        
-        if (result.success) {
-          await this.markIssueFixed(issue.id, result);
-        }
-        
+        results.push(await this.fixIssue(issue));
       } catch (error) {
-        console.error(`❌ Failed to fix issue ${issue.id}:`, error.message);
+        console.error(`❌ Failed to propose a fix for issue ${issue.id}:`, error.message);
         results.push({
           success: false,
           issueId: issue.id,
@@ -43,14 +196,15 @@ class AutoFixer {
         });
       }
     }
-    
-    const successCount = results.filter(r => r.success).length;
-    console.log(`✓ Fixed ${successCount}/${results.length} issues`);
-    
+
+    const proposed = results.reduce((count, r) => count + (r.proposals || 0), 0);
+    console.log(`✓ Proposed ${proposed} fixes for ${results.length} issues`);
+
     return {
       total: results.length,
-      fixed: successCount,
-      failed: results.length - successCount,
+      proposed,
+      manual: results.filter(r => r.requiresManualReview).length,
+      failed: results.filter(r => !r.success).length,
       results
     };
   }
@@ -64,21 +218,39 @@ class AutoFixer {
       ORDER BY severity DESC, created_at DESC
       LIMIT 50
     `);
-    
+
     return result.rows;
   }
 
   async fixIssue(issue) {
-    const fixers = {
-      'missing_alt_texts': this.fixMissingAltTexts.bind(this),
-      'missing_meta_description': this.fixMissingMetaDescription.bind(this),
-      'low_keyword_density': this.fixLowKeywordDensity.bind(this),
-      'missing_h1': this.fixMissingH1.bind(this),
-      'duplicate_meta_description': this.fixDuplicateMetaDescription.bind(this)
-    };
-    
-    const fixer = fixers[issue.issue_type];
-    
+    const proposer = PROPOSERS[issue.issue_type];
+
+    if (proposer) {
+      const changes = await this[proposer](pagePath(issue.page_url));
+      if (changes.length === 0) {
+        return {
+          success: false,
+          issueId: issue.id,
+          error: 'Nothing to fix in the content this page is built from'
+        };
+      }
+
+      const proposals = [];
+      for (const change of changes) {
+        proposals.push(await this.saveProposal(issue, change));
+      }
+
+      return {
+        success: true,
+        issueId: issue.id,
+        fixType: changes[0].fixType,
+        proposals: proposals.length,
+        details: proposals.map(p => ({ id: p.id, target: p.target_label, summary: p.summary }))
+      };
+    }
+
+    const fixer = MANUAL_FIXERS[issue.issue_type];
+
     if (!fixer) {
       return {
         success: false,
@@ -86,125 +258,242 @@ class AutoFixer {
         error: 'No fixer available for this issue type'
       };
     }
-    
-    return await fixer(issue);
+
+    return await this[fixer](issue);
   }
 
-  async fixMissingAltTexts(issue) {
-    console.log(`🖼️ Fixing missing alt texts for ${issue.page_url}`);
-    
-    // Get page content
-    const pageContent = await this.getPageContent(issue.page_url);
-    const $ = cheerio.load(pageContent);
-    
-    const fixes = [];
-    
-    $('img').each((i, img) => {
-      const $img = $(img);
-      const alt = $img.attr('alt');
-      
-      if (!alt || alt.trim() === '') {
-        // Generate alt text from image filename or context
-        const src = $img.attr('src') || '';
-        const filename = path.basename(src, path.extname(src));
-        
-        // Clean up filename for alt text
-        const generatedAlt = filename
-          .replace(/[-_]/g, ' ')
-          .replace(/\d+/g, '')
-          .trim()
-          .replace(/\s+/g, ' ')
-          || 'FinACE Group financial technology solution';
-        
-        fixes.push({
-          image: src,
-          oldAlt: alt || '(empty)',
-          newAlt: generatedAlt
+  /**
+   * Store a change as a proposal; replaces an open proposal for the same field
+   */
+  async saveProposal(issue, change) {
+    const result = await this.pool.query(`
+      INSERT INTO seo_fix_proposals
+        (issue_id, fix_type, page_url, target_type, target_ref, target_field, target_label, before_value, after_value, summary, generated_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (target_type, target_ref, target_field) WHERE status = 'proposed'
+      DO UPDATE SET
+        issue_id = EXCLUDED.issue_id,
+        fix_type = EXCLUDED.fix_type,
+        page_url = EXCLUDED.page_url,
+        target_label = EXCLUDED.target_label,
+        before_value = EXCLUDED.before_value,
+        after_value = EXCLUDED.after_value,
+        summary = EXCLUDED.summary,
+        generated_by = EXCLUDED.generated_by,
+        proposed_at = NOW()
+      RETURNING *
+    `, [
+      issue.id, change.fixType, issue.page_url, change.targetType, String(change.targetRef),
+      change.field, change.label, change.before ?? null, change.after, change.summary, change.generatedBy
+    ]);
+
+    return result.rows[0];
+  }
+
+  async findBlogPost(pagePath) {
+    const slug = blogSlug(pagePath);
+    if (!slug) return null;
+
+    const result = await this.pool.query(
+      'SELECT id, title, excerpt, content, meta_title, meta_description FROM blog_posts WHERE slug = $1 AND deleted_at IS NULL',
+      [slug]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Target keywords for a page first, then the site's primary keywords
+   */
+  async getTargetKeywords(pagePath) {
+    const result = await this.pool.query(`
+      SELECT keyword
+      FROM target_keywords
+      WHERE target_page = $1 OR keyword_type = 'primary'
+      ORDER BY (target_page = $1) DESC, (keyword_type = 'primary') DESC, difficulty ASC NULLS LAST
+      LIMIT $2
+    `, [pagePath, MAX_KEYWORDS]);
+
+    return result.rows.map(row => row.keyword);
+  }
+
+  /**
+   * Copy from the writer, or from `fallback` when there is no writer or it
+   * had nothing usable
+   * @returns {Object} { text, generatedBy }
+   */
+  async write(task, facts, fallback) {
+    const written = this.writer ? await this.writer.write(task, facts) : null;
+    return written || { text: fallback(), generatedBy: HEURISTIC };
+  }
+
+  // Writes alt text for the images of one page; `subject` is what the page is about
+  altTextWriter(subject, keywords) {
+    return async ({ src, context }) => {
+      const { text, generatedBy } = await this.write(
+        'alt_text',
+        { subject: subject || SITE_NAME, context, src, keywords },
+        () => altFromFilename(src) || subject || DEFAULT_ALT
+      );
+      return { alt: text, generatedBy };
+    };
+  }
+
+  async proposeAltTexts(pagePath) {
+    console.log(`🖼️ Looking for images without alt text on ${pagePath}`);
+
+    if (!pagePath) return [];
+
+    const keywords = await this.getTargetKeywords(pagePath);
+
+    if (blogSlug(pagePath)) {
+      const post = await this.findBlogPost(pagePath);
+      if (!post) return [];
+
+      const { html, images } = await addAltTexts(post.content, this.altTextWriter(post.title, keywords));
+      return images.length === 0 ? [] : [{
+        fixType: 'alt_texts',
+        targetType: 'blog_post',
+        targetRef: post.id,
+        field: 'content',
+        label: `Blog post: ${post.title}`,
+        before: post.content,
+        after: html,
+        summary: imagesSummary(images),
+        generatedBy: writtenBy(images)
+      }];
+    }
+
+    const changes = [];
+    const page = pageName(pagePath);
+
+    const content = await this.pool.query(`
+      SELECT page, section, content_key, content_value
+      FROM page_content
+      WHERE page = $1 AND content_type <> 'json' AND content_value ILIKE '%<img%'
+    `, [page]);
+
+    for (const row of content.rows) {
+      const { html, images } = await addAltTexts(row.content_value, this.altTextWriter(null, keywords));
+      if (images.length === 0) continue;
+      changes.push({
+        fixType: 'alt_texts',
+        targetType: 'page_content',
+        targetRef: [row.page, row.section, row.content_key].join(':'),
+        field: 'content_value',
+        label: `Page content: ${row.page} / ${row.section} / ${row.content_key}`,
+        before: row.content_value,
+        after: html,
+        summary: imagesSummary(images),
+        generatedBy: writtenBy(images)
+      });
+    }
+
+    if (PRODUCT_PAGES.includes(page)) {
+      const products = await this.pool.query(
+        "SELECT id, name, description FROM products WHERE description ILIKE '%<img%'"
+      );
+
+      for (const product of products.rows) {
+        const { html, images } = await addAltTexts(product.description, this.altTextWriter(product.name, keywords));
+        if (images.length === 0) continue;
+        changes.push({
+          fixType: 'alt_texts',
+          targetType: 'product',
+          targetRef: product.id,
+          field: 'description',
+          label: `Module: ${product.name}`,
+          before: product.description,
+          after: html,
+          summary: imagesSummary(images),
+          generatedBy: writtenBy(images)
         });
-        
-        if (!this.dryRun) {
-          $img.attr('alt', generatedAlt);
-        }
       }
-    });
-    
-    if (!this.dryRun && fixes.length > 0) {
-      // In production, this would update the actual page files
-      // For now, just log the changes
-      console.log(`  Would update ${fixes.length} alt texts`);
     }
-    
-    return {
-      success: true,
-      issueId: issue.id,
-      fixType: 'alt_texts',
-      changes: fixes.length,
-      details: fixes
-    };
+
+    return changes;
   }
 
-  async fixMissingMetaDescription(issue) {
-    console.log(`📝 Fixing missing meta description for ${issue.page_url}`);
-    
-    const pageContent = await this.getPageContent(issue.page_url);
-    const $ = cheerio.load(pageContent);
-    
-    // Check if meta description exists
-    let metaDescription = $('meta[name="description"]').attr('content');
-    
-    if (!metaDescription || metaDescription.trim() === '') {
-      // Generate from H1 + first paragraph
-      const h1 = $('h1').first().text().trim();
-      const firstPara = $('p').first().text().trim();
-      
-      // Combine and truncate to 155 characters
-      const generated = `${h1}. ${firstPara}`.substring(0, 155);
-      
-      if (!this.dryRun) {
-        if ($('meta[name="description"]').length > 0) {
-          $('meta[name="description"]').attr('content', generated);
-        } else {
-          $('head').append(`<meta name="description" content="${generated}">`);
-        }
+  async proposeMetaDescription(pagePath) {
+    console.log(`📝 Drafting a meta description for ${pagePath}`);
+
+    // Other pages set their meta description in the page template
+    const post = await this.findBlogPost(pagePath);
+    if (!post || (post.meta_description || '').trim()) return [];
+
+    const text = plainText(post.excerpt) || plainText(post.content);
+    if (!text) return [];
+
+    // Heuristic: the excerpt, or the opening of the article
+    const { text: generated, generatedBy } = await this.write(
+      'meta_description',
+      { subject: post.title, context: truncate(plainText(post.content), 1500), keywords: await this.getTargetKeywords(pagePath) },
+      () => truncate(text, META_DESCRIPTION_LENGTH)
+    );
+
+    return [{
+      fixType: 'meta_description',
+      targetType: 'blog_post',
+      targetRef: post.id,
+      field: 'meta_description',
+      label: `Blog post: ${post.title}`,
+      before: post.meta_description,
+      after: generated,
+      summary: `Meta description: "${generated}"`,
+      generatedBy
+    }];
+  }
+
+  // Missing meta titles are written, ones too long for search results rewritten
+  async proposeMetaTitle(pagePath) {
+    console.log(`📝 Drafting a meta title for ${pagePath}`);
+
+    const post = await this.findBlogPost(pagePath);
+    const current = (post?.meta_title || '').trim();
+    if (!post || (current && current.length <= META_TITLE_LENGTH)) return [];
+
+    const { text: generated, generatedBy } = await this.write(
+      'meta_title',
+      { subject: current || post.title, context: truncate(plainText(post.excerpt) || plainText(post.content), 500), keywords: await this.getTargetKeywords(pagePath) },
+      () => {
+        const branded = `${post.title} | ${SITE_NAME}`;
+        return branded.length <= META_TITLE_LENGTH ? branded : truncate(post.title, META_TITLE_LENGTH);
       }
-      
-      return {
-        success: true,
-        issueId: issue.id,
-        fixType: 'meta_description',
-        oldValue: metaDescription || '(empty)',
-        newValue: generated
-      };
-    }
-    
-    return {
-      success: false,
-      issueId: issue.id,
-      error: 'Meta description already exists'
-    };
+    );
+
+    return [{
+      fixType: 'meta_title',
+      targetType: 'blog_post',
+      targetRef: post.id,
+      field: 'meta_title',
+      label: `Blog post: ${post.title}`,
+      before: post.meta_title,
+      after: generated,
+      summary: `Meta title${current ? ' rewrite' : ''}: "${generated}"`,
+      generatedBy
+    }];
   }
 
   async fixLowKeywordDensity(issue) {
     console.log(`🔑 Analyzing keyword density for ${issue.page_url}`);
-    
+
     // Get target keywords
     const keywordsResult = await this.pool.query(`
       SELECT keyword_text FROM target_keywords WHERE priority = 'high' LIMIT 3
     `);
-    
+
     const keywords = keywordsResult.rows.map(r => r.keyword_text);
-    
+
     const pageContent = await this.getPageContent(issue.page_url);
     const $ = cheerio.load(pageContent);
-    
+
     const bodyText = $('body').text().toLowerCase();
     const suggestions = [];
-    
+
     for (const keyword of keywords) {
       const count = (bodyText.match(new RegExp(keyword.toLowerCase(), 'g')) || []).length;
       const wordCount = bodyText.split(/\s+/).length;
       const density = (count / wordCount) * 100;
-      
+
       if (density < 1.0) {
         suggestions.push({
           keyword,
@@ -214,7 +503,7 @@ class AutoFixer {
         });
       }
     }
-    
+
     return {
       success: true,
       issueId: issue.id,
@@ -226,16 +515,16 @@ class AutoFixer {
 
   async fixMissingH1(issue) {
     console.log(`📰 Checking H1 for ${issue.page_url}`);
-    
+
     const pageContent = await this.getPageContent(issue.page_url);
     const $ = cheerio.load(pageContent);
-    
+
     const h1 = $('h1').first();
-    
+
     if (h1.length === 0) {
       // Get page title as fallback
       const title = $('title').text() || 'FinACE Group';
-      
+
       return {
         success: true,
         issueId: issue.id,
@@ -244,7 +533,7 @@ class AutoFixer {
         suggestion: `Add H1 tag: "${title}"`
       };
     }
-    
+
     return {
       success: false,
       issueId: issue.id,
@@ -255,14 +544,14 @@ class AutoFixer {
   async fixDuplicateMetaDescription(issue) {
     // Check if multiple pages have the same meta description
     const result = await this.pool.query(`
-      SELECT page_url, meta_description 
+      SELECT page_url, meta_description
       FROM content_analysis
       WHERE meta_description = (
         SELECT meta_description FROM content_analysis WHERE page_url = $1
       )
       AND page_url != $1
     `, [issue.page_url]);
-    
+
     if (result.rows.length > 0) {
       return {
         success: true,
@@ -273,7 +562,7 @@ class AutoFixer {
         recommendation: 'Create unique meta descriptions for each page'
       };
     }
-    
+
     return {
       success: false,
       issueId: issue.id,
@@ -287,69 +576,347 @@ class AutoFixer {
     return '';
   }
 
-  async markIssueFixed(issueId, result) {
-    await this.pool.query(
-      `UPDATE seo_issues SET status = 'fixed', fixed_at = NOW() WHERE id = $1`,
-      [issueId]
+  // ============ APPROVAL & ROLLBACK ============
+
+  async listProposals({ status = 'proposed', limit = 50 } = {}) {
+    const result = await this.pool.query(
+      'SELECT * FROM seo_fix_proposals WHERE status = $1 ORDER BY proposed_at DESC LIMIT $2',
+      [status, limit]
+    );
+    return result.rows;
+  }
+
+  async getProposal(id) {
+    const result = await this.pool.query('SELECT * FROM seo_fix_proposals WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Submit a proposed fix for editorial review. The proposal is claimed
+   * first (status 'in_review'), so approving it twice at once submits it
+   * once. If the field changed since the fix was proposed, the proposal goes
+   * stale instead of overwriting that edit; if submitting fails, it is
+   * proposed again.
+   * @param {Object} user - { userId, username }, the review's author
+   * @param {Object} submission - { reviewerId, note }
+   * @returns {Object|null} { fix, review }, or null if missing
+   */
+  async approveProposal(id, user, { reviewerId, note }) {
+    const claimed = await this.pool.query(`
+      UPDATE seo_fix_proposals SET status = 'in_review', decided_at = NOW(), decided_by = $2
+      WHERE id = $1 AND status = 'proposed'
+      RETURNING *
+    `, [id, user.username]);
+    const proposal = claimed.rows[0];
+    if (!proposal) {
+      const existing = await this.getProposal(id);
+      if (!existing) return null;
+      throw conflict(`This fix was already ${existing.status.replace('_', ' ')}`);
+    }
+
+    let review;
+    try {
+      const current = await this.target(proposal).load(proposal.target_ref);
+      if (!current || !sameValue(current[proposal.target_field], proposal.before_value)) {
+        const reason = current ? 'The content changed after this fix was proposed' : 'The content this fix was for no longer exists';
+        await this.pool.query(
+          "UPDATE seo_fix_proposals SET status = 'stale', error = $2 WHERE id = $1",
+          [id, reason]
+        );
+        throw conflict(`${reason}. Run auto-fix again for a fresh proposal.`);
+      }
+
+      review = await this.submitReview(proposal, proposal.after_value, user, {
+        reviewerId,
+        note: note || `SEO fix: ${proposal.summary}`
+      });
+    } catch (error) {
+      await this.releaseProposal(id);
+      throw error;
+    }
+
+    const fix = await this.getProposal(id);
+    console.log(`📤 Submitted SEO fix #${fix.id} (${fix.fix_type}) on ${fix.target_label} for review #${review.id}`);
+    return { fix, review };
+  }
+
+  /**
+   * Hand a claimed proposal back after submitting it failed or its review
+   * was withdrawn. If a newer fix was proposed for the field meanwhile, this
+   * one is stale instead.
+   */
+  async releaseProposal(id, db = this.pool) {
+    await db.query(`
+      UPDATE seo_fix_proposals p SET
+        status = CASE
+          WHEN EXISTS (
+            SELECT 1 FROM seo_fix_proposals o
+            WHERE o.status = 'proposed' AND o.target_type = p.target_type
+              AND o.target_ref = p.target_ref AND o.target_field = p.target_field
+          ) THEN 'stale'
+          ELSE 'proposed'
+        END,
+        decided_at = NULL,
+        decided_by = NULL
+      WHERE id = $1 AND status = 'in_review'
+    `, [id]);
+  }
+
+  /**
+   * @returns {Object|null} the rejected proposal, or null if missing
+   */
+  async rejectProposal(id, username) {
+    const result = await this.pool.query(`
+      UPDATE seo_fix_proposals SET status = 'rejected', decided_at = NOW(), decided_by = $2
+      WHERE id = $1 AND status = 'proposed'
+      RETURNING *
+    `, [id, username]);
+    if (result.rows[0]) return result.rows[0];
+
+    const proposal = await this.getProposal(id);
+    if (!proposal) return null;
+    throw conflict(`This fix was already ${proposal.status.replace('_', ' ')}`);
+  }
+
+  /**
+   * Submit putting an applied fix's field back as it was for editorial
+   * review. Claimed like an approval (status 'rolling_back'). Refused if the
+   * field was edited after the fix, as rolling back would also undo that edit.
+   * @param {Object} user - { userId, username }, the review's author
+   * @param {Object} submission - { reviewerId, note }
+   * @returns {Object|null} { fix, review }, or null if missing
+   */
+  async rollbackFix(id, user, { reviewerId, note }) {
+    const claimed = await this.pool.query(
+      "UPDATE seo_fix_proposals SET status = 'rolling_back' WHERE id = $1 AND status = 'applied' RETURNING *",
+      [id]
     );
-    
-    await this.pool.query(
-      `INSERT INTO seo_actions (action_type, description, automated, status, result, executed_at)
-       VALUES ($1, $2, $3, $4, $5, NOW())`,
+    const fix = claimed.rows[0];
+    if (!fix) {
+      const existing = await this.getProposal(id);
+      if (!existing) return null;
+      throw conflict(existing.status === 'rolling_back'
+        ? 'A rollback of this fix is already in review'
+        : 'Only applied fixes can be rolled back');
+    }
+
+    let review;
+    try {
+      const current = await this.target(fix).load(fix.target_ref);
+      if (!current) {
+        throw conflict('The content this fix was for no longer exists');
+      }
+      if (!sameValue(current[fix.target_field], fix.after_value)) {
+        throw conflict('The content was edited after this fix was applied; rolling back would undo those edits');
+      }
+
+      review = await this.submitReview(fix, fix.before_value ?? '', user, {
+        reviewerId,
+        note: note || `Roll back SEO fix: ${fix.summary}`
+      });
+    } catch (error) {
+      await this.pool.query(
+        "UPDATE seo_fix_proposals SET status = 'applied' WHERE id = $1 AND status = 'rolling_back'",
+        [id]
+      );
+      throw error;
+    }
+
+    console.log(`📤 Submitted rolling back SEO fix #${fix.id} on ${fix.target_label} for review #${review.id}`);
+    return { fix: await this.getProposal(id), review };
+  }
+
+  submitReview(fix, value, user, { reviewerId, note }) {
+    if (!this.reviews) throw new Error('SEO fixes need the editorial workflow to go live');
+    return this.reviews.submit({
+      contentType: 'seo_fix',
+      contentId: fix.id,
+      title: `${fix.target_label}: ${fix.fix_type.replace(/_/g, ' ')}`,
+      payload: { [fix.target_field]: value },
+      reviewerId,
+      note
+    }, user);
+  }
+
+  // ============ EDITORIAL REVIEW PUBLISHER ============
+  // The 'seo_fix' content type: a review's content_id is the proposal's id
+  // and its payload { [target_field]: value }
+
+  /**
+   * The field a fix changes, as it is now
+   */
+  async loadReviewContent(id) {
+    const fix = await this.getProposal(id);
+    if (!fix) return null;
+    const current = await this.target(fix).load(fix.target_ref);
+    return { [fix.target_field]: current ? current[fix.target_field] : null };
+  }
+
+  validateReviewPayload(payload) {
+    const values = Object.values(payload);
+    if (values.length !== 1 || typeof values[0] !== 'string') {
+      throw Object.assign(new Error('An SEO fix changes one field to a text value'), { status: 400 });
+    }
+  }
+
+  /**
+   * Apply a fix, or its rollback, whose review is being published; runs on
+   * the review's transaction client
+   */
+  async publishReview(review, user, client) {
+    const locked = await client.query('SELECT * FROM seo_fix_proposals WHERE id = $1 FOR UPDATE', [review.content_id]);
+    const fix = locked.rows[0];
+    const rollingBack = fix?.status === 'rolling_back';
+    if (!fix || !['in_review', 'rolling_back'].includes(fix.status)) {
+      throw conflict('This fix is not waiting for review');
+    }
+    if (!Object.keys(review.payload).includes(fix.target_field)) {
+      throw conflict(`This review doesn't change ${fix.target_field}`);
+    }
+
+    const target = this.target(fix);
+    const current = await target.load(fix.target_ref, client);
+    const expected = rollingBack ? fix.after_value : fix.before_value;
+    if (!current || !sameValue(current[fix.target_field], expected)) {
+      throw conflict('The content changed after this fix was submitted; withdraw the review and run auto-fix again');
+    }
+
+    const value = review.payload[fix.target_field];
+    await target.apply(fix.target_ref, fix.target_field, value, user.username, client);
+
+    if (rollingBack) {
+      const result = await client.query(`
+        UPDATE seo_fix_proposals SET status = 'rolled_back', rolled_back_at = NOW(), rolled_back_by = $2
+        WHERE id = $1
+        RETURNING *
+      `, [fix.id, user.username]);
+      if (fix.issue_id) {
+        await client.query(
+          "UPDATE seo_issues SET status = 'open', fixed = FALSE, fixed_at = NULL WHERE id = $1",
+          [fix.issue_id]
+        );
+      }
+      await this.logAction('auto_fix_rollback', result.rows[0], fix.after_value, value, user.username, client);
+      return;
+    }
+
+    // The reviewer may have revised the copy; what went live is what a rollback undoes
+    const result = await client.query(`
+      UPDATE seo_fix_proposals SET status = 'applied', after_value = $2, applied_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [fix.id, value]);
+
+    // The issue is fixed once none of its proposals are waiting
+    if (fix.issue_id) {
+      await client.query(`
+        UPDATE seo_issues SET status = 'fixed', fixed = TRUE, fixed_at = NOW()
+        WHERE id = $1
+          AND NOT EXISTS (SELECT 1 FROM seo_fix_proposals WHERE issue_id = $1 AND status IN ('proposed', 'in_review'))
+      `, [fix.issue_id]);
+    }
+    await this.logAction('auto_fix', result.rows[0], fix.before_value, value, user.username, client);
+  }
+
+  /**
+   * Once a published review has committed
+   */
+  async reviewPublished(review) {
+    const fix = await this.getProposal(review.content_id);
+    if (!fix) return;
+    await this.target(fix).changed?.();
+    console.log(`✓ ${fix.status === 'rolled_back' ? 'Rolled back' : 'Applied'} SEO fix #${fix.id} (${fix.fix_type}) on ${fix.target_label}`);
+  }
+
+  /**
+   * Hand the fix back when its review is withdrawn: a fix can be approved
+   * again, a rollback requested again
+   */
+  async withdrawReview(review, user, client) {
+    await this.releaseProposal(review.content_id, client);
+    await client.query(
+      "UPDATE seo_fix_proposals SET status = 'applied' WHERE id = $1 AND status = 'rolling_back'",
+      [review.content_id]
+    );
+  }
+
+  target(proposal) {
+    const target = this.targets[proposal.target_type];
+    if (!target || !(TARGET_FIELDS[proposal.target_type] || []).includes(proposal.target_field)) {
+      throw new Error(`Fixes to ${proposal.target_type}.${proposal.target_field} are not supported`);
+    }
+    return target;
+  }
+
+  async logAction(actionType, fix, before, after, username, db = this.pool) {
+    const field = { target_type: fix.target_type, target_ref: fix.target_ref, field: fix.target_field };
+    await db.query(
+      `INSERT INTO seo_actions (action_type, page_url, description, before_data, after_data, performed_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
       [
-        'auto_fix',
-        `Auto-fixed issue #${issueId}: ${result.fixType}`,
-        true,
-        'completed',
-        JSON.stringify(result)
+        actionType,
+        fix.page_url,
+        `${actionType === 'auto_fix' ? 'Applied' : 'Rolled back'} fix #${fix.id} (${fix.fix_type}) on ${fix.target_label}`,
+        JSON.stringify({ ...field, value: before }),
+        JSON.stringify({ ...field, value: after }),
+        String(username).slice(0, 50)
       ]
     );
   }
 
+  // ============ HISTORY ============
+
+  /**
+   * Applied fixes, newest first, with their before/after snapshots
+   */
   async getFixHistory(limit = 20) {
     const result = await this.pool.query(`
-      SELECT 
-        action_type,
-        description,
-        status,
-        result,
-        executed_at
-      FROM seo_actions
-      WHERE action_type = 'auto_fix'
-      ORDER BY executed_at DESC
+      SELECT *
+      FROM seo_fix_proposals
+      WHERE applied_at IS NOT NULL
+      ORDER BY applied_at DESC
       LIMIT $1
     `, [limit]);
-    
+
     return result.rows;
   }
 
   async getFixStats() {
-    const result = await this.pool.query(`
-      SELECT 
-        COUNT(*) as total_fixes,
-        COUNT(CASE WHEN status = 'completed' THEN 1 END) as successful,
-        COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed,
-        json_build_object(
-          'alt_texts', COUNT(CASE WHEN result::text LIKE '%alt_texts%' THEN 1 END),
-          'meta_descriptions', COUNT(CASE WHEN result::text LIKE '%meta_description%' THEN 1 END),
-          'keyword_density', COUNT(CASE WHEN result::text LIKE '%keyword_density%' THEN 1 END)
-        ) as by_type
-      FROM seo_actions
-      WHERE action_type = 'auto_fix'
-      AND executed_at > NOW() - INTERVAL '30 days'
-    `);
-    
-    return result.rows[0];
+    const [totals, byType] = await Promise.all([
+      this.pool.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE status = 'proposed')::int AS pending,
+          COUNT(*) FILTER (WHERE status IN ('in_review', 'rolling_back'))::int AS in_review,
+          COUNT(*) FILTER (WHERE status IN ('applied', 'rolling_back'))::int AS applied,
+          COUNT(*) FILTER (WHERE status = 'rolled_back')::int AS rolled_back,
+          COUNT(*) FILTER (WHERE status IN ('rejected', 'stale'))::int AS rejected
+        FROM seo_fix_proposals
+      `),
+      this.pool.query(`
+        SELECT fix_type, COUNT(*)::int AS count
+        FROM seo_fix_proposals
+        WHERE status = 'applied' AND applied_at > NOW() - INTERVAL '30 days'
+        GROUP BY fix_type
+      `)
+    ]);
+
+    return {
+      ...totals.rows[0],
+      by_type: Object.fromEntries(byType.rows.map(row => [row.fix_type, row.count]))
+    };
   }
 }
 
+AutoFixer.TARGET_FIELDS = TARGET_FIELDS;
+AutoFixer.addAltTexts = addAltTexts;
+
 // CLI entry point
 if (require.main === module) {
-  const fixer = new AutoFixer(null, { dryRun: false });
-  
-  fixer.fixAllIssues()
+  const fixer = new AutoFixer(null);
+
+  fixer.proposeFixes()
     .then(result => {
-      console.log('✓ Fix result:', result);
+      console.log('✓ Proposed fixes:', result);
       return fixer.getFixStats();
     })
     .then(stats => {
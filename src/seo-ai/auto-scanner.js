@@ -3,6 +3,7 @@
 
 const KeywordOptimizer = require('./keyword-optimizer');
 const LocalSEOManager = require('./local-seo-manager');
+const SiteCrawler = require('./site-crawler');
 const { Pool } = require('pg');
 const nodemailer = require('nodemailer');
 
@@ -15,6 +16,7 @@ class AutoScanner {
     
     this.keywordOptimizer = new KeywordOptimizer(this.pool, options);
     this.localSEOManager = new LocalSEOManager(this.pool);
+    this.siteCrawler = options.siteCrawler || new SiteCrawler(this.pool, options);
     
     this.emailConfig = {
       host: process.env.SMTP_HOST || 'smtp.gmail.com',
@@ -32,6 +34,14 @@ class AutoScanner {
     const startTime = Date.now();
     
     try {
+      // 0. Crawl the site; its link issues go to seo_issues for step 2
+      console.log('🕷️ Crawling site...');
+      try {
+        await this.siteCrawler.crawl({ triggeredBy: 'daily-scan' });
+      } catch (error) {
+        console.error('⚠️ Site crawl failed, continuing scan:', error.message);
+      }
+      
       // 1. Scan all pages
       console.log('📊 Scanning all pages...');
       const scanResults = await this.keywordOptimizer.scanAllPages();
@@ -121,6 +131,22 @@ class AutoScanner {
       );
     }
     
+    // Broken links and redirect chains the crawler found (stored by the crawler itself)
+    const crawlerIssues = await this.pool.query(
+      `SELECT issue_type, severity, page_url, description FROM seo_issues
+       WHERE issue_type = ANY($1) AND status = 'open' AND severity IN ('critical', 'high')
+       ORDER BY severity = 'critical' DESC, created_at DESC`,
+      [SiteCrawler.ISSUE_TYPES]
+    );
+    for (const row of crawlerIssues.rows) {
+      issues.push({
+        severity: row.severity,
+        page: row.page_url,
+        type: row.issue_type,
+        message: row.description
+      });
+    }
+    
     return issues;
   }
 
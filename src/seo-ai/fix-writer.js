@@ -0,0 +1,155 @@
+// Fix Writer - Write SEO fix copy (alt text, meta descriptions, titles) with an LLM
+// File: src/seo-ai/fix-writer.js
+//
+// The provider is swappable. A provider is { name, complete({ task, prompt,
+// systemPrompt, facts }) } resolving to the generated text:
+//   AzureOpenAIProvider - the CMS's Azure OpenAI path (generateWithAI in server.js)
+//   LocalStubProvider   - deterministic copy built from `facts`, for offline tests
+// Nothing a provider returns is used until it passes the response guard
+// (PromptInjectionPrevention.validateResponse); failures return null so the
+// caller can fall back to its own heuristic.
+
+const SITE_NAME = 'FinACEverse';
+
+// What each task writes, and its length limit
+const TASKS = {
+  alt_text: {
+    maxLength: 125,
+    systemPrompt: `You write image alt text for ${SITE_NAME}, a cognitive operating system for finance. Describe what the image most likely shows, in plain words, for someone who cannot see it. Work in a target keyword only if it fits naturally. Reply with the alt text only: one line, no quotes, under 125 characters.`
+  },
+  meta_description: {
+    maxLength: 155,
+    systemPrompt: `You write meta descriptions for ${SITE_NAME}, a cognitive operating system for finance. Summarise the page so a searcher wants to click, in one or two sentences. Use the most relevant target keyword once, naturally. Reply with the meta description only: no quotes, 120 to 155 characters.`
+  },
+  meta_title: {
+    maxLength: 60,
+    systemPrompt: `You write page titles for search results for ${SITE_NAME}, a cognitive operating system for finance. Keep the page's meaning, lead with the most relevant target keyword where it reads naturally, and end with " | ${SITE_NAME}" if it fits. Reply with the title only: no quotes, at most 60 characters.`
+  }
+};
+
+// Labels models like to put in front of the answer
+const ANSWER_LABEL = /^(alt(\s*text)?|meta\s*description|description|(page\s*|seo\s*|meta\s*)?title)\s*:\s*/i;
+
+// One line, without labels or wrapping quotes, cut at a word boundary to fit
+const cleanAnswer = (text, maxLength) => {
+  const line = String(text || '')
+    .split('\n')
+    .map(l => l.trim())
+    .find(Boolean) || '';
+  const unquote = (value) => value.replace(/^["'“‘`]+|["'”’`]+$/g, '').trim();
+  const answer = unquote(unquote(line).replace(ANSWER_LABEL, '')).replace(/\s+/g, ' ');
+
+  if (answer.length <= maxLength) return answer;
+  const cut = answer.slice(0, maxLength - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > maxLength / 2 ? cut.slice(0, space) : cut).replace(/[\s,.;:|-]+$/, '')}…`;
+};
+
+const keywordLine = (keywords) => (keywords.length ? keywords.join(', ') : 'none');
+
+// Prompt for each task from its facts
+const PROMPTS = {
+  alt_text: (facts) => `Image file: ${facts.src || '(none)'}
+Page: ${facts.subject}
+Text around the image: ${facts.context || '(none)'}
+Target keywords: ${keywordLine(facts.keywords)}`,
+
+  meta_description: (facts) => `Page title: ${facts.subject}
+Page text: ${facts.context}
+Target keywords: ${keywordLine(facts.keywords)}`,
+
+  meta_title: (facts) => `Current title: ${facts.subject}
+Page text: ${facts.context || '(none)'}
+Target keywords: ${keywordLine(facts.keywords)}`
+};
+
+class AzureOpenAIProvider {
+  /**
+   * @param {Function} generate - (prompt, systemPrompt) => Promise<string>, i.e. generateWithAI
+   */
+  constructor(generate) {
+    this.name = 'azure-openai';
+    this.generate = generate;
+  }
+
+  complete({ prompt, systemPrompt }) {
+    return this.generate(prompt, systemPrompt);
+  }
+}
+
+class LocalStubProvider {
+  constructor() {
+    this.name = 'local-stub';
+  }
+
+  // Same facts, same answer; no network
+  async complete({ task, facts }) {
+    const keyword = facts.keywords[0];
+
+    switch (task) {
+      case 'alt_text':
+        return `${facts.subject}${keyword ? ` - ${keyword}` : ''}`;
+      case 'meta_description':
+        return `${facts.subject}. ${keyword ? `How ${SITE_NAME} helps with ${keyword}.` : `Read more on ${SITE_NAME}.`}`;
+      case 'meta_title':
+        return `${facts.subject} | ${SITE_NAME}`;
+      default:
+        throw new Error(`Unknown task: ${task}`);
+    }
+  }
+}
+
+class SeoFixWriter {
+  /**
+   * @param {Object} deps
+   * @param {Object} deps.provider - AzureOpenAIProvider, LocalStubProvider or compatible
+   * @param {Object} deps.responseGuard - PromptInjectionPrevention
+   */
+  constructor({ provider, responseGuard }) {
+    if (!provider || !responseGuard) {
+      throw new Error('SeoFixWriter needs a provider and a response guard');
+    }
+    this.provider = provider;
+    this.responseGuard = responseGuard;
+  }
+
+  /**
+   * @param {string} task - alt_text, meta_description or meta_title
+   * @param {Object} facts - { subject, context, src, keywords }
+   * @returns {Object|null} { text, generatedBy }, or null if nothing usable came back
+   */
+  async write(task, facts) {
+    const spec = TASKS[task];
+    if (!spec) throw new Error(`Unknown task: ${task}`);
+
+    const input = { subject: '', context: '', keywords: [], ...facts };
+
+    let raw;
+    try {
+      raw = await this.provider.complete({
+        task,
+        prompt: PROMPTS[task](input),
+        systemPrompt: spec.systemPrompt,
+        facts: input
+      });
+    } catch (error) {
+      console.warn(`⚠️ ${this.provider.name} could not write ${task}:`, error.message);
+      return null;
+    }
+
+    const text = cleanAnswer(raw, spec.maxLength);
+    if (!text) return null;
+
+    const check = this.responseGuard.validateResponse(text);
+    if (!check.valid) {
+      console.warn(`🚨 Discarded generated ${task} from ${this.provider.name}: ${check.reason}`);
+      return null;
+    }
+
+    return { text, generatedBy: this.provider.name };
+  }
+}
+
+SeoFixWriter.TASKS = TASKS;
+
+module.exports = { SeoFixWriter, AzureOpenAIProvider, LocalStubProvider };
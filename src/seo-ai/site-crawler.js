@@ -0,0 +1,782 @@
+// Site Crawler - Internal link graph, orphan pages and broken links
+// File: src/seo-ai/site-crawler.js
+// SECURITY: Fetches go through SSRF protection; only the site's own hosts are crawled
+//
+// A crawl starts at the homepage and the sitemap, stays within robots.txt and
+// follows internal links breadth first, so a page's depth is its click
+// distance from the homepage. Redirects are not followed by the fetch but
+// recorded and crawled as pages of their own, which is how chains show up.
+// The graph is stored per crawl (seo_crawl_pages, seo_crawl_links); broken
+// links, redirect chains, links to non-canonical URLs and orphan pages are
+// synced into seo_issues, resolving the ones a later crawl no longer finds.
+//
+// The site answers unknown paths with the app shell and a 200, and serves
+// crawlers prerendered snapshots of the pages it knows (the sitemap's), so a
+// 200 with an empty #app for a path outside the sitemap counts as a soft 404.
+
+const cheerio = require('cheerio');
+const { Pool } = require('pg');
+const path = require('path');
+
+const USER_AGENT_TOKEN = 'finaceverse-seo-bot';
+
+const ISSUE_TYPES = ['broken_links', 'redirect_chain', 'non_canonical_link', 'orphan_page'];
+
+const DEFAULTS = {
+  baseUrl: 'https://www.finaceverse.io',
+  maxPages: 300,
+  delayMs: 250,
+  maxSitemapUrls: 5000,
+  keepCrawls: 10
+};
+
+// Redirect hops followed when resolving where a link ends up
+const MAX_REDIRECTS = 10;
+
+// Links listed in an issue's description
+const MAX_LISTED = 10;
+
+// Paths that are never pages
+const SKIPPED_PATHS = /^\/(api|socket\.io)\//;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Absolute URL without fragment or trailing slash (except the root)
+ * @returns {string|null} null for mailto:, tel:, javascript: and unparseable hrefs
+ */
+const normalizeUrl = (href, base) => {
+  try {
+    const url = new URL(href, base);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    if (url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, '');
+    return url.href;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * URL with the host's www. dropped, for comparing URLs of the same site
+ */
+const withoutWww = (url) => {
+  const parsed = new URL(url);
+  parsed.hostname = parsed.hostname.replace(/^www\./, '');
+  return parsed.href;
+};
+
+// ============ ROBOTS.TXT ============
+
+/**
+ * @returns {Object} { groups: [{ agents, rules: [{ allow, pattern }], crawlDelay }], sitemaps }
+ */
+const parseRobots = (text) => {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const colon = line.indexOf(':');
+    if (colon === -1) continue;
+
+    const key = line.slice(0, colon).trim().toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!group || group.rules.length > 0 || group.crawlDelay !== null) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if (group && (key === 'allow' || key === 'disallow')) {
+      // An empty Disallow allows everything
+      if (value) group.rules.push({ allow: key === 'allow', pattern: value });
+    } else if (group && key === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (!Number.isNaN(seconds)) group.crawlDelay = seconds;
+    }
+  }
+
+  return { groups, sitemaps };
+};
+
+/**
+ * The rules for our user agent: its own groups if robots.txt has any, else '*'
+ */
+const robotsRulesFor = (robots, token = USER_AGENT_TOKEN) => {
+  const own = robots.groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+  const groups = own.length > 0 ? own : robots.groups.filter(group => group.agents.includes('*'));
+  const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    rules: groups.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+};
+
+const robotsPatternRegex = (pattern) => new RegExp(`^${pattern
+  .replace(/[.+?^{}()|[\]\\]/g, '\\$&')
+  .replace(/\*/g, '.*')
+  .replace(/\\\$$|\$$/, '$')}`);
+
+/**
+ * Longest matching rule wins; on a tie Allow does. No match means allowed.
+ */
+const isAllowedByRobots = (rules, urlPath) => {
+  let best = null;
+  for (const rule of rules) {
+    if (!robotsPatternRegex(rule.pattern).test(urlPath)) continue;
+    if (!best || rule.pattern.length > best.pattern.length || (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+};
+
+// ============ CRAWLER ============
+
+class SiteCrawler {
+  /**
+   * @param {Object} pool - PostgreSQL connection pool
+   * @param {Object} options
+   * @param {Object} [options.ssrfProtection] - SSRFProtection used for every fetch
+   * @param {string} [options.baseUrl] - Homepage; its host (with and without www) is internal
+   * @param {number} [options.maxPages] - Fetches per crawl
+   * @param {number} [options.delayMs] - Pause between fetches, unless robots.txt asks for more
+   */
+  constructor(pool, options = {}) {
+    this.pool = pool || new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+    });
+
+    this.ssrfProtection = options.ssrfProtection || null;
+    this.baseUrl = normalizeUrl(options.baseUrl || DEFAULTS.baseUrl);
+    this.maxPages = options.maxPages || DEFAULTS.maxPages;
+    this.delayMs = options.delayMs ?? DEFAULTS.delayMs;
+
+    const host = new URL(this.baseUrl).hostname;
+    this.internalHosts = new Set([host, host.startsWith('www.') ? host.slice(4) : `www.${host}`]);
+
+    this.running = null;
+  }
+
+  isInternal(url) {
+    return this.internalHosts.has(new URL(url).hostname);
+  }
+
+  // SECURED: SSRF-protected fetch that never follows redirects
+  async fetchUrl(url, method = 'GET') {
+    const headers = { 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8' };
+
+    if (this.ssrfProtection) {
+      return this.ssrfProtection.safeFetch(url, { method, headers });
+    }
+
+    if (!this.isInternal(url)) {
+      throw new Error(`SSRF Protection: Domain ${new URL(url).hostname} not allowed`);
+    }
+    const fetch = require('node-fetch');
+    return fetch(url, {
+      method,
+      headers: { ...headers, 'User-Agent': 'FinaceVerse-SEO-Bot/1.0' },
+      redirect: 'manual',
+      timeout: 10000
+    });
+  }
+
+  // ============ RUNNING ============
+
+  /**
+   * Start a crawl in the background
+   * @returns {Object} the seo_crawls row, status 'running'
+   */
+  async start(options = {}) {
+    const crawl = await this.begin(options);
+    this.run(crawl).catch(error => console.error(`❌ Site crawl #${crawl.id} failed:`, error.message));
+    return crawl;
+  }
+
+  /**
+   * Crawl and wait for the result
+   * @returns {Object} the finished seo_crawls row
+   */
+  async crawl(options = {}) {
+    const crawl = await this.begin(options);
+    return this.run(crawl);
+  }
+
+  async begin({ triggeredBy = 'manual' } = {}) {
+    if (this.running) {
+      throw Object.assign(new Error(`Crawl #${this.running.id} is still running`), { status: 409 });
+    }
+
+    const result = await this.pool.query(
+      'INSERT INTO seo_crawls (start_url, triggered_by) VALUES ($1, $2) RETURNING *',
+      [this.baseUrl, String(triggeredBy).slice(0, 100)]
+    );
+    this.running = result.rows[0];
+    return this.running;
+  }
+
+  async run(crawl) {
+    console.log(`🕷️ Crawling ${this.baseUrl} (crawl #${crawl.id})...`);
+    const startTime = Date.now();
+
+    try {
+      const graph = await this.buildGraph();
+      const issues = this.findIssues(graph);
+
+      await this.storeGraph(crawl.id, graph);
+      await this.syncIssues(issues);
+
+      const summary = {
+        issues: Object.fromEntries(ISSUE_TYPES.map(type => [type, issues.filter(issue => issue.type === type).length])),
+        sitemapUrls: graph.sitemapCount,
+        robotsBlocked: [...graph.pages.values()].filter(page => page.robotsBlocked).length,
+        unrendered: [...graph.pages.values()].filter(page => page.unrendered && page.inSitemap).length,
+        unfetched: [...graph.pages.values()].filter(page => page.statusCode === null && !page.robotsBlocked).length,
+        maxDepth: Math.max(0, ...[...graph.pages.values()].map(page => page.depth ?? 0))
+      };
+
+      const result = await this.pool.query(`
+        UPDATE seo_crawls
+        SET status = 'completed', finished_at = NOW(),
+            pages_crawled = $2, links_found = $3, issues_found = $4, summary = $5
+        WHERE id = $1
+        RETURNING *
+      `, [crawl.id, graph.fetched, graph.links.length, issues.length, JSON.stringify(summary)]);
+
+      await this.pruneCrawls();
+
+      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+      console.log(`✓ Crawl #${crawl.id} complete in ${duration}s: ${graph.fetched} pages, ${graph.links.length} links, ${issues.length} issues`);
+      return result.rows[0];
+    } catch (error) {
+      await this.pool.query(
+        "UPDATE seo_crawls SET status = 'failed', finished_at = NOW(), error = $2 WHERE id = $1",
+        [crawl.id, error.message]
+      ).catch(() => {});
+      throw error;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  // ============ DISCOVERY ============
+
+  async fetchRobots() {
+    try {
+      const response = await this.fetchUrl(new URL('/robots.txt', this.baseUrl).href);
+      // No robots.txt allows everything
+      if (!response.ok) return { groups: [], sitemaps: [] };
+      return parseRobots(await response.text());
+    } catch (error) {
+      console.warn('robots.txt unavailable, crawling without it:', error.message);
+      return { groups: [], sitemaps: [] };
+    }
+  }
+
+  /**
+   * Page URLs from the sitemaps, following sitemap indexes one level down
+   */
+  async fetchSitemapUrls(sitemapUrls) {
+    const urls = new Set();
+    const queue = sitemapUrls.map(url => ({ url, nested: false }));
+
+    while (queue.length > 0 && urls.size < DEFAULTS.maxSitemapUrls) {
+      const { url, nested } = queue.shift();
+      try {
+        const response = await this.fetchUrl(url);
+        if (!response.ok) {
+          console.warn(`Sitemap ${url} returned HTTP ${response.status}`);
+          continue;
+        }
+
+        const $ = cheerio.load(await response.text(), { xmlMode: true });
+        if (!nested) {
+          $('sitemapindex > sitemap > loc').each((_, el) => {
+            queue.push({ url: $(el).text().trim(), nested: true });
+          });
+        }
+        $('urlset > url > loc').each((_, el) => {
+          const loc = normalizeUrl($(el).text().trim());
+          if (loc && this.isInternal(loc)) urls.add(loc);
+        });
+      } catch (error) {
+        console.warn(`Sitemap ${url} unavailable:`, error.message);
+      }
+    }
+
+    return [...urls].slice(0, DEFAULTS.maxSitemapUrls);
+  }
+
+  /**
+   * Breadth-first crawl from the homepage, then whatever the sitemap lists
+   * that links never reached
+   * @returns {Object} { pages: Map<url, page>, links, fetched, sitemapCount }
+   */
+  async buildGraph() {
+    const robots = await this.fetchRobots();
+    const { rules, crawlDelay } = robotsRulesFor(robots);
+    const delayMs = Math.max(this.delayMs, (crawlDelay || 0) * 1000);
+
+    const sitemapUrls = await this.fetchSitemapUrls(
+      robots.sitemaps.length > 0 ? robots.sitemaps : [new URL('/sitemap.xml', this.baseUrl).href]
+    );
+    const inSitemap = new Set(sitemapUrls);
+
+    const pages = new Map();
+    const links = [];
+    let fetched = 0;
+
+    const pageFor = (url, depth) => {
+      if (!pages.has(url)) {
+        pages.set(url, {
+          url,
+          depth,
+          statusCode: null,
+          redirectUrl: null,
+          canonicalUrl: null,
+          title: null,
+          inSitemap: inSitemap.has(url),
+          robotsBlocked: false,
+          noindex: false,
+          soft404: false,
+          unrendered: false,
+          error: null
+        });
+      }
+      return pages.get(url);
+    };
+
+    const queue = [pageFor(this.baseUrl, 0)];
+    const sitemapQueue = sitemapUrls.map(url => pageFor(url, null));
+    const queued = new Set([this.baseUrl]);
+
+    // Sitemap pages start without a depth until a link reaches them
+    const reach = (url, depth) => {
+      const page = pageFor(url, depth);
+      if (page.depth === null) page.depth = depth;
+      if (!queued.has(url)) {
+        queued.add(url);
+        queue.push(page);
+      }
+    };
+
+    const visit = async (page) => {
+      const { pathname, search } = new URL(page.url);
+      if (!isAllowedByRobots(rules, pathname + search)) {
+        page.robotsBlocked = true;
+        return;
+      }
+
+      if (fetched > 0) await sleep(delayMs);
+      fetched++;
+
+      const result = await this.fetchPage(page.url, inSitemap.has(page.url));
+      Object.assign(page, result.page);
+
+      if (page.redirectUrl && this.isInternal(page.redirectUrl)) {
+        // A redirect is not a click: the target keeps this page's depth
+        reach(page.redirectUrl, page.depth);
+      }
+
+      for (const link of result.links) {
+        links.push({ source: page.url, ...link });
+        if (link.internal) reach(link.target, page.depth === null ? null : page.depth + 1);
+      }
+    };
+
+    while (fetched < this.maxPages && (queue.length > 0 || sitemapQueue.length > 0)) {
+      const page = queue.length > 0 ? queue.shift() : sitemapQueue.shift();
+      if (page.statusCode !== null || page.robotsBlocked || page.visited) continue;
+      page.visited = true;
+
+      const { pathname } = new URL(page.url);
+      if (SKIPPED_PATHS.test(pathname)) continue;
+
+      await visit(page);
+    }
+
+    if (queue.length > 0 || sitemapQueue.some(page => !page.visited)) {
+      console.warn(`⚠️ Crawl stopped at the ${this.maxPages} page limit`);
+    }
+
+    // Unique linking pages, not counting links to itself
+    const inLinks = new Map();
+    for (const link of links) {
+      if (!link.internal || link.target === link.source) continue;
+      if (!inLinks.has(link.target)) inLinks.set(link.target, new Set());
+      inLinks.get(link.target).add(link.source);
+    }
+    for (const page of pages.values()) {
+      page.inLinks = inLinks.get(page.url)?.size || 0;
+      page.outLinks = new Set(links.filter(link => link.source === page.url).map(link => link.target)).size;
+      delete page.visited;
+    }
+
+    return { pages, links, fetched, sitemapCount: sitemapUrls.length };
+  }
+
+  /**
+   * @returns {Object} { page: fields to record, links: [{ target, anchor, internal, nofollow }] }
+   */
+  async fetchPage(url, inSitemap) {
+    // Files are only checked, not read
+    const isFile = !!path.extname(new URL(url).pathname) && !/\.html?$/i.test(new URL(url).pathname);
+
+    let response;
+    try {
+      response = await this.fetchUrl(url, isFile ? 'HEAD' : 'GET');
+    } catch (error) {
+      return { page: { error: error.message.slice(0, 500) }, links: [] };
+    }
+
+    const page = { statusCode: response.status };
+
+    if (response.status >= 300 && response.status < 400) {
+      page.redirectUrl = normalizeUrl(response.headers.get('location') || '', url);
+      return { page, links: [] };
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (isFile || !response.ok || !contentType.includes('html')) {
+      return { page, links: [] };
+    }
+
+    const $ = cheerio.load(await response.text());
+
+    page.title = $('title').first().text().trim().slice(0, 500) || null;
+    page.noindex = /noindex/i.test($('meta[name="robots"]').attr('content') || '');
+
+    // public/index.html has a site-wide canonical; the page's own comes from
+    // Helmet, which adds it after that one
+    const canonicalTags = $('link[rel="canonical"]');
+    const helmetCanonical = canonicalTags.filter('[data-react-helmet]');
+    const canonical = (helmetCanonical.length ? helmetCanonical : canonicalTags).last().attr('href');
+    page.canonicalUrl = canonical ? normalizeUrl(canonical, url) : null;
+
+    // The bare app shell: not a page, unless the prerenderer was down
+    page.unrendered = $('#app').length > 0 && $('#app').children().length === 0;
+    page.soft404 = page.unrendered && !inSitemap;
+
+    const pageNofollow = /nofollow/i.test($('meta[name="robots"]').attr('content') || '');
+    const links = [];
+    $('a[href]').each((_, el) => {
+      const target = normalizeUrl($(el).attr('href'), url);
+      if (!target) return;
+      links.push({
+        target,
+        anchor: $(el).text().replace(/\s+/g, ' ').trim().slice(0, 300) || $(el).attr('aria-label') || null,
+        internal: this.isInternal(target),
+        nofollow: pageNofollow || /nofollow/i.test($(el).attr('rel') || '')
+      });
+    });
+
+    return { page, links };
+  }
+
+  // ============ ANALYSIS ============
+
+  /**
+   * Where a link ends up after redirects
+   * @returns {Object} { hops: [urls passed through], final: page or null, loop }
+   */
+  resolveLink(pages, target) {
+    const hops = [];
+    let page = pages.get(target) || null;
+
+    while (page && page.redirectUrl && hops.length < MAX_REDIRECTS) {
+      if (hops.includes(page.url)) return { hops, final: page, loop: true };
+      hops.push(page.url);
+      page = pages.get(page.redirectUrl) || null;
+    }
+
+    return { hops, final: page, loop: false };
+  }
+
+  /**
+   * @returns {Object[]} { type, severity, pageUrl, description, recommendation }
+   */
+  findIssues({ pages, links }) {
+    const issues = [];
+    const bySource = new Map();
+
+    for (const link of links) {
+      if (!link.internal) continue;
+      if (!bySource.has(link.source)) bySource.set(link.source, new Map());
+      // One entry per target and page
+      bySource.get(link.source).set(link.target, link);
+    }
+
+    const list = (items) => items.slice(0, MAX_LISTED).join('; ') + (items.length > MAX_LISTED ? `; and ${items.length - MAX_LISTED} more` : '');
+    const pathOf = (url) => {
+      const { pathname, search, hostname } = new URL(url);
+      return hostname === new URL(this.baseUrl).hostname ? pathname + search : url;
+    };
+
+    for (const [source, targets] of bySource) {
+      const broken = [];
+      const redirected = [];
+      const nonCanonical = [];
+      let longestChain = 0;
+
+      for (const target of targets.keys()) {
+        const { hops, final, loop } = this.resolveLink(pages, target);
+        // Not fetched (page limit, robots.txt, network error): nothing to say
+        if (!final || (final.statusCode === null && !final.redirectUrl)) continue;
+
+        if (loop) {
+          redirected.push(`${pathOf(target)} redirects in a loop`);
+          longestChain = Math.max(longestChain, MAX_REDIRECTS);
+          continue;
+        }
+
+        if (final.statusCode >= 400 || final.soft404) {
+          broken.push(`${pathOf(target)} (${final.soft404 ? 'page not found' : `HTTP ${final.statusCode}`}${hops.length ? ` after ${hops.length} redirect${hops.length === 1 ? '' : 's'}` : ''})`);
+          continue;
+        }
+
+        if (hops.length > 0) {
+          redirected.push([...hops, final.url].map(pathOf).join(' → '));
+          longestChain = Math.max(longestChain, hops.length);
+        }
+
+        if (final.canonicalUrl && withoutWww(final.canonicalUrl) !== withoutWww(final.url)) {
+          nonCanonical.push(`${pathOf(final.url)} (canonical: ${pathOf(final.canonicalUrl)})`);
+        }
+      }
+
+      if (broken.length > 0) {
+        issues.push({
+          type: 'broken_links',
+          severity: 'critical',
+          pageUrl: source,
+          description: `${broken.length} broken internal link${broken.length === 1 ? '' : 's'}: ${list(broken)}`,
+          recommendation: 'Update the links to pages that exist, or remove them'
+        });
+      }
+
+      if (redirected.length > 0) {
+        issues.push({
+          type: 'redirect_chain',
+          severity: longestChain >= 2 ? 'high' : 'low',
+          pageUrl: source,
+          description: `${redirected.length} internal link${redirected.length === 1 ? ' goes' : 's go'} through redirects: ${list(redirected)}`,
+          recommendation: 'Link straight to the final URL'
+        });
+      }
+
+      if (nonCanonical.length > 0) {
+        issues.push({
+          type: 'non_canonical_link',
+          severity: 'medium',
+          pageUrl: source,
+          description: `${nonCanonical.length} internal link${nonCanonical.length === 1 ? ' points' : 's point'} at a non-canonical URL: ${list(nonCanonical)}`,
+          recommendation: 'Link to the canonical URL, or fix the canonical tag if it is wrong'
+        });
+      }
+    }
+
+    // Without a rendered homepage there are no links, and every page would look orphaned
+    if (pages.get(this.baseUrl)?.unrendered) {
+      console.warn('⚠️ Homepage came back unrendered (is prerendering down?), skipping orphan detection');
+      return issues;
+    }
+
+    for (const page of pages.values()) {
+      const indexable = page.statusCode === 200 && !page.soft404 && !page.noindex;
+      if (!indexable || page.url === this.baseUrl || page.inLinks > 0) continue;
+      issues.push({
+        type: 'orphan_page',
+        severity: 'medium',
+        pageUrl: page.url,
+        description: page.inSitemap
+          ? 'No internal links point to this page; it is only reachable through the sitemap'
+          : 'No internal links point to this page',
+        recommendation: 'Link to it from related pages, the blog or the navigation'
+      });
+    }
+
+    return issues;
+  }
+
+  // ============ STORAGE ============
+
+  async storeGraph(crawlId, { pages, links }) {
+    const rows = [...pages.values()];
+
+    await this.pool.query(`
+      INSERT INTO seo_crawl_pages
+        (crawl_id, url, status_code, redirect_url, canonical_url, title, depth, in_links, out_links,
+         in_sitemap, robots_blocked, noindex, soft_404, error)
+      SELECT $1, * FROM unnest(
+        $2::text[], $3::int[], $4::text[], $5::text[], $6::text[], $7::int[], $8::int[], $9::int[],
+        $10::boolean[], $11::boolean[], $12::boolean[], $13::boolean[], $14::text[]
+      )
+    `, [
+      crawlId,
+      rows.map(page => page.url.slice(0, 1000)),
+      rows.map(page => page.statusCode),
+      rows.map(page => page.redirectUrl && page.redirectUrl.slice(0, 1000)),
+      rows.map(page => page.canonicalUrl && page.canonicalUrl.slice(0, 1000)),
+      rows.map(page => page.title),
+      rows.map(page => page.depth),
+      rows.map(page => page.inLinks),
+      rows.map(page => page.outLinks),
+      rows.map(page => page.inSitemap),
+      rows.map(page => page.robotsBlocked),
+      rows.map(page => page.noindex),
+      rows.map(page => page.soft404),
+      rows.map(page => page.error)
+    ]);
+
+    if (links.length === 0) return;
+
+    await this.pool.query(`
+      INSERT INTO seo_crawl_links (crawl_id, source_url, target_url, anchor_text, internal, nofollow)
+      SELECT $1, * FROM unnest($2::text[], $3::text[], $4::text[], $5::boolean[], $6::boolean[])
+    `, [
+      crawlId,
+      links.map(link => link.source.slice(0, 1000)),
+      links.map(link => link.target.slice(0, 1000)),
+      links.map(link => link.anchor),
+      links.map(link => link.internal),
+      links.map(link => link.nofollow)
+    ]);
+  }
+
+  /**
+   * Make the open crawler issues in seo_issues match this crawl: update the
+   * ones still found, add new ones and resolve the rest
+   */
+  async syncIssues(issues) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const issue of issues) {
+        const pageUrl = issue.pageUrl.slice(0, 500);
+        const updated = await client.query(`
+          UPDATE seo_issues SET severity = $3, description = $4, recommendation = $5
+          WHERE page_url = $1 AND issue_type = $2 AND status = 'open'
+        `, [pageUrl, issue.type, issue.severity, issue.description, issue.recommendation]);
+
+        if (updated.rowCount === 0) {
+          await client.query(`
+            INSERT INTO seo_issues (issue_type, severity, page_url, description, recommendation, auto_fixable, created_at)
+            VALUES ($1, $2, $3, $4, $5, false, NOW())
+          `, [issue.type, issue.severity, pageUrl, issue.description, issue.recommendation]);
+        }
+      }
+
+      for (const type of ISSUE_TYPES) {
+        await client.query(`
+          UPDATE seo_issues SET status = 'fixed', fixed = TRUE, fixed_at = NOW()
+          WHERE issue_type = $1 AND status = 'open' AND NOT (page_url = ANY($2::text[]))
+        `, [type, issues.filter(issue => issue.type === type).map(issue => issue.pageUrl.slice(0, 500))]);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async pruneCrawls() {
+    await this.pool.query(`
+      DELETE FROM seo_crawls
+      WHERE status <> 'running'
+        AND id NOT IN (SELECT id FROM seo_crawls ORDER BY started_at DESC LIMIT $1)
+    `, [DEFAULTS.keepCrawls]);
+  }
+
+  // ============ REPORTING ============
+
+  async getLatestCrawl() {
+    const result = await this.pool.query('SELECT * FROM seo_crawls ORDER BY started_at DESC LIMIT 1');
+    return result.rows[0] || null;
+  }
+
+  async getCrawl(id) {
+    const result = await this.pool.query('SELECT * FROM seo_crawls WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The crawl's pages, orphans and least-linked first
+   * @param {Object} filters - { problem: 'orphans' | 'errors' | 'redirects', limit }
+   */
+  async getPages(crawlId, { problem, limit = 500 } = {}) {
+    const conditions = {
+      orphans: "in_links = 0 AND status_code = 200 AND NOT soft_404 AND url <> (SELECT start_url FROM seo_crawls WHERE id = $1)",
+      errors: '(status_code >= 400 OR soft_404)',
+      redirects: 'status_code BETWEEN 300 AND 399'
+    };
+
+    const result = await this.pool.query(`
+      SELECT url, status_code, redirect_url, canonical_url, title, depth, in_links, out_links,
+             in_sitemap, robots_blocked, noindex, soft_404, error
+      FROM seo_crawl_pages
+      WHERE crawl_id = $1 ${conditions[problem] ? `AND ${conditions[problem]}` : ''}
+      ORDER BY in_links ASC, depth ASC NULLS FIRST, url
+      LIMIT $2
+    `, [crawlId, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Links into and out of one page, with the status of where each points
+   */
+  async getPageLinks(crawlId, url) {
+    const [outgoing, incoming] = await Promise.all([
+      this.pool.query(`
+        SELECT l.target_url, l.anchor_text, l.internal, l.nofollow, p.status_code, p.redirect_url, p.soft_404
+        FROM seo_crawl_links l
+        LEFT JOIN seo_crawl_pages p ON p.crawl_id = l.crawl_id AND p.url = l.target_url
+        WHERE l.crawl_id = $1 AND l.source_url = $2
+        ORDER BY l.internal DESC, l.target_url
+      `, [crawlId, url]),
+      this.pool.query(`
+        SELECT source_url, anchor_text, nofollow
+        FROM seo_crawl_links
+        WHERE crawl_id = $1 AND target_url = $2
+        ORDER BY source_url
+      `, [crawlId, url])
+    ]);
+
+    return { outgoing: outgoing.rows, incoming: incoming.rows };
+  }
+}
+
+SiteCrawler.ISSUE_TYPES = ISSUE_TYPES;
+SiteCrawler.parseRobots = parseRobots;
+SiteCrawler.robotsRulesFor = robotsRulesFor;
+SiteCrawler.isAllowedByRobots = isAllowedByRobots;
+
+// CLI entry point
+if (require.main === module) {
+  const crawler = new SiteCrawler(null, { baseUrl: process.argv[2] });
+
+  crawler.crawl({ triggeredBy: 'cli' })
+    .then(crawl => {
+      console.log('✓ Crawl result:', crawl);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('❌ Crawl failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = SiteCrawler;
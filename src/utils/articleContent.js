@@ -0,0 +1,276 @@
+/**
+ * ARTICLE CONTENT
+ * ===============
+ * Turns a blog_posts body into safe HTML for /blog/:slug
+ *
+ * Bodies come in two formats:
+ * 1. Markdown - seeded articles and migrations
+ * 2. HTML - posts written in the vault Blog Editor
+ *
+ * Both end up as HTML and go through the same allowlist sanitizer, so
+ * nothing stored in the CMS can inject scripts or event handlers.
+ *
+ * Usage:
+ *   const html = renderArticleBody(post.content);
+ *   const minutes = readingTime(post.content);
+ *
+ * @module articleContent
+ */
+
+// ============================================================================
+// MARKDOWN
+// ============================================================================
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderInline = (text) => {
+  // Pull code spans out first so their contents aren't formatted
+  const codeSpans = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => {
+    codeSpans.push(`<code>${code}</code>`);
+    return `\uE000${codeSpans.length - 1}\uE000`;
+  });
+
+  html = html
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '<img src="$2" alt="$1" />')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/(^|[^*])\*(?!\s)(.+?)\*(?!\*)/g, '$1<em>$2</em>')
+    .replace(/(^|\W)_(?!\s)(.+?)_(?=\W|$)/g, '$1<em>$2</em>')
+    .replace(/~~(.+?)~~/g, '<del>$1</del>');
+
+  return html.replace(/\uE000(\d+)\uE000/g, (_, i) => codeSpans[i]);
+};
+
+const splitTableRow = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const BLOCK_START = /^(#{1,6}\s|>|```|\s*([-*+]|\d+\.)\s|\s*(-{3,}|\*{3,})\s*$)/;
+
+/**
+ * Render Markdown (headings, lists, tables, quotes, code, rules, inline
+ * formatting) to HTML. Raw HTML in the source is escaped.
+ */
+export const renderMarkdown = (markdown) => {
+  const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    // Fenced code
+    if (line.startsWith('```')) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith('```')) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+      blocks.push('<hr />');
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('>')) {
+      const quote = [];
+      while (i < lines.length && lines[i].startsWith('>')) {
+        quote.push(lines[i].replace(/^>\s?/, ''));
+        i++;
+      }
+      blocks.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    // Pipe table: header row followed by a divider row
+    if (line.includes('|') && TABLE_DIVIDER.test(lines[i + 1] || '')) {
+      const header = splitTableRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      blocks.push(
+        '<table><thead><tr>' +
+        header.map(cell => `<th>${renderInline(cell)}</th>`).join('') +
+        '</tr></thead><tbody>' +
+        rows.map(row => `<tr>${row.map(cell => `<td>${renderInline(cell)}</td>`).join('')}</tr>`).join('') +
+        '</tbody></table>'
+      );
+      continue;
+    }
+
+    const listItem = line.match(/^\s*([-*+]|\d+\.)\s+(.*)$/);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      const pattern = ordered ? /^\s*\d+\.\s+(.*)$/ : /^\s*[-*+]\s+(.*)$/;
+      const start = ordered ? parseInt(listItem[1], 10) : 1;
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(pattern);
+        if (item) {
+          items.push(item[1]);
+        } else if (lines[i].trim() && /^\s{2,}/.test(lines[i]) && items.length > 0) {
+          // Indented continuation of the previous item
+          items[items.length - 1] += ` ${lines[i].trim()}`;
+        } else if (!lines[i].trim()) {
+          // Blank lines between items keep the list going ("loose" list)
+          let next = i + 1;
+          while (next < lines.length && !lines[next].trim()) next++;
+          if (next >= lines.length || !pattern.test(lines[next])) break;
+          i = next - 1;
+        } else {
+          break;
+        }
+        i++;
+      }
+      const open = ordered ? (start !== 1 ? `<ol start="${start}">` : '<ol>') : '<ul>';
+      blocks.push(`${open}${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${ordered ? 'ol' : 'ul'}>`);
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !BLOCK_START.test(lines[i]))) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    blocks.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+  }
+
+  return blocks.join('\n');
+};
+
+// ============================================================================
+// SANITIZER
+// ============================================================================
+
+const ALLOWED_TAGS = new Set([
+  'a', 'b', 'blockquote', 'br', 'code', 'del', 'div', 'em', 'figcaption', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'li', 'ol', 'p', 'pre',
+  's', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul',
+]);
+
+// Removed together with everything inside them
+const DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'form', 'svg', 'math']);
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title', 'target'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  ol: ['start'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan'],
+};
+
+const SAFE_URL = /^(https?:|mailto:|tel:|\/|#|\.{0,2}\/)/i;
+
+// Browsers ignore whitespace and control characters inside a scheme ("java\nscript:")
+const isSafeUrl = (value) => {
+  const url = value.replace(/[^\x21-\x7e]/g, '');
+  return SAFE_URL.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url);
+};
+
+const cleanNode = (node) => {
+  Array.from(node.childNodes).forEach(child => {
+    if (child.nodeType === 3) return; // Text
+    if (child.nodeType !== 1) {
+      child.remove();
+      return;
+    }
+
+    const tag = child.tagName.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) {
+      child.remove();
+      return;
+    }
+
+    cleanNode(child);
+
+    if (!ALLOWED_TAGS.has(tag)) {
+      // Keep the text, lose the element
+      child.replaceWith(...Array.from(child.childNodes));
+      return;
+    }
+
+    const allowed = ALLOWED_ATTRIBUTES[tag] || [];
+    Array.from(child.attributes).forEach(({ name, value }) => {
+      const unsafeUrl = (name === 'href' || name === 'src') && !isSafeUrl(value);
+      if (!allowed.includes(name) || unsafeUrl) {
+        child.removeAttribute(name);
+      }
+    });
+
+    if (tag === 'a' && child.getAttribute('target')) {
+      child.setAttribute('target', '_blank');
+      child.setAttribute('rel', 'noopener noreferrer');
+    }
+    if (tag === 'img') {
+      child.setAttribute('loading', 'lazy');
+    }
+  });
+};
+
+/**
+ * Strip everything outside the article allowlist: unknown tags are unwrapped,
+ * scripts/iframes removed, attributes limited and javascript: URLs dropped
+ */
+export const sanitizeHtml = (html) => {
+  if (typeof DOMParser === 'undefined') {
+    // No DOM to parse with (e.g. tests) - fall back to plain text
+    return escapeHtml(html || '');
+  }
+  const doc = new DOMParser().parseFromString(`<body>${html || ''}</body>`, 'text/html');
+  cleanNode(doc.body);
+  return doc.body.innerHTML;
+};
+
+// ============================================================================
+// ARTICLE HELPERS
+// ============================================================================
+
+// Editor output starts with a block-level tag; Markdown never does
+export const isHtmlContent = (content) => /^\s*<(p|h[1-6]|div|ul|ol|blockquote|figure|table|section|article|img|pre|br|span|strong|em|b|i|a)\b/i.test(content || '');
+
+/**
+ * Safe HTML for a post body, whichever format it was written in
+ */
+export const renderArticleBody = (content) => sanitizeHtml(
+  isHtmlContent(content) ? content : renderMarkdown(content)
+);
+
+const WORDS_PER_MINUTE = 200;
+
+/**
+ * Estimated reading time in whole minutes (at least 1)
+ */
+export const readingTime = (content) => {
+  const text = isHtmlContent(content)
+    ? (content || '').replace(/<[^>]*>/g, ' ')
+    : (content || '').replace(/[#>*_`|[\]()-]/g, ' ');
+  const words = text.split(/\s+/).filter(word => /\w/.test(word)).length;
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+};
@@ -0,0 +1,257 @@
+/**
+ * EXPERIMENT SDK
+ * ==============
+ * Client for the A/B testing API (/api/experiments)
+ *
+ * Features:
+ * 1. Stable anonymous visitor id kept through SecureStorage
+ * 2. Assignments cached in localStorage so returning visitors render their
+ *    variant on the first paint
+ * 3. First-time visitors see a placeholder until the server answers (or a
+ *    short timeout passes), never the control followed by a swap
+ * 4. Conversions sent with keepalive so they survive CTA navigations
+ *
+ * Usage:
+ *   const { variant, loading, convert } = useExperiment(12);
+ *
+ *   <Experiment
+ *     id={12}
+ *     variants={{ control: <Hero />, bold: <BoldHero /> }}
+ *     placeholder={<div style={{ minHeight: 480 }} />}
+ *   />
+ *
+ *   <a href="/request-demo" onClick={() => trackConversion('request_demo')}>
+ *
+ * @module experiments
+ */
+
+import { useEffect, useState } from 'react';
+import { getSecureTokenSync, setSecureToken } from './secureStorage';
+
+const ANONYMOUS_ID_KEY = 'fv_anonymous_id';
+const CACHE_KEY = 'fv_experiments';
+const ASSIGNED_TTL = 24 * 60 * 60 * 1000; // Revalidate assignments daily
+const UNASSIGNED_TTL = 60 * 60 * 1000; // Pick up newly started experiments sooner
+const CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Serve stale entries this long while revalidating
+const DEFAULT_TIMEOUT = 1200;
+
+const pending = new Map(); // experimentId → in-flight assignment promise
+let anonymousId = null; // Kept here: SecureStorage saves asynchronously
+
+// ============================================================================
+// ANONYMOUS VISITOR ID
+// ============================================================================
+
+const generateId = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Stable anonymous id used for bucketing. Created on first use; calls made
+ * before it has been saved get the same id.
+ * @returns {string}
+ */
+export const getAnonymousId = () => {
+  if (anonymousId) return anonymousId;
+  anonymousId = getSecureTokenSync(ANONYMOUS_ID_KEY);
+  if (!anonymousId) {
+    anonymousId = generateId();
+    setSecureToken(ANONYMOUS_ID_KEY, anonymousId).catch(console.error);
+  }
+  return anonymousId;
+};
+
+// ============================================================================
+// ASSIGNMENT CACHE
+// ============================================================================
+
+const readCache = () => {
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeCache = (experimentId, variant) => {
+  const cache = readCache();
+  cache[experimentId] = { variant, at: Date.now() };
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+  } catch {
+    // Storage full or disabled - assignments just won't persist
+  }
+};
+
+/**
+ * Cached assignment if it isn't too old to show
+ * @returns {Object|null} { variant, stale }
+ */
+const readCachedAssignment = (experimentId) => {
+  const entry = readCache()[experimentId];
+  if (!entry) return null;
+
+  const age = Date.now() - entry.at;
+  if (age > CACHE_MAX_AGE) return null;
+  return {
+    variant: entry.variant,
+    stale: age > (entry.variant ? ASSIGNED_TTL : UNASSIGNED_TTL),
+  };
+};
+
+// ============================================================================
+// API
+// ============================================================================
+
+/**
+ * Ask the server for the visitor's variant. The server records the
+ * exposure, so this must run for results to count the visitor.
+ * Network errors resolve to null and aren't cached.
+ */
+const fetchAssignment = (experimentId) => {
+  if (pending.has(experimentId)) return pending.get(experimentId);
+
+  const request = fetch(`/api/experiments/${experimentId}/assign`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      userId: getAnonymousId(),
+      page: window.location.pathname,
+    }),
+  })
+    .then(async (response) => {
+      // 404: experiment ended or doesn't exist - show the default
+      if (response.status === 404) {
+        writeCache(experimentId, null);
+        return null;
+      }
+      if (!response.ok) return null;
+
+      const { variant } = await response.json();
+      writeCache(experimentId, variant);
+      return variant;
+    })
+    .catch((err) => {
+      console.warn('Experiment assignment failed:', err);
+      return null;
+    })
+    .finally(() => pending.delete(experimentId));
+
+  pending.set(experimentId, request);
+  return request;
+};
+
+/**
+ * Variant for an experiment: from the cache when available (revalidating
+ * stale entries in the background), otherwise from the server
+ * @returns {Promise<string|null>} variant name, or null when not in the experiment
+ */
+export const getExperimentVariant = async (experimentId) => {
+  const cached = readCachedAssignment(experimentId);
+  if (!cached) return fetchAssignment(experimentId);
+
+  if (cached.stale) fetchAssignment(experimentId);
+  return cached.variant;
+};
+
+/**
+ * Record a conversion for one experiment
+ */
+export const convertExperiment = (experimentId, conversionType, value) => {
+  return fetch(`/api/experiments/${experimentId}/convert`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId: getAnonymousId(), conversionType, value }),
+    keepalive: true,
+  }).catch(err => console.warn('Experiment conversion failed:', err));
+};
+
+/**
+ * Record a conversion against every experiment the visitor is in.
+ * Use for site-wide goals such as CTA clicks.
+ * @param {string} conversionType - e.g. 'request_demo'
+ * @param {number} [value]
+ */
+export const trackConversion = (conversionType, value) => {
+  const cache = readCache();
+  return Promise.all(
+    Object.keys(cache)
+      .filter(experimentId => cache[experimentId].variant)
+      .map(experimentId => convertExperiment(experimentId, conversionType, value))
+  );
+};
+
+// ============================================================================
+// REACT BINDINGS
+// ============================================================================
+
+/**
+ * Variant for the current visitor
+ * @param {number} experimentId
+ * @param {Object} [options] - { timeout } ms to wait for a first-time assignment
+ * @returns {Object} { variant, loading, inExperiment, convert(conversionType, value) }
+ */
+export const useExperiment = (experimentId, { timeout = DEFAULT_TIMEOUT } = {}) => {
+  const [state, setState] = useState(() => {
+    const cached = readCachedAssignment(experimentId);
+    return cached
+      ? { variant: cached.variant, loading: false }
+      : { variant: null, loading: true };
+  });
+
+  useEffect(() => {
+    const cached = readCachedAssignment(experimentId);
+    if (cached) {
+      // Already rendering the cached variant; only refresh for next time
+      setState({ variant: cached.variant, loading: false });
+      if (cached.stale) fetchAssignment(experimentId);
+      return undefined;
+    }
+
+    // Once we've rendered something, don't swap it on this page view
+    let settled = false;
+    const timer = setTimeout(() => {
+      settled = true;
+      setState({ variant: null, loading: false });
+    }, timeout);
+
+    fetchAssignment(experimentId).then((variant) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      setState({ variant, loading: false });
+    });
+
+    return () => {
+      settled = true;
+      clearTimeout(timer);
+    };
+  }, [experimentId, timeout]);
+
+  return {
+    ...state,
+    inExperiment: state.variant !== null,
+    convert: (conversionType, value) => convertExperiment(experimentId, conversionType, value),
+  };
+};
+
+/**
+ * Render the visitor's variant
+ * @param {Object} props
+ * @param {number} props.id - Experiment id
+ * @param {Object} props.variants - { variantName: element }
+ * @param {string} [props.defaultVariant] - Shown outside the experiment (defaults to the first key)
+ * @param {*} [props.placeholder] - Shown while a first-time assignment loads
+ * @param {number} [props.timeout]
+ */
+export const Experiment = ({ id, variants, defaultVariant, placeholder = null, timeout }) => {
+  const { variant, loading } = useExperiment(id, { timeout });
+  if (loading) return placeholder;
+
+  const name = variant && variants[variant] !== undefined
+    ? variant
+    : defaultVariant || Object.keys(variants)[0];
+  return variants[name] ?? null;
+};
@@ -0,0 +1,111 @@
+/**
+ * FEATURE FLAGS
+ * =============
+ * Client for the public flag endpoint (/api/flags)
+ *
+ * Features:
+ * 1. One request per page (pathname), shared by every useFlag() call on it.
+ *    Flags can target pages, so navigating to another page asks again.
+ * 2. Evaluated for the same anonymous id as experiments, so percentage
+ *    rollouts are stable per visitor
+ * 3. First paint uses the values from the previous visit to avoid flicker
+ * 4. The API only names flags that are on for the visitor; any other flag is
+ *    off. The caller's default is used when the API has never answered.
+ *
+ * Usage:
+ *   const showNewHero = useFlag('home.new-hero');
+ *   const betaPricing = useFlag('pricing.beta', true); // on unless the API says otherwise
+ *
+ * @module flags
+ */
+
+import { useEffect, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { getAnonymousId } from './experiments';
+
+const CACHE_KEY = 'fv_flags';
+
+const enabledByPage = new Map(); // pathname -> flags on for this visitor there
+const requests = new Map(); // pathname -> its request, shared by every caller
+
+/**
+ * Flags that were on last visit, or null if there was none
+ */
+const readLastKnown = () => {
+  try {
+    const keys = JSON.parse(localStorage.getItem(CACHE_KEY));
+    return Array.isArray(keys) ? new Set(keys) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Fetch the flags that are on for this visitor on a page (once per page)
+ * @param {string} [page] - Pathname the flags are evaluated for; the current one by default
+ * @returns {Promise<Set<string>|null>} flag keys, or null if unreachable
+ */
+export const loadFlags = (page = window.location.pathname) => {
+  if (requests.has(page)) return requests.get(page);
+
+  const params = new URLSearchParams({
+    userId: getAnonymousId(),
+    page,
+  });
+
+  const request = fetch(`/api/flags?${params}`)
+    .then(async (response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { flags } = await response.json();
+      const enabled = new Set(flags);
+      enabledByPage.set(page, enabled);
+      try {
+        localStorage.setItem(CACHE_KEY, JSON.stringify(flags));
+      } catch {
+        // Storage disabled - next visit just starts from defaults
+      }
+      return enabled;
+    })
+    .catch((err) => {
+      console.warn('Feature flags unavailable, using defaults:', err.message);
+      requests.delete(page); // Try again next time the page is visited
+      return null;
+    });
+
+  requests.set(page, request);
+  return request;
+};
+
+/**
+ * Current value of a flag without subscribing to updates
+ * @param {string} [page] - Pathname; the current one by default
+ */
+export const isFlagEnabled = (key, defaultValue = false, page = window.location.pathname) => {
+  const enabled = enabledByPage.get(page) || readLastKnown();
+  return enabled ? enabled.has(key) : defaultValue;
+};
+
+/**
+ * Value of a feature flag for the current visitor
+ * @param {string} key - Flag key, e.g. 'home.new-hero'
+ * @param {boolean} [defaultValue=false] - Used when the API is unreachable and hasn't answered before
+ * @returns {boolean}
+ */
+export const useFlag = (key, defaultValue = false) => {
+  const { pathname } = useLocation();
+  const [enabled, setEnabled] = useState(() => isFlagEnabled(key, defaultValue, pathname));
+
+  useEffect(() => {
+    let active = true;
+    setEnabled(isFlagEnabled(key, defaultValue, pathname));
+    loadFlags(pathname).then((enabled) => {
+      if (!active) return;
+      setEnabled(enabled ? enabled.has(key) : isFlagEnabled(key, defaultValue, pathname));
+    });
+    return () => {
+      active = false;
+    };
+  }, [key, defaultValue, pathname]);
+
+  return enabled;
+};
@@ -1,4 +1,5 @@
 import { onCLS, onINP, onFCP, onLCP, onTTFB } from 'web-vitals';
+import { getAnonymousId } from './experiments';
 
 const API_ENDPOINT = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
@@ -87,33 +88,158 @@ const trackNavigationTiming = () => {
   });
 };
 
-// Track scroll depth
+// Send a tracker event; keepalive lets it finish while the page unloads
+const sendEvent = (event, { keepalive = false } = {}) => {
+  fetch(`${API_ENDPOINT}/track-event`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      ...event,
+      page: window.location.pathname,
+      timestamp: new Date().toISOString(),
+    }),
+    keepalive,
+  }).catch(err => console.error(`Event tracking failed (${event.type}):`, err));
+};
+
+// The article being read, if any (see startArticleView)
+let currentArticle = null;
+
+// Track scroll depth; on an article, of the article body rather than the page
+const SCROLL_DEPTHS = [25, 50, 75, 100];
+let scrollDepthsSent = new Set();
+let scrollDepthScope = null; // page (and article view) the sent depths belong to
+
+const checkScrollDepth = () => {
+  const scope = `${window.location.pathname}|${currentArticle?.viewId || ''}`;
+  if (scope !== scrollDepthScope) {
+    scrollDepthScope = scope;
+    scrollDepthsSent = new Set();
+  }
+
+  let scrolled;
+  if (currentArticle) {
+    const { top, height } = currentArticle.element.getBoundingClientRect();
+    scrolled = height > 0 ? (window.innerHeight - top) / height * 100 : 0;
+  } else {
+    scrolled = (window.scrollY + window.innerHeight) / document.documentElement.scrollHeight * 100;
+  }
+
+  SCROLL_DEPTHS.forEach(depth => {
+    if (scrolled >= depth && !scrollDepthsSent.has(depth)) {
+      scrollDepthsSent.add(depth);
+      sendEvent({ type: 'scroll_depth', depth, viewId: currentArticle?.viewId });
+    }
+  });
+};
+
 const trackScrollDepth = () => {
-  const depths = [25, 50, 75, 100];
-  const tracked = new Set();
+  window.addEventListener('scroll', checkScrollDepth, { passive: true });
+};
 
-  const checkScrollDepth = () => {
-    const scrolled = (window.scrollY + window.innerHeight) / document.documentElement.scrollHeight * 100;
-    
-    depths.forEach(depth => {
-      if (scrolled >= depth && !tracked.has(depth)) {
-        tracked.add(depth);
-        
-        fetch(`${API_ENDPOINT}/track-event`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            type: 'scroll_depth',
-            depth,
-            page: window.location.pathname,
-            timestamp: new Date().toISOString(),
-          }),
-        }).catch(err => console.error('Scroll tracking failed:', err));
-      }
-    });
+// ============ ARTICLE ENGAGEMENT ============
+
+// Seconds without input after which a visible page stops counting as engaged
+const IDLE_AFTER = 30;
+const ENGAGEMENT_TICK = 5;
+const ACTIVITY_EVENTS = ['scroll', 'mousemove', 'keydown', 'touchstart', 'click'];
+
+const newViewId = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  const hex = Array.from(window.crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+/**
+ * Start tracking a view of a published article: a deduplicated view, read
+ * depth through the article body, engaged time and CTA clicks (see
+ * trackArticleCta). Call once the article body is rendered.
+ * @param {string} slug - Post slug
+ * @param {HTMLElement} element - The article body
+ * @returns {Function} Ends the view, sending the final engaged time
+ */
+export const startArticleView = (slug, element) => {
+  const view = {
+    viewId: newViewId(),
+    element,
+    engagedSeconds: 0,
+    reportedSeconds: 0,
+    lastActivity: Date.now(),
   };
+  currentArticle = view;
 
-  window.addEventListener('scroll', checkScrollDepth, { passive: true });
+  sendEvent({
+    type: 'article_view',
+    slug,
+    viewId: view.viewId,
+    visitorId: getAnonymousId(),
+    referrer: document.referrer || undefined,
+  });
+  checkScrollDepth(); // Short articles may already be read to the end
+
+  const reportEngagement = () => {
+    if (view.engagedSeconds > view.reportedSeconds) {
+      view.reportedSeconds = view.engagedSeconds;
+      sendEvent({ type: 'engaged_time', viewId: view.viewId, seconds: view.engagedSeconds }, { keepalive: true });
+    }
+  };
+  const onActivity = () => {
+    view.lastActivity = Date.now();
+  };
+  const onVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') reportEngagement();
+    else onActivity();
+  };
+
+  const timer = setInterval(() => {
+    if (document.visibilityState === 'visible' && Date.now() - view.lastActivity < IDLE_AFTER * 1000) {
+      view.engagedSeconds += ENGAGEMENT_TICK;
+    }
+  }, ENGAGEMENT_TICK * 1000);
+  ACTIVITY_EVENTS.forEach(name => window.addEventListener(name, onActivity, { passive: true }));
+  document.addEventListener('visibilitychange', onVisibilityChange);
+  window.addEventListener('pagehide', reportEngagement);
+
+  return () => {
+    reportEngagement();
+    clearInterval(timer);
+    ACTIVITY_EVENTS.forEach(name => window.removeEventListener(name, onActivity));
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    window.removeEventListener('pagehide', reportEngagement);
+    if (currentArticle === view) currentArticle = null;
+  };
+};
+
+/**
+ * Count a call-to-action click on the article being read
+ * @param {string} cta - Which CTA, e.g. 'article-footer:request-demo'
+ */
+export const trackArticleCta = (cta) => {
+  if (!currentArticle) return;
+  sendEvent({ type: 'cta_click', viewId: currentArticle.viewId, cta }, { keepalive: true });
+};
+
+/**
+ * Log the missing page being shown
+ * @returns {Promise<string|null>} where the path redirects to, if a redirect
+ *   rule covers it (the visitor got here through an in-app link)
+ */
+export const trackNotFound = async () => {
+  try {
+    const res = await fetch(`${API_ENDPOINT}/track-404`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        path: window.location.pathname,
+        referrer: document.referrer || undefined,
+      }),
+    });
+    const data = await res.json();
+    return data.redirect || null;
+  } catch (err) {
+    console.error('404 tracking failed:', err);
+    return null;
+  }
 };
 
 // Track JavaScript errors
@@ -151,8 +277,51 @@ const trackErrors = () => {
   });
 };
 
+const UTM_PARAMS = ['source', 'medium', 'campaign', 'term', 'content'];
+const ATTRIBUTION_KEY = 'fv_attribution';
+
+// Read utm_* parameters from the current URL
+const getUtmParams = () => {
+  const params = new URLSearchParams(window.location.search);
+  const utm = {};
+  UTM_PARAMS.forEach(name => {
+    const value = params.get(`utm_${name}`);
+    if (value) utm[name] = value.slice(0, 200);
+  });
+  return utm;
+};
+
+// Remember the first landing page, referrer and UTM tags of the session so
+// lead forms can still be attributed when visit tracking is blocked
+const rememberAttribution = (utm) => {
+  try {
+    if (sessionStorage.getItem(ATTRIBUTION_KEY)) return;
+    const attribution = {
+      landingPage: window.location.pathname,
+      referrer: document.referrer || undefined,
+    };
+    UTM_PARAMS.forEach(name => {
+      if (utm[name]) attribution[`utm_${name}`] = utm[name];
+    });
+    sessionStorage.setItem(ATTRIBUTION_KEY, JSON.stringify(attribution));
+  } catch (err) {
+    // Storage unavailable (private mode) - attribution falls back to visits
+  }
+};
+
+export const getSessionAttribution = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(ATTRIBUTION_KEY)) || {};
+  } catch (err) {
+    return {};
+  }
+};
+
 // Track geographic info (called once per session)
 export const trackVisit = async () => {
+  const utm = getUtmParams();
+  rememberAttribution(utm);
+
   try {
     const response = await fetch(`${API_ENDPOINT}/track-visit`, {
       method: 'POST',
@@ -160,6 +329,7 @@ export const trackVisit = async () => {
       body: JSON.stringify({
         page: window.location.pathname,
         referrer: document.referrer,
+        utm,
         userAgent: navigator.userAgent,
         screenResolution: `${window.screen.width}x${window.screen.height}`,
         viewport: `${window.innerWidth}x${window.innerHeight}`,
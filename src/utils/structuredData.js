@@ -0,0 +1,134 @@
+/**
+ * STRUCTURED DATA
+ * ===============
+ * schema.org JSON-LD for the public pages
+ *
+ * Two sources:
+ * 1. Markup built from stored data - products as SoftwareApplication, posts
+ *    as BlogPosting, local pages as LocalBusiness - comes from the server
+ *    (GET /api/structured-data?path=)
+ * 2. Fixed markup - the company as Organization and WebSite - and markup for
+ *    content a component holds - FAQs and breadcrumb trails - is built here,
+ *    so it is in the page as soon as it renders
+ *
+ * SEO scans check both against the same schema.org rules
+ * (backend/src/modules/seo/structured-data.service.js).
+ *
+ * Usage:
+ *   <StructuredData path="/modules" />
+ *   <StructuredData schemas={[organizationSchema, websiteSchema]} />
+ *   <StructuredData schemas={[faqPageSchema(faqs)]} />
+ *
+ * @module structuredData
+ */
+
+import { useEffect, useState } from 'react';
+
+export const SITE_URL = 'https://www.finaceverse.io';
+
+const ORGANIZATION_ID = `${SITE_URL}/#organization`;
+const LOGO_URL = `${SITE_URL}/logo.png`;
+
+/**
+ * The company; the server's markup points at it by ORGANIZATION_ID
+ */
+export const organizationSchema = {
+  '@context': 'https://schema.org',
+  '@type': 'Organization',
+  '@id': ORGANIZATION_ID,
+  name: 'FinACEverse',
+  legalName: 'FinACEverse Technologies',
+  description: 'Cognitive Operating System for Autonomous Enterprises - Transforming financial operations through AI-powered intelligence',
+  url: SITE_URL,
+  logo: { '@type': 'ImageObject', url: LOGO_URL, width: 512, height: 512 },
+  image: LOGO_URL,
+  foundingDate: '2024',
+  founder: { '@type': 'Person', name: 'Vithal Valluri', jobTitle: 'Founder & CEO' },
+  address: { '@type': 'PostalAddress', addressCountry: 'AU' },
+  sameAs: [
+    'https://www.linkedin.com/company/finaceverse',
+    'https://twitter.com/finaceverse',
+  ],
+  contactPoint: {
+    '@type': 'ContactPoint',
+    email: 'info@finacegroup.com',
+    contactType: 'Customer Service',
+    availableLanguage: ['English'],
+  },
+  areaServed: 'Worldwide',
+  knowsAbout: [
+    'Cognitive Finance',
+    'AI Accounting',
+    'Financial Automation',
+    'Tax Technology',
+    'Enterprise AI',
+    'Process Mining',
+  ],
+};
+
+export const websiteSchema = {
+  '@context': 'https://schema.org',
+  '@type': 'WebSite',
+  '@id': `${SITE_URL}/#website`,
+  name: 'FinACEverse',
+  url: SITE_URL,
+  description: 'Cognitive Operating System for Finance - Powering the Path to Autonomous Enterprises',
+  publisher: { '@id': ORGANIZATION_ID },
+  inLanguage: 'en-US',
+};
+
+/**
+ * FAQPage from [{ question, answer }]
+ */
+export const faqPageSchema = (faqs) => ({
+  '@context': 'https://schema.org',
+  '@type': 'FAQPage',
+  mainEntity: faqs.map((faq) => ({
+    '@type': 'Question',
+    name: faq.question,
+    acceptedAnswer: {
+      '@type': 'Answer',
+      text: faq.answer,
+    },
+  })),
+});
+
+/**
+ * BreadcrumbList from [{ name, path }], home page first
+ */
+export const breadcrumbListSchema = (items) => ({
+  '@context': 'https://schema.org',
+  '@type': 'BreadcrumbList',
+  itemListElement: items.map((item, index) => ({
+    '@type': 'ListItem',
+    position: index + 1,
+    name: item.name,
+    item: `${SITE_URL}${item.path}`,
+  })),
+});
+
+/**
+ * Server-built schemas for a page path; empty until loaded or if the API is down
+ */
+export const useServedSchemas = (path) => {
+  const [schemas, setSchemas] = useState([]);
+
+  useEffect(() => {
+    setSchemas([]);
+    if (!path) return undefined;
+
+    let active = true;
+    fetch(`/api/structured-data?${new URLSearchParams({ path })}`)
+      .then((res) => (res.ok ? res.json() : { schemas: [] }))
+      .then((data) => {
+        if (active) setSchemas(data.schemas || []);
+      })
+      .catch((err) => console.warn('Structured data unavailable:', err.message));
+
+    return () => {
+      active = false;
+    };
+  }, [path]);
+
+  return schemas;
+};
@@ -1,10 +1,139 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useHistory } from 'react-router-dom';
 import { LineChart, Line, BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { format, subDays } from 'date-fns';
 import io from 'socket.io-client';
 import './analytics-dashboard.css';
 
+const EMPTY_EXPERIMENT = {
+  name: '',
+  description: '',
+  variants: 'A, B',
+  trafficAllocation: 100,
+  targetLift: 20,
+  countries: '',
+  devices: [],
+  pages: ''
+};
+
+const DEVICE_OPTIONS = ['desktop', 'mobile', 'tablet'];
+
+const splitList = (value) => value.split(',').map(v => v.trim()).filter(v => v);
+
+// "control:70, b:30" → [{ name, weight }]; weights default to an even split
+const parseVariantInput = (value) => splitList(value).map(entry => {
+  const [name, weight] = entry.split(':').map(part => part.trim());
+  return weight === undefined ? { name, weight: 1 } : { name, weight: Number(weight) };
+});
+
+const describeTargeting = (targeting = {}) => {
+  const rules = [];
+  if (targeting.countries?.length) rules.push(`Countries: ${targeting.countries.join(', ')}`);
+  if (targeting.devices?.length) rules.push(`Devices: ${targeting.devices.join(', ')}`);
+  if (targeting.pages?.length) rules.push(`Pages: ${targeting.pages.join(', ')}`);
+  return rules.length ? rules.join(' · ') : 'All visitors';
+};
+
+const EMPTY_FLAG = {
+  key: '',
+  description: '',
+  rolloutPercentage: 100,
+  environments: ''
+};
+
+const flagStatus = (flag) => {
+  if (flag.kill_switch) return 'killed';
+  return flag.enabled ? 'active' : 'ended';
+};
+
+const FLAG_STATUS_LABELS = {
+  killed: 'killed',
+  active: 'on',
+  ended: 'off'
+};
+
+const VERDICT_LABELS = {
+  winner: 'Winner',
+  keep_running: 'Keep running',
+  inconclusive: 'Inconclusive'
+};
+
+const pct = (value, digits = 1) => `${(value * 100).toFixed(digits)}%`;
+
+const TOP_CONTENT_SORTS = {
+  unique_views: 'Unique views',
+  read_through: 'Read-through rate',
+  engaged: 'Engaged time',
+  cta_clicks: 'CTA clicks',
+};
+
+const formatPercent = (rate) => `${Math.round(rate * 100)}%`;
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+const ExperimentResults = ({ analysis }) => {
+  const { verdict, sampleSize, mde } = analysis;
+
+  return (
+    <div className="experiment-results">
+      <div className={`verdict-badge ${verdict.status}`}>
+        <strong>
+          {VERDICT_LABELS[verdict.status]}
+          {verdict.winner && `: ${verdict.winner}`}
+        </strong>
+        <span>{verdict.reason}</span>
+      </div>
+
+      <table className="experiment-results-table">
+        <thead>
+          <tr>
+            <th>Variant</th>
+            <th>Visitors</th>
+            <th>Conv.</th>
+            <th>Rate ({pct(1 - analysis.alpha, 0)} CI)</th>
+            <th>Lift vs {analysis.control}</th>
+            <th>P(beat)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {analysis.variants.map(variant => (
+            <tr key={variant.name} className={variant.vsControl?.significant ? 'significant' : ''}>
+              <td>{variant.name}{variant.isControl && ' (control)'}</td>
+              <td>{variant.visitors.toLocaleString()}</td>
+              <td>{variant.conversions.toLocaleString()}</td>
+              <td>
+                {pct(variant.rate, 2)}
+                <span className="experiment-ci"> [{pct(variant.ci[0])}–{pct(variant.ci[1])}]</span>
+              </td>
+              <td>
+                {variant.vsControl ? (
+                  <>
+                    {variant.vsControl.relativeLift === null ? '—' : `${variant.vsControl.relativeLift >= 0 ? '+' : ''}${pct(variant.vsControl.relativeLift)}`}
+                    <span className="experiment-ci"> p={variant.vsControl.pValue.toFixed(3)}</span>
+                  </>
+                ) : '—'}
+              </td>
+              <td>{variant.vsControl ? pct(variant.vsControl.probabilityToBeatControl) : '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="experiment-planning">
+        <span>
+          Planned sample: {sampleSize.perVariant ? `${sampleSize.perVariant.toLocaleString()} per variant (${pct(sampleSize.informationFraction, 0)} collected)` : 'needs control conversions'}
+        </span>
+        <span>Sized for a {pct(analysis.targetLift, 0)} lift{mde && ` · detectable now: ±${pct(mde.relative, 0)}`}</span>
+        <span>Sequential threshold: |z| ≥ {Number.isFinite(analysis.boundary) && analysis.boundary < 100 ? analysis.boundary.toFixed(2) : '∞'}</span>
+      </div>
+    </div>
+  );
+};
+
 const AnalyticsDashboard = () => {
   const [summary, setSummary] = useState(null);
   const [geography, setGeography] = useState(null);
@@ -15,7 +144,14 @@ const AnalyticsDashboard = () => {
   const [activeTab, setActiveTab] = useState('overview');
   const [realtimeVisits, setRealtimeVisits] = useState([]);
   const [experiments, setExperiments] = useState([]);
-  const [newExperiment, setNewExperiment] = useState({ name: '', description: '', variants: ['A', 'B'] });
+  const [experimentResults, setExperimentResults] = useState({});
+  const [newExperiment, setNewExperiment] = useState(EMPTY_EXPERIMENT);
+  const [flags, setFlags] = useState([]);
+  const [flagEnvironment, setFlagEnvironment] = useState('');
+  const [newFlag, setNewFlag] = useState(EMPTY_FLAG);
+  const [topContent, setTopContent] = useState(null);
+  const [contentDays, setContentDays] = useState(30);
+  const [contentSort, setContentSort] = useState('unique_views');
   const socketRef = useRef(null);
   const history = useHistory();
 
@@ -133,7 +269,7 @@ const AnalyticsDashboard = () => {
     history.push('/vault-e9232b8eefbaa45e');
   };
 
-  const fetchExperiments = async () => {
+  const fetchExperiments = useCallback(async () => {
     const token = localStorage.getItem('superadmin_token');
     const headers = {
       'Authorization': `Bearer ${token}`,
@@ -145,11 +281,23 @@ const AnalyticsDashboard = () => {
       if (res.ok) {
         const data = await res.json();
         setExperiments(data);
+
+        // Results and verdict per experiment
+        const details = await Promise.all(data.map(exp =>
+          fetch(`${API_URL}/api/experiments/${exp.id}`, { headers })
+            .then(r => (r.ok ? r.json() : null))
+            .catch(() => null)
+        ));
+        const results = {};
+        details.forEach(detail => {
+          if (detail?.analysis) results[detail.id] = detail.analysis;
+        });
+        setExperimentResults(results);
       }
     } catch (err) {
       console.error('Fetch experiments error:', err);
     }
-  };
+  }, [API_URL]);
 
   const createExperiment = async () => {
     const token = localStorage.getItem('superadmin_token');
@@ -162,12 +310,26 @@ const AnalyticsDashboard = () => {
       const res = await fetch(`${API_URL}/api/experiments`, {
         method: 'POST',
         headers,
-        body: JSON.stringify(newExperiment)
+        body: JSON.stringify({
+          name: newExperiment.name,
+          description: newExperiment.description,
+          variants: parseVariantInput(newExperiment.variants),
+          trafficAllocation: Number(newExperiment.trafficAllocation),
+          targetLift: Number(newExperiment.targetLift) / 100,
+          targeting: {
+            countries: splitList(newExperiment.countries),
+            devices: newExperiment.devices,
+            pages: splitList(newExperiment.pages)
+          }
+        })
       });
 
       if (res.ok) {
-        setNewExperiment({ name: '', description: '', variants: ['A', 'B'] });
+        setNewExperiment(EMPTY_EXPERIMENT);
         fetchExperiments();
+      } else {
+        const data = await res.json();
+        alert(data.details?.[0]?.message || data.error || 'Failed to create experiment');
       }
     } catch (err) {
       console.error('Create experiment error:', err);
@@ -195,12 +357,131 @@ const AnalyticsDashboard = () => {
     }
   };
 
+  const fetchFlags = useCallback(async () => {
+    const token = localStorage.getItem('superadmin_token');
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    };
+
+    try {
+      const res = await fetch(`${API_URL}/api/admin/flags`, { headers });
+      if (res.ok) {
+        const data = await res.json();
+        setFlags(data.flags);
+        setFlagEnvironment(data.environment);
+      }
+    } catch (err) {
+      console.error('Fetch flags error:', err);
+    }
+  }, [API_URL]);
+
+  const fetchTopContent = useCallback(async () => {
+    const token = localStorage.getItem('superadmin_token');
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    };
+
+    try {
+      const res = await fetch(`${API_URL}/api/analytics/top-content?days=${contentDays}&sort=${contentSort}`, { headers });
+      if (res.ok) {
+        setTopContent(await res.json());
+      }
+    } catch (err) {
+      console.error('Fetch top content error:', err);
+    }
+  }, [API_URL, contentDays, contentSort]);
+
+  const createFlag = async () => {
+    const token = localStorage.getItem('superadmin_token');
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    };
+
+    try {
+      const res = await fetch(`${API_URL}/api/admin/flags`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          key: newFlag.key,
+          description: newFlag.description,
+          rolloutPercentage: Number(newFlag.rolloutPercentage),
+          environments: splitList(newFlag.environments)
+        })
+      });
+
+      if (res.ok) {
+        setNewFlag(EMPTY_FLAG);
+        fetchFlags();
+      } else {
+        const data = await res.json();
+        alert(data.details?.[0]?.message || data.error || 'Failed to create flag');
+      }
+    } catch (err) {
+      console.error('Create flag error:', err);
+    }
+  };
+
+  // changes: PATCH body, or 'kill' / 'restore'
+  const updateFlag = async (id, changes) => {
+    const token = localStorage.getItem('superadmin_token');
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    };
+
+    try {
+      const res = typeof changes === 'string'
+        ? await fetch(`${API_URL}/api/admin/flags/${id}/${changes}`, { method: 'POST', headers })
+        : await fetch(`${API_URL}/api/admin/flags/${id}`, {
+          method: 'PATCH',
+          headers,
+          body: JSON.stringify(changes)
+        });
+
+      if (res.ok) {
+        fetchFlags();
+      } else {
+        const data = await res.json();
+        alert(data.details?.[0]?.message || data.error || 'Failed to update flag');
+      }
+    } catch (err) {
+      console.error('Update flag error:', err);
+    }
+  };
+
+  const deleteFlag = async (flag) => {
+    if (!window.confirm(`Delete flag "${flag.key}"? Code checking it will get its default.`)) return;
+    const token = localStorage.getItem('superadmin_token');
+
+    try {
+      const res = await fetch(`${API_URL}/api/admin/flags/${flag.id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (res.ok) {
+        fetchFlags();
+      }
+    } catch (err) {
+      console.error('Delete flag error:', err);
+    }
+  };
+
   // Load experiments when A/B Testing tab is active
   useEffect(() => {
     if (activeTab === 'abtesting') {
       fetchExperiments();
     }
-  }, [activeTab]);
+    if (activeTab === 'flags') {
+      fetchFlags();
+    }
+    if (activeTab === 'content') {
+      fetchTopContent();
+    }
+  }, [activeTab, fetchExperiments, fetchFlags, fetchTopContent]);
 
 
   if (loading) {
@@ -263,6 +544,18 @@ const AnalyticsDashboard = () => {
         >
           A/B Testing
         </button>
+        <button
+          className={activeTab === 'flags' ? 'tab-active' : ''}
+          onClick={() => setActiveTab('flags')}
+        >
+          Feature Flags
+        </button>
+        <button
+          className={activeTab === 'content' ? 'tab-active' : ''}
+          onClick={() => setActiveTab('content')}
+        >
+          Top Content
+        </button>
         <button
           className={activeTab === 'errors' ? 'tab-active' : ''}
           onClick={() => setActiveTab('errors')}
@@ -617,6 +910,94 @@ const AnalyticsDashboard = () => {
           </div>
         )}
 
+        {activeTab === 'content' && (
+          <div className="tab-panel">
+            <h2>📰 Top Content</h2>
+            <div className="content-filters">
+              <select value={contentDays} onChange={(e) => setContentDays(Number(e.target.value))}>
+                <option value={7}>Last 7 days</option>
+                <option value={30}>Last 30 days</option>
+                <option value={90}>Last 90 days</option>
+                <option value={365}>Last year</option>
+              </select>
+              <select value={contentSort} onChange={(e) => setContentSort(e.target.value)}>
+                {Object.entries(TOP_CONTENT_SORTS).map(([value, label]) => (
+                  <option key={value} value={value}>Sort by {label.toLowerCase()}</option>
+                ))}
+              </select>
+            </div>
+
+            {topContent && (
+              <div className="stats-grid">
+                <div className="stat-card">
+                  <div className="stat-icon">👀</div>
+                  <div className="stat-info">
+                    <div className="stat-label">Unique Article Views</div>
+                    <div className="stat-value">{topContent.totals.unique_views.toLocaleString()}</div>
+                    <div className="stat-sub">{topContent.totals.views.toLocaleString()} views in total</div>
+                  </div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-icon">📖</div>
+                  <div className="stat-info">
+                    <div className="stat-label">Read-through Rate</div>
+                    <div className="stat-value">{formatPercent(topContent.totals.read_through_rate)}</div>
+                    <div className="stat-sub">Reached the end of the article</div>
+                  </div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-icon">⏱️</div>
+                  <div className="stat-info">
+                    <div className="stat-label">Median Engaged Time</div>
+                    <div className="stat-value">{formatDuration(topContent.totals.median_engaged_seconds)}</div>
+                    <div className="stat-sub">Visible and in use</div>
+                  </div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-icon">🎯</div>
+                  <div className="stat-info">
+                    <div className="stat-label">CTA Clicks</div>
+                    <div className="stat-value">{topContent.totals.cta_clicks.toLocaleString()}</div>
+                    <div className="stat-sub">{formatPercent(topContent.totals.cta_click_rate)} of views</div>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {topContent?.posts.length === 0 ? (
+              <div className="no-experiments">No article views in this period.</div>
+            ) : topContent && (
+              <table className="experiment-results-table top-content-table">
+                <thead>
+                  <tr>
+                    <th>#</th>
+                    <th>Article</th>
+                    <th>Unique views</th>
+                    <th>Read-through</th>
+                    <th>Median engaged</th>
+                    <th>CTA clicks</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {topContent.posts.map((post, idx) => (
+                    <tr key={post.id}>
+                      <td>{idx + 1}</td>
+                      <td>
+                        <a href={`/blog/${post.slug}`} target="_blank" rel="noopener noreferrer">{post.title}</a>
+                        <div className="experiment-ci">{post.category}</div>
+                      </td>
+                      <td>{post.unique_views} <span className="experiment-ci">/ {post.views}</span></td>
+                      <td>{formatPercent(post.read_through_rate)}</td>
+                      <td>{formatDuration(post.median_engaged_seconds)}</td>
+                      <td>{post.cta_clicks} <span className="experiment-ci">({formatPercent(post.cta_click_rate)})</span></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+
         {activeTab === 'errors' && (
           <div className="tab-panel">
             <h2>JavaScript Errors</h2>
@@ -664,17 +1045,72 @@ const AnalyticsDashboard = () => {
                   onChange={(e) => setNewExperiment({...newExperiment, description: e.target.value})}
                 />
                 <div className="variants-input">
-                  <label>Variants (comma-separated):</label>
+                  <label>Variants (comma-separated, optional weights as name:weight):</label>
+                  <input
+                    type="text"
+                    placeholder="control:50, b:50"
+                    value={newExperiment.variants}
+                    onChange={(e) => setNewExperiment({...newExperiment, variants: e.target.value})}
+                  />
+                </div>
+                <div className="variants-input">
+                  <label>Traffic allocation (% of eligible visitors in the test):</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={newExperiment.trafficAllocation}
+                    onChange={(e) => setNewExperiment({...newExperiment, trafficAllocation: e.target.value})}
+                  />
+                </div>
+                <div className="variants-input">
+                  <label>Smallest lift worth detecting (% relative to control, sizes the test):</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="500"
+                    value={newExperiment.targetLift}
+                    onChange={(e) => setNewExperiment({...newExperiment, targetLift: e.target.value})}
+                  />
+                </div>
+                <div className="variants-input">
+                  <label>Target countries (codes or names, blank for all):</label>
+                  <input
+                    type="text"
+                    placeholder="US, GB, India"
+                    value={newExperiment.countries}
+                    onChange={(e) => setNewExperiment({...newExperiment, countries: e.target.value})}
+                  />
+                </div>
+                <div className="variants-input">
+                  <label>Target pages (blank for all, * for prefixes):</label>
                   <input
                     type="text"
-                    placeholder="A,B"
-                    value={newExperiment.variants.join(',')}
-                    onChange={(e) => setNewExperiment({
-                      ...newExperiment, 
-                      variants: e.target.value.split(',').map(v => v.trim()).filter(v => v)
-                    })}
+                    placeholder="/, /modules, /blog/*"
+                    value={newExperiment.pages}
+                    onChange={(e) => setNewExperiment({...newExperiment, pages: e.target.value})}
                   />
                 </div>
+                <div className="variants-input">
+                  <label>Target devices (none checked for all):</label>
+                  <div className="experiment-devices">
+                    {DEVICE_OPTIONS.map(device => (
+                      <label key={device}>
+                        <input
+                          type="checkbox"
+                          checked={newExperiment.devices.includes(device)}
+                          onChange={(e) => setNewExperiment({
+                            ...newExperiment,
+                            devices: e.target.checked
+                              ? [...newExperiment.devices, device]
+                              : newExperiment.devices.filter(d => d !== device)
+                          })}
+                        />
+                        {device}
+                      </label>
+                    ))}
+                  </div>
+                </div>
                 <button onClick={createExperiment} className="btn-create-experiment">
                   Create Experiment
                 </button>
@@ -694,8 +1130,16 @@ const AnalyticsDashboard = () => {
                     </div>
                     <p className="experiment-description">{exp.description}</p>
                     <div className="experiment-variants">
-                      <strong>Variants:</strong> {exp.variants.join(', ')}
+                      <strong>Variants:</strong>{' '}
+                      {exp.variants.map(v => {
+                        const total = exp.variants.reduce((sum, variant) => sum + variant.weight, 0);
+                        return `${v.name} (${Math.round((v.weight / total) * 100)}%)`;
+                      }).join(', ')}
                     </div>
+                    <div className="experiment-variants">
+                      <strong>Traffic:</strong> {exp.traffic_allocation}% · {describeTargeting(exp.targeting)}
+                    </div>
+                    {experimentResults[exp.id] && <ExperimentResults analysis={experimentResults[exp.id]} />}
                     <div className="experiment-meta">
                       <span>Created: {new Date(exp.created_at).toLocaleDateString()}</span>
                       {exp.ended_at && <span>Ended: {new Date(exp.ended_at).toLocaleDateString()}</span>}
@@ -714,6 +1158,117 @@ const AnalyticsDashboard = () => {
             </div>
           </div>
         )}
+
+        {activeTab === 'flags' && (
+          <div className="tab-panel">
+            <h2>🚩 Feature Flags</h2>
+            {flagEnvironment && (
+              <p className="flag-environment">This server evaluates flags for <strong>{flagEnvironment}</strong></p>
+            )}
+
+            {/* Create New Flag */}
+            <div className="experiment-create">
+              <h3>Create New Flag</h3>
+              <div className="experiment-form">
+                <input
+                  type="text"
+                  placeholder="Key, e.g. home.new-hero"
+                  value={newFlag.key}
+                  onChange={(e) => setNewFlag({...newFlag, key: e.target.value.toLowerCase()})}
+                />
+                <input
+                  type="text"
+                  placeholder="Description"
+                  value={newFlag.description}
+                  onChange={(e) => setNewFlag({...newFlag, description: e.target.value})}
+                />
+                <div className="variants-input">
+                  <label>Rollout (% of visitors once enabled):</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    value={newFlag.rolloutPercentage}
+                    onChange={(e) => setNewFlag({...newFlag, rolloutPercentage: e.target.value})}
+                  />
+                </div>
+                <div className="variants-input">
+                  <label>Environments (blank for all):</label>
+                  <input
+                    type="text"
+                    placeholder="production, staging"
+                    value={newFlag.environments}
+                    onChange={(e) => setNewFlag({...newFlag, environments: e.target.value})}
+                  />
+                </div>
+                <button onClick={createFlag} className="btn-create-experiment">
+                  Create Flag (starts off)
+                </button>
+              </div>
+            </div>
+
+            {/* Flags List */}
+            <div className="experiments-list">
+              {flags.length === 0 ? (
+                <div className="no-experiments">No feature flags yet.</div>
+              ) : (
+                flags.map((flag) => (
+                  <div key={flag.id} className={`experiment-card ${flagStatus(flag)}`}>
+                    <div className="experiment-header">
+                      <h4><code>{flag.key}</code></h4>
+                      <span className={`status-badge ${flagStatus(flag)}`}>{FLAG_STATUS_LABELS[flagStatus(flag)]}</span>
+                    </div>
+                    <p className="experiment-description">{flag.description}</p>
+                    <div className="experiment-variants">
+                      <strong>Environments:</strong> {flag.environments.length > 0 ? flag.environments.join(', ') : 'all'}
+                      {' · '}{describeTargeting(flag.targeting)}
+                    </div>
+                    <div className="variants-input">
+                      <label>Rollout: {flag.rollout_percentage}%</label>
+                      <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        step="5"
+                        defaultValue={flag.rollout_percentage}
+                        disabled={flag.kill_switch}
+                        onMouseUp={(e) => updateFlag(flag.id, { rolloutPercentage: Number(e.target.value) })}
+                        onKeyUp={(e) => updateFlag(flag.id, { rolloutPercentage: Number(e.target.value) })}
+                        onTouchEnd={(e) => updateFlag(flag.id, { rolloutPercentage: Number(e.target.value) })}
+                      />
+                    </div>
+                    <div className="experiment-meta">
+                      <span>Updated: {new Date(flag.updated_at).toLocaleString()}</span>
+                      {flag.killed_at && <span>Killed: {new Date(flag.killed_at).toLocaleString()}</span>}
+                    </div>
+                    <div className="flag-actions">
+                      {!flag.kill_switch && (
+                        <button
+                          onClick={() => updateFlag(flag.id, { enabled: !flag.enabled })}
+                          className="btn-create-experiment"
+                        >
+                          {flag.enabled ? 'Disable' : 'Enable'}
+                        </button>
+                      )}
+                      {flag.kill_switch ? (
+                        <button onClick={() => updateFlag(flag.id, 'restore')} className="btn-create-experiment">
+                          Restore
+                        </button>
+                      ) : (
+                        <button onClick={() => updateFlag(flag.id, 'kill')} className="btn-end-experiment">
+                          Kill Switch
+                        </button>
+                      )}
+                      <button onClick={() => deleteFlag(flag)} className="btn-delete-flag">
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
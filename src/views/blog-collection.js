@@ -0,0 +1,225 @@
+import React, { useState, useEffect } from 'react'
+import { Helmet } from 'react-helmet'
+import { useParams } from 'react-router-dom'
+import Navigation from '../components/navigation'
+import Footer from '../components/footer'
+import BlogPostCard from '../components/blog-post-card'
+import BlogAuthorCard, { authorUrl, personSchema } from '../components/blog-author-card'
+import NotFound from './not-found'
+import './blog.css'
+
+/**
+ * Author, tag and series pages: /blog/author/:slug, /blog/tag/:slug and
+ * /blog/series/:slug. Each is a schema.org CollectionPage listing the posts;
+ * author pages also describe the author as a Person.
+ */
+
+const SITE_URL = 'https://www.finaceverse.io'
+
+// Route segment -> API collection and what the page is about
+const COLLECTIONS = {
+  author: {
+    endpoint: 'authors',
+    name: (data) => data.author.name,
+    title: (data) => `Articles by ${data.author.name}`,
+    description: (data) => data.author.bio || `Articles on cognitive finance and AI automation by ${data.author.name}${data.author.role ? `, ${data.author.role}` : ''}.`,
+    image: (data) => data.author.avatar_url
+  },
+  tag: {
+    endpoint: 'tags',
+    name: (data) => data.tag.name,
+    title: (data) => `${data.tag.name} Articles`,
+    description: (data) => data.tag.description || `FinACEverse articles tagged ${data.tag.name}.`,
+    image: () => null
+  },
+  series: {
+    endpoint: 'series',
+    name: (data) => data.series.title,
+    title: (data) => data.series.title,
+    description: (data) => data.series.description || `A ${data.posts.length}-part series from the FinACEverse blog.`,
+    image: (data) => data.series.image_url
+  }
+}
+
+const BlogCollection = () => {
+  const { kind, slug } = useParams()
+  const collection = COLLECTIONS[kind]
+  const [data, setData] = useState(null)
+  const [status, setStatus] = useState('loading') // 'loading' | 'ready' | 'missing'
+
+  useEffect(() => {
+    let active = true
+    setStatus('loading')
+
+    const fetchCollection = async () => {
+      try {
+        const res = await fetch(`/api/blog/${collection.endpoint}/${encodeURIComponent(slug)}`)
+        if (!res.ok) {
+          if (res.status !== 404) console.warn(`Blog ${kind} request failed: HTTP ${res.status}`)
+          if (active) setStatus('missing')
+          return
+        }
+        const result = await res.json()
+        if (active) {
+          setData(result)
+          setStatus('ready')
+        }
+      } catch (err) {
+        console.warn(`Blog ${kind} unavailable:`, err.message)
+        if (active) setStatus('missing')
+      }
+    }
+    fetchCollection()
+
+    return () => {
+      active = false
+    }
+  }, [collection, kind, slug])
+
+  if (status === 'missing') {
+    return <NotFound />
+  }
+
+  if (status === 'loading' || !data) {
+    return (
+      <div className="blog-container">
+        <Navigation />
+        <div className="article-loading" role="status">Loading articles...</div>
+        <Footer />
+      </div>
+    )
+  }
+
+  const url = `${SITE_URL}/blog/${kind}/${slug}`
+  const name = collection.name(data)
+  const title = collection.title(data)
+  const description = collection.description(data)
+  const image = collection.image(data)
+  const { posts } = data
+
+  const collectionSchema = {
+    "@context": "https://schema.org",
+    "@type": "CollectionPage",
+    "@id": `${url}#page`,
+    "url": url,
+    "name": title,
+    "description": description,
+    "isPartOf": { "@id": `${SITE_URL}/blog#blog` },
+    ...(kind === 'author' && { "about": { "@id": `${authorUrl(data.author)}#person` } }),
+    ...(kind === 'tag' && { "about": { "@type": "Thing", "name": name } }),
+    ...(kind === 'series' && {
+      "about": {
+        "@type": "CreativeWorkSeries",
+        "name": name,
+        "description": description,
+        "url": url
+      }
+    }),
+    "mainEntity": {
+      "@type": "ItemList",
+      "numberOfItems": posts.length,
+      ...(kind === 'series' && { "itemListOrder": "https://schema.org/ItemListOrderAscending" }),
+      "itemListElement": posts.map((post, index) => ({
+        "@type": "ListItem",
+        "position": index + 1,
+        "url": `${SITE_URL}/blog/${post.slug}`,
+        "name": post.title
+      }))
+    }
+  }
+
+  const breadcrumbSchema = {
+    "@context": "https://schema.org",
+    "@type": "BreadcrumbList",
+    "itemListElement": [
+      { "@type": "ListItem", "position": 1, "name": "Home", "item": `${SITE_URL}/` },
+      { "@type": "ListItem", "position": 2, "name": "Blog", "item": `${SITE_URL}/blog` },
+      { "@type": "ListItem", "position": 3, "name": name, "item": url }
+    ]
+  }
+
+  const schemas = [collectionSchema, breadcrumbSchema]
+  if (kind === 'author') {
+    schemas.push({ "@context": "https://schema.org", ...personSchema(data.author) })
+  }
+
+  return (
+    <div className="blog-container">
+      <Helmet>
+        <title>{title} | FinACEverse Blog</title>
+        <meta name="description" content={description} />
+        <meta name="robots" content={posts.length > 0 ? 'index, follow' : 'noindex, follow'} />
+
+        {/* Open Graph */}
+        <meta property="og:type" content={kind === 'author' ? 'profile' : 'website'} />
+        <meta property="og:title" content={title} />
+        <meta property="og:description" content={description} />
+        <meta property="og:url" content={url} />
+        <meta property="og:site_name" content="FinACEverse" />
+        <meta property="og:image" content={image || `${SITE_URL}/logo.png`} />
+
+        {/* Twitter Card */}
+        <meta name="twitter:card" content="summary" />
+        <meta name="twitter:title" content={title} />
+        <meta name="twitter:description" content={description} />
+
+        <link rel="canonical" href={url} />
+
+        {/* Structured Data */}
+        {schemas.map((schema, index) => (
+          <script key={index} type="application/ld+json">
+            {JSON.stringify(schema)}
+          </script>
+        ))}
+      </Helmet>
+
+      <Navigation />
+
+      <section className="blog-hero blog-collection-hero">
+        <div className="container-wrapper">
+          <div className="blog-hero-content">
+            {kind === 'author' ? (
+              <BlogAuthorCard author={data.author} linkName={false} headingLevel={1} />
+            ) : (
+              <>
+                <span className="article-category">{kind === 'tag' ? 'Tag' : `Series · ${posts.length} parts`}</span>
+                <h1 className="hero-title">{name}</h1>
+                <p className="hero-subtitle">{description}</p>
+              </>
+            )}
+          </div>
+        </div>
+      </section>
+
+      <section className="blog-main">
+        <div className="container-wrapper">
+          {posts.length === 0 ? (
+            <div className="blog-empty-state">
+              <p>No published articles here yet. Check back soon!</p>
+            </div>
+          ) : (
+            <div className="blog-grid">
+              {posts.map((post, index) => (
+                <BlogPostCard
+                  key={post.id}
+                  post={post}
+                  label={kind === 'series' ? `Part ${index + 1}` : null}
+                />
+              ))}
+            </div>
+          )}
+
+          <div className="article-navigation">
+            <a href="/blog" className="back-to-blog">
+              ← Back to all articles
+            </a>
+          </div>
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  )
+}
+
+export default BlogCollection
@@ -1,6 +1,17 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useHistory } from 'react-router-dom';
 import { Helmet } from 'react-helmet';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import {
+  ReviewPanel,
+  ReviewQueue,
+  ReviewSubmitModal,
+  ReviewStateBadge,
+  fetchOpenReview,
+  submitForReview
+} from '../components/editorial-review';
+import SharePreviewModal from '../components/share-preview';
+import CommentModeration, { commentsRequest } from '../components/comment-moderation';
 import './blog-editor.css';
 
 // Slug generator
@@ -193,6 +204,819 @@ const AIContentModal = ({ isOpen, onClose, onApply, postData }) => {
   );
 };
 
+const FIELD_LABELS = {
+  title: 'Title',
+  slug: 'Slug',
+  excerpt: 'Excerpt',
+  category: 'Category',
+  author: 'Author',
+  image_url: 'Image URL',
+  meta_title: 'Meta Title',
+  meta_description: 'Meta Description',
+  meta_keywords: 'Keywords',
+  status: 'Status',
+  featured: 'Featured',
+  publish_at: 'Publish Date'
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString();
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local YYYY-MM-DD, used to bucket posts into calendar days
+const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// ISO timestamp <-> <input type="datetime-local"> value (local time)
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return `${dayKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const fromDateTimeInput = (value) => (value ? new Date(value).toISOString() : null);
+
+// Revision History Modal
+const RevisionHistoryModal = ({ isOpen, postId, onClose, onRestored }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchRevisions = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    setDiff(null);
+    try {
+      const token = localStorage.getItem('superadmin_token');
+      const res = await fetch(`/api/admin/blog/posts/${postId}/revisions`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.error || 'Failed to load revisions');
+      }
+      const data = await res.json();
+      setRevisions(data.revisions);
+      // Default to comparing the two latest saves
+      setToId(data.revisions[0]?.id || null);
+      setFromId(data.revisions[1]?.id || data.revisions[0]?.id || null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [postId]);
+
+  useEffect(() => {
+    if (isOpen && postId) {
+      fetchRevisions();
+    }
+  }, [isOpen, postId, fetchRevisions]);
+
+  const compare = async () => {
+    setComparing(true);
+    setError(null);
+    try {
+      const token = localStorage.getItem('superadmin_token');
+      const res = await fetch(`/api/admin/blog/posts/${postId}/revisions/compare?from=${fromId}&to=${toId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.error || 'Failed to compare revisions');
+      }
+      const data = await res.json();
+      setDiff(data.diff);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const restore = async (revision) => {
+    if (!window.confirm(`Restore revision #${revision.revision_number}? The current version stays in the history.`)) {
+      return;
+    }
+
+    try {
+      const token = localStorage.getItem('superadmin_token');
+      const res = await fetch(`/api/admin/blog/posts/${postId}/revisions/${revision.id}/restore`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.error || 'Failed to restore revision');
+      }
+      const data = await res.json();
+      onRestored(data.post);
+      await fetchRevisions();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="ai-modal-overlay" onClick={onClose}>
+      <div className="ai-modal history-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="ai-modal-header">
+          <h3>🕘 Revision History</h3>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="ai-modal-body">
+          {error && <div className="ai-error">❌ {error}</div>}
+
+          {loading ? (
+            <div className="loading">Loading revisions...</div>
+          ) : revisions.length === 0 ? (
+            <div className="empty-state">No revisions saved yet</div>
+          ) : (
+            <>
+              <table className="revisions-table">
+                <thead>
+                  <tr>
+                    <th title="Compare from">A</th>
+                    <th title="Compare to">B</th>
+                    <th>Revision</th>
+                    <th>Saved by</th>
+                    <th>Saved at</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {revisions.map((revision, index) => (
+                    <tr key={revision.id}>
+                      <td>
+                        <input
+                          type="radio"
+                          name="revision-from"
+                          checked={fromId === revision.id}
+                          onChange={() => setFromId(revision.id)}
+                        />
+                      </td>
+                      <td>
+                        <input
+                          type="radio"
+                          name="revision-to"
+                          checked={toId === revision.id}
+                          onChange={() => setToId(revision.id)}
+                        />
+                      </td>
+                      <td>
+                        <strong>#{revision.revision_number}</strong> {revision.title}
+                        {index === 0 && <span className="revision-tag">current</span>}
+                        {revision.restored_from && (
+                          <span className="revision-tag">restored #{revision.restored_from}</span>
+                        )}
+                      </td>
+                      <td>{revision.created_by || '—'}</td>
+                      <td>{formatDateTime(revision.created_at)}</td>
+                      <td>
+                        {index > 0 && (
+                          <button className="restore-btn" onClick={() => restore(revision)}>Restore</button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <button
+                className="generate-btn"
+                onClick={compare}
+                disabled={comparing || !fromId || !toId || fromId === toId}
+              >
+                {comparing ? '⏳ Comparing...' : 'Compare A → B'}
+              </button>
+            </>
+          )}
+
+          {diff && (
+            <div className="revision-diff">
+              <p className="diff-summary">
+                #{diff.from.revision_number} → #{diff.to.revision_number}:
+                {' '}<ins>+{diff.content.inserted}</ins> / <del>−{diff.content.deleted}</del> words in content
+              </p>
+
+              {diff.fields.map(field => (
+                <div key={field.field} className="diff-field">
+                  <label>{FIELD_LABELS[field.field] || field.field}</label>
+                  <div className="diff-text" dangerouslySetInnerHTML={{ __html: field.html }} />
+                </div>
+              ))}
+
+              <div className="diff-field">
+                <label>Content</label>
+                {diff.content.changed ? (
+                  <div className="diff-content" dangerouslySetInnerHTML={{ __html: diff.content.html }} />
+                ) : (
+                  <div className="diff-text">No content changes</div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ANALYTICS_PERIODS = [7, 30, 90, 365];
+
+const formatPercent = (rate) => `${Math.round(rate * 100)}%`;
+
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+// Per-post engagement: unique views, read-through, engaged time, CTA clicks
+const PostAnalyticsModal = ({ isOpen, postId, postTitle, onClose }) => {
+  const [days, setDays] = useState(30);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !postId) return;
+
+    let active = true;
+    const fetchAnalytics = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const token = localStorage.getItem('superadmin_token');
+        const res = await fetch(`/api/admin/blog/posts/${postId}/analytics?days=${days}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        if (!res.ok) {
+          const err = await res.json();
+          throw new Error(err.error || 'Failed to load analytics');
+        }
+        const data = await res.json();
+        if (active) setAnalytics(data.analytics);
+      } catch (err) {
+        if (active) setError(err.message);
+      } finally {
+        if (active) setLoading(false);
+      }
+    };
+    fetchAnalytics();
+
+    return () => {
+      active = false;
+    };
+  }, [isOpen, postId, days]);
+
+  if (!isOpen) return null;
+
+  const summary = analytics?.summary;
+
+  return (
+    <div className="ai-modal-overlay" onClick={onClose}>
+      <div className="ai-modal analytics-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="ai-modal-header">
+          <h3>📊 Analytics: {postTitle || 'Untitled post'}</h3>
+          <button className="close-btn" onClick={onClose}>×</button>
+        </div>
+
+        <div className="ai-modal-body">
+          <div className="analytics-period">
+            {ANALYTICS_PERIODS.map(period => (
+              <button
+                key={period}
+                className={`period-btn ${days === period ? 'active' : ''}`}
+                onClick={() => setDays(period)}
+              >
+                {period === 365 ? '1 year' : `${period} days`}
+              </button>
+            ))}
+          </div>
+
+          {error && <div className="ai-error">❌ {error}</div>}
+
+          {loading && !analytics ? (
+            <div className="loading">Loading analytics...</div>
+          ) : summary && summary.views === 0 ? (
+            <div className="empty-state">No views in this period</div>
+          ) : summary && (
+            <>
+              <div className="analytics-stats">
+                <div className="analytics-stat">
+                  <strong>{summary.unique_views}</strong>
+                  <span>Unique views</span>
+                  <small>{summary.views} views · {summary.visitors} visitors</small>
+                </div>
+                <div className="analytics-stat">
+                  <strong>{formatPercent(summary.read_through_rate)}</strong>
+                  <span>Read-through</span>
+                  <small>{summary.read_throughs} reached the end</small>
+                </div>
+                <div className="analytics-stat">
+                  <strong>{formatDuration(summary.median_engaged_seconds)}</strong>
+                  <span>Median engaged time</span>
+                </div>
+                <div className="analytics-stat">
+                  <strong>{summary.cta_clicks}</strong>
+                  <span>CTA clicks</span>
+                  <small>{formatPercent(summary.cta_click_rate)} of views clicked</small>
+                </div>
+              </div>
+
+              <h4>Daily</h4>
+              <ResponsiveContainer width="100%" height={220}>
+                <LineChart data={analytics.daily}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="rgba(255, 255, 255, 0.1)" />
+                  <XAxis dataKey="day" stroke="rgba(255, 255, 255, 0.5)" fontSize={11} />
+                  <YAxis allowDecimals={false} stroke="rgba(255, 255, 255, 0.5)" fontSize={11} />
+                  <Tooltip contentStyle={{ background: '#1a1a2e', border: '1px solid rgba(255, 255, 255, 0.15)' }} />
+                  <Legend />
+                  <Line type="monotone" dataKey="unique_views" name="Unique views" stroke="#00d4ff" dot={false} />
+                  <Line type="monotone" dataKey="read_throughs" name="Read-throughs" stroke="#10b981" dot={false} />
+                  <Line type="monotone" dataKey="cta_clicks" name="CTA clicks" stroke="#f59e0b" dot={false} />
+                </LineChart>
+              </ResponsiveContainer>
+
+              <div className="analytics-columns">
+                <div>
+                  <h4>Read depth</h4>
+                  {analytics.depth.map(step => (
+                    <div key={step.depth} className="depth-row">
+                      <span>{step.depth}%</span>
+                      <div className="depth-bar"><div style={{ width: formatPercent(step.rate) }} /></div>
+                      <span>{formatPercent(step.rate)}</span>
+                    </div>
+                  ))}
+                </div>
+                <div>
+                  <h4>CTA clicks</h4>
+                  {analytics.ctas.length === 0 ? (
+                    <div className="empty-state">No CTA clicks yet</div>
+                  ) : (
+                    <table className="revisions-table">
+                      <tbody>
+                        {analytics.ctas.map(row => (
+                          <tr key={row.cta}><td>{row.cta}</td><td>{row.clicks}</td></tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  <h4>Sources</h4>
+                  <table className="revisions-table">
+                    <tbody>
+                      {analytics.referrers.map(row => (
+                        <tr key={row.source}><td>{row.source}</td><td>{row.views}</td></tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Only posts that aren't live yet can be moved around
+const RESCHEDULABLE = ['draft', 'scheduled'];
+
+// Published posts sit on their publish day; drafts and scheduled posts on their planned one
+const calendarDate = (post) => {
+  if (post.status === 'published' || post.status === 'archived') {
+    return post.published_at ? new Date(post.published_at) : null;
+  }
+  return post.publish_at ? new Date(post.publish_at) : null;
+};
+
+// Editorial Calendar
+const EditorialCalendar = ({ posts, onOpen, onReschedule }) => {
+  const [month, setMonth] = useState(() => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  });
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const postsByDay = {};
+  const unplanned = [];
+  posts.forEach(post => {
+    const date = calendarDate(post);
+    if (date) {
+      const key = dayKey(date);
+      postsByDay[key] = [...(postsByDay[key] || []), post];
+    } else if (post.status === 'draft') {
+      unplanned.push(post);
+    }
+  });
+
+  // Six weeks, starting on the Sunday on or before the 1st
+  const days = Array.from({ length: 42 }, (_, i) => (
+    new Date(month.getFullYear(), month.getMonth(), 1 - month.getDay() + i)
+  ));
+  const todayKey = dayKey(new Date());
+
+  const shiftMonth = (delta) => {
+    setMonth(prev => new Date(prev.getFullYear(), prev.getMonth() + delta, 1));
+  };
+
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    setDropTarget(null);
+    const post = posts.find(p => String(p.id) === e.dataTransfer.getData('text/plain'));
+    if (post) {
+      onReschedule(post, day);
+    }
+  };
+
+  const renderPost = (post) => {
+    const movable = RESCHEDULABLE.includes(post.status);
+    const date = calendarDate(post);
+    return (
+      <div
+        key={post.id}
+        className={`calendar-post ${post.status} ${movable ? 'movable' : ''}`}
+        draggable={movable}
+        onDragStart={(e) => {
+          e.dataTransfer.setData('text/plain', String(post.id));
+          e.dataTransfer.effectAllowed = 'move';
+        }}
+        onClick={() => onOpen(post)}
+        title={`${post.title} (${post.status}${date ? `, ${formatDateTime(date)}` : ''})`}
+      >
+        {post.status === 'scheduled' && date && (
+          <span className="calendar-post-time">{pad(date.getHours())}:{pad(date.getMinutes())}</span>
+        )}
+        {post.title}
+      </div>
+    );
+  };
+
+  return (
+    <div className="editorial-calendar">
+      <div className="calendar-toolbar">
+        <button className="cancel-btn" onClick={() => shiftMonth(-1)}>←</button>
+        <h2>{month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })}</h2>
+        <button className="cancel-btn" onClick={() => shiftMonth(1)}>→</button>
+        <button
+          className="cancel-btn"
+          onClick={() => {
+            const now = new Date();
+            setMonth(new Date(now.getFullYear(), now.getMonth(), 1));
+          }}
+        >
+          Today
+        </button>
+        <div className="calendar-legend">
+          <span className="calendar-post draft">Draft</span>
+          <span className="calendar-post scheduled">Scheduled</span>
+          <span className="calendar-post published">Published</span>
+        </div>
+      </div>
+
+      <p className="calendar-hint">Drag drafts and scheduled posts to another day to reschedule them.</p>
+
+      <div className="calendar-grid">
+        {WEEKDAYS.map(day => (
+          <div key={day} className="calendar-weekday">{day}</div>
+        ))}
+        {days.map(day => {
+          const key = dayKey(day);
+          const classes = [
+            'calendar-day',
+            day.getMonth() !== month.getMonth() ? 'outside' : '',
+            key === todayKey ? 'today' : '',
+            key < todayKey ? 'past' : '',
+            dropTarget === key ? 'drop-target' : ''
+          ].filter(Boolean).join(' ');
+          return (
+            <div
+              key={key}
+              className={classes}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDropTarget(key);
+              }}
+              onDragLeave={() => setDropTarget(prev => (prev === key ? null : prev))}
+              onDrop={(e) => handleDrop(e, day)}
+            >
+              <span className="calendar-day-number">{day.getDate()}</span>
+              {(postsByDay[key] || []).map(renderPost)}
+            </div>
+          );
+        })}
+      </div>
+
+      {unplanned.length > 0 && (
+        <div className="calendar-unplanned">
+          <h3>Unplanned drafts</h3>
+          <p className="calendar-hint">Drop one on a day to plan it. It stays a draft until you schedule it.</p>
+          <div className="calendar-unplanned-list">
+            {unplanned.map(renderPost)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Authors, tags and series managed from the editor
+const TAXONOMY_TABS = {
+  authors: {
+    label: 'Authors',
+    endpoint: 'authors',
+    item: 'author',
+    titleField: 'name',
+    fields: [
+      { name: 'name', label: 'Name *' },
+      { name: 'slug', label: 'URL Slug', placeholder: 'generated from the name' },
+      { name: 'role', label: 'Role', placeholder: 'e.g. Head of Product' },
+      { name: 'email', label: 'Email', placeholder: 'private, receives comment notifications' },
+      { name: 'avatar_url', label: 'Avatar URL' },
+      { name: 'bio', label: 'Bio', multiline: true },
+      { name: 'linkedin', label: 'LinkedIn URL', social: true },
+      { name: 'twitter', label: 'X (Twitter) URL', social: true },
+      { name: 'github', label: 'GitHub URL', social: true },
+      { name: 'website', label: 'Website URL', social: true }
+    ]
+  },
+  tags: {
+    label: 'Tags',
+    endpoint: 'tags',
+    item: 'tag',
+    titleField: 'name',
+    fields: [
+      { name: 'name', label: 'Name *' },
+      { name: 'slug', label: 'URL Slug', placeholder: 'generated from the name' },
+      { name: 'description', label: 'Description', multiline: true }
+    ]
+  },
+  series: {
+    label: 'Series',
+    endpoint: 'series',
+    item: 'series',
+    titleField: 'title',
+    fields: [
+      { name: 'title', label: 'Title *' },
+      { name: 'slug', label: 'URL Slug', placeholder: 'generated from the title' },
+      { name: 'image_url', label: 'Image URL' },
+      { name: 'description', label: 'Description', multiline: true }
+    ]
+  }
+};
+
+const PUBLIC_COLLECTION_PATHS = { authors: 'author', tags: 'tag', series: 'series' };
+
+// Form values for an item (social links are flattened into their own fields)
+const toTaxonomyForm = (fields, item = {}) => Object.fromEntries(
+  fields.map(field => [field.name, (field.social ? item.social_links?.[field.name] : item[field.name]) || ''])
+);
+
+// Request body for the form: social links are sent as one object
+const fromTaxonomyForm = (fields, form) => fields.reduce((body, field) => {
+  if (field.social) {
+    body.social_links = { ...body.social_links, [field.name]: form[field.name].trim() };
+  } else {
+    body[field.name] = form[field.name].trim();
+  }
+  return body;
+}, {});
+
+// Series parts listed in reading order with up/down controls
+const SeriesOrder = ({ series, onSave }) => {
+  const [order, setOrder] = useState(series.posts || []);
+
+  useEffect(() => {
+    setOrder(series.posts || []);
+  }, [series]);
+
+  const move = (index, delta) => {
+    setOrder(prev => {
+      const next = [...prev];
+      [next[index], next[index + delta]] = [next[index + delta], next[index]];
+      return next;
+    });
+  };
+
+  const changed = order.some((post, index) => post.id !== series.posts[index].id);
+
+  if (order.length === 0) {
+    return <p className="taxonomy-hint">No posts in this series yet. Add posts from the post editor.</p>;
+  }
+
+  return (
+    <div className="series-order">
+      <ol>
+        {order.map((post, index) => (
+          <li key={post.id}>
+            <span className="post-title">{post.title}</span>
+            {post.status !== 'published' && <span className="revision-tag">{post.status}</span>}
+            <div className="post-item-actions">
+              <button onClick={() => move(index, -1)} disabled={index === 0} aria-label={`Move "${post.title}" up`}>↑</button>
+              <button onClick={() => move(index, 1)} disabled={index === order.length - 1} aria-label={`Move "${post.title}" down`}>↓</button>
+            </div>
+          </li>
+        ))}
+      </ol>
+      <button className="save-draft-btn" onClick={() => onSave(order.map(post => post.id))} disabled={!changed}>
+        Save order
+      </button>
+    </div>
+  );
+};
+
+// Authors & Tags Manager Component
+const TaxonomyManager = ({ authors, tags, series, onChanged }) => {
+  const [tab, setTab] = useState('authors');
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(() => toTaxonomyForm(TAXONOMY_TABS.authors.fields));
+  const [saving, setSaving] = useState(false);
+
+  const config = TAXONOMY_TABS[tab];
+  const items = { authors, tags, series }[tab];
+  const editingItem = items.find(item => item.id === editingId);
+
+  const resetTaxonomyForm = (nextTab = tab) => {
+    setEditingId(null);
+    setForm(toTaxonomyForm(TAXONOMY_TABS[nextTab].fields));
+  };
+
+  const switchTab = (nextTab) => {
+    setTab(nextTab);
+    resetTaxonomyForm(nextTab);
+  };
+
+  const editItem = (item) => {
+    setEditingId(item.id);
+    setForm(toTaxonomyForm(config.fields, item));
+  };
+
+  const request = async (path, method, body) => {
+    const token = localStorage.getItem('superadmin_token');
+    const res = await fetch(`/api/admin/blog/${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      ...(body && { body: JSON.stringify(body) })
+    });
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.details?.[0]?.message || err.error || 'Request failed');
+    }
+    return res.json();
+  };
+
+  const saveItem = async () => {
+    if (!form[config.titleField].trim()) {
+      alert(`${config.fields[0].label.replace(' *', '')} is required`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await request(
+        editingId ? `${config.endpoint}/${editingId}` : config.endpoint,
+        editingId ? 'PUT' : 'POST',
+        fromTaxonomyForm(config.fields, form)
+      );
+      resetTaxonomyForm();
+      await onChanged();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteItem = async (item) => {
+    const used = Number(item.post_count) > 0
+      ? ` It is used by ${item.post_count} post(s), which will keep their content but lose the link.`
+      : '';
+    if (!window.confirm(`Delete ${config.item} "${item[config.titleField]}"?${used}`)) {
+      return;
+    }
+
+    try {
+      await request(`${config.endpoint}/${item.id}`, 'DELETE');
+      if (editingId === item.id) resetTaxonomyForm();
+      await onChanged();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
+  const saveSeriesOrder = async (postIds) => {
+    try {
+      await request(`series/${editingId}/order`, 'PUT', { post_ids: postIds });
+      await onChanged();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
+  return (
+    <div className="taxonomy-manager">
+      <div className="editor-header">
+        <div className="panel-tabs">
+          {Object.entries(TAXONOMY_TABS).map(([key, { label }]) => (
+            <button key={key} className={tab === key ? 'active' : ''} onClick={() => switchTab(key)}>
+              {label} ({{ authors, tags, series }[key].length})
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="taxonomy-layout">
+        {items.length === 0 ? (
+          <div className="empty-state">
+            <p>No {config.label.toLowerCase()} yet</p>
+          </div>
+        ) : (
+          <ul className="posts-list taxonomy-list">
+            {items.map(item => (
+              <li
+                key={item.id}
+                className={`post-item ${editingId === item.id ? 'active' : ''}`}
+                onClick={() => editItem(item)}
+              >
+                <div className="post-item-header">
+                  <span className="post-title">{item[config.titleField]}</span>
+                </div>
+                <div className="post-item-meta">
+                  <span className="post-category">
+                    /blog/{PUBLIC_COLLECTION_PATHS[tab]}/{item.slug} · {item.published_count ?? item.posts?.length ?? 0} published
+                  </span>
+                </div>
+                <div className="post-item-actions">
+                  <button
+                    className="delete-btn"
+                    onClick={(e) => { e.stopPropagation(); deleteItem(item); }}
+                  >
+                    🗑️
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="editor-form taxonomy-form">
+          <h2>{editingItem ? `Edit ${config.item}` : `New ${config.item}`}</h2>
+          {config.fields.map(field => (
+            <div className="form-group" key={field.name}>
+              <label htmlFor={`taxonomy-${field.name}`}>{field.label}</label>
+              {field.multiline ? (
+                <textarea
+                  id={`taxonomy-${field.name}`}
+                  value={form[field.name]}
+                  onChange={(e) => setForm(prev => ({ ...prev, [field.name]: e.target.value }))}
+                  rows={4}
+                />
+              ) : (
+                <input
+                  id={`taxonomy-${field.name}`}
+                  type="text"
+                  value={form[field.name]}
+                  onChange={(e) => setForm(prev => ({ ...prev, [field.name]: e.target.value }))}
+                  placeholder={field.placeholder}
+                />
+              )}
+            </div>
+          ))}
+
+          {tab === 'series' && editingItem && (
+            <div className="form-group">
+              <label>Reading order</label>
+              <SeriesOrder series={editingItem} onSave={saveSeriesOrder} />
+            </div>
+          )}
+
+          <div className="form-actions">
+            {editingItem && (
+              <button className="cancel-btn" onClick={() => resetTaxonomyForm()}>Cancel Edit</button>
+            )}
+            <button className="publish-btn" onClick={saveItem} disabled={saving}>
+              {saving ? 'Saving...' : editingItem ? 'Save changes' : `Create ${config.item}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Main Blog Editor Component
 const BlogEditor = () => {
   const history = useHistory();
@@ -201,6 +1025,22 @@ const BlogEditor = () => {
   const [saving, setSaving] = useState(false);
   const [categories, setCategories] = useState([]);
   const [showAIModal, setShowAIModal] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [view, setView] = useState('posts'); // 'posts' | 'trash'
+  const [mainView, setMainView] = useState('editor'); // 'editor' | 'calendar' | 'taxonomy' | 'reviews' | 'comments'
+  const [trash, setTrash] = useState([]);
+  const [authors, setAuthors] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [series, setSeries] = useState([]);
+  
+  // Editorial review: the edited post's open review, and the queue's selection
+  const [openReview, setOpenReview] = useState(null);
+  const [proposalReviewId, setProposalReviewId] = useState(null); // review whose proposal is in the form
+  const [showSubmitReview, setShowSubmitReview] = useState(false);
+  const [showSharePreview, setShowSharePreview] = useState(false);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [selectedReview, setSelectedReview] = useState(null);
+  const [reviewsVersion, setReviewsVersion] = useState(0);
   
   // Editor state
   const [editingPost, setEditingPost] = useState(null);
@@ -211,12 +1051,17 @@ const BlogEditor = () => {
     content: '',
     category: 'Technology',
     author: 'FinACEverse Team',
+    author_id: '',
+    tags: '',
+    series_id: '',
+    series_position: '',
     image_url: '',
     meta_title: '',
     meta_description: '',
     meta_keywords: '',
     status: 'draft',
-    featured: false
+    featured: false,
+    publish_at: ''
   });
   
   // Auth check
@@ -246,6 +1091,22 @@ const BlogEditor = () => {
     }
   }, []);
   
+  // Fetch trashed posts
+  const fetchTrash = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('superadmin_token');
+      const res = await fetch('/api/admin/blog/trash', {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      if (res.ok) {
+        const data = await res.json();
+        setTrash(data.posts || []);
+      }
+    } catch (err) {
+      console.error('Failed to fetch trash:', err);
+    }
+  }, []);
+  
   // Fetch categories
   const fetchCategories = useCallback(async () => {
     try {
@@ -262,10 +1123,49 @@ const BlogEditor = () => {
     }
   }, []);
   
+  // Fetch author profiles, tags and series
+  const fetchTaxonomy = useCallback(async () => {
+    const token = localStorage.getItem('superadmin_token');
+    const load = async (path, setter) => {
+      try {
+        const res = await fetch(`/api/admin/blog/${path}`, {
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        if (res.ok) {
+          const data = await res.json();
+          setter(data[path] || []);
+        }
+      } catch (err) {
+        console.error(`Failed to fetch ${path}:`, err);
+      }
+    };
+    await Promise.all([
+      load('authors', setAuthors),
+      load('tags', setTags),
+      load('series', setSeries)
+    ]);
+  }, []);
+  
   useEffect(() => {
     fetchPosts();
+    fetchTrash();
     fetchCategories();
-  }, [fetchPosts, fetchCategories]);
+    fetchTaxonomy();
+  }, [fetchPosts, fetchTrash, fetchCategories, fetchTaxonomy]);
+  
+  // Open review of the post being edited
+  useEffect(() => {
+    let active = true;
+    setOpenReview(null);
+    if (editingPost) {
+      fetchOpenReview('blog_post', editingPost)
+        .then(review => active && setOpenReview(review))
+        .catch(err => console.error('Failed to fetch review:', err));
+    }
+    return () => {
+      active = false;
+    };
+  }, [editingPost, reviewsVersion]);
   
   // Form handlers
   const handleChange = (field, value) => {
@@ -286,8 +1186,16 @@ const BlogEditor = () => {
     });
   };
   
+  const postTags = formData.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  const unusedTags = tags.filter(tag => !postTags.some(name => name.toLowerCase() === tag.name.toLowerCase()));
+  
+  const addTag = (name) => {
+    handleChange('tags', [...postTags, name].join(', '));
+  };
+  
   const resetForm = () => {
     setEditingPost(null);
+    setProposalReviewId(null);
     setFormData({
       title: '',
       slug: '',
@@ -295,17 +1203,38 @@ const BlogEditor = () => {
       content: '',
       category: 'Technology',
       author: 'FinACEverse Team',
+      author_id: '',
+      tags: '',
+      series_id: '',
+      series_position: '',
       image_url: '',
       meta_title: '',
       meta_description: '',
       meta_keywords: '',
       status: 'draft',
-      featured: false
+      featured: false,
+      publish_at: ''
     });
   };
   
+  const editedPost = posts.find(post => post.id === editingPost);
+
+  // Comment threads are switched on per post, outside the saved form
+  const toggleComments = async () => {
+    try {
+      await commentsRequest(`/posts/${editingPost}/settings`, {
+        method: 'PUT',
+        body: { comments_enabled: !editedPost?.comments_enabled }
+      });
+      await fetchPosts();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
   const editPost = (post) => {
     setEditingPost(post.id);
+    setProposalReviewId(null);
     setFormData({
       title: post.title || '',
       slug: post.slug || '',
@@ -313,18 +1242,67 @@ const BlogEditor = () => {
       content: post.content || '',
       category: post.category || 'Technology',
       author: post.author || 'FinACEverse Team',
+      author_id: post.author_id || '',
+      tags: (post.tags || []).join(', '),
+      series_id: post.series_id || '',
+      series_position: post.series_position || '',
       image_url: post.image_url || '',
       meta_title: post.meta_title || '',
       meta_description: post.meta_description || '',
       meta_keywords: post.meta_keywords || '',
       status: post.status || 'draft',
-      featured: post.featured || false
+      featured: post.featured || false,
+      publish_at: toDateTimeInput(post.publish_at)
     });
+    setMainView('editor');
     // Scroll to editor
     document.querySelector('.editor-panel')?.scrollIntoView({ behavior: 'smooth' });
   };
   
-  const savePost = async () => {
+  // Published and scheduled posts change only through editorial review
+  const editingStatus = posts.find(post => post.id === editingPost)?.status;
+  const editingLive = editingStatus === 'published' || editingStatus === 'scheduled';
+  
+  // The form as the API takes it
+  const postBody = (status) => ({
+    ...formData,
+    status,
+    publish_at: fromDateTimeInput(formData.publish_at),
+    author_id: formData.author_id ? Number(formData.author_id) : null,
+    tags: postTags,
+    series_id: formData.series_id ? Number(formData.series_id) : null,
+    series_position: formData.series_id && formData.series_position ? Number(formData.series_position) : null
+  });
+  
+  // What goes live once approved: scheduled if the publish date is still ahead
+  const reviewPayload = () => postBody(
+    formData.publish_at && new Date(formData.publish_at) > new Date() ? 'scheduled' : 'published'
+  );
+  
+  const persistPost = async (status) => {
+    const token = localStorage.getItem('superadmin_token');
+    const url = editingPost 
+      ? `/api/admin/blog/posts/${editingPost}`
+      : '/api/admin/blog/posts';
+    
+    const res = await fetch(url, {
+      method: editingPost ? 'PUT' : 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify(postBody(status))
+    });
+    
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.details?.[0]?.message || err.error || 'Failed to save');
+    }
+    const data = await res.json();
+    return data.post;
+  };
+  
+  const savePost = async (status) => {
     if (!formData.title.trim()) {
       alert('Title is required');
       return;
@@ -332,26 +1310,8 @@ const BlogEditor = () => {
     
     setSaving(true);
     try {
-      const token = localStorage.getItem('superadmin_token');
-      const url = editingPost 
-        ? `/api/admin/blog/posts/${editingPost}`
-        : '/api/admin/blog/posts';
-      
-      const res = await fetch(url, {
-        method: editingPost ? 'PUT' : 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`
-        },
-        body: JSON.stringify(formData)
-      });
-      
-      if (!res.ok) {
-        const err = await res.json();
-        throw new Error(err.error || 'Failed to save');
-      }
-      
-      await fetchPosts();
+      await persistPost(status);
+      await Promise.all([fetchPosts(), fetchTaxonomy()]);
       resetForm();
       alert(editingPost ? 'Post updated!' : 'Post created!');
     } catch (err) {
@@ -362,7 +1322,7 @@ const BlogEditor = () => {
   };
   
   const deletePost = async (id, title) => {
-    if (!window.confirm(`Delete "${title}"? This cannot be undone.`)) {
+    if (!window.confirm(`Move "${title}" to the trash? You can restore it from there.`)) {
       return;
     }
     
@@ -377,7 +1337,7 @@ const BlogEditor = () => {
         throw new Error('Failed to delete');
       }
       
-      await fetchPosts();
+      await Promise.all([fetchPosts(), fetchTrash()]);
       if (editingPost === id) {
         resetForm();
       }
@@ -386,10 +1346,60 @@ const BlogEditor = () => {
     }
   };
   
+  const restoreFromTrash = async (post) => {
+    try {
+      const token = localStorage.getItem('superadmin_token');
+      const res = await fetch(`/api/admin/blog/trash/${post.id}/restore`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      
+      if (!res.ok) {
+        throw new Error('Failed to restore');
+      }
+      
+      const { post: restored } = await res.json();
+      await Promise.all([fetchPosts(), fetchTrash()]);
+      if (restored.status !== post.status) {
+        alert(`"${post.title}" was restored as a draft. Submit it for review to publish it again.`);
+      }
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+  
+  const purgePost = async (id, title) => {
+    if (!window.confirm(`Permanently delete "${title}" and its revision history? This cannot be undone.`)) {
+      return;
+    }
+    
+    try {
+      const token = localStorage.getItem('superadmin_token');
+      const res = await fetch(`/api/admin/blog/trash/${id}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      
+      if (!res.ok) {
+        throw new Error('Failed to delete');
+      }
+      
+      await fetchTrash();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+  
+  const handleRevisionRestored = (post) => {
+    editPost(post);
+    fetchPosts();
+  };
+  
+  // Scheduled posts were approved already, so they can go out early without another review
   const publishPost = async (id) => {
     try {
       const token = localStorage.getItem('superadmin_token');
-      await fetch(`/api/admin/blog/posts/${id}`, {
+      const res = await fetch(`/api/admin/blog/posts/${id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json',
@@ -397,12 +1407,111 @@ const BlogEditor = () => {
         },
         body: JSON.stringify({ status: 'published' })
       });
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.error || 'Failed to publish');
+      }
       await fetchPosts();
     } catch (err) {
       alert('Error: ' + err.message);
     }
   };
   
+  // Unpublished posts are saved as a draft first, so the review has a post to publish
+  const submitPostForReview = async ({ reviewerId, note }) => {
+    if (!formData.title.trim()) {
+      throw new Error('Title is required');
+    }
+    const postId = editingLive ? editingPost : (await persistPost('draft')).id;
+    const review = await submitForReview({
+      contentType: 'blog_post',
+      contentId: postId,
+      title: formData.title,
+      payload: reviewPayload(),
+      reviewerId,
+      note
+    });
+    setShowSubmitReview(false);
+    setEditingPost(postId);
+    setProposalReviewId(review.id);
+    setReviewsVersion(v => v + 1);
+    await fetchPosts();
+  };
+  
+  // Put a review's proposed version of the post into the form
+  const loadProposal = (review) => {
+    const { payload } = review;
+    setFormData(prev => ({
+      ...prev,
+      ...payload,
+      status: prev.status,
+      author_id: payload.author_id || '',
+      tags: (payload.tags || []).join(', '),
+      series_id: payload.series_id || '',
+      series_position: payload.series_position || '',
+      publish_at: toDateTimeInput(payload.publish_at)
+    }));
+    setProposalReviewId(review.id);
+  };
+  
+  const openReviewInEditor = (review) => {
+    const post = posts.find(p => p.id === review.content_id);
+    if (!post) {
+      alert('That post is no longer in the list (it may be in the trash)');
+      return;
+    }
+    editPost(post);
+    loadProposal(review);
+  };
+  
+  const handleReviewChanged = () => {
+    setReviewsVersion(v => v + 1);
+    fetchPosts();
+  };
+  
+  // Calendar drag & drop: move a post to another day, keeping its planned time (9:00 if none)
+  const reschedulePost = async (post, day) => {
+    const planned = post.publish_at ? new Date(post.publish_at) : null;
+    const publishAt = new Date(
+      day.getFullYear(), day.getMonth(), day.getDate(),
+      planned ? planned.getHours() : 9,
+      planned ? planned.getMinutes() : 0
+    );
+    
+    if (post.status === 'scheduled' && publishAt <= new Date()) {
+      alert('Scheduled posts can only be moved to a future date');
+      return;
+    }
+    
+    // Move it right away; the refetch below settles the real state
+    setPosts(prev => prev.map(p => (p.id === post.id ? { ...p, publish_at: publishAt.toISOString() } : p)));
+    
+    try {
+      const token = localStorage.getItem('superadmin_token');
+      const res = await fetch(`/api/admin/blog/posts/${post.id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify({ publish_at: publishAt.toISOString() })
+      });
+      
+      if (!res.ok) {
+        const err = await res.json();
+        throw new Error(err.details?.[0]?.message || err.error || 'Failed to reschedule');
+      }
+      
+      if (editingPost === post.id) {
+        setFormData(prev => ({ ...prev, publish_at: toDateTimeInput(publishAt) }));
+      }
+    } catch (err) {
+      alert('Error: ' + err.message);
+    } finally {
+      await fetchPosts();
+    }
+  };
+  
   // AI content handler
   const handleAIApply = (content, type) => {
     if (type === 'title') {
@@ -437,6 +1546,7 @@ const BlogEditor = () => {
   const getStatusBadge = (status) => {
     const badges = {
       draft: { label: 'Draft', color: '#6b7280' },
+      scheduled: { label: 'Scheduled', color: '#3b82f6' },
       published: { label: 'Published', color: '#10b981' },
       archived: { label: 'Archived', color: '#f59e0b' }
     };
@@ -465,6 +1575,18 @@ const BlogEditor = () => {
           <h1>📝 Blog Editor</h1>
         </div>
         <div className="header-right">
+          <button className="logout-btn" onClick={() => setMainView(mainView === 'calendar' ? 'editor' : 'calendar')}>
+            {mainView === 'calendar' ? '📝 Editor' : '📅 Calendar'}
+          </button>
+          <button className="logout-btn" onClick={() => setMainView(mainView === 'taxonomy' ? 'editor' : 'taxonomy')}>
+            {mainView === 'taxonomy' ? '📝 Editor' : '🏷️ Authors & Tags'}
+          </button>
+          <button className="logout-btn" onClick={() => setMainView(mainView === 'reviews' ? 'editor' : 'reviews')}>
+            {mainView === 'reviews' ? '📝 Editor' : '📋 Reviews'}
+          </button>
+          <button className="logout-btn" onClick={() => setMainView(mainView === 'comments' ? 'editor' : 'comments')}>
+            {mainView === 'comments' ? '📝 Editor' : '💬 Comments'}
+          </button>
           <button className="ai-btn" onClick={() => setShowAIModal(true)}>✨ AI Generate</button>
           <button className="logout-btn" onClick={handleLogout}>Logout</button>
         </div>
@@ -474,11 +1596,46 @@ const BlogEditor = () => {
         {/* Posts List */}
         <aside className="posts-panel">
           <div className="panel-header">
-            <h2>All Posts ({posts.length})</h2>
+            <div className="panel-tabs">
+              <button className={view === 'posts' ? 'active' : ''} onClick={() => setView('posts')}>
+                All Posts ({posts.length})
+              </button>
+              <button className={view === 'trash' ? 'active' : ''} onClick={() => setView('trash')}>
+                🗑️ Trash ({trash.length})
+              </button>
+            </div>
             <button className="new-post-btn" onClick={resetForm}>+ New Post</button>
           </div>
           
-          {loading ? (
+          {view === 'trash' ? (
+            trash.length === 0 ? (
+              <div className="empty-state">
+                <p>Trash is empty</p>
+              </div>
+            ) : (
+              <ul className="posts-list">
+                {trash.map(post => (
+                  <li key={post.id} className="post-item trashed">
+                    <div className="post-item-header">
+                      <span className="post-title">{post.title}</span>
+                    </div>
+                    <div className="post-item-meta">
+                      {getStatusBadge(post.status)}
+                      <span className="post-category">
+                        Deleted {formatDateTime(post.deleted_at)}{post.deleted_by ? ` by ${post.deleted_by}` : ''}
+                      </span>
+                    </div>
+                    <div className="post-item-actions">
+                      <button onClick={() => restoreFromTrash(post)}>Restore</button>
+                      <button className="delete-btn" onClick={() => purgePost(post.id, post.title)}>
+                        Delete forever
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )
+          ) : loading ? (
             <div className="loading">Loading posts...</div>
           ) : posts.length === 0 ? (
             <div className="empty-state">
@@ -499,12 +1656,19 @@ const BlogEditor = () => {
                   </div>
                   <div className="post-item-meta">
                     {getStatusBadge(post.status)}
-                    <span className="post-category">{post.category}</span>
+                    <span className="post-category">
+                      {post.status === 'scheduled' ? `📅 ${formatDateTime(post.publish_at)}` : post.category}
+                    </span>
                   </div>
                   <div className="post-item-actions">
-                    {post.status === 'draft' && (
+                    {post.status === 'scheduled' && (
                       <button onClick={(e) => { e.stopPropagation(); publishPost(post.id); }}>
-                        Publish
+                        Publish now
+                      </button>
+                    )}
+                    {post.status === 'draft' && (
+                      <button onClick={(e) => { e.stopPropagation(); editPost(post); setShowSubmitReview(true); }}>
+                        Submit for review
                       </button>
                     )}
                     <button 
@@ -520,15 +1684,89 @@ const BlogEditor = () => {
           )}
         </aside>
         
-        {/* Editor Panel */}
+        {mainView === 'calendar' ? (
+          <main className="editor-panel calendar-panel">
+            <EditorialCalendar posts={posts} onOpen={editPost} onReschedule={reschedulePost} />
+          </main>
+        ) : mainView === 'reviews' ? (
+          <main className="editor-panel">
+            <div className="reviews-layout">
+              <ReviewQueue
+                selectedId={selectedReview?.id}
+                onOpen={setSelectedReview}
+                refreshKey={reviewsVersion}
+              />
+              {selectedReview ? (
+                <ReviewPanel
+                  key={selectedReview.id}
+                  reviewId={selectedReview.id}
+                  fieldLabels={FIELD_LABELS}
+                  onLoadPayload={selectedReview.content_type === 'blog_post' ? openReviewInEditor : null}
+                  onChanged={handleReviewChanged}
+                />
+              ) : (
+                <div className="empty-state">Pick a review to see its changes and approval trail</div>
+              )}
+            </div>
+          </main>
+        ) : mainView === 'comments' ? (
+          <main className="editor-panel">
+            <CommentModeration />
+          </main>
+        ) : mainView === 'taxonomy' ? (
+          <main className="editor-panel">
+            <TaxonomyManager
+              authors={authors}
+              tags={tags}
+              series={series}
+              onChanged={() => Promise.all([fetchTaxonomy(), fetchPosts()])}
+            />
+          </main>
+        ) : (
+        /* Editor Panel */
         <main className="editor-panel">
           <div className="editor-header">
-            <h2>{editingPost ? 'Edit Post' : 'Create New Post'}</h2>
+            <h2>
+              {editingPost ? 'Edit Post' : 'Create New Post'}
+              {openReview && <> <ReviewStateBadge state={openReview.state} /></>}
+            </h2>
             {editingPost && (
-              <button className="cancel-btn" onClick={resetForm}>Cancel Edit</button>
+              <div className="editor-header-actions">
+                <button
+                  className="cancel-btn"
+                  onClick={toggleComments}
+                  title="Readers can comment and ask questions on the published article"
+                >
+                  💬 Comments {editedPost?.comments_enabled ? 'on' : 'off'}
+                </button>
+                <button className="cancel-btn" onClick={() => setShowAnalytics(true)}>📊 Analytics</button>
+                <button className="cancel-btn" onClick={() => setShowSharePreview(true)}>🔗 Share preview</button>
+                <button className="cancel-btn" onClick={() => setShowHistory(true)}>🕘 History</button>
+                <button className="cancel-btn" onClick={resetForm}>Cancel Edit</button>
+              </div>
             )}
           </div>
           
+          {openReview && (
+            <div className="post-review">
+              {proposalReviewId !== openReview.id && (
+                <p className="review-hint">
+                  The form shows the saved post. Open the proposal in the editor to revise what is under review.
+                </p>
+              )}
+              <ReviewPanel
+                key={openReview.id}
+                reviewId={openReview.id}
+                fieldLabels={FIELD_LABELS}
+                getRevision={proposalReviewId === openReview.id
+                  ? () => ({ title: formData.title, payload: reviewPayload() })
+                  : null}
+                onLoadPayload={loadProposal}
+                onChanged={handleReviewChanged}
+              />
+            </div>
+          )}
+          
           <div className="editor-form">
             {/* Title */}
             <div className="form-group">
@@ -571,13 +1809,71 @@ const BlogEditor = () => {
               
               <div className="form-group">
                 <label>Author</label>
-                <input
-                  type="text"
-                  value={formData.author}
-                  onChange={(e) => handleChange('author', e.target.value)}
-                  placeholder="Author name"
-                />
+                <select
+                  value={formData.author_id}
+                  onChange={(e) => handleChange('author_id', e.target.value)}
+                >
+                  <option value="">— Byline only —</option>
+                  {authors.map(author => (
+                    <option key={author.id} value={author.id}>{author.name}</option>
+                  ))}
+                </select>
+                {!formData.author_id && (
+                  <input
+                    type="text"
+                    value={formData.author}
+                    onChange={(e) => handleChange('author', e.target.value)}
+                    placeholder="Author name"
+                  />
+                )}
+              </div>
+            </div>
+            
+            {/* Tags */}
+            <div className="form-group">
+              <label>Tags (comma-separated)</label>
+              <input
+                type="text"
+                value={formData.tags}
+                onChange={(e) => handleChange('tags', e.target.value)}
+                placeholder="AI, Automation, Tax"
+              />
+              {unusedTags.length > 0 && (
+                <div className="tag-suggestions">
+                  {unusedTags.slice(0, 12).map(tag => (
+                    <button key={tag.id} type="button" onClick={() => addTag(tag.name)}>+ {tag.name}</button>
+                  ))}
+                </div>
+              )}
+            </div>
+            
+            {/* Series */}
+            <div className="form-row">
+              <div className="form-group">
+                <label>Series</label>
+                <select
+                  value={formData.series_id}
+                  onChange={(e) => handleChange('series_id', e.target.value)}
+                >
+                  <option value="">— Not part of a series —</option>
+                  {series.map(item => (
+                    <option key={item.id} value={item.id}>{item.title}</option>
+                  ))}
+                </select>
               </div>
+              
+              {formData.series_id && (
+                <div className="form-group">
+                  <label>Part #</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={formData.series_position}
+                    onChange={(e) => handleChange('series_position', e.target.value)}
+                    placeholder="Next part"
+                  />
+                </div>
+              )}
             </div>
             
             {/* Excerpt */}
@@ -665,11 +1961,23 @@ const BlogEditor = () => {
                   onChange={(e) => handleChange('status', e.target.value)}
                 >
                   <option value="draft">Draft</option>
+                  <option value="scheduled">Scheduled</option>
                   <option value="published">Published</option>
                   <option value="archived">Archived</option>
                 </select>
               </div>
               
+              {(formData.status === 'draft' || formData.status === 'scheduled') && (
+                <div className="form-group">
+                  <label>{formData.status === 'scheduled' ? 'Publish At *' : 'Planned Date'}</label>
+                  <input
+                    type="datetime-local"
+                    value={formData.publish_at}
+                    onChange={(e) => handleChange('publish_at', e.target.value)}
+                  />
+                </div>
+              )}
+              
               <div className="form-group checkbox-group">
                 <label>
                   <input
@@ -684,15 +1992,21 @@ const BlogEditor = () => {
             
             {/* Actions */}
             <div className="form-actions">
-              <button className="save-draft-btn" onClick={() => { formData.status = 'draft'; savePost(); }}>
-                Save Draft
-              </button>
-              <button className="publish-btn" onClick={() => { formData.status = 'published'; savePost(); }} disabled={saving}>
-                {saving ? 'Saving...' : (editingPost ? 'Update & Publish' : 'Publish Post')}
+              <button className="save-draft-btn" onClick={() => savePost('draft')} disabled={saving}>
+                {editingLive ? 'Unpublish & Save Draft' : 'Save Draft'}
               </button>
+              {!openReview && (
+                <button className="publish-btn" onClick={() => setShowSubmitReview(true)} disabled={saving}>
+                  {editingLive ? '📤 Submit Changes for Review' : '📤 Submit for Review'}
+                  {formData.publish_at && new Date(formData.publish_at) > new Date() && (
+                    <> · 📅 {formatDateTime(formData.publish_at)}</>
+                  )}
+                </button>
+              )}
             </div>
           </div>
         </main>
+        )}
       </div>
       
       {/* AI Modal */}
@@ -702,6 +2016,42 @@ const BlogEditor = () => {
         onApply={handleAIApply}
         postData={formData}
       />
+      
+      {/* Submit for editorial review */}
+      <ReviewSubmitModal
+        isOpen={showSubmitReview}
+        heading={editingLive ? 'Submit changes for review' : 'Submit for review'}
+        description={formData.publish_at && new Date(formData.publish_at) > new Date()
+          ? `Once approved, the post is scheduled for ${formatDateTime(formData.publish_at)}.`
+          : 'Once approved, the post can be published right away.'}
+        onClose={() => setShowSubmitReview(false)}
+        onSubmit={submitPostForReview}
+      />
+      
+      {/* Share preview links */}
+      <SharePreviewModal
+        isOpen={showSharePreview && !!editingPost}
+        contentType="blog_post"
+        contentId={editingPost}
+        heading={`Share preview: ${formData.title || 'Untitled post'}`}
+        onClose={() => setShowSharePreview(false)}
+      />
+      
+      {/* Per-post engagement analytics */}
+      <PostAnalyticsModal
+        isOpen={showAnalytics && !!editingPost}
+        postId={editingPost}
+        postTitle={formData.title}
+        onClose={() => setShowAnalytics(false)}
+      />
+      
+      {/* Revision History Modal */}
+      <RevisionHistoryModal
+        isOpen={showHistory}
+        postId={editingPost}
+        onClose={() => setShowHistory(false)}
+        onRestored={handleRevisionRestored}
+      />
     </div>
   );
 };
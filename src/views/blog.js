@@ -3,6 +3,7 @@ import { Helmet } from 'react-helmet'
 import Navigation from '../components/navigation'
 import Footer from '../components/footer'
 import Breadcrumb from '../components/breadcrumb'
+import BlogPostCard from '../components/blog-post-card'
 import './blog.css'
 
 // Default/fallback posts (used if API fails or during initial load)
@@ -49,15 +50,11 @@ const defaultPosts = [
   }
 ]
 
-// Format date for display
-const formatDate = (dateStr) => {
-  if (!dateStr) return ''
-  const date = new Date(dateStr)
-  return date.toLocaleDateString('en-US', { 
-    year: 'numeric', 
-    month: 'long', 
-    day: 'numeric' 
-  })
+// Messages for the ?newsletter= redirect from the double opt-in confirm link
+const NEWSLETTER_NOTICES = {
+  confirmed: { type: 'success', text: 'Your subscription is confirmed. Welcome to Cognitive Insights!' },
+  invalid: { type: 'error', text: 'That confirmation link is invalid or has expired. Please subscribe again.' },
+  error: { type: 'error', text: 'We could not confirm your subscription. Please try again later.' }
 }
 
 const Blog = () => {
@@ -65,6 +62,12 @@ const Blog = () => {
   const [blogPosts, setBlogPosts] = useState(defaultPosts)
   const [categories, setCategories] = useState(['all', 'Technology', 'Industry Insights', 'Case Studies', 'Compliance'])
   const [loading, setLoading] = useState(true)
+  const [newsletterNotice, setNewsletterNotice] = useState(null)
+  
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search)
+    setNewsletterNotice(NEWSLETTER_NOTICES[params.get('newsletter')] || null)
+  }, [])
   
   // Fetch posts from API
   useEffect(() => {
@@ -118,7 +121,8 @@ const Blog = () => {
       "datePublished": post.published_at || post.date,
       "author": {
         "@type": "Person",
-        "name": post.author
+        "name": post.author,
+        ...(post.author_slug && { "url": `https://www.finaceverse.io/blog/author/${post.author_slug}` })
       },
       "image": post.image_url || post.image,
       "url": `https://www.finaceverse.io/blog/${post.slug}`,
@@ -171,6 +175,11 @@ const Blog = () => {
             <p className="hero-subtitle">
               Explore the future of financial operations, cognitive AI, and the evolution of the accounting profession.
             </p>
+            {newsletterNotice && (
+              <div className={`newsletter-notice newsletter-notice-${newsletterNotice.type}`} role="status">
+                {newsletterNotice.text}
+              </div>
+            )}
           </div>
         </div>
       </section>
@@ -196,27 +205,7 @@ const Blog = () => {
                 <p>Loading posts...</p>
               </div>
             ) : filteredPosts.map(post => (
-              <article key={post.id} className="blog-card">
-                <div className="blog-card-image">
-                  <img src={post.image_url || post.image} alt={post.title} loading="lazy" />
-                  <span className="blog-category-badge">{post.category}</span>
-                  {post.featured && <span className="blog-featured-badge">⭐ Featured</span>}
-                </div>
-                <div className="blog-card-content">
-                  <div className="blog-meta">
-                    <span className="blog-date">{formatDate(post.published_at) || post.date}</span>
-                    <span className="blog-author">By {post.author}</span>
-                  </div>
-                  <h3 className="blog-card-title">{post.title}</h3>
-                  <p className="blog-excerpt">{post.excerpt}</p>
-                  <a href={`/blog/${post.slug}`} className="blog-read-more">
-                    Read Article
-                    <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24">
-                      <path fill="none" stroke="currentColor" strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 12h14m-7-7l7 7l-7 7"/>
-                    </svg>
-                  </a>
-                </div>
-              </article>
+              <BlogPostCard key={post.id} post={post} />
             ))}
           </div>
           
@@ -242,13 +231,13 @@ const Blog = () => {
                     const response = await fetch('/api/mailgun', {
                       method: 'POST',
                       headers: { 'Content-Type': 'application/json' },
-                      body: JSON.stringify({ action: 'subscribe', email })
+                      body: JSON.stringify({ action: 'subscribe', email, source: 'blog' })
                     });
                     
                     const result = await response.json();
                     
                     if (result.success) {
-                      alert('Successfully subscribed to our newsletter!');
+                      alert(result.message || 'Please check your inbox to confirm your subscription.');
                       e.target.reset();
                     } else {
                       alert(result.message || 'Subscription failed. Please try again.');
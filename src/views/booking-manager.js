@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useHistory } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import './booking-manager.css';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MEETING_LABELS = {
+  demo: 'Demo',
+  consultation: 'Consultation'
+};
+
+const EMPTY_BLACKOUT = {
+  startDate: '',
+  endDate: '',
+  reason: ''
+};
+
+const authHeaders = (extra = {}) => ({
+  'Authorization': `Bearer ${localStorage.getItem('superadmin_token')}`,
+  ...extra
+});
+
+// Postgres TIME comes back as HH:MM:SS
+const toRules = (rows) => rows.map(rule => ({
+  weekday: rule.weekday,
+  start_time: rule.start_time.slice(0, 5),
+  end_time: rule.end_time.slice(0, 5)
+}));
+
+const formatWhen = (value, timeZone) => new Date(value).toLocaleString('en-US', {
+  timeZone,
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short'
+});
+
+const BookingManager = () => {
+  const history = useHistory();
+  const [bookings, setBookings] = useState([]);
+  const [showPast, setShowPast] = useState(false);
+  const [settings, setSettings] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [blackouts, setBlackouts] = useState([]);
+  const [newBlackout, setNewBlackout] = useState(EMPTY_BLACKOUT);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchBookings = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/admin/bookings?upcoming=${!showPast}`, { headers: authHeaders() });
+      if (!response.ok) {
+        throw new Error('Failed to fetch bookings');
+      }
+      const data = await response.json();
+      setBookings(data.bookings || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [showPast]);
+
+  const applyConfig = (data) => {
+    setSettings(data.settings);
+    setRules(toRules(data.rules || []));
+    setBlackouts(data.blackouts || []);
+  };
+
+  const fetchAvailability = useCallback(async () => {
+    try {
+      const response = await fetch('/api/admin/bookings/availability', { headers: authHeaders() });
+      if (!response.ok) {
+        throw new Error('Failed to fetch availability');
+      }
+      applyConfig(await response.json());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    const token = localStorage.getItem('superadmin_token');
+    if (!token) {
+      history.push('/vault-e9232b8eefbaa45e');
+      return;
+    }
+    fetchAvailability();
+  }, [history, fetchAvailability]);
+
+  useEffect(() => {
+    if (localStorage.getItem('superadmin_token')) {
+      fetchBookings();
+    }
+  }, [fetchBookings]);
+
+  const updateSetting = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateRule = (index, field, value) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const addRule = (weekday) => {
+    setRules(prev => [...prev, { weekday, start_time: '09:00', end_time: '17:00' }]);
+  };
+
+  const removeRule = (index) => {
+    setRules(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const saveAvailability = async () => {
+    setSaving(true);
+    setNotice(null);
+    try {
+      const response = await fetch('/api/admin/bookings/availability', {
+        method: 'PUT',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+          settings: {
+            timezone: settings.timezone,
+            slot_interval_minutes: Number(settings.slot_interval_minutes),
+            buffer_minutes: Number(settings.buffer_minutes),
+            min_notice_hours: Number(settings.min_notice_hours),
+            max_days_ahead: Number(settings.max_days_ahead),
+            meeting_location: settings.meeting_location || null
+          },
+          rules
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details?.[0]?.message || data.error);
+      }
+      applyConfig(data);
+      setNotice('Availability saved');
+    } catch (err) {
+      alert('Error: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const addBlackout = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await fetch('/api/admin/bookings/blackouts', {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify(newBlackout)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details?.[0]?.message || data.error);
+      }
+      setNewBlackout(EMPTY_BLACKOUT);
+      fetchAvailability();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
+  const deleteBlackout = async (id) => {
+    try {
+      const response = await fetch(`/api/admin/bookings/blackouts/${id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error);
+      }
+      setBlackouts(prev => prev.filter(b => b.id !== id));
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
+  const cancelBooking = async (booking) => {
+    if (!window.confirm(`Cancel the ${MEETING_LABELS[booking.meeting_type].toLowerCase()} with ${booking.name}? They will be emailed a cancellation.`)) return;
+    try {
+      const response = await fetch(`/api/admin/bookings/${booking.id}/cancel`, {
+        method: 'POST',
+        headers: authHeaders()
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error);
+      }
+      fetchBookings();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="booking-manager-container">
+        <div className="bm-loading">Loading bookings...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="booking-manager-container">
+      <Helmet>
+        <title>Bookings | SuperAdmin</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+
+      <div className="bm-header">
+        <div className="bm-header-left">
+          <button
+            className="bm-back-btn"
+            onClick={() => history.push('/vault-e9232b8eefbaa45e/dashboard')}
+          >
+            ← Dashboard
+          </button>
+          <h1>Bookings</h1>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bm-error-banner">
+          {error}
+          <button onClick={() => { fetchBookings(); fetchAvailability(); }}>Retry</button>
+        </div>
+      )}
+
+      <div className="bm-layout">
+        <section className="bm-panel bm-bookings">
+          <div className="bm-panel-header">
+            <h2>{showPast ? 'All bookings' : 'Upcoming'}</h2>
+            <label className="bm-toggle">
+              <input type="checkbox" checked={showPast} onChange={(e) => setShowPast(e.target.checked)} />
+              Include past
+            </label>
+          </div>
+
+          {bookings.length === 0 ? (
+            <p className="bm-empty">No bookings yet.</p>
+          ) : (
+            <table className="bm-table">
+              <thead>
+                <tr>
+                  <th>When ({settings?.timezone})</th>
+                  <th>Type</th>
+                  <th>Visitor</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {bookings.map(booking => (
+                  <tr key={booking.id} className={booking.status === 'cancelled' ? 'cancelled' : ''}>
+                    <td>{formatWhen(booking.starts_at, settings?.timezone)}</td>
+                    <td>{MEETING_LABELS[booking.meeting_type]}</td>
+                    <td>
+                      <div>{booking.name}</div>
+                      <a href={`mailto:${booking.email}`}>{booking.email}</a>
+                      {booking.company && <div className="bm-muted">{booking.company}</div>}
+                      {booking.notes && <div className="bm-notes">{booking.notes}</div>}
+                    </td>
+                    <td>
+                      <span className={`bm-status bm-status-${booking.status}`}>{booking.status}</span>
+                      {booking.cancelled_by && <div className="bm-muted">by {booking.cancelled_by}</div>}
+                    </td>
+                    <td>
+                      {booking.status === 'confirmed' && new Date(booking.starts_at) > new Date() && (
+                        <button className="bm-cancel-btn" onClick={() => cancelBooking(booking)}>Cancel</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        <div className="bm-sidebar">
+          <section className="bm-panel">
+            <div className="bm-panel-header">
+              <h2>Weekly availability</h2>
+            </div>
+
+            {settings && (
+              <div className="bm-settings">
+                <label>
+                  Team timezone
+                  <input
+                    type="text"
+                    value={settings.timezone}
+                    onChange={(e) => updateSetting('timezone', e.target.value)}
+                    placeholder="e.g. Asia/Kolkata"
+                  />
+                </label>
+                <label>
+                  Slot interval (min)
+                  <input type="number" min="5" max="120" value={settings.slot_interval_minutes} onChange={(e) => updateSetting('slot_interval_minutes', e.target.value)} />
+                </label>
+                <label>
+                  Buffer between meetings (min)
+                  <input type="number" min="0" max="120" value={settings.buffer_minutes} onChange={(e) => updateSetting('buffer_minutes', e.target.value)} />
+                </label>
+                <label>
+                  Minimum notice (hours)
+                  <input type="number" min="0" max="336" value={settings.min_notice_hours} onChange={(e) => updateSetting('min_notice_hours', e.target.value)} />
+                </label>
+                <label>
+                  Bookable days ahead
+                  <input type="number" min="1" max="180" value={settings.max_days_ahead} onChange={(e) => updateSetting('max_days_ahead', e.target.value)} />
+                </label>
+                <label className="bm-settings-wide">
+                  Meeting link / location
+                  <input
+                    type="text"
+                    value={settings.meeting_location || ''}
+                    onChange={(e) => updateSetting('meeting_location', e.target.value)}
+                    placeholder="https://meet.google.com/..."
+                  />
+                </label>
+              </div>
+            )}
+
+            <div className="bm-week">
+              {WEEKDAYS.map((day, weekday) => (
+                <div key={day} className="bm-day">
+                  <span className="bm-day-name">{day}</span>
+                  <div className="bm-windows">
+                    {rules.map((rule, index) => rule.weekday === weekday && (
+                      <div key={index} className="bm-window">
+                        <input type="time" value={rule.start_time} onChange={(e) => updateRule(index, 'start_time', e.target.value)} />
+                        <span>–</span>
+                        <input type="time" value={rule.end_time} onChange={(e) => updateRule(index, 'end_time', e.target.value)} />
+                        <button className="bm-remove-btn" onClick={() => removeRule(index)} aria-label="Remove window">×</button>
+                      </div>
+                    ))}
+                    {!rules.some(rule => rule.weekday === weekday) && <span className="bm-muted">Unavailable</span>}
+                  </div>
+                  <button className="bm-add-window" onClick={() => addRule(weekday)}>+</button>
+                </div>
+              ))}
+            </div>
+
+            <div className="bm-save-row">
+              {notice && <span className="bm-notice">{notice}</span>}
+              <button className="bm-save-btn" onClick={saveAvailability} disabled={saving}>
+                {saving ? 'Saving...' : 'Save availability'}
+              </button>
+            </div>
+          </section>
+
+          <section className="bm-panel">
+            <div className="bm-panel-header">
+              <h2>Blackout dates</h2>
+            </div>
+
+            <form className="bm-blackout-form" onSubmit={addBlackout}>
+              <input
+                type="date"
+                value={newBlackout.startDate}
+                onChange={(e) => setNewBlackout(prev => ({ ...prev, startDate: e.target.value, endDate: prev.endDate || e.target.value }))}
+                required
+                aria-label="From"
+              />
+              <input
+                type="date"
+                value={newBlackout.endDate}
+                min={newBlackout.startDate}
+                onChange={(e) => setNewBlackout(prev => ({ ...prev, endDate: e.target.value }))}
+                required
+                aria-label="To"
+              />
+              <input
+                type="text"
+                value={newBlackout.reason}
+                onChange={(e) => setNewBlackout(prev => ({ ...prev, reason: e.target.value }))}
+                placeholder="Reason (optional)"
+                maxLength={200}
+              />
+              <button type="submit">Add</button>
+            </form>
+
+            {blackouts.length === 0 ? (
+              <p className="bm-empty">No upcoming blackout dates.</p>
+            ) : (
+              <ul className="bm-blackouts">
+                {blackouts.map(blackout => (
+                  <li key={blackout.id}>
+                    <span>
+                      {blackout.start_date.slice(0, 10)}
+                      {blackout.end_date.slice(0, 10) !== blackout.start_date.slice(0, 10) && ` → ${blackout.end_date.slice(0, 10)}`}
+                      {blackout.reason && <span className="bm-muted"> · {blackout.reason}</span>}
+                    </span>
+                    <button className="bm-remove-btn" onClick={() => deleteBlackout(blackout.id)} aria-label="Remove blackout">×</button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookingManager;
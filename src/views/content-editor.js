@@ -1,5 +1,13 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useHistory } from 'react-router-dom';
+import {
+  ReviewPanel,
+  ReviewSubmitModal,
+  ReviewStateBadge,
+  fetchOpenReview,
+  submitForReview
+} from '../components/editorial-review';
+import SharePreviewModal from '../components/share-preview';
 import './content-editor.css';
 
 // AI Generation Modal Component
@@ -439,12 +447,16 @@ const CONTENT_SCHEMA = {
   }
 };
 
+// Section key -> label, for review diffs and comments
+const SECTION_LABELS = Object.fromEntries(
+  Object.entries(CONTENT_SCHEMA).map(([key, schema]) => [key, schema.label])
+);
+
 function ContentEditor() {
   const history = useHistory();
   const [content, setContent] = useState({});
   const [originalContent, setOriginalContent] = useState({});
   const [loading, setLoading] = useState(true);
-  const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [activeSection, setActiveSection] = useState('module_cards');
@@ -453,6 +465,13 @@ function ContentEditor() {
   const [expandedItems, setExpandedItems] = useState({});
   const [previewMode, setPreviewMode] = useState(false);
   
+  // Editorial review: site content goes live only once a review is approved
+  const [openReview, setOpenReview] = useState(null);
+  const [proposalReviewId, setProposalReviewId] = useState(null); // review whose proposal is being edited
+  const [showSubmitReview, setShowSubmitReview] = useState(false);
+  const [showReview, setShowReview] = useState(false);
+  const [showSharePreview, setShowSharePreview] = useState(false);
+  
   // AI Generation State
   const [aiModalOpen, setAiModalOpen] = useState(false);
   const [aiItemModalOpen, setAiItemModalOpen] = useState(false);
@@ -468,6 +487,7 @@ function ContentEditor() {
     }
     fetchContent();
     fetchAIStatus();
+    loadOpenReview();
   }, [history]);
   
   // Fetch AI configuration status
@@ -642,30 +662,51 @@ function ContentEditor() {
     }
   };
 
-  const saveAllContent = async () => {
+  const loadOpenReview = async () => {
     try {
-      setSaving(true);
-      setError('');
-      
-      const token = localStorage.getItem('superadmin_token');
-      const response = await fetch('/api/admin/content/all', {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify({ content })
-      });
-      
-      if (!response.ok) throw new Error('Failed to save');
-      
-      setOriginalContent(content);
-      setSuccess('All changes saved successfully!');
-      setTimeout(() => setSuccess(''), 3000);
+      setOpenReview(await fetchOpenReview('site_content'));
     } catch (err) {
-      setError('Failed to save content. Please try again.');
-    } finally {
-      setSaving(false);
+      console.error('Failed to fetch review:', err);
+    }
+  };
+
+  const submitContentForReview = async ({ reviewerId, note }) => {
+    const review = await submitForReview({
+      contentType: 'site_content',
+      title: 'Site content update',
+      payload: content,
+      reviewerId,
+      note
+    });
+    setShowSubmitReview(false);
+    setOpenReview(review);
+    setProposalReviewId(review.id);
+    setOriginalContent(content);
+    setSuccess('Submitted for review. Changes go live once approved and published.');
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  // Edit a review's proposed content instead of the live content
+  const loadProposal = (review) => {
+    if (hasUnsavedChanges && !window.confirm('Replace your unsaved changes with the proposal under review?')) return;
+    setContent(review.payload);
+    setOriginalContent(review.payload);
+    setProposalReviewId(review.id);
+    setShowReview(false);
+  };
+
+  const handleReviewChanged = (review) => {
+    if (['published', 'withdrawn'].includes(review.state)) {
+      setOpenReview(null);
+      setProposalReviewId(null);
+      setShowReview(false);
+      fetchContent();
+      return;
+    }
+    setOpenReview(review);
+    // A resubmission sent the editor's content
+    if (review.state === 'in_review' && proposalReviewId === review.id) {
+      setOriginalContent(content);
     }
   };
 
@@ -1172,6 +1213,7 @@ function ContentEditor() {
           </button>
           <h1>Content Editor</h1>
           {hasUnsavedChanges && <span className="ce-unsaved-badge">Unsaved Changes</span>}
+          {openReview && <ReviewStateBadge state={openReview.state} />}
         </div>
         <div className="ce-header-right">
           <label className="ce-btn-secondary ce-import-btn">
@@ -1184,13 +1226,25 @@ function ContentEditor() {
             onClick={revertChanges}
             disabled={!hasUnsavedChanges}
           >Revert</button>
-          <button 
-            className="ce-btn-primary" 
-            onClick={saveAllContent}
-            disabled={!hasUnsavedChanges || saving}
-          >
-            {saving ? 'Saving...' : 'Save All Changes'}
-          </button>
+          <button
+            className="ce-btn-secondary"
+            onClick={() => setShowSharePreview(true)}
+            disabled={!openReview}
+            title={openReview ? 'Share the changes under review' : 'Submit changes for review to share a preview of them'}
+          >🔗 Share preview</button>
+          {openReview ? (
+            <button className="ce-btn-primary" onClick={() => setShowReview(true)}>
+              📋 Open Review
+            </button>
+          ) : (
+            <button 
+              className="ce-btn-primary" 
+              onClick={() => setShowSubmitReview(true)}
+              disabled={!hasUnsavedChanges}
+            >
+              📤 Submit for Review
+            </button>
+          )}
         </div>
       </header>
 
@@ -1255,6 +1309,40 @@ function ContentEditor() {
         </main>
       </div>
       
+      {/* Editorial review */}
+      <ReviewSubmitModal
+        isOpen={showSubmitReview}
+        heading="Submit site content for review"
+        description="Your changes go live once a reviewer approves them and they are published."
+        onClose={() => setShowSubmitReview(false)}
+        onSubmit={submitContentForReview}
+      />
+      
+      <SharePreviewModal
+        isOpen={showSharePreview}
+        contentType="site_content"
+        heading="Share site content preview"
+        onClose={() => setShowSharePreview(false)}
+      />
+      
+      {showReview && openReview && (
+        <div className="er-drawer">
+          <button className="er-close" onClick={() => setShowReview(false)} aria-label="Close">×</button>
+          {proposalReviewId !== openReview.id && (
+            <p className="er-muted">
+              The editor shows the live content. Open the proposal in the editor to revise what is under review.
+            </p>
+          )}
+          <ReviewPanel
+            reviewId={openReview.id}
+            fieldLabels={SECTION_LABELS}
+            getRevision={proposalReviewId === openReview.id ? () => ({ payload: content }) : null}
+            onLoadPayload={loadProposal}
+            onChanged={handleReviewChanged}
+          />
+        </div>
+      )}
+      
       {/* AI Generation Modals */}
       <AIGeneratorModal
         isOpen={aiModalOpen}
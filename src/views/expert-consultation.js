@@ -1,12 +1,15 @@
-import React from 'react'
+import React, { useState } from 'react'
 import { Helmet } from 'react-helmet'
 import Navigation from '../components/navigation'
 import Footer from '../components/footer'
 import Breadcrumb from '../components/breadcrumb'
 import RelatedLinks from '../components/related-links'
+import LeadForm from '../components/lead-form'
+import BookingScheduler from '../components/booking-scheduler'
 import './expert-consultation.css'
 
 const ExpertConsultation = (props) => {
+  const [showRequestForm, setShowRequestForm] = useState(false)
   return (
     <div className="consultation-container">
       <Helmet>
@@ -172,26 +175,23 @@ const ExpertConsultation = (props) => {
           <h2 className="section-title">Schedule Your Consultation</h2>
           <p className="consultation-booking-text">
             Book a 45-minute strategic consultation with one of our Cognitive OS
-            architects. Select your preferred time.
+            architects. Pick a time that suits you below.
           </p>
           
           <div className="booking-cta-container">
-            <a 
-              href="https://calendar.app.google/eoV5uKtAo37xJtee7" 
-              target="_blank"
-              rel="noopener noreferrer"
-              className="btn btn-primary btn-lg"
-            >
-              Open Calendar & Book Appointment
-            </a>
+            <BookingScheduler meetingType="consultation" />
             <p className="booking-alternative section-content">
-              Or email us at <a href="mailto:info@finacegroup.com?subject=Consultation Request&body=I'd like to schedule a 45-minute consultation.%0D%0A%0D%0AName:%0D%0ACompany:%0D%0ARole:%0D%0APreferred Date/Time:%0D%0ATopics to Discuss:" style={{color: 'var(--color-primary)'}}>info@finacegroup.com</a> with your preferred date and time.
+              None of these times work?{' '}
+              <button type="button" className="scheduler-fallback-toggle" onClick={() => setShowRequestForm(show => !show)}>
+                Send us a request instead
+              </button>
             </p>
+            {showRequestForm && <LeadForm formType="consultation" />}
           </div>
           
           <div className="booking-note">
             <p className="section-content">
-              After selecting a time, you'll receive a Google Calendar invite with video conferencing details.
+              You will receive a calendar invite by email with video conferencing details.
             </p>
           </div>
         </div>
@@ -6,6 +6,10 @@ import { Helmet } from 'react-helmet'
 import Navigation from '../components/navigation'
 import Footer from '../components/footer'
 import FAQSection from '../components/faq-section'
+import PreviewBanner, { usePreviewToken } from '../components/preview-banner'
+import StructuredData from '../components/structured-data'
+import { organizationSchema, websiteSchema } from '../utils/structuredData'
+import { getAnonymousId, trackConversion } from '../utils/experiments'
 import './home.css'
 
 // Check if device is mobile (for performance optimization)
@@ -46,6 +50,8 @@ const Home = (props) => {
   // Dynamic content state
   const [products, setProducts] = useState([]);
   const [pageContent, setPageContent] = useState({});
+  const [preview, setPreview] = useState(null); // { expires_at } when opened from a preview link
+  const previewToken = usePreviewToken();
   const [loading, setLoading] = useState(true);
   const [isMobile, setIsMobile] = useState(false);
   const videoRef = useRef(null);
@@ -77,14 +83,15 @@ const Home = (props) => {
     const fetchData = async () => {
       try {
         // Fetch products
-        const productsRes = await fetch('/api/products?view=current');
+        const productsRes = await fetch(`/api/products?view=current&userId=${encodeURIComponent(getAnonymousId())}`);
         const productsData = await productsRes.json();
         setProducts(productsData.products || []);
         
         // Fetch page content
-        const contentRes = await fetch('/api/content/home');
+        const contentRes = await fetch(`/api/content/home${previewToken ? `?preview=${encodeURIComponent(previewToken)}` : ''}`);
         const contentData = await contentRes.json();
         setPageContent(contentData.content || {});
+        setPreview(contentData.preview || null);
       } catch (err) {
         console.error('Failed to fetch data:', err);
       } finally {
@@ -92,7 +99,7 @@ const Home = (props) => {
       }
     };
     fetchData();
-  }, []);
+  }, [previewToken]);
   
   // Get content value with fallback
   const getContent = (section, key, fallback = '') => {
@@ -137,6 +144,8 @@ const Home = (props) => {
         <meta name="twitter:description" content="The question is no longer 'How will AI fit into the enterprise?' The question is 'What becomes possible when the enterprise itself becomes intelligent?'" />
         <link rel="canonical" href="https://finaceverse.io/" />
       </Helmet>
+      <StructuredData schemas={[organizationSchema, websiteSchema]} />
+      {preview && <PreviewBanner expiresAt={preview.expires_at} />}
       <Navigation></Navigation>
       <section className="hero-split-diagonal">
         <div className="hero-bg-media">
@@ -193,8 +202,8 @@ const Home = (props) => {
               the continuous cycle of enterprise intelligence.
             </p>
             <div className="hero-actions">
-              <a href="/request-demo" className="btn btn-primary btn-lg">Request Demo</a>
-              <a href="/tailored-pilots" className="btn btn-lg btn-outline">
+              <a href="/request-demo" onClick={() => trackConversion('request_demo')} className="btn btn-primary btn-lg">Request Demo</a>
+              <a href="/tailored-pilots" onClick={() => trackConversion('pilot_request')} className="btn btn-lg btn-outline">
                 Join Pilot Program
               </a>
             </div>
@@ -1028,7 +1037,7 @@ const Home = (props) => {
                   In-house teams gain real-time visibility and control across
                   global enterprise operations with Accute.
                 </p>
-                <a href="/expert-consultation" aria-label="Consult our corporate finance experts">
+                <a href="/expert-consultation" onClick={() => trackConversion('expert_consultation')} aria-label="Consult our corporate finance experts">
                   <button className="btn btn-outline btn-sm">Consult Our Experts</button>
                 </a>
               </div>
@@ -1180,7 +1189,7 @@ const Home = (props) => {
                     data-form-field-id="thq_button_QbF1"
                     className="btn btn-lg btn-accent"
                   >
-                    <a href="/request-demo" style={{color: 'inherit', textDecoration: 'none'}}>Request Demo</a>
+                    <a href="/request-demo" onClick={() => trackConversion('request_demo')} style={{color: 'inherit', textDecoration: 'none'}}>Request Demo</a>
                   </button>
                 </form>
                 <p className="form-disclaimer">
@@ -1195,7 +1204,7 @@ const Home = (props) => {
                   Request a custom pilot program for your enterprise or
                   professional service firm.
                 </p>
-                <a href="/tailored-pilots">
+                <a href="/tailored-pilots" onClick={() => trackConversion('pilot_request')}>
                   <div className="btn btn-link">
                     <span>
                       {' '}
@@ -1229,7 +1238,7 @@ const Home = (props) => {
                 <p className="section-content">
                   Speak with a Cognitive OS architect to map your transition.
                 </p>
-                <a href="/expert-consultation">
+                <a href="/expert-consultation" onClick={() => trackConversion('expert_consultation')}>
                   <div className="btn btn-link">
                     <span>
                       {' '}
@@ -1329,7 +1338,7 @@ const Home = (props) => {
         </div>
       </div>
       <Footer></Footer>
-      <a href="/request-demo">
+      <a href="/request-demo" onClick={() => trackConversion('request_demo')}>
         <div aria-label="FinACEverse" className="home-container6">
           <img src="/logo.svg" alt="FinACEverse" style={{width: '24px', height: '24px'}} />
           <span className="home-text28">Propel Past Paradigms</span>
@@ -0,0 +1,507 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useHistory } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import './lead-pipeline.css';
+
+const STAGE_COLORS = {
+  new: '#00d4ff',
+  contacted: '#6366f1',
+  demo_scheduled: '#a78bfa',
+  pilot: '#f59e0b',
+  won: '#10b981',
+  lost: '#64748b'
+};
+
+const FORM_LABELS = {
+  demo: 'Demo',
+  consultation: 'Consultation',
+  pilot: 'Pilot',
+  manual: 'Manual'
+};
+
+const EMPTY_LEAD = {
+  name: '',
+  email: '',
+  company: '',
+  phone: '',
+  message: '',
+  ownerId: ''
+};
+
+const authHeaders = (extra = {}) => ({
+  'Authorization': `Bearer ${localStorage.getItem('superadmin_token')}`,
+  ...extra
+});
+
+const daysSince = (value) => Math.max(0, Math.floor((Date.now() - new Date(value).getTime()) / 86400000));
+
+const describeActivity = (activity, stageLabel) => {
+  switch (activity.type) {
+    case 'created':
+      return `Lead created (${FORM_LABELS[activity.metadata?.source] || activity.metadata?.source || 'form'})`;
+    case 'stage_changed':
+      return `Moved ${stageLabel(activity.from_value)} → ${stageLabel(activity.to_value)}`;
+    case 'owner_changed':
+      return activity.to_value ? `Assigned to ${activity.to_value}` : 'Unassigned';
+    case 'note_added':
+      return 'Added a note';
+    case 'updated':
+      return `Updated ${(activity.metadata?.fields || []).join(', ').replace(/_/g, ' ')}`;
+    default:
+      return activity.type;
+  }
+};
+
+const LeadPipeline = () => {
+  const history = useHistory();
+  const [stages, setStages] = useState([]);
+  const [owners, setOwners] = useState([]);
+  const [ownerFilter, setOwnerFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dragOverStage, setDragOverStage] = useState(null);
+  const [selectedLead, setSelectedLead] = useState(null);
+  const [noteText, setNoteText] = useState('');
+  const [showCreate, setShowCreate] = useState(false);
+  const [newLead, setNewLead] = useState(EMPTY_LEAD);
+  const [saving, setSaving] = useState(false);
+
+  const stageLabel = (id) => stages.find(s => s.id === id)?.label || id;
+
+  const fetchBoard = useCallback(async () => {
+    try {
+      const params = ownerFilter ? `?owner=${ownerFilter}` : '';
+      const response = await fetch(`/api/admin/leads/board${params}`, { headers: authHeaders() });
+      if (!response.ok) {
+        throw new Error('Failed to fetch pipeline');
+      }
+      const data = await response.json();
+      setStages(data.stages || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [ownerFilter]);
+
+  const fetchOwners = useCallback(async () => {
+    try {
+      const response = await fetch('/api/admin/leads/owners', { headers: authHeaders() });
+      if (response.ok) {
+        const data = await response.json();
+        setOwners(data.owners || []);
+      }
+    } catch (err) {
+      console.error('Failed to fetch owners:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    const token = localStorage.getItem('superadmin_token');
+    if (!token) {
+      history.push('/vault-e9232b8eefbaa45e');
+      return;
+    }
+    fetchBoard();
+    fetchOwners();
+  }, [history, fetchBoard, fetchOwners]);
+
+  const openLead = async (id) => {
+    try {
+      const response = await fetch(`/api/admin/leads/${id}`, { headers: authHeaders() });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      setSelectedLead(data.lead);
+      setNoteText('');
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
+  const updateLead = async (id, changes) => {
+    const response = await fetch(`/api/admin/leads/${id}`, {
+      method: 'PATCH',
+      headers: authHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(changes)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.details?.[0]?.message || data.error);
+    }
+    return data.lead;
+  };
+
+  const moveLead = async (leadId, fromStage, toStage) => {
+    if (fromStage === toStage) return;
+
+    const changes = { status: toStage };
+    if (toStage === 'lost') {
+      const reason = window.prompt('Why was this lead lost? (optional)');
+      if (reason === null) return;
+      if (reason.trim()) changes.lostReason = reason.trim();
+    }
+
+    // Optimistic move; the board is reloaded from the server either way
+    setStages(prev => {
+      const lead = prev.find(s => s.id === fromStage)?.leads.find(l => l.id === leadId);
+      if (!lead) return prev;
+      return prev.map(stage => {
+        if (stage.id === fromStage) return { ...stage, leads: stage.leads.filter(l => l.id !== leadId) };
+        if (stage.id === toStage) return { ...stage, leads: [{ ...lead, status: toStage, stage_changed_at: new Date().toISOString() }, ...stage.leads] };
+        return stage;
+      });
+    });
+
+    try {
+      await updateLead(leadId, changes);
+      if (selectedLead?.id === leadId) openLead(leadId);
+    } catch (err) {
+      alert('Error: ' + err.message);
+    } finally {
+      fetchBoard();
+    }
+  };
+
+  const handleDrop = (e, stageId) => {
+    e.preventDefault();
+    setDragOverStage(null);
+    try {
+      const { leadId, fromStage } = JSON.parse(e.dataTransfer.getData('application/json'));
+      moveLead(leadId, fromStage, stageId);
+    } catch (err) {
+      // Not a lead card
+    }
+  };
+
+  const handleDetailChange = async (changes) => {
+    try {
+      if (changes.status === 'lost') {
+        const reason = window.prompt('Why was this lead lost? (optional)');
+        if (reason === null) return;
+        if (reason.trim()) changes.lostReason = reason.trim();
+      }
+      await updateLead(selectedLead.id, changes);
+      await openLead(selectedLead.id);
+      fetchBoard();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
+  const handleAddNote = async (e) => {
+    e.preventDefault();
+    if (!noteText.trim()) return;
+    try {
+      const response = await fetch(`/api/admin/leads/${selectedLead.id}/notes`, {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ body: noteText })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details?.[0]?.message || data.error);
+      await openLead(selectedLead.id);
+      fetchBoard();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
+  const handleDeleteNote = async (noteId) => {
+    if (!window.confirm('Delete this note?')) return;
+    try {
+      const response = await fetch(`/api/admin/leads/${selectedLead.id}/notes/${noteId}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      if (!response.ok) throw new Error('Failed to delete note');
+      await openLead(selectedLead.id);
+      fetchBoard();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
+  const handleDeleteLead = async () => {
+    if (!window.confirm(`Delete lead "${selectedLead.name}" and its history? This cannot be undone.`)) return;
+    try {
+      const response = await fetch(`/api/admin/leads/${selectedLead.id}`, {
+        method: 'DELETE',
+        headers: authHeaders()
+      });
+      if (!response.ok) throw new Error('Failed to delete lead');
+      setSelectedLead(null);
+      fetchBoard();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await fetch('/api/admin/leads', {
+        method: 'POST',
+        headers: authHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ ...newLead, ownerId: newLead.ownerId ? Number(newLead.ownerId) : null })
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.details?.[0]?.message || data.error);
+      setShowCreate(false);
+      setNewLead(EMPTY_LEAD);
+      fetchBoard();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="lead-pipeline-container">
+        <div className="lp-loading">Loading pipeline...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="lead-pipeline-container">
+      <Helmet>
+        <title>Lead Pipeline | SuperAdmin</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+
+      <div className="lp-header">
+        <div className="lp-header-left">
+          <button
+            className="lp-back-btn"
+            onClick={() => history.push('/vault-e9232b8eefbaa45e/dashboard')}
+          >
+            ← Dashboard
+          </button>
+          <h1>Lead Pipeline</h1>
+          <button
+            className="lp-link-btn"
+            onClick={() => history.push('/vault-e9232b8eefbaa45e/leads')}
+          >
+            List view
+          </button>
+        </div>
+        <div className="lp-header-right">
+          <select value={ownerFilter} onChange={(e) => setOwnerFilter(e.target.value)}>
+            <option value="">All owners</option>
+            <option value="unassigned">Unassigned</option>
+            {owners.map(owner => (
+              <option key={owner.id} value={owner.id}>{owner.username}</option>
+            ))}
+          </select>
+          <button className="lp-add-btn" onClick={() => setShowCreate(true)}>
+            + Add Lead
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="lp-error-banner">
+          {error}
+          <button onClick={fetchBoard}>Retry</button>
+        </div>
+      )}
+
+      <div className="lp-board">
+        {stages.map(stage => (
+          <div
+            key={stage.id}
+            className={`lp-column ${dragOverStage === stage.id ? 'drag-over' : ''}`}
+            onDragOver={(e) => { e.preventDefault(); setDragOverStage(stage.id); }}
+            onDragLeave={() => setDragOverStage(null)}
+            onDrop={(e) => handleDrop(e, stage.id)}
+          >
+            <div className="lp-column-header" style={{ borderTopColor: STAGE_COLORS[stage.id] }}>
+              <span>{stage.label}</span>
+              <span className="lp-column-count">{stage.leads.length}</span>
+            </div>
+            <div className="lp-column-body">
+              {stage.leads.map(lead => (
+                <div
+                  key={lead.id}
+                  className="lp-card"
+                  draggable
+                  onDragStart={(e) => {
+                    e.dataTransfer.setData('application/json', JSON.stringify({ leadId: lead.id, fromStage: stage.id }));
+                    e.dataTransfer.effectAllowed = 'move';
+                  }}
+                  onClick={() => openLead(lead.id)}
+                >
+                  <div className="lp-card-title">{lead.name}</div>
+                  {lead.company && <div className="lp-card-company">{lead.company}</div>}
+                  <div className="lp-card-meta">
+                    <span className="lp-tag">{FORM_LABELS[lead.form_type] || lead.form_type}</span>
+                    {lead.utm_source && <span className="lp-tag">{lead.utm_source}</span>}
+                    {lead.note_count > 0 && <span className="lp-tag">✎ {lead.note_count}</span>}
+                  </div>
+                  <div className="lp-card-footer">
+                    <span>{lead.owner_username || 'Unassigned'}</span>
+                    <span title="Days in stage">{daysSince(lead.stage_changed_at)}d</span>
+                  </div>
+                </div>
+              ))}
+              {stage.leads.length === 0 && (
+                <div className="lp-column-empty">Drop leads here</div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {selectedLead && (
+        <div className="lp-drawer-overlay" onClick={() => setSelectedLead(null)}>
+          <aside className="lp-drawer" onClick={(e) => e.stopPropagation()}>
+            <div className="lp-drawer-header">
+              <div>
+                <h2>{selectedLead.name}</h2>
+                <a href={`mailto:${selectedLead.email}`}>{selectedLead.email}</a>
+              </div>
+              <button className="lp-close-btn" onClick={() => setSelectedLead(null)}>×</button>
+            </div>
+
+            <div className="lp-drawer-controls">
+              <label>
+                Stage
+                <select
+                  value={selectedLead.status}
+                  onChange={(e) => handleDetailChange({ status: e.target.value })}
+                >
+                  {stages.map(stage => (
+                    <option key={stage.id} value={stage.id}>{stage.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Owner
+                <select
+                  value={selectedLead.owner_id || ''}
+                  onChange={(e) => handleDetailChange({ ownerId: e.target.value ? Number(e.target.value) : null })}
+                >
+                  <option value="">Unassigned</option>
+                  {owners.map(owner => (
+                    <option key={owner.id} value={owner.id}>{owner.username}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <div className="lp-detail-grid">
+              <span>Company</span><span>{selectedLead.company || '—'}</span>
+              <span>Role</span><span>{selectedLead.job_title || '—'}</span>
+              <span>Phone</span><span>{selectedLead.phone || '—'}</span>
+              <span>Source</span><span>{FORM_LABELS[selectedLead.form_type]}{selectedLead.utm_source ? ` · ${selectedLead.utm_source}` : ''}</span>
+              {selectedLead.lost_reason && (
+                <>
+                  <span>Lost reason</span><span>{selectedLead.lost_reason}</span>
+                </>
+              )}
+            </div>
+
+            {selectedLead.message && (
+              <div className="lp-message">{selectedLead.message}</div>
+            )}
+
+            <h3>Notes</h3>
+            <form className="lp-note-form" onSubmit={handleAddNote}>
+              <textarea
+                value={noteText}
+                onChange={(e) => setNoteText(e.target.value)}
+                placeholder="Call summary, next steps..."
+                rows="3"
+                maxLength={5000}
+              />
+              <button type="submit" disabled={!noteText.trim()}>Add Note</button>
+            </form>
+            <div className="lp-notes">
+              {selectedLead.notes.map(note => (
+                <div key={note.id} className="lp-note">
+                  <div className="lp-note-meta">
+                    <span>{note.author_username || 'Unknown'} · {new Date(note.created_at).toLocaleString()}</span>
+                    <button onClick={() => handleDeleteNote(note.id)}>Delete</button>
+                  </div>
+                  <p>{note.body}</p>
+                </div>
+              ))}
+            </div>
+
+            <h3>Activity</h3>
+            <ul className="lp-activity">
+              {selectedLead.activities.map(activity => (
+                <li key={activity.id}>
+                  <span>{describeActivity(activity, stageLabel)}</span>
+                  <span className="lp-activity-meta">
+                    {activity.actor_username || 'System'} · {new Date(activity.created_at).toLocaleString()}
+                  </span>
+                </li>
+              ))}
+            </ul>
+
+            <button className="lp-delete-btn" onClick={handleDeleteLead}>Delete Lead</button>
+          </aside>
+        </div>
+      )}
+
+      {showCreate && (
+        <div className="lp-modal-overlay" onClick={() => setShowCreate(false)}>
+          <form className="lp-modal" onClick={(e) => e.stopPropagation()} onSubmit={handleCreate}>
+            <h2>Add Lead</h2>
+            <input
+              placeholder="Name *"
+              value={newLead.name}
+              onChange={(e) => setNewLead({ ...newLead, name: e.target.value })}
+              required
+            />
+            <input
+              type="email"
+              placeholder="Email *"
+              value={newLead.email}
+              onChange={(e) => setNewLead({ ...newLead, email: e.target.value })}
+              required
+            />
+            <input
+              placeholder="Company"
+              value={newLead.company}
+              onChange={(e) => setNewLead({ ...newLead, company: e.target.value })}
+            />
+            <input
+              placeholder="Phone"
+              value={newLead.phone}
+              onChange={(e) => setNewLead({ ...newLead, phone: e.target.value })}
+            />
+            <textarea
+              placeholder="Context"
+              rows="3"
+              value={newLead.message}
+              onChange={(e) => setNewLead({ ...newLead, message: e.target.value })}
+            />
+            <select
+              value={newLead.ownerId}
+              onChange={(e) => setNewLead({ ...newLead, ownerId: e.target.value })}
+            >
+              <option value="">Unassigned</option>
+              {owners.map(owner => (
+                <option key={owner.id} value={owner.id}>{owner.username}</option>
+              ))}
+            </select>
+            <div className="lp-modal-actions">
+              <button type="button" onClick={() => setShowCreate(false)}>Cancel</button>
+              <button type="submit" className="primary" disabled={saving}>
+                {saving ? 'Saving...' : 'Create Lead'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeadPipeline;
@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useHistory } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import './leads-manager.css';
+
+const FORM_TYPES = [
+  { value: 'demo', label: 'Demo', color: '#00d4ff' },
+  { value: 'consultation', label: 'Consultation', color: '#a78bfa' },
+  { value: 'pilot', label: 'Pilot', color: '#10b981' },
+  { value: 'manual', label: 'Manual', color: '#94a3b8' }
+];
+
+const DETAIL_LABELS = {
+  preferredTime: 'Preferred time'
+};
+
+const STAGE_LABELS = {
+  new: 'New',
+  contacted: 'Contacted',
+  demo_scheduled: 'Demo Scheduled',
+  pilot: 'Pilot',
+  won: 'Won',
+  lost: 'Lost'
+};
+
+const PAGE_SIZE = 50;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const LeadsManager = () => {
+  const history = useHistory();
+  const [leads, setLeads] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [formType, setFormType] = useState('');
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [selectedLead, setSelectedLead] = useState(null);
+  const [notifying, setNotifying] = useState(false);
+
+  const fetchLeads = useCallback(async () => {
+    try {
+      const token = localStorage.getItem('superadmin_token');
+      const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+      if (formType) params.set('formType', formType);
+      if (search.trim()) params.set('search', search.trim());
+
+      const response = await fetch(`/api/admin/leads?${params}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch leads');
+      }
+
+      const data = await response.json();
+      setLeads(data.leads || []);
+      setTotal(data.total || 0);
+      setSummary(data.summary || null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [formType, search, offset]);
+
+  useEffect(() => {
+    const token = localStorage.getItem('superadmin_token');
+    if (!token) {
+      history.push('/vault-e9232b8eefbaa45e');
+      return;
+    }
+    fetchLeads();
+  }, [history, fetchLeads]);
+
+  const openLead = async (id) => {
+    try {
+      const token = localStorage.getItem('superadmin_token');
+      const response = await fetch(`/api/admin/leads/${id}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+      setSelectedLead(data.lead);
+    } catch (err) {
+      alert('Error: ' + err.message);
+    }
+  };
+
+  const resendNotification = async () => {
+    setNotifying(true);
+    try {
+      const token = localStorage.getItem('superadmin_token');
+      const response = await fetch(`/api/admin/leads/${selectedLead.id}/notify`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || data.message);
+      alert('Sales inbox notified');
+      await openLead(selectedLead.id);
+      fetchLeads();
+    } catch (err) {
+      alert('Error: ' + err.message);
+    } finally {
+      setNotifying(false);
+    }
+  };
+
+  const getFormBadge = (type) => {
+    const option = FORM_TYPES.find(t => t.value === type);
+    return (
+      <span className="lm-form-badge" style={{ borderColor: option?.color, color: option?.color }}>
+        {option?.label || type}
+      </span>
+    );
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setSearch(searchInput);
+  };
+
+  if (loading) {
+    return (
+      <div className="leads-manager-container">
+        <div className="lm-loading">Loading leads...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="leads-manager-container">
+      <Helmet>
+        <title>Leads | SuperAdmin</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+
+      <div className="lm-header">
+        <div className="lm-header-left">
+          <button
+            className="lm-back-btn"
+            onClick={() => history.push('/vault-e9232b8eefbaa45e/dashboard')}
+          >
+            ← Dashboard
+          </button>
+          <h1>Leads</h1>
+          <span className="lm-count">{total} leads</span>
+        </div>
+        <button
+          className="lm-back-btn"
+          onClick={() => history.push('/vault-e9232b8eefbaa45e/pipeline')}
+        >
+          Pipeline view →
+        </button>
+      </div>
+
+      {error && (
+        <div className="lm-error-banner">
+          {error}
+          <button onClick={fetchLeads}>Retry</button>
+        </div>
+      )}
+
+      {summary && (
+        <div className="lm-summary">
+          <div className="lm-summary-card">
+            <span className="lm-summary-label">Total</span>
+            <span className="lm-summary-value">{summary.total}</span>
+          </div>
+          <div className="lm-summary-card">
+            <span className="lm-summary-label">Last 7 days</span>
+            <span className="lm-summary-value">{summary.last_7_days}</span>
+          </div>
+          {FORM_TYPES.map(type => (
+            <div key={type.value} className="lm-summary-card">
+              <span className="lm-summary-label">{type.label}</span>
+              <span className="lm-summary-value" style={{ color: type.color }}>{summary[type.value]}</span>
+            </div>
+          ))}
+          <div className="lm-summary-card lm-sources">
+            <span className="lm-summary-label">Top sources</span>
+            <div className="lm-source-list">
+              {(summary.sources || []).slice(0, 4).map(s => (
+                <span key={s.source}>{s.source} <strong>{s.count}</strong></span>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      <form className="lm-filters" onSubmit={handleSearch}>
+        <select
+          value={formType}
+          onChange={(e) => { setFormType(e.target.value); setOffset(0); }}
+        >
+          <option value="">All forms</option>
+          {FORM_TYPES.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+        <input
+          type="search"
+          placeholder="Search name, email or company"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <button type="submit">Search</button>
+      </form>
+
+      <div className="lm-table-wrapper">
+        <table className="lm-table">
+          <thead>
+            <tr>
+              <th>Received</th>
+              <th>Form</th>
+              <th>Name</th>
+              <th>Company</th>
+              <th>Stage</th>
+              <th>Owner</th>
+              <th>Source</th>
+              <th>Landing page</th>
+              <th>Country</th>
+              <th>Notified</th>
+            </tr>
+          </thead>
+          <tbody>
+            {leads.map(lead => (
+              <tr key={lead.id} onClick={() => openLead(lead.id)}>
+                <td>{formatDate(lead.created_at)}</td>
+                <td>{getFormBadge(lead.form_type)}</td>
+                <td>
+                  <div className="lm-name">{lead.name}</div>
+                  <div className="lm-email">{lead.email}</div>
+                </td>
+                <td>{lead.company || '—'}</td>
+                <td>{STAGE_LABELS[lead.status] || lead.status}</td>
+                <td>{lead.owner_username || '—'}</td>
+                <td>
+                  {lead.utm_source
+                    ? `${lead.utm_source}${lead.utm_medium ? ` / ${lead.utm_medium}` : ''}`
+                    : 'direct'}
+                </td>
+                <td className="lm-path">{lead.landing_page || lead.page || '—'}</td>
+                <td>{lead.country || '—'}</td>
+                <td>
+                  {lead.form_type === 'manual' ? '—' : (
+                    lead.notified_at
+                      ? <span className="lm-ok">✓</span>
+                      : <span className="lm-warn" title={lead.notify_error || ''}>!</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+            {leads.length === 0 && (
+              <tr>
+                <td colSpan="10" className="lm-empty">No leads yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {total > PAGE_SIZE && (
+        <div className="lm-pagination">
+          <button disabled={offset === 0} onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}>
+            ← Newer
+          </button>
+          <span>{offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}</span>
+          <button disabled={offset + PAGE_SIZE >= total} onClick={() => setOffset(offset + PAGE_SIZE)}>
+            Older →
+          </button>
+        </div>
+      )}
+
+      {selectedLead && (
+        <div className="lm-modal-overlay" onClick={() => setSelectedLead(null)}>
+          <div className="lm-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="lm-modal-header">
+              <h2>{selectedLead.name}</h2>
+              {getFormBadge(selectedLead.form_type)}
+              <button className="lm-close-btn" onClick={() => setSelectedLead(null)}>×</button>
+            </div>
+
+            <div className="lm-detail-grid">
+              <span>Stage</span><span>{STAGE_LABELS[selectedLead.status] || selectedLead.status}</span>
+              <span>Owner</span><span>{selectedLead.owner_username || 'Unassigned'}</span>
+              <span>Email</span><a href={`mailto:${selectedLead.email}`}>{selectedLead.email}</a>
+              <span>Company</span><span>{selectedLead.company || '—'}</span>
+              <span>Role</span><span>{selectedLead.job_title || '—'}</span>
+              <span>Company size</span><span>{selectedLead.company_size || '—'}</span>
+              <span>Phone</span><span>{selectedLead.phone || '—'}</span>
+              {Object.entries(selectedLead.details || {}).map(([key, value]) => (
+                <React.Fragment key={key}>
+                  <span>{DETAIL_LABELS[key] || key}</span><span>{Array.isArray(value) ? value.join(', ') : value}</span>
+                </React.Fragment>
+              ))}
+              <span>Received</span><span>{formatDate(selectedLead.created_at)}</span>
+            </div>
+
+            {selectedLead.message && (
+              <div className="lm-message">{selectedLead.message}</div>
+            )}
+
+            <h3>Attribution</h3>
+            <div className="lm-detail-grid">
+              <span>Submitted on</span><span>{selectedLead.page || '—'}</span>
+              <span>Landing page</span><span>{selectedLead.landing_page || '—'}</span>
+              <span>Referrer</span><span>{selectedLead.referrer || '—'}</span>
+              <span>UTM source</span><span>{selectedLead.utm_source || '—'}</span>
+              <span>UTM medium</span><span>{selectedLead.utm_medium || '—'}</span>
+              <span>UTM campaign</span><span>{selectedLead.utm_campaign || '—'}</span>
+              <span>UTM term</span><span>{selectedLead.utm_term || '—'}</span>
+              <span>UTM content</span><span>{selectedLead.utm_content || '—'}</span>
+              <span>Location</span><span>{[selectedLead.city, selectedLead.country].filter(Boolean).join(', ') || '—'}</span>
+              <span>First visit</span><span>{formatDate(selectedLead.first_visit_at)}</span>
+              <span>Visits</span><span>{selectedLead.visit_count}</span>
+            </div>
+
+            <div className="lm-modal-footer">
+              <span className={selectedLead.notified_at ? 'lm-ok' : 'lm-warn'}>
+                {selectedLead.notified_at
+                  ? `Sales notified ${formatDate(selectedLead.notified_at)}`
+                  : `Not notified${selectedLead.notify_error ? `: ${selectedLead.notify_error}` : ''}`}
+              </span>
+              <button onClick={resendNotification} disabled={notifying}>
+                {notifying ? 'Sending...' : 'Resend to sales'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeadsManager;
@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react'
+import { Helmet } from 'react-helmet'
+import { useLocation } from 'react-router-dom'
+import Navigation from '../components/navigation'
+import Footer from '../components/footer'
+import StructuredData from '../components/structured-data'
+import NotFound from './not-found'
+import './blog.css'
+import './local-page.css'
+
+/**
+ * Local SEO country and city pages: /us, /us/new-york and so on. The copy is
+ * what the LocalSEOManager wrote to local_seo_pages when the country was set
+ * up; a path with no page there is a 404.
+ */
+
+const SITE_URL = 'https://www.finaceverse.io'
+
+const LocalPage = () => {
+  const path = useLocation().pathname.replace(/\/+$/, '').toLowerCase()
+  const [data, setData] = useState(null)
+  const [status, setStatus] = useState('loading') // 'loading' | 'ready' | 'missing'
+
+  useEffect(() => {
+    let active = true
+    setStatus('loading')
+
+    const fetchPage = async () => {
+      try {
+        const res = await fetch(`/api/local-pages?path=${encodeURIComponent(path)}`)
+        if (!res.ok) {
+          if (res.status !== 404) console.warn(`Local page request failed: HTTP ${res.status}`)
+          if (active) setStatus('missing')
+          return
+        }
+        const result = await res.json()
+        if (active) {
+          setData(result)
+          setStatus('ready')
+        }
+      } catch (err) {
+        console.warn('Local page unavailable:', err.message)
+        if (active) setStatus('missing')
+      }
+    }
+    fetchPage()
+
+    return () => {
+      active = false
+    }
+  }, [path])
+
+  if (status === 'missing') {
+    return <NotFound />
+  }
+
+  if (status === 'loading' || !data) {
+    return (
+      <div className="blog-container">
+        <Navigation />
+        <div className="article-loading" role="status">Loading...</div>
+        <Footer />
+      </div>
+    )
+  }
+
+  const { page, related } = data
+  const url = `${SITE_URL}${page.page_url}`
+  const place = page.city && page.city !== page.country_name
+    ? `${page.city}, ${page.country_name}`
+    : page.country_name
+  const title = page.meta_title || `AI-Powered Accounting Software in ${place} | FinACEverse`
+  const description = page.meta_description ||
+    `AI-powered accounting software and financial automation for businesses in ${place}.`
+
+  return (
+    <div className="blog-container">
+      <Helmet>
+        <title>{title}</title>
+        <meta name="description" content={description} />
+
+        {/* Open Graph */}
+        <meta property="og:type" content="website" />
+        <meta property="og:title" content={title} />
+        <meta property="og:description" content={description} />
+        <meta property="og:url" content={url} />
+        <meta property="og:site_name" content="FinACEverse" />
+        <meta property="og:image" content={`${SITE_URL}/logo.png`} />
+
+        <link rel="canonical" href={url} />
+      </Helmet>
+      <StructuredData path={page.page_url} />
+
+      <Navigation />
+
+      <section className="blog-hero">
+        <div className="container-wrapper">
+          <div className="blog-hero-content">
+            <span className="article-category">{page.country_name}</span>
+            <h1 className="hero-title">{page.h1_title || `Cognitive Finance Platform for ${place}`}</h1>
+            <p className="hero-subtitle">{description}</p>
+            <div className="local-page-actions">
+              <a href="/request-demo" className="btn btn-primary btn-lg">
+                Request a Demo
+              </a>
+              <a href="/expert-consultation" className="btn btn-outline btn-lg">
+                Talk to an Expert
+              </a>
+            </div>
+          </div>
+        </div>
+      </section>
+
+      {related.length > 0 && (
+        <section className="blog-main">
+          <div className="container-wrapper">
+            <nav className="local-page-related" aria-label={`FinACEverse in ${page.country_name}`}>
+              <h2>FinACEverse in {page.country_name}</h2>
+              <ul>
+                {related.map((other) => (
+                  <li key={other.page_url}>
+                    <a href={other.page_url}>{other.city || page.country_name}</a>
+                  </li>
+                ))}
+              </ul>
+            </nav>
+          </div>
+        </section>
+      )}
+
+      <Footer />
+    </div>
+  )
+}
+
+export default LocalPage
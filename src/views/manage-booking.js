@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react'
+import { Helmet } from 'react-helmet'
+import Navigation from '../components/navigation'
+import Footer from '../components/footer'
+import { SlotPicker, formatSlot, useBookingSlots } from '../components/booking-scheduler'
+import './manage-booking.css'
+
+// Reschedule flow - only mounted once the booking (and its type) is known
+const Reschedule = ({ booking, token, onDone }) => {
+  const { slots, loading, error, refresh } = useBookingSlots(booking.meetingType)
+  const [timeZone, setTimeZone] = useState(booking.timezone)
+  const [selected, setSelected] = useState(null)
+  const [status, setStatus] = useState('idle') // idle, loading, error
+  const [message, setMessage] = useState('')
+
+  const handleReschedule = async () => {
+    setStatus('loading')
+    try {
+      const response = await fetch('/api/bookings/reschedule', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, start: selected })
+      })
+      const result = await response.json()
+
+      if (result.success) {
+        onDone(result.booking, 'Your meeting has been moved. An updated invite is on its way.')
+        return
+      }
+      setStatus('error')
+      setMessage(result.details?.[0]?.message || result.message || 'Could not reschedule. Please try again.')
+      if (response.status === 409) {
+        setSelected(null)
+        refresh()
+      }
+    } catch (err) {
+      console.error('Reschedule error:', err)
+      setStatus('error')
+      setMessage('An error occurred. Please try again later.')
+    }
+  }
+
+  if (loading) return <p className="section-content">Loading available times...</p>
+  if (error) return <p className="manage-booking-error">{error}</p>
+
+  return (
+    <div className="manage-booking-reschedule">
+      <SlotPicker
+        slots={slots}
+        selected={selected}
+        onSelect={setSelected}
+        timeZone={timeZone}
+        onTimeZoneChange={setTimeZone}
+      />
+      {status === 'error' && <p className="manage-booking-error">{message}</p>}
+      <button
+        type="button"
+        className="btn btn-primary btn-lg"
+        disabled={!selected || status === 'loading'}
+        onClick={handleReschedule}
+      >
+        {status === 'loading' ? 'Saving...' : selected ? `Move to ${formatSlot(selected, timeZone)}` : 'Pick a new time'}
+      </button>
+    </div>
+  )
+}
+
+const ManageBooking = () => {
+  const [token, setToken] = useState(null)
+  const [booking, setBooking] = useState(null)
+  const [mode, setMode] = useState('view') // view, reschedule
+  const [status, setStatus] = useState('loading') // loading, idle, error
+  const [message, setMessage] = useState('')
+
+  // Signed link from the confirmation email (?token=...&action=cancel|reschedule)
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search)
+    const tokenParam = params.get('token')
+
+    const loadBooking = async () => {
+      try {
+        const response = await fetch(`/api/bookings/manage?token=${encodeURIComponent(tokenParam)}`)
+        const result = await response.json()
+
+        if (result.success) {
+          setToken(tokenParam)
+          setBooking(result.booking)
+          setMode(params.get('action') === 'reschedule' && result.booking.status === 'confirmed' ? 'reschedule' : 'view')
+          setStatus('idle')
+        } else {
+          setStatus('error')
+          setMessage(result.message || 'This link is invalid or has expired.')
+        }
+      } catch (error) {
+        console.error('Booking lookup error:', error)
+        setStatus('error')
+        setMessage('An error occurred. Please try again later.')
+      }
+    }
+
+    if (tokenParam) {
+      loadBooking()
+    } else {
+      setStatus('error')
+      setMessage('This link is missing its booking reference. Please use the link from your confirmation email.')
+    }
+  }, [])
+
+  const handleCancel = async () => {
+    setStatus('loading')
+    try {
+      const response = await fetch('/api/bookings/cancel', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token })
+      })
+      const result = await response.json()
+
+      if (result.success) {
+        setBooking(result.booking)
+        setMessage('Your meeting has been cancelled. We have emailed you a confirmation.')
+        setStatus('idle')
+      } else {
+        setStatus('error')
+        setMessage(result.message || 'Could not cancel this booking.')
+      }
+    } catch (error) {
+      console.error('Booking cancel error:', error)
+      setStatus('error')
+      setMessage('An error occurred. Please try again later.')
+    }
+  }
+
+  // A reschedule bumps the booking revision, which invalidates the old link
+  const handleRescheduled = (updated, note) => {
+    setBooking(updated)
+    setToken(null)
+    setMode('view')
+    setMessage(note)
+  }
+
+  const bookAgainUrl = booking?.meetingType === 'consultation' ? '/expert-consultation' : '/request-demo'
+
+  return (
+    <div className="manage-booking-container">
+      <Helmet>
+        <title>Manage Booking - FinACEverse</title>
+        <meta name="robots" content="noindex, nofollow" />
+      </Helmet>
+
+      <Navigation />
+
+      <section className="manage-booking-main">
+        <div className="manage-booking-content">
+          {status === 'loading' && !booking && <p className="section-content">Loading your booking...</p>}
+
+          {status === 'error' && !booking && (
+            <div className="manage-booking-card">
+              <h1 className="hero-title">Link unavailable</h1>
+              <p className="hero-subtitle">{message}</p>
+              <a href="/request-demo" className="btn btn-primary">Book a new time</a>
+            </div>
+          )}
+
+          {booking && (
+            <div className="manage-booking-card">
+              <h1 className="hero-title">{booking.label}</h1>
+              <p className={`manage-booking-when ${booking.status === 'cancelled' ? 'cancelled' : ''}`}>
+                {formatSlot(booking.start, booking.timezone)}
+              </p>
+              {booking.status === 'cancelled' && <p className="manage-booking-badge">Cancelled</p>}
+              {message && <p className={status === 'error' ? 'manage-booking-error' : 'manage-booking-notice'}>{message}</p>}
+
+              {booking.status === 'confirmed' && token && mode === 'view' && (
+                <div className="manage-booking-actions">
+                  <button type="button" className="btn btn-primary" onClick={() => setMode('reschedule')}>
+                    Reschedule
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-outline"
+                    onClick={handleCancel}
+                    disabled={status === 'loading'}
+                  >
+                    {status === 'loading' ? 'Cancelling...' : 'Cancel meeting'}
+                  </button>
+                </div>
+              )}
+
+              {booking.status === 'confirmed' && token && mode === 'reschedule' && (
+                <>
+                  <Reschedule booking={booking} token={token} onDone={handleRescheduled} />
+                  <button type="button" className="manage-booking-link" onClick={() => setMode('view')}>
+                    Keep the current time
+                  </button>
+                </>
+              )}
+
+              {booking.status === 'cancelled' && (
+                <a href={bookAgainUrl} className="btn btn-primary">Book another time</a>
+              )}
+            </div>
+          )}
+        </div>
+      </section>
+
+      <Footer />
+    </div>
+  )
+}
+
+export default ManageBooking
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
 
 import Script from 'dangerous-html/react'
 import { Helmet } from 'react-helmet'
@@ -7,6 +8,9 @@ import Navigation from '../components/navigation'
 import Footer from '../components/footer'
 import Breadcrumb from '../components/breadcrumb'
 import RelatedLinks from '../components/related-links'
+import PreviewBanner, { usePreviewToken } from '../components/preview-banner'
+import StructuredData from '../components/structured-data'
+import { getAnonymousId, trackConversion } from '../utils/experiments'
 import './modules.css'
 
 // Default SVG icons for products without custom icons
@@ -40,26 +44,30 @@ const Modules = () => {
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [pageContent, setPageContent] = useState({});
+  const [preview, setPreview] = useState(null); // { expires_at } when opened from a preview link
+  const previewToken = usePreviewToken();
+  const { slug: productSlug } = useParams(); // /modules/:slug is a product's URL
 
   // Fetch page content
   useEffect(() => {
     const fetchContent = async () => {
       try {
-        const response = await fetch('/api/content/modules');
+        const response = await fetch(`/api/content/modules${previewToken ? `?preview=${encodeURIComponent(previewToken)}` : ''}`);
         const data = await response.json();
         setPageContent(data.content || {});
+        setPreview(data.preview || null);
       } catch (err) {
         console.error('Failed to fetch content:', err);
       }
     };
     fetchContent();
-  }, []);
+  }, [previewToken]);
 
   useEffect(() => {
     const fetchProducts = async () => {
       setLoading(true);
       try {
-        const response = await fetch(`/api/products?view=${viewMode}`);
+        const response = await fetch(`/api/products?view=${viewMode}&userId=${encodeURIComponent(getAnonymousId())}`);
         const data = await response.json();
         setProducts(data.products || []);
       } catch (err) {
@@ -72,6 +80,12 @@ const Modules = () => {
     fetchProducts();
   }, [viewMode]);
 
+  // Bring the product a /modules/:slug link is for into view
+  useEffect(() => {
+    if (loading || !productSlug) return;
+    document.getElementById(productSlug)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [loading, productSlug]);
+
   // Get content value with fallback
   const getContent = (section, key, fallback = '') => {
     return pageContent[section]?.[key] || fallback;
@@ -142,7 +156,7 @@ const Modules = () => {
     const features = Array.isArray(product.features) ? product.features : [];
 
     return (
-      <div key={product.id} className={cellClass}>
+      <div key={product.id} id={product.slug} className={cellClass}>
         <div className="cell-content">
           {product.cell_tag && <span className="cell-tag">{product.cell_tag}</span>}
           {image && (
@@ -181,7 +195,9 @@ const Modules = () => {
         <meta property="og:url" content="https://finaceverse.io/modules" />
         <link rel="canonical" href="https://finaceverse.io/modules" />
       </Helmet>
+      <StructuredData path="/modules" />
       
+      {preview && <PreviewBanner expiresAt={preview.expires_at} />}
       <Navigation />
       
       <div className="container-wrapper" style={{paddingTop: 'var(--spacing-lg)'}}>
@@ -337,12 +353,12 @@ const Modules = () => {
                 {getContent('cta', 'subtitle', "The gap between enterprises with a Cognitive OS and those without will become unbridgeable. Just as the gap between companies with the internet and those without became terminal.")}
               </p>
               <div className="cta-buttons">
-                <a href="/tailored-pilots">
+                <a href="/tailored-pilots" onClick={() => trackConversion('pilot_request')}>
                   <div className="btn btn-accent btn-xl">
                     <span>Request Enterprise Pilot</span>
                   </div>
                 </a>
-                <a href="/expert-consultation">
+                <a href="/expert-consultation" onClick={() => trackConversion('expert_consultation')}>
                   <div className="btn btn-outline btn-xl">
                     <span>Speak to a Technical Expert</span>
                   </div>
@@ -383,7 +399,7 @@ const Modules = () => {
       
       <Footer />
       
-      <a href="/request-demo">
+      <a href="/request-demo" onClick={() => trackConversion('request_demo')}>
         <div aria-label="Request Demo" className="modules-container4">
           <img src="/logo.svg" alt="FinACEverse" style={{width: '24px', height: '24px'}} />
           <span className="modules-text29">Propel Past Paradigms</span>
@@ -1,10 +1,18 @@
-import React from 'react'
+import React, { useEffect } from 'react'
 
 import { Helmet } from 'react-helmet'
 
+import { trackNotFound } from '../utils/performanceTracker'
 import './not-found.css'
 
 const NotFound = (props) => {
+  // Logged for the redirect manager; a page that has moved is followed instead
+  useEffect(() => {
+    trackNotFound().then((redirect) => {
+      if (redirect) window.location.replace(redirect)
+    })
+  }, [])
+
   return (
     <div className="not-found-container1">
       <Helmet>
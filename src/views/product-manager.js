@@ -36,6 +36,7 @@ const ProductManager = () => {
     cell_tag: '',
     cell_size: 'medium',
     is_hero: false,
+    feature_flag: '',
     features: []
   });
   const [newFeature, setNewFeature] = useState('');
@@ -106,6 +107,7 @@ const ProductManager = () => {
       cell_tag: product.cell_tag || '',
       cell_size: product.cell_size || 'medium',
       is_hero: product.is_hero || false,
+      feature_flag: product.feature_flag || '',
       features: Array.isArray(product.features) ? product.features : []
     });
     setShowModal(true);
@@ -124,6 +126,7 @@ const ProductManager = () => {
       cell_tag: '',
       cell_size: 'medium',
       is_hero: false,
+      feature_flag: '',
       features: []
     });
     setShowModal(true);
@@ -451,6 +454,16 @@ const ProductManager = () => {
                 />
               </div>
               
+              <div className="form-group">
+                <label>Feature Flag</label>
+                <input
+                  type="text"
+                  value={formData.feature_flag}
+                  onChange={e => setFormData({...formData, feature_flag: e.target.value.toLowerCase().replace(/[^a-z0-9_.-]/g, '')})}
+                  placeholder="Leave empty to always show, e.g. products.new-card"
+                />
+              </div>
+              
               <div className="form-group checkbox-group">
                 <label>
                   <input
@@ -1,12 +1,15 @@
-import React from 'react'
+import React, { useState } from 'react'
 import { Helmet } from 'react-helmet'
 import Navigation from '../components/navigation'
 import Footer from '../components/footer'
 import Breadcrumb from '../components/breadcrumb'
 import RelatedLinks from '../components/related-links'
+import LeadForm from '../components/lead-form'
+import BookingScheduler from '../components/booking-scheduler'
 import './request-demo.css'
 
 const RequestDemo = (props) => {
+  const [showRequestForm, setShowRequestForm] = useState(false)
   return (
     <div className="demo-container">
       <Helmet>
@@ -188,12 +191,14 @@ const RequestDemo = (props) => {
           </p>
           
           <div className="demo-cta-container">
-            <a 
-              href="mailto:info@finacegroup.com?subject=Demo Request&body=I'm interested in scheduling a demo of FinACEverse.%0D%0A%0D%0AName:%0D%0ACompany:%0D%0ARole:%0D%0APreferred Date/Time:%0D%0ASpecific Areas of Interest:" 
-              className="btn btn-primary btn-lg"
-            >
-              Request Demo via Email
-            </a>
+            <BookingScheduler meetingType="demo" />
+            <p className="demo-note section-content">
+              None of these times work?{' '}
+              <button type="button" className="scheduler-fallback-toggle" onClick={() => setShowRequestForm(show => !show)}>
+                Send us a request instead
+              </button>
+            </p>
+            {showRequestForm && <LeadForm formType="demo" />}
             <p className="demo-note section-content">
               Or call us directly at <a href="tel:+1234567890" style={{color: 'var(--color-primary)'}}>+1 (234) 567-890</a>
             </p>
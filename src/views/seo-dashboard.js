@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useHistory } from 'react-router-dom';
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
 import { format } from 'date-fns';
+import RedirectManager from '../components/redirect-manager';
+import { ReviewSubmitModal } from '../components/editorial-review';
 import './seo-dashboard.css';
 
 const SEODashboard = () => {
@@ -16,12 +18,22 @@ const SEODashboard = () => {
   const [issues, setIssues] = useState([]);
   const [fixHistory, setFixHistory] = useState([]);
   const [fixStats, setFixStats] = useState(null);
+  const [fixProposals, setFixProposals] = useState([]);
+  const [fixesInReview, setFixesInReview] = useState([]);
+  const [fixToSubmit, setFixToSubmit] = useState(null); // { fix, rollback }
+  const [fixMessage, setFixMessage] = useState(null);
+  const [fixBusy, setFixBusy] = useState(false);
+  const [crawl, setCrawl] = useState(null);
+  const [crawlRunning, setCrawlRunning] = useState(false);
+  const [crawlPages, setCrawlPages] = useState([]);
+  const [crawlMessage, setCrawlMessage] = useState(null);
   const [pageScores, setPageScores] = useState([]);
   const [targetKeywords, setTargetKeywords] = useState([]);
   const [newKeyword, setNewKeyword] = useState('');
   const [aiSuggestions, setAiSuggestions] = useState([]);
   const [aiLoading, setAiLoading] = useState(false);
   const [optimizationTips, setOptimizationTips] = useState([]);
+  const [searchMisses, setSearchMisses] = useState([]);
   const history = useHistory();
 
   const API_URL = process.env.REACT_APP_API_URL || 'https://www.finaceverse.io';
@@ -92,24 +104,11 @@ const SEODashboard = () => {
       const issuesRes = await fetch(`${API_URL}/api/seo/issues`, { headers });
       if (issuesRes.ok) {
         const data = await issuesRes.json();
-        setIssues(data);
+        setIssues(data.issues || []);
       }
 
-      // Fetch fix history and stats
-      const [fixHistoryRes, fixStatsRes] = await Promise.all([
-        fetch(`${API_URL}/api/seo/auto-fix/history?limit=30`, { headers }),
-        fetch(`${API_URL}/api/seo/auto-fix/stats`, { headers })
-      ]);
-
-      if (fixHistoryRes.ok) {
-        const data = await fixHistoryRes.json();
-        setFixHistory(data);
-      }
-
-      if (fixStatsRes.ok) {
-        const data = await fixStatsRes.json();
-        setFixStats(data);
-      }
+      await fetchFixes(headers);
+      await fetchCrawl(headers);
 
       // Fetch page scores
       const scoresRes = await fetch(`${API_URL}/api/seo/report`, { headers });
@@ -120,6 +119,13 @@ const SEODashboard = () => {
         }
       }
 
+      // Fetch zero-result site searches
+      const missesRes = await fetch(`${API_URL}/api/admin/search/misses?days=90`, { headers });
+      if (missesRes.ok) {
+        const data = await missesRes.json();
+        setSearchMisses(data.misses || []);
+      }
+
       setLoading(false);
     } catch (error) {
       console.error('Error fetching SEO data:', error);
@@ -168,7 +174,55 @@ const SEODashboard = () => {
     }
   };
 
-  const handleAutoFix = async () => {
+  // Fix proposals waiting for approval or editorial review, applied fixes and stats
+  const fetchFixes = async (headers) => {
+    const [fixProposalsRes, fixesInReviewRes, fixHistoryRes, fixStatsRes] = await Promise.all([
+      fetch(`${API_URL}/api/seo/auto-fix/proposals`, { headers }),
+      fetch(`${API_URL}/api/seo/auto-fix/proposals?status=in_review`, { headers }),
+      fetch(`${API_URL}/api/seo/auto-fix/history?limit=30`, { headers }),
+      fetch(`${API_URL}/api/seo/auto-fix/stats`, { headers })
+    ]);
+
+    if (fixProposalsRes.ok) {
+      const data = await fixProposalsRes.json();
+      setFixProposals(data.proposals || []);
+    }
+
+    if (fixesInReviewRes.ok) {
+      const data = await fixesInReviewRes.json();
+      setFixesInReview(data.proposals || []);
+    }
+
+    if (fixHistoryRes.ok) {
+      const data = await fixHistoryRes.json();
+      setFixHistory(data.history || []);
+    }
+
+    if (fixStatsRes.ok) {
+      const data = await fixStatsRes.json();
+      setFixStats(data);
+    }
+  };
+
+  // Latest site crawl and its link graph
+  const fetchCrawl = async (headers) => {
+    const latestRes = await fetch(`${API_URL}/api/seo/crawl/latest`, { headers });
+    if (!latestRes.ok) return;
+
+    const latest = await latestRes.json();
+    setCrawl(latest.crawl);
+    setCrawlRunning(latest.running);
+
+    if (latest.crawl && latest.crawl.status === 'completed') {
+      const pagesRes = await fetch(`${API_URL}/api/seo/crawl/${latest.crawl.id}/pages?limit=200`, { headers });
+      if (pagesRes.ok) {
+        const data = await pagesRes.json();
+        setCrawlPages(data.pages || []);
+      }
+    }
+  };
+
+  const startCrawl = async () => {
     const token = localStorage.getItem('superadmin_token');
     const headers = {
       'Authorization': `Bearer ${token}`,
@@ -176,19 +230,74 @@ const SEODashboard = () => {
     };
 
     try {
-      const res = await fetch(`${API_URL}/api/seo/auto-fix`, {
+      const res = await fetch(`${API_URL}/api/seo/crawl`, {
         method: 'POST',
         headers
       });
+      const data = await res.json().catch(() => ({}));
 
-      if (res.ok) {
-        setTimeout(fetchAllData, 2000);
-      }
+      setCrawlMessage(res.ok
+        ? { type: 'success', text: 'Crawl started. It takes a few minutes; refresh to see the results.' }
+        : { type: 'error', text: data.error || `Request failed (HTTP ${res.status})` });
+      await fetchCrawl(headers);
+    } catch (error) {
+      console.error('Error starting crawl:', error);
+      setCrawlMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  // Run an auto-fix request, then reload the fixes
+  const runFixAction = async (path, successMessage, body) => {
+    const token = localStorage.getItem('superadmin_token');
+    const headers = {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    };
+
+    setFixBusy(true);
+    try {
+      const res = await fetch(`${API_URL}/api/seo/auto-fix${path}`, {
+        method: 'POST',
+        headers,
+        ...(body && { body: JSON.stringify(body) })
+      });
+      const data = await res.json().catch(() => ({}));
+
+      setFixMessage(res.ok
+        ? { type: 'success', text: successMessage(data) }
+        : { type: 'error', text: data.details?.[0]?.message || data.error || `Request failed (HTTP ${res.status})` });
+      await fetchFixes(headers);
+      return data;
     } catch (error) {
       console.error('Error running auto-fix:', error);
+      setFixMessage({ type: 'error', text: error.message });
+    } finally {
+      setFixBusy(false);
     }
   };
 
+  const handleAutoFix = async () => {
+    setActiveTab('fixes');
+    await runFixAction('', (data) => `${data.proposed} fix${data.proposed === 1 ? '' : 'es'} proposed for ${data.total} auto-fixable issues`);
+  };
+
+  // Approving a fix or rolling one back submits it for editorial review
+  const submitFix = async ({ reviewerId, note }) => {
+    const { fix, rollback } = fixToSubmit;
+    setFixToSubmit(null);
+    await runFixAction(
+      rollback ? `/history/${fix.id}/rollback` : `/proposals/${fix.id}/approve`,
+      (data) => `${rollback ? 'Rollback' : 'Fix'} for ${fix.target_label} sent to ${data.review.reviewer_name} for review`,
+      { reviewer_id: Number(reviewerId), note: note || null }
+    );
+  };
+
+  const rejectFix = (proposal) => runFixAction(
+    `/proposals/${proposal.id}/reject`,
+    () => `Rejected the fix for ${proposal.target_label}`
+  );
+
+
   const getSeverityColor = (severity) => {
     switch (severity) {
       case 'critical': return '#FF4444';
@@ -712,6 +821,118 @@ const SEODashboard = () => {
     </div>
   );
 
+  const crawlPageStatus = (page) => {
+    if (page.robots_blocked) return { label: 'robots.txt', className: 'rolled-back' };
+    if (page.error) return { label: 'unreachable', className: 'error' };
+    if (page.status_code === null) return { label: 'not crawled', className: 'rolled-back' };
+    if (page.soft_404) return { label: `${page.status_code} (not found)`, className: 'error' };
+    if (page.status_code >= 400) return { label: page.status_code, className: 'error' };
+    if (page.status_code >= 300) return { label: page.status_code, className: 'rolled-back' };
+    return { label: page.status_code, className: 'success' };
+  };
+
+  const renderCrawlSection = () => {
+    const counts = crawl?.summary?.issues || {};
+
+    return (
+      <div className="seo-section">
+        <div className="section-header">
+          <h2>Site Crawl</h2>
+          <button className="fix-button" onClick={startCrawl} disabled={crawlRunning}>
+            {crawlRunning ? 'Crawling…' : 'Crawl Site'}
+          </button>
+        </div>
+
+        {crawlMessage && (
+          <div className={`fix-message ${crawlMessage.type}`}>
+            {crawlMessage.text}
+            <button onClick={() => setCrawlMessage(null)} aria-label="Dismiss">×</button>
+          </div>
+        )}
+
+        {!crawl ? (
+          <p className="section-description">The site hasn't been crawled yet.</p>
+        ) : crawl.status === 'failed' ? (
+          <p className="section-description">
+            The last crawl ({format(new Date(crawl.started_at), 'MMM dd, yyyy HH:mm')}) failed: {crawl.error}
+          </p>
+        ) : crawl.status === 'running' ? (
+          <p className="section-description">
+            Crawl started {format(new Date(crawl.started_at), 'MMM dd, yyyy HH:mm')} and is still running.
+          </p>
+        ) : (
+          <>
+            <p className="section-description">
+              Crawled {format(new Date(crawl.finished_at), 'MMM dd, yyyy HH:mm')}: {crawl.pages_crawled} pages, {crawl.links_found} links.
+              Issues it finds are listed below with the rest.
+            </p>
+            {crawl.summary?.unrendered > 0 && (
+              <div className="fix-message error">
+                {crawl.summary.unrendered} sitemap pages came back without content. Check that prerendering works; orphan detection needs it.
+              </div>
+            )}
+            <div className="seo-stats-grid">
+              <div className="seo-stat-card critical">
+                <h3>Pages With Broken Links</h3>
+                <div className="stat-value">{counts.broken_links || 0}</div>
+              </div>
+              <div className="seo-stat-card warning">
+                <h3>Pages Linking Through Redirects</h3>
+                <div className="stat-value">{counts.redirect_chain || 0}</div>
+              </div>
+              <div className="seo-stat-card warning">
+                <h3>Pages Linking to Non-Canonical URLs</h3>
+                <div className="stat-value">{counts.non_canonical_link || 0}</div>
+              </div>
+              <div className="seo-stat-card">
+                <h3>Orphan Pages</h3>
+                <div className="stat-value">{counts.orphan_page || 0}</div>
+              </div>
+            </div>
+
+            <h3>Link Graph</h3>
+            <p className="section-description">
+              Least-linked pages first. Depth is clicks from the homepage; a dash means only the sitemap leads there.
+            </p>
+            <div className="table-container">
+              <table className="seo-table crawl-table">
+                <thead>
+                  <tr>
+                    <th>URL</th>
+                    <th>Status</th>
+                    <th>Depth</th>
+                    <th>In-links</th>
+                    <th>Out-links</th>
+                    <th>Sitemap</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {crawlPages.map(page => {
+                    const status = crawlPageStatus(page);
+                    return (
+                      <tr key={page.url}>
+                        <td className="page-url">
+                          {page.url}
+                          {page.redirect_url && <div className="crawl-redirect">→ {page.redirect_url}</div>}
+                          {page.noindex && <span className="crawl-flag">noindex</span>}
+                        </td>
+                        <td><span className={`status-badge ${status.className}`}>{status.label}</span></td>
+                        <td>{page.depth ?? '-'}</td>
+                        <td className={page.in_links === 0 ? 'crawl-orphan' : ''}>{page.in_links}</td>
+                        <td>{page.out_links}</td>
+                        <td>{page.in_sitemap ? '✓' : ''}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
   const renderIssuesTab = () => {
     const criticalIssues = issues.filter(i => i.severity === 'critical');
     const warningIssues = issues.filter(i => i.severity === 'warning');
@@ -736,13 +957,15 @@ const SEODashboard = () => {
             <h3>Auto-Fixable</h3>
             <div className="stat-value">{autoFixable.length}</div>
             {autoFixable.length > 0 && (
-              <button className="fix-button" onClick={handleAutoFix}>
-                Fix Now
+              <button className="fix-button" onClick={handleAutoFix} disabled={fixBusy}>
+                Propose Fixes
               </button>
             )}
           </div>
         </div>
 
+        {renderCrawlSection()}
+
         <div className="seo-section">
           <h2>SEO Issues</h2>
           <div className="issues-container">
@@ -777,38 +1000,123 @@ const SEODashboard = () => {
     );
   };
 
+  const renderFixValues = (fix) => (
+    <details className="fix-values">
+      <summary>Before / after</summary>
+      <div className="fix-values-grid">
+        <div>
+          <h4>Before</h4>
+          <pre>{fix.before_value || '(empty)'}</pre>
+        </div>
+        <div>
+          <h4>After</h4>
+          <pre>{fix.after_value}</pre>
+        </div>
+      </div>
+    </details>
+  );
+
   const renderFixesTab = () => (
     <div className="seo-tab-content">
       <div className="seo-stats-grid">
         {fixStats && (
           <>
+            <div className="seo-stat-card warning">
+              <h3>Awaiting Approval</h3>
+              <div className="stat-value">{fixStats.pending || 0}</div>
+            </div>
             <div className="seo-stat-card">
-              <h3>Total Fixes</h3>
-              <div className="stat-value">{fixStats.total_fixes || 0}</div>
+              <h3>In Review</h3>
+              <div className="stat-value">{fixStats.in_review || 0}</div>
             </div>
             <div className="seo-stat-card success">
-              <h3>Successful</h3>
-              <div className="stat-value">{fixStats.successful || 0}</div>
-            </div>
-            <div className="seo-stat-card error">
-              <h3>Failed</h3>
-              <div className="stat-value">{fixStats.failed || 0}</div>
+              <h3>Applied</h3>
+              <div className="stat-value">{fixStats.applied || 0}</div>
             </div>
             <div className="seo-stat-card">
-              <h3>Success Rate</h3>
-              <div className="stat-value">
-                {fixStats.total_fixes > 0 
-                  ? ((fixStats.successful / fixStats.total_fixes) * 100).toFixed(0)
-                  : 0}%
-              </div>
+              <h3>Rolled Back</h3>
+              <div className="stat-value">{fixStats.rolled_back || 0}</div>
+            </div>
+            <div className="seo-stat-card error">
+              <h3>Rejected / Stale</h3>
+              <div className="stat-value">{fixStats.rejected || 0}</div>
             </div>
           </>
         )}
       </div>
 
-      {fixStats && fixStats.by_type && (
+      {fixMessage && (
+        <div className={`fix-message ${fixMessage.type}`}>
+          {fixMessage.text}
+          <button onClick={() => setFixMessage(null)} aria-label="Dismiss">×</button>
+        </div>
+      )}
+
+      <div className="seo-section">
+        <div className="section-header">
+          <h2>Proposed Fixes</h2>
+          <button className="fix-button" onClick={handleAutoFix} disabled={fixBusy}>
+            Propose Fixes
+          </button>
+        </div>
+        <p className="section-description">
+          Nothing changes on the site until a fix is approved and its editorial review is published. If the content is edited in the meantime, the fix goes stale instead of overwriting the edit.
+        </p>
+        {fixProposals.length === 0 ? (
+          <p className="section-description">No fixes waiting for approval.</p>
+        ) : (
+          <div className="fix-list">
+            {fixProposals.map(proposal => (
+              <div key={proposal.id} className="fix-card">
+                <div className="issue-header">
+                  <span className="issue-type">{proposal.fix_type.replace(/_/g, ' ').toUpperCase()}</span>
+                  <span className="fix-date">{format(new Date(proposal.proposed_at), 'MMM dd, yyyy HH:mm')}</span>
+                </div>
+                <div className="issue-page">{proposal.target_label}</div>
+                <div className="issue-description">{proposal.summary}</div>
+                {proposal.generated_by && proposal.generated_by !== 'heuristic' && (
+                  <span className="fix-generated">✨ AI-written ({proposal.generated_by}) - check it reads right</span>
+                )}
+                {renderFixValues(proposal)}
+                <div className="fix-actions">
+                  <button className="fix-button" onClick={() => setFixToSubmit({ fix: proposal, rollback: false })} disabled={fixBusy}>
+                    ✓ Approve
+                  </button>
+                  <button className="fix-reject" onClick={() => rejectFix(proposal)} disabled={fixBusy}>
+                    Reject
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {fixesInReview.length > 0 && (
+        <div className="seo-section">
+          <h2>Waiting for Editorial Review</h2>
+          <p className="section-description">
+            Approved fixes go live when their review is published from the review queue in the Blog Editor. Withdrawing a review puts the fix back in Proposed Fixes.
+          </p>
+          <div className="fix-list">
+            {fixesInReview.map(fix => (
+              <div key={fix.id} className="fix-card">
+                <div className="issue-header">
+                  <span className="issue-type">{fix.fix_type.replace(/_/g, ' ').toUpperCase()}</span>
+                  <span className="fix-date">Approved by {fix.decided_by}</span>
+                </div>
+                <div className="issue-page">{fix.target_label}</div>
+                <div className="issue-description">{fix.summary}</div>
+                {renderFixValues(fix)}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {fixStats && fixStats.by_type && Object.keys(fixStats.by_type).length > 0 && (
         <div className="seo-section">
-          <h2>Fixes by Type</h2>
+          <h2>Fixes Applied by Type (30 days)</h2>
           <ResponsiveContainer width="100%" height={300}>
             <BarChart data={Object.entries(fixStats.by_type).map(([type, count]) => ({
               type: type.replace(/_/g, ' '),
@@ -830,31 +1138,122 @@ const SEODashboard = () => {
           <table className="seo-table">
             <thead>
               <tr>
-                <th>Date</th>
-                <th>Action</th>
-                <th>Page</th>
+                <th>Applied</th>
+                <th>Fix</th>
+                <th>Content</th>
+                <th>Approved By</th>
                 <th>Status</th>
-                <th>Impact</th>
+                <th></th>
               </tr>
             </thead>
             <tbody>
-              {fixHistory.map((fix, idx) => (
-                <tr key={idx}>
-                  <td>{fix.executed_at ? format(new Date(fix.executed_at), 'MMM dd, yyyy HH:mm') : '-'}</td>
-                  <td>{fix.action_type}</td>
-                  <td className="page-url">{fix.page_url}</td>
+              {fixHistory.map(fix => (
+                <tr key={fix.id}>
+                  <td>{format(new Date(fix.applied_at), 'MMM dd, yyyy HH:mm')}</td>
+                  <td>
+                    {fix.summary}
+                    {fix.generated_by && fix.generated_by !== 'heuristic' && (
+                      <span className="fix-generated">✨ {fix.generated_by}</span>
+                    )}
+                    {renderFixValues(fix)}
+                  </td>
+                  <td className="page-url">{fix.target_label}</td>
+                  <td>{fix.decided_by}</td>
                   <td>
-                    <span className={`status-badge ${fix.status === 'success' ? 'success' : 'error'}`}>
-                      {fix.status || 'unknown'}
+                    <span className={`status-badge ${fix.status === 'rolled_back' ? 'rolled-back' : 'success'}`}>
+                      {fix.status === 'rolled_back' ? 'rolled back' : 'applied'}
                     </span>
+                    {fix.status === 'rolling_back' && <div className="fix-date">Rollback in review</div>}
+                    {fix.rolled_back_at && (
+                      <div className="fix-date">{format(new Date(fix.rolled_back_at), 'MMM dd, HH:mm')} by {fix.rolled_back_by}</div>
+                    )}
+                  </td>
+                  <td>
+                    {fix.status === 'applied' && (
+                      <button className="fix-reject" onClick={() => setFixToSubmit({ fix, rollback: true })} disabled={fixBusy}>
+                        ↩ Rollback
+                      </button>
+                    )}
                   </td>
-                  <td>{fix.impact_measured ? '✓ Measured' : '-'}</td>
                 </tr>
               ))}
             </tbody>
           </table>
         </div>
       </div>
+
+      <ReviewSubmitModal
+        isOpen={Boolean(fixToSubmit)}
+        heading={fixToSubmit?.rollback ? 'Roll back this fix' : 'Approve this fix'}
+        description={fixToSubmit && `${fixToSubmit.rollback ? 'Putting back' : 'Changing'} ${fixToSubmit.fix.target_label} goes live once a reviewer approves it and the review is published.`}
+        onClose={() => setFixToSubmit(null)}
+        onSubmit={submitFix}
+      />
+    </div>
+  );
+
+  const dismissSearchMiss = async (query) => {
+    const token = localStorage.getItem('superadmin_token');
+    try {
+      const response = await fetch(`${API_URL}/api/admin/search/misses/${encodeURIComponent(query)}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (response.ok) {
+        setSearchMisses(prev => prev.filter(miss => miss.query !== query));
+      }
+    } catch (error) {
+      console.error('Error dismissing search:', error);
+    }
+  };
+
+  const renderGapsTab = () => (
+    <div className="seo-tab-content">
+      <div className="seo-section">
+        <div className="section-header">
+          <h2>Content Gaps</h2>
+        </div>
+        <p className="empty-subtitle">
+          Site searches from the last 90 days that returned no results. Dismiss a search once content covers it.
+        </p>
+        {searchMisses.length === 0 ? (
+          <div className="empty-state">
+            <p>No zero-result searches</p>
+            <p className="empty-subtitle">Every recent site search found something</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table className="seo-table">
+              <thead>
+                <tr>
+                  <th>Search</th>
+                  <th>Searches</th>
+                  <th>Did You Mean</th>
+                  <th>First Searched</th>
+                  <th>Last Searched</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {searchMisses.map(miss => (
+                  <tr key={miss.query}>
+                    <td>{miss.query}</td>
+                    <td>{miss.searches}</td>
+                    <td>{miss.suggestion || '-'}</td>
+                    <td>{format(new Date(miss.first_searched_at), 'MMM dd, yyyy')}</td>
+                    <td>{format(new Date(miss.last_searched_at), 'MMM dd, yyyy HH:mm')}</td>
+                    <td>
+                      <button onClick={() => dismissSearchMiss(miss.query)} className="fix-button">
+                        Dismiss
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
     </div>
   );
 
@@ -991,6 +1390,18 @@ const SEODashboard = () => {
         >
           Page Scores
         </button>
+        <button
+          className={`tab ${activeTab === 'gaps' ? 'active' : ''}`}
+          onClick={() => setActiveTab('gaps')}
+        >
+          Content Gaps
+        </button>
+        <button
+          className={`tab ${activeTab === 'redirects' ? 'active' : ''}`}
+          onClick={() => setActiveTab('redirects')}
+        >
+          Redirects
+        </button>
       </div>
 
       {activeTab === 'optimize' && renderOptimizeTab()}
@@ -999,6 +1410,12 @@ const SEODashboard = () => {
       {activeTab === 'issues' && renderIssuesTab()}
       {activeTab === 'fixes' && renderFixesTab()}
       {activeTab === 'scores' && renderScoresTab()}
+      {activeTab === 'gaps' && renderGapsTab()}
+      {activeTab === 'redirects' && (
+        <div className="seo-tab-content">
+          <RedirectManager />
+        </div>
+      )}
     </div>
   );
 };
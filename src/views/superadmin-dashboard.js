@@ -215,6 +215,84 @@ const SuperAdminDashboard = () => {
           <button className="card-btn">Manage Blog →</button>
         </div>
 
+        {/* Leads Card */}
+        <div 
+          className="dashboard-card leads"
+          onClick={() => history.push('/vault-e9232b8eefbaa45e/leads')}
+        >
+          <div className="card-header">
+            <div className="card-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                <path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2"/>
+                <circle cx="9" cy="7" r="4"/>
+                <path d="M22 21v-2a4 4 0 0 0-3-3.87"/>
+                <path d="M16 3.13a4 4 0 0 1 0 7.75"/>
+              </svg>
+            </div>
+            <h2>Leads</h2>
+          </div>
+          <p>Demo, consultation and pilot requests with campaign attribution</p>
+          <div className="card-features">
+            <span>• Demo Requests</span>
+            <span>• Consultations</span>
+            <span>• Pilot Programs</span>
+            <span>• UTM Attribution</span>
+          </div>
+          <button className="card-btn">View Leads →</button>
+        </div>
+
+        {/* Lead Pipeline Card */}
+        <div 
+          className="dashboard-card pipeline"
+          onClick={() => history.push('/vault-e9232b8eefbaa45e/pipeline')}
+        >
+          <div className="card-header">
+            <div className="card-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                <rect width="6" height="16" x="3" y="4" rx="1"/>
+                <rect width="6" height="10" x="9" y="4" rx="1"/>
+                <rect width="6" height="13" x="15" y="4" rx="1"/>
+              </svg>
+            </div>
+            <h2>Lead Pipeline</h2>
+          </div>
+          <p>Work leads from first contact to won with owners, notes and full history</p>
+          <div className="card-features">
+            <span>• Kanban Stages</span>
+            <span>• Owner Assignment</span>
+            <span>• Notes</span>
+            <span>• Activity History</span>
+          </div>
+          <button className="card-btn">Open Pipeline →</button>
+        </div>
+
+        {/* Bookings Card */}
+        <div 
+          className="dashboard-card bookings"
+          onClick={() => history.push('/vault-e9232b8eefbaa45e/bookings')}
+        >
+          <div className="card-header">
+            <div className="card-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+                <rect width="18" height="18" x="3" y="4" rx="2"/>
+                <path d="M16 2v4"/>
+                <path d="M8 2v4"/>
+                <path d="M3 10h18"/>
+                <path d="m9 16 2 2 4-4"/>
+              </svg>
+            </div>
+            <h2>Bookings</h2>
+          </div>
+          <p>Manage demo and consultation availability and see who has booked</p>
+          <div className="card-features">
+            <span>• Weekly Availability</span>
+            <span>• Blackout Dates</span>
+            <span>• Calendar Invites</span>
+            <span>• Cancellations</span>
+          </div>
+          <button className="card-btn">Manage Bookings →</button>
+        </div>
+
         {/* PageSpeed Insights Card */}
         <div className="dashboard-card pagespeed">
           <div className="card-header">
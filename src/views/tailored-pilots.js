@@ -4,6 +4,7 @@ import Navigation from '../components/navigation'
 import Footer from '../components/footer'
 import Breadcrumb from '../components/breadcrumb'
 import RelatedLinks from '../components/related-links'
+import LeadForm from '../components/lead-form'
 import './tailored-pilots.css'
 
 const TailoredPilots = (props) => {
@@ -156,45 +157,7 @@ const TailoredPilots = (props) => {
             Join forward-thinking firms already transforming their financial operations
             with cognitive intelligence.
           </p>
-          <form className="pilots-form">
-            <div className="form-row">
-              <input
-                type="text"
-                placeholder="Full Name"
-                required
-                className="form-input"
-              />
-              <input
-                type="email"
-                placeholder="Business Email"
-                required
-                className="form-input"
-              />
-            </div>
-            <div className="form-row">
-              <input
-                type="text"
-                placeholder="Company Name"
-                required
-                className="form-input"
-              />
-              <input
-                type="text"
-                placeholder="Company Size"
-                required
-                className="form-input"
-              />
-            </div>
-            <textarea
-              placeholder="Tell us about your current challenges and objectives"
-              required
-              className="form-textarea"
-              rows="4"
-            ></textarea>
-            <button type="submit" className="btn btn-primary btn-lg">
-              Request Pilot Program
-            </button>
-          </form>
+          <LeadForm formType="pilot" />
         </div>
       </section>
 
@@ -6,14 +6,46 @@ import './unsubscribe.css'
 
 const Unsubscribe = () => {
   const [email, setEmail] = useState('')
-  const [status, setStatus] = useState('idle') // idle, loading, success, error
+  const [status, setStatus] = useState('idle') // idle, loading, success, sent, error
   const [message, setMessage] = useState('')
+  // Signed one-click token from newsletter emails (?token=...)
+  const [token, setToken] = useState(null)
   
-  // Try to get email from URL params
+  // Try to get token or email from URL params
   useEffect(() => {
     const params = new URLSearchParams(window.location.search)
+    const tokenParam = params.get('token')
     const emailParam = params.get('email')
-    if (emailParam) {
+    
+    // Check the link is genuine and show which (masked) address it belongs to
+    const validateToken = async () => {
+      setStatus('loading')
+      try {
+        const response = await fetch('/api/mailgun', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ action: 'status', token: tokenParam })
+        })
+        const result = await response.json()
+        
+        if (result.valid) {
+          setToken(tokenParam)
+          setEmail(result.email)
+          setStatus('idle')
+        } else {
+          setStatus('error')
+          setMessage(result.message || 'This unsubscribe link is invalid or has expired. Enter your email below instead.')
+        }
+      } catch (error) {
+        console.error('Token validation error:', error)
+        setStatus('error')
+        setMessage('An error occurred. Please try again later.')
+      }
+    }
+    
+    if (tokenParam) {
+      validateToken()
+    } else if (emailParam) {
       setEmail(decodeURIComponent(emailParam))
     }
   }, [])
@@ -21,7 +53,7 @@ const Unsubscribe = () => {
   const handleUnsubscribe = async (e) => {
     e.preventDefault()
     
-    if (!email || !email.includes('@')) {
+    if (!token && (!email || !email.includes('@'))) {
       setStatus('error')
       setMessage('Please enter a valid email address')
       return
@@ -33,15 +65,19 @@ const Unsubscribe = () => {
       const response = await fetch('/api/mailgun', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          action: 'unsubscribe', 
-          email 
-        })
+        body: JSON.stringify(token
+          ? { action: 'unsubscribe', token }
+          : { action: 'unsubscribe', email }
+        )
       })
       
       const result = await response.json()
       
-      if (result.success) {
+      if (result.success && !token) {
+        // Typed addresses only get an emailed link; following it unsubscribes
+        setStatus('sent')
+        setMessage(result.message)
+      } else if (result.success) {
         setStatus('success')
         setMessage('You have been successfully unsubscribed from our newsletter.')
       } else {
@@ -67,19 +103,21 @@ const Unsubscribe = () => {
       <section className="unsubscribe-main">
         <div className="container-wrapper">
           <div className="unsubscribe-content">
-            {status === 'success' ? (
+            {status === 'success' || status === 'sent' ? (
               <div className="unsubscribe-success">
                 <div className="success-icon">
                   <svg xmlns="http://www.w3.org/2000/svg" width="64" height="64" viewBox="0 0 24 24">
                     <path fill="currentColor" d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10s10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5l1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/>
                   </svg>
                 </div>
-                <h1 className="hero-title">Unsubscribed Successfully</h1>
+                <h1 className="hero-title">{status === 'sent' ? 'Check Your Inbox' : 'Unsubscribed Successfully'}</h1>
                 <p className="hero-subtitle">{message}</p>
-                <p className="section-content" style={{marginTop: '20px'}}>
-                  We're sorry to see you go. If you change your mind, you can always 
-                  resubscribe from any of our newsletter signup forms.
-                </p>
+                {status === 'success' && (
+                  <p className="section-content" style={{marginTop: '20px'}}>
+                    We're sorry to see you go. If you change your mind, you can always 
+                    resubscribe from any of our newsletter signup forms.
+                  </p>
+                )}
                 <div style={{marginTop: '32px'}}>
                   <a href="/" className="btn btn-primary">
                     Return to Home
@@ -91,7 +129,9 @@ const Unsubscribe = () => {
                 <div className="unsubscribe-header">
                   <h1 className="hero-title">Unsubscribe from Newsletter</h1>
                   <p className="hero-subtitle">
-                    We're sorry to see you go. Enter your email below to unsubscribe from our Cognitive Insights newsletter.
+                    {token
+                      ? "We're sorry to see you go. Confirm below to unsubscribe from our Cognitive Insights newsletter."
+                      : "We're sorry to see you go. Enter your email below and we'll send you a link to unsubscribe from our Cognitive Insights newsletter."}
                   </p>
                 </div>
                 
@@ -99,7 +139,7 @@ const Unsubscribe = () => {
                   <div className="form-group">
                     <label htmlFor="email">Email Address</label>
                     <input
-                      type="email"
+                      type={token ? 'text' : 'email'}
                       id="email"
                       value={email}
                       onChange={(e) => setEmail(e.target.value)}
@@ -107,6 +147,7 @@ const Unsubscribe = () => {
                       required
                       className="form-input"
                       disabled={status === 'loading'}
+                      readOnly={!!token}
                     />
                   </div>
                   
@@ -124,7 +165,7 @@ const Unsubscribe = () => {
                     className="btn btn-primary btn-lg"
                     disabled={status === 'loading'}
                   >
-                    {status === 'loading' ? 'Processing...' : 'Unsubscribe'}
+                    {status === 'loading' ? 'Processing...' : token ? 'Unsubscribe' : 'Email Me an Unsubscribe Link'}
                   </button>
                   
                   <p className="form-note">